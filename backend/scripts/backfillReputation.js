@@ -0,0 +1,59 @@
+/**
+ * Reputation Backfill Script
+ * Fills in the reputation stored on every skill (users.skills.reputation) from
+ * active reviews, completed sessions and endorsements, and every user's session
+ * stats (users.sessionStats) used to rank search results. New activity keeps both
+ * up to date; this is only needed once for data that existed before.
+ *
+ * Usage: node scripts/backfillReputation.js
+ *
+ * The script can be re-run safely: everything is recomputed from scratch.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../src/models/User');
+
+/**
+ * Recompute the session stats and skill reputation of every user
+ * @returns {Promise<{users: number, skills: number}>}
+ */
+async function backfillReputation() {
+    const summary = { users: 0, skills: 0 };
+
+    const cursor = User.find().select('_id').lean().cursor();
+
+    for await (const user of cursor) {
+        await User.syncSessionStats(user._id);
+        const reputations = await User.syncSkillReputation(user._id);
+        summary.users += 1;
+        summary.skills += reputations.length;
+    }
+
+    return summary;
+}
+
+async function run() {
+    try {
+        console.log('Connecting to database...');
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('✅ Connected to database');
+
+        const summary = await backfillReputation();
+
+        console.log(`\n✅ Updated ${summary.users} users and the reputation of ${summary.skills} skills`);
+    } catch (error) {
+        console.error('❌ Error backfilling reputation:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+        console.log('\n👋 Disconnected from database');
+    }
+}
+
+if (require.main === module) {
+    run();
+}
+
+module.exports = { backfillReputation };
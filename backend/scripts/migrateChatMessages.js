@@ -0,0 +1,120 @@
+/**
+ * Chat Message Migration Script
+ * Moves messages embedded in chat documents (chats.messages) into the messages
+ * collection. Message ids and timestamps are kept, so links to existing messages
+ * and attachment URLs keep working.
+ *
+ * Usage: node scripts/migrateChatMessages.js [--dry-run]
+ *
+ * The script can be re-run safely: messages that were already copied are skipped
+ * and the embedded array is only removed once every message of the chat is stored.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Build message documents for the messages collection from an embedded chat
+ * @param {Object} chat - Raw chat document with a messages array
+ * @returns {Array<Object>} Message documents
+ */
+function toMessageDocuments(chat) {
+    return (chat.messages || []).map(message => {
+        const createdAt = message.createdAt || message._id.getTimestamp();
+        return {
+            ...message,
+            chat: chat._id,
+            messageType: message.messageType || 'text',
+            isRead: Boolean(message.isRead),
+            isDeleted: Boolean(message.isDeleted),
+            createdAt,
+            updatedAt: message.updatedAt || createdAt,
+        };
+    });
+}
+
+/**
+ * Insert messages, ignoring the ones a previous run already copied
+ * @param {Object} messages - messages collection
+ * @param {Array<Object>} documents - Message documents
+ * @returns {Promise<number>} Number of newly inserted messages
+ */
+async function insertMissing(messages, documents) {
+    try {
+        const result = await messages.insertMany(documents, { ordered: false });
+        return result.insertedCount;
+    } catch (error) {
+        const writeErrors = error.writeErrors || [];
+        if (writeErrors.length === 0 || writeErrors.some(e => e.code !== DUPLICATE_KEY_ERROR)) {
+            throw error;
+        }
+        return error.result?.insertedCount ?? documents.length - writeErrors.length;
+    }
+}
+
+/**
+ * Move every embedded message into the messages collection
+ * @param {Object} db - MongoDB database handle
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only count what would be moved
+ * @returns {Promise<{chats: number, messages: number, inserted: number}>}
+ */
+async function migrateChatMessages(db, { dryRun = false } = {}) {
+    const chats = db.collection('chats');
+    const messages = db.collection('messages');
+    const summary = { chats: 0, messages: 0, inserted: 0 };
+
+    const cursor = chats.find({ 'messages.0': { $exists: true } }, { projection: { messages: 1 } });
+
+    for await (const chat of cursor) {
+        const documents = toMessageDocuments(chat);
+        summary.chats += 1;
+        summary.messages += documents.length;
+
+        if (dryRun) {
+            continue;
+        }
+
+        summary.inserted += await insertMissing(messages, documents);
+        await chats.updateOne({ _id: chat._id }, { $unset: { messages: '' } });
+    }
+
+    return summary;
+}
+
+async function run() {
+    const dryRun = process.argv.includes('--dry-run');
+
+    try {
+        console.log('Connecting to database...');
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('✅ Connected to database');
+
+        // Make sure the history indexes exist before the collection fills up
+        const Message = require('../src/models/Message');
+        if (!dryRun) {
+            await Message.createIndexes();
+        }
+
+        const summary = await migrateChatMessages(mongoose.connection.db, { dryRun });
+
+        console.log(`\n${dryRun ? '🔎 Dry run: would move' : '✅ Moved'} ${summary.messages} messages from ${summary.chats} chats`);
+        if (!dryRun) {
+            console.log(`   ${summary.inserted} inserted, ${summary.messages - summary.inserted} already migrated`);
+        }
+    } catch (error) {
+        console.error('❌ Error migrating chat messages:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+        console.log('\n👋 Disconnected from database');
+    }
+}
+
+if (require.main === module) {
+    run();
+}
+
+module.exports = { toMessageDocuments, migrateChatMessages };
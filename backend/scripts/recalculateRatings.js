@@ -0,0 +1,73 @@
+/**
+ * Rating Repair Script
+ * Recomputes every user's stored rating (users.rating) from their active reviews.
+ * Ratings written by the old session feedback path or left behind by moderation
+ * are corrected; users without active reviews go back to 0 reviews.
+ *
+ * Usage: node scripts/recalculateRatings.js [--dry-run]
+ *
+ * The script can be re-run safely: users whose rating already matches are left alone.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../src/models/User');
+const Review = require('../src/models/Review');
+
+/**
+ * Recompute the rating of every user
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only count the ratings that would change
+ * @returns {Promise<{users: number, changed: number}>}
+ */
+async function recalculateRatings({ dryRun = false } = {}) {
+    const summary = { users: 0, changed: 0 };
+
+    const cursor = User.find().select('rating').lean().cursor();
+
+    for await (const user of cursor) {
+        summary.users += 1;
+
+        const { averageRating, totalReviews } = await Review.getUserAverageRating(user._id);
+        if (user.rating?.average === averageRating && user.rating?.count === totalReviews) {
+            continue;
+        }
+
+        summary.changed += 1;
+        if (!dryRun) {
+            await User.updateOne(
+                { _id: user._id },
+                { $set: { 'rating.average': averageRating, 'rating.count': totalReviews } }
+            );
+        }
+    }
+
+    return summary;
+}
+
+async function run() {
+    const dryRun = process.argv.includes('--dry-run');
+
+    try {
+        console.log('Connecting to database...');
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('✅ Connected to database');
+
+        const summary = await recalculateRatings({ dryRun });
+
+        console.log(`\n${dryRun ? '🔎 Dry run: would update' : '✅ Updated'} ${summary.changed} of ${summary.users} user ratings`);
+    } catch (error) {
+        console.error('❌ Error recalculating ratings:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+        console.log('\n👋 Disconnected from database');
+    }
+}
+
+if (require.main === module) {
+    run();
+}
+
+module.exports = { recalculateRatings };
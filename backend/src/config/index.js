@@ -35,12 +35,58 @@ const config = {
         apiSecret: process.env.CLOUDINARY_API_SECRET,
     },
 
+    // Chat Attachment Configuration
+    chatAttachments: {
+        maxImageSize: parseInt(process.env.CHAT_MAX_IMAGE_SIZE) || 5 * 1024 * 1024, // bytes
+        maxFileSize: parseInt(process.env.CHAT_MAX_FILE_SIZE) || 10 * 1024 * 1024, // bytes
+        // Used when Cloudinary is not configured (development and tests). Images are
+        // not resized there: thumbnails are served as the full-size original.
+        localDir: process.env.CHAT_ATTACHMENT_DIR || 'uploads/chat',
+    },
+
+    // Chat Message Configuration
+    chatMessages: {
+        editWindowMinutes: parseInt(process.env.CHAT_EDIT_WINDOW_MINUTES) || 15,
+    },
+
+    chatGroups: {
+        maxParticipants: parseInt(process.env.CHAT_GROUP_MAX_PARTICIPANTS) || 20,
+    },
+
+    // Review Configuration
+    reviews: {
+        // Hours after submitting during which the author can still edit a review
+        editWindowHours: parseInt(process.env.REVIEW_EDIT_WINDOW_HOURS) || 48,
+    },
+
+    // Review Moderation Configuration
+    reviewModeration: {
+        // Distinct users whose flags hide a review until an admin reviews it
+        autoHideFlagCount: parseInt(process.env.REVIEW_AUTO_HIDE_FLAGS) || 3,
+        // Links allowed in a review before it is held for an admin
+        maxLinks: parseInt(process.env.REVIEW_MAX_LINKS) || 0,
+        // Added to the built-in word list
+        blockedTerms: (process.env.REVIEW_BLOCKED_TERMS || '')
+            .split(',')
+            .map(term => term.trim().toLowerCase())
+            .filter(Boolean),
+    },
+
     // OTP Configuration
     otp: {
         expiresIn: parseInt(process.env.OTP_EXPIRES_IN) || 10, // minutes
         length: parseInt(process.env.OTP_LENGTH) || 6,
     },
 
+    // Session Reminder Configuration
+    sessionReminders: {
+        // Minutes before a session starts at which participants are reminded
+        windows: (process.env.SESSION_REMINDER_WINDOWS || '1440,60')
+            .split(',')
+            .map(value => parseInt(value, 10))
+            .filter(value => value > 0),
+    },
+
     // Rate Limiting Configuration
     rateLimit: {
         windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
@@ -349,11 +349,13 @@ class AdminController {
                 case 'approve':
                     review.isFlagged = false;
                     review.moderationStatus = 'approved';
+                    review.status = 'active';
                     break;
 
                 case 'remove':
                     review.moderationStatus = 'removed';
                     review.isVisible = false;
+                    review.status = 'removed';
                     break;
 
                 case 'warn':
@@ -386,7 +388,8 @@ class AdminController {
                     reviewId: review._id,
                     action,
                     moderatedBy: req.user.email,
-                    reason
+                    reason,
+                    editHistory: review.editHistory || []
                 }
             });
         } catch (error) {
@@ -1,6 +1,11 @@
 const User = require('../models/User');
 const OTPService = require('../services/otpService');
 const emailService = require('../services/emailService');
+const TokenService = require('../services/tokenService');
+const PasswordResetService = require('../services/passwordResetService');
+const TwoFactorService = require('../services/twoFactorService');
+const CredentialService = require('../services/credentialService');
+const AccountService = require('../services/accountService');
 const JWTUtils = require('../utils/jwt');
 const {
     ValidationError,
@@ -11,6 +16,65 @@ const {
 } = require('../middleware/errorHandler');
 const { RequestLogger } = require('../middleware/logging');
 
+/**
+ * Device details stored with a refresh token
+ */
+function getDeviceInfo(req) {
+    return {
+        userAgent: req.get('User-Agent')?.slice(0, 500),
+        ip: req.ip,
+    };
+}
+
+/**
+ * Finish a successful login: reset lockout counters and open a new token session
+ */
+async function completeLogin(req, res, user, rememberMe, extra = {}) {
+    // Reset login attempts on successful login
+    if (user.loginAttempts > 0) {
+        await user.resetLoginAttempts();
+    }
+
+    // Signing in during the grace period keeps the account
+    const deletionCancelled = await AccountService.cancelDeletion(user);
+    if (deletionCancelled) {
+        RequestLogger.logSecurityEvent(req, 'ACCOUNT_DELETION_CANCELLED', { userId: user._id });
+    }
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Generate JWT tokens for a new login session
+    const tokenPair = await TokenService.issueTokens(user, {
+        device: getDeviceInfo(req),
+        expiresIn: rememberMe ? '30d' : undefined,
+    });
+
+    // Log successful login
+    RequestLogger.logAuthAttempt(req, true, user._id);
+
+    res.status(200).json({
+        success: true,
+        message: deletionCancelled ? 'Login successful. Your account deletion has been cancelled.' : 'Login successful',
+        data: {
+            user: {
+                id: user._id,
+                firstName: user.firstName,
+                lastName: user.lastName,
+                email: user.email,
+                role: user.role,
+                isEmailVerified: user.isEmailVerified,
+                lastLogin: user.lastLogin,
+                twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+            },
+            tokens: tokenPair,
+            deletionCancelled,
+            ...extra,
+        },
+    });
+}
+
 /**
  * Authentication controller handling user registration, login, and verification
  */
@@ -159,15 +223,8 @@ class AuthController {
 
         await user.save();
 
-        // Generate JWT tokens
-        const tokenPair = JWTUtils.generateTokenPair({
-            id: user._id,
-            email: user.email,
-            firstName: user.firstName,
-            lastName: user.lastName,
-            role: user.role,
-            isEmailVerified: user.isEmailVerified,
-        });
+        // Generate JWT tokens for a new login session
+        const tokenPair = await TokenService.issueTokens(user, { device: getDeviceInfo(req) });
 
         // Send welcome email
         try {
@@ -320,103 +377,162 @@ class AuthController {
             });
         }
 
-        // Reset login attempts on successful login
-        if (user.loginAttempts > 0) {
-            await user.resetLoginAttempts();
+        // Password is only the first factor when two-factor authentication is on
+        if (user.twoFactor?.enabled) {
+            RequestLogger.logSecurityEvent(req, 'TWO_FACTOR_CHALLENGE_ISSUED', { userId: user._id });
+
+            return res.status(200).json({
+                success: true,
+                message: 'Enter the code from your authenticator app to finish signing in',
+                data: {
+                    twoFactorRequired: true,
+                    challengeToken: JWTUtils.generateTwoFactorChallengeToken({ id: user._id, rememberMe }),
+                },
+            });
         }
 
-        // Update last login
-        user.lastLogin = new Date();
-        await user.save();
+        await completeLogin(req, res, user, rememberMe);
+    });
 
-        // Generate JWT tokens
-        const tokenOptions = rememberMe ? { expiresIn: '30d' } : {};
-        const tokenPair = JWTUtils.generateTokenPair({
-            id: user._id,
-            email: user.email,
-            firstName: user.firstName,
-            lastName: user.lastName,
-            role: user.role,
-            isEmailVerified: user.isEmailVerified,
-        }, tokenOptions);
+    /**
+     * Second login step for accounts with two-factor authentication
+     * @route POST /api/auth/login/2fa
+     */
+    static verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+        const { challengeToken, code } = req.body;
 
-        // Log successful login
-        RequestLogger.logAuthAttempt(req, true, user._id);
+        const decoded = JWTUtils.verifySpecialToken(challengeToken, 'two-factor-login');
+
+        const user = await User.findById(decoded.id)
+            .select('+loginAttempts +lockUntil +twoFactor.secret');
+        if (!user || (user.status !== 'active' && !user.isPendingDeletion) || !user.twoFactor?.enabled) {
+            throw new AuthenticationError('Invalid or expired login challenge');
+        }
+
+        if (user.isLocked) {
+            RequestLogger.logSecurityEvent(req, 'LOGIN_ATTEMPT_LOCKED_ACCOUNT', {
+                email: user.email,
+                lockUntil: user.lockUntil,
+            });
+
+            throw new AuthenticationError('Account is temporarily locked due to multiple failed login attempts');
+        }
+
+        const result = await TwoFactorService.verifyLoginCode(user, code);
+        if (!result.valid) {
+            // Wrong codes count towards the same lockout as wrong passwords
+            await user.incLoginAttempts();
+
+            RequestLogger.logSecurityEvent(req, 'TWO_FACTOR_LOGIN_FAILED', { userId: user._id });
+            throw new AuthenticationError('Invalid authentication code');
+        }
+
+        if (result.method === 'backup_code') {
+            RequestLogger.logSecurityEvent(req, 'TWO_FACTOR_BACKUP_CODE_USED', {
+                userId: user._id,
+                backupCodesRemaining: result.backupCodesRemaining,
+            });
+        }
+
+        await completeLogin(req, res, user, decoded.rememberMe, {
+            backupCodesRemaining: result.backupCodesRemaining,
+        });
+    });
+
+    /**
+     * Start two-factor enrollment
+     * @route POST /api/auth/2fa/setup
+     */
+    static setupTwoFactor = asyncHandler(async (req, res) => {
+        const enrollment = await TwoFactorService.startEnrollment(req.user.id);
 
         res.status(200).json({
             success: true,
-            message: 'Login successful',
-            data: {
-                user: {
-                    id: user._id,
-                    firstName: user.firstName,
-                    lastName: user.lastName,
-                    email: user.email,
-                    role: user.role,
-                    isEmailVerified: user.isEmailVerified,
-                    lastLogin: user.lastLogin,
-                },
-                tokens: tokenPair,
-            },
+            message: 'Scan the QR code with your authenticator app, then confirm with a code',
+            data: enrollment,
         });
     });
 
     /**
-     * Refresh access token
-     * @route POST /api/auth/refresh-token
+     * Confirm enrollment with a first authenticator code
+     * @route POST /api/auth/2fa/enable
      */
-    static refreshToken = asyncHandler(async (req, res) => {
-        const { refreshToken } = req.body;
+    static enableTwoFactor = asyncHandler(async (req, res) => {
+        const { backupCodes } = await TwoFactorService.confirmEnrollment(req.user.id, req.body.code);
 
-        // Verify refresh token
-        const decoded = JWTUtils.verifyRefreshToken(refreshToken);
+        RequestLogger.logSecurityEvent(req, 'TWO_FACTOR_ENABLED', { userId: req.user.id });
 
-        // Find user
-        const user = await User.findById(decoded.id);
-        if (!user) {
-            throw new AuthenticationError('User not found');
-        }
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+            data: { backupCodes },
+        });
+    });
 
-        // Check if user is still active
-        if (user.status !== 'active') {
-            throw new AuthenticationError('Account is not active');
-        }
+    /**
+     * Turn off two-factor authentication
+     * @route POST /api/auth/2fa/disable
+     */
+    static disableTwoFactor = asyncHandler(async (req, res) => {
+        await TwoFactorService.disable(req.user.id, req.body.password);
 
-        // Generate new access token
-        const accessToken = JWTUtils.generateAccessToken({
-            id: user._id,
-            email: user.email,
-            firstName: user.firstName,
-            lastName: user.lastName,
-            role: user.role,
-            isEmailVerified: user.isEmailVerified,
+        RequestLogger.logSecurityEvent(req, 'TWO_FACTOR_DISABLED', { userId: req.user.id });
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication disabled',
         });
+    });
+
+    /**
+     * Replace backup codes
+     * @route POST /api/auth/2fa/backup-codes
+     */
+    static regenerateBackupCodes = asyncHandler(async (req, res) => {
+        const { backupCodes } = await TwoFactorService.regenerateBackupCodes(req.user.id, req.body.password);
+
+        RequestLogger.logSecurityEvent(req, 'TWO_FACTOR_BACKUP_CODES_REGENERATED', { userId: req.user.id });
+
+        res.status(200).json({
+            success: true,
+            message: 'New backup codes generated. Previous codes no longer work.',
+            data: { backupCodes },
+        });
+    });
+
+    /**
+     * Refresh access token, rotating the refresh token
+     * @route POST /api/auth/refresh-token
+     */
+    static refreshToken = asyncHandler(async (req, res) => {
+        const { refreshToken } = req.body;
+
+        let tokenPair;
+        try {
+            tokenPair = await TokenService.rotateRefreshToken(refreshToken, getDeviceInfo(req));
+        } catch (error) {
+            RequestLogger.logSecurityEvent(req, 'REFRESH_TOKEN_REJECTED', { error: error.message });
+            throw error;
+        }
 
         res.status(200).json({
             success: true,
             message: 'Token refreshed successfully',
-            data: {
-                accessToken,
-                tokenType: 'Bearer',
-                expiresIn: JWTUtils.getTokenExpiration(accessToken),
-            },
+            data: tokenPair,
         });
     });
 
     /**
-     * User logout
+     * User logout, revoking the current session's refresh tokens
      * @route POST /api/auth/logout
      */
     static logout = asyncHandler(async (req, res) => {
-        // In a stateless JWT system, logout is handled client-side
-        // Here we can log the logout event for security monitoring
+        await TokenService.revokeSession(req.user.sessionId);
 
-        if (req.user) {
-            RequestLogger.logSecurityEvent(req, 'USER_LOGOUT', {
-                userId: req.user.id,
-                email: req.user.email,
-            });
-        }
+        RequestLogger.logSecurityEvent(req, 'USER_LOGOUT', {
+            userId: req.user.id,
+            email: req.user.email,
+        });
 
         res.status(200).json({
             success: true,
@@ -424,6 +540,132 @@ class AuthController {
         });
     });
 
+    /**
+     * Log out of every device, revoking all refresh tokens of the user
+     * @route POST /api/auth/logout-all
+     */
+    static logoutAll = asyncHandler(async (req, res) => {
+        const revokedSessions = await TokenService.revokeAllSessions(req.user.id);
+
+        RequestLogger.logSecurityEvent(req, 'USER_LOGOUT_ALL', {
+            userId: req.user.id,
+            email: req.user.email,
+            revokedSessions,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out of all devices',
+            data: { revokedSessions },
+        });
+    });
+
+    /**
+     * Request a password reset link
+     * @route POST /api/auth/forgot-password
+     */
+    static forgotPassword = asyncHandler(async (req, res) => {
+        const { email } = req.body;
+
+        RequestLogger.logSecurityEvent(req, 'PASSWORD_RESET_REQUESTED', { email });
+
+        // Not awaited: the response must look the same whether or not the account exists
+        PasswordResetService.requestReset(email).catch((error) => {
+            console.error('Failed to process password reset request:', error.message);
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'If an account exists for this email, a password reset link has been sent.',
+        });
+    });
+
+    /**
+     * Reset password using the token from the reset link
+     * @route POST /api/auth/reset-password
+     */
+    static resetPassword = asyncHandler(async (req, res) => {
+        const { token, password } = req.body;
+
+        const user = await PasswordResetService.resetPassword(token, password);
+
+        RequestLogger.logSecurityEvent(req, 'PASSWORD_RESET', {
+            userId: user._id,
+            email: user.email,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Your password has been reset. Please log in with your new password.',
+        });
+    });
+
+    /**
+     * Change password; other devices are signed out and this one gets fresh tokens
+     * @route PUT /api/auth/password
+     */
+    static changePassword = asyncHandler(async (req, res) => {
+        const { currentPassword, newPassword } = req.body;
+
+        const user = await CredentialService.changePassword(req.user.id, currentPassword, newPassword);
+
+        // The current tokens predate passwordChangedAt, so start a new session for this device
+        const tokens = await TokenService.issueTokens(user, { device: getDeviceInfo(req) });
+
+        RequestLogger.logSecurityEvent(req, 'PASSWORD_CHANGED', {
+            userId: user._id,
+            email: user.email,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Password changed. You have been signed out on other devices.',
+            data: { tokens },
+        });
+    });
+
+    /**
+     * Start an email change by sending a code to the new address
+     * @route POST /api/auth/email
+     */
+    static requestEmailChange = asyncHandler(async (req, res) => {
+        const { newEmail, password } = req.body;
+
+        const { expires } = await CredentialService.requestEmailChange(req.user.id, newEmail, password);
+
+        RequestLogger.logSecurityEvent(req, 'EMAIL_CHANGE_REQUESTED', {
+            userId: req.user.id,
+            email: req.user.email,
+            newEmail,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `A verification code has been sent to ${newEmail}`,
+            data: { newEmail, otpExpires: expires },
+        });
+    });
+
+    /**
+     * Confirm an email change with the code sent to the new address
+     * @route POST /api/auth/email/verify
+     */
+    static confirmEmailChange = asyncHandler(async (req, res) => {
+        const { user, previousEmail } = await CredentialService.confirmEmailChange(req.user.id, req.body.otp);
+
+        RequestLogger.logSecurityEvent(req, 'EMAIL_CHANGED', {
+            userId: user._id,
+            previousEmail,
+            email: user.email,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Email address updated',
+            data: { email: user.email },
+        });
+    });
+
     /**
      * Get current user profile
      * @route GET /api/auth/me
@@ -450,9 +692,12 @@ class AuthController {
                     bio: user.bio,
                     location: user.location,
                     skills: user.skills,
+                    skillsWanted: user.skillsWanted,
                     availability: user.availability,
                     rating: user.rating,
                     preferences: user.preferences,
+                    calendarFeed: user.calendarFeed?.createdAt ? { createdAt: user.calendarFeed.createdAt } : null,
+                    twoFactorEnabled: Boolean(user.twoFactor?.enabled),
                     createdAt: user.createdAt,
                     updatedAt: user.updatedAt,
                 },
@@ -1,9 +1,54 @@
 const Chat = require('../models/Chat');
+const Message = require('../models/Message');
 const User = require('../models/User');
 const Session = require('../models/Session');
 const socketService = require('../services/socketService');
+const ChatAttachmentService = require('../services/chatAttachmentService');
+const ChatGroupService = require('../services/chatGroupService');
+const ChatSearchService = require('../services/chatSearchService');
 const { validationResult } = require('express-validator');
 
+// Chat payload with each participant's online status
+function withOnlineStatus(chat) {
+    const chatObj = chat.toObject();
+    chatObj.participants = chatObj.participants.map(participant => ({
+        ...participant,
+        isOnline: socketService.isUserOnline(participant._id),
+    }));
+    return chatObj;
+}
+
+// Who the user blocked and who blocked them
+async function loadBlocks(userId) {
+    const [user, blockedBy] = await Promise.all([
+        User.findById(userId).select('+blockedUsers'),
+        User.distinct('_id', { blockedUsers: userId }),
+    ]);
+    return {
+        blocked: new Set((user?.blockedUsers || []).map(String)),
+        blockedBy: new Set(blockedBy.map(String)),
+    };
+}
+
+// Two-person chats tell the client whether a block stops new messages
+function withBlockStatus(chatObj, userId, blocks) {
+    if (chatObj.chatType === 'group') {
+        return chatObj;
+    }
+
+    const other = chatObj.participants.find(participant => participant._id.toString() !== userId.toString());
+    if (!other) {
+        return chatObj;
+    }
+
+    const otherId = other._id.toString();
+    return {
+        ...chatObj,
+        blockedByMe: blocks.blocked.has(otherId),
+        isBlocked: blocks.blocked.has(otherId) || blocks.blockedBy.has(otherId),
+    };
+}
+
 class ChatController {
     // Get user's chats
     async getUserChats(req, res) {
@@ -17,15 +62,9 @@ class ChatController {
                 includeArchived: includeArchived === 'true',
             });
 
-            // Add online status for participants
-            const chatsWithStatus = chats.map(chat => {
-                const chatObj = chat.toObject();
-                chatObj.participants = chatObj.participants.map(participant => ({
-                    ...participant,
-                    isOnline: socketService.isUserOnline(participant._id),
-                }));
-                return chatObj;
-            });
+            // Add online and block status for participants
+            const blocks = await loadBlocks(userId);
+            const chatsWithStatus = chats.map(chat => withBlockStatus(withOnlineStatus(chat), userId, blocks));
 
             res.json({
                 success: true,
@@ -50,6 +89,51 @@ class ChatController {
         }
     }
 
+    // Search messages across the user's chats
+    async searchMessages(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: 'Validation failed',
+                        code: 'VALIDATION_ERROR',
+                        details: errors.array(),
+                    },
+                });
+            }
+
+            const userId = req.user.id;
+            const page = parseInt(req.query.page) || 1;
+            const limit = parseInt(req.query.limit) || 20;
+
+            const { results, total } = await ChatSearchService.search(userId, req.query.q, { page, limit });
+
+            res.json({
+                success: true,
+                data: {
+                    results,
+                    pagination: {
+                        page,
+                        limit,
+                        total,
+                        hasMore: page * limit < total,
+                    },
+                },
+            });
+        } catch (error) {
+            console.error('Error searching messages:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    message: 'Failed to search messages',
+                    code: 'SEARCH_MESSAGES_ERROR',
+                },
+            });
+        }
+    }
+
     // Get or create direct chat between two users
     async getOrCreateDirectChat(req, res) {
         try {
@@ -98,17 +182,23 @@ class ChatController {
             const chat = await Chat.findOrCreateDirectChat(userId, otherUserId, sessionId);
 
             // Add online status for participants
-            const chatObj = chat.toObject();
-            chatObj.participants = chatObj.participants.map(participant => ({
-                ...participant,
-                isOnline: socketService.isUserOnline(participant._id),
-            }));
+            const chatObj = withOnlineStatus(chat);
 
             res.json({
                 success: true,
                 data: { chat: chatObj },
             });
         } catch (error) {
+            if (error.isOperational) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: {
+                        message: error.message,
+                        code: error.code,
+                    },
+                });
+            }
+
             console.error('Error creating/fetching direct chat:', error);
             res.status(500).json({
                 success: false,
@@ -120,17 +210,16 @@ class ChatController {
         }
     }
 
-    // Get chat by ID with messages
+    // Get chat by ID with its latest messages
     async getChatById(req, res) {
         try {
             const { chatId } = req.params;
             const userId = req.user.id;
-            const { page = 1, limit = 50 } = req.query;
+            const limit = parseInt(req.query.limit) || 50;
 
             const chat = await Chat.findById(chatId)
                 .populate('participants', 'firstName lastName profileImage')
-                .populate('session', 'skill scheduledDate status')
-                .populate('messages.sender', 'firstName lastName profileImage');
+                .populate('session', 'skill scheduledDate status');
 
             if (!chat || !chat.isParticipant(userId)) {
                 return res.status(404).json({
@@ -142,32 +231,26 @@ class ChatController {
                 });
             }
 
-            // Paginate messages (get latest messages)
-            const startIndex = Math.max(0, chat.messages.length - (page * limit));
-            const endIndex = chat.messages.length - ((page - 1) * limit);
-            const paginatedMessages = chat.messages.slice(startIndex, endIndex);
+            const { messages, hasMore } = await Message.findPage(chat._id, { limit });
 
             // Mark messages as read
-            chat.markAsRead(userId);
-            await chat.save();
+            await chat.markAsRead(userId);
 
             // Add online status for participants
-            const chatObj = chat.toObject();
-            chatObj.participants = chatObj.participants.map(participant => ({
-                ...participant,
-                isOnline: socketService.isUserOnline(participant._id),
-            }));
-            chatObj.messages = paginatedMessages;
+            const chatObj = withOnlineStatus(chat);
+            chatObj.participantStatus = chatObj.participantStatus.map(status => (
+                status.user.toString() === userId.toString() ? { ...status, unreadCount: 0 } : status
+            ));
+            chatObj.messages = messages;
 
             res.json({
                 success: true,
                 data: {
-                    chat: chatObj,
+                    chat: withBlockStatus(chatObj, userId, await loadBlocks(userId)),
                     pagination: {
-                        page: parseInt(page),
-                        limit: parseInt(limit),
-                        total: chat.messages.length,
-                        hasMore: startIndex > 0,
+                        limit,
+                        hasMore,
+                        before: messages.length > 0 ? messages[0]._id : null,
                     },
                 },
             });
@@ -183,6 +266,77 @@ class ChatController {
         }
     }
 
+    // Get a page of messages around a cursor (?before=<messageId> or ?after=<messageId>)
+    async getMessages(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: 'Validation failed',
+                        code: 'VALIDATION_ERROR',
+                        details: errors.array(),
+                    },
+                });
+            }
+
+            const { chatId } = req.params;
+            const userId = req.user.id;
+            const { before, after, around } = req.query;
+            const limit = parseInt(req.query.limit) || 50;
+
+            const chat = await Chat.findById(chatId).select('participants');
+            if (!chat || !chat.isParticipant(userId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: {
+                        message: 'Chat not found or access denied',
+                        code: 'CHAT_NOT_FOUND',
+                    },
+                });
+            }
+
+            // `around` opens the history at one message, e.g. a search result
+            const { messages, hasMore, hasNewer } = around
+                ? await Message.findAround(chat._id, around, { limit })
+                : await Message.findPage(chat._id, { before, after, limit });
+
+            res.json({
+                success: true,
+                data: {
+                    messages,
+                    pagination: {
+                        limit,
+                        hasMore,
+                        hasNewer: Boolean(hasNewer),
+                        before: messages.length > 0 ? messages[0]._id : null,
+                        after: messages.length > 0 ? messages[messages.length - 1]._id : null,
+                    },
+                },
+            });
+        } catch (error) {
+            if (error.isOperational) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: {
+                        message: error.message,
+                        code: error.code,
+                    },
+                });
+            }
+
+            console.error('Error fetching messages:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    message: 'Failed to fetch messages',
+                    code: 'FETCH_MESSAGES_ERROR',
+                },
+            });
+        }
+    }
+
     // Send message via HTTP (alternative to Socket.io)
     async sendMessage(req, res) {
         try {
@@ -200,7 +354,7 @@ class ChatController {
 
             const { chatId } = req.params;
             const userId = req.user.id;
-            const { content, messageType = 'text' } = req.body;
+            const { content, messageType = 'text', replyTo } = req.body;
 
             // Find and validate chat
             const chat = await Chat.findById(chatId);
@@ -215,12 +369,10 @@ class ChatController {
             }
 
             // Add message
-            const message = chat.addMessage(userId, content, messageType);
-            await chat.save();
+            const message = await chat.addMessage(userId, content, messageType, null, replyTo);
 
             // Populate sender information
-            await chat.populate('messages.sender', 'firstName lastName profileImage');
-            const populatedMessage = chat.messages.id(message._id);
+            const populatedMessage = await message.populateForDisplay();
 
             // Emit via Socket.io if available
             socketService.sendToChat(chatId, 'new_message', {
@@ -232,12 +384,23 @@ class ChatController {
                     lastActivity: chat.lastActivity,
                 },
             });
+            socketService.notifyParticipants(chat, populatedMessage, userId);
 
             res.status(201).json({
                 success: true,
                 data: { message: populatedMessage },
             });
         } catch (error) {
+            if (error.isOperational) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: {
+                        message: error.message,
+                        code: error.code,
+                    },
+                });
+            }
+
             console.error('Error sending message:', error);
             res.status(500).json({
                 success: false,
@@ -249,6 +412,169 @@ class ChatController {
         }
     }
 
+    // Send an image or file attachment with an optional caption
+    async sendAttachment(req, res) {
+        let attachment;
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: 'Validation failed',
+                        code: 'VALIDATION_ERROR',
+                        details: errors.array(),
+                    },
+                });
+            }
+
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: 'No file provided',
+                        code: 'NO_FILE',
+                    },
+                });
+            }
+
+            const { chatId } = req.params;
+            const userId = req.user.id;
+
+            const chat = await Chat.findById(chatId);
+            if (!chat || !chat.isParticipant(userId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: {
+                        message: 'Chat not found or access denied',
+                        code: 'CHAT_NOT_FOUND',
+                    },
+                });
+            }
+
+            attachment = await ChatAttachmentService.store(req.file, chat);
+            const messageType = attachment.resourceType === 'image' ? 'image' : 'file';
+
+            const message = await chat.addMessage(userId, req.body.content, messageType, attachment, req.body.replyTo);
+            const populatedMessage = await message.populateForDisplay();
+
+            socketService.sendToChat(chatId, 'new_message', {
+                chatId,
+                message: populatedMessage,
+                chat: {
+                    _id: chat._id,
+                    lastMessage: chat.lastMessage,
+                    lastActivity: chat.lastActivity,
+                },
+            });
+            socketService.notifyParticipants(chat, populatedMessage, userId);
+
+            res.status(201).json({
+                success: true,
+                data: { message: populatedMessage },
+            });
+        } catch (error) {
+            if (attachment) {
+                await ChatAttachmentService.remove(attachment);
+            }
+
+            if (error.isOperational) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: {
+                        message: error.message,
+                        code: error.code,
+                    },
+                });
+            }
+
+            console.error('Error sending attachment:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    message: 'Failed to send attachment',
+                    code: 'SEND_ATTACHMENT_ERROR',
+                },
+            });
+        }
+    }
+
+    // Download an attachment (participants only)
+    async getAttachment(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: 'Validation failed',
+                        code: 'VALIDATION_ERROR',
+                        details: errors.array(),
+                    },
+                });
+            }
+
+            const { chatId, messageId } = req.params;
+            const userId = req.user.id;
+
+            const chat = await Chat.findById(chatId);
+            if (!chat || !chat.isParticipant(userId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: {
+                        message: 'Chat not found or access denied',
+                        code: 'CHAT_NOT_FOUND',
+                    },
+                });
+            }
+
+            const message = await chat.findMessage(messageId);
+            if (!message || message.isDeleted || !message.attachment) {
+                return res.status(404).json({
+                    success: false,
+                    error: {
+                        message: 'Attachment not found',
+                        code: 'ATTACHMENT_NOT_FOUND',
+                    },
+                });
+            }
+
+            const { attachment } = message;
+            const source = ChatAttachmentService.resolve(attachment, req.query.variant);
+
+            if (source.redirectUrl) {
+                return res.redirect(source.redirectUrl);
+            }
+
+            res.set('Cache-Control', 'private, max-age=3600');
+            res.type(attachment.mimeType);
+            if (attachment.resourceType === 'image') {
+                res.sendFile(source.filePath);
+            } else {
+                res.download(source.filePath, attachment.fileName);
+            }
+        } catch (error) {
+            if (error.isOperational) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: {
+                        message: error.message,
+                        code: error.code,
+                    },
+                });
+            }
+
+            console.error('Error fetching attachment:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    message: 'Failed to fetch attachment',
+                    code: 'FETCH_ATTACHMENT_ERROR',
+                },
+            });
+        }
+    }
+
     // Delete message
     async deleteMessage(req, res) {
         try {
@@ -267,8 +593,14 @@ class ChatController {
             }
 
             try {
-                const deletedMessage = chat.deleteMessage(messageId, userId);
-                await chat.save();
+                const deletedMessage = await chat.deleteMessage(messageId, userId);
+                const { attachment } = deletedMessage;
+                deletedMessage.attachment = undefined;
+                await deletedMessage.save();
+
+                if (attachment) {
+                    await ChatAttachmentService.remove(attachment);
+                }
 
                 // Emit via Socket.io
                 socketService.sendToChat(chatId, 'message_deleted', {
@@ -302,10 +634,22 @@ class ChatController {
         }
     }
 
-    // Archive chat
-    async archiveChat(req, res) {
+    // Edit own message within the edit window
+    async editMessage(req, res) {
         try {
-            const { chatId } = req.params;
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: 'Validation failed',
+                        code: 'VALIDATION_ERROR',
+                        details: errors.array(),
+                    },
+                });
+            }
+
+            const { chatId, messageId } = req.params;
             const userId = req.user.id;
 
             const chat = await Chat.findById(chatId);
@@ -319,12 +663,452 @@ class ChatController {
                 });
             }
 
-            chat.archive();
-            await chat.save();
+            const message = await chat.editMessage(messageId, userId, req.body.content);
+            const populatedMessage = await message.populateForDisplay();
+
+            socketService.sendToChat(chatId, 'message_edited', {
+                chatId,
+                message: populatedMessage,
+            });
 
             res.json({
                 success: true,
-                data: { message: 'Chat archived successfully' },
+                data: { message: populatedMessage },
+            });
+        } catch (error) {
+            if (error.isOperational) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: {
+                        message: error.message,
+                        code: error.code,
+                    },
+                });
+            }
+
+            console.error('Error editing message:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    message: 'Failed to edit message',
+                    code: 'EDIT_MESSAGE_ERROR',
+                },
+            });
+        }
+    }
+
+    // Add (POST) or remove (DELETE) the current user's emoji reaction
+    async updateReaction(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: 'Validation failed',
+                        code: 'VALIDATION_ERROR',
+                        details: errors.array(),
+                    },
+                });
+            }
+
+            const { chatId, messageId } = req.params;
+            const userId = req.user.id;
+            const emoji = req.method === 'DELETE' ? req.params.emoji : req.body.emoji;
+
+            const chat = await Chat.findById(chatId);
+            if (!chat || !chat.isParticipant(userId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: {
+                        message: 'Chat not found or access denied',
+                        code: 'CHAT_NOT_FOUND',
+                    },
+                });
+            }
+
+            const message = req.method === 'DELETE'
+                ? await chat.removeReaction(messageId, userId, emoji)
+                : await chat.addReaction(messageId, userId, emoji);
+            const { reactions } = message.toJSON();
+
+            socketService.sendToChat(chatId, 'message_reactions', {
+                chatId,
+                messageId,
+                reactions,
+            });
+
+            res.json({
+                success: true,
+                data: { messageId, reactions },
+            });
+        } catch (error) {
+            if (error.isOperational) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: {
+                        message: error.message,
+                        code: error.code,
+                    },
+                });
+            }
+
+            console.error('Error updating reaction:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    message: 'Failed to update reaction',
+                    code: 'REACTION_ERROR',
+                },
+            });
+        }
+    }
+
+    // Create a group chat with the current user as owner
+    async createGroupChat(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: 'Validation failed',
+                        code: 'VALIDATION_ERROR',
+                        details: errors.array(),
+                    },
+                });
+            }
+
+            const { name, skill, memberIds = [] } = req.body;
+
+            const chat = await ChatGroupService.createGroup(req.user.id, { name, skill, memberIds });
+
+            res.status(201).json({
+                success: true,
+                data: { chat: withOnlineStatus(chat) },
+            });
+        } catch (error) {
+            if (error.isOperational) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: {
+                        message: error.message,
+                        code: error.code,
+                    },
+                });
+            }
+
+            console.error('Error creating group chat:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    message: 'Failed to create group chat',
+                    code: 'CREATE_GROUP_ERROR',
+                },
+            });
+        }
+    }
+
+    // Update group name or skill (group admins)
+    async updateGroup(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: 'Validation failed',
+                        code: 'VALIDATION_ERROR',
+                        details: errors.array(),
+                    },
+                });
+            }
+
+            const { name, skill } = req.body;
+
+            const chat = await ChatGroupService.updateGroup(req.params.chatId, req.user.id, { name, skill });
+
+            res.json({
+                success: true,
+                data: { chat: withOnlineStatus(chat) },
+            });
+        } catch (error) {
+            if (error.isOperational) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: {
+                        message: error.message,
+                        code: error.code,
+                    },
+                });
+            }
+
+            console.error('Error updating group:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    message: 'Failed to update group',
+                    code: 'UPDATE_GROUP_ERROR',
+                },
+            });
+        }
+    }
+
+    // Upload a new group avatar (group admins)
+    async updateGroupAvatar(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: 'Validation failed',
+                        code: 'VALIDATION_ERROR',
+                        details: errors.array(),
+                    },
+                });
+            }
+
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: 'No image file provided',
+                        code: 'NO_FILE',
+                    },
+                });
+            }
+
+            const chat = await ChatGroupService.updateAvatar(req.params.chatId, req.user.id, req.file);
+
+            res.json({
+                success: true,
+                data: { chat: withOnlineStatus(chat) },
+            });
+        } catch (error) {
+            if (error.isOperational) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: {
+                        message: error.message,
+                        code: error.code,
+                    },
+                });
+            }
+
+            console.error('Error updating group avatar:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    message: 'Failed to update group avatar',
+                    code: 'UPDATE_GROUP_AVATAR_ERROR',
+                },
+            });
+        }
+    }
+
+    // Add members to a group (group admins)
+    async addGroupMembers(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: 'Validation failed',
+                        code: 'VALIDATION_ERROR',
+                        details: errors.array(),
+                    },
+                });
+            }
+
+            const chat = await ChatGroupService.addMembers(req.params.chatId, req.user.id, req.body.userIds);
+
+            res.json({
+                success: true,
+                data: { chat: withOnlineStatus(chat) },
+            });
+        } catch (error) {
+            if (error.isOperational) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: {
+                        message: error.message,
+                        code: error.code,
+                    },
+                });
+            }
+
+            console.error('Error adding group members:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    message: 'Failed to add members',
+                    code: 'ADD_MEMBERS_ERROR',
+                },
+            });
+        }
+    }
+
+    // Remove a member from a group (group admins)
+    async removeGroupMember(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: 'Validation failed',
+                        code: 'VALIDATION_ERROR',
+                        details: errors.array(),
+                    },
+                });
+            }
+
+            const { chatId, userId } = req.params;
+
+            const chat = await ChatGroupService.removeMember(chatId, req.user.id, userId);
+
+            res.json({
+                success: true,
+                data: { chat: withOnlineStatus(chat) },
+            });
+        } catch (error) {
+            if (error.isOperational) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: {
+                        message: error.message,
+                        code: error.code,
+                    },
+                });
+            }
+
+            console.error('Error removing group member:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    message: 'Failed to remove member',
+                    code: 'REMOVE_MEMBER_ERROR',
+                },
+            });
+        }
+    }
+
+    // Make a member an admin or demote an admin (group owner)
+    async updateMemberRole(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: 'Validation failed',
+                        code: 'VALIDATION_ERROR',
+                        details: errors.array(),
+                    },
+                });
+            }
+
+            const { chatId, userId } = req.params;
+
+            const chat = await ChatGroupService.updateMemberRole(chatId, req.user.id, userId, req.body.role);
+
+            res.json({
+                success: true,
+                data: { chat: withOnlineStatus(chat) },
+            });
+        } catch (error) {
+            if (error.isOperational) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: {
+                        message: error.message,
+                        code: error.code,
+                    },
+                });
+            }
+
+            console.error('Error updating member role:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    message: 'Failed to update member role',
+                    code: 'UPDATE_ROLE_ERROR',
+                },
+            });
+        }
+    }
+
+    // Leave a group chat
+    async leaveGroup(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: 'Validation failed',
+                        code: 'VALIDATION_ERROR',
+                        details: errors.array(),
+                    },
+                });
+            }
+
+            const { newOwner } = await ChatGroupService.leaveGroup(req.params.chatId, req.user.id);
+
+            res.json({
+                success: true,
+                data: {
+                    message: 'You left the group',
+                    newOwner,
+                },
+            });
+        } catch (error) {
+            if (error.isOperational) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: {
+                        message: error.message,
+                        code: error.code,
+                    },
+                });
+            }
+
+            console.error('Error leaving group:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    message: 'Failed to leave group',
+                    code: 'LEAVE_GROUP_ERROR',
+                },
+            });
+        }
+    }
+
+    // Archive chat
+    async archiveChat(req, res) {
+        try {
+            const { chatId } = req.params;
+            const userId = req.user.id;
+
+            const chat = await Chat.findById(chatId);
+            if (!chat || !chat.isParticipant(userId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: {
+                        message: 'Chat not found or access denied',
+                        code: 'CHAT_NOT_FOUND',
+                    },
+                });
+            }
+
+            chat.archive();
+            await chat.save();
+
+            res.json({
+                success: true,
+                data: { message: 'Chat archived successfully' },
             });
         } catch (error) {
             console.error('Error archiving chat:', error);
@@ -338,6 +1122,54 @@ class ChatController {
         }
     }
 
+    // Mute or unmute a chat for the current user
+    async muteChat(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        message: 'Validation failed',
+                        code: 'VALIDATION_ERROR',
+                        details: errors.array(),
+                    },
+                });
+            }
+
+            const { chatId } = req.params;
+            const { muted } = req.body;
+            const userId = req.user.id;
+
+            const chat = await Chat.findById(chatId);
+            if (!chat || !chat.isParticipant(userId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: {
+                        message: 'Chat not found or access denied',
+                        code: 'CHAT_NOT_FOUND',
+                    },
+                });
+            }
+
+            await chat.setMuted(userId, muted);
+
+            res.json({
+                success: true,
+                data: { chatId: chat._id, isMuted: muted },
+            });
+        } catch (error) {
+            console.error('Error updating chat mute:', error);
+            res.status(500).json({
+                success: false,
+                error: {
+                    message: 'Failed to update chat notifications',
+                    code: 'MUTE_CHAT_ERROR',
+                },
+            });
+        }
+    }
+
     // Get session chat
     async getSessionChat(req, res) {
         try {
@@ -368,17 +1200,23 @@ class ChatController {
             }
 
             // Add online status for participants
-            const chatObj = chat.toObject();
-            chatObj.participants = chatObj.participants.map(participant => ({
-                ...participant,
-                isOnline: socketService.isUserOnline(participant._id),
-            }));
+            const chatObj = withOnlineStatus(chat);
 
             res.json({
                 success: true,
                 data: { chat: chatObj },
             });
         } catch (error) {
+            if (error.isOperational) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: {
+                        message: error.message,
+                        code: error.code,
+                    },
+                });
+            }
+
             console.error('Error fetching session chat:', error);
             res.status(500).json({
                 success: false,
@@ -1,5 +1,8 @@
 const User = require('../models/User');
 const cloudinary = require('../config/cloudinary');
+const AccountService = require('../services/accountService');
+const BlockService = require('../services/blockService');
+const EndorsementService = require('../services/endorsementService');
 const {
     ValidationError,
     NotFoundError,
@@ -35,6 +38,7 @@ class ProfileController {
                     bio: user.bio,
                     location: user.location,
                     skills: user.skills,
+                    skillsWanted: user.skillsWanted,
                     availability: user.availability,
                     rating: user.rating,
                     createdAt: user.createdAt,
@@ -56,6 +60,11 @@ class ProfileController {
             throw new NotFoundError('User not found');
         }
 
+        // Signed-in visitors see which skills they already endorsed
+        const endorsedSkillIds = req.user
+            ? await EndorsementService.findEndorsedSkillIds(req.user.id, user._id)
+            : [];
+
         // Return public profile information only
         res.status(200).json({
             success: true,
@@ -69,9 +78,11 @@ class ProfileController {
                     bio: user.bio,
                     location: user.location,
                     skills: user.skills,
+                    skillsWanted: user.skillsWanted,
                     availability: user.availability,
                     rating: user.rating,
                     createdAt: user.createdAt,
+                    endorsedSkillIds,
                 },
             },
         });
@@ -87,6 +98,7 @@ class ProfileController {
             lastName,
             bio,
             location,
+            skillsWanted,
             availability,
         } = req.body;
 
@@ -108,6 +120,11 @@ class ProfileController {
             };
         }
 
+        // Replace the learning wishlist as a whole
+        if (skillsWanted !== undefined) {
+            user.skillsWanted = skillsWanted;
+        }
+
         // Update availability
         if (availability) {
             user.availability = {
@@ -138,6 +155,7 @@ class ProfileController {
                     bio: user.bio,
                     location: user.location,
                     skills: user.skills,
+                    skillsWanted: user.skillsWanted,
                     availability: user.availability,
                     rating: user.rating,
                     updatedAt: user.updatedAt,
@@ -185,6 +203,9 @@ class ProfileController {
         user.skills.push(newSkill);
         await user.save();
 
+        // Reviews and sessions for a skill of the same name count towards it again
+        await User.syncSkillReputation(user._id);
+
         // Log skill addition
         RequestLogger.logDatabaseOperation('skill_add', 'users', true, null, {
             userId: user._id,
@@ -227,6 +248,8 @@ class ProfileController {
             throw new NotFoundError('Skill not found');
         }
 
+        const renamed = name !== undefined && name.trim().toLowerCase() !== skill.name.toLowerCase();
+
         // Update skill fields
         if (name !== undefined) skill.name = name.trim();
         if (level !== undefined) skill.level = level;
@@ -236,6 +259,11 @@ class ProfileController {
 
         await user.save();
 
+        // Reviews and sessions are matched to skills by name
+        if (renamed) {
+            await User.syncSkillReputation(user._id);
+        }
+
         // Log skill update
         RequestLogger.logDatabaseOperation('skill_update', 'users', true, null, {
             userId: user._id,
@@ -273,6 +301,7 @@ class ProfileController {
         const skillName = skill.name;
         user.skills.pull(skillId);
         await user.save();
+        await EndorsementService.removeSkillEndorsements(user._id, skillId);
 
         // Log skill removal
         RequestLogger.logDatabaseOperation('skill_remove', 'users', true, null, {
@@ -411,6 +440,142 @@ class ProfileController {
             },
         });
     });
+
+    /**
+     * Get the users the current user has blocked
+     * @route GET /api/profile/blocked
+     */
+    static getBlockedUsers = asyncHandler(async (req, res) => {
+        const blockedUsers = await BlockService.listBlocked(req.user.id);
+
+        res.status(200).json({
+            success: true,
+            data: { blockedUsers },
+        });
+    });
+
+    /**
+     * Block a user
+     * @route POST /api/profile/blocked/:userId
+     */
+    static blockUser = asyncHandler(async (req, res) => {
+        const { userId } = req.params;
+
+        await BlockService.blockUser(req.user.id, userId);
+
+        RequestLogger.logDatabaseOperation('user_block', 'users', true, null, {
+            userId: req.user.id,
+            blockedUserId: userId,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'User blocked',
+            data: { blockedUserId: userId },
+        });
+    });
+
+    /**
+     * Unblock a user
+     * @route DELETE /api/profile/blocked/:userId
+     */
+    static unblockUser = asyncHandler(async (req, res) => {
+        const { userId } = req.params;
+
+        await BlockService.unblockUser(req.user.id, userId);
+
+        RequestLogger.logDatabaseOperation('user_unblock', 'users', true, null, {
+            userId: req.user.id,
+            blockedUserId: userId,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'User unblocked',
+            data: { blockedUserId: userId },
+        });
+    });
+
+    /**
+     * Endorse a skill of someone the current user completed a session with
+     * @route POST /api/profile/:userId/skills/:skillId/endorse
+     */
+    static endorseSkill = asyncHandler(async (req, res) => {
+        const { userId, skillId } = req.params;
+
+        const endorsement = await EndorsementService.endorseSkill(req.user.id, userId, skillId);
+
+        RequestLogger.logDatabaseOperation('skill_endorse', 'endorsements', true, null, {
+            userId: req.user.id,
+            endorseeId: userId,
+            skillId,
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Skill endorsed',
+            data: { endorsement },
+        });
+    });
+
+    /**
+     * Withdraw an endorsement
+     * @route DELETE /api/profile/:userId/skills/:skillId/endorse
+     */
+    static removeEndorsement = asyncHandler(async (req, res) => {
+        const { userId, skillId } = req.params;
+
+        await EndorsementService.removeEndorsement(req.user.id, userId, skillId);
+
+        RequestLogger.logDatabaseOperation('skill_unendorse', 'endorsements', true, null, {
+            userId: req.user.id,
+            endorseeId: userId,
+            skillId,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Endorsement removed',
+            data: { skillId },
+        });
+    });
+
+    /**
+     * Download all data stored about the current user
+     * @route GET /api/profile/export
+     */
+    static exportData = asyncHandler(async (req, res) => {
+        const archive = await AccountService.buildExport(req.user.id);
+
+        RequestLogger.logSecurityEvent(req, 'ACCOUNT_DATA_EXPORTED', { userId: req.user.id });
+
+        const date = archive.exportedAt.slice(0, 10);
+        res.setHeader('Content-Disposition', `attachment; filename=skillswap-data-${date}.json`);
+        res.status(200).json(archive);
+    });
+
+    /**
+     * Schedule deletion of the current user's account
+     * @route DELETE /api/profile
+     */
+    static deleteAccount = asyncHandler(async (req, res) => {
+        const { scheduledFor, cancelledSessions } = await AccountService.scheduleDeletion(
+            req.user.id,
+            req.body.password
+        );
+
+        RequestLogger.logSecurityEvent(req, 'ACCOUNT_DELETION_SCHEDULED', {
+            userId: req.user.id,
+            email: req.user.email,
+            scheduledFor,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Your account will be deleted. Sign in before the deletion date to keep it.',
+            data: { scheduledFor, cancelledSessions },
+        });
+    });
 }
 
 module.exports = ProfileController;
\ No newline at end of file
@@ -1,6 +1,8 @@
 const Review = require('../models/Review');
 const Session = require('../models/Session');
 const User = require('../models/User');
+const ReviewService = require('../services/reviewService');
+const ReviewModerationService = require('../services/reviewModerationService');
 const { ValidationError, NotFoundError, ConflictError, AuthorizationError } = require('../middleware/errorHandler');
 const { RequestLogger } = require('../middleware/logging');
 
@@ -36,61 +38,21 @@ class ReviewController {
             }
 
             // Verify user was part of the session
-            const isParticipant = session.requester.toString() === reviewerId ||
-                session.provider.toString() === reviewerId;
-
-            if (!isParticipant) {
+            if (!session.isParticipant(reviewerId)) {
                 throw new AuthorizationError('You can only review sessions you participated in');
             }
 
-            // Verify reviewee was the other participant
-            const otherParticipant = session.requester.toString() === reviewerId ?
-                session.provider.toString() : session.requester.toString();
-
-            if (otherParticipant !== revieweeId) {
-                throw new ValidationError('Invalid reviewee for this session');
-            }
-
-            // Check if review already exists
-            const existingReview = await Review.reviewExistsForSession(sessionId, reviewerId);
-            if (existingReview) {
-                throw new ConflictError('You have already reviewed this session');
-            }
-
-            // Determine review type based on session context
-            let determinedReviewType = reviewType;
-            if (!determinedReviewType) {
-                // Auto-determine based on session type and user role
-                if (session.sessionType === 'exchange') {
-                    determinedReviewType = 'exchange';
-                } else if (session.requester.toString() === reviewerId) {
-                    determinedReviewType = 'learning'; // Requester learned from provider
-                } else {
-                    determinedReviewType = 'teaching'; // Provider taught requester
-                }
-            }
-
-            // Create the review
-            const review = new Review({
-                reviewer: reviewerId,
-                reviewee: revieweeId,
-                session: sessionId,
+            const review = await ReviewService.createReview(session, reviewerId, {
+                revieweeId,
                 rating,
                 comment,
-                skillReviewed: {
-                    name: session.skill.name,
-                    category: session.skill.category
-                },
-                reviewType: determinedReviewType,
-                metadata: {
-                    ipAddress: req.ip,
-                    userAgent: req.get('User-Agent'),
-                    source: 'web'
-                }
+                reviewType
+            }, {
+                ipAddress: req.ip,
+                userAgent: req.get('User-Agent'),
+                source: 'web'
             });
 
-            await review.save();
-
             // Populate the review for response
             await review.populate('reviewer reviewee', 'firstName lastName profileImage');
             await review.populate('session', 'skill scheduledDate');
@@ -109,6 +71,34 @@ class ReviewController {
         }
     }
 
+    /**
+     * Edit the rating or comment of your own review within the edit window
+     * @route PUT /api/reviews/:reviewId
+     */
+    static async editReview(req, res, next) {
+        try {
+            const { reviewId } = req.params;
+            const { rating, comment } = req.body;
+
+            const review = await ReviewService.editReview(reviewId, req.user.id, { rating, comment });
+
+            await review.populate('reviewer reviewee', 'firstName lastName profileImage');
+            await review.populate('session', 'skill scheduledDate');
+
+            RequestLogger.logDatabaseOperation('edit_review', 'reviews', true);
+
+            res.status(200).json({
+                success: true,
+                data: review,
+                message: 'Review updated successfully'
+            });
+
+        } catch (error) {
+            RequestLogger.logDatabaseOperation('edit_review', 'reviews', false, error);
+            next(error);
+        }
+    }
+
     /**
      * Get reviews for a specific user
      * @route GET /api/reviews/user/:userId
@@ -179,10 +169,17 @@ class ReviewController {
         try {
             const { reviewId } = req.params;
 
-            const review = await Review.findById(reviewId)
+            const query = Review.findById(reviewId)
                 .populate('reviewer reviewee', 'firstName lastName profileImage rating')
                 .populate('session', 'skill scheduledDate sessionType');
 
+            // Earlier versions are only shown to admins
+            if (req.user.role !== 'admin') {
+                query.select('-editHistory');
+            }
+
+            const review = await query;
+
             if (!review) {
                 throw new NotFoundError('Review not found');
             }
@@ -231,7 +228,7 @@ class ReviewController {
                 throw new ValidationError('You cannot flag this review');
             }
 
-            await review.flagReview(userId, reason, details);
+            await ReviewModerationService.flagReview(review, userId, reason, details);
 
             RequestLogger.logDatabaseOperation('flag_review', 'reviews', true);
 
@@ -299,7 +296,7 @@ class ReviewController {
             const { comment } = req.body;
             const userId = req.user.id;
 
-            const review = await Review.findById(reviewId);
+            const review = await Review.findById(reviewId).select('-editHistory');
             if (!review) {
                 throw new NotFoundError('Review not found');
             }
@@ -503,7 +500,7 @@ class ReviewController {
 
             const [reviews, totalCount] = await Promise.all([
                 Review.getReviewsForModeration(options),
-                Review.countDocuments({ status })
+                Review.countDocuments(Review.moderationFilter(status))
             ]);
 
             const totalPages = Math.ceil(totalCount / parseInt(limit));
@@ -556,12 +553,17 @@ class ReviewController {
             switch (action) {
                 case 'approve':
                     review.status = 'active';
+                    review.isFlagged = false;
+                    review.moderationStatus = 'approved';
                     break;
                 case 'hide':
+                    // Decided: stays hidden but leaves the flagged queue
                     review.status = 'hidden';
+                    review.isFlagged = false;
                     break;
                 case 'remove':
                     review.status = 'removed';
+                    review.moderationStatus = 'removed';
                     break;
             }
 
@@ -1,19 +1,89 @@
 const User = require('../models/User');
+const MatchingService = require('../services/matchingService');
+const RankingService = require('../services/rankingService');
+const { literalRegex, parseSearchTerms, findUserHighlight } = require('../utils/search');
 const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
 const { RequestLogger } = require('../middleware/logging');
 
+/**
+ * Orders computed in the query. Each adds the fields to rank by and sorts on them;
+ * the fields are dropped again before the users are returned.
+ */
+const COMPUTED_ORDERS = {
+    // Rating, recent activity and responsiveness blended into one score
+    best: ({ now }) => ({
+        fields: { rankingScore: RankingService.scoreExpression(now) },
+        sort: { rankingScore: -1, 'rating.count': -1, _id: 1 }
+    }),
+
+    // Reputation of the skill that matched the `skill` filter (rating, then completed sessions, then endorsements)
+    skillReputation: ({ skill }) => ({
+        fields: {
+            matchedSkill: {
+                $arrayElemAt: [{
+                    $filter: {
+                        input: '$skills',
+                        as: 'skill',
+                        cond: { $regexMatch: { input: '$$skill.name', regex: literalRegex(skill) } }
+                    }
+                }, 0]
+            }
+        },
+        sort: {
+            'matchedSkill.reputation.rating': -1,
+            'matchedSkill.reputation.sessionCount': -1,
+            'matchedSkill.reputation.endorsementCount': -1,
+            'rating.average': -1,
+            _id: 1
+        }
+    })
+};
+
+const computedOrderPipeline = (query, { fields, sort }, score, skip, limit) => [
+    { $match: query },
+    // Text scores can only be added as a field
+    { $addFields: { ...(score && { score }), ...fields } },
+    { $sort: sort },
+    { $skip: skip },
+    { $limit: limit },
+    { $project: { _id: 1, ...(score && { score: 1 }) } }
+];
+
+/**
+ * Page of users in a computed order. The aggregation only ranks ids: it ignores
+ * `select: false` in the schema, so the users themselves are loaded with find().
+ */
+const findInComputedOrder = async (query, computedOrder, { score, ...projection }, skip, limit) => {
+    const ranked = await User.aggregate(computedOrderPipeline(query, computedOrder, score, skip, limit));
+    const users = await User.find({ _id: { $in: ranked.map(({ _id }) => _id) } })
+        .select(projection)
+        .lean();
+
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+    return ranked
+        .filter(({ _id }) => usersById.has(_id.toString()))
+        .map(({ _id, score: textScore }) => ({
+            ...usersById.get(_id.toString()),
+            ...(textScore !== undefined && { score: textScore })
+        }));
+};
+
 /**
  * Search Controller
  * Handles skill-based user search and filtering functionality
  */
 class SearchController {
     /**
-     * Search users by skills with filters
+     * Search users by skills with filters.
+     * `q` runs a weighted full-text search over skill names, descriptions and bios.
+     * Results are ordered by relevance for text searches and by the `best` score otherwise,
+     * unless another order is requested.
      * @route GET /api/search/users
      */
     static async searchUsers(req, res, next) {
         try {
             const {
+                q,
                 skill,
                 category,
                 level,
@@ -24,16 +94,35 @@ class SearchController {
                 availability,
                 page = 1,
                 limit = 20,
-                sortBy = 'rating.average',
                 sortOrder = 'desc'
             } = req.query;
 
+            // Free-text queries rank by relevance unless another order is requested
+            const terms = parseSearchTerms(q);
+            const isTextSearch = terms.length > 0;
+            let sortBy = req.query.sortBy || (isTextSearch ? 'relevance' : 'best');
+            if ((sortBy === 'relevance' && !isTextSearch) || (sortBy === 'skillReputation' && !skill)) {
+                sortBy = 'best';
+            }
+
             // Build search query
             const searchQuery = {
                 status: 'active',
                 isEmailVerified: true
             };
 
+            if (isTextSearch) {
+                searchQuery.$text = { $search: terms.join(' ') };
+            }
+
+            // Blocks work both ways, so neither side finds the other
+            if (req.user) {
+                const blockedUserIds = await User.findBlockedUserIds(req.user.id);
+                if (blockedUserIds.length > 0) {
+                    searchQuery._id = { $nin: blockedUserIds };
+                }
+            }
+
             // Availability filter (only apply if explicitly specified)
             if (availability !== undefined) {
                 searchQuery['availability.isAvailable'] = availability === true || availability === 'true';
@@ -42,10 +131,10 @@ class SearchController {
             // Skill-based search - use $elemMatch to ensure all conditions match the same skill
             const skillConditions = {};
             if (skill) {
-                skillConditions.name = new RegExp(skill, 'i');
+                skillConditions.name = literalRegex(skill);
             }
             if (category) {
-                skillConditions.category = new RegExp(category, 'i');
+                skillConditions.category = literalRegex(category);
             }
             if (level) {
                 skillConditions.level = level;
@@ -81,21 +170,47 @@ class SearchController {
             const skip = (parseInt(page) - 1) * parseInt(limit);
             const limitNum = parseInt(limit);
 
-            // Sort options
+            // Sort options (relevance is always best-first, ties broken by rating)
             const sortOptions = {};
-            sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+            if (sortBy === 'relevance') {
+                sortOptions.score = { $meta: 'textScore' };
+                sortOptions['rating.average'] = -1;
+            } else {
+                sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+            }
 
             // Execute search
-            const [users, totalCount] = await Promise.all([
-                User.find(finalQuery)
-                    .select('-password -otp -emailVerificationToken -passwordResetToken -loginAttempts -lockUntil')
-                    .sort(sortOptions)
-                    .skip(skip)
-                    .limit(limitNum)
-                    .lean(),
+            const projection = {
+                password: 0,
+                otp: 0,
+                emailVerificationToken: 0,
+                passwordResetToken: 0,
+                loginAttempts: 0,
+                lockUntil: 0
+            };
+            if (isTextSearch) {
+                projection.score = { $meta: 'textScore' };
+            }
+
+            const computedOrder = COMPUTED_ORDERS[sortBy]?.({ skill, now: new Date() });
+
+            const [foundUsers, totalCount] = await Promise.all([
+                computedOrder
+                    ? findInComputedOrder(finalQuery, computedOrder, projection, skip, limitNum)
+                    : User.find(finalQuery)
+                        .select(projection)
+                        .sort(sortOptions)
+                        .skip(skip)
+                        .limit(limitNum)
+                        .lean(),
                 User.countDocuments(finalQuery)
             ]);
 
+            // Attach the snippet that matched so the client can highlight it
+            const users = isTextSearch
+                ? foundUsers.map(user => ({ ...user, highlight: findUserHighlight(user, terms) }))
+                : foundUsers;
+
             // Calculate pagination info
             const totalPages = Math.ceil(totalCount / limitNum);
             const hasNextPage = page < totalPages;
@@ -117,6 +232,9 @@ class SearchController {
                         limit: limitNum
                     },
                     filters: {
+                        q,
+                        terms,
+                        sortBy,
                         skill,
                         category,
                         level,
@@ -195,14 +313,14 @@ class SearchController {
             // Add query filter if provided (after $unwind, before $group)
             if (query) {
                 pipeline.splice(2, 0, {
-                    $match: { 'skills.name': new RegExp(query, 'i') }
+                    $match: { 'skills.name': literalRegex(query) }
                 });
             }
 
             // Add category filter if provided (after $unwind, before $group)
             if (category) {
                 pipeline.splice(query ? 3 : 2, 0, {
-                    $match: { 'skills.category': new RegExp(category, 'i') }
+                    $match: { 'skills.category': literalRegex(category) }
                 });
             }
 
@@ -294,7 +412,7 @@ class SearchController {
                 suggestions.skills = await User.aggregate([
                     { $match: { status: 'active', isEmailVerified: true } },
                     { $unwind: '$skills' },
-                    { $match: { 'skills.name': new RegExp(query, 'i') } },
+                    { $match: { 'skills.name': literalRegex(query) } },
                     {
                         $group: {
                             _id: '$skills.name',
@@ -320,7 +438,7 @@ class SearchController {
                 suggestions.categories = await User.aggregate([
                     { $match: { status: 'active', isEmailVerified: true } },
                     { $unwind: '$skills' },
-                    { $match: { 'skills.category': new RegExp(query, 'i') } },
+                    { $match: { 'skills.category': literalRegex(query) } },
                     {
                         $group: {
                             _id: '$skills.category',
@@ -345,9 +463,9 @@ class SearchController {
                     status: 'active',
                     isEmailVerified: true,
                     $or: [
-                        { firstName: new RegExp(query, 'i') },
-                        { lastName: new RegExp(query, 'i') },
-                        { 'skills.name': new RegExp(query, 'i') }
+                        { firstName: literalRegex(query) },
+                        { lastName: literalRegex(query) },
+                        { 'skills.name': literalRegex(query) }
                     ]
                 })
                     .select('firstName lastName profileImage rating skills')
@@ -430,6 +548,33 @@ class SearchController {
             next(error);
         }
     }
+
+    /**
+     * Get reciprocal skill-swap suggestions for the current user
+     * @route GET /api/search/matches
+     */
+    static async getMatches(req, res, next) {
+        try {
+            const { limit, maxDistance } = req.query;
+
+            const result = await MatchingService.findMatches(req.user.id, {
+                limit: parseInt(limit) || 10,
+                maxDistance: maxDistance ? parseFloat(maxDistance) : undefined
+            });
+
+            RequestLogger.logDatabaseOperation('get_matches', 'users', true);
+
+            res.status(200).json({
+                success: true,
+                data: result,
+                message: `Found ${result.matches.length} suggested swaps`
+            });
+
+        } catch (error) {
+            RequestLogger.logDatabaseOperation('get_matches', 'users', false, error);
+            next(error);
+        }
+    }
 }
 
 module.exports = SearchController;
\ No newline at end of file
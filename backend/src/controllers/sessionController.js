@@ -1,4 +1,6 @@
 const SessionService = require('../services/sessionService');
+const AvailabilityService = require('../services/availabilityService');
+const CalendarService = require('../services/calendarService');
 const { RequestLogger } = require('../middleware/logging');
 
 /**
@@ -7,12 +9,25 @@ const { RequestLogger } = require('../middleware/logging');
  */
 class SessionController {
     /**
-     * Create a new session booking request
+     * Create a new session booking request (or a recurring series when `recurrence` is set)
      * @route POST /api/sessions
      */
     static async createSession(req, res, next) {
         try {
             const requesterId = req.user.id;
+
+            if (req.body.recurrence) {
+                const series = await SessionService.createSessionSeries(requesterId, req.body);
+
+                RequestLogger.logDatabaseOperation('create_session_series', 'sessions', true);
+
+                return res.status(201).json({
+                    success: true,
+                    data: series,
+                    message: `Recurring session request created with ${series.sessions.length} sessions`
+                });
+            }
+
             const session = await SessionService.createSessionRequest(requesterId, req.body);
 
             RequestLogger.logDatabaseOperation('create_session', 'sessions', true);
@@ -53,7 +68,32 @@ class SessionController {
     }
 
     /**
-     * Get a specific session by ID
+     * Get a provider's bookable slots
+     * @route GET /api/sessions/availability/:providerId
+     */
+    static async getProviderAvailability(req, res, next) {
+        try {
+            const { providerId } = req.params;
+            const { from, to, duration } = req.query;
+
+            const availability = await AvailabilityService.getAvailableSlots(providerId, { from, to, duration });
+
+            RequestLogger.logDatabaseOperation('get_provider_availability', 'sessions', true);
+
+            res.status(200).json({
+                success: true,
+                data: availability,
+                message: `Found ${availability.slots.length} available slots`
+            });
+
+        } catch (error) {
+            RequestLogger.logDatabaseOperation('get_provider_availability', 'sessions', false, error);
+            next(error);
+        }
+    }
+
+    /**
+     * Get a specific session by ID (as an .ics file with ?format=ics or Accept: text/calendar)
      * @route GET /api/sessions/:sessionId
      */
     static async getSession(req, res, next) {
@@ -61,6 +101,16 @@ class SessionController {
             const { sessionId } = req.params;
             const userId = req.user.id;
 
+            if (req.query.format === 'ics' || (req.get('Accept') || '').includes('text/calendar')) {
+                const { filename, calendar } = await CalendarService.getSessionCalendar(sessionId, userId);
+
+                RequestLogger.logDatabaseOperation('export_session_calendar', 'sessions', true);
+
+                res.set('Content-Type', 'text/calendar; charset=utf-8');
+                res.set('Content-Disposition', `attachment; filename="${filename}"`);
+                return res.status(200).send(calendar);
+            }
+
             const session = await SessionService.getSessionWithAccess(sessionId, userId);
 
             RequestLogger.logDatabaseOperation('get_session', 'sessions', true);
@@ -77,6 +127,70 @@ class SessionController {
         }
     }
 
+    /**
+     * Create or regenerate the user's secret calendar feed URL
+     * @route POST /api/sessions/calendar/feed-token
+     */
+    static async createCalendarFeed(req, res, next) {
+        try {
+            const { token, createdAt } = await CalendarService.createFeedToken(req.user.id);
+            const feedUrl = `${req.protocol}://${req.get('host')}/api/sessions/calendar/feed/${token}.ics`;
+
+            RequestLogger.logDatabaseOperation('create_calendar_feed', 'users', true);
+
+            res.status(201).json({
+                success: true,
+                data: { feedUrl, createdAt },
+                message: 'Calendar feed created. Any previous feed URL no longer works.'
+            });
+
+        } catch (error) {
+            RequestLogger.logDatabaseOperation('create_calendar_feed', 'users', false, error);
+            next(error);
+        }
+    }
+
+    /**
+     * Revoke the user's calendar feed
+     * @route DELETE /api/sessions/calendar/feed-token
+     */
+    static async revokeCalendarFeed(req, res, next) {
+        try {
+            await CalendarService.revokeFeedToken(req.user.id);
+
+            RequestLogger.logDatabaseOperation('revoke_calendar_feed', 'users', true);
+
+            res.status(200).json({
+                success: true,
+                message: 'Calendar feed revoked'
+            });
+
+        } catch (error) {
+            RequestLogger.logDatabaseOperation('revoke_calendar_feed', 'users', false, error);
+            next(error);
+        }
+    }
+
+    /**
+     * Serve a calendar feed of upcoming sessions for calendar subscriptions
+     * @route GET /api/sessions/calendar/feed/:token.ics
+     */
+    static async getCalendarFeed(req, res, next) {
+        try {
+            const calendar = await CalendarService.getFeedCalendar(req.params.token);
+
+            RequestLogger.logDatabaseOperation('get_calendar_feed', 'sessions', true);
+
+            res.set('Content-Type', 'text/calendar; charset=utf-8');
+            res.set('Cache-Control', 'private, max-age=300');
+            res.status(200).send(calendar);
+
+        } catch (error) {
+            RequestLogger.logDatabaseOperation('get_calendar_feed', 'sessions', false, error);
+            next(error);
+        }
+    }
+
     /**
      * Respond to a session request (accept/decline)
      * @route PUT /api/sessions/:sessionId/respond
@@ -108,6 +222,32 @@ class SessionController {
         }
     }
 
+    /**
+     * Respond to all pending sessions of a recurring series
+     * @route PUT /api/sessions/series/:seriesId/respond
+     */
+    static async respondToSeries(req, res, next) {
+        try {
+            const { seriesId } = req.params;
+            const { action, ...responseData } = req.body;
+            const providerId = req.user.id;
+
+            const sessions = await SessionService.respondToSeries(seriesId, providerId, action, responseData);
+
+            RequestLogger.logDatabaseOperation('respond_to_series', 'sessions', true);
+
+            res.status(200).json({
+                success: true,
+                data: sessions,
+                message: `${sessions.length} sessions ${action === 'accept' ? 'accepted' : 'declined'} successfully`
+            });
+
+        } catch (error) {
+            RequestLogger.logDatabaseOperation('respond_to_series', 'sessions', false, error);
+            next(error);
+        }
+    }
+
     /**
      * Propose alternative time for a session
      * @route POST /api/sessions/:sessionId/alternative-time
@@ -141,9 +281,22 @@ class SessionController {
     static async cancelSession(req, res, next) {
         try {
             const { sessionId } = req.params;
-            const { reason } = req.body;
+            const { reason, scope } = req.body;
             const userId = req.user.id;
 
+            // "This and following" occurrences of a recurring series
+            if (scope === 'following') {
+                const sessions = await SessionService.cancelSessionAndFollowing(sessionId, userId, reason);
+
+                RequestLogger.logDatabaseOperation('cancel_session_series', 'sessions', true);
+
+                return res.status(200).json({
+                    success: true,
+                    data: sessions,
+                    message: `${sessions.length} sessions cancelled successfully`
+                });
+            }
+
             const session = await SessionService.cancelSession(sessionId, userId, reason);
 
             RequestLogger.logDatabaseOperation('cancel_session', 'sessions', true);
@@ -186,6 +339,32 @@ class SessionController {
         }
     }
 
+    /**
+     * Report a no-show for an accepted session
+     * @route PUT /api/sessions/:sessionId/no-show
+     */
+    static async reportNoShow(req, res, next) {
+        try {
+            const { sessionId } = req.params;
+            const { reason } = req.body;
+            const userId = req.user.id;
+
+            const session = await SessionService.reportNoShow(sessionId, userId, reason);
+
+            RequestLogger.logDatabaseOperation('report_no_show', 'sessions', true);
+
+            res.status(200).json({
+                success: true,
+                data: session,
+                message: 'No-show reported successfully'
+            });
+
+        } catch (error) {
+            RequestLogger.logDatabaseOperation('report_no_show', 'sessions', false, error);
+            next(error);
+        }
+    }
+
     /**
      * Submit feedback for a completed session
      * @route POST /api/sessions/:sessionId/feedback
@@ -0,0 +1,79 @@
+const cron = require('node-cron');
+const AccountService = require('../services/accountService');
+
+/**
+ * Account Deletion Job
+ * Purges the personal data of accounts whose deletion grace period has ended
+ */
+class AccountDeletionJob {
+    constructor() {
+        this.isRunning = false;
+        this.jobs = [];
+    }
+
+    /**
+     * Start the deletion job
+     */
+    start() {
+        console.log('🗑️ Starting account deletion job...');
+
+        // Purge due accounts once an hour
+        const deletionJob = cron.schedule('0 * * * *', async () => {
+            if (this.isRunning) {
+                console.log('⏭️ Skipping account deletion - already running');
+                return;
+            }
+
+            try {
+                this.isRunning = true;
+                const purged = await AccountService.purgeDueAccounts();
+                if (purged > 0) {
+                    console.log(`🗑️ Purged ${purged} deleted account(s)`);
+                }
+            } catch (error) {
+                console.error('❌ Error purging deleted accounts:', error);
+            } finally {
+                this.isRunning = false;
+            }
+        }, {
+            scheduled: false,
+            timezone: 'UTC'
+        });
+
+        this.jobs = [deletionJob];
+        this.jobs.forEach(job => job.start());
+
+        console.log('✅ Account deletion job started');
+    }
+
+    /**
+     * Stop the deletion job
+     */
+    stop() {
+        console.log('🛑 Stopping account deletion job...');
+
+        this.jobs.forEach(job => {
+            if (job) {
+                job.stop();
+            }
+        });
+
+        this.jobs = [];
+        console.log('✅ Account deletion job stopped');
+    }
+
+    /**
+     * Get job status
+     */
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            activeJobs: this.jobs.length
+        };
+    }
+}
+
+// Create singleton instance
+const accountDeletionJob = new AccountDeletionJob();
+
+module.exports = accountDeletionJob;
@@ -0,0 +1,80 @@
+const cron = require('node-cron');
+const SessionService = require('../services/sessionService');
+
+/**
+ * Session Expiry Job
+ * Moves pending requests whose scheduled time has passed to 'expired'
+ * so they stop showing up as actionable
+ */
+class SessionExpiryJob {
+    constructor() {
+        this.isRunning = false;
+        this.jobs = [];
+    }
+
+    /**
+     * Start the expiry job
+     */
+    start() {
+        console.log('⌛ Starting session expiry job...');
+
+        // Expire stale pending requests every 15 minutes
+        const expiryJob = cron.schedule('*/15 * * * *', async () => {
+            if (this.isRunning) {
+                console.log('⏭️ Skipping session expiry - already running');
+                return;
+            }
+
+            try {
+                this.isRunning = true;
+                const expired = await SessionService.expireStalePendingSessions();
+                if (expired > 0) {
+                    console.log(`⌛ Expired ${expired} pending session request(s)`);
+                }
+            } catch (error) {
+                console.error('❌ Error expiring sessions:', error);
+            } finally {
+                this.isRunning = false;
+            }
+        }, {
+            scheduled: false,
+            timezone: 'UTC'
+        });
+
+        this.jobs = [expiryJob];
+        this.jobs.forEach(job => job.start());
+
+        console.log('✅ Session expiry job started');
+    }
+
+    /**
+     * Stop the expiry job
+     */
+    stop() {
+        console.log('🛑 Stopping session expiry job...');
+
+        this.jobs.forEach(job => {
+            if (job) {
+                job.stop();
+            }
+        });
+
+        this.jobs = [];
+        console.log('✅ Session expiry job stopped');
+    }
+
+    /**
+     * Get job status
+     */
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            activeJobs: this.jobs.length
+        };
+    }
+}
+
+// Create singleton instance
+const sessionExpiryJob = new SessionExpiryJob();
+
+module.exports = sessionExpiryJob;
@@ -0,0 +1,224 @@
+const cron = require('node-cron');
+const Session = require('../models/Session');
+const NotificationService = require('../services/notificationService');
+const config = require('../config');
+
+const PARTICIPANT_ROLES = ['requester', 'provider'];
+
+/**
+ * Format a duration until the session starts, e.g. "24 hours" or "45 minutes"
+ */
+function formatTimeUntil(milliseconds) {
+    const minutes = Math.max(1, Math.round(milliseconds / 60000));
+    if (minutes < 60) {
+        return `${minutes} minute${minutes > 1 ? 's' : ''}`;
+    }
+
+    const hours = Math.round(minutes / 60);
+    return `${hours} hour${hours > 1 ? 's' : ''}`;
+}
+
+/**
+ * Format the session start time in the participant's timezone
+ */
+function formatLocalStartTime(date, timezone = 'UTC') {
+    const format = (timeZone) => new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        dateStyle: 'medium',
+        timeStyle: 'short',
+    }).format(date);
+
+    try {
+        return `${format(timezone)} ${timezone}`;
+    } catch (error) {
+        // Unknown IANA timezone stored on the profile
+        return `${format('UTC')} UTC`;
+    }
+}
+
+/**
+ * Session Reminder Scheduler Job
+ * Sends session_reminder notifications to both participants of accepted
+ * sessions as they enter each configured reminder window
+ */
+class SessionReminderScheduler {
+    constructor(options = {}) {
+        this.windows = [...(options.windows || config.sessionReminders.windows)].sort((a, b) => b - a);
+        this.isRunning = false;
+        this.jobs = [];
+    }
+
+    /**
+     * Start the reminder job
+     */
+    start() {
+        console.log('⏰ Starting session reminder scheduler...');
+
+        // Check for due reminders every 5 minutes
+        const reminderJob = cron.schedule('*/5 * * * *', async () => {
+            if (this.isRunning) {
+                console.log('⏭️ Skipping session reminders - already running');
+                return;
+            }
+
+            try {
+                this.isRunning = true;
+                await this.sendDueReminders();
+            } catch (error) {
+                console.error('❌ Error sending session reminders:', error);
+            } finally {
+                this.isRunning = false;
+            }
+        }, {
+            scheduled: false,
+            timezone: 'UTC'
+        });
+
+        this.jobs = [reminderJob];
+        this.jobs.forEach(job => job.start());
+
+        console.log(`✅ Session reminder scheduler started (windows: ${this.windows.join(', ')} minutes)`);
+    }
+
+    /**
+     * Stop the reminder job
+     */
+    stop() {
+        console.log('🛑 Stopping session reminder scheduler...');
+
+        this.jobs.forEach(job => {
+            if (job) {
+                job.stop();
+            }
+        });
+
+        this.jobs = [];
+        console.log('✅ Session reminder scheduler stopped');
+    }
+
+    /**
+     * Send reminders for every accepted session starting within the largest window
+     */
+    async sendDueReminders(now = new Date()) {
+        if (this.windows.length === 0) {
+            return { sessions: 0, sent: 0 };
+        }
+
+        const horizon = new Date(now.getTime() + this.windows[0] * 60000);
+
+        const sessions = await Session.find({
+            status: 'accepted',
+            scheduledDate: { $gt: now, $lte: horizon },
+            $or: [
+                { 'remindersSent.requester': { $ne: true } },
+                { 'remindersSent.provider': { $ne: true } }
+            ]
+        }).populate('requester provider', 'firstName lastName availability preferences');
+
+        let sent = 0;
+        for (const session of sessions) {
+            for (const role of PARTICIPANT_ROLES) {
+                try {
+                    if (await this.remindParticipant(session, role, now)) {
+                        sent++;
+                    }
+                } catch (error) {
+                    console.error(`❌ Failed to send ${role} reminder for session ${session._id}:`, error);
+                }
+            }
+        }
+
+        if (sent > 0) {
+            console.log(`⏰ Sent ${sent} session reminders for ${sessions.length} sessions`);
+        }
+
+        return { sessions: sessions.length, sent };
+    }
+
+    /**
+     * Get the reminder window a participant is due for, or null if none.
+     * Only the smallest window containing the start time is used, so a session
+     * booked 30 minutes ahead gets a single reminder rather than one per window.
+     */
+    getDueWindow(session, role, now = new Date()) {
+        const minutesUntil = (session.scheduledDate.getTime() - now.getTime()) / 60000;
+        if (minutesUntil <= 0) {
+            return null;
+        }
+
+        const containing = this.windows.filter(window => minutesUntil <= window);
+        if (containing.length === 0) {
+            return null;
+        }
+
+        const window = Math.min(...containing);
+        const history = session.remindersSent?.history || [];
+        const alreadySent = history.some(entry => entry.role === role && entry.windowMinutes <= window);
+
+        return alreadySent ? null : window;
+    }
+
+    /**
+     * Send one participant's reminder if due, returns true when a reminder was sent
+     */
+    async remindParticipant(session, role, now = new Date()) {
+        const participant = session[role];
+        if (!participant || participant.preferences?.sessionReminders === false) {
+            return false;
+        }
+
+        const window = this.getDueWindow(session, role, now);
+        if (window === null) {
+            return false;
+        }
+
+        // Claim the window atomically so overlapping runs never send the same reminder twice
+        const update = {
+            $push: { 'remindersSent.history': { role, windowMinutes: window, sentAt: now } }
+        };
+        if (window === this.windows[this.windows.length - 1]) {
+            update.$set = { [`remindersSent.${role}`]: true };
+        }
+
+        const claim = await Session.updateOne({
+            _id: session._id,
+            'remindersSent.history': { $not: { $elemMatch: { role, windowMinutes: { $lte: window } } } }
+        }, update);
+
+        if (claim.modifiedCount === 0) {
+            return false;
+        }
+
+        const timezone = participant.availability?.timezone || session.timezone || 'UTC';
+
+        await NotificationService.createSessionNotification(
+            { session, recipientId: participant._id },
+            'session_reminder',
+            {
+                timeUntil: formatTimeUntil(session.scheduledDate.getTime() - now.getTime()),
+                localStartTime: formatLocalStartTime(session.scheduledDate, timezone),
+            }
+        );
+
+        return true;
+    }
+
+    /**
+     * Get job status
+     */
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            activeJobs: this.jobs.length,
+            windows: this.windows
+        };
+    }
+}
+
+// Create singleton instance
+const sessionReminderScheduler = new SessionReminderScheduler();
+
+module.exports = sessionReminderScheduler;
+module.exports.SessionReminderScheduler = SessionReminderScheduler;
+module.exports.formatTimeUntil = formatTimeUntil;
+module.exports.formatLocalStartTime = formatLocalStartTime;
@@ -1,5 +1,6 @@
 const JWTUtils = require('../utils/jwt');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
 const {
     AuthenticationError,
     AuthorizationError,
@@ -23,8 +24,14 @@ const authMiddleware = asyncHandler(async (req, res, next) => {
         // Verify token
         const decoded = JWTUtils.verifyAccessToken(token);
 
+        // Special purpose tokens (email verification, two-factor challenge) share the
+        // access token secret but must never grant access
+        if (decoded.purpose) {
+            throw new AuthenticationError('Invalid token');
+        }
+
         // Find user
-        const user = await User.findById(decoded.id);
+        const user = await User.findById(decoded.id).select('+passwordChangedAt');
         if (!user) {
             throw new AuthenticationError('User not found');
         }
@@ -57,6 +64,16 @@ const authMiddleware = asyncHandler(async (req, res, next) => {
             throw new AuthenticationError('Password was changed. Please log in again.');
         }
 
+        // Check the login session has not been logged out or revoked
+        // (tokens without a session id predate refresh token persistence)
+        if (decoded.sid && !(await RefreshToken.isFamilyActive(decoded.sid))) {
+            RequestLogger.logSecurityEvent(req, 'REVOKED_SESSION_ACCESS', {
+                userId: user._id,
+                sessionId: decoded.sid,
+            });
+            throw new AuthenticationError('Session has been revoked. Please log in again.');
+        }
+
         // Add user to request object
         req.user = {
             id: user._id,
@@ -67,6 +84,7 @@ const authMiddleware = asyncHandler(async (req, res, next) => {
             role: user.role,
             status: user.status,
             isEmailVerified: user.isEmailVerified,
+            sessionId: decoded.sid,
         };
 
         next();
@@ -143,9 +161,12 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
     try {
         // Verify token
         const decoded = JWTUtils.verifyAccessToken(token);
+        if (decoded.purpose) {
+            return next();
+        }
 
         // Find user
-        const user = await User.findById(decoded.id);
+        const user = await User.findById(decoded.id).select('+passwordChangedAt');
         if (!user || user.status !== 'active' || user.isLocked) {
             // Invalid user, continue without authentication
             return next();
@@ -157,6 +178,11 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
             return next();
         }
 
+        if (decoded.sid && !(await RefreshToken.isFamilyActive(decoded.sid))) {
+            // Session was revoked, continue without authentication
+            return next();
+        }
+
         // Add user to request object
         req.user = {
             id: user._id,
@@ -167,6 +193,7 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
             role: user.role,
             status: user.status,
             isEmailVerified: user.isEmailVerified,
+            sessionId: decoded.sid,
         };
 
         next();
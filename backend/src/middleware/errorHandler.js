@@ -40,8 +40,20 @@ class NotFoundError extends AppError {
 }
 
 class ConflictError extends AppError {
-    constructor(message = 'Resource conflict') {
+    constructor(message = 'Resource conflict', errors = []) {
         super(message, 409, 'CONFLICT_ERROR');
+        this.errors = errors;
+    }
+}
+
+class InvalidStateTransitionError extends AppError {
+    constructor(message = 'Invalid state transition', transition = {}) {
+        super(message, 400, 'INVALID_STATE_TRANSITION');
+        this.errors = [{
+            field: 'status',
+            message: `Transition from '${transition.from}' to '${transition.to}' is not allowed`,
+            value: transition.to,
+        }];
     }
 }
 
@@ -210,6 +222,7 @@ module.exports = {
     AuthorizationError,
     NotFoundError,
     ConflictError,
+    InvalidStateTransitionError,
     RateLimitError,
 
     // Middleware
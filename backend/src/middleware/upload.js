@@ -1,6 +1,7 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const config = require('../config');
 
 /**
  * Multer configuration for file uploads
@@ -45,20 +46,54 @@ const upload = multer({
     fileFilter: imageFilter,
 });
 
+// Chat attachments: images are previewed inline, the rest are offered as downloads
+const CHAT_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const CHAT_FILE_TYPES = [
+    'application/pdf',
+    'text/plain',
+    'text/csv',
+    'application/zip',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+];
+
+const chatAttachmentFilter = (req, file, cb) => {
+    if (CHAT_IMAGE_TYPES.includes(file.mimetype) || CHAT_FILE_TYPES.includes(file.mimetype)) {
+        cb(null, true);
+    } else {
+        cb(new Error('This file type cannot be shared in chat'), false);
+    }
+};
+
+const chatUpload = multer({
+    storage,
+    limits: {
+        fileSize: config.chatAttachments.maxFileSize,
+        files: 1,
+    },
+    fileFilter: chatAttachmentFilter,
+});
+
+const formatMegabytes = (bytes) => `${Math.round(bytes / (1024 * 1024))}MB`;
+
 /**
- * Middleware for single image upload
+ * Run a multer single-file middleware and answer upload errors with a 400
+ * @param {Function} uploadMiddleware - multer `.single()` middleware
+ * @param {number} maxSize - Size limit in bytes (for the error message)
  */
-const uploadSingle = (fieldName = 'image') => {
+const handleUpload = (uploadMiddleware, maxSize) => {
     return (req, res, next) => {
-        const uploadMiddleware = upload.single(fieldName);
-
         uploadMiddleware(req, res, (error) => {
             if (error instanceof multer.MulterError) {
                 if (error.code === 'LIMIT_FILE_SIZE') {
                     return res.status(400).json({
                         success: false,
                         error: {
-                            message: 'File size too large. Maximum size is 5MB.',
+                            message: `File size too large. Maximum size is ${formatMegabytes(maxSize)}.`,
                             code: 'FILE_TOO_LARGE',
                         },
                     });
@@ -98,6 +133,19 @@ const uploadSingle = (fieldName = 'image') => {
     };
 };
 
+/**
+ * Middleware for single image upload
+ */
+const uploadSingle = (fieldName = 'image') => handleUpload(upload.single(fieldName), 5 * 1024 * 1024);
+
+/**
+ * Middleware for a single chat attachment (image or document)
+ */
+const uploadChatAttachment = (fieldName = 'attachment') => handleUpload(
+    chatUpload.single(fieldName),
+    config.chatAttachments.maxFileSize
+);
+
 /**
  * Cleanup uploaded file
  * @param {string} filePath - Path to the file to delete
@@ -133,6 +181,8 @@ const cleanupOnError = (req, res, next) => {
 module.exports = {
     upload,
     uploadSingle,
+    uploadChatAttachment,
+    CHAT_IMAGE_TYPES,
     cleanupFile,
     cleanupOnError,
 };
\ No newline at end of file
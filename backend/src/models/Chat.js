@@ -1,43 +1,70 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const Message = require('./Message');
+const User = require('./User');
+const config = require('../config');
+const {
+    AuthorizationError,
+    NotFoundError,
+    ValidationError,
+} = require('../middleware/errorHandler');
+
+// Text shown in the chat list for a message
+function previewOf(message) {
+    if (message.content || !message.attachment) {
+        return message.content;
+    }
+    return message.messageType === 'image' ? 'Sent an image' : `Sent a file: ${message.attachment.fileName}`;
+}
 
-const messageSchema = new Schema({
-    sender: {
-        type: Schema.Types.ObjectId,
-        ref: 'User',
-        required: [true, 'Message sender is required'],
-    },
-    content: {
-        type: String,
-        required: [true, 'Message content is required'],
-        trim: true,
-        maxlength: [1000, 'Message content cannot exceed 1000 characters'],
-    },
-    messageType: {
-        type: String,
-        enum: ['text', 'image', 'file', 'system'],
-        default: 'text',
-    },
-    isRead: {
-        type: Boolean,
-        default: false,
-    },
-    readAt: {
-        type: Date,
-    },
-    editedAt: {
-        type: Date,
-    },
-    isDeleted: {
-        type: Boolean,
-        default: false,
-    },
-    deletedAt: {
-        type: Date,
-    },
-}, {
-    timestamps: true,
-});
+const GROUP_ADMIN_ROLES = ['owner', 'admin'];
+
+function assertGroup(chat) {
+    if (chat.chatType !== 'group') {
+        throw new ValidationError('Only group chats have members to manage');
+    }
+}
+
+function dropParticipant(chat, userId) {
+    chat.participants.pull(userId);
+    const status = chat.getParticipantStatus(userId);
+    if (status) {
+        chat.participantStatus.pull(status._id);
+    }
+}
+
+// Store a message and update the chat preview and unread counters in place, so
+// concurrent senders don't overwrite each other's increments
+async function storeMessage(chat, senderId, fields) {
+    const message = await Message.create({
+        chat: chat._id,
+        sender: senderId,
+        ...fields,
+    });
+
+    const lastMessage = {
+        content: previewOf(message),
+        sender: senderId,
+        timestamp: message.createdAt,
+    };
+
+    await chat.constructor.updateOne(
+        { _id: chat._id },
+        {
+            $set: { lastMessage, lastActivity: message.createdAt },
+            $inc: { 'participantStatus.$[other].unreadCount': 1 },
+        },
+        { arrayFilters: [{ 'other.user': { $ne: senderId } }] }
+    );
+
+    // Reflect the stored values without scheduling them for the next save()
+    chat.lastMessage = lastMessage;
+    chat.lastActivity = message.createdAt;
+    chat.unmarkModified('lastMessage');
+    chat.unmarkModified('lastActivity');
+
+    return message;
+}
 
 const chatSchema = new Schema({
     // Chat participants
@@ -60,8 +87,26 @@ const chatSchema = new Schema({
         ref: 'Session',
     },
 
-    // Messages array
-    messages: [messageSchema],
+    // Group details (group chats only)
+    name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Group name cannot exceed 100 characters'],
+    },
+    avatar: {
+        url: String,
+        publicId: String, // Cloudinary public ID for deletion
+    },
+    // Skill the group is learning together
+    skill: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Skill cannot exceed 100 characters'],
+    },
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+    },
 
     // Chat metadata
     lastMessage: {
@@ -93,6 +138,16 @@ const chatSchema = new Schema({
             type: Schema.Types.ObjectId,
             ref: 'User',
         },
+        // Direct and session chats only have members
+        role: {
+            type: String,
+            enum: ['owner', 'admin', 'member'],
+            default: 'member',
+        },
+        // Messages sent up to this time have been read by the participant
+        lastReadAt: {
+            type: Date,
+        },
         lastSeen: {
             type: Date,
             default: Date.now,
@@ -108,6 +163,11 @@ const chatSchema = new Schema({
         typingAt: {
             type: Date,
         },
+        // Muted chats still deliver messages but send no notifications
+        isMuted: {
+            type: Boolean,
+            default: false,
+        },
     }],
 
     // Chat settings
@@ -127,16 +187,7 @@ const chatSchema = new Schema({
     },
 }, {
     timestamps: true,
-    toJSON: {
-        virtuals: true,
-        transform: function (doc, ret) {
-            // Remove deleted messages from JSON output
-            if (ret.messages) {
-                ret.messages = ret.messages.filter(msg => !msg.isDeleted);
-            }
-            return ret;
-        },
-    },
+    toJSON: { virtuals: true },
     toObject: { virtuals: true },
 });
 
@@ -144,14 +195,8 @@ const chatSchema = new Schema({
 chatSchema.index({ participants: 1, lastActivity: -1 });
 chatSchema.index({ session: 1 });
 chatSchema.index({ chatType: 1, isActive: 1 });
-chatSchema.index({ 'messages.sender': 1, 'messages.createdAt': -1 });
 chatSchema.index({ lastActivity: -1 });
 
-// Virtual for total message count
-chatSchema.virtual('messageCount').get(function () {
-    return this.messages ? this.messages.filter(msg => !msg.isDeleted).length : 0;
-});
-
 // Virtual for unread message count for a specific user
 chatSchema.virtual('getUnreadCount').get(function () {
     return function (userId) {
@@ -169,89 +214,128 @@ chatSchema.methods.isParticipant = function (userId) {
     );
 };
 
-// Instance method to add a message
-chatSchema.methods.addMessage = function (senderId, content, messageType = 'text') {
+// Instance method to add a message. The message is stored in its own collection.
+chatSchema.methods.addMessage = async function (senderId, content, messageType = 'text', attachment = null, replyTo = null) {
     if (!this.isParticipant(senderId)) {
         throw new Error('User is not a participant in this chat');
     }
 
-    const message = {
-        sender: senderId,
-        content: content.trim(),
-        messageType,
-    };
+    if (['image', 'file'].includes(messageType) && !attachment) {
+        throw new Error('Image and file messages require an uploaded attachment');
+    }
 
-    this.messages.push(message);
+    // Blocks only apply between two people; group chats are unaffected
+    if (this.chatType !== 'group') {
+        const recipientId = this.participants.find(participant => participant.toString() !== senderId.toString());
+        if (recipientId && await User.isBlockedBetween(senderId, recipientId)) {
+            throw new AuthorizationError('You cannot send messages to this user');
+        }
+    }
 
-    // Update last message and activity
-    this.lastMessage = {
-        content: content.trim(),
-        sender: senderId,
-        timestamp: new Date(),
-    };
-    this.lastActivity = new Date();
+    if (replyTo && !(await Message.exists({ _id: replyTo, chat: this._id, isDeleted: false }))) {
+        throw new ValidationError('The message you are replying to is no longer available');
+    }
 
-    // Update unread counts for other participants
-    this.participantStatus.forEach(participant => {
-        if (participant.user.toString() !== senderId.toString()) {
-            participant.unreadCount += 1;
-        }
+    const text = (content || '').trim();
+    return storeMessage(this, senderId, {
+        content: text || undefined,
+        messageType,
+        ...(attachment && { attachment }),
+        ...(replyTo && { replyTo }),
     });
+};
 
-    return this.messages[this.messages.length - 1];
+// Instance method to record a membership change. The actor may have just left the group.
+chatSchema.methods.addSystemMessage = function (actorId, content) {
+    return storeMessage(this, actorId, { content, messageType: 'system' });
 };
 
 // Instance method to mark messages as read
-chatSchema.methods.markAsRead = function (userId, messageId = null) {
+chatSchema.methods.markAsRead = async function (userId, messageId = null) {
     if (!this.isParticipant(userId)) {
         throw new Error('User is not a participant in this chat');
     }
 
     const now = new Date();
+    const filter = {
+        chat: this._id,
+        sender: { $ne: userId },
+        isRead: false,
+    };
+    if (messageId) {
+        filter._id = messageId;
+    }
+
+    await Message.updateMany(filter, { $set: { isRead: true, readAt: now } });
 
+    // Without a message id everything up to now has been read
+    let readUpTo = now;
     if (messageId) {
-        // Mark specific message as read
-        const message = this.messages.id(messageId);
-        if (message && message.sender.toString() !== userId.toString()) {
-            message.isRead = true;
-            message.readAt = now;
-        }
-    } else {
-        // Mark all unread messages as read
-        this.messages.forEach(message => {
-            if (message.sender.toString() !== userId.toString() && !message.isRead) {
-                message.isRead = true;
-                message.readAt = now;
-            }
-        });
-    }
-
-    // Reset unread count for this user
-    const participant = this.participantStatus.find(
-        p => p.user.toString() === userId.toString()
-    );
-    if (participant) {
-        participant.unreadCount = 0;
-        participant.lastSeen = now;
+        const message = await Message.findOne({ _id: messageId, chat: this._id }).select('createdAt');
+        readUpTo = message ? message.createdAt : null;
     }
+
+    // Reset unread count for this user; the read marker only moves forward
+    await this.constructor.updateOne(
+        { _id: this._id },
+        {
+            $set: {
+                'participantStatus.$[me].unreadCount': 0,
+                'participantStatus.$[me].lastSeen': now,
+            },
+            ...(readUpTo && { $max: { 'participantStatus.$[me].lastReadAt': readUpTo } }),
+        },
+        { arrayFilters: [{ 'me.user': userId }] }
+    );
+
+    return readUpTo;
+};
+
+// Instance method to update one participant's status in place. Saving the whole
+// chat from a socket handler could undo a membership change made in the meantime.
+chatSchema.methods.updateParticipantStatus = function (userId, fields) {
+    const $set = {};
+    Object.entries(fields).forEach(([field, value]) => {
+        $set[`participantStatus.$[me].${field}`] = value;
+    });
+
+    return this.constructor.updateOne(
+        { _id: this._id },
+        { $set },
+        { arrayFilters: [{ 'me.user': userId }] }
+    );
 };
 
 // Instance method to set typing status
-chatSchema.methods.setTypingStatus = function (userId, isTyping) {
+chatSchema.methods.setTypingStatus = async function (userId, isTyping) {
     if (!this.isParticipant(userId)) {
         throw new Error('User is not a participant in this chat');
     }
 
-    const participant = this.participantStatus.find(
-        p => p.user.toString() === userId.toString()
-    );
+    await this.updateParticipantStatus(userId, {
+        isTyping,
+        typingAt: isTyping ? new Date() : null,
+    });
+};
+
+// Instance method to mute or unmute the chat for one participant
+chatSchema.methods.setMuted = async function (userId, muted) {
+    if (!this.isParticipant(userId)) {
+        throw new AuthorizationError('User is not a participant in this chat');
+    }
 
-    if (participant) {
-        participant.isTyping = isTyping;
-        participant.typingAt = isTyping ? new Date() : null;
+    await this.updateParticipantStatus(userId, { isMuted: muted });
+    const status = this.getParticipantStatus(userId);
+    if (status) {
+        status.isMuted = muted;
     }
 };
 
+// Instance method to check whether a participant muted the chat
+chatSchema.methods.isMutedBy = function (userId) {
+    return Boolean(this.getParticipantStatus(userId)?.isMuted);
+};
+
 // Instance method to get other participant (for direct chats)
 chatSchema.methods.getOtherParticipant = function (userId) {
     if (this.chatType !== 'direct' || this.participants.length !== 2) {
@@ -263,17 +347,136 @@ chatSchema.methods.getOtherParticipant = function (userId) {
     );
 };
 
+// Instance method to get a participant's status entry
+chatSchema.methods.getParticipantStatus = function (userId) {
+    return this.participantStatus.find(
+        status => status.user.toString() === userId.toString()
+    );
+};
+
+// Instance method to get a participant's group role (null for non-participants)
+chatSchema.methods.getRole = function (userId) {
+    if (!this.isParticipant(userId)) {
+        return null;
+    }
+    return this.getParticipantStatus(userId)?.role || 'member';
+};
+
+// Instance method to check if user may manage a group
+chatSchema.methods.isGroupAdmin = function (userId) {
+    return this.chatType === 'group' && GROUP_ADMIN_ROLES.includes(this.getRole(userId));
+};
+
+// Instance method to add members to a group; returns the ids that were not members yet
+chatSchema.methods.addMembers = function (actorId, userIds) {
+    assertGroup(this);
+
+    if (!this.isGroupAdmin(actorId)) {
+        throw new AuthorizationError('Only group admins can add members');
+    }
+
+    const added = [...new Set(userIds.map(id => id.toString()))]
+        .filter(id => !this.isParticipant(id));
+
+    if (this.participants.length + added.length > this.settings.maxParticipants) {
+        throw new ValidationError(`Groups can have at most ${this.settings.maxParticipants} members`);
+    }
+
+    const now = new Date();
+    added.forEach(userId => {
+        this.participants.push(userId);
+        this.participantStatus.push({ user: userId, role: 'member', lastSeen: now, unreadCount: 0 });
+    });
+
+    return added;
+};
+
+// Instance method to remove a member; admins can remove members, only the owner can remove admins
+chatSchema.methods.removeMember = function (actorId, userId) {
+    assertGroup(this);
+
+    const actorRole = this.getRole(actorId);
+    const memberRole = this.getRole(userId);
+
+    if (!GROUP_ADMIN_ROLES.includes(actorRole)) {
+        throw new AuthorizationError('Only group admins can remove members');
+    }
+    if (!memberRole) {
+        throw new NotFoundError('User is not a member of this group');
+    }
+    if (memberRole === 'owner') {
+        throw new AuthorizationError('The group owner cannot be removed');
+    }
+    if (memberRole === 'admin' && actorRole !== 'owner') {
+        throw new AuthorizationError('Only the group owner can remove admins');
+    }
+
+    dropParticipant(this, userId);
+};
+
+// Instance method to leave a group. When the owner leaves, ownership passes to an
+// admin or else the longest-standing member; returns the new owner's id, if any.
+chatSchema.methods.leaveGroup = function (userId) {
+    assertGroup(this);
+
+    const role = this.getRole(userId);
+    if (!role) {
+        throw new NotFoundError('User is not a member of this group');
+    }
+
+    dropParticipant(this, userId);
+
+    if (this.participants.length === 0) {
+        this.isActive = false;
+        return null;
+    }
+
+    if (role !== 'owner') {
+        return null;
+    }
+
+    const successor = this.participantStatus.find(status => status.role === 'admin') || this.participantStatus[0];
+    successor.role = 'owner';
+    return successor.user;
+};
+
+// Instance method to promote a member to admin or demote an admin (owner only)
+chatSchema.methods.setMemberRole = function (actorId, userId, role) {
+    assertGroup(this);
+
+    if (this.getRole(actorId) !== 'owner') {
+        throw new AuthorizationError('Only the group owner can change member roles');
+    }
+
+    const status = this.getParticipantStatus(userId);
+    if (!status) {
+        throw new NotFoundError('User is not a member of this group');
+    }
+    if (status.role === 'owner' || !['admin', 'member'].includes(role)) {
+        throw new ValidationError('The owner role cannot be assigned or changed');
+    }
+
+    const changed = status.role !== role;
+    status.role = role;
+    return changed;
+};
+
 // Instance method to archive chat
 chatSchema.methods.archive = function () {
     this.isArchived = true;
     this.isActive = false;
 };
 
+// Instance method to find a message of this chat
+chatSchema.methods.findMessage = function (messageId) {
+    return Message.findOne({ _id: messageId, chat: this._id });
+};
+
 // Instance method to delete message
-chatSchema.methods.deleteMessage = function (messageId, userId) {
-    const message = this.messages.id(messageId);
+chatSchema.methods.deleteMessage = async function (messageId, userId) {
+    const message = await this.findMessage(messageId);
 
-    if (!message) {
+    if (!message || message.isDeleted) {
         throw new Error('Message not found');
     }
 
@@ -287,6 +490,81 @@ chatSchema.methods.deleteMessage = function (messageId, userId) {
     return message;
 };
 
+// Instance method to edit a message within the edit window; earlier versions are kept
+chatSchema.methods.editMessage = async function (messageId, userId, content) {
+    const message = await this.findMessage(messageId);
+
+    if (!message || message.isDeleted) {
+        throw new NotFoundError('Message not found');
+    }
+
+    if (message.sender.toString() !== userId.toString()) {
+        throw new AuthorizationError('You can only edit your own messages');
+    }
+
+    if (!message.isEditable()) {
+        throw new AuthorizationError(
+            `Messages can only be edited within ${config.chatMessages.editWindowMinutes} minutes of sending`
+        );
+    }
+
+    const text = (content || '').trim();
+    if (!text && !message.attachment) {
+        throw new ValidationError('Message content is required');
+    }
+    if (text === (message.content || '')) {
+        return message;
+    }
+
+    const now = new Date();
+    message.editHistory = [...(message.editHistory || []), { content: message.content, editedAt: now }];
+    message.content = text || undefined;
+    message.editedAt = now;
+    await message.save();
+
+    // Keep the chat list preview in sync when the latest message changes
+    await this.constructor.updateOne(
+        { _id: this._id, 'lastMessage.timestamp': message.createdAt, 'lastMessage.sender': message.sender },
+        { $set: { 'lastMessage.content': previewOf(message) } }
+    );
+
+    return message;
+};
+
+// Instance method to react to a message; each user can use each emoji once
+chatSchema.methods.addReaction = async function (messageId, userId, emoji) {
+    if (!this.isParticipant(userId)) {
+        throw new AuthorizationError('User is not a participant in this chat');
+    }
+
+    const message = await Message.findOneAndUpdate(
+        { _id: messageId, chat: this._id, isDeleted: false },
+        { $addToSet: { reactions: { emoji, user: userId } } },
+        { new: true, runValidators: true }
+    );
+
+    if (!message) {
+        throw new NotFoundError('Message not found');
+    }
+
+    return message;
+};
+
+// Instance method to take back a reaction
+chatSchema.methods.removeReaction = async function (messageId, userId, emoji) {
+    const message = await Message.findOneAndUpdate(
+        { _id: messageId, chat: this._id, isDeleted: false },
+        { $pull: { reactions: { emoji, user: userId } } },
+        { new: true }
+    );
+
+    if (!message) {
+        throw new NotFoundError('Message not found');
+    }
+
+    return message;
+};
+
 // Static method to find or create direct chat between two users
 chatSchema.statics.findOrCreateDirectChat = async function (user1Id, user2Id, sessionId = null) {
     // Build query for existing chat
@@ -306,6 +584,10 @@ chatSchema.statics.findOrCreateDirectChat = async function (user1Id, user2Id, se
     let chat = await this.findOne(query).populate('participants', 'firstName lastName profileImage');
 
     if (!chat) {
+        if (await User.isBlockedBetween(user1Id, user2Id)) {
+            throw new AuthorizationError('You cannot start a chat with this user');
+        }
+
         // Create new direct chat
         const chatData = {
             chatType: 'direct',
@@ -329,6 +611,28 @@ chatSchema.statics.findOrCreateDirectChat = async function (user1Id, user2Id, se
     return chat;
 };
 
+// Static method to create a group chat owned by its creator
+chatSchema.statics.createGroupChat = async function (ownerId, { name, skill, memberIds = [] }) {
+    const members = [...new Set(memberIds.map(id => id.toString()))]
+        .filter(id => id !== ownerId.toString());
+
+    const chat = new this({
+        chatType: 'group',
+        name,
+        skill,
+        createdBy: ownerId,
+        participants: [ownerId, ...members],
+        participantStatus: [
+            { user: ownerId, role: 'owner' },
+            ...members.map(userId => ({ user: userId, role: 'member' })),
+        ],
+        settings: { maxParticipants: config.chatGroups.maxParticipants },
+    });
+
+    await chat.save();
+    return chat;
+};
+
 // Static method to find user's chats
 chatSchema.statics.findUserChats = function (userId, options = {}) {
     const { page = 1, limit = 20, includeArchived = false } = options;
@@ -369,10 +673,21 @@ chatSchema.pre('save', function (next) {
         return next(new Error('Direct chat must have exactly 2 participants'));
     }
 
-    // Initialize participant status if not exists
+    if (this.chatType === 'group') {
+        if (!this.name) {
+            return next(new ValidationError('Group name is required'));
+        }
+        if (this.participants.length > this.settings.maxParticipants) {
+            return next(new ValidationError(`Groups can have at most ${this.settings.maxParticipants} members`));
+        }
+    }
+
+    // Initialize participant status, keeping any roles given on creation
     if (this.isNew) {
+        const roles = new Map(this.participantStatus.map(status => [status.user.toString(), status.role]));
         this.participantStatus = this.participants.map(userId => ({
             user: userId,
+            role: roles.get(userId.toString()) || 'member',
             lastSeen: new Date(),
             unreadCount: 0,
             isTyping: false,
@@ -382,14 +697,6 @@ chatSchema.pre('save', function (next) {
     next();
 });
 
-// Pre-save middleware to update lastActivity when messages are added
-chatSchema.pre('save', function (next) {
-    if (this.isModified('messages')) {
-        this.lastActivity = new Date();
-    }
-    next();
-});
-
 const Chat = mongoose.model('Chat', chatSchema);
 
 module.exports = Chat;
\ No newline at end of file
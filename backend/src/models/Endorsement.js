@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Endorsement Schema
+ * One user vouching for a specific skill of someone they completed a session with.
+ * Counts are aggregated into the endorsee's skill reputation (User.syncSkillReputation).
+ */
+const endorsementSchema = new Schema({
+    endorser: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Endorser is required'],
+        index: true
+    },
+    endorsee: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Endorsee is required']
+    },
+
+    // Id of the skill subdocument on the endorsee's profile
+    skill: {
+        type: Schema.Types.ObjectId,
+        required: [true, 'Skill is required']
+    },
+    // Copied so the endorsement still reads well if the skill is renamed
+    skillName: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    // The completed session that allowed the endorsement
+    session: {
+        type: Schema.Types.ObjectId,
+        ref: 'Session',
+        required: [true, 'Session reference is required']
+    }
+}, {
+    timestamps: true
+});
+
+endorsementSchema.index({ endorser: 1, endorsee: 1, skill: 1 }, { unique: true }); // One endorsement per skill per person
+endorsementSchema.index({ endorsee: 1, skill: 1 }); // For counting a skill's endorsements
+
+const Endorsement = mongoose.model('Endorsement', endorsementSchema);
+
+module.exports = Endorsement;
@@ -0,0 +1,328 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const config = require('../config');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const SENDER_FIELDS = 'firstName lastName profileImage';
+
+// Quoted previews only need enough of the original message to render a snippet
+const DISPLAY_POPULATE = [
+    { path: 'sender', select: SENDER_FIELDS },
+    {
+        path: 'replyTo',
+        select: 'sender content messageType attachment isDeleted',
+        populate: { path: 'sender', select: 'firstName lastName' },
+    },
+];
+
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🙏', '🎉', '👏'];
+
+function hideStorageKeys(doc, ret) {
+    delete ret.storage;
+    delete ret.key;
+    delete ret.resourceType;
+    ret.hasThumbnail = doc.resourceType === 'image';
+    return ret;
+}
+
+// Uploaded file behind an image/file message. Storage keys never leave the server;
+// participants fetch the file through the chat attachment endpoint.
+const attachmentSchema = new Schema({
+    storage: {
+        type: String,
+        enum: ['cloudinary', 'local'],
+        required: true,
+    },
+    // Cloudinary public id or path relative to the local attachment directory
+    key: {
+        type: String,
+        required: true,
+    },
+    // Images get a thumbnail variant; everything else is stored as-is
+    resourceType: {
+        type: String,
+        enum: ['image', 'raw'],
+        required: true,
+    },
+    fileName: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [255, 'File name cannot exceed 255 characters'],
+    },
+    mimeType: {
+        type: String,
+        required: true,
+    },
+    size: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    width: Number,
+    height: Number,
+}, {
+    _id: false,
+    toJSON: { transform: hideStorageKeys },
+    toObject: { transform: hideStorageKeys },
+});
+
+const reactionSchema = new Schema({
+    emoji: {
+        type: String,
+        enum: REACTION_EMOJIS,
+        required: true,
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+}, { _id: false });
+
+// Previous versions of an edited message, oldest first
+const editSchema = new Schema({
+    content: String,
+    editedAt: {
+        type: Date,
+        required: true,
+    },
+}, { _id: false });
+
+/**
+ * Group reactions by emoji in first-used order
+ * @param {Array} reactions - Reaction subdocuments
+ * @returns {Array<{emoji: string, count: number, users: string[]}>}
+ */
+function summarizeReactions(reactions) {
+    const summary = new Map();
+    reactions.forEach(({ emoji, user }) => {
+        if (!summary.has(emoji)) {
+            summary.set(emoji, { emoji, count: 0, users: [] });
+        }
+        const entry = summary.get(emoji);
+        entry.count += 1;
+        entry.users.push(user.toString());
+    });
+    return [...summary.values()];
+}
+
+function toClient(doc, ret) {
+    // Deleted messages still show up as quoted replies; only the tombstone is sent
+    if (ret.isDeleted) {
+        delete ret.content;
+        delete ret.attachment;
+        delete ret.editHistory;
+        ret.reactions = [];
+    }
+    if (ret.reactions) {
+        ret.reactions = summarizeReactions(ret.reactions);
+    }
+    return ret;
+}
+
+/**
+ * Chat messages live in their own collection so a conversation can grow without
+ * bound; the chat document only keeps the last message preview and unread counters.
+ */
+const messageSchema = new Schema({
+    chat: {
+        type: Schema.Types.ObjectId,
+        ref: 'Chat',
+        required: [true, 'Message chat is required'],
+    },
+    sender: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Message sender is required'],
+    },
+    content: {
+        type: String,
+        // Attachments may be sent without a caption
+        required: [function () { return !this.attachment && !this.isDeleted; }, 'Message content is required'],
+        trim: true,
+        maxlength: [1000, 'Message content cannot exceed 1000 characters'],
+    },
+    messageType: {
+        type: String,
+        enum: ['text', 'image', 'file', 'system'],
+        default: 'text',
+    },
+    attachment: {
+        type: attachmentSchema,
+        default: undefined,
+    },
+    replyTo: {
+        type: Schema.Types.ObjectId,
+        ref: 'Message',
+    },
+    reactions: {
+        type: [reactionSchema],
+        default: [],
+    },
+    isRead: {
+        type: Boolean,
+        default: false,
+    },
+    readAt: {
+        type: Date,
+    },
+    editedAt: {
+        type: Date,
+    },
+    editHistory: {
+        type: [editSchema],
+        default: undefined,
+    },
+    isDeleted: {
+        type: Boolean,
+        default: false,
+    },
+    deletedAt: {
+        type: Date,
+    },
+}, {
+    timestamps: true,
+    toJSON: { transform: toClient },
+});
+
+// History pages walk (chat, createdAt) with _id breaking ties between equal timestamps
+messageSchema.index({ chat: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ sender: 1, createdAt: -1 });
+// Message search; captions rank above file names
+messageSchema.index(
+    {
+        content: 'text',
+        'attachment.fileName': 'text',
+    },
+    {
+        name: 'message_text_search',
+        weights: {
+            content: 2,
+            'attachment.fileName': 1,
+        },
+    }
+);
+
+/**
+ * Filter matching messages strictly older (or newer) than the cursor message
+ * @param {Object} cursor - Message with createdAt and _id
+ * @param {string} direction - 'before' or 'after'
+ * @returns {Object} MongoDB filter
+ */
+function cursorFilter(cursor, direction) {
+    const op = direction === 'before' ? '$lt' : '$gt';
+    return {
+        $or: [
+            { createdAt: { [op]: cursor.createdAt } },
+            { createdAt: cursor.createdAt, _id: { [op]: cursor._id } },
+        ],
+    };
+}
+
+/**
+ * Load one page of a chat's history in chronological order. Without a cursor the
+ * latest messages are returned; `before`/`after` are message ids of the same chat.
+ * @param {string} chatId - Chat id
+ * @param {Object} [options]
+ * @param {string} [options.before] - Return messages older than this message
+ * @param {string} [options.after] - Return messages newer than this message
+ * @param {number} [options.limit=50] - Page size
+ * @returns {Promise<{messages: Array, hasMore: boolean}>}
+ */
+messageSchema.statics.findPage = async function (chatId, options = {}) {
+    const { before, after, limit = 50 } = options;
+
+    if (before && after) {
+        throw new ValidationError('Use either before or after, not both');
+    }
+
+    const direction = after ? 'after' : 'before';
+    const query = { chat: chatId, isDeleted: false };
+
+    const cursorId = before || after;
+    if (cursorId) {
+        const cursor = await this.findOne({ _id: cursorId, chat: chatId }).select('createdAt');
+        if (!cursor) {
+            throw new ValidationError('Message cursor does not belong to this chat');
+        }
+        Object.assign(query, cursorFilter(cursor, direction));
+    }
+
+    const order = direction === 'before' ? -1 : 1;
+    const messages = await this.find(query)
+        .sort({ createdAt: order, _id: order })
+        .limit(limit + 1)
+        .populate(DISPLAY_POPULATE);
+
+    const hasMore = messages.length > limit;
+    const page = messages.slice(0, limit);
+
+    return {
+        messages: direction === 'before' ? page.reverse() : page,
+        hasMore,
+    };
+};
+
+/**
+ * Load the part of a chat's history around one message (e.g. a search result), in
+ * chronological order. Half the page is older than the message; the rest is the
+ * message itself and what came after it.
+ * @param {string} chatId - Chat id
+ * @param {string} messageId - Message to centre the page on
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - Page size
+ * @returns {Promise<{messages: Array, hasMore: boolean, hasNewer: boolean}>}
+ */
+messageSchema.statics.findAround = async function (chatId, messageId, options = {}) {
+    const { limit = 50 } = options;
+
+    const anchor = await this.findOne({ _id: messageId, chat: chatId }).select('createdAt');
+    if (!anchor) {
+        throw new ValidationError('Message cursor does not belong to this chat');
+    }
+
+    const olderLimit = Math.floor(limit / 2);
+    const newerLimit = limit - olderLimit;
+    const visible = { chat: chatId, isDeleted: false };
+
+    const [older, newer] = await Promise.all([
+        this.find({ ...visible, ...cursorFilter(anchor, 'before') })
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(olderLimit + 1)
+            .populate(DISPLAY_POPULATE),
+        this.find({
+            ...visible,
+            $or: [
+                { _id: anchor._id },
+                ...cursorFilter(anchor, 'after').$or,
+            ],
+        })
+            .sort({ createdAt: 1, _id: 1 })
+            .limit(newerLimit + 1)
+            .populate(DISPLAY_POPULATE),
+    ]);
+
+    return {
+        messages: [...older.slice(0, olderLimit).reverse(), ...newer.slice(0, newerLimit)],
+        hasMore: older.length > olderLimit,
+        hasNewer: newer.length > newerLimit,
+    };
+};
+
+// Instance method to load the sender and quoted message for API and socket payloads
+messageSchema.methods.populateForDisplay = function () {
+    return this.populate(DISPLAY_POPULATE);
+};
+
+// Instance method to check whether the sender may still edit the message
+messageSchema.methods.isEditable = function (now = new Date()) {
+    const windowMs = config.chatMessages.editWindowMinutes * 60 * 1000;
+    return !this.isDeleted && this.messageType !== 'system' && now - this.createdAt <= windowMs;
+};
+
+const Message = mongoose.model('Message', messageSchema);
+
+Message.REACTION_EMOJIS = REACTION_EMOJIS;
+
+module.exports = Message;
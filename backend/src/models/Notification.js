@@ -48,6 +48,8 @@ const notificationSchema = new Schema({
             'session_reminder',
             'session_completed',
             'alternative_time_proposed',
+            'session_expired',
+            'session_no_show',
 
             // Review-related
             'review_received',
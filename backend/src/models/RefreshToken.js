@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Refresh Token Schema
+ * One document per issued refresh token. Tokens issued to the same device share a
+ * `family` (the login session); rotating a token revokes it and issues the next one
+ * in the same family, so presenting a revoked token again reveals a stolen token.
+ */
+const refreshTokenSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required'],
+        index: true
+    },
+
+    // JWT id (`jti` claim) of the refresh token
+    jti: {
+        type: String,
+        required: [true, 'Token id is required'],
+        unique: true
+    },
+
+    // Login session the token belongs to (`sid` claim of access and refresh tokens)
+    family: {
+        type: String,
+        required: [true, 'Token family is required'],
+        index: true
+    },
+
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry date is required']
+    },
+
+    // Lifetime chosen at login (e.g. '30d' for "remember me"), given to every rotated token
+    expiresIn: String,
+
+    revokedAt: Date,
+
+    revokedReason: {
+        type: String,
+        enum: ['rotated', 'logout', 'logout_all', 'reuse_detected', 'account_inactive', 'password_changed', 'account_deleted']
+    },
+
+    // jti of the token issued when this one was rotated
+    replacedBy: String,
+
+    device: {
+        userAgent: {
+            type: String,
+            maxlength: 500
+        },
+        ip: String
+    }
+}, {
+    timestamps: true
+});
+
+// Expired tokens can no longer be used, so let MongoDB remove them
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+refreshTokenSchema.index({ family: 1, revokedAt: 1 });
+
+// Virtual for whether the token can still be exchanged
+refreshTokenSchema.virtual('isActive').get(function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+/**
+ * Whether a login session still has a usable refresh token
+ * @param {string} family - Session id
+ * @returns {Promise<boolean>}
+ */
+refreshTokenSchema.statics.isFamilyActive = async function (family) {
+    const token = await this.exists({
+        family,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+    return Boolean(token);
+};
+
+/**
+ * Revoke every live token of a login session
+ * @param {string} family - Session id
+ * @param {string} reason - Revocation reason
+ */
+refreshTokenSchema.statics.revokeFamily = function (family, reason) {
+    return this.updateMany(
+        { family, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+};
+
+/**
+ * Revoke every live token of a user (all devices)
+ * @param {string} userId - User id
+ * @param {string} reason - Revocation reason
+ */
+refreshTokenSchema.statics.revokeAllForUser = function (userId, reason) {
+    return this.updateMany(
+        { user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -1,6 +1,21 @@
 const mongoose = require('mongoose');
+const config = require('../config');
 const { Schema } = mongoose;
 
+// Aggregation pipelines are not cast by mongoose, so ids from requests and
+// populated documents have to be converted before matching on them
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id?._id ?? id));
+
+// Previous versions of an edited review, oldest first
+const revisionSchema = new Schema({
+    rating: Number,
+    comment: String,
+    editedAt: {
+        type: Date,
+        required: true
+    }
+}, { _id: false });
+
 /**
  * Review Schema for user ratings and feedback after skill exchange sessions
  * Handles rating submission, duplicate prevention, and content moderation
@@ -50,6 +65,13 @@ const reviewSchema = new Schema({
         maxlength: [1000, 'Review comment cannot exceed 1000 characters']
     },
 
+    // Set when the author edits the review; earlier versions are kept for moderators
+    editedAt: Date,
+    editHistory: {
+        type: [revisionSchema],
+        default: undefined
+    },
+
     // Skill context
     skillReviewed: {
         name: {
@@ -103,6 +125,39 @@ const reviewSchema = new Schema({
             }
         }],
 
+        // Actions taken by the moderation rules, with the reason shown to admins
+        autoActions: [{
+            rule: {
+                type: String,
+                enum: ['blocked_terms', 'personal_info', 'links', 'spam', 'duplicate', 'flag_threshold'],
+                required: true
+            },
+            action: {
+                type: String,
+                enum: ['flag', 'hide'],
+                required: true
+            },
+            trigger: {
+                type: String,
+                enum: ['submit', 'edit', 'flag'],
+                required: true
+            },
+            explanation: {
+                type: String,
+                maxlength: 500
+            },
+            createdAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+
+        // Hash of the normalized comment, used to find the same text in other reviews
+        contentFingerprint: {
+            type: String,
+            index: true
+        },
+
         reviewedBy: {
             type: Schema.Types.ObjectId,
             ref: 'User'
@@ -249,14 +304,19 @@ reviewSchema.methods.flagReview = function (userId, reason, details) {
         flaggedAt: new Date()
     });
 
-    // Auto-hide if flagged by multiple users
-    if (this.moderation.flaggedBy.length >= 3) {
-        this.status = 'flagged';
-    }
+    // Queue the review for admins; ReviewModerationService hides it once enough users flagged it
+    this.isFlagged = true;
+    this.moderationStatus = 'pending';
 
     return this.save();
 };
 
+// Instance method to check whether the author may still edit the review
+reviewSchema.methods.isEditable = function (now = new Date()) {
+    const windowMs = config.reviews.editWindowHours * 60 * 60 * 1000;
+    return this.status !== 'removed' && now - this.createdAt <= windowMs;
+};
+
 // Instance method to mark as helpful/not helpful
 reviewSchema.methods.markHelpfulness = function (userId, isHelpful) {
     // Remove user from both arrays first
@@ -292,7 +352,7 @@ reviewSchema.statics.getUserAverageRating = async function (userId) {
     const result = await this.aggregate([
         {
             $match: {
-                reviewee: userId,
+                reviewee: toObjectId(userId),
                 status: 'active'
             }
         },
@@ -331,12 +391,25 @@ reviewSchema.statics.getUserAverageRating = async function (userId) {
     };
 };
 
+// Static method to store a user's rating, recomputed from their active reviews.
+// This is the only place User.rating is written.
+reviewSchema.statics.syncUserRating = async function (userId) {
+    const { averageRating, totalReviews } = await this.getUserAverageRating(userId);
+
+    await mongoose.model('User').updateOne(
+        { _id: toObjectId(userId) },
+        { $set: { 'rating.average': averageRating, 'rating.count': totalReviews } }
+    );
+
+    return { average: averageRating, count: totalReviews };
+};
+
 // Static method to get skill-specific ratings
 reviewSchema.statics.getSkillRating = async function (userId, skillName, skillCategory) {
     const result = await this.aggregate([
         {
             $match: {
-                reviewee: userId,
+                reviewee: toObjectId(userId),
                 'skillReviewed.name': skillName,
                 'skillReviewed.category': skillCategory,
                 status: 'active'
@@ -386,7 +459,9 @@ reviewSchema.statics.findUserReviews = function (userId, options = {}) {
         populateFields += ' session';
     }
 
+    // Earlier versions of edited reviews are only shown to moderators
     return this.find(query)
+        .select('-editHistory')
         .populate('reviewer', 'firstName lastName profileImage')
         .populate('session', 'skill scheduledDate')
         .sort(sort)
@@ -406,6 +481,12 @@ reviewSchema.statics.reviewExistsForSession = async function (sessionId, reviewe
 };
 
 // Static method to get reviews requiring moderation
+// 'flagged' is the queue of reviews awaiting an admin decision, whether the rules
+// hid them or not; 'hidden' and 'removed' list reviews by status
+reviewSchema.statics.moderationFilter = function (status = 'flagged') {
+    return status === 'flagged' ? { isFlagged: true, moderationStatus: 'pending' } : { status };
+};
+
 reviewSchema.statics.getReviewsForModeration = function (options = {}) {
     const {
         page = 1,
@@ -415,7 +496,7 @@ reviewSchema.statics.getReviewsForModeration = function (options = {}) {
 
     const skip = (page - 1) * limit;
 
-    return this.find({ status })
+    return this.find(this.moderationFilter(status))
         .populate('reviewer reviewee', 'firstName lastName email')
         .populate('session', 'skill scheduledDate')
         .sort({ 'moderation.flaggedBy.0.flaggedAt': -1 })
@@ -430,20 +511,22 @@ reviewSchema.pre('save', function (next) {
         return next(new Error('Users cannot review themselves'));
     }
 
+    // Only new reviews, status changes (hidden, removed, restored) and rating
+    // changes move the reviewee's stored rating
+    this.$locals.affectsRating = this.isNew || this.isModified('status') || this.isModified('rating');
+
     next();
 });
 
-// Post-save middleware to update user rating
+// Post-save middleware to update the user's rating and the reputation of the reviewed skill
 reviewSchema.post('save', async function (doc) {
+    if (!doc.$locals.affectsRating) {
+        return;
+    }
+
     try {
-        // Update the reviewee's overall rating in the User model
-        const User = mongoose.model('User');
-        const ratingData = await this.constructor.getUserAverageRating(doc.reviewee);
-
-        await User.findByIdAndUpdate(doc.reviewee, {
-            'rating.average': ratingData.averageRating,
-            'rating.count': ratingData.totalReviews
-        });
+        await this.constructor.syncUserRating(doc.reviewee);
+        await mongoose.model('User').syncSkillReputation(doc.reviewee);
     } catch (error) {
         console.error('Error updating user rating:', error);
     }
@@ -64,13 +64,55 @@ const sessionSchema = new Schema({
         default: 'UTC',
     },
 
+    // Recurring series membership (absent for one-off sessions)
+    series: {
+        seriesId: {
+            type: Schema.Types.ObjectId,
+        },
+        frequency: {
+            type: String,
+            enum: ['weekly', 'biweekly'],
+        },
+        occurrence: {
+            type: Number, // 1-based position in the series
+            min: 1,
+        },
+        totalOccurrences: {
+            type: Number,
+            min: 1,
+        },
+    },
+
     // Session status and management
     status: {
         type: String,
-        enum: ['pending', 'accepted', 'rejected', 'cancelled', 'completed', 'no-show'],
+        enum: ['pending', 'accepted', 'rejected', 'cancelled', 'completed', 'expired', 'no-show'],
         default: 'pending',
     },
 
+    // Audit trail of every status change (see services/sessionStateMachine)
+    statusHistory: [{
+        _id: false,
+        from: String,
+        to: {
+            type: String,
+            required: true,
+        },
+        changedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User', // Empty for system transitions such as expiry
+        },
+        reason: {
+            type: String,
+            maxlength: [300, 'Status change reason cannot exceed 300 characters'],
+            trim: true,
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    }],
+
     // Messages and communication
     requestMessage: {
         type: String,
@@ -126,6 +168,23 @@ const sessionSchema = new Schema({
         maxlength: [300, 'Cancellation reason cannot exceed 300 characters'],
         trim: true,
     },
+    noShow: {
+        reportedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        absentee: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        reportedAt: Date,
+    },
+
+    // iCalendar SEQUENCE, bumped whenever a change must replace the exported event
+    calendarSequence: {
+        type: Number,
+        default: 0,
+    },
 
     // Reminders and notifications
     remindersSent: {
@@ -137,6 +196,23 @@ const sessionSchema = new Schema({
             type: Boolean,
             default: false,
         },
+        // One entry per reminder window already sent to a participant
+        history: [{
+            _id: false,
+            role: {
+                type: String,
+                enum: ['requester', 'provider'],
+                required: true,
+            },
+            windowMinutes: {
+                type: Number,
+                required: true,
+            },
+            sentAt: {
+                type: Date,
+                default: Date.now,
+            },
+        }],
     },
 
     // Session notes (for post-session)
@@ -188,6 +264,7 @@ sessionSchema.index({ provider: 1, createdAt: -1 });
 sessionSchema.index({ status: 1, scheduledDate: 1 });
 sessionSchema.index({ scheduledDate: 1 });
 sessionSchema.index({ 'skill.name': 1, 'skill.category': 1 });
+sessionSchema.index({ 'series.seriesId': 1, 'series.occurrence': 1 }, { sparse: true });
 
 // Compound index for conflict detection
 sessionSchema.index({
@@ -371,6 +448,9 @@ sessionSchema.statics.findByStatus = function (userId, status, options = {}) {
         .limit(limit);
 };
 
+// Fields that appear in the exported iCalendar event
+const CALENDAR_FIELDS = ['scheduledDate', 'duration', 'status', 'location', 'meetingLink'];
+
 // Pre-save middleware for validation
 sessionSchema.pre('save', function (next) {
     // Ensure requester and provider are different
@@ -378,8 +458,13 @@ sessionSchema.pre('save', function (next) {
         return next(new Error('Requester and provider cannot be the same user'));
     }
 
+    // Record the initial status in the audit trail
+    if (this.isNew && this.statusHistory.length === 0) {
+        this.statusHistory.push({ to: this.status, changedBy: this.requester });
+    }
+
     // Set response timestamp when status changes
-    if (this.isModified('status') && this.status !== 'pending' && !this.respondedAt) {
+    if (this.isModified('status') && !['pending', 'expired'].includes(this.status) && !this.respondedAt) {
         this.respondedAt = new Date();
     }
 
@@ -393,6 +478,16 @@ sessionSchema.pre('save', function (next) {
         this.cancelledAt = new Date();
     }
 
+    // Reminders already sent were for the old time
+    if (!this.isNew && this.isModified('scheduledDate')) {
+        this.remindersSent = { requester: false, provider: false, history: [] };
+    }
+
+    // Let subscribed calendars know the exported event changed
+    if (!this.isNew && CALENDAR_FIELDS.some(field => this.isModified(field))) {
+        this.calendarSequence = (this.calendarSequence || 0) + 1;
+    }
+
     next();
 });
 
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { literalRegex } = require('../utils/search');
+const Review = require('./Review');
+const Session = require('./Session');
+const Endorsement = require('./Endorsement');
 const { Schema } = mongoose;
 
 const userSchema = new Schema({
@@ -113,6 +117,31 @@ const userSchema = new Schema({
             min: 0,
             max: 50,
         },
+        // Kept in sync by syncSkillReputation from reviews, completed sessions and endorsements
+        reputation: {
+            rating: { type: Number, default: 0, min: 0, max: 5 },
+            ratingCount: { type: Number, default: 0 },
+            sessionCount: { type: Number, default: 0 },
+            endorsementCount: { type: Number, default: 0 },
+        },
+    }],
+
+    // Skills the user wants to learn (level is their current level)
+    skillsWanted: [{
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        category: {
+            type: String,
+            trim: true,
+        },
+        level: {
+            type: String,
+            enum: ['beginner', 'intermediate', 'advanced', 'expert'],
+            default: 'beginner',
+        },
     }],
 
     // Availability
@@ -129,6 +158,39 @@ const userSchema = new Schema({
             start: String, // Format: "HH:MM"
             end: String,   // Format: "HH:MM"
         }],
+        // Bookable weekly windows, in local time of `timezone`
+        weeklySlots: [{
+            _id: false,
+            day: {
+                type: String,
+                enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+                required: true,
+            },
+            start: {
+                type: String, // Format: "HH:MM"
+                required: true,
+            },
+            end: {
+                type: String, // Format: "HH:MM"
+                required: true,
+            },
+        }],
+        // Date ranges (inclusive, local "YYYY-MM-DD") with no availability, e.g. vacations
+        exceptions: [{
+            startDate: {
+                type: String,
+                required: true,
+            },
+            endDate: {
+                type: String,
+                required: true,
+            },
+            reason: {
+                type: String,
+                maxlength: 200,
+                trim: true,
+            },
+        }],
         isAvailable: {
             type: Boolean,
             default: true,
@@ -149,6 +211,18 @@ const userSchema = new Schema({
         },
     },
 
+    // Session activity, kept in sync by syncSessionStats and used to rank search results.
+    // A request counts as answered when the provider accepted or declined it while
+    // pending, and as missed when it expired unanswered.
+    sessionStats: {
+        completed: { type: Number, default: 0 },
+        lastCompletedAt: Date,
+        requestsAnswered: { type: Number, default: 0 },
+        requestsMissed: { type: Number, default: 0 },
+        // Percentage of answered requests; unset until the user has received one
+        responseRate: { type: Number, min: 0, max: 100 },
+    },
+
     // Account Status
     role: {
         type: String,
@@ -175,6 +249,67 @@ const userSchema = new Schema({
         select: false,
     },
 
+    // Email change waiting for the OTP sent to the new address (code is stored hashed)
+    emailChange: {
+        type: {
+            newEmail: {
+                type: String,
+                lowercase: true,
+                trim: true,
+            },
+            otp: {
+                code: String,
+                expires: Date,
+                attempts: { type: Number, default: 0 },
+                generatedAt: Date,
+            },
+        },
+        select: false,
+    },
+
+    // Secret calendar feed (only a hash of the token is stored)
+    calendarFeed: {
+        tokenHash: {
+            type: String,
+            select: false,
+        },
+        createdAt: Date,
+    },
+
+    // TOTP two-factor authentication (backup codes are stored hashed)
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false,
+        },
+        secret: {
+            type: String,
+            select: false,
+        },
+        // Secret awaiting confirmation with a first code
+        pendingSecret: {
+            type: String,
+            select: false,
+        },
+        backupCodes: {
+            type: [String],
+            select: false,
+        },
+        // Time step of the last accepted authenticator code; it and older codes are refused
+        lastUsedStep: {
+            type: Number,
+            select: false,
+        },
+        enabledAt: Date,
+    },
+
+    // Self-service account deletion; the account is purged after the grace period
+    deletion: {
+        requestedAt: Date,
+        scheduledFor: Date,
+        completedAt: Date,
+    },
+
     // Login tracking
     lastLogin: Date,
     loginAttempts: {
@@ -187,6 +322,15 @@ const userSchema = new Schema({
         select: false,
     },
 
+    // People this user has blocked. A block works both ways: the two cannot start
+    // chats, message each other directly, book sessions or review each other, and
+    // they are hidden from each other's search results.
+    blockedUsers: {
+        type: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+        default: undefined,
+        select: false,
+    },
+
     // Social connections (for future use)
     socialProfiles: {
         linkedin: String,
@@ -247,6 +391,7 @@ const userSchema = new Schema({
             delete ret.otp;
             delete ret.emailVerificationToken;
             delete ret.passwordResetToken;
+            delete ret.emailChange;
             delete ret.loginAttempts;
             delete ret.lockUntil;
             return ret;
@@ -259,15 +404,41 @@ const userSchema = new Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ 'skills.name': 1 });
 userSchema.index({ 'skills.category': 1 });
+userSchema.index({ 'skillsWanted.name': 1 });
+userSchema.index({ blockedUsers: 1 });
+userSchema.index(
+    {
+        'skills.name': 'text',
+        'skills.category': 'text',
+        'skills.description': 'text',
+        bio: 'text',
+    },
+    {
+        name: 'user_text_search',
+        weights: {
+            'skills.name': 10,
+            'skills.category': 5,
+            'skills.description': 3,
+            bio: 1,
+        },
+    }
+);
 userSchema.index({ 'location.coordinates': '2dsphere' });
 userSchema.index({ status: 1, role: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ 'calendarFeed.tokenHash': 1 }, { sparse: true });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function () {
     return `${this.firstName} ${this.lastName}`;
 });
 
+// Virtual for an account deletion still in its grace period
+userSchema.virtual('isPendingDeletion').get(function () {
+    return Boolean(this.deletion?.scheduledFor && !this.deletion?.completedAt);
+});
+
 // Virtual for account lock status
 userSchema.virtual('isLocked').get(function () {
     return !!(this.lockUntil && this.lockUntil > Date.now());
@@ -346,19 +517,127 @@ userSchema.statics.findByEmailWithPassword = function (email) {
 
 // Static method to find users by skill
 userSchema.statics.findBySkill = function (skillName, options = {}) {
-    const query = { 'skills.name': new RegExp(skillName, 'i') };
+    const query = { 'skills.name': literalRegex(skillName) };
 
     if (options.level) {
         query['skills.level'] = options.level;
     }
 
     if (options.category) {
-        query['skills.category'] = new RegExp(options.category, 'i');
+        query['skills.category'] = literalRegex(options.category);
     }
 
     return this.find(query);
 };
 
+// Static method to check whether either of two users has blocked the other
+userSchema.statics.isBlockedBetween = async function (userId, otherUserId) {
+    const blocked = await this.exists({
+        $or: [
+            { _id: userId, blockedUsers: otherUserId },
+            { _id: otherUserId, blockedUsers: userId },
+        ],
+    });
+    return Boolean(blocked);
+};
+
+// Static method to list everyone a user should not see: people they blocked and people who blocked them
+userSchema.statics.findBlockedUserIds = async function (userId) {
+    const [user, blockedBy] = await Promise.all([
+        this.findById(userId).select('+blockedUsers'),
+        this.distinct('_id', { blockedUsers: userId }),
+    ]);
+    return [...(user?.blockedUsers || []), ...blockedBy];
+};
+
+// Static method to recompute the reputation stored on each of a user's skills.
+// Reviews and completed sessions (as provider) are matched to a skill by name,
+// endorsements by skill id.
+userSchema.statics.syncSkillReputation = async function (userId) {
+    const user = await this.findById(userId).select('skills').lean();
+    if (!user || !user.skills || user.skills.length === 0) {
+        return [];
+    }
+
+    const [ratings, sessions, endorsements] = await Promise.all([
+        Review.aggregate([
+            { $match: { reviewee: user._id, status: 'active' } },
+            {
+                $group: {
+                    _id: { $toLower: '$skillReviewed.name' },
+                    rating: { $avg: '$rating' },
+                    count: { $sum: 1 },
+                },
+            },
+        ]),
+        Session.aggregate([
+            { $match: { provider: user._id, status: 'completed' } },
+            { $group: { _id: { $toLower: '$skill.name' }, count: { $sum: 1 } } },
+        ]),
+        Endorsement.aggregate([
+            { $match: { endorsee: user._id } },
+            { $group: { _id: '$skill', count: { $sum: 1 } } },
+        ]),
+    ]);
+
+    const byKey = results => new Map(results.map(result => [String(result._id), result]));
+    const ratingsByName = byKey(ratings);
+    const sessionsByName = byKey(sessions);
+    const endorsementsBySkill = byKey(endorsements);
+
+    const reputations = user.skills.map(skill => {
+        const name = skill.name.trim().toLowerCase();
+        const rating = ratingsByName.get(name);
+        return {
+            skillId: skill._id,
+            reputation: {
+                rating: rating ? Math.round(rating.rating * 10) / 10 : 0,
+                ratingCount: rating ? rating.count : 0,
+                sessionCount: sessionsByName.get(name)?.count || 0,
+                endorsementCount: endorsementsBySkill.get(skill._id.toString())?.count || 0,
+            },
+        };
+    });
+
+    // One write; skills added or removed in the meantime are left alone
+    const $set = {};
+    const arrayFilters = reputations.map(({ skillId, reputation }, index) => {
+        $set[`skills.$[skill${index}].reputation`] = reputation;
+        return { [`skill${index}._id`]: skillId };
+    });
+    await this.updateOne({ _id: user._id }, { $set }, { arrayFilters });
+
+    return reputations;
+};
+
+// Static method to recompute a user's session activity from their sessions
+userSchema.statics.syncSessionStats = async function (userId) {
+    const id = new mongoose.Types.ObjectId(String(userId));
+    const participant = { $or: [{ requester: id }, { provider: id }] };
+    const decidedBy = to => ({ provider: id, statusHistory: { $elemMatch: { from: 'pending', to } } });
+
+    const [completed, lastCompleted, requestsAnswered, requestsMissed] = await Promise.all([
+        Session.countDocuments({ ...participant, status: 'completed' }),
+        Session.findOne({ ...participant, status: 'completed' }).sort({ completedAt: -1 }).select('completedAt').lean(),
+        Session.countDocuments(decidedBy({ $in: ['accepted', 'rejected'] })),
+        Session.countDocuments(decidedBy('expired')),
+    ]);
+
+    const requests = requestsAnswered + requestsMissed;
+    // The whole object is replaced, so fields without a value are left out rather than kept
+    const sessionStats = {
+        completed,
+        ...(lastCompleted?.completedAt && { lastCompletedAt: lastCompleted.completedAt }),
+        requestsAnswered,
+        requestsMissed,
+        ...(requests > 0 && { responseRate: Math.round((requestsAnswered / requests) * 100) }),
+    };
+
+    await this.updateOne({ _id: id }, { $set: { sessionStats } });
+
+    return sessionStats;
+};
+
 // Static method to find users near location
 userSchema.statics.findNearLocation = function (longitude, latitude, maxDistance = 50000) {
     return this.find({
@@ -7,9 +7,22 @@ const {
     verifyOTPSchema,
     resendOTPSchema,
     refreshTokenSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    changePasswordSchema,
+    requestEmailChangeSchema,
+    confirmEmailChangeSchema,
+    twoFactorLoginSchema,
+    enableTwoFactorSchema,
+    twoFactorPasswordSchema,
 } = require('../validation/authValidation');
 const { authenticateToken } = require('../middleware/authMiddleware');
-const { authLimiter, loginLimiter, otpLimiter } = require('../middleware/rateLimiter');
+const {
+    authLimiter,
+    loginLimiter,
+    otpLimiter,
+    passwordResetLimiter,
+} = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
@@ -62,20 +75,97 @@ router.post('/resend-otp', otpLimiter, validate(resendOTPSchema), AuthController
  */
 router.post('/login', loginLimiter, validate(loginSchema), AuthController.login);
 
+/**
+ * @route POST /api/auth/login/2fa
+ * @desc Finish login with an authenticator or backup code
+ * @access Public (requires the challenge token from /login)
+ */
+router.post('/login/2fa', loginLimiter, validate(twoFactorLoginSchema), AuthController.verifyTwoFactorLogin);
+
 /**
  * @route POST /api/auth/refresh-token
- * @desc Refresh access token using refresh token
+ * @desc Exchange a refresh token for a new token pair (the old refresh token is revoked)
  * @access Public
  */
 router.post('/refresh-token', validate(refreshTokenSchema), AuthController.refreshToken);
 
 /**
  * @route POST /api/auth/logout
- * @desc User logout (client-side token removal)
+ * @desc User logout (revokes the current session)
  * @access Private
  */
 router.post('/logout', authenticateToken, AuthController.logout);
 
+/**
+ * @route POST /api/auth/logout-all
+ * @desc Log out of every device (revokes all sessions)
+ * @access Private
+ */
+router.post('/logout-all', authenticateToken, AuthController.logoutAll);
+
+/**
+ * @route POST /api/auth/forgot-password
+ * @desc Email a password reset link (same response whether or not the account exists)
+ * @access Public
+ */
+router.post('/forgot-password', passwordResetLimiter, validate(forgotPasswordSchema), AuthController.forgotPassword);
+
+/**
+ * @route POST /api/auth/reset-password
+ * @desc Set a new password using a single-use reset token
+ * @access Public
+ */
+router.post('/reset-password', authLimiter, validate(resetPasswordSchema), AuthController.resetPassword);
+
+/**
+ * @route PUT /api/auth/password
+ * @desc Change password (signs out other devices, returns new tokens)
+ * @access Private
+ */
+router.put('/password', authenticateToken, authLimiter, validate(changePasswordSchema), AuthController.changePassword);
+
+/**
+ * @route POST /api/auth/email
+ * @desc Request an email change (sends a code to the new address)
+ * @access Private
+ */
+router.post('/email', authenticateToken, otpLimiter, validate(requestEmailChangeSchema), AuthController.requestEmailChange);
+
+/**
+ * @route POST /api/auth/email/verify
+ * @desc Confirm the email change with the code
+ * @access Private
+ */
+router.post('/email/verify', authenticateToken, authLimiter, validate(confirmEmailChangeSchema), AuthController.confirmEmailChange);
+
+/**
+ * @route POST /api/auth/2fa/setup
+ * @desc Start two-factor enrollment (returns secret and otpauth URI)
+ * @access Private
+ */
+router.post('/2fa/setup', authenticateToken, AuthController.setupTwoFactor);
+
+/**
+ * @route POST /api/auth/2fa/enable
+ * @desc Confirm enrollment with a first code and receive backup codes
+ * @access Private
+ */
+router.post('/2fa/enable', authenticateToken, otpLimiter, validate(enableTwoFactorSchema), AuthController.enableTwoFactor);
+
+/**
+ * @route POST /api/auth/2fa/disable
+ * @desc Turn off two-factor authentication (requires password)
+ * @access Private
+ */
+router.post('/2fa/disable', authenticateToken, authLimiter, validate(twoFactorPasswordSchema), AuthController.disableTwoFactor);
+
+/**
+ * @route POST /api/auth/2fa/backup-codes
+ * @desc Replace backup codes (requires password)
+ * @access Private
+ */
+router.post('/2fa/backup-codes', authenticateToken, authLimiter, validate(twoFactorPasswordSchema), AuthController.regenerateBackupCodes);
+
 /**
  * @route GET /api/auth/me
  * @desc Get current user profile
@@ -1,7 +1,10 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const chatController = require('../controllers/chatController');
+const Message = require('../models/Message');
 const { authenticateToken } = require('../middleware/authMiddleware');
+const { uploadLimiter } = require('../middleware/rateLimiter');
+const { uploadSingle, uploadChatAttachment, cleanupOnError } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -21,6 +24,12 @@ const validateMessageId = [
         .withMessage('Invalid message ID format'),
 ];
 
+const validateUserId = [
+    param('userId')
+        .isMongoId()
+        .withMessage('Invalid user ID format'),
+];
+
 const validateSessionId = [
     param('sessionId')
         .isMongoId()
@@ -37,15 +46,86 @@ const validateCreateDirectChat = [
         .withMessage('Invalid session ID format'),
 ];
 
+const validateGroupDetails = (required) => [
+    (required ? body('name') : body('name').optional())
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Group name must be between 1 and 100 characters'),
+    body('skill')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Skill cannot exceed 100 characters'),
+];
+
+const validateMemberIds = (field, required) => [
+    (required ? body(field) : body(field).optional())
+        .isArray({ min: required ? 1 : 0 })
+        .withMessage(`${field} must be an array of user IDs`),
+    body(`${field}.*`)
+        .isMongoId()
+        .withMessage('Invalid user ID format'),
+];
+
 const validateSendMessage = [
     body('content')
         .trim()
         .isLength({ min: 1, max: 1000 })
         .withMessage('Message content must be between 1 and 1000 characters'),
+    // Images and files are sent through the attachments route; system messages
+    // are only written by the server
     body('messageType')
         .optional()
-        .isIn(['text', 'image', 'file', 'system'])
+        .isIn(['text'])
         .withMessage('Invalid message type'),
+    body('replyTo')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid message ID format'),
+];
+
+const validateAttachmentCaption = [
+    body('content')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Caption cannot exceed 1000 characters'),
+    body('replyTo')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid message ID format'),
+];
+
+const validateEditMessage = [
+    // May be empty for attachments, which keep their file without a caption
+    body('content')
+        .isString()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Message content cannot exceed 1000 characters'),
+];
+
+const validateReaction = (location) => [
+    location('emoji')
+        .isIn(Message.REACTION_EMOJIS)
+        .withMessage('Unsupported reaction'),
+];
+
+const validateMute = [
+    body('muted')
+        .isBoolean()
+        .withMessage('Muted must be true or false')
+        .toBoolean(),
+];
+
+const validateSearch = [
+    query('q')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 200 })
+        .withMessage('Search query must be between 1 and 200 characters'),
 ];
 
 const validatePagination = [
@@ -59,6 +139,27 @@ const validatePagination = [
         .withMessage('Limit must be between 1 and 100'),
 ];
 
+const validateMessageCursor = [
+    query('before')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid message ID format'),
+    query('after')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid message ID format'),
+    query('around')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid message ID format')
+        .custom((value, { req }) => !req.query.before && !req.query.after)
+        .withMessage('Use around on its own, without before or after'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100'),
+];
+
 // Routes
 
 /**
@@ -78,6 +179,20 @@ router.get(
     chatController.getUserChats
 );
 
+/**
+ * @route   GET /api/chats/search
+ * @desc    Search messages in the user's chats (`q`, with page/limit)
+ * @access  Private
+ */
+router.get(
+    '/search',
+    [
+        ...validateSearch,
+        validatePagination,
+    ],
+    chatController.searchMessages
+);
+
 /**
  * @route   POST /api/chats/direct
  * @desc    Get or create direct chat between two users
@@ -89,9 +204,23 @@ router.post(
     chatController.getOrCreateDirectChat
 );
 
+/**
+ * @route   POST /api/chats/group
+ * @desc    Create a group chat (creator becomes the owner)
+ * @access  Private
+ */
+router.post(
+    '/group',
+    [
+        ...validateGroupDetails(true),
+        ...validateMemberIds('memberIds', false),
+    ],
+    chatController.createGroupChat
+);
+
 /**
  * @route   GET /api/chats/:chatId
- * @desc    Get chat by ID with messages
+ * @desc    Get chat by ID with its latest messages
  * @access  Private
  */
 router.get(
@@ -103,6 +232,21 @@ router.get(
     chatController.getChatById
 );
 
+/**
+ * @route   GET /api/chats/:chatId/messages
+ * @desc    Get a page of messages (?before=<messageId> for older, ?after=<messageId> for newer,
+ *          ?around=<messageId> to open the history at one message)
+ * @access  Private
+ */
+router.get(
+    '/:chatId/messages',
+    [
+        ...validateChatId,
+        ...validateMessageCursor,
+    ],
+    chatController.getMessages
+);
+
 /**
  * @route   POST /api/chats/:chatId/messages
  * @desc    Send message to chat
@@ -117,6 +261,86 @@ router.post(
     chatController.sendMessage
 );
 
+/**
+ * @route   POST /api/chats/:chatId/attachments
+ * @desc    Send an image or file (multipart field "attachment", optional "content" caption)
+ * @access  Private
+ */
+router.post(
+    '/:chatId/attachments',
+    uploadLimiter,
+    cleanupOnError,
+    uploadChatAttachment('attachment'),
+    [
+        ...validateChatId,
+        ...validateAttachmentCaption,
+    ],
+    chatController.sendAttachment
+);
+
+/**
+ * @route   GET /api/chats/:chatId/messages/:messageId/attachment
+ * @desc    Download a message attachment (?variant=thumbnail for image previews)
+ * @access  Private (chat participants only)
+ */
+router.get(
+    '/:chatId/messages/:messageId/attachment',
+    [
+        ...validateChatId,
+        ...validateMessageId,
+        query('variant')
+            .optional()
+            .isIn(['thumbnail'])
+            .withMessage('Invalid attachment variant'),
+    ],
+    chatController.getAttachment
+);
+
+/**
+ * @route   PUT /api/chats/:chatId/messages/:messageId
+ * @desc    Edit own message (within the edit window)
+ * @access  Private
+ */
+router.put(
+    '/:chatId/messages/:messageId',
+    [
+        ...validateChatId,
+        ...validateMessageId,
+        ...validateEditMessage,
+    ],
+    chatController.editMessage
+);
+
+/**
+ * @route   POST /api/chats/:chatId/messages/:messageId/reactions
+ * @desc    React to a message with an emoji
+ * @access  Private
+ */
+router.post(
+    '/:chatId/messages/:messageId/reactions',
+    [
+        ...validateChatId,
+        ...validateMessageId,
+        ...validateReaction(body),
+    ],
+    chatController.updateReaction
+);
+
+/**
+ * @route   DELETE /api/chats/:chatId/messages/:messageId/reactions/:emoji
+ * @desc    Remove own emoji reaction from a message
+ * @access  Private
+ */
+router.delete(
+    '/:chatId/messages/:messageId/reactions/:emoji',
+    [
+        ...validateChatId,
+        ...validateMessageId,
+        ...validateReaction(param),
+    ],
+    chatController.updateReaction
+);
+
 /**
  * @route   DELETE /api/chats/:chatId/messages/:messageId
  * @desc    Delete message from chat
@@ -131,6 +355,90 @@ router.delete(
     chatController.deleteMessage
 );
 
+/**
+ * @route   PUT /api/chats/:chatId/group
+ * @desc    Update group name or skill
+ * @access  Private (group admins)
+ */
+router.put(
+    '/:chatId/group',
+    [
+        ...validateChatId,
+        ...validateGroupDetails(false),
+    ],
+    chatController.updateGroup
+);
+
+/**
+ * @route   PUT /api/chats/:chatId/group/avatar
+ * @desc    Upload group avatar (multipart field "avatar")
+ * @access  Private (group admins)
+ */
+router.put(
+    '/:chatId/group/avatar',
+    uploadLimiter,
+    cleanupOnError,
+    uploadSingle('avatar'),
+    validateChatId,
+    chatController.updateGroupAvatar
+);
+
+/**
+ * @route   POST /api/chats/:chatId/members
+ * @desc    Add members to a group
+ * @access  Private (group admins)
+ */
+router.post(
+    '/:chatId/members',
+    [
+        ...validateChatId,
+        ...validateMemberIds('userIds', true),
+    ],
+    chatController.addGroupMembers
+);
+
+/**
+ * @route   DELETE /api/chats/:chatId/members/:userId
+ * @desc    Remove a member from a group
+ * @access  Private (group admins; only the owner can remove admins)
+ */
+router.delete(
+    '/:chatId/members/:userId',
+    [
+        ...validateChatId,
+        ...validateUserId,
+    ],
+    chatController.removeGroupMember
+);
+
+/**
+ * @route   PUT /api/chats/:chatId/members/:userId/role
+ * @desc    Make a member an admin or demote an admin
+ * @access  Private (group owner)
+ */
+router.put(
+    '/:chatId/members/:userId/role',
+    [
+        ...validateChatId,
+        ...validateUserId,
+        body('role')
+            .isIn(['admin', 'member'])
+            .withMessage('Role must be admin or member'),
+    ],
+    chatController.updateMemberRole
+);
+
+/**
+ * @route   POST /api/chats/:chatId/leave
+ * @desc    Leave a group chat
+ * @access  Private
+ */
+router.post(
+    '/:chatId/leave',
+    validateChatId,
+    chatController.leaveGroup
+);
+
 /**
  * @route   PUT /api/chats/:chatId/archive
  * @desc    Archive chat
@@ -142,6 +450,20 @@ router.put(
     chatController.archiveChat
 );
 
+/**
+ * @route   PUT /api/chats/:chatId/mute
+ * @desc    Mute or unmute notifications from a chat
+ * @access  Private
+ */
+router.put(
+    '/:chatId/mute',
+    [
+        ...validateChatId,
+        ...validateMute,
+    ],
+    chatController.muteChat
+);
+
 /**
  * @route   GET /api/chats/session/:sessionId
  * @desc    Get or create session-based chat
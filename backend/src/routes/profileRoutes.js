@@ -1,15 +1,16 @@
 const express = require('express');
 const ProfileController = require('../controllers/profileController');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const { authenticateToken, optionalAuth } = require('../middleware/authMiddleware');
 const { uploadSingle, cleanupOnError } = require('../middleware/upload');
 const { handleJoiError } = require('../middleware/errorHandler');
 const {
     updateProfileSchema,
     addSkillSchema,
     updateSkillSchema,
+    deleteAccountSchema,
     objectIdSchema,
 } = require('../validation/profileValidation');
-const { uploadLimiter } = require('../middleware/rateLimiter');
+const { uploadLimiter, authLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
@@ -92,6 +93,20 @@ router.get('/', authenticateToken, ProfileController.getProfile);
  */
 router.put('/', authenticateToken, validate(updateProfileSchema), ProfileController.updateProfile);
 
+/**
+ * @route DELETE /api/profile
+ * @desc Delete current user's account (after a grace period; signing in again cancels it)
+ * @access Private
+ */
+router.delete('/', authenticateToken, authLimiter, validate(deleteAccountSchema), ProfileController.deleteAccount);
+
+/**
+ * @route GET /api/profile/export
+ * @desc Download all data stored about the current user (JSON archive)
+ * @access Private
+ */
+router.get('/export', authenticateToken, ProfileController.exportData);
+
 /**
  * @route GET /api/profile/skills
  * @desc Get current user's skills
@@ -152,11 +167,58 @@ router.post(
  */
 router.delete('/image', authenticateToken, ProfileController.removeProfileImage);
 
+/**
+ * @route GET /api/profile/blocked
+ * @desc Get users the current user has blocked
+ * @access Private
+ */
+router.get('/blocked', authenticateToken, ProfileController.getBlockedUsers);
+
+/**
+ * @route POST /api/profile/blocked/:userId
+ * @desc Block a user from chatting, booking sessions or reviewing
+ * @access Private
+ */
+router.post('/blocked/:userId', authenticateToken, validateObjectId('userId'), ProfileController.blockUser);
+
+/**
+ * @route DELETE /api/profile/blocked/:userId
+ * @desc Unblock a user
+ * @access Private
+ */
+router.delete('/blocked/:userId', authenticateToken, validateObjectId('userId'), ProfileController.unblockUser);
+
 /**
  * @route GET /api/profile/:userId
  * @desc Get user profile by ID (public view)
  * @access Public
  */
-router.get('/:userId', validateObjectId('userId'), ProfileController.getProfileById);
+router.get('/:userId', optionalAuth, validateObjectId('userId'), ProfileController.getProfileById);
+
+/**
+ * @route POST /api/profile/:userId/skills/:skillId/endorse
+ * @desc Endorse a skill of someone the current user completed a session with
+ * @access Private
+ */
+router.post(
+    '/:userId/skills/:skillId/endorse',
+    authenticateToken,
+    validateObjectId('userId'),
+    validateObjectId('skillId'),
+    ProfileController.endorseSkill
+);
+
+/**
+ * @route DELETE /api/profile/:userId/skills/:skillId/endorse
+ * @desc Withdraw a skill endorsement
+ * @access Private
+ */
+router.delete(
+    '/:userId/skills/:skillId/endorse',
+    authenticateToken,
+    validateObjectId('userId'),
+    validateObjectId('skillId'),
+    ProfileController.removeEndorsement
+);
 
 module.exports = router;
\ No newline at end of file
@@ -32,6 +32,19 @@ const submitReviewSchema = Joi.object({
     reviewType: Joi.string().valid('teaching', 'learning', 'exchange').optional()
 });
 
+const editReviewSchema = Joi.object({
+    rating: Joi.number().integer().min(1).max(5)
+        .messages({
+            'number.min': 'Rating must be at least 1',
+            'number.max': 'Rating cannot exceed 5'
+        }),
+    comment: Joi.string().trim().min(10).max(1000)
+        .messages({
+            'string.min': 'Review comment must be at least 10 characters',
+            'string.max': 'Review comment cannot exceed 1000 characters'
+        })
+}).or('rating', 'comment');
+
 const flagReviewSchema = Joi.object({
     reason: Joi.string().valid('inappropriate', 'spam', 'fake', 'offensive', 'other').required(),
     details: Joi.string().max(500).optional()
@@ -187,6 +200,16 @@ router.get('/:reviewId',
     ReviewController.getReview
 );
 
+// @route   PUT /api/reviews/:reviewId
+// @desc    Edit the rating or comment of your own review within the edit window
+// @access  Private
+router.put('/:reviewId',
+    authenticateToken,
+    validateObjectId('reviewId'),
+    validate(editReviewSchema),
+    ReviewController.editReview
+);
+
 // @route   POST /api/reviews/:reviewId/flag
 // @desc    Flag a review for moderation
 // @access  Private
@@ -1,6 +1,6 @@
 const express = require('express');
 const SearchController = require('../controllers/searchController');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const { authenticateToken, optionalAuth } = require('../middleware/authMiddleware');
 const { searchLimiter } = require('../middleware/rateLimiter');
 const Joi = require('joi');
 
@@ -10,6 +10,7 @@ const router = express.Router();
  * Validation schemas for search endpoints
  */
 const searchUsersSchema = Joi.object({
+    q: Joi.string().trim().max(200).allow('').optional(),
     skill: Joi.string().trim().max(100).optional(),
     category: Joi.string().trim().max(50).optional(),
     level: Joi.string().valid('beginner', 'intermediate', 'advanced', 'expert').optional(),
@@ -23,7 +24,7 @@ const searchUsersSchema = Joi.object({
     availability: Joi.boolean().optional(),
     page: Joi.number().integer().min(1).default(1).optional(),
     limit: Joi.number().integer().min(1).max(100).default(20).optional(),
-    sortBy: Joi.string().valid('rating.average', 'createdAt', 'firstName', 'lastName').default('rating.average').optional(),
+    sortBy: Joi.string().valid('best', 'relevance', 'skillReputation', 'rating.average', 'sessionStats.completed', 'createdAt', 'firstName', 'lastName').optional(),
     sortOrder: Joi.string().valid('asc', 'desc').default('desc').optional()
 });
 
@@ -43,6 +44,11 @@ const trendingSchema = Joi.object({
     period: Joi.number().integer().min(1).max(365).default(30).optional()
 });
 
+const matchesSchema = Joi.object({
+    limit: Joi.number().integer().min(1).max(50).default(10).optional(),
+    maxDistance: Joi.number().min(1).max(20000).optional()
+});
+
 /**
  * Validation middleware
  */
@@ -110,15 +116,32 @@ const validateTrending = (req, res, next) => {
     next();
 };
 
+const validateMatches = (req, res, next) => {
+    const { error, value } = matchesSchema.validate(req.query);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }))
+        });
+    }
+    req.query = value;
+    next();
+};
+
 /**
  * Search Routes
  */
 
 // @route   GET /api/search/users
 // @desc    Search users by skills with filters and pagination
-// @access  Public (but could be protected if needed)
+// @access  Public (signed-in users never see people they blocked or who blocked them)
 router.get('/users',
     searchLimiter,
+    optionalAuth,
     validateSearchUsers,
     SearchController.searchUsers
 );
@@ -157,6 +180,16 @@ router.get('/trending',
     SearchController.getTrendingSkills
 );
 
+// @route   GET /api/search/matches
+// @desc    Suggested reciprocal skill swaps for the current user
+// @access  Private
+router.get('/matches',
+    authenticateToken,
+    searchLimiter,
+    validateMatches,
+    SearchController.getMatches
+);
+
 // @route   GET /api/search/user/:userId
 // @desc    Get specific user profile for search results
 // @access  Public
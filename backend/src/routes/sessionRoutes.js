@@ -1,7 +1,7 @@
 const express = require('express');
 const SessionController = require('../controllers/sessionController');
 const { authenticateToken } = require('../middleware/authMiddleware');
-const { handleJoiError } = require('../middleware/errorHandler');
+const { handleJoiError, NotFoundError } = require('../middleware/errorHandler');
 const { bookingLimiter } = require('../middleware/rateLimiter');
 const Joi = require('joi');
 
@@ -41,7 +41,19 @@ const createSessionSchema = Joi.object({
         is: Joi.valid('in-person', 'hybrid'),
         then: Joi.optional(),
         otherwise: Joi.forbidden()
-    })
+    }),
+    recurrence: Joi.object({
+        frequency: Joi.string().valid('weekly', 'biweekly').required(),
+        count: Joi.number().integer().min(2).max(26),
+        endDate: Joi.date().greater(Joi.ref('...scheduledDate'))
+            .messages({
+                'date.greater': 'Series end date must be after the first session'
+            })
+    }).xor('count', 'endDate').optional()
+        .messages({
+            'object.missing': 'Recurrence requires either a count or an end date',
+            'object.xor': 'Recurrence cannot have both a count and an end date'
+        })
 });
 
 const respondToSessionSchema = Joi.object({
@@ -69,6 +81,26 @@ const respondToSessionSchema = Joi.object({
     })
 });
 
+const respondToSeriesSchema = Joi.object({
+    action: Joi.string().valid('accept', 'decline').required(),
+    reason: Joi.string().max(500).when('action', {
+        is: 'decline',
+        then: Joi.optional(),
+        otherwise: Joi.forbidden()
+    }),
+    responseMessage: Joi.string().max(500).optional(),
+    meetingLink: Joi.string().uri().max(500).when('action', {
+        is: 'accept',
+        then: Joi.optional(),
+        otherwise: Joi.forbidden()
+    }),
+    location: Joi.string().max(200).when('action', {
+        is: 'accept',
+        then: Joi.optional(),
+        otherwise: Joi.forbidden()
+    })
+});
+
 const alternativeTimeSchema = Joi.object({
     dateTime: Joi.date().greater('now').required()
         .messages({
@@ -78,16 +110,22 @@ const alternativeTimeSchema = Joi.object({
 });
 
 const cancelSessionSchema = Joi.object({
-    reason: Joi.string().max(300).optional()
+    reason: Joi.string().max(300).optional(),
+    scope: Joi.string().valid('single', 'following').default('single')
 });
 
 const completeSessionSchema = Joi.object({
     notes: Joi.string().max(1000).optional()
 });
 
+const reportNoShowSchema = Joi.object({
+    reason: Joi.string().max(300).optional()
+});
+
+// Feedback is stored as a review, so it follows the review rules
 const feedbackSchema = Joi.object({
     rating: Joi.number().integer().min(1).max(5).required(),
-    comment: Joi.string().max(500).optional()
+    comment: Joi.string().trim().min(10).max(1000).required()
 });
 
 const checkConflictsSchema = Joi.object({
@@ -98,8 +136,8 @@ const checkConflictsSchema = Joi.object({
 
 const getUserSessionsSchema = Joi.object({
     status: Joi.alternatives().try(
-        Joi.string().valid('pending', 'accepted', 'rejected', 'cancelled', 'completed', 'no-show'),
-        Joi.array().items(Joi.string().valid('pending', 'accepted', 'rejected', 'cancelled', 'completed', 'no-show'))
+        Joi.string().valid('pending', 'accepted', 'rejected', 'cancelled', 'completed', 'no-show', 'expired'),
+        Joi.array().items(Joi.string().valid('pending', 'accepted', 'rejected', 'cancelled', 'completed', 'no-show', 'expired'))
     ).optional(),
     type: Joi.string().valid('requested', 'received', 'all').default('all').optional(),
     page: Joi.number().integer().min(1).default(1).optional(),
@@ -111,6 +149,24 @@ const getUpcomingSessionsSchema = Joi.object({
     days: Joi.number().integer().min(1).max(365).default(7).optional()
 });
 
+const availabilityQuerySchema = Joi.object({
+    from: Joi.date().optional(),
+    to: Joi.date().when('from', {
+        is: Joi.exist(),
+        then: Joi.date().greater(Joi.ref('from'))
+    }).optional()
+        .messages({
+            'date.greater': 'The end of the range must be after its start'
+        }),
+    duration: Joi.number().integer().min(15).max(480).default(60).optional()
+});
+
+const getSessionSchema = Joi.object({
+    format: Joi.string().valid('json', 'ics').optional()
+});
+
+const feedTokenSchema = Joi.string().hex().length(64);
+
 const objectIdSchema = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
 
 /**
@@ -205,12 +261,63 @@ router.post('/check-conflicts',
     SessionController.checkConflicts
 );
 
+// @route   GET /api/sessions/availability/:providerId
+// @desc    Get a provider's free slots (weekly availability minus accepted sessions)
+// @access  Private
+router.get('/availability/:providerId',
+    authenticateToken,
+    validateObjectId('providerId'),
+    validateQuery(availabilityQuerySchema),
+    SessionController.getProviderAvailability
+);
+
+// @route   PUT /api/sessions/series/:seriesId/respond
+// @desc    Accept or decline every pending session of a recurring series
+// @access  Private
+router.put('/series/:seriesId/respond',
+    authenticateToken,
+    validateObjectId('seriesId'),
+    validate(respondToSeriesSchema),
+    SessionController.respondToSeries
+);
+
+// @route   GET /api/sessions/calendar/feed/:token.ics
+// @desc    Calendar subscription feed of upcoming sessions (the secret token authenticates)
+// @access  Public
+router.get('/calendar/feed/:token.ics',
+    (req, res, next) => {
+        const { error } = feedTokenSchema.validate(req.params.token);
+        if (error) {
+            return next(new NotFoundError('Calendar feed not found'));
+        }
+        next();
+    },
+    SessionController.getCalendarFeed
+);
+
+// @route   POST /api/sessions/calendar/feed-token
+// @desc    Create or regenerate the user's secret calendar feed URL
+// @access  Private
+router.post('/calendar/feed-token',
+    authenticateToken,
+    SessionController.createCalendarFeed
+);
+
+// @route   DELETE /api/sessions/calendar/feed-token
+// @desc    Revoke the user's calendar feed
+// @access  Private
+router.delete('/calendar/feed-token',
+    authenticateToken,
+    SessionController.revokeCalendarFeed
+);
+
 // @route   GET /api/sessions/:sessionId
-// @desc    Get a specific session by ID
+// @desc    Get a specific session by ID (or as an .ics file with ?format=ics)
 // @access  Private
 router.get('/:sessionId',
     authenticateToken,
     validateObjectId('sessionId'),
+    validateQuery(getSessionSchema),
     SessionController.getSession
 );
 
@@ -254,6 +361,16 @@ router.put('/:sessionId/complete',
     SessionController.completeSession
 );
 
+// @route   PUT /api/sessions/:sessionId/no-show
+// @desc    Report that the other participant did not attend
+// @access  Private
+router.put('/:sessionId/no-show',
+    authenticateToken,
+    validateObjectId('sessionId'),
+    validate(reportNoShowSchema),
+    SessionController.reportNoShow
+);
+
 // @route   POST /api/sessions/:sessionId/feedback
 // @desc    Submit feedback for a completed session
 // @access  Private
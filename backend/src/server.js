@@ -138,7 +138,13 @@ app.use(globalErrorHandler);
 process.on('SIGTERM', async () => {
     console.log('🛑 SIGTERM received, shutting down gracefully...');
     const notificationProcessor = require('./jobs/notificationProcessor');
+    const sessionReminderScheduler = require('./jobs/sessionReminderScheduler');
+    const sessionExpiryJob = require('./jobs/sessionExpiryJob');
+    const accountDeletionJob = require('./jobs/accountDeletionJob');
     notificationProcessor.stop();
+    sessionReminderScheduler.stop();
+    sessionExpiryJob.stop();
+    accountDeletionJob.stop();
     await database.disconnect();
     process.exit(0);
 });
@@ -146,7 +152,13 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
     console.log('🛑 SIGINT received, shutting down gracefully...');
     const notificationProcessor = require('./jobs/notificationProcessor');
+    const sessionReminderScheduler = require('./jobs/sessionReminderScheduler');
+    const sessionExpiryJob = require('./jobs/sessionExpiryJob');
+    const accountDeletionJob = require('./jobs/accountDeletionJob');
     notificationProcessor.stop();
+    sessionReminderScheduler.stop();
+    sessionExpiryJob.stop();
+    accountDeletionJob.stop();
     await database.disconnect();
     process.exit(0);
 });
@@ -166,6 +178,18 @@ async function startServer() {
         const notificationProcessor = require('./jobs/notificationProcessor');
         notificationProcessor.start();
 
+        // Start session reminder scheduler
+        const sessionReminderScheduler = require('./jobs/sessionReminderScheduler');
+        sessionReminderScheduler.start();
+
+        // Start session expiry job
+        const sessionExpiryJob = require('./jobs/sessionExpiryJob');
+        sessionExpiryJob.start();
+
+        // Start account deletion job
+        const accountDeletionJob = require('./jobs/accountDeletionJob');
+        accountDeletionJob.start();
+
         // Create HTTP server
         const server = http.createServer(app);
 
@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Review = require('../models/Review');
+const Endorsement = require('../models/Endorsement');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const RefreshToken = require('../models/RefreshToken');
+const SessionService = require('./sessionService');
+const TokenService = require('./tokenService');
+const ChatAttachmentService = require('./chatAttachmentService');
+const { config: cloudinaryService } = require('../config/cloudinary');
+const {
+    AuthenticationError,
+    ConflictError,
+    NotFoundError,
+} = require('../middleware/errorHandler');
+
+const DELETION_GRACE_DAYS = 14;
+const DELETED_MESSAGE = 'This message was deleted';
+const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * Account Service
+ * Self-service data export and account deletion
+ */
+class AccountService {
+    /**
+     * Collect everything stored about a user into a machine-readable archive
+     * @param {string} userId - User id
+     * @returns {Promise<Object>} Export archive
+     */
+    static async buildExport(userId) {
+        const user = await User.findById(userId);
+        if (!user) {
+            throw new NotFoundError('User not found');
+        }
+
+        const [
+            sessions,
+            reviewsWritten,
+            reviewsReceived,
+            endorsementsGiven,
+            endorsementsReceived,
+            ownMessages,
+            notifications,
+        ] = await Promise.all([
+            Session.find({ $or: [{ requester: user._id }, { provider: user._id }] })
+                .populate('requester provider', 'firstName lastName')
+                .sort({ scheduledDate: -1 })
+                .lean(),
+            Review.find({ reviewer: user._id })
+                .populate('reviewee', 'firstName lastName')
+                .sort({ createdAt: -1 })
+                .lean(),
+            // Request metadata of received reviews belongs to their authors
+            Review.find({ reviewee: user._id })
+                .select('-metadata')
+                .populate('reviewer', 'firstName lastName')
+                .sort({ createdAt: -1 })
+                .lean(),
+            Endorsement.find({ endorser: user._id })
+                .populate('endorsee', 'firstName lastName')
+                .sort({ createdAt: -1 })
+                .lean(),
+            Endorsement.find({ endorsee: user._id })
+                .populate('endorser', 'firstName lastName')
+                .sort({ createdAt: -1 })
+                .lean(),
+            Message.find({ sender: user._id, isDeleted: false })
+                .populate('chat', 'chatType session')
+                .sort({ createdAt: 1 })
+                .lean(),
+            Notification.find({ recipient: user._id })
+                .sort({ createdAt: -1 })
+                .lean(),
+        ]);
+
+        const messages = ownMessages.map(message => ({
+            chat: message.chat?._id,
+            chatType: message.chat?.chatType,
+            session: message.chat?.session,
+            content: message.content,
+            messageType: message.messageType,
+            sentAt: message.createdAt,
+            editedAt: message.editedAt,
+        }));
+
+        const profile = user.toJSON();
+        delete profile.id;
+
+        return {
+            format: 'skillswap-account-export',
+            version: EXPORT_FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            profile,
+            sessions,
+            reviews: {
+                written: reviewsWritten,
+                received: reviewsReceived,
+            },
+            endorsements: {
+                given: endorsementsGiven,
+                received: endorsementsReceived,
+            },
+            messages,
+            notifications,
+        };
+    }
+
+    /**
+     * Schedule the account for deletion. Upcoming sessions are cancelled right away
+     * (counterparts are notified) and every device is signed out; the data itself is
+     * purged once the grace period has passed unless the user signs in again.
+     * @param {string} userId - User id
+     * @param {string} password - Password re-prompt
+     * @returns {Promise<{ scheduledFor: Date, cancelledSessions: number }>}
+     */
+    static async scheduleDeletion(userId, password) {
+        const user = await User.findById(userId).select('+password');
+        if (!user) {
+            throw new NotFoundError('User not found');
+        }
+
+        if (!password || !(await user.comparePassword(password))) {
+            throw new AuthenticationError('Password is incorrect');
+        }
+
+        if (user.isPendingDeletion) {
+            throw new ConflictError('Account deletion is already scheduled');
+        }
+
+        const cancelled = await SessionService.cancelUpcomingSessionsForUser(
+            user._id,
+            'The other participant deleted their account'
+        );
+
+        const now = new Date();
+        user.deletion = {
+            requestedAt: now,
+            scheduledFor: new Date(now.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000),
+        };
+        user.status = 'deactivated';
+        await user.save();
+
+        await TokenService.revokeAllSessions(user._id, 'account_deleted');
+
+        return { scheduledFor: user.deletion.scheduledFor, cancelledSessions: cancelled.length };
+    }
+
+    /**
+     * Reactivate an account whose deletion is still in its grace period (on sign-in)
+     * @param {Object} user - User document
+     * @returns {Promise<boolean>} Whether a scheduled deletion was cancelled
+     */
+    static async cancelDeletion(user) {
+        if (!user.isPendingDeletion) {
+            return false;
+        }
+
+        user.deletion = undefined;
+        user.status = 'active';
+        await user.save();
+        return true;
+    }
+
+    /**
+     * Remove a user's personal data. The document is kept as an anonymous tombstone so
+     * sessions and reviews of other users still resolve their counterpart.
+     * @param {string} userId - User id
+     * @returns {Promise<boolean>} Whether the account was purged
+     */
+    static async purgeAccount(userId) {
+        const user = await User.findById(userId);
+        if (!user || !user.isPendingDeletion) {
+            return false;
+        }
+
+        const now = new Date();
+
+        if (user.profileImage?.publicId) {
+            try {
+                await cloudinaryService.deleteImage(user.profileImage.publicId);
+            } catch (error) {
+                console.error(`Failed to delete profile image of user ${user._id}:`, error.message);
+            }
+        }
+
+        const messagesWithFiles = await Message.find({
+            sender: user._id,
+            attachment: { $exists: true },
+        }).select('attachment');
+        for (const message of messagesWithFiles) {
+            await ChatAttachmentService.remove(message.attachment);
+        }
+
+        await Message.updateMany(
+            { sender: user._id },
+            {
+                $set: {
+                    content: DELETED_MESSAGE,
+                    isDeleted: true,
+                    deletedAt: now,
+                },
+                $unset: { attachment: 1, editHistory: 1 },
+            }
+        );
+        await Chat.updateMany(
+            { 'lastMessage.sender': user._id },
+            { $set: { 'lastMessage.content': DELETED_MESSAGE } }
+        );
+
+        // Ratings stay for the other users' reputations; nothing links them to the person
+        await Review.updateMany({ reviewer: user._id }, { $unset: { metadata: 1 } });
+        await Review.updateMany({ reviewee: user._id }, { $unset: { response: 1 } });
+        // Endorsements given stay with the other users' skills; the user's own skills are cleared below
+        await Endorsement.deleteMany({ endorsee: user._id });
+
+        await Notification.deleteMany({ recipient: user._id });
+        await RefreshToken.deleteMany({ user: user._id });
+
+        await User.updateOne({ _id: user._id }, {
+            $set: {
+                firstName: 'Deleted',
+                lastName: 'User',
+                email: `deleted-${user._id}@deleted.skillswap.invalid`,
+                password: crypto.randomBytes(32).toString('hex'),
+                status: 'deactivated',
+                isEmailVerified: false,
+                skills: [],
+                skillsWanted: [],
+                'deletion.completedAt': now,
+            },
+            $unset: {
+                bio: 1,
+                location: 1,
+                profileImage: 1,
+                availability: 1,
+                socialProfiles: 1,
+                calendarFeed: 1,
+                twoFactor: 1,
+                emailChange: 1,
+                otp: 1,
+                passwordResetToken: 1,
+                passwordResetExpires: 1,
+                lastLogin: 1,
+            },
+        });
+
+        return true;
+    }
+
+    /**
+     * Purge every account whose grace period has ended (called by the account deletion job)
+     * @param {Date} now - Reference time
+     * @returns {Promise<number>} Number of purged accounts
+     */
+    static async purgeDueAccounts(now = new Date()) {
+        const due = await User.find({
+            'deletion.scheduledFor': { $lte: now },
+            'deletion.completedAt': null,
+        }).select('_id');
+
+        let purged = 0;
+        for (const { _id } of due) {
+            try {
+                if (await this.purgeAccount(_id)) {
+                    purged++;
+                }
+            } catch (error) {
+                console.error(`Failed to purge account ${_id}:`, error.message);
+            }
+        }
+
+        return purged;
+    }
+}
+
+module.exports = AccountService;
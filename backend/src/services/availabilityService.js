@@ -0,0 +1,133 @@
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { getZonedDateParts, zonedTimeToUtc } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 14;
+const MAX_RANGE_DAYS = 62;
+const SLOT_STEP_MINUTES = 30;
+
+/**
+ * Availability Service
+ * Turns a provider's weekly availability into concrete bookable slots
+ */
+class AvailabilityService {
+    /**
+     * Whether a local date ("YYYY-MM-DD") falls inside one of the exception ranges
+     */
+    static isBlockedDate(date, exceptions = []) {
+        return exceptions.some(exception => exception.startDate <= date && date <= exception.endDate);
+    }
+
+    /**
+     * Build candidate slots from weekly windows between two instants.
+     * Pure function so it can be tested without a database.
+     */
+    static buildCandidateSlots(availability, from, to, duration, step = SLOT_STEP_MINUTES) {
+        const timezone = availability.timezone || 'UTC';
+        const weeklySlots = availability.weeklySlots || [];
+        const exceptions = availability.exceptions || [];
+        const slots = [];
+
+        if (weeklySlots.length === 0) {
+            return slots;
+        }
+
+        // Walk local calendar days; start a day early so windows that began
+        // before `from` in the provider's timezone are still considered
+        const seen = new Set();
+        for (let cursor = from.getTime() - DAY_MS; cursor <= to.getTime() + DAY_MS; cursor += DAY_MS / 2) {
+            const { date, weekday } = getZonedDateParts(new Date(cursor), timezone);
+            if (seen.has(date)) continue;
+            seen.add(date);
+
+            if (this.isBlockedDate(date, exceptions)) continue;
+
+            weeklySlots
+                .filter(window => window.day === weekday)
+                .forEach(window => {
+                    const windowStart = zonedTimeToUtc(date, window.start, timezone);
+                    const windowEnd = zonedTimeToUtc(date, window.end, timezone);
+
+                    for (let start = windowStart.getTime(); start + duration * 60000 <= windowEnd.getTime(); start += step * 60000) {
+                        const end = start + duration * 60000;
+                        if (start >= from.getTime() && end <= to.getTime()) {
+                            slots.push({ start: new Date(start), end: new Date(end) });
+                        }
+                    }
+                });
+        }
+
+        return slots.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Remove slots overlapping any busy interval
+     */
+    static subtractBusyIntervals(slots, busy) {
+        return slots.filter(slot => !busy.some(interval => slot.start < interval.end && interval.start < slot.end));
+    }
+
+    /**
+     * Get a provider's free slots for a time range
+     * @param {string} providerId - Provider user id
+     * @param {Object} options - { from, to, duration } (duration in minutes)
+     */
+    static async getAvailableSlots(providerId, { from, to, duration = 60 } = {}) {
+        const provider = await User.findById(providerId).select('firstName lastName status availability');
+        if (!provider || provider.status !== 'active') {
+            throw new NotFoundError('Provider not found or not available');
+        }
+
+        // Never offer slots in the past
+        const now = new Date();
+        const rangeStart = from ? new Date(Math.max(new Date(from).getTime(), now.getTime())) : now;
+        const rangeEnd = to ? new Date(to) : new Date(rangeStart.getTime() + DEFAULT_RANGE_DAYS * DAY_MS);
+
+        if (rangeEnd <= rangeStart) {
+            throw new ValidationError('The end of the range must be after its start');
+        }
+        if (rangeEnd.getTime() - rangeStart.getTime() > MAX_RANGE_DAYS * DAY_MS) {
+            throw new ValidationError(`Availability can be requested for at most ${MAX_RANGE_DAYS} days at a time`);
+        }
+
+        const availability = provider.availability || {};
+        const timezone = availability.timezone || 'UTC';
+        const hasWeeklySlots = (availability.weeklySlots || []).length > 0;
+
+        let slots = [];
+        if (availability.isAvailable !== false && hasWeeklySlots) {
+            const candidates = this.buildCandidateSlots(availability, rangeStart, rangeEnd, duration);
+
+            // Accepted sessions on either side of the exchange make the provider busy
+            const sessions = await Session.find({
+                $or: [{ requester: providerId }, { provider: providerId }],
+                status: 'accepted',
+                scheduledDate: {
+                    $lt: rangeEnd,
+                    $gte: new Date(rangeStart.getTime() - DAY_MS)
+                }
+            }).select('scheduledDate duration');
+
+            const busy = sessions.map(session => ({
+                start: session.scheduledDate,
+                end: new Date(session.scheduledDate.getTime() + session.duration * 60000)
+            }));
+
+            slots = this.subtractBusyIntervals(candidates, busy);
+        }
+
+        return {
+            providerId,
+            timezone,
+            duration,
+            from: rangeStart,
+            to: rangeEnd,
+            hasWeeklySlots,
+            slots
+        };
+    }
+}
+
+module.exports = AvailabilityService;
@@ -0,0 +1,56 @@
+const User = require('../models/User');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+
+const BLOCKED_USER_FIELDS = 'firstName lastName profileImage';
+
+/**
+ * Block Service
+ * Manages a user's block list. What a block prevents is enforced where chats,
+ * messages, sessions and reviews are created.
+ */
+class BlockService {
+    /**
+     * People the user has blocked
+     * @param {string} userId - User id
+     * @returns {Promise<Array>} Blocked users with their public profile fields
+     */
+    static async listBlocked(userId) {
+        const user = await User.findById(userId)
+            .select('+blockedUsers')
+            .populate('blockedUsers', BLOCKED_USER_FIELDS);
+        if (!user) {
+            throw new NotFoundError('User not found');
+        }
+        return user.blockedUsers || [];
+    }
+
+    /**
+     * Block another user. Blocking someone twice has no further effect.
+     * @param {string} userId - Blocking user id
+     * @param {string} blockedUserId - User to block
+     * @returns {Promise<void>}
+     */
+    static async blockUser(userId, blockedUserId) {
+        if (userId.toString() === blockedUserId.toString()) {
+            throw new ValidationError('You cannot block yourself');
+        }
+
+        if (!(await User.exists({ _id: blockedUserId }))) {
+            throw new NotFoundError('User not found');
+        }
+
+        await User.updateOne({ _id: userId }, { $addToSet: { blockedUsers: blockedUserId } });
+    }
+
+    /**
+     * Remove a user from the block list
+     * @param {string} userId - Blocking user id
+     * @param {string} blockedUserId - User to unblock
+     * @returns {Promise<void>}
+     */
+    static async unblockUser(userId, blockedUserId) {
+        await User.updateOne({ _id: userId }, { $pull: { blockedUsers: blockedUserId } });
+    }
+}
+
+module.exports = BlockService;
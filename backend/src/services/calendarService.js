@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const SessionService = require('./sessionService');
+const config = require('../config');
+const { NotFoundError } = require('../middleware/errorHandler');
+const { buildCalendar } = require('../utils/icalendar');
+
+const FEED_SESSION_LIMIT = 200;
+
+/**
+ * Calendar Service
+ * Exports sessions as iCalendar files and serves per-user secret feeds
+ */
+class CalendarService {
+    /**
+     * Hash a feed token so the raw token is never stored
+     */
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Link back to the sessions page for calendar clients
+     */
+    static getSessionUrl() {
+        return `${config.frontendUrl}/sessions`;
+    }
+
+    /**
+     * Build a single-event calendar for a session the user takes part in
+     * @param {string} sessionId - Session id
+     * @param {string} userId - Requesting user id
+     * @returns {Promise<{ filename: string, calendar: string }>}
+     */
+    static async getSessionCalendar(sessionId, userId) {
+        const session = await SessionService.getSessionWithAccess(sessionId, userId);
+
+        return {
+            filename: `skillswap-session-${sessionId}.ics`,
+            calendar: buildCalendar([session], { getUrl: () => this.getSessionUrl() })
+        };
+    }
+
+    /**
+     * Create (or replace) the user's secret feed token.
+     * The raw token is only returned here; regenerating invalidates the old URL.
+     * @param {string} userId - User id
+     * @returns {Promise<{ token: string, createdAt: Date }>}
+     */
+    static async createFeedToken(userId) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const createdAt = new Date();
+
+        const user = await User.findByIdAndUpdate(userId, {
+            calendarFeed: { tokenHash: this.hashToken(token), createdAt }
+        });
+        if (!user) {
+            throw new NotFoundError('User not found');
+        }
+
+        return { token, createdAt };
+    }
+
+    /**
+     * Revoke the user's feed so existing subscriptions stop working
+     * @param {string} userId - User id
+     */
+    static async revokeFeedToken(userId) {
+        const user = await User.findByIdAndUpdate(userId, { $unset: { calendarFeed: 1 } });
+        if (!user) {
+            throw new NotFoundError('User not found');
+        }
+    }
+
+    /**
+     * Build the feed calendar for a token: upcoming accepted sessions, plus
+     * cancelled ones that were accepted before so subscribers drop the event
+     * @param {string} token - Raw feed token from the URL
+     * @returns {Promise<string>}
+     */
+    static async getFeedCalendar(token) {
+        const user = await User.findOne({ 'calendarFeed.tokenHash': this.hashToken(token) })
+            .select('firstName status');
+        if (!user || user.status !== 'active') {
+            throw new NotFoundError('Calendar feed not found');
+        }
+
+        const { sessions } = await SessionService.getUserSessions(user._id.toString(), {
+            status: ['accepted', 'cancelled'],
+            upcoming: true,
+            limit: FEED_SESSION_LIMIT
+        });
+
+        const feedSessions = sessions.filter(session => session.status === 'accepted' ||
+            (session.statusHistory || []).some(entry => entry.to === 'accepted'));
+
+        return buildCalendar(feedSessions, {
+            name: 'SkillSwap Sessions',
+            getUrl: () => this.getSessionUrl()
+        });
+    }
+}
+
+module.exports = CalendarService;
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const cloudinary = require('../config/cloudinary');
+const { config: cloudinaryService } = require('../config/cloudinary');
+const config = require('../config');
+const { CHAT_IMAGE_TYPES, cleanupFile } = require('../middleware/upload');
+const {
+    AuthorizationError,
+    NotFoundError,
+    ValidationError,
+} = require('../middleware/errorHandler');
+
+const LOCAL_ROOT = path.resolve(__dirname, '../..', config.chatAttachments.localDir);
+const THUMBNAIL_TRANSFORMATION = { width: 320, height: 320, crop: 'limit' };
+
+/**
+ * Chat Attachment Service
+ * Stores chat uploads in Cloudinary (private, authenticated delivery) or, when
+ * Cloudinary is not configured, on local disk for development and tests
+ */
+class ChatAttachmentService {
+    static isImage(mimeType) {
+        return CHAT_IMAGE_TYPES.includes(mimeType);
+    }
+
+    /**
+     * Check chat settings and per-type size limits for an uploaded file
+     * @param {Object} file - multer file
+     * @param {Object} chat - Chat document
+     */
+    static assertAllowed(file, chat) {
+        const isImage = this.isImage(file.mimetype);
+
+        if (isImage && chat.settings?.allowImageSharing === false) {
+            throw new AuthorizationError('Image sharing is disabled in this chat');
+        }
+        if (!isImage && chat.settings?.allowFileSharing === false) {
+            throw new AuthorizationError('File sharing is disabled in this chat');
+        }
+
+        const maxSize = isImage ? config.chatAttachments.maxImageSize : config.chatAttachments.maxFileSize;
+        if (file.size > maxSize) {
+            throw new ValidationError(
+                `File size too large. Maximum size is ${Math.round(maxSize / (1024 * 1024))}MB.`
+            );
+        }
+    }
+
+    /**
+     * Store an uploaded file for a chat; the temporary upload is always removed
+     * @param {Object} file - multer file
+     * @param {Object} chat - Chat document
+     * @returns {Promise<Object>} Attachment subdocument data
+     */
+    static async store(file, chat) {
+        try {
+            this.assertAllowed(file, chat);
+
+            const resourceType = this.isImage(file.mimetype) ? 'image' : 'raw';
+            const attachment = {
+                resourceType,
+                fileName: path.basename(file.originalname),
+                mimeType: file.mimetype,
+                size: file.size,
+            };
+
+            if (cloudinaryService.isReady()) {
+                return { ...attachment, ...(await this.uploadToCloudinary(file, chat, resourceType)) };
+            }
+            return { ...attachment, ...(await this.moveToLocalStorage(file, chat)) };
+        } finally {
+            cleanupFile(file.path);
+        }
+    }
+
+    static async uploadToCloudinary(file, chat, resourceType) {
+        const options = {
+            folder: `skillswap/chats/${chat._id}`,
+            type: 'authenticated',
+            resource_type: resourceType,
+        };
+
+        if (resourceType === 'image') {
+            options.eager = [THUMBNAIL_TRANSFORMATION];
+        } else {
+            // Raw files keep their extension in the public id
+            options.public_id = `${crypto.randomBytes(12).toString('hex')}${path.extname(file.originalname).toLowerCase()}`;
+        }
+
+        const result = await cloudinary.uploader.upload(file.path, options);
+
+        return {
+            storage: 'cloudinary',
+            key: result.public_id,
+            width: result.width,
+            height: result.height,
+        };
+    }
+
+    static async moveToLocalStorage(file, chat) {
+        const key = path.join(
+            chat._id.toString(),
+            `${crypto.randomBytes(12).toString('hex')}${path.extname(file.originalname).toLowerCase()}`
+        );
+        const destination = path.join(LOCAL_ROOT, key);
+
+        await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+        await fs.promises.copyFile(file.path, destination);
+
+        return { storage: 'local', key };
+    }
+
+    /**
+     * Where to serve an attachment from. Known limitation: local storage has no
+     * image processing, so a local image's thumbnail is the full-size original,
+     * scaled by the client. Configure Cloudinary wherever preview size matters.
+     * @param {Object} attachment - Attachment subdocument
+     * @param {string} [variant] - 'thumbnail' for the preview of an image
+     * @returns {{ redirectUrl: string } | { filePath: string }}
+     */
+    static resolve(attachment, variant) {
+        if (attachment.storage === 'cloudinary') {
+            return {
+                redirectUrl: cloudinary.url(attachment.key, {
+                    type: 'authenticated',
+                    resource_type: attachment.resourceType,
+                    sign_url: true,
+                    secure: true,
+                    ...(variant === 'thumbnail' && attachment.resourceType === 'image' && {
+                        transformation: [THUMBNAIL_TRANSFORMATION],
+                    }),
+                }),
+            };
+        }
+
+        const filePath = path.resolve(LOCAL_ROOT, attachment.key);
+        if (!filePath.startsWith(LOCAL_ROOT + path.sep) || !fs.existsSync(filePath)) {
+            throw new NotFoundError('Attachment not found');
+        }
+        return { filePath };
+    }
+
+    /**
+     * Delete the stored file (best effort; used when a message is deleted)
+     * @param {Object} attachment - Attachment subdocument
+     */
+    static async remove(attachment) {
+        try {
+            if (attachment.storage === 'cloudinary') {
+                await cloudinary.uploader.destroy(attachment.key, {
+                    type: 'authenticated',
+                    resource_type: attachment.resourceType,
+                });
+            } else {
+                const filePath = path.resolve(LOCAL_ROOT, attachment.key);
+                if (filePath.startsWith(LOCAL_ROOT + path.sep)) {
+                    cleanupFile(filePath);
+                }
+            }
+        } catch (error) {
+            console.error('Failed to delete chat attachment:', error.message);
+        }
+    }
+}
+
+module.exports = ChatAttachmentService;
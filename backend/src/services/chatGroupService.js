@@ -0,0 +1,291 @@
+const Chat = require('../models/Chat');
+const User = require('../models/User');
+const cloudinary = require('../config/cloudinary');
+const { config: cloudinaryService } = require('../config/cloudinary');
+const socketService = require('./socketService');
+const { cleanupFile } = require('../middleware/upload');
+const {
+    AppError,
+    AuthorizationError,
+    NotFoundError,
+    ValidationError,
+} = require('../middleware/errorHandler');
+
+const PARTICIPANT_FIELDS = 'firstName lastName profileImage';
+
+const fullName = (user) => `${user.firstName} ${user.lastName}`;
+
+/**
+ * Chat Group Service
+ * Group chats for learning circles: creation, membership and roles. Every
+ * membership change is recorded as a system message in the chat.
+ */
+class ChatGroupService {
+    /**
+     * Load a group chat the user belongs to
+     * @param {string} chatId - Chat id
+     * @param {string} userId - Acting user id
+     * @returns {Promise<Object>} Chat document
+     */
+    static async findGroup(chatId, userId) {
+        const chat = await Chat.findById(chatId);
+        if (!chat || !chat.isActive || !chat.isParticipant(userId)) {
+            throw new NotFoundError('Chat not found or access denied');
+        }
+        if (chat.chatType !== 'group') {
+            throw new ValidationError('Only group chats have members to manage');
+        }
+        return chat;
+    }
+
+    /**
+     * Load active users by id, failing if any of them does not exist
+     * @param {Array<string>} userIds - User ids
+     * @returns {Promise<Map<string, Object>>} Users by id
+     */
+    static async findActiveUsers(userIds) {
+        const ids = [...new Set(userIds.map(id => id.toString()))];
+        const users = await User.find({ _id: { $in: ids }, status: 'active' }).select('firstName lastName');
+
+        if (users.length !== ids.length) {
+            throw new ValidationError('Some members could not be found');
+        }
+        return new Map(users.map(user => [user._id.toString(), user]));
+    }
+
+    /**
+     * Display names for system messages; users who are gone show up as "A member"
+     * @param {Array<string>} userIds - User ids
+     * @returns {Promise<Function>} Lookup from id to name
+     */
+    static async nameLookup(userIds) {
+        const users = await User.find({ _id: { $in: userIds } }).select('firstName lastName');
+        const names = new Map(users.map(user => [user._id.toString(), fullName(user)]));
+        return (userId) => names.get(userId.toString()) || 'A member';
+    }
+
+    /**
+     * Post a system message about the group and broadcast it to the chat room
+     * @param {Object} chat - Chat document
+     * @param {string} actorId - User who made the change
+     * @param {string} content - Message text
+     */
+    static async announce(chat, actorId, content) {
+        const message = await chat.addSystemMessage(actorId, content);
+        const populatedMessage = await message.populateForDisplay();
+
+        socketService.sendToChat(chat._id, 'new_message', {
+            chatId: chat._id,
+            message: populatedMessage,
+            chat: {
+                _id: chat._id,
+                lastMessage: chat.lastMessage,
+                lastActivity: chat.lastActivity,
+            },
+        });
+
+        return populatedMessage;
+    }
+
+    /**
+     * Send the updated group details and member list to everyone in it
+     * @param {Object} chat - Chat document
+     * @returns {Promise<Object>} Chat with populated participants
+     */
+    static async publish(chat) {
+        await chat.populate('participants', PARTICIPANT_FIELDS);
+        socketService.sendToChat(chat._id, 'group_updated', { chatId: chat._id, chat });
+        return chat;
+    }
+
+    /**
+     * Create a group chat owned by its creator
+     * @param {string} ownerId - Creating user id
+     * @param {Object} details - { name, skill, memberIds }
+     * @returns {Promise<Object>} Created chat
+     */
+    static async createGroup(ownerId, { name, skill, memberIds = [] }) {
+        const users = await this.findActiveUsers([ownerId, ...memberIds]);
+
+        const chat = await Chat.createGroupChat(ownerId, { name, skill, memberIds });
+        await this.announce(chat, ownerId, `${fullName(users.get(ownerId.toString()))} created the group "${chat.name}"`);
+
+        await chat.populate('participants', PARTICIPANT_FIELDS);
+        chat.participants
+            .filter(participant => participant._id.toString() !== ownerId.toString())
+            .forEach(participant => socketService.sendToUser(participant._id, 'added_to_chat', { chat }));
+
+        return chat;
+    }
+
+    /**
+     * Update the group name or skill (admins only)
+     * @param {string} chatId - Chat id
+     * @param {string} actorId - Acting user id
+     * @param {Object} changes - { name, skill }
+     * @returns {Promise<Object>} Updated chat
+     */
+    static async updateGroup(chatId, actorId, { name, skill }) {
+        const chat = await this.findGroup(chatId, actorId);
+        if (!chat.isGroupAdmin(actorId)) {
+            throw new AuthorizationError('Only group admins can change the group details');
+        }
+
+        const renamed = name !== undefined && name !== chat.name;
+        if (name !== undefined) chat.name = name;
+        if (skill !== undefined) chat.skill = skill || undefined;
+        await chat.save();
+
+        if (renamed) {
+            const nameOf = await this.nameLookup([actorId]);
+            await this.announce(chat, actorId, `${nameOf(actorId)} renamed the group to "${chat.name}"`);
+        }
+
+        return this.publish(chat);
+    }
+
+    /**
+     * Replace the group avatar with an uploaded image (admins only)
+     * @param {string} chatId - Chat id
+     * @param {string} actorId - Acting user id
+     * @param {Object} file - multer file
+     * @returns {Promise<Object>} Updated chat
+     */
+    static async updateAvatar(chatId, actorId, file) {
+        try {
+            const chat = await this.findGroup(chatId, actorId);
+            if (!chat.isGroupAdmin(actorId)) {
+                throw new AuthorizationError('Only group admins can change the group avatar');
+            }
+
+            // Avatars are only stored in Cloudinary
+            if (!cloudinaryService.isReady()) {
+                throw new AppError('Image uploads are currently unavailable', 503, 'SERVICE_UNAVAILABLE');
+            }
+
+            if (chat.avatar?.publicId) {
+                await cloudinary.uploader.destroy(chat.avatar.publicId);
+            }
+
+            const result = await cloudinary.uploader.upload(file.path, {
+                folder: 'skillswap/chats/avatars',
+                public_id: `group_${chat._id}`,
+                transformation: [
+                    { width: 400, height: 400, crop: 'fill' },
+                    { quality: 'auto', fetch_format: 'auto' },
+                ],
+            });
+
+            chat.avatar = {
+                url: result.secure_url,
+                publicId: result.public_id,
+            };
+            await chat.save();
+
+            return this.publish(chat);
+        } finally {
+            cleanupFile(file.path);
+        }
+    }
+
+    /**
+     * Add members to a group (admins only)
+     * @param {string} chatId - Chat id
+     * @param {string} actorId - Acting user id
+     * @param {Array<string>} userIds - Users to add
+     * @returns {Promise<Object>} Updated chat
+     */
+    static async addMembers(chatId, actorId, userIds) {
+        const chat = await this.findGroup(chatId, actorId);
+        const users = await this.findActiveUsers([actorId, ...userIds]);
+
+        const added = chat.addMembers(actorId, userIds);
+        if (added.length === 0) {
+            return chat.populate('participants', PARTICIPANT_FIELDS);
+        }
+        await chat.save();
+
+        const names = added.map(id => fullName(users.get(id))).join(', ');
+        await this.announce(chat, actorId, `${fullName(users.get(actorId.toString()))} added ${names}`);
+
+        await this.publish(chat);
+        added.forEach(userId => socketService.sendToUser(userId, 'added_to_chat', { chat }));
+        return chat;
+    }
+
+    /**
+     * Remove a member from a group (admins only; admins can only be removed by the owner)
+     * @param {string} chatId - Chat id
+     * @param {string} actorId - Acting user id
+     * @param {string} userId - Member to remove
+     * @returns {Promise<Object>} Updated chat
+     */
+    static async removeMember(chatId, actorId, userId) {
+        const chat = await this.findGroup(chatId, actorId);
+
+        chat.removeMember(actorId, userId);
+        await chat.save();
+
+        socketService.removeUserFromChat(userId, chat._id);
+        socketService.sendToUser(userId, 'removed_from_chat', { chatId: chat._id });
+
+        const nameOf = await this.nameLookup([actorId, userId]);
+        await this.announce(chat, actorId, `${nameOf(actorId)} removed ${nameOf(userId)}`);
+
+        return this.publish(chat);
+    }
+
+    /**
+     * Leave a group; ownership passes on when the owner leaves
+     * @param {string} chatId - Chat id
+     * @param {string} userId - Leaving user id
+     * @returns {Promise<{newOwner: string|null}>}
+     */
+    static async leaveGroup(chatId, userId) {
+        const chat = await this.findGroup(chatId, userId);
+
+        const newOwner = chat.leaveGroup(userId);
+        await chat.save();
+
+        socketService.removeUserFromChat(userId, chat._id);
+
+        if (chat.participants.length > 0) {
+            const nameOf = await this.nameLookup([userId, newOwner].filter(Boolean));
+            await this.announce(chat, userId, `${nameOf(userId)} left the group`);
+            if (newOwner) {
+                await this.announce(chat, userId, `${nameOf(newOwner)} is now the group owner`);
+            }
+            await this.publish(chat);
+        }
+
+        return { newOwner };
+    }
+
+    /**
+     * Make a member an admin or turn an admin back into a member (owner only)
+     * @param {string} chatId - Chat id
+     * @param {string} actorId - Acting user id
+     * @param {string} userId - Member whose role changes
+     * @param {string} role - 'admin' or 'member'
+     * @returns {Promise<Object>} Updated chat
+     */
+    static async updateMemberRole(chatId, actorId, userId, role) {
+        const chat = await this.findGroup(chatId, actorId);
+
+        const changed = chat.setMemberRole(actorId, userId, role);
+        if (!changed) {
+            return chat.populate('participants', PARTICIPANT_FIELDS);
+        }
+        await chat.save();
+
+        const nameOf = await this.nameLookup([userId]);
+        const text = role === 'admin'
+            ? `${nameOf(userId)} is now a group admin`
+            : `${nameOf(userId)} is no longer a group admin`;
+        await this.announce(chat, actorId, text);
+
+        return this.publish(chat);
+    }
+}
+
+module.exports = ChatGroupService;
@@ -0,0 +1,85 @@
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { parseSearchTerms, findMessageHighlight } = require('../utils/search');
+
+const PARTICIPANT_FIELDS = 'firstName lastName profileImage';
+const RESULT_FIELDS = 'chat sender content messageType attachment editedAt createdAt';
+
+/**
+ * Chat Search Service
+ * Full-text search over the messages of the chats a user takes part in
+ */
+class ChatSearchService {
+    /**
+     * Which conversation a result belongs to, with the other participants for display
+     * @param {Object} chat - Chat document with populated participants
+     * @param {string} userId - Searching user id
+     * @returns {Object}
+     */
+    static chatContext(chat, userId) {
+        return {
+            _id: chat._id,
+            chatType: chat.chatType,
+            name: chat.name,
+            avatar: chat.avatar?.url ? { url: chat.avatar.url } : undefined,
+            participants: chat.participants.filter(participant => (
+                participant._id.toString() !== userId.toString()
+            )),
+        };
+    }
+
+    /**
+     * Search messages, best matches first and newest first among equals.
+     * Deleted and system messages are never returned.
+     * @param {string} userId - Searching user id
+     * @param {string} query - Raw search input
+     * @param {Object} [options]
+     * @param {number} [options.page=1] - Page number
+     * @param {number} [options.limit=20] - Page size
+     * @returns {Promise<{results: Array, total: number}>}
+     */
+    static async search(userId, query, options = {}) {
+        const { page = 1, limit = 20 } = options;
+
+        const terms = parseSearchTerms(query);
+        if (terms.length === 0) {
+            return { results: [], total: 0 };
+        }
+
+        const chats = await Chat.find({ participants: userId, isActive: true })
+            .select('chatType name avatar participants')
+            .populate('participants', PARTICIPANT_FIELDS);
+        if (chats.length === 0) {
+            return { results: [], total: 0 };
+        }
+        const chatsById = new Map(chats.map(chat => [chat._id.toString(), chat]));
+
+        const filter = {
+            $text: { $search: terms.join(' ') },
+            chat: { $in: chats.map(chat => chat._id) },
+            isDeleted: false,
+            messageType: { $ne: 'system' },
+        };
+
+        const [messages, total] = await Promise.all([
+            Message.find(filter)
+                .select(RESULT_FIELDS)
+                .select({ score: { $meta: 'textScore' } })
+                .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('sender', PARTICIPANT_FIELDS),
+            Message.countDocuments(filter),
+        ]);
+
+        const results = messages.map(message => ({
+            message,
+            chat: ChatSearchService.chatContext(chatsById.get(message.chat.toString()), userId),
+            highlight: findMessageHighlight(message, terms),
+        }));
+
+        return { results, total };
+    }
+}
+
+module.exports = ChatSearchService;
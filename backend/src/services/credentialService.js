@@ -0,0 +1,175 @@
+const User = require('../models/User');
+const OTPService = require('./otpService');
+const TokenService = require('./tokenService');
+const emailService = require('./emailService');
+const NotificationService = require('./notificationService');
+const PasswordUtils = require('../utils/password');
+const config = require('../config');
+const {
+    AuthenticationError,
+    ConflictError,
+    NotFoundError,
+    ValidationError,
+} = require('../middleware/errorHandler');
+
+const MAX_EMAIL_CHANGE_ATTEMPTS = 5;
+
+/**
+ * Credential Service
+ * Password and email changes for signed-in users
+ */
+class CredentialService {
+    static async findUser(userId, fields) {
+        const user = await User.findById(userId).select(fields);
+        if (!user) {
+            throw new NotFoundError('User not found');
+        }
+        return user;
+    }
+
+    static async assertPassword(user, password) {
+        if (!password || !(await user.comparePassword(password))) {
+            throw new AuthenticationError('Current password is incorrect');
+        }
+    }
+
+    /**
+     * Change the password. Existing JWTs stop working (passwordChangedAt) and every
+     * login session is revoked; the caller signs the current device in again.
+     * @param {string} userId - User id
+     * @param {string} currentPassword - Password re-prompt
+     * @param {string} newPassword - New password
+     * @returns {Promise<Object>} Updated user
+     */
+    static async changePassword(userId, currentPassword, newPassword) {
+        const user = await this.findUser(userId, '+password');
+        await this.assertPassword(user, currentPassword);
+
+        const strength = PasswordUtils.validateStrength(newPassword);
+        if (!strength.isValid) {
+            throw new ValidationError(
+                'New password is not strong enough',
+                strength.errors.map(message => ({ field: 'newPassword', message }))
+            );
+        }
+
+        user.password = newPassword;
+        await user.save();
+
+        await TokenService.revokeAllSessions(user._id, 'password_changed');
+
+        try {
+            await NotificationService.createSystemNotification({ userId: user._id }, 'password_changed');
+        } catch (error) {
+            console.error('Failed to create password changed notification:', error.message);
+        }
+
+        return user;
+    }
+
+    /**
+     * Start an email change: email a code to the new address. The account keeps
+     * its current address until the code is confirmed.
+     * @param {string} userId - User id
+     * @param {string} newEmail - Requested address
+     * @param {string} password - Password re-prompt
+     * @returns {Promise<{ newEmail: string, expires: Date }>}
+     */
+    static async requestEmailChange(userId, newEmail, password) {
+        const user = await this.findUser(userId, '+password');
+        await this.assertPassword(user, password);
+
+        if (newEmail === user.email) {
+            throw new ValidationError('New email must be different from your current email');
+        }
+
+        if (await User.exists({ email: newEmail })) {
+            throw new ConflictError('Email is already in use');
+        }
+
+        const otpData = OTPService.generateOTPWithExpiration();
+        user.emailChange = {
+            newEmail,
+            otp: { ...otpData, code: OTPService.hashOTP(otpData.code) },
+        };
+        await user.save();
+
+        await emailService.sendEmailChangeCode(
+            { email: newEmail, firstName: user.firstName },
+            otpData.code,
+            config.otp.expiresIn
+        );
+
+        return { newEmail, expires: otpData.expires };
+    }
+
+    /**
+     * Confirm an email change with the code sent to the new address, then alert the old address
+     * @param {string} userId - User id
+     * @param {string} otp - Code from the email
+     * @returns {Promise<{ user: Object, previousEmail: string }>}
+     */
+    static async confirmEmailChange(userId, otp) {
+        const user = await this.findUser(userId, '+emailChange');
+        const pending = user.emailChange;
+        if (!pending?.newEmail) {
+            throw new ValidationError('No email change is pending');
+        }
+
+        const validation = OTPService.validateOTP(OTPService.hashOTP(otp), pending.otp, {
+            maxAttempts: MAX_EMAIL_CHANGE_ATTEMPTS,
+        });
+
+        if (!validation.isValid) {
+            if (validation.shouldRegenerate) {
+                user.emailChange = undefined;
+                await user.save();
+                throw new ValidationError(`${validation.error}. Please request the change again.`);
+            }
+
+            user.emailChange.otp.attempts += 1;
+            await user.save();
+
+            const remainingAttempts = MAX_EMAIL_CHANGE_ATTEMPTS - user.emailChange.otp.attempts;
+            throw new ValidationError(`${validation.error}. ${remainingAttempts} attempts remaining.`);
+        }
+
+        // Someone may have registered the address since the code was sent
+        if (await User.exists({ email: pending.newEmail, _id: { $ne: user._id } })) {
+            user.emailChange = undefined;
+            await user.save();
+            throw new ConflictError('Email is already in use');
+        }
+
+        const previousEmail = user.email;
+        user.email = pending.newEmail;
+        user.isEmailVerified = true;
+        user.emailChange = undefined;
+        await user.save();
+
+        await this.sendEmailChangedAlert(user, previousEmail);
+
+        return { user, previousEmail };
+    }
+
+    /**
+     * Tell the previous address about the change; in-app copy for the account itself
+     */
+    static async sendEmailChangedAlert(user, previousEmail) {
+        const message = `The email address of your SkillSwap account was changed from ${previousEmail} to ${user.email}. If you did not make this change, reset your password and contact support immediately.`;
+
+        try {
+            await emailService.sendSecurityAlertEmail({ email: previousEmail, firstName: user.firstName }, message);
+        } catch (error) {
+            console.error('Failed to send email changed alert:', error.message);
+        }
+
+        try {
+            await NotificationService.createSystemNotification({ userId: user._id }, 'security_alert', { message });
+        } catch (error) {
+            console.error('Failed to create email changed notification:', error.message);
+        }
+    }
+}
+
+module.exports = CredentialService;
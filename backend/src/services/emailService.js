@@ -303,6 +303,42 @@ This email was sent by SkillSwap. If you no longer wish to receive these emails,
     });
   }
 
+  /**
+   * Send the code confirming a new email address
+   */
+  async sendEmailChangeCode(userData, code, expiresInMinutes) {
+    const { email, firstName } = userData;
+
+    return await this.sendNotificationEmail({
+      to: email,
+      subject: 'Confirm Your New Email Address',
+      template: 'email-change',
+      data: {
+        recipientName: firstName,
+        title: 'Confirm Your New Email Address',
+        message: `Your SkillSwap verification code is ${code}. It expires in ${expiresInMinutes} minutes. If you did not request this change, you can ignore this email.`
+      }
+    });
+  }
+
+  /**
+   * Send a security alert (e.g. to the previous address after an email change)
+   */
+  async sendSecurityAlertEmail(userData, message) {
+    const { email, firstName } = userData;
+
+    return await this.sendNotificationEmail({
+      to: email,
+      subject: 'Security Alert',
+      template: 'security-alert',
+      data: {
+        recipientName: firstName,
+        title: 'Security Alert',
+        message
+      }
+    });
+  }
+
   /**
    * Test email configuration
    */
@@ -0,0 +1,137 @@
+const Endorsement = require('../models/Endorsement');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+const {
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+    AuthorizationError
+} = require('../middleware/errorHandler');
+
+/**
+ * Endorsement Service
+ * Lets people who completed a session together vouch for each other's skills.
+ * Every change recomputes the endorsee's skill reputation.
+ */
+class EndorsementService {
+    /**
+     * Endorse one of another user's skills
+     * @param {string} endorserId - User giving the endorsement
+     * @param {string} endorseeId - Owner of the skill
+     * @param {string} skillId - Skill subdocument id on the endorsee's profile
+     * @returns {Promise<Object>} Saved endorsement
+     */
+    static async endorseSkill(endorserId, endorseeId, skillId) {
+        if (endorserId.toString() === endorseeId.toString()) {
+            throw new ValidationError('You cannot endorse your own skills');
+        }
+
+        const [endorser, endorsee] = await Promise.all([
+            User.findById(endorserId).select('firstName lastName'),
+            User.findOne({ _id: endorseeId, status: 'active' }).select('skills')
+        ]);
+        if (!endorsee) {
+            throw new NotFoundError('User not found');
+        }
+
+        const skill = endorsee.skills.id(skillId);
+        if (!skill) {
+            throw new NotFoundError('Skill not found');
+        }
+
+        if (await User.isBlockedBetween(endorserId, endorseeId)) {
+            throw new AuthorizationError('You cannot endorse this user');
+        }
+
+        const session = await Session.findOne({
+            status: 'completed',
+            $or: [
+                { requester: endorserId, provider: endorseeId },
+                { requester: endorseeId, provider: endorserId }
+            ]
+        }).select('_id');
+        if (!session) {
+            throw new AuthorizationError('You can only endorse people you have completed a session with');
+        }
+
+        if (await Endorsement.exists({ endorser: endorserId, endorsee: endorseeId, skill: skill._id })) {
+            throw new ConflictError('You have already endorsed this skill');
+        }
+
+        let endorsement;
+        try {
+            endorsement = await Endorsement.create({
+                endorser: endorserId,
+                endorsee: endorseeId,
+                skill: skill._id,
+                skillName: skill.name,
+                session: session._id
+            });
+        } catch (error) {
+            // Two requests raced past the check above
+            if (error.code === 11000) {
+                throw new ConflictError('You have already endorsed this skill');
+            }
+            throw error;
+        }
+
+        await User.syncSkillReputation(endorseeId);
+
+        try {
+            await NotificationService.createSocialNotification(
+                { recipientId: endorseeId, sender: endorser },
+                'skill_endorsed',
+                { skillName: skill.name }
+            );
+        } catch (error) {
+            console.error('Failed to create skill endorsed notification:', error.message);
+        }
+
+        return endorsement;
+    }
+
+    /**
+     * Withdraw an endorsement. Withdrawing one that does not exist has no effect.
+     * @param {string} endorserId - User who gave the endorsement
+     * @param {string} endorseeId - Owner of the skill
+     * @param {string} skillId - Skill subdocument id
+     * @returns {Promise<boolean>} Whether an endorsement was removed
+     */
+    static async removeEndorsement(endorserId, endorseeId, skillId) {
+        const { deletedCount } = await Endorsement.deleteOne({
+            endorser: endorserId,
+            endorsee: endorseeId,
+            skill: skillId
+        });
+
+        if (deletedCount > 0) {
+            await User.syncSkillReputation(endorseeId);
+        }
+
+        return deletedCount > 0;
+    }
+
+    /**
+     * Skills of a user that the viewer has endorsed
+     * @param {string} viewerId - Signed-in user
+     * @param {string} userId - Profile being viewed
+     * @returns {Promise<Array<string>>} Skill ids
+     */
+    static async findEndorsedSkillIds(viewerId, userId) {
+        const skillIds = await Endorsement.distinct('skill', { endorser: viewerId, endorsee: userId });
+        return skillIds.map(String);
+    }
+
+    /**
+     * Drop the endorsements of a skill the owner removed from their profile
+     * @param {string} userId - Skill owner
+     * @param {string} skillId - Removed skill id
+     * @returns {Promise<void>}
+     */
+    static async removeSkillEndorsements(userId, skillId) {
+        await Endorsement.deleteMany({ endorsee: userId, skill: skillId });
+    }
+}
+
+module.exports = EndorsementService;
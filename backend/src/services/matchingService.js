@@ -0,0 +1,249 @@
+const User = require('../models/User');
+const { NotFoundError } = require('../middleware/errorHandler');
+const { getTimezoneOffset } = require('../utils/timezone');
+const { escapeRegex } = require('../utils/search');
+
+const LEVEL_RANK = {
+    beginner: 1,
+    intermediate: 2,
+    advanced: 3,
+    expert: 4
+};
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const WEEK_MINUTES = 7 * 24 * 60;
+
+// Relative weight of each signal in the final score (sums to 1)
+const SCORE_WEIGHTS = {
+    level: 0.35,
+    rating: 0.25,
+    distance: 0.2,
+    availability: 0.2
+};
+// Score used when a signal cannot be computed (no coordinates, no slots, no reviews)
+const NEUTRAL_SCORE = 0.5;
+const DISTANCE_SCALE_KM = 100;
+const FULL_OVERLAP_MINUTES = 180;
+const MAX_CANDIDATES = 200;
+const EARTH_RADIUS_KM = 6371;
+
+const CANDIDATE_FIELDS = 'firstName lastName profileImage bio location skills skillsWanted availability rating';
+
+function normalizeName(name = '') {
+    return name.trim().toLowerCase();
+}
+
+/**
+ * Matching Service
+ * Finds reciprocal skill swaps: the candidate teaches something the user wants
+ * to learn and wants to learn something the user teaches
+ */
+class MatchingService {
+    /**
+     * Pair a teacher's skills with a learner's wishlist by (case-insensitive) name
+     * @returns {Array<{ name, category, teacherLevel, learnerLevel }>}
+     */
+    static findSkillOverlap(teacherSkills = [], learnerWanted = []) {
+        return learnerWanted.reduce((pairs, wanted) => {
+            const skill = teacherSkills.find(offered => normalizeName(offered.name) === normalizeName(wanted.name));
+            if (skill) {
+                pairs.push({
+                    name: skill.name,
+                    category: skill.category,
+                    teacherLevel: skill.level,
+                    learnerLevel: wanted.level || 'beginner'
+                });
+            }
+            return pairs;
+        }, []);
+    }
+
+    /**
+     * How well a teacher's level suits a learner: 1 when the teacher is ahead,
+     * 0.5 at the same level, 0 when the learner already knows more
+     */
+    static scoreLevelFit(teacherLevel, learnerLevel) {
+        const gap = (LEVEL_RANK[teacherLevel] || 1) - (LEVEL_RANK[learnerLevel] || 1);
+        if (gap > 0) return 1;
+        if (gap === 0) return 0.5;
+        return 0;
+    }
+
+    /**
+     * Best level fit among the overlapping skills in one direction
+     */
+    static scoreDirection(pairs) {
+        return Math.max(0, ...pairs.map(pair => this.scoreLevelFit(pair.teacherLevel, pair.learnerLevel)));
+    }
+
+    static scoreRating(rating = {}) {
+        if (!rating.count) {
+            return NEUTRAL_SCORE;
+        }
+        return Math.min(1, Math.max(0, rating.average / 5));
+    }
+
+    /**
+     * Great-circle distance between two [longitude, latitude] pairs, in km
+     */
+    static distanceKm(from, to) {
+        if (!Array.isArray(from) || !Array.isArray(to) || from.length !== 2 || to.length !== 2) {
+            return null;
+        }
+
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const [lon1, lat1] = from.map(toRadians);
+        const [lon2, lat2] = to.map(toRadians);
+        const a = Math.sin((lat2 - lat1) / 2) ** 2 +
+            Math.cos(lat1) * Math.cos(lat2) * Math.sin((lon2 - lon1) / 2) ** 2;
+
+        return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+    }
+
+    static scoreDistance(distanceKm) {
+        if (distanceKm === null) {
+            return NEUTRAL_SCORE;
+        }
+        return Math.max(0, 1 - distanceKm / DISTANCE_SCALE_KM);
+    }
+
+    /**
+     * Convert weekly slots to [start, end) minute intervals of a UTC week starting Monday 00:00,
+     * using the timezone offset in effect at `now`
+     */
+    static toUtcWeekIntervals(availability = {}, now = new Date()) {
+        const offset = getTimezoneOffset(now, availability.timezone || 'UTC');
+        const toMinutes = time => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+
+        return (availability.weeklySlots || []).flatMap(slot => {
+            const dayStart = DAYS.indexOf(slot.day) * 24 * 60;
+            const start = (((dayStart + toMinutes(slot.start) - offset) % WEEK_MINUTES) + WEEK_MINUTES) % WEEK_MINUTES;
+            const end = start + toMinutes(slot.end) - toMinutes(slot.start);
+
+            // Split slots that wrap past the end of the week
+            return end > WEEK_MINUTES
+                ? [[start, WEEK_MINUTES], [0, end - WEEK_MINUTES]]
+                : [[start, end]];
+        });
+    }
+
+    /**
+     * Minutes per week both users have marked as available
+     */
+    static weeklyOverlapMinutes(availabilityA, availabilityB, now = new Date()) {
+        const a = this.toUtcWeekIntervals(availabilityA, now);
+        const b = this.toUtcWeekIntervals(availabilityB, now);
+
+        return a.reduce((total, [startA, endA]) => total + b.reduce((sum, [startB, endB]) => (
+            sum + Math.max(0, Math.min(endA, endB) - Math.max(startA, startB))
+        ), 0), 0);
+    }
+
+    static scoreAvailability(availabilityA = {}, availabilityB = {}, now = new Date()) {
+        const hasSlots = availability => (availability.weeklySlots || []).length > 0;
+        if (!hasSlots(availabilityA) || !hasSlots(availabilityB)) {
+            return { score: NEUTRAL_SCORE, overlapMinutes: null };
+        }
+
+        const overlapMinutes = this.weeklyOverlapMinutes(availabilityA, availabilityB, now);
+        return { score: Math.min(1, overlapMinutes / FULL_OVERLAP_MINUTES), overlapMinutes };
+    }
+
+    /**
+     * Score a candidate for a user. Returns null unless the swap works both ways.
+     * @param {Object} user - The user looking for a swap
+     * @param {Object} candidate - Another user
+     * @param {Date} now - Reference instant for timezone offsets
+     */
+    static scoreMatch(user, candidate, now = new Date()) {
+        const theyTeach = this.findSkillOverlap(candidate.skills, user.skillsWanted);
+        const youTeach = this.findSkillOverlap(user.skills, candidate.skillsWanted);
+
+        if (theyTeach.length === 0 || youTeach.length === 0) {
+            return null;
+        }
+
+        const distanceKm = this.distanceKm(user.location?.coordinates, candidate.location?.coordinates);
+        const availability = this.scoreAvailability(user.availability, candidate.availability, now);
+
+        const breakdown = {
+            level: (this.scoreDirection(theyTeach) + this.scoreDirection(youTeach)) / 2,
+            rating: this.scoreRating(candidate.rating),
+            distance: this.scoreDistance(distanceKm),
+            availability: availability.score
+        };
+
+        const score = Object.entries(SCORE_WEIGHTS)
+            .reduce((total, [signal, weight]) => total + breakdown[signal] * weight, 0);
+
+        return {
+            user: {
+                _id: candidate._id,
+                firstName: candidate.firstName,
+                lastName: candidate.lastName,
+                profileImage: candidate.profileImage,
+                bio: candidate.bio,
+                rating: candidate.rating,
+                location: candidate.location && {
+                    city: candidate.location.city,
+                    state: candidate.location.state,
+                    country: candidate.location.country
+                }
+            },
+            score: Math.round(score * 100),
+            breakdown,
+            theyTeach,
+            youTeach,
+            distanceKm: distanceKm === null ? null : Math.round(distanceKm),
+            overlapMinutes: availability.overlapMinutes
+        };
+    }
+
+    /**
+     * Find the best reciprocal matches for a user
+     * @param {string} userId - User looking for a swap
+     * @param {Object} options - { limit, maxDistance } (maxDistance in km)
+     */
+    static async findMatches(userId, { limit = 10, maxDistance } = {}) {
+        const user = await User.findById(userId).select('skills skillsWanted location availability');
+        if (!user) {
+            throw new NotFoundError('User not found');
+        }
+
+        const skills = user.skills || [];
+        const skillsWanted = user.skillsWanted || [];
+        if (skills.length === 0 || skillsWanted.length === 0) {
+            return { matches: [], profileComplete: false };
+        }
+
+        // Blocks work both ways, so neither side is suggested to the other
+        const blockedUserIds = await User.findBlockedUserIds(userId);
+
+        const exactName = skill => new RegExp(`^${escapeRegex(skill.name.trim())}$`, 'i');
+        const candidates = await User.find({
+            _id: { $ne: user._id, $nin: blockedUserIds },
+            status: 'active',
+            isEmailVerified: true,
+            'skills.name': { $in: skillsWanted.map(exactName) },
+            'skillsWanted.name': { $in: skills.map(exactName) }
+        })
+            .select(CANDIDATE_FIELDS)
+            .limit(MAX_CANDIDATES)
+            .lean();
+
+        const now = new Date();
+        const matches = candidates
+            .map(candidate => this.scoreMatch(user, candidate, now))
+            .filter(match => match && (
+                !maxDistance || match.distanceKm === null || match.distanceKm <= maxDistance
+            ))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+
+        return { matches, profileComplete: true };
+    }
+}
+
+module.exports = MatchingService;
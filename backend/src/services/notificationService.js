@@ -1,6 +1,7 @@
 const Notification = require('../models/Notification');
 const User = require('../models/User');
 const EmailService = require('./emailService');
+const socketService = require('./socketService');
 const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
 
 /**
@@ -39,7 +40,7 @@ class NotificationService {
         // Determine delivery channels based on user preferences
         const channels = {
             inApp: {
-                enabled: deliveryChannels?.inApp ?? true // In-app always enabled by default
+                enabled: deliveryChannels?.inApp ?? (categoryPrefs.inApp !== false)
             },
             email: {
                 enabled: deliveryChannels?.email ?? (categoryPrefs.email !== false)
@@ -52,6 +53,11 @@ class NotificationService {
             }
         };
 
+        // Nothing to deliver if the user has switched off every channel for this category
+        if (!Object.values(channels).some(channel => channel.enabled)) {
+            return null;
+        }
+
         // Create notification
         const notification = new Notification({
             recipient: recipientId,
@@ -68,7 +74,7 @@ class NotificationService {
             metadata: {
                 source: 'system',
                 locale: recipient.locale || 'en',
-                timezone: recipient.timezone || 'UTC'
+                timezone: recipient.availability?.timezone || 'UTC'
             }
         });
 
@@ -88,10 +94,15 @@ class NotificationService {
     static async createSessionNotification(sessionData, type, additionalData = {}) {
         const { session, recipientId, senderId } = sessionData;
 
+        // e.g. " (weekly series, 6 sessions)" when an event covers several occurrences
+        const seriesNote = additionalData.occurrenceCount > 1
+            ? ` (${session.series?.frequency ? `${session.series.frequency} series, ` : ''}${additionalData.occurrenceCount} sessions)`
+            : '';
+
         const notificationMap = {
             session_request: {
                 title: 'New Session Request',
-                message: `${session.requester?.firstName || 'Someone'} has requested a ${session.skill.name} session with you.`,
+                message: `${session.requester?.firstName || 'Someone'} has requested a ${session.skill.name} session with you${seriesNote}.`,
                 actionData: {
                     actionType: 'respond',
                     actionUrl: `/sessions/${session._id}`,
@@ -100,7 +111,7 @@ class NotificationService {
             },
             session_accepted: {
                 title: 'Session Request Accepted',
-                message: `${session.provider?.firstName || 'Your session provider'} has accepted your ${session.skill.name} session request.`,
+                message: `${session.provider?.firstName || 'Your session provider'} has accepted your ${session.skill.name} session request${seriesNote}.`,
                 actionData: {
                     actionType: 'view',
                     actionUrl: `/sessions/${session._id}`,
@@ -109,7 +120,7 @@ class NotificationService {
             },
             session_declined: {
                 title: 'Session Request Declined',
-                message: `${session.provider?.firstName || 'Your session provider'} has declined your ${session.skill.name} session request.`,
+                message: `${session.provider?.firstName || 'Your session provider'} has declined your ${session.skill.name} session request${seriesNote}.`,
                 actionData: {
                     actionType: 'view',
                     actionUrl: `/sessions/${session._id}`,
@@ -118,7 +129,7 @@ class NotificationService {
             },
             session_cancelled: {
                 title: 'Session Cancelled',
-                message: `Your ${session.skill.name} session has been cancelled.`,
+                message: `Your ${session.skill.name} session has been cancelled${seriesNote}.`,
                 actionData: {
                     actionType: 'view',
                     actionUrl: `/sessions/${session._id}`,
@@ -127,7 +138,7 @@ class NotificationService {
             },
             session_reminder: {
                 title: 'Session Reminder',
-                message: `Your ${session.skill.name} session is starting in ${additionalData.timeUntil || '1 hour'}.`,
+                message: `Your ${session.skill.name} session is starting in ${additionalData.timeUntil || '1 hour'}${additionalData.localStartTime ? ` (${additionalData.localStartTime})` : ''}.`,
                 actionData: {
                     actionType: 'view',
                     actionUrl: `/sessions/${session._id}`,
@@ -145,12 +156,30 @@ class NotificationService {
             },
             alternative_time_proposed: {
                 title: 'Alternative Time Proposed',
-                message: `${session.provider?.firstName || 'Your session provider'} has proposed an alternative time for your ${session.skill.name} session.`,
+                message: `${additionalData.proposerName || session.provider?.firstName || 'Your session partner'} has proposed an alternative time for your ${session.skill.name} session.`,
                 actionData: {
                     actionType: 'respond',
                     actionUrl: `/sessions/${session._id}`,
                     actionText: 'Respond'
                 }
+            },
+            session_expired: {
+                title: 'Session Request Expired',
+                message: `Your ${session.skill.name} session request expired because it was not answered before the scheduled time.`,
+                actionData: {
+                    actionType: 'view',
+                    actionUrl: `/sessions/${session._id}`,
+                    actionText: 'View Details'
+                }
+            },
+            session_no_show: {
+                title: 'Missed Session Reported',
+                message: `You were reported as absent from your ${session.skill.name} session.`,
+                actionData: {
+                    actionType: 'view',
+                    actionUrl: `/sessions/${session._id}`,
+                    actionText: 'View Details'
+                }
             }
         };
 
@@ -233,6 +262,45 @@ class NotificationService {
         });
     }
 
+    /**
+     * Create social notifications (endorsements and other activity between users)
+     */
+    static async createSocialNotification(socialData, type, additionalData = {}) {
+        const { recipientId, sender } = socialData;
+
+        const notificationMap = {
+            skill_endorsed: {
+                title: 'Skill Endorsed',
+                message: `${sender?.firstName || 'Someone'} endorsed your ${additionalData.skillName || 'skill'} skill.`,
+                actionData: {
+                    actionType: 'view',
+                    actionUrl: '/profile',
+                    actionText: 'View Profile'
+                }
+            }
+        };
+
+        const notificationData = notificationMap[type];
+        if (!notificationData) {
+            throw new ValidationError(`Invalid social notification type: ${type}`);
+        }
+
+        return await this.createNotification({
+            recipientId,
+            senderId: sender?._id,
+            title: notificationData.title,
+            message: notificationData.message,
+            type,
+            category: 'social',
+            priority: 'low',
+            relatedEntity: {
+                entityType: 'user',
+                entityId: sender?._id
+            },
+            actionData: notificationData.actionData
+        });
+    }
+
     /**
      * Create system notifications
      */
@@ -333,14 +401,63 @@ class NotificationService {
     static async deliverInApp(notification) {
         try {
             await notification.markChannelSent('inApp');
+
+            // Push to every open tab/device of the recipient
+            const recipientId = notification.recipient._id || notification.recipient;
+            let pushed = false;
+            if (socketService.isUserOnline(recipientId)) {
+                pushed = socketService.sendToUser(recipientId, 'new_notification', {
+                    notification: this.toClientPayload(notification),
+                    unreadCount: await this.getUnreadCount(recipientId)
+                });
+            }
+
             await notification.markChannelDelivered('inApp');
-            return { success: true, channel: 'inApp' };
+            return { success: true, channel: 'inApp', pushed };
         } catch (error) {
             await notification.markChannelFailed('inApp', error.message);
             throw error;
         }
     }
 
+    /**
+     * Shape a notification for real-time delivery to the client
+     */
+    static toClientPayload(notification) {
+        const sender = notification.sender;
+
+        return {
+            _id: notification._id,
+            title: notification.title,
+            message: notification.message,
+            type: notification.type,
+            category: notification.category,
+            priority: notification.priority,
+            status: notification.status,
+            isRead: notification.isRead,
+            relatedEntity: notification.relatedEntity,
+            actionData: notification.actionData,
+            sender: sender && sender._id ? {
+                _id: sender._id,
+                firstName: sender.firstName,
+                lastName: sender.lastName
+            } : sender,
+            createdAt: notification.createdAt
+        };
+    }
+
+    /**
+     * Push the current unread count to every connected socket of a user
+     */
+    static async pushUnreadCount(userId) {
+        if (!socketService.isUserOnline(userId)) {
+            return false;
+        }
+
+        const unreadCount = await this.getUnreadCount(userId);
+        return socketService.sendToUser(userId, 'notification_unread_count', { unreadCount });
+    }
+
     /**
      * Deliver email notification
      */
@@ -417,6 +534,8 @@ class NotificationService {
             session_reminder: 'session-reminder',
             session_completed: 'session-completed',
             alternative_time_proposed: 'alternative-time-proposed',
+            session_expired: 'session-expired',
+            session_no_show: 'session-no-show',
             review_received: 'review-received',
             review_response: 'review-response',
             account_verified: 'account-verified',
@@ -454,14 +573,26 @@ class NotificationService {
             throw new NotFoundError('Notification not found');
         }
 
-        return await notification.markAsRead();
+        const updated = await notification.markAsRead();
+
+        socketService.sendToUser(userId, 'notification_read', { notificationIds: [notification._id] });
+        await this.pushUnreadCount(userId);
+
+        return updated;
     }
 
     /**
      * Mark multiple notifications as read
      */
     static async markMultipleAsRead(notificationIds, userId) {
-        return await Notification.markMultipleAsRead(userId, notificationIds);
+        const result = await Notification.markMultipleAsRead(userId, notificationIds);
+
+        if (result.modifiedCount > 0) {
+            socketService.sendToUser(userId, 'notification_read', { notificationIds });
+            await this.pushUnreadCount(userId);
+        }
+
+        return result;
     }
 
     /**
@@ -477,7 +608,12 @@ class NotificationService {
             throw new NotFoundError('Notification not found');
         }
 
-        return await notification.archive();
+        const archived = await notification.archive();
+
+        socketService.sendToUser(userId, 'notification_archived', { notificationId: notification._id });
+        await this.pushUnreadCount(userId);
+
+        return archived;
     }
 
     /**
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const TokenService = require('./tokenService');
+const emailService = require('./emailService');
+const NotificationService = require('./notificationService');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Matches the "expires in 1 hour" wording of the reset email
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Password Reset Service
+ * Emails single-use reset links; only a hash of the token is stored on the user
+ */
+class PasswordResetService {
+    /**
+     * Hash a reset token so the raw token is never stored
+     */
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Create a reset token for the account with this email, if there is one, and email the link.
+     * Callers should respond without awaiting this so timing does not reveal whether the account exists.
+     * @param {string} email - Account email
+     * @returns {Promise<boolean>} Whether a reset email was sent
+     */
+    static async requestReset(email) {
+        const user = await User.findOne({ email, status: 'active' });
+        if (!user) {
+            return false;
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        user.passwordResetToken = this.hashToken(token);
+        user.passwordResetExpires = new Date(Date.now() + RESET_TOKEN_TTL_MS);
+        await user.save();
+
+        await emailService.sendPasswordResetEmail({ email: user.email, firstName: user.firstName }, token);
+        return true;
+    }
+
+    /**
+     * Set a new password using a reset token. The token is consumed, existing JWTs stop
+     * working (passwordChangedAt) and every login session is revoked.
+     * @param {string} token - Raw token from the reset link
+     * @param {string} password - New password
+     * @returns {Promise<Object>} Updated user
+     */
+    static async resetPassword(token, password) {
+        // Consume the token atomically so it cannot be used twice
+        const user = await User.findOneAndUpdate(
+            {
+                passwordResetToken: this.hashToken(token),
+                passwordResetExpires: { $gt: new Date() },
+            },
+            { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+        );
+        if (!user) {
+            throw new ValidationError('Password reset link is invalid or has expired');
+        }
+
+        // Proving access to the inbox also clears any lockout from failed logins
+        user.password = password;
+        user.loginAttempts = 0;
+        user.lockUntil = undefined;
+        await user.save();
+
+        await TokenService.revokeAllSessions(user._id, 'password_changed');
+
+        try {
+            await NotificationService.createSystemNotification({ userId: user._id }, 'password_changed');
+        } catch (error) {
+            console.error('Failed to create password changed notification:', error.message);
+        }
+
+        return user;
+    }
+}
+
+module.exports = PasswordResetService;
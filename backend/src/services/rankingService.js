@@ -0,0 +1,78 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Relative weight of each signal in the final score (sums to 1)
+const RANKING_WEIGHTS = {
+    rating: 0.6,
+    activity: 0.25,
+    responsiveness: 0.15
+};
+// Every rating is blended with this many reviews at the prior rating, so a single
+// 5-star review counts for less than a long track record of 4.8s
+const PRIOR_RATING = 3.5;
+const PRIOR_REVIEWS = 10;
+// Recency signals lose about two thirds of their weight over these periods
+const LOGIN_DECAY_DAYS = 30;
+const SESSION_DECAY_DAYS = 60;
+
+/**
+ * Ranking Service
+ * Builds the score behind the "best" search order: a Bayesian average of the
+ * rating, how recently the user signed in and completed a session, and how
+ * many session requests they answered. The score is computed in the query
+ * because the recency signals depend on the current time.
+ */
+class RankingService {
+    /**
+     * Rating pulled towards PRIOR_RATING, less so the more reviews there are (0-5)
+     */
+    static bayesianRatingExpression() {
+        const count = { $ifNull: ['$rating.count', 0] };
+        return {
+            $divide: [
+                { $add: [PRIOR_RATING * PRIOR_REVIEWS, { $multiply: [{ $ifNull: ['$rating.average', 0] }, count] }] },
+                { $add: [PRIOR_REVIEWS, count] }
+            ]
+        };
+    }
+
+    /**
+     * Exponential decay of the time since `field` (1 for now, 0 when never set)
+     */
+    static recencyExpression(field, decayDays, now) {
+        const elapsed = { $subtract: [now, { $ifNull: [field, new Date(0)] }] };
+        return { $min: [1, { $exp: { $divide: [elapsed, -decayDays * DAY_MS] } }] };
+    }
+
+    /**
+     * Share of requests answered, with one answered and one missed request added
+     * so users without requests score 0.5 and a single answer is not a perfect score
+     */
+    static responsivenessExpression() {
+        const answered = { $ifNull: ['$sessionStats.requestsAnswered', 0] };
+        const missed = { $ifNull: ['$sessionStats.requestsMissed', 0] };
+        return { $divide: [{ $add: [answered, 1] }, { $add: [answered, missed, 2] }] };
+    }
+
+    /**
+     * Aggregation expression scoring a user document from 0 to 1
+     * @param {Date} now - Reference time for the recency signals
+     */
+    static scoreExpression(now = new Date()) {
+        const activity = {
+            $add: [
+                { $multiply: [0.5, this.recencyExpression('$lastLogin', LOGIN_DECAY_DAYS, now)] },
+                { $multiply: [0.5, this.recencyExpression('$sessionStats.lastCompletedAt', SESSION_DECAY_DAYS, now)] }
+            ]
+        };
+
+        return {
+            $add: [
+                { $multiply: [RANKING_WEIGHTS.rating, { $divide: [this.bayesianRatingExpression(), 5] }] },
+                { $multiply: [RANKING_WEIGHTS.activity, activity] },
+                { $multiply: [RANKING_WEIGHTS.responsiveness, this.responsivenessExpression()] }
+            ]
+        };
+    }
+}
+
+module.exports = RankingService;
@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const Review = require('../models/Review');
+const config = require('../config');
+
+// Built-in list of profanity and slurs, extended with config.reviewModeration.blockedTerms
+const BLOCKED_TERMS = [
+    'asshole', 'bastard', 'bitch', 'bullshit', 'cunt', 'dickhead', 'fuck', 'fucked',
+    'fucker', 'fucking', 'motherfucker', 'retard', 'retarded', 'shit', 'shitty', 'slut', 'whore'
+];
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i;
+// Ten or more digits, optionally separated by spaces, dots, dashes or brackets
+const PHONE_PATTERN = /\+?\(?\d(?:[\s.()-]*\d){9,}/;
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+// Shorter comments ("Great session, thank you!") are expected to repeat
+const DUPLICATE_MIN_LENGTH = 40;
+
+/**
+ * Review Moderation Service
+ * Rules run when a review is submitted, edited and flagged. Content rules
+ * either flag a review for admins while keeping it visible, or hide it until an
+ * admin approves it. Every action is recorded in moderation.autoActions with an
+ * explanation for the admins reviewing it.
+ */
+class ReviewModerationService {
+    /**
+     * Lowercased comment with punctuation and extra whitespace removed
+     * @param {string} text - Review comment
+     * @returns {string} Normalized text
+     */
+    static normalize(text = '') {
+        return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    }
+
+    /**
+     * Fingerprint of the normalized comment, or undefined when it is too short to compare
+     * @param {string} text - Review comment
+     * @returns {string|undefined} Hex digest
+     */
+    static fingerprint(text) {
+        const normalized = this.normalize(text);
+        if (normalized.length < DUPLICATE_MIN_LENGTH) {
+            return undefined;
+        }
+        return crypto.createHash('sha256').update(normalized).digest('hex');
+    }
+
+    /**
+     * Blocked words found in the comment
+     * @param {string} text - Review comment
+     * @returns {string[]} Distinct matches
+     */
+    static findBlockedTerms(text) {
+        const terms = new Set([...BLOCKED_TERMS, ...config.reviewModeration.blockedTerms]);
+        const words = this.normalize(text).split(' ');
+        return [...new Set(words.filter(word => terms.has(word)))];
+    }
+
+    /**
+     * Spam patterns found in the comment
+     * @param {string} text - Review comment
+     * @returns {string[]} Descriptions of the patterns
+     */
+    static findSpamPatterns(text) {
+        const patterns = [];
+        // Links are reported by their own rule and would skew the share of capitals
+        const letters = text.replace(LINK_PATTERN, '').replace(/[^a-z]/gi, '');
+        const capitals = letters.replace(/[^A-Z]/g, '');
+
+        if (/(.)\1{5,}/.test(text)) {
+            patterns.push('a character repeated six or more times');
+        }
+        if (letters.length >= 20 && capitals.length / letters.length > 0.7) {
+            patterns.push('mostly capital letters');
+        }
+        if (/\b(\w+)\b(?:\W+\1\b){3,}/i.test(text)) {
+            patterns.push('the same word four or more times in a row');
+        }
+
+        return patterns;
+    }
+
+    /**
+     * Run the content rules against a review comment
+     * @param {Object} review - Review document
+     * @returns {Promise<Object[]>} Findings as { rule, action, explanation }
+     */
+    static async checkContent(review) {
+        const text = review.comment || '';
+        const findings = [];
+
+        const blockedTerms = this.findBlockedTerms(text);
+        if (blockedTerms.length > 0) {
+            findings.push({
+                rule: 'blocked_terms',
+                action: 'hide',
+                explanation: `Contains blocked words: ${blockedTerms.join(', ')}`
+            });
+        }
+
+        const personalInfo = [
+            EMAIL_PATTERN.test(text) && 'an email address',
+            PHONE_PATTERN.test(text) && 'a phone number'
+        ].filter(Boolean);
+        if (personalInfo.length > 0) {
+            findings.push({
+                rule: 'personal_info',
+                action: 'hide',
+                explanation: `Contains ${personalInfo.join(' and ')}`
+            });
+        }
+
+        const links = text.match(LINK_PATTERN) || [];
+        if (links.length > config.reviewModeration.maxLinks) {
+            findings.push({
+                rule: 'links',
+                action: 'flag',
+                explanation: `Contains ${links.length} link${links.length === 1 ? '' : 's'}: ${links.join(', ')}`
+            });
+        }
+
+        const spamPatterns = this.findSpamPatterns(text);
+        if (spamPatterns.length > 0) {
+            findings.push({
+                rule: 'spam',
+                action: 'flag',
+                explanation: `Looks like spam: ${spamPatterns.join(', ')}`
+            });
+        }
+
+        const fingerprint = this.fingerprint(text);
+        review.moderation.contentFingerprint = fingerprint;
+        if (fingerprint) {
+            const duplicate = await Review.findOne({
+                _id: { $ne: review._id },
+                'moderation.contentFingerprint': fingerprint
+            }).select('reviewer');
+
+            if (duplicate) {
+                const author = duplicate.reviewer.toString() === review.reviewer.toString()
+                    ? 'the same reviewer'
+                    : 'another reviewer';
+                findings.push({
+                    rule: 'duplicate',
+                    action: 'flag',
+                    explanation: `Same text as review ${duplicate._id} by ${author}`
+                });
+            }
+        }
+
+        return findings;
+    }
+
+    /**
+     * Users who flagged the review since an admin last moderated it
+     * @param {Object} review - Review document
+     * @returns {number} Distinct flaggers
+     */
+    static countRecentFlaggers(review) {
+        const lastModerated = Math.max(review.moderatedAt || 0, review.moderation.reviewedAt || 0);
+        const flaggers = review.moderation.flaggedBy
+            .filter(flag => flag.flaggedAt > lastModerated)
+            .map(flag => flag.user.toString());
+        return new Set(flaggers).size;
+    }
+
+    /**
+     * Record findings on the review and queue it for admins. Does not save.
+     * @param {Object} review - Review document
+     * @param {Object[]} findings - Results of the rules
+     * @param {string} trigger - 'submit', 'edit' or 'flag'
+     */
+    static applyFindings(review, findings, trigger) {
+        if (findings.length === 0) {
+            return;
+        }
+
+        findings.forEach(({ rule, action, explanation }) => {
+            review.moderation.autoActions.push({ rule, action, trigger, explanation, createdAt: new Date() });
+        });
+
+        review.isFlagged = true;
+        review.moderationStatus = 'pending';
+        if (findings.some(finding => finding.action === 'hide')) {
+            review.status = 'hidden';
+        }
+    }
+
+    /**
+     * Check a new review before it is saved
+     * @param {Object} review - Unsaved review document
+     * @returns {Promise<Object[]>} Findings applied to the review
+     */
+    static async moderateSubmission(review) {
+        const findings = await this.checkContent(review);
+        this.applyFindings(review, findings, 'submit');
+        return findings;
+    }
+
+    /**
+     * Check an edited comment before it is saved
+     * @param {Object} review - Review document with the new comment
+     * @returns {Promise<Object[]>} Findings applied to the review
+     */
+    static async moderateEdit(review) {
+        const findings = await this.checkContent(review);
+        this.applyFindings(review, findings, 'edit');
+        return findings;
+    }
+
+    /**
+     * Flag a review, re-run the content rules (reviews posted before a rule or
+     * blocked word was added have never been checked against it) and hide the
+     * review once enough users have flagged it
+     * @param {Object} review - Review document
+     * @param {string} userId - User flagging the review
+     * @param {string} reason - Flag reason
+     * @param {string} [details] - Flag details
+     * @returns {Promise<Object>} Updated review
+     */
+    static async flagReview(review, userId, reason, details) {
+        await review.flagReview(userId, reason, details);
+
+        // Every flag re-runs the rules; only record what is not on the review yet
+        const recordedRules = new Set(review.moderation.autoActions.map(autoAction => autoAction.rule));
+        const findings = (await this.checkContent(review))
+            .filter(finding => !recordedRules.has(finding.rule));
+
+        const { autoHideFlagCount } = config.reviewModeration;
+        const flaggers = this.countRecentFlaggers(review);
+        const hiddenByContent = findings.some(finding => finding.action === 'hide');
+        if (review.status === 'active' && !hiddenByContent && flaggers >= autoHideFlagCount) {
+            findings.push({
+                rule: 'flag_threshold',
+                action: 'hide',
+                explanation: `Flagged by ${flaggers} users (limit ${autoHideFlagCount})`
+            });
+        }
+
+        if (findings.length === 0) {
+            return review;
+        }
+
+        this.applyFindings(review, findings, 'flag');
+        await review.save();
+
+        return review;
+    }
+}
+
+module.exports = ReviewModerationService;
@@ -0,0 +1,133 @@
+const Review = require('../models/Review');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const ReviewModerationService = require('./reviewModerationService');
+const config = require('../config');
+const { ValidationError, ConflictError, AuthorizationError, NotFoundError } = require('../middleware/errorHandler');
+
+/**
+ * Review Service
+ * Creates and edits reviews for completed sessions. Reviews written on the
+ * reviews page and feedback left on a session both end up here. New and edited
+ * reviews go through the moderation rules, and the reviewee's stored rating is
+ * recomputed from their active reviews when a review is saved.
+ */
+class ReviewService {
+    /**
+     * Review type from the reviewer's role in the session
+     * @param {Object} session - Session document
+     * @param {string} reviewerId - Reviewer id
+     * @returns {string} 'exchange', 'learning' or 'teaching'
+     */
+    static reviewTypeFor(session, reviewerId) {
+        if (session.sessionType === 'exchange') {
+            return 'exchange';
+        }
+        // The requester learned from the provider
+        return session.requester.toString() === reviewerId.toString() ? 'learning' : 'teaching';
+    }
+
+    /**
+     * Review the other participant of a session. Callers check that the session
+     * is completed and that the reviewer took part in it.
+     * @param {Object} session - Session document
+     * @param {string} reviewerId - Reviewer id
+     * @param {Object} data
+     * @param {string} data.revieweeId - Other participant of the session
+     * @param {number} data.rating - Whole number from 1 to 5
+     * @param {string} data.comment - Review text
+     * @param {string} [data.reviewType] - Derived from the session when omitted
+     * @param {Object} [metadata] - Request details stored with the review
+     * @returns {Promise<Object>} Saved review
+     */
+    static async createReview(session, reviewerId, { revieweeId, rating, comment, reviewType }, metadata = {}) {
+        const otherParticipant = session.getOtherParticipant(reviewerId);
+        if (!otherParticipant || otherParticipant.toString() !== revieweeId.toString()) {
+            throw new ValidationError('Invalid reviewee for this session');
+        }
+
+        if (await User.isBlockedBetween(reviewerId, revieweeId)) {
+            throw new AuthorizationError('You cannot review this user');
+        }
+
+        if (await Review.reviewExistsForSession(session._id, reviewerId)) {
+            throw new ConflictError('You have already reviewed this session');
+        }
+
+        const review = new Review({
+            reviewer: reviewerId,
+            reviewee: revieweeId,
+            session: session._id,
+            rating,
+            comment,
+            skillReviewed: {
+                name: session.skill.name,
+                category: session.skill.category
+            },
+            reviewType: reviewType || ReviewService.reviewTypeFor(session, reviewerId),
+            metadata
+        });
+
+        await ReviewModerationService.moderateSubmission(review);
+        await review.save();
+
+        await Session.updateOne({ _id: session._id }, { $addToSet: { reviews: review._id } });
+        session.reviews.addToSet(review._id);
+
+        return review;
+    }
+
+    /**
+     * Change the rating or comment of a review within the edit window. The
+     * previous version is kept in editHistory.
+     * @param {string} reviewId - Review id
+     * @param {string} reviewerId - Author of the review
+     * @param {Object} changes
+     * @param {number} [changes.rating] - New rating
+     * @param {string} [changes.comment] - New comment
+     * @returns {Promise<Object>} Saved review
+     */
+    static async editReview(reviewId, reviewerId, { rating, comment }) {
+        const review = await Review.findById(reviewId);
+        if (!review || review.status === 'removed') {
+            throw new NotFoundError('Review not found');
+        }
+
+        if (review.reviewer.toString() !== reviewerId.toString()) {
+            throw new AuthorizationError('You can only edit your own reviews');
+        }
+
+        if (!review.isEditable()) {
+            throw new AuthorizationError(
+                `Reviews can only be edited within ${config.reviews.editWindowHours} hours of submitting`
+            );
+        }
+
+        const nextRating = rating ?? review.rating;
+        const nextComment = comment === undefined ? review.comment : comment.trim();
+        const commentChanged = nextComment !== review.comment;
+        if (nextRating === review.rating && !commentChanged) {
+            return review;
+        }
+
+        const now = new Date();
+        review.editHistory = [
+            ...(review.editHistory || []),
+            { rating: review.rating, comment: review.comment, editedAt: now }
+        ];
+        review.rating = nextRating;
+        review.comment = nextComment;
+        review.editedAt = now;
+
+        if (commentChanged) {
+            await ReviewModerationService.moderateEdit(review);
+        }
+
+        // A new rating moves the reviewee's stored rating when the review is saved
+        await review.save();
+
+        return review;
+    }
+}
+
+module.exports = ReviewService;
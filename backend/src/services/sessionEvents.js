@@ -0,0 +1,197 @@
+const NotificationService = require('./notificationService');
+const User = require('../models/User');
+
+/**
+ * Session domain events
+ * Every session state transition is published here so side effects
+ * (notifications, reminders, calendar updates) stay out of SessionService.
+ */
+const SESSION_EVENTS = Object.freeze({
+    REQUESTED: 'session.requested',
+    ACCEPTED: 'session.accepted',
+    DECLINED: 'session.declined',
+    CANCELLED: 'session.cancelled',
+    COMPLETED: 'session.completed',
+    ALTERNATIVE_TIME_PROPOSED: 'session.alternative_time_proposed',
+    EXPIRED: 'session.expired',
+    NO_SHOW: 'session.no_show',
+});
+
+/**
+ * Resolve a populated or unpopulated participant reference to its id string
+ */
+const toId = (participant) => (participant && participant._id ? participant._id : participant).toString();
+
+/**
+ * Find the populated participant document matching a user id
+ */
+const participantById = (session, userId) => {
+    return [session.requester, session.provider].find(p => p && toId(p) === toId(userId));
+};
+
+/**
+ * Notification routing for each session event.
+ * Each entry returns the list of { recipientId, senderId, type, additionalData } to create.
+ */
+const notificationRoutes = {
+    [SESSION_EVENTS.REQUESTED]: ({ session }) => [{
+        recipientId: toId(session.provider),
+        senderId: toId(session.requester),
+        type: 'session_request',
+    }],
+
+    [SESSION_EVENTS.ACCEPTED]: ({ session }) => [{
+        recipientId: toId(session.requester),
+        senderId: toId(session.provider),
+        type: 'session_accepted',
+    }],
+
+    [SESSION_EVENTS.DECLINED]: ({ session }) => [{
+        recipientId: toId(session.requester),
+        senderId: toId(session.provider),
+        type: 'session_declined',
+    }],
+
+    [SESSION_EVENTS.CANCELLED]: ({ session, actorId }) => {
+        const recipient = toId(session.requester) === toId(actorId) ? session.provider : session.requester;
+        return [{
+            recipientId: toId(recipient),
+            senderId: toId(actorId),
+            type: 'session_cancelled',
+        }];
+    },
+
+    // Both participants are asked to leave a review
+    [SESSION_EVENTS.COMPLETED]: ({ session, actorId }) => [session.requester, session.provider].map(participant => ({
+        recipientId: toId(participant),
+        senderId: toId(participant) === toId(actorId) ? undefined : toId(actorId),
+        type: 'session_completed',
+    })),
+
+    [SESSION_EVENTS.ALTERNATIVE_TIME_PROPOSED]: ({ session, actorId }) => {
+        const recipient = toId(session.requester) === toId(actorId) ? session.provider : session.requester;
+        return [{
+            recipientId: toId(recipient),
+            senderId: toId(actorId),
+            type: 'alternative_time_proposed',
+            additionalData: {
+                proposerName: participantById(session, actorId)?.firstName,
+            },
+        }];
+    },
+
+    // Expiry is system-triggered, so there is no sender
+    [SESSION_EVENTS.EXPIRED]: ({ session }) => [{
+        recipientId: toId(session.requester),
+        type: 'session_expired',
+    }],
+
+    [SESSION_EVENTS.NO_SHOW]: ({ session, actorId }) => [{
+        recipientId: toId(session.noShow.absentee),
+        senderId: toId(actorId),
+        type: 'session_no_show',
+    }],
+};
+
+/**
+ * Session Event Bus
+ * Minimal async publish/subscribe; handler failures are logged and never
+ * propagate back to the session mutation that published the event.
+ */
+class SessionEventBus {
+    constructor() {
+        this.handlers = new Map(); // eventName -> Set of handlers
+    }
+
+    /**
+     * Register a handler for an event, returns an unsubscribe function
+     */
+    subscribe(eventName, handler) {
+        if (!this.handlers.has(eventName)) {
+            this.handlers.set(eventName, new Set());
+        }
+        this.handlers.get(eventName).add(handler);
+
+        return () => this.handlers.get(eventName).delete(handler);
+    }
+
+    /**
+     * Publish an event to all of its handlers and wait for them to settle
+     */
+    async publish(eventName, payload) {
+        const handlers = Array.from(this.handlers.get(eventName) || []);
+        const results = await Promise.allSettled(handlers.map(handler => handler(payload)));
+
+        results.forEach(result => {
+            if (result.status === 'rejected') {
+                console.error(`❌ Session event handler failed for ${eventName}:`, result.reason);
+            }
+        });
+
+        return results;
+    }
+
+    /**
+     * Remove every registered handler
+     */
+    clear() {
+        this.handlers.clear();
+    }
+}
+
+/**
+ * Send the notifications routed for a session event
+ */
+async function notifyParticipants(eventName, payload) {
+    const targets = notificationRoutes[eventName](payload);
+
+    // Series-wide events carry how many occurrences they cover
+    const seriesData = payload.occurrenceCount > 1 ? { occurrenceCount: payload.occurrenceCount } : {};
+
+    return await Promise.all(targets.map(({ recipientId, senderId, type, additionalData }) =>
+        NotificationService.createSessionNotification(
+            { session: payload.session, recipientId, senderId },
+            type,
+            { ...seriesData, ...additionalData }
+        )
+    ));
+}
+
+/**
+ * Register the default notification handlers on a bus
+ */
+function registerNotificationHandlers(bus) {
+    Object.keys(notificationRoutes).forEach(eventName => {
+        bus.subscribe(eventName, payload => notifyParticipants(eventName, payload));
+    });
+    return bus;
+}
+
+/**
+ * Register the handlers that keep reputation up to date: the provider's skill
+ * reputation and session stats (completed sessions, answered and missed requests)
+ */
+function registerReputationHandlers(bus) {
+    const syncProviderStats = ({ session }) => User.syncSessionStats(toId(session.provider));
+
+    bus.subscribe(SESSION_EVENTS.ACCEPTED, syncProviderStats);
+    bus.subscribe(SESSION_EVENTS.DECLINED, syncProviderStats);
+    bus.subscribe(SESSION_EVENTS.EXPIRED, syncProviderStats);
+    bus.subscribe(SESSION_EVENTS.COMPLETED, ({ session }) => Promise.all([
+        User.syncSkillReputation(toId(session.provider)),
+        User.syncSessionStats(toId(session.provider)),
+        User.syncSessionStats(toId(session.requester)),
+    ]));
+    return bus;
+}
+
+// Create singleton instance with notification and reputation handlers attached
+const sessionEvents = registerReputationHandlers(registerNotificationHandlers(new SessionEventBus()));
+
+module.exports = {
+    sessionEvents,
+    SESSION_EVENTS,
+    SessionEventBus,
+    registerNotificationHandlers,
+    registerReputationHandlers,
+};
@@ -1,6 +1,18 @@
+const mongoose = require('mongoose');
 const Session = require('../models/Session');
 const User = require('../models/User');
-const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { ValidationError, NotFoundError, ConflictError, AuthorizationError } = require('../middleware/errorHandler');
+const { sessionEvents, SESSION_EVENTS } = require('./sessionEvents');
+const ReviewService = require('./reviewService');
+const { assertAction, assertTransition, applyTransition, getAvailableTransitions } = require('./sessionStateMachine');
+const { addDaysInTimezone, isValidTimezone } = require('../utils/timezone');
+
+const RECURRENCE_INTERVAL_DAYS = {
+    weekly: 7,
+    biweekly: 14
+};
+const MAX_SERIES_OCCURRENCES = 26;
+const POPULATE_PARTICIPANTS = 'firstName lastName email profileImage rating';
 
 /**
  * Session Service
@@ -23,25 +35,8 @@ class SessionService {
             location
         } = sessionData;
 
-        // Validate that requester is not booking with themselves
-        if (requesterId === providerId) {
-            throw new ValidationError('You cannot book a session with yourself');
-        }
-
-        // Check if provider exists and is available
-        const provider = await User.findById(providerId);
-        if (!provider || provider.status !== 'active' || !provider.isEmailVerified) {
-            throw new NotFoundError('Provider not found or not available');
-        }
-
-        // Parse and validate scheduled date
         const sessionStart = new Date(scheduledDate);
-        const sessionEnd = new Date(sessionStart.getTime() + (duration * 60000));
-
-        // Check if session is in the future
-        if (sessionStart <= new Date()) {
-            throw new ValidationError('Session must be scheduled for a future date and time');
-        }
+        await this.validateBookingRequest(requesterId, providerId, sessionStart);
 
         // Check for conflicts using existing method
         const conflicts = await Session.findConflictingSessions(requesterId, sessionStart, duration);
@@ -89,9 +84,245 @@ class SessionService {
         await session.save();
         await session.populate('requester provider', 'firstName lastName email profileImage rating');
 
+        await sessionEvents.publish(SESSION_EVENTS.REQUESTED, { session, actorId: requesterId });
+
         return session;
     }
 
+    /**
+     * Validate the parts of a booking request shared by single sessions and series
+     */
+    static async validateBookingRequest(requesterId, providerId, sessionStart) {
+        // Validate that requester is not booking with themselves
+        if (requesterId === providerId) {
+            throw new ValidationError('You cannot book a session with yourself');
+        }
+
+        // Check if provider exists and is available
+        const provider = await User.findById(providerId);
+        if (!provider || provider.status !== 'active' || !provider.isEmailVerified) {
+            throw new NotFoundError('Provider not found or not available');
+        }
+
+        if (await User.isBlockedBetween(requesterId, providerId)) {
+            throw new AuthorizationError('You cannot book a session with this user');
+        }
+
+        // Check if session is in the future
+        if (sessionStart <= new Date()) {
+            throw new ValidationError('Session must be scheduled for a future date and time');
+        }
+
+        return provider;
+    }
+
+    /**
+     * Expand a recurrence rule into occurrence start times.
+     * Occurrences keep the same local time in the session timezone.
+     */
+    static buildOccurrenceDates(start, recurrence, timezone = 'UTC') {
+        const { frequency, count, endDate } = recurrence;
+        const intervalDays = RECURRENCE_INTERVAL_DAYS[frequency];
+        if (!intervalDays) {
+            throw new ValidationError(`Unsupported recurrence frequency: ${frequency}`);
+        }
+
+        const until = endDate ? new Date(endDate) : null;
+        const dates = [];
+
+        for (let i = 0; ; i++) {
+            const occurrence = addDaysInTimezone(start, i * intervalDays, timezone);
+            if ((count && i >= count) || (until && occurrence > until)) {
+                break;
+            }
+            if (dates.length === MAX_SERIES_OCCURRENCES) {
+                throw new ValidationError(`A series cannot have more than ${MAX_SERIES_OCCURRENCES} sessions`);
+            }
+            dates.push(occurrence);
+        }
+
+        if (dates.length < 2) {
+            throw new ValidationError('A recurring series must contain at least 2 sessions');
+        }
+
+        return dates;
+    }
+
+    /**
+     * Create a recurring series of session requests.
+     * Every occurrence is checked for conflicts before anything is saved.
+     */
+    static async createSessionSeries(requesterId, sessionData) {
+        const {
+            providerId,
+            skill,
+            scheduledDate,
+            duration,
+            timezone,
+            sessionType,
+            requestMessage,
+            meetingLink,
+            location,
+            recurrence
+        } = sessionData;
+
+        const firstStart = new Date(scheduledDate);
+        await this.validateBookingRequest(requesterId, providerId, firstStart);
+
+        if (timezone && !isValidTimezone(timezone)) {
+            throw new ValidationError(`Unknown timezone: ${timezone}`);
+        }
+
+        const occurrenceDates = this.buildOccurrenceDates(firstStart, recurrence, timezone || 'UTC');
+
+        const conflicts = [];
+        for (const [index, occurrenceDate] of occurrenceDates.entries()) {
+            const [requesterConflicts, providerConflicts] = await Promise.all([
+                Session.findConflictingSessions(requesterId, occurrenceDate, duration),
+                Session.findConflictingSessions(providerId, occurrenceDate, duration)
+            ]);
+
+            if (requesterConflicts.length > 0) {
+                conflicts.push({
+                    field: 'scheduledDate',
+                    message: `Session ${index + 1} conflicts with one of your sessions`,
+                    value: occurrenceDate
+                });
+            }
+            if (providerConflicts.length > 0) {
+                conflicts.push({
+                    field: 'scheduledDate',
+                    message: `Session ${index + 1} conflicts with one of the provider's sessions`,
+                    value: occurrenceDate
+                });
+            }
+        }
+
+        if (conflicts.length > 0) {
+            throw new ConflictError('Scheduling conflicts detected for some sessions in the series', conflicts);
+        }
+
+        const seriesId = new mongoose.Types.ObjectId();
+        const sessions = [];
+
+        try {
+            for (const [index, occurrenceDate] of occurrenceDates.entries()) {
+                const session = new Session({
+                    requester: requesterId,
+                    provider: providerId,
+                    skill: {
+                        name: skill.name,
+                        category: skill.category,
+                        level: skill.level
+                    },
+                    scheduledDate: occurrenceDate,
+                    duration,
+                    timezone: timezone || 'UTC',
+                    sessionType: sessionType || 'online',
+                    requestMessage,
+                    meetingLink,
+                    location,
+                    status: 'pending',
+                    series: {
+                        seriesId,
+                        frequency: recurrence.frequency,
+                        occurrence: index + 1,
+                        totalOccurrences: occurrenceDates.length
+                    }
+                });
+
+                sessions.push(await session.save());
+            }
+        } catch (error) {
+            // Never leave a partial series behind
+            await Session.deleteMany({ 'series.seriesId': seriesId });
+            throw error;
+        }
+
+        await sessions[0].populate('requester provider', POPULATE_PARTICIPANTS);
+
+        await sessionEvents.publish(SESSION_EVENTS.REQUESTED, {
+            session: sessions[0],
+            actorId: requesterId,
+            occurrenceCount: sessions.length
+        });
+
+        return { seriesId, sessions };
+    }
+
+    /**
+     * Respond to every pending session of a recurring series at once
+     */
+    static async respondToSeries(seriesId, providerId, action, responseData = {}) {
+        if (!['accept', 'decline'].includes(action)) {
+            throw new ValidationError('Invalid action. Must be "accept" or "decline"');
+        }
+
+        const sessions = await Session.find({
+            'series.seriesId': seriesId,
+            status: 'pending'
+        }).sort({ 'series.occurrence': 1 });
+
+        if (sessions.length === 0) {
+            throw new NotFoundError('No pending sessions found in this series');
+        }
+
+        const targetStatus = action === 'accept' ? 'accepted' : 'rejected';
+        sessions.forEach(session => assertTransition(session, targetStatus, { actorId: providerId }));
+
+        const { meetingLink, location, responseMessage, reason } = responseData;
+
+        if (action === 'accept') {
+            const conflicts = [];
+            for (const session of sessions) {
+                const [requesterConflicts, providerConflicts] = await Promise.all([
+                    Session.findConflictingSessions(session.requester.toString(), session.scheduledDate, session.duration, session._id),
+                    Session.findConflictingSessions(providerId, session.scheduledDate, session.duration, session._id)
+                ]);
+
+                if (requesterConflicts.length > 0 || providerConflicts.length > 0) {
+                    conflicts.push({
+                        field: 'scheduledDate',
+                        message: `Session ${session.series.occurrence} has a scheduling conflict`,
+                        value: session.scheduledDate
+                    });
+                }
+            }
+
+            if (conflicts.length > 0) {
+                throw new ConflictError('Scheduling conflicts detected for some sessions in the series', conflicts);
+            }
+        }
+
+        const respondedAt = new Date();
+        for (const session of sessions) {
+            applyTransition(session, targetStatus, {
+                actorId: providerId,
+                reason: action === 'accept' ? responseMessage : reason
+            });
+            session.respondedAt = respondedAt;
+
+            if (action === 'accept') {
+                if (meetingLink) session.meetingLink = meetingLink;
+                if (location) session.location = location;
+                if (responseMessage) session.responseMessage = responseMessage;
+            } else if (reason) {
+                session.responseMessage = reason;
+            }
+
+            await session.save();
+        }
+
+        await sessions[0].populate('requester provider', POPULATE_PARTICIPANTS);
+
+        await sessionEvents.publish(
+            action === 'accept' ? SESSION_EVENTS.ACCEPTED : SESSION_EVENTS.DECLINED,
+            { session: sessions[0], actorId: providerId, occurrenceCount: sessions.length }
+        );
+
+        return sessions;
+    }
+
     /**
      * Respond to a session request (accept/decline)
      */
@@ -101,15 +332,13 @@ class SessionService {
             throw new NotFoundError('Session not found');
         }
 
-        // Only the provider can respond to session requests
-        if (session.provider.toString() !== providerId) {
-            throw new ValidationError('Only the session provider can respond to this request');
+        if (!['accept', 'decline'].includes(action)) {
+            throw new ValidationError('Invalid action. Must be "accept" or "decline"');
         }
 
-        // Can only respond to pending sessions
-        if (session.status !== 'pending') {
-            throw new ValidationError(`Cannot respond to a ${session.status} session`);
-        }
+        // Status, provider-only and timing rules live in the state machine
+        const targetStatus = action === 'accept' ? 'accepted' : 'rejected';
+        assertTransition(session, targetStatus, { actorId: providerId });
 
         if (action === 'accept') {
             const { confirmedDateTime, meetingLink, location, responseMessage } = responseData;
@@ -135,7 +364,7 @@ class SessionService {
                 throw new ConflictError('Scheduling conflict detected. Please propose an alternative time.');
             }
 
-            session.status = 'accepted';
+            applyTransition(session, 'accepted', { actorId: providerId, reason: responseMessage });
             session.scheduledDate = sessionDateTime;
             session.respondedAt = new Date();
 
@@ -143,17 +372,21 @@ class SessionService {
             if (location) session.location = location;
             if (responseMessage) session.responseMessage = responseMessage;
 
-        } else if (action === 'decline') {
+        } else {
             const { reason } = responseData;
-            session.status = 'rejected';
+            applyTransition(session, 'rejected', { actorId: providerId, reason });
             session.respondedAt = new Date();
             if (reason) session.responseMessage = reason;
-        } else {
-            throw new ValidationError('Invalid action. Must be "accept" or "decline"');
         }
 
         await session.save();
         await session.populate('requester provider', 'firstName lastName email profileImage rating');
+
+        await sessionEvents.publish(
+            action === 'accept' ? SESSION_EVENTS.ACCEPTED : SESSION_EVENTS.DECLINED,
+            { session, actorId: providerId }
+        );
+
         return session;
     }
 
@@ -171,17 +404,7 @@ class SessionService {
             throw new ValidationError('You do not have access to this session');
         }
 
-        // Can only cancel pending or accepted sessions
-        if (!['pending', 'accepted'].includes(session.status)) {
-            throw new ValidationError(`Cannot cancel a ${session.status} session`);
-        }
-
-        // Check if session can be cancelled using existing method
-        if (session.status === 'accepted' && !session.canBeCancelled()) {
-            throw new ValidationError('Cannot cancel confirmed session with less than 2 hours notice');
-        }
-
-        session.status = 'cancelled';
+        applyTransition(session, 'cancelled', { actorId: userId, reason });
         session.cancelledBy = userId;
         session.cancelledAt = new Date();
         if (reason) session.cancellationReason = reason;
@@ -189,9 +412,87 @@ class SessionService {
         await session.save();
         await session.populate('requester provider', 'firstName lastName email profileImage rating');
 
+        await sessionEvents.publish(SESSION_EVENTS.CANCELLED, { session, actorId: userId });
+
         return session;
     }
 
+    /**
+     * Cancel an occurrence of a recurring series and every later occurrence
+     */
+    static async cancelSessionAndFollowing(sessionId, userId, reason) {
+        const session = await Session.findById(sessionId);
+        if (!session) {
+            throw new NotFoundError('Session not found');
+        }
+
+        if (!session.isParticipant(userId)) {
+            throw new ValidationError('You do not have access to this session');
+        }
+
+        if (!session.series?.seriesId) {
+            throw new ValidationError('This session is not part of a recurring series');
+        }
+
+        const following = await Session.find({
+            'series.seriesId': session.series.seriesId,
+            'series.occurrence': { $gt: session.series.occurrence },
+            status: { $in: ['pending', 'accepted'] }
+        }).sort({ 'series.occurrence': 1 });
+
+        const sessions = [session, ...following];
+        const cancelledAt = new Date();
+
+        // Validate every transition before saving any of them
+        sessions.forEach(s => applyTransition(s, 'cancelled', { actorId: userId, reason, now: cancelledAt }));
+
+        for (const s of sessions) {
+            s.cancelledBy = userId;
+            s.cancelledAt = cancelledAt;
+            if (reason) s.cancellationReason = reason;
+            await s.save();
+        }
+
+        await session.populate('requester provider', POPULATE_PARTICIPANTS);
+
+        await sessionEvents.publish(SESSION_EVENTS.CANCELLED, {
+            session,
+            actorId: userId,
+            occurrenceCount: sessions.length
+        });
+
+        return sessions;
+    }
+
+    /**
+     * Cancel every upcoming session of a user (account deletion). The
+     * cancellation notice does not apply: the sessions cannot take place once
+     * the account is gone.
+     * @returns {Promise<Array>} Cancelled sessions
+     */
+    static async cancelUpcomingSessionsForUser(userId, reason) {
+        const now = new Date();
+        const sessions = await Session.find({
+            $or: [{ requester: userId }, { provider: userId }],
+            status: { $in: ['pending', 'accepted'] },
+            scheduledDate: { $gt: now }
+        }).sort({ scheduledDate: 1 });
+
+        // Validate every transition before saving any of them
+        sessions.forEach(s => applyTransition(s, 'cancelled', { actorId: userId, reason, now, skipGuard: true }));
+
+        for (const s of sessions) {
+            s.cancelledBy = userId;
+            s.cancelledAt = now;
+            s.cancellationReason = reason;
+            await s.save();
+            await s.populate('requester provider', POPULATE_PARTICIPANTS);
+            await sessionEvents.publish(SESSION_EVENTS.CANCELLED, { session: s, actorId: userId });
+        }
+
+        return sessions;
+    }
+
     /**
      * Complete a session with validation
      */
@@ -206,12 +507,7 @@ class SessionService {
             throw new ValidationError('You do not have access to this session');
         }
 
-        // Can only complete accepted sessions using existing method
-        if (!session.canBeCompleted()) {
-            throw new ValidationError('Only accepted sessions that have started can be marked as completed');
-        }
-
-        session.status = 'completed';
+        applyTransition(session, 'completed', { actorId: userId });
         session.completedAt = new Date();
 
         // Add notes based on user role
@@ -227,68 +523,69 @@ class SessionService {
         await session.save();
         await session.populate('requester provider', 'firstName lastName email profileImage rating');
 
+        await sessionEvents.publish(SESSION_EVENTS.COMPLETED, { session, actorId: userId });
+
         return session;
     }
 
     /**
-     * Submit feedback for a completed session
+     * Report that the other participant did not attend an accepted session
      */
-    static async submitSessionFeedback(sessionId, userId, rating, comment) {
+    static async reportNoShow(sessionId, userId, reason) {
         const session = await Session.findById(sessionId);
         if (!session) {
             throw new NotFoundError('Session not found');
         }
 
-        // Check if user is participant
         if (!session.isParticipant(userId)) {
             throw new ValidationError('You do not have access to this session');
         }
 
-        // Can only provide feedback for completed sessions
-        if (session.status !== 'completed') {
-            throw new ValidationError('Can only provide feedback for completed sessions');
-        }
+        const now = new Date();
+        applyTransition(session, 'no-show', { actorId: userId, reason, now });
 
-        // For now, we'll store feedback in the reviews array as a simple object
-        // This can be enhanced later with a proper Review model
-        const feedbackEntry = {
-            userId,
-            rating,
-            comment,
-            submittedAt: new Date()
+        const isRequester = session.requester.toString() === userId.toString();
+        session.noShow = {
+            reportedBy: userId,
+            absentee: isRequester ? session.provider : session.requester,
+            reportedAt: now
         };
 
-        session.reviews.push(feedbackEntry);
         await session.save();
         await session.populate('requester provider', 'firstName lastName email profileImage rating');
 
-        // Update user ratings
-        const otherParticipant = session.getOtherParticipant(userId);
-        if (otherParticipant) {
-            await this.updateUserRating(otherParticipant, rating);
-        }
+        await sessionEvents.publish(SESSION_EVENTS.NO_SHOW, { session, actorId: userId });
 
         return session;
     }
 
     /**
-     * Update a user's overall rating
+     * Submit feedback for a completed session. Feedback is stored as a review.
      */
-    static async updateUserRating(userId, newRating) {
-        const user = await User.findById(userId);
-        if (!user) return;
-
-        const currentRating = user.rating || { average: 0, count: 0 };
-        const totalRating = (currentRating.average * currentRating.count) + newRating;
-        const newCount = currentRating.count + 1;
-        const newAverage = totalRating / newCount;
-
-        user.rating = {
-            average: Math.round(newAverage * 10) / 10, // Round to 1 decimal place
-            count: newCount
-        };
+    static async submitSessionFeedback(sessionId, userId, rating, comment) {
+        const session = await Session.findById(sessionId);
+        if (!session) {
+            throw new NotFoundError('Session not found');
+        }
 
-        await user.save();
+        // Check if user is participant
+        if (!session.isParticipant(userId)) {
+            throw new ValidationError('You do not have access to this session');
+        }
+
+        assertAction(session, 'leaveFeedback', { actorId: userId });
+
+        // Feedback is a review of the other participant
+        await ReviewService.createReview(session, userId, {
+            revieweeId: session.getOtherParticipant(userId),
+            rating,
+            comment
+        });
+
+        await session.populate('requester provider', 'firstName lastName email profileImage rating');
+        await session.populate('reviews', 'reviewer reviewee rating comment createdAt');
+
+        return session;
     }
 
     /**
@@ -305,10 +602,7 @@ class SessionService {
             throw new ValidationError('You do not have access to this session');
         }
 
-        // Can only propose alternatives for pending sessions
-        if (session.status !== 'pending') {
-            throw new ValidationError(`Cannot propose alternative time for a ${session.status} session`);
-        }
+        assertAction(session, 'proposeAlternativeTime', { actorId: userId });
 
         const proposedDateTime = new Date(dateTime);
         if (proposedDateTime <= new Date()) {
@@ -329,6 +623,12 @@ class SessionService {
         await session.save();
         await session.populate('requester provider', 'firstName lastName email profileImage rating');
 
+        await sessionEvents.publish(SESSION_EVENTS.ALTERNATIVE_TIME_PROPOSED, {
+            session,
+            actorId: userId,
+            proposedDateTime,
+        });
+
         return session;
     }
 
@@ -351,8 +651,11 @@ class SessionService {
             sortOrder: 'desc'
         };
 
+        const isUpcoming = upcoming === 'true' || upcoming === true;
+
+        // Upcoming defaults to open sessions, but callers such as the calendar feed may ask for others
         let statusFilter = status;
-        if (upcoming === 'true' || upcoming === true) {
+        if (isUpcoming && !statusFilter) {
             statusFilter = ['pending', 'accepted'];
         }
 
@@ -378,8 +681,7 @@ class SessionService {
             }
         }
 
-        if (upcoming === 'true' || upcoming === true) {
-            query.status = { $in: ['pending', 'accepted'] };
+        if (isUpcoming) {
             query.scheduledDate = { $gte: new Date() };
         }
 
@@ -449,7 +751,9 @@ class SessionService {
             accepted: statsMap.accepted || 0,
             completed: statsMap.completed || 0,
             cancelled: statsMap.cancelled || 0,
-            rejected: statsMap.rejected || 0
+            rejected: statsMap.rejected || 0,
+            expired: statsMap.expired || 0,
+            noShow: statsMap['no-show'] || 0
         };
     }
 
@@ -509,29 +813,42 @@ class SessionService {
             throw new ValidationError('You do not have access to this session');
         }
 
-        // Add user role
+        // Add user role and the actions currently open to them
         return {
             ...session,
-            userRole: isRequester ? 'requester' : 'provider'
+            userRole: isRequester ? 'requester' : 'provider',
+            availableTransitions: getAvailableTransitions(session, userId)
         };
     }
 
     /**
-     * Clean up expired sessions (to be called by a cron job)
+     * Expire pending requests whose scheduled time passed without a response
+     * (called by the session expiry job)
      */
-    static async cleanupExpiredSessions() {
-        const result = await Session.updateMany(
-            {
-                status: 'pending',
-                scheduledDate: { $lt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } // 7 days old
-            },
-            {
-                $set: { status: 'expired' }
+    static async expireStalePendingSessions(now = new Date()) {
+        const staleSessions = await Session.find({
+            status: 'pending',
+            scheduledDate: { $lte: now }
+        });
+
+        let expired = 0;
+        for (const session of staleSessions) {
+            try {
+                applyTransition(session, 'expired', {
+                    reason: 'Request was not answered before the scheduled time',
+                    now
+                });
+                await session.save();
+                await session.populate('requester provider', 'firstName lastName email profileImage rating');
+                await sessionEvents.publish(SESSION_EVENTS.EXPIRED, { session, actorId: null });
+                expired++;
+            } catch (error) {
+                console.error(`Failed to expire session ${session._id}:`, error.message);
             }
-        );
+        }
 
-        return result.modifiedCount;
+        return expired;
     }
 }
 
-module.exports = SessionService;
\ No newline at end of file
+module.exports = SessionService;
@@ -0,0 +1,219 @@
+const { InvalidStateTransitionError } = require('../middleware/errorHandler');
+
+const TWO_HOURS = 2 * 60 * 60 * 1000;
+const PARTICIPANTS = ['requester', 'provider'];
+
+/**
+ * Session status transition table
+ * from -> to -> { action, actors, guard?, guardMessage?, actorMessage? }
+ * `actors` lists the roles allowed to trigger the transition ('system' for jobs).
+ * Statuses missing from the table (rejected, cancelled, completed, expired, no-show) are terminal.
+ */
+const SESSION_TRANSITIONS = Object.freeze({
+    pending: {
+        accepted: {
+            action: 'respond to',
+            actors: ['provider'],
+            actorMessage: 'Only the session provider can respond to this request'
+        },
+        rejected: {
+            action: 'respond to',
+            actors: ['provider'],
+            actorMessage: 'Only the session provider can respond to this request'
+        },
+        cancelled: {
+            action: 'cancel',
+            actors: PARTICIPANTS
+        },
+        expired: {
+            action: 'expire',
+            actors: ['system'],
+            guard: (session, now) => session.scheduledDate <= now,
+            guardMessage: 'Only requests whose scheduled time has passed can expire'
+        }
+    },
+    accepted: {
+        cancelled: {
+            action: 'cancel',
+            actors: PARTICIPANTS,
+            guard: (session, now) => session.scheduledDate.getTime() - now.getTime() > TWO_HOURS,
+            guardMessage: 'Cannot cancel confirmed session with less than 2 hours notice'
+        },
+        completed: {
+            action: 'complete',
+            actors: PARTICIPANTS,
+            guard: (session, now) => now >= session.scheduledDate,
+            guardMessage: 'Only accepted sessions that have started can be marked as completed'
+        },
+        'no-show': {
+            action: 'report a no-show for',
+            actors: PARTICIPANTS,
+            guard: (session, now) => now >= new Date(session.scheduledDate.getTime() + session.duration * 60000),
+            guardMessage: 'A no-show can only be reported after the session end time'
+        }
+    }
+});
+
+/**
+ * Actions that keep the session status, with the statuses they are allowed in
+ * name -> { action, statuses, actors, statusMessage? }
+ */
+const SESSION_ACTIONS = Object.freeze({
+    proposeAlternativeTime: {
+        action: 'propose an alternative time for',
+        statuses: ['pending'],
+        actors: PARTICIPANTS
+    },
+    leaveFeedback: {
+        action: 'leave feedback for',
+        statuses: ['completed'],
+        actors: PARTICIPANTS,
+        statusMessage: 'Can only provide feedback for completed sessions'
+    }
+});
+
+/**
+ * Generic action verb used when the target status is not reachable at all
+ */
+const ACTION_BY_STATUS = {
+    accepted: 'respond to',
+    rejected: 'respond to',
+    cancelled: 'cancel',
+    completed: 'complete',
+    expired: 'expire',
+    'no-show': 'report a no-show for'
+};
+
+/**
+ * Status with its indefinite article, e.g. "an accepted" or "a pending"
+ */
+function withArticle(status) {
+    return `${/^[aeiou]/.test(status) ? 'an' : 'a'} ${status}`;
+}
+
+/**
+ * Resolve the role an actor plays in a session ('system' when no actor is given)
+ */
+function getActorRole(session, actorId) {
+    if (!actorId) {
+        return 'system';
+    }
+
+    const id = actorId.toString();
+    const requesterId = (session.requester._id || session.requester).toString();
+    const providerId = (session.provider._id || session.provider).toString();
+
+    if (id === requesterId) return 'requester';
+    if (id === providerId) return 'provider';
+    return null;
+}
+
+/**
+ * Throw an InvalidStateTransitionError unless the transition is allowed.
+ * `skipGuard` drops the timing rule (such as the cancellation notice) for
+ * cancellations the participant did not choose, like deleting their account.
+ */
+function assertTransition(session, to, { actorId = null, now = new Date(), skipGuard = false } = {}) {
+    const from = session.status;
+    const rule = SESSION_TRANSITIONS[from]?.[to];
+
+    if (!rule) {
+        throw new InvalidStateTransitionError(
+            `Cannot ${ACTION_BY_STATUS[to] || `move to ${to}`} ${withArticle(from)} session`,
+            { from, to }
+        );
+    }
+
+    const role = getActorRole(session, actorId);
+    if (!rule.actors.includes(role)) {
+        throw new InvalidStateTransitionError(
+            rule.actorMessage || `Only the session ${rule.actors.join(' or ')} can ${rule.action} this session`,
+            { from, to }
+        );
+    }
+
+    if (rule.guard && !skipGuard && !rule.guard(session, now)) {
+        throw new InvalidStateTransitionError(rule.guardMessage, { from, to });
+    }
+
+    return rule;
+}
+
+/**
+ * Throw an InvalidStateTransitionError unless an action from SESSION_ACTIONS is
+ * allowed in the current status, with the same messages as transitions
+ */
+function assertAction(session, name, { actorId = null } = {}) {
+    const from = session.status;
+    const rule = SESSION_ACTIONS[name];
+
+    if (!rule.statuses.includes(from)) {
+        throw new InvalidStateTransitionError(
+            rule.statusMessage || `Cannot ${rule.action} ${withArticle(from)} session`,
+            { from, to: from }
+        );
+    }
+
+    if (!rule.actors.includes(getActorRole(session, actorId))) {
+        throw new InvalidStateTransitionError(
+            `Only the session ${rule.actors.join(' or ')} can ${rule.action} this session`,
+            { from, to: from }
+        );
+    }
+
+    return rule;
+}
+
+/**
+ * Check whether a transition is allowed without throwing
+ */
+function canTransition(session, to, options = {}) {
+    try {
+        assertTransition(session, to, options);
+        return true;
+    } catch (error) {
+        if (error instanceof InvalidStateTransitionError) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * List the statuses an actor may move the session to right now
+ */
+function getAvailableTransitions(session, actorId, now = new Date()) {
+    return Object.keys(SESSION_TRANSITIONS[session.status] || {})
+        .filter(to => canTransition(session, to, { actorId, now }));
+}
+
+/**
+ * Apply a transition to a session document and record it in the audit trail.
+ * The caller is responsible for saving the document.
+ */
+function applyTransition(session, to, { actorId = null, reason, now = new Date(), skipGuard = false } = {}) {
+    assertTransition(session, to, { actorId, now, skipGuard });
+
+    const from = session.status;
+    session.status = to;
+    session.statusHistory.push({
+        from,
+        to,
+        changedBy: actorId || undefined,
+        reason,
+        changedAt: now
+    });
+
+    return session;
+}
+
+module.exports = {
+    SESSION_TRANSITIONS,
+    SESSION_ACTIONS,
+    getActorRole,
+    assertTransition,
+    assertAction,
+    canTransition,
+    getAvailableTransitions,
+    applyTransition,
+};
@@ -1,13 +1,14 @@
 const { Server } = require('socket.io');
-const jwt = require('jsonwebtoken');
+const JWTUtils = require('../utils/jwt');
 const User = require('../models/User');
 const Chat = require('../models/Chat');
+const RefreshToken = require('../models/RefreshToken');
 const config = require('../config');
 
 class SocketService {
     constructor() {
         this.io = null;
-        this.connectedUsers = new Map(); // userId -> socketId mapping
+        this.connectedUsers = new Map(); // userId -> Set of socketIds (one per tab/device)
         this.userSockets = new Map(); // socketId -> userId mapping
     }
 
@@ -44,7 +45,18 @@ class SocketService {
                     return next(new Error('Authentication token required'));
                 }
 
-                const decoded = jwt.verify(token, config.jwtSecret);
+                const decoded = JWTUtils.verifyAccessToken(token);
+
+                // Special purpose tokens (email verification, two-factor challenge) share the
+                // access token secret but must never open a socket
+                if (decoded.purpose) {
+                    return next(new Error('Authentication failed'));
+                }
+
+                // Access tokens outlive a logout; refuse sessions whose refresh tokens were revoked
+                if (decoded.sid && !(await RefreshToken.isFamilyActive(decoded.sid))) {
+                    return next(new Error('Session has been revoked'));
+                }
                 const user = await User.findById(decoded.id).select('firstName lastName email status');
 
                 if (!user || user.status !== 'active') {
@@ -53,6 +65,7 @@ class SocketService {
 
                 socket.userId = user._id.toString();
                 socket.user = user;
+                socket.sessionId = decoded.sid;
                 next();
             } catch (error) {
                 console.error('Socket authentication error:', error.message);
@@ -72,14 +85,23 @@ class SocketService {
         console.log(`👤 User ${userId} connected with socket ${socket.id}`);
 
         // Store user connection
-        this.connectedUsers.set(userId, socket.id);
+        const isFirstConnection = !this.connectedUsers.has(userId);
+        if (isFirstConnection) {
+            this.connectedUsers.set(userId, new Set());
+        }
+        this.connectedUsers.get(userId).add(socket.id);
         this.userSockets.set(socket.id, userId);
 
         // Join user to their personal room
         socket.join(`user:${userId}`);
+        if (socket.sessionId) {
+            socket.join(`session:${socket.sessionId}`);
+        }
 
         // Emit user online status
-        this.broadcastUserStatus(userId, 'online');
+        if (isFirstConnection) {
+            this.broadcastUserStatus(userId, 'online');
+        }
 
         // Handle joining chat rooms
         socket.on('join_chat', async (data) => {
@@ -142,12 +164,7 @@ class SocketService {
             socket.join(`chat:${chatId}`);
 
             // Update user's last seen in chat
-            chat.participantStatus.forEach(participant => {
-                if (participant.user.toString() === userId) {
-                    participant.lastSeen = new Date();
-                }
-            });
-            await chat.save();
+            await chat.updateParticipantStatus(userId, { lastSeen: new Date() });
 
             socket.emit('chat_joined', { chatId, message: 'Successfully joined chat' });
 
@@ -155,7 +172,7 @@ class SocketService {
             socket.to(`chat:${chatId}`).emit('user_joined_chat', {
                 chatId,
                 userId,
-                user: socket.user,
+                user: this.publicProfile(socket.user),
             });
 
             console.log(`👤 User ${userId} joined chat ${chatId}`);
@@ -176,7 +193,7 @@ class SocketService {
             socket.to(`chat:${chatId}`).emit('user_left_chat', {
                 chatId,
                 userId,
-                user: socket.user,
+                user: this.publicProfile(socket.user),
             });
 
             socket.emit('chat_left', { chatId, message: 'Successfully left chat' });
@@ -189,9 +206,15 @@ class SocketService {
 
     async handleSendMessage(socket, data) {
         try {
-            const { chatId, content, messageType = 'text' } = data;
+            const { chatId, content, messageType = 'text', replyTo } = data;
             const userId = socket.userId;
 
+            // Attachments go through HTTP and system messages are written by the server
+            if (messageType !== 'text') {
+                socket.emit('error', { message: 'Invalid message type' });
+                return;
+            }
+
             // Find and validate chat
             const chat = await Chat.findById(chatId);
             if (!chat || !chat.isParticipant(userId)) {
@@ -200,12 +223,10 @@ class SocketService {
             }
 
             // Add message to chat
-            const message = chat.addMessage(userId, content, messageType);
-            await chat.save();
+            const message = await chat.addMessage(userId, content, messageType, null, replyTo);
 
             // Populate sender information for the response
-            await chat.populate('messages.sender', 'firstName lastName profileImage');
-            const populatedMessage = chat.messages.id(message._id);
+            const populatedMessage = await message.populateForDisplay();
 
             // Emit message to all participants in the chat room
             this.io.to(`chat:${chatId}`).emit('new_message', {
@@ -218,13 +239,12 @@ class SocketService {
                 },
             });
 
-            // Send push notification to offline users (if implemented)
-            await this.notifyOfflineUsers(chat, message, userId);
+            this.notifyParticipants(chat, populatedMessage, userId);
 
             console.log(`💬 Message sent in chat ${chatId} by user ${userId}`);
         } catch (error) {
             console.error('Error sending message:', error);
-            socket.emit('error', { message: 'Failed to send message' });
+            socket.emit('error', { message: error.isOperational ? error.message : 'Failed to send message' });
         }
     }
 
@@ -240,14 +260,13 @@ class SocketService {
             }
 
             // Update typing status
-            chat.setTypingStatus(userId, true);
-            await chat.save();
+            await chat.setTypingStatus(userId, true);
 
-            // Notify other participants
+            // Notify other participants; group members see who is typing
             socket.to(`chat:${chatId}`).emit('user_typing', {
                 chatId,
                 userId,
-                user: socket.user,
+                user: this.publicProfile(socket.user),
                 isTyping: true,
             });
         } catch (error) {
@@ -267,14 +286,13 @@ class SocketService {
             }
 
             // Update typing status
-            chat.setTypingStatus(userId, false);
-            await chat.save();
+            await chat.setTypingStatus(userId, false);
 
-            // Notify other participants
+            // Notify other participants; group members see who is typing
             socket.to(`chat:${chatId}`).emit('user_typing', {
                 chatId,
                 userId,
-                user: socket.user,
+                user: this.publicProfile(socket.user),
                 isTyping: false,
             });
         } catch (error) {
@@ -295,15 +313,15 @@ class SocketService {
             }
 
             // Mark messages as read
-            chat.markAsRead(userId, messageId);
-            await chat.save();
+            const readAt = await chat.markAsRead(userId, messageId);
 
-            // Notify other participants about read status
+            // Notify other participants; readAt is this member's read marker,
+            // so every message sent up to then has been seen by them
             socket.to(`chat:${chatId}`).emit('messages_read', {
                 chatId,
                 userId,
                 messageId,
-                readAt: new Date(),
+                readAt,
             });
 
             socket.emit('messages_marked_read', { chatId, messageId });
@@ -331,15 +349,31 @@ class SocketService {
         const userId = socket.userId;
         console.log(`👤 User ${userId} disconnected from socket ${socket.id}`);
 
-        // Remove user from connected users
-        this.connectedUsers.delete(userId);
+        // Remove this socket; the user stays online while other sockets remain
+        const sockets = this.connectedUsers.get(userId);
+        if (sockets) {
+            sockets.delete(socket.id);
+        }
         this.userSockets.delete(socket.id);
 
         // Broadcast user offline status
-        this.broadcastUserStatus(userId, 'offline');
+        if (!sockets || sockets.size === 0) {
+            this.connectedUsers.delete(userId);
+            this.broadcastUserStatus(userId, 'offline');
+        }
     }
 
     // Utility methods
+
+    // Other chat members see names only, not the email loaded for authentication
+    publicProfile(user) {
+        return {
+            _id: user._id,
+            firstName: user.firstName,
+            lastName: user.lastName,
+        };
+    }
+
     broadcastUserStatus(userId, status) {
         this.io.emit('user_status_change', {
             userId,
@@ -348,21 +382,30 @@ class SocketService {
         });
     }
 
-    async notifyOfflineUsers(chat, message, senderId) {
+    // Notify the other participants of a new message, except those who muted the chat.
+    // Online users get it on their personal room so it reaches them outside the chat.
+    notifyParticipants(chat, message, senderId) {
         try {
-            // Find offline participants
-            const offlineParticipants = chat.participants.filter(participantId => {
-                const participantIdStr = participantId.toString();
-                return participantIdStr !== senderId && !this.connectedUsers.has(participantIdStr);
-            });
+            const recipients = chat.participants
+                .map(participantId => participantId.toString())
+                .filter(participantId => participantId !== senderId.toString() && !chat.isMutedBy(participantId));
+
+            const offlineParticipants = recipients.filter(participantId => !this.sendToUser(
+                participantId,
+                'message_notification',
+                { chatId: chat._id, message }
+            ));
 
             // Here you would implement push notifications or email notifications
             // For now, we'll just log the offline users
             if (offlineParticipants.length > 0) {
                 console.log(`📱 Would send push notification to ${offlineParticipants.length} offline users`);
             }
+
+            return recipients;
         } catch (error) {
-            console.error('Error notifying offline users:', error);
+            console.error('Error notifying chat participants:', error);
+            return [];
         }
     }
 
@@ -375,19 +418,47 @@ class SocketService {
         return Array.from(this.connectedUsers.keys());
     }
 
+    // Emits to every connected socket of the user via their personal room
     sendToUser(userId, event, data) {
-        const socketId = this.connectedUsers.get(userId.toString());
-        if (socketId) {
-            this.io.to(socketId).emit(event, data);
-            return true;
+        if (!this.io || !this.isUserOnline(userId)) {
+            return false;
         }
-        return false;
+
+        this.io.to(`user:${userId.toString()}`).emit(event, data);
+        return true;
     }
 
     sendToChat(chatId, event, data) {
+        if (!this.io) {
+            return;
+        }
         this.io.to(`chat:${chatId}`).emit(event, data);
     }
 
+    // Stop delivering a chat's events to a user who is no longer a member
+    removeUserFromChat(userId, chatId) {
+        if (!this.io) {
+            return;
+        }
+        this.io.in(`user:${userId.toString()}`).socketsLeave(`chat:${chatId}`);
+    }
+
+    // Close the sockets opened with a login session once it has been revoked
+    disconnectSession(sessionId) {
+        if (!this.io || !sessionId) {
+            return;
+        }
+        this.io.in(`session:${sessionId}`).disconnectSockets(true);
+    }
+
+    // Close every socket of a user once all of their sessions have been revoked
+    disconnectUser(userId) {
+        if (!this.io) {
+            return;
+        }
+        this.io.in(`user:${userId.toString()}`).disconnectSockets(true);
+    }
+
     getConnectedUserCount() {
         return this.connectedUsers.size;
     }
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const JWTUtils = require('../utils/jwt');
+const socketService = require('./socketService');
+const { AuthenticationError } = require('../middleware/errorHandler');
+
+/**
+ * Token Service
+ * Issues persisted refresh tokens per device (login session), rotates them on every
+ * refresh and revokes the whole session when a rotated token is presented again
+ */
+class TokenService {
+    /**
+     * Claims shared by the access and refresh tokens of a session
+     */
+    static buildPayload(user, sessionId) {
+        return {
+            id: user._id,
+            email: user.email,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            role: user.role,
+            isEmailVerified: user.isEmailVerified,
+            sid: sessionId,
+        };
+    }
+
+    /**
+     * Issue an access/refresh token pair and persist the refresh token
+     * @param {Object} user - User document
+     * @param {Object} options - { sessionId, jti, device: { userAgent, ip }, expiresIn }
+     * @returns {Promise<Object>} Token pair as returned by JWTUtils.generateTokenPair
+     */
+    static async issueTokens(user, {
+        sessionId = crypto.randomUUID(),
+        jti = crypto.randomUUID(),
+        device = {},
+        expiresIn,
+    } = {}) {
+        const refreshOptions = expiresIn ? { jwtid: jti, expiresIn } : { jwtid: jti };
+        const tokens = JWTUtils.generateTokenPair(this.buildPayload(user, sessionId), refreshOptions);
+
+        await RefreshToken.create({
+            user: user._id,
+            jti,
+            family: sessionId,
+            expiresAt: JWTUtils.getTokenExpiration(tokens.refreshToken),
+            expiresIn,
+            device,
+        });
+
+        return tokens;
+    }
+
+    /**
+     * Exchange a refresh token for a new pair. The presented token is revoked; presenting
+     * it again later is treated as theft and revokes every token of the session.
+     * @param {string} refreshToken - Raw refresh token
+     * @param {Object} device - { userAgent, ip } of the caller
+     * @returns {Promise<Object>} New token pair
+     */
+    static async rotateRefreshToken(refreshToken, device = {}) {
+        const decoded = JWTUtils.verifyRefreshToken(refreshToken);
+
+        // Tokens issued before rotation was introduced cannot be tracked
+        if (!decoded.jti || !decoded.sid) {
+            throw new AuthenticationError('Refresh token is no longer valid. Please log in again.');
+        }
+
+        // Claim the token atomically so two concurrent refreshes cannot both succeed
+        const current = await RefreshToken.findOneAndUpdate(
+            { jti: decoded.jti, user: decoded.id, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: 'rotated' } },
+            { new: true }
+        );
+
+        if (!current) {
+            const stored = await RefreshToken.findOne({ jti: decoded.jti, user: decoded.id });
+            if (stored?.revokedReason === 'rotated') {
+                await RefreshToken.revokeFamily(stored.family, 'reuse_detected');
+                socketService.disconnectSession(stored.family);
+                throw new AuthenticationError('Refresh token reuse detected. Please log in again.');
+            }
+            throw new AuthenticationError('Refresh token has been revoked');
+        }
+
+        const user = await User.findById(decoded.id);
+        if (!user || user.status !== 'active') {
+            await RefreshToken.revokeFamily(current.family, 'account_inactive');
+            socketService.disconnectSession(current.family);
+            throw new AuthenticationError(user ? 'Account is not active' : 'User not found');
+        }
+
+        const jti = crypto.randomUUID();
+        const tokens = await this.issueTokens(user, {
+            sessionId: current.family,
+            jti,
+            device,
+            expiresIn: current.expiresIn,
+        });
+
+        current.replacedBy = jti;
+        await current.save();
+
+        return tokens;
+    }
+
+    /**
+     * Revoke the tokens of one login session (logout on this device)
+     * @param {string} sessionId - `sid` claim of the caller's access token
+     * @returns {Promise<number>} Number of tokens revoked
+     */
+    static async revokeSession(sessionId) {
+        if (!sessionId) {
+            return 0;
+        }
+
+        const result = await RefreshToken.revokeFamily(sessionId, 'logout');
+        socketService.disconnectSession(sessionId);
+        return result.modifiedCount;
+    }
+
+    /**
+     * Revoke the tokens of every login session of a user (logout everywhere, password
+     * change, account deletion) and close their open sockets
+     * @param {string} userId - User id
+     * @param {string} [reason='logout_all'] - Revocation reason stored on the tokens
+     * @returns {Promise<number>} Number of sessions revoked
+     */
+    static async revokeAllSessions(userId, reason = 'logout_all') {
+        const result = await RefreshToken.revokeAllForUser(userId, reason);
+        socketService.disconnectUser(userId);
+        return result.modifiedCount;
+    }
+}
+
+module.exports = TokenService;
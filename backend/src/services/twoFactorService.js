@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const OTPService = require('./otpService');
+const { encodeBase32, decodeBase32 } = require('../utils/base32');
+const {
+    AuthenticationError,
+    ConflictError,
+    NotFoundError,
+    ValidationError,
+} = require('../middleware/errorHandler');
+
+const ISSUER = 'SkillSwap';
+const SECRET_BYTES = 20;
+const BACKUP_CODE_COUNT = 10;
+const BACKUP_CODE_LENGTH = 8;
+const TOTP_PERIOD = 30; // seconds
+// Codes from the previous and next period are accepted for clock drift
+const TOTP_DRIFT_STEPS = 1;
+
+/**
+ * Normalize user input: authenticator codes are digits, backup codes are
+ * case-insensitive and often typed with spaces or dashes
+ */
+function normalizeCode(code = '') {
+    return String(code).replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * Two-Factor Service
+ * Opt-in TOTP (RFC 6238) second factor with single-use backup codes
+ */
+class TwoFactorService {
+    /**
+     * otpauth:// URI understood by authenticator apps (usually shown as a QR code)
+     */
+    static buildOtpAuthUrl(email, secret) {
+        const label = encodeURIComponent(`${ISSUER}:${email}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer: ISSUER,
+            algorithm: 'SHA1',
+            digits: '6',
+            period: '30',
+        });
+
+        return `otpauth://totp/${label}?${params.toString()}`;
+    }
+
+    /**
+     * Time step an authenticator code belongs to, or null when it does not match the secret
+     * @param {string} code - Code entered by the user
+     * @param {string} secret - Base32 secret
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {number|null}
+     */
+    static matchTotpStep(code, secret, now = Date.now()) {
+        const normalized = normalizeCode(code);
+        if (!/^\d{6}$/.test(normalized) || !secret) {
+            return null;
+        }
+
+        const key = decodeBase32(secret);
+        const current = Math.floor(now / 1000 / TOTP_PERIOD);
+        for (let step = current - TOTP_DRIFT_STEPS; step <= current + TOTP_DRIFT_STEPS; step += 1) {
+            if (OTPService.generateTOTPForTimeStep(key, step) === normalized) {
+                return step;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Accept an authenticator code only if it is newer than the last one the user
+     * signed in with, so an intercepted code cannot be replayed within its window
+     * @param {string} userId - User id
+     * @param {string} code - Code entered by the user
+     * @param {string} secret - Base32 secret
+     * @returns {Promise<boolean>}
+     */
+    static async verifyTotp(userId, code, secret) {
+        const step = this.matchTotpStep(code, secret);
+        if (step === null) {
+            return false;
+        }
+
+        // Claim the step atomically so two concurrent logins cannot both use it
+        const result = await User.updateOne(
+            { _id: userId, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+            { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+        return result.modifiedCount === 1;
+    }
+
+    /**
+     * Create a fresh set of backup codes
+     * @returns {{ codes: string[], hashes: string[] }} Plain codes for the user, hashes for storage
+     */
+    static createBackupCodes() {
+        const codes = OTPService.generateBackupCodes(BACKUP_CODE_COUNT, BACKUP_CODE_LENGTH);
+        return { codes, hashes: codes.map(code => OTPService.hashOTP(code)) };
+    }
+
+    static async findUser(userId, fields) {
+        const user = await User.findById(userId).select(fields);
+        if (!user) {
+            throw new NotFoundError('User not found');
+        }
+        return user;
+    }
+
+    /**
+     * Re-prompt for the password before sensitive two-factor changes
+     */
+    static async assertPassword(user, password) {
+        if (!password || !(await user.comparePassword(password))) {
+            throw new AuthenticationError('Password is incorrect');
+        }
+    }
+
+    /**
+     * Start enrollment: store a pending secret and return it with the otpauth URI
+     * @param {string} userId - User id
+     * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+     */
+    static async startEnrollment(userId) {
+        const user = await this.findUser(userId, '+twoFactor.pendingSecret');
+        if (user.twoFactor?.enabled) {
+            throw new ConflictError('Two-factor authentication is already enabled');
+        }
+
+        const secret = encodeBase32(crypto.randomBytes(SECRET_BYTES));
+        user.twoFactor.pendingSecret = secret;
+        await user.save();
+
+        return { secret, otpauthUrl: this.buildOtpAuthUrl(user.email, secret) };
+    }
+
+    /**
+     * Finish enrollment with a first code from the authenticator app
+     * @param {string} userId - User id
+     * @param {string} code - Current authenticator code
+     * @returns {Promise<{ backupCodes: string[] }>} Backup codes, shown to the user once
+     */
+    static async confirmEnrollment(userId, code) {
+        const user = await this.findUser(userId, '+twoFactor.pendingSecret');
+        if (user.twoFactor?.enabled) {
+            throw new ConflictError('Two-factor authentication is already enabled');
+        }
+
+        const secret = user.twoFactor?.pendingSecret;
+        if (!secret) {
+            throw new ValidationError('Start two-factor setup before confirming it');
+        }
+
+        const step = this.matchTotpStep(code, secret);
+        if (step === null) {
+            throw new ValidationError('Invalid authentication code');
+        }
+
+        const { codes, hashes } = this.createBackupCodes();
+        user.twoFactor = {
+            enabled: true,
+            secret,
+            pendingSecret: undefined,
+            backupCodes: hashes,
+            // The confirmation code cannot be used again to sign in
+            lastUsedStep: step,
+            enabledAt: new Date(),
+        };
+        await user.save();
+
+        return { backupCodes: codes };
+    }
+
+    /**
+     * Check the second login factor: an authenticator code, or a backup code which is consumed
+     * @param {Object} user - User selected with +twoFactor.secret
+     * @param {string} code - Code entered by the user
+     * @returns {Promise<{ valid: boolean, method?: string, backupCodesRemaining?: number }>}
+     */
+    static async verifyLoginCode(user, code) {
+        const normalized = normalizeCode(code);
+        if (/^\d{6}$/.test(normalized)) {
+            const accepted = await this.verifyTotp(user._id, normalized, user.twoFactor?.secret);
+            return accepted ? { valid: true, method: 'totp' } : { valid: false };
+        }
+
+        if (normalized.length !== BACKUP_CODE_LENGTH) {
+            return { valid: false };
+        }
+
+        // Pull the hash atomically so a backup code works only once
+        const updated = await User.findOneAndUpdate(
+            { _id: user._id, 'twoFactor.backupCodes': OTPService.hashOTP(normalized) },
+            { $pull: { 'twoFactor.backupCodes': OTPService.hashOTP(normalized) } },
+            { new: true }
+        ).select('+twoFactor.backupCodes');
+
+        if (!updated) {
+            return { valid: false };
+        }
+
+        return {
+            valid: true,
+            method: 'backup_code',
+            backupCodesRemaining: updated.twoFactor.backupCodes.length,
+        };
+    }
+
+    /**
+     * Turn two-factor authentication off (requires the password)
+     * @param {string} userId - User id
+     * @param {string} password - Current password
+     */
+    static async disable(userId, password) {
+        const user = await this.findUser(userId, '+password');
+        await this.assertPassword(user, password);
+
+        if (!user.twoFactor?.enabled) {
+            throw new ValidationError('Two-factor authentication is not enabled');
+        }
+
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { 'twoFactor.enabled': false }, $unset: { 'twoFactor.secret': 1, 'twoFactor.pendingSecret': 1, 'twoFactor.backupCodes': 1, 'twoFactor.lastUsedStep': 1, 'twoFactor.enabledAt': 1 } }
+        );
+    }
+
+    /**
+     * Replace all backup codes (requires the password)
+     * @param {string} userId - User id
+     * @param {string} password - Current password
+     * @returns {Promise<{ backupCodes: string[] }>}
+     */
+    static async regenerateBackupCodes(userId, password) {
+        const user = await this.findUser(userId, '+password');
+        await this.assertPassword(user, password);
+
+        if (!user.twoFactor?.enabled) {
+            throw new ValidationError('Two-factor authentication is not enabled');
+        }
+
+        const { codes, hashes } = this.createBackupCodes();
+        await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.backupCodes': hashes } });
+
+        return { backupCodes: codes };
+    }
+}
+
+module.exports = TwoFactorService;
@@ -17,6 +17,7 @@ async function createPerformanceIndexes() {
         const Session = mongoose.model('Session');
         const Review = mongoose.model('Review');
         const Chat = mongoose.model('Chat');
+        const Message = mongoose.model('Message');
 
         // User model additional indexes
         await User.collection.createIndex(
@@ -105,8 +106,14 @@ async function createPerformanceIndexes() {
             { lastActivity: -1, isActive: 1 },
             { background: true }
         );
-        await Chat.collection.createIndex(
-            { 'messages.sender': 1, 'messages.createdAt': -1 },
+
+        // Message model additional indexes
+        await Message.collection.createIndex(
+            { chat: 1, createdAt: -1, _id: -1 },
+            { background: true }
+        );
+        await Message.collection.createIndex(
+            { sender: 1, createdAt: -1 },
             { background: true }
         );
 
@@ -279,7 +286,7 @@ async function runDatabaseOptimization() {
         console.log('📊 Database Stats:', dbStats);
 
         // Get stats for each collection
-        const collections = ['users', 'sessions', 'reviews', 'chats'];
+        const collections = ['users', 'sessions', 'reviews', 'chats', 'messages'];
         for (const collection of collections) {
             const stats = await getCollectionStats(collection);
             console.log(`📊 ${collection} Stats:`, stats);
@@ -0,0 +1,179 @@
+/**
+ * iCalendar (RFC 5545) helpers for exporting sessions to external calendars
+ */
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+const PRODUCT_ID = '-//SkillSwap//Sessions//EN';
+const UID_DOMAIN = 'skillswap';
+const DEFAULT_ALARM_MINUTES = 15;
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and newlines)
+ * @param {string} value - Raw text
+ * @returns {string}
+ */
+function escapeText(value = '') {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line so no physical line exceeds 75 octets.
+ * Continuation lines start with a single space; multi-byte characters are never split.
+ * @param {string} line - Unfolded content line
+ * @returns {string}
+ */
+function foldLine(line) {
+    const chunks = [];
+    let current = '';
+    let currentOctets = 0;
+
+    for (const char of line) {
+        const octets = Buffer.byteLength(char, 'utf8');
+        // Continuation lines lose one octet to the leading space
+        const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (currentOctets + octets > limit) {
+            chunks.push(current);
+            current = '';
+            currentOctets = 0;
+        }
+        current += char;
+        currentOctets += octets;
+    }
+    chunks.push(current);
+
+    return chunks.join(`${CRLF} `);
+}
+
+/**
+ * Format an instant as a UTC DATE-TIME value (e.g. 20260324T153000Z)
+ * @param {Date|string} date - Instant to format
+ * @returns {string}
+ */
+function formatDateTime(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build a CAL-ADDRESS property (ORGANIZER / ATTENDEE) for a populated user
+ */
+function formatCalAddress(name, user, params = []) {
+    const fullName = [user.firstName, user.lastName].filter(Boolean).join(' ');
+    const cn = fullName ? [`CN="${fullName.replace(/"/g, '\'')}"`] : [];
+    return `${[name, ...cn, ...params].join(';')}:mailto:${user.email}`;
+}
+
+/**
+ * Build a VEVENT for a session.
+ * Times are always written in UTC so every client shows them in its own timezone,
+ * and SEQUENCE comes from the session so reschedules and cancellations replace the
+ * previously imported event instead of duplicating it.
+ * @param {Object} session - Session with requester and provider populated
+ * @param {Object} options - { url, now, alarmMinutes }
+ * @returns {string[]} Unfolded content lines
+ */
+function buildSessionEvent(session, { url, now = new Date(), alarmMinutes = DEFAULT_ALARM_MINUTES } = {}) {
+    const start = new Date(session.scheduledDate);
+    const end = new Date(start.getTime() + session.duration * 60000);
+    const cancelled = session.status === 'cancelled';
+    const partstat = session.status === 'accepted' ? 'ACCEPTED' : 'NEEDS-ACTION';
+
+    const description = [
+        `${session.skill.level} ${session.skill.category} session`,
+        session.requestMessage,
+        session.meetingLink && `Join: ${session.meetingLink}`,
+        session.timezone && session.timezone !== 'UTC' && `Booked in ${session.timezone}`
+    ].filter(Boolean).join('\n');
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:session-${session._id}@${UID_DOMAIN}`,
+        `DTSTAMP:${formatDateTime(now)}`,
+        `DTSTART:${formatDateTime(start)}`,
+        `DTEND:${formatDateTime(end)}`,
+        `SEQUENCE:${session.calendarSequence || 0}`,
+        `STATUS:${cancelled ? 'CANCELLED' : session.status === 'accepted' ? 'CONFIRMED' : 'TENTATIVE'}`,
+        `SUMMARY:${escapeText(`SkillSwap: ${session.skill.name}`)}`,
+        `DESCRIPTION:${escapeText(description)}`
+    ];
+
+    if (session.updatedAt) {
+        lines.push(`LAST-MODIFIED:${formatDateTime(session.updatedAt)}`);
+    }
+
+    const location = session.location || session.meetingLink;
+    if (location) {
+        lines.push(`LOCATION:${escapeText(location)}`);
+    }
+
+    const eventUrl = session.meetingLink || url;
+    if (eventUrl) {
+        lines.push(`URL:${eventUrl}`);
+    }
+
+    if (session.provider?.email) {
+        lines.push(formatCalAddress('ORGANIZER', session.provider));
+    }
+    if (session.requester?.email) {
+        lines.push(formatCalAddress('ATTENDEE', session.requester, [
+            'ROLE=REQ-PARTICIPANT',
+            `PARTSTAT=${partstat}`
+        ]));
+    }
+
+    if (!cancelled && alarmMinutes > 0) {
+        lines.push(
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${escapeText(`SkillSwap session starts in ${alarmMinutes} minutes`)}`,
+            `TRIGGER:-PT${alarmMinutes}M`,
+            'END:VALARM'
+        );
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Wrap sessions in a VCALENDAR and serialize it with folded CRLF lines
+ * @param {Object[]} sessions - Sessions with requester and provider populated
+ * @param {Object} options - { name, getUrl(session), now, alarmMinutes }
+ * @returns {string}
+ */
+function buildCalendar(sessions, { name, getUrl, now = new Date(), alarmMinutes } = {}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+
+    if (name) {
+        lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    }
+
+    sessions.forEach(session => {
+        lines.push(...buildSessionEvent(session, {
+            url: getUrl ? getUrl(session) : undefined,
+            now,
+            alarmMinutes
+        }));
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+module.exports = {
+    escapeText,
+    foldLine,
+    formatDateTime,
+    buildSessionEvent,
+    buildCalendar,
+};
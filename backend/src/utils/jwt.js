@@ -56,6 +56,11 @@ class JWTUtils {
                 tokenType: 'refresh',
             };
 
+            // Login session the token belongs to (see RefreshToken model)
+            if (payload.sid) {
+                refreshPayload.sid = payload.sid;
+            }
+
             const token = jwt.sign(refreshPayload, config.jwt.refreshSecret, tokenOptions);
 
             return token;
@@ -67,12 +72,13 @@ class JWTUtils {
     /**
      * Generate token pair (access + refresh)
      * @param {Object} payload - Token payload
+     * @param {Object} refreshOptions - Refresh token options (e.g. jwtid, expiresIn)
      * @returns {Object} Object containing access and refresh tokens
      */
-    static generateTokenPair(payload) {
+    static generateTokenPair(payload, refreshOptions = {}) {
         try {
             const accessToken = this.generateAccessToken(payload);
-            const refreshToken = this.generateRefreshToken(payload);
+            const refreshToken = this.generateRefreshToken(payload, refreshOptions);
 
             return {
                 accessToken,
@@ -337,7 +343,36 @@ class JWTUtils {
     }
 
     /**
-     * Verify special purpose token (email verification, password reset)
+     * Generate two-factor login challenge token (issued after the password check)
+     * @param {Object} payload - Token payload
+     * @returns {string} Two-factor challenge token
+     */
+    static generateTwoFactorChallengeToken(payload) {
+        try {
+            const tokenPayload = {
+                id: payload.id,
+                purpose: 'two-factor-login',
+                rememberMe: Boolean(payload.rememberMe),
+            };
+
+            const token = jwt.sign(
+                tokenPayload,
+                config.jwt.secret,
+                {
+                    expiresIn: '5m', // The second login step must follow shortly
+                    issuer: 'skillswap-api',
+                    audience: 'skillswap-client',
+                }
+            );
+
+            return token;
+        } catch (error) {
+            throw new Error(`Two-factor challenge token generation failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Verify special purpose token (email verification, password reset, two-factor login)
      * @param {string} token - Token to verify
      * @param {string} expectedPurpose - Expected token purpose
      * @returns {Object} Decoded token payload
@@ -0,0 +1,116 @@
+/**
+ * Search helpers: safe regexes from user input, text-search terms and result snippets
+ */
+
+const MAX_TERMS = 10;
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Escape characters that have a meaning in regular expressions
+ * @param {string} value - Raw user input
+ * @returns {string}
+ */
+function escapeRegex(value = '') {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Case-insensitive regex matching the input literally anywhere in a field
+ * @param {string} value - Raw user input
+ * @returns {RegExp}
+ */
+function literalRegex(value = '') {
+    return new RegExp(escapeRegex(String(value).trim()), 'i');
+}
+
+/**
+ * Split a free-text query into unique terms, dropping the characters Mongo's
+ * $text operator treats as syntax (quotes for phrases, leading "-" for negation)
+ * @param {string} query - Raw user input
+ * @returns {string[]}
+ */
+function parseSearchTerms(query = '') {
+    const seen = new Set();
+
+    return String(query)
+        .split(/\s+/)
+        .map(term => term.replace(/["\\]/g, '').replace(/^-+/, ''))
+        .filter(term => {
+            const key = term.toLowerCase();
+            if (!term || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .slice(0, MAX_TERMS);
+}
+
+/**
+ * Cut a window of text around the first occurrence of any term
+ * @param {string} text - Text to search in
+ * @param {string[]} terms - Search terms
+ * @param {number} radius - Characters to keep on each side of the match
+ * @returns {string|null} Snippet with ellipses, or null when no term occurs
+ */
+function buildSnippet(text, terms, radius = SNIPPET_RADIUS) {
+    if (!text || terms.length === 0) {
+        return null;
+    }
+
+    const match = new RegExp(terms.map(escapeRegex).join('|'), 'i').exec(text);
+    if (!match) {
+        return null;
+    }
+
+    const start = Math.max(0, match.index - radius);
+    const end = Math.min(text.length, match.index + match[0].length + radius);
+
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Find the most relevant matched snippet for a user, following the text index weights
+ * (skill names, then skill descriptions, then bio)
+ * @param {Object} user - Lean user document
+ * @param {string[]} terms - Search terms
+ * @returns {{ field: string, skill?: string, snippet: string }|null}
+ */
+function findUserHighlight(user, terms) {
+    const skills = user.skills || [];
+
+    for (const skill of skills) {
+        const snippet = buildSnippet(skill.name, terms);
+        if (snippet) return { field: 'skills.name', skill: skill.name, snippet };
+    }
+
+    for (const skill of skills) {
+        const snippet = buildSnippet(skill.description, terms);
+        if (snippet) return { field: 'skills.description', skill: skill.name, snippet };
+    }
+
+    const snippet = buildSnippet(user.bio, terms);
+    return snippet ? { field: 'bio', snippet } : null;
+}
+
+/**
+ * Find the matched snippet of a chat message, following the text index weights
+ * (message text, then the attachment's file name)
+ * @param {Object} message - Message document or plain object
+ * @param {string[]} terms - Search terms
+ * @returns {{ field: string, snippet: string }|null}
+ */
+function findMessageHighlight(message, terms) {
+    const snippet = buildSnippet(message.content, terms);
+    if (snippet) return { field: 'content', snippet };
+
+    const fileSnippet = buildSnippet(message.attachment?.fileName, terms);
+    return fileSnippet ? { field: 'attachment.fileName', snippet: fileSnippet } : null;
+}
+
+module.exports = {
+    escapeRegex,
+    literalRegex,
+    parseSearchTerms,
+    buildSnippet,
+    findUserHighlight,
+    findMessageHighlight,
+};
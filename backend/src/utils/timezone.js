@@ -0,0 +1,109 @@
+/**
+ * Timezone utility functions built on Intl (no external tz database needed)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a string is a timezone Intl understands
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in minutes
+ * (e.g. 60 for Europe/Berlin in winter, -240 for America/New_York in summer)
+ * @param {Date} date - Instant to evaluate the offset at
+ * @param {string} timezone - IANA timezone name
+ * @returns {number}
+ */
+function getTimezoneOffset(date, timezone = 'UTC') {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+    }).formatToParts(date).reduce((acc, part) => {
+        acc[part.type] = Number(part.value);
+        return acc;
+    }, {});
+
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUTC - (date.getTime() - date.getMilliseconds())) / 60000);
+}
+
+/**
+ * Calendar date and weekday of an instant in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timezone - IANA timezone name
+ * @returns {{ date: string, weekday: string }} e.g. { date: '2026-03-24', weekday: 'tuesday' }
+ */
+function getZonedDateParts(date, timezone = 'UTC') {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'long',
+    }).formatToParts(date).reduce((acc, part) => {
+        acc[part.type] = part.value;
+        return acc;
+    }, {});
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        weekday: parts.weekday.toLowerCase(),
+    };
+}
+
+/**
+ * Convert a local date and wall-clock time in a timezone to a UTC instant
+ * @param {string} dateString - Local date, "YYYY-MM-DD"
+ * @param {string} timeString - Local time, "HH:MM" ("24:00" means end of day)
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date}
+ */
+function zonedTimeToUtc(dateString, timeString, timezone = 'UTC') {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const [hours, minutes] = timeString.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+    // Correct twice so instants next to a DST change use the offset in effect at the result
+    let result = new Date(wallClock - getTimezoneOffset(new Date(wallClock), timezone) * 60000);
+    result = new Date(wallClock - getTimezoneOffset(result, timezone) * 60000);
+    return result;
+}
+
+/**
+ * Move an instant by a number of calendar days while keeping the same
+ * wall-clock time in the given timezone (so weekly events survive DST changes)
+ * @param {Date} date - Starting instant
+ * @param {number} days - Number of days to add
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date}
+ */
+function addDaysInTimezone(date, days, timezone = 'UTC') {
+    const shifted = new Date(date.getTime() + days * DAY_MS);
+    const offsetChange = getTimezoneOffset(date, timezone) - getTimezoneOffset(shifted, timezone);
+    return new Date(shifted.getTime() + offsetChange * 60000);
+}
+
+module.exports = {
+    isValidTimezone,
+    getTimezoneOffset,
+    getZonedDateParts,
+    zonedTimeToUtc,
+    addDaysInTimezone,
+};
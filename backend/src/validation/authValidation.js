@@ -207,6 +207,38 @@ const changePasswordSchema = Joi.object({
         }),
 });
 
+// Email change request validation schema
+const requestEmailChangeSchema = Joi.object({
+    newEmail: Joi.string()
+        .email({ tlds: { allow: false } })
+        .lowercase()
+        .trim()
+        .required()
+        .messages({
+            'string.empty': 'New email is required',
+            'string.email': 'Please provide a valid email address',
+        }),
+
+    password: Joi.string()
+        .required()
+        .messages({
+            'string.empty': 'Password is required',
+        }),
+});
+
+// Email change confirmation validation schema
+const confirmEmailChangeSchema = Joi.object({
+    otp: Joi.string()
+        .length(6)
+        .pattern(/^\d{6}$/)
+        .required()
+        .messages({
+            'string.empty': 'OTP is required',
+            'string.length': 'OTP must be exactly 6 digits',
+            'string.pattern.base': 'OTP must contain only numbers',
+        }),
+});
+
 // Email verification token validation schema
 const verifyEmailTokenSchema = Joi.object({
     token: Joi.string()
@@ -225,6 +257,45 @@ const refreshTokenSchema = Joi.object({
         }),
 });
 
+// Second login step validation schema
+const twoFactorLoginSchema = Joi.object({
+    challengeToken: Joi.string()
+        .required()
+        .messages({
+            'string.empty': 'Login challenge is required',
+        }),
+
+    // Authenticator code or backup code
+    code: Joi.string()
+        .trim()
+        .max(20)
+        .required()
+        .messages({
+            'string.empty': 'Authentication code is required',
+        }),
+});
+
+// Two-factor enrollment confirmation validation schema
+const enableTwoFactorSchema = Joi.object({
+    code: Joi.string()
+        .trim()
+        .pattern(/^\d{6}$/)
+        .required()
+        .messages({
+            'string.empty': 'Authentication code is required',
+            'string.pattern.base': 'Authentication code must be 6 digits',
+        }),
+});
+
+// Password re-prompt for two-factor changes validation schema
+const twoFactorPasswordSchema = Joi.object({
+    password: Joi.string()
+        .required()
+        .messages({
+            'string.empty': 'Password is required',
+        }),
+});
+
 module.exports = {
     registerSchema,
     loginSchema,
@@ -233,6 +304,11 @@ module.exports = {
     forgotPasswordSchema,
     resetPasswordSchema,
     changePasswordSchema,
+    requestEmailChangeSchema,
+    confirmEmailChangeSchema,
     verifyEmailTokenSchema,
     refreshTokenSchema,
+    twoFactorLoginSchema,
+    enableTwoFactorSchema,
+    twoFactorPasswordSchema,
 };
\ No newline at end of file
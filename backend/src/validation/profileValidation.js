@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { isValidTimezone } = require('../utils/timezone');
 
 /**
  * Validation schemas for profile management
@@ -50,10 +51,39 @@ const updateProfileSchema = Joi.object({
             }),
     }),
 
+    skillsWanted: Joi.array()
+        .items(
+            Joi.object({
+                name: Joi.string().min(2).max(100).trim().required()
+                    .messages({
+                        'string.min': 'Skill name must be at least 2 characters long',
+                        'string.max': 'Skill name cannot exceed 100 characters',
+                        'any.required': 'Skill name is required',
+                    }),
+                category: Joi.string().max(50).trim().allow(''),
+                level: Joi.string()
+                    .valid('beginner', 'intermediate', 'advanced', 'expert')
+                    .default('beginner')
+                    .messages({
+                        'any.only': 'Skill level must be one of: beginner, intermediate, advanced, expert',
+                    }),
+            })
+        )
+        .unique((a, b) => a.name.toLowerCase() === b.name.toLowerCase())
+        .max(30)
+        .messages({
+            'array.unique': 'Each skill you want to learn can only be listed once',
+            'array.max': 'You can list at most 30 skills you want to learn',
+        }),
+
     availability: Joi.object({
         timezone: Joi.string()
             .max(50)
-            .default('UTC'),
+            .custom((value, helpers) => (isValidTimezone(value) ? value : helpers.error('any.invalid')))
+            .default('UTC')
+            .messages({
+                'any.invalid': 'Timezone must be a valid IANA timezone (e.g. Europe/Berlin)',
+            }),
 
         preferredDays: Joi.array()
             .items(
@@ -86,6 +116,56 @@ const updateProfileSchema = Joi.object({
                 })
             ),
 
+        weeklySlots: Joi.array()
+            .items(
+                Joi.object({
+                    day: Joi.string()
+                        .valid('monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday')
+                        .required(),
+                    start: Joi.string()
+                        .pattern(/^([01][0-9]|2[0-3]):[0-5][0-9]$/)
+                        .required()
+                        .messages({
+                            'string.pattern.base': 'Start time must be in HH:MM format (24-hour)',
+                        }),
+                    end: Joi.string()
+                        .pattern(/^(([01][0-9]|2[0-3]):[0-5][0-9]|24:00)$/)
+                        .required()
+                        .messages({
+                            'string.pattern.base': 'End time must be in HH:MM format (24-hour)',
+                        }),
+                }).custom((slot, helpers) => (
+                    slot.start < slot.end ? slot : helpers.error('any.invalid')
+                )).messages({
+                    'any.invalid': 'Availability slot must end after it starts',
+                })
+            )
+            .max(50),
+
+        exceptions: Joi.array()
+            .items(
+                Joi.object({
+                    startDate: Joi.string()
+                        .pattern(/^\d{4}-\d{2}-\d{2}$/)
+                        .required()
+                        .messages({
+                            'string.pattern.base': 'Start date must be in YYYY-MM-DD format',
+                        }),
+                    endDate: Joi.string()
+                        .pattern(/^\d{4}-\d{2}-\d{2}$/)
+                        .required()
+                        .messages({
+                            'string.pattern.base': 'End date must be in YYYY-MM-DD format',
+                        }),
+                    reason: Joi.string().max(200).trim().allow(''),
+                }).custom((exception, helpers) => (
+                    exception.startDate <= exception.endDate ? exception : helpers.error('any.invalid')
+                )).messages({
+                    'any.invalid': 'Exception end date cannot be before its start date',
+                })
+            )
+            .max(100),
+
         isAvailable: Joi.boolean(),
     }),
 });
@@ -188,6 +268,16 @@ const updateSkillSchema = Joi.object({
     'object.min': 'At least one field must be provided for update',
 });
 
+// Account deletion validation (password re-prompt)
+const deleteAccountSchema = Joi.object({
+    password: Joi.string()
+        .required()
+        .messages({
+            'string.empty': 'Password is required',
+            'any.required': 'Password is required',
+        }),
+});
+
 // MongoDB ObjectId validation
 const objectIdSchema = Joi.string()
     .pattern(/^[0-9a-fA-F]{24}$/)
@@ -201,5 +291,6 @@ module.exports = {
     updateProfileSchema,
     addSkillSchema,
     updateSkillSchema,
+    deleteAccountSchema,
     objectIdSchema,
 };
\ No newline at end of file
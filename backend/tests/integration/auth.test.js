@@ -3,6 +3,12 @@ const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const { app } = require('../../src/server');
 const User = require('../../src/models/User');
+const RefreshToken = require('../../src/models/RefreshToken');
+const TokenService = require('../../src/services/tokenService');
+const PasswordResetService = require('../../src/services/passwordResetService');
+const OTPService = require('../../src/services/otpService');
+const JWTUtils = require('../../src/utils/jwt');
+const { decodeBase32 } = require('../../src/utils/base32');
 const emailService = require('../../src/services/emailService');
 
 // Mock email service to prevent actual emails during testing
@@ -10,6 +16,9 @@ jest.mock('../../src/services/emailService', () => ({
     sendOTPEmail: jest.fn().mockResolvedValue({ success: true, messageId: 'test-message-id' }),
     sendWelcomeEmail: jest.fn().mockResolvedValue({ success: true, messageId: 'test-message-id' }),
     sendAccountLockedEmail: jest.fn().mockResolvedValue({ success: true, messageId: 'test-message-id' }),
+    sendPasswordResetEmail: jest.fn().mockResolvedValue({ success: true, messageId: 'test-message-id' }),
+    sendEmailChangeCode: jest.fn().mockResolvedValue({ success: true, messageId: 'test-message-id' }),
+    sendSecurityAlertEmail: jest.fn().mockResolvedValue({ success: true, messageId: 'test-message-id' }),
 }));
 
 describe('Authentication Integration Tests', () => {
@@ -40,6 +49,7 @@ describe('Authentication Integration Tests', () => {
     beforeEach(async () => {
         // Clear database before each test
         await User.deleteMany({});
+        await RefreshToken.deleteMany({});
 
         // Clear email service mocks
         jest.clearAllMocks();
@@ -570,12 +580,8 @@ describe('Authentication Integration Tests', () => {
                 isEmailVerified: true,
             });
 
-            // Generate refresh token
-            const JWTUtils = require('../../src/utils/jwt');
-            refreshToken = JWTUtils.generateRefreshToken({
-                id: testUser._id,
-                email: testUser.email,
-            });
+            // Start a login session
+            ({ refreshToken } = await TokenService.issueTokens(testUser));
         });
 
         it('should refresh token successfully', async () => {
@@ -589,9 +595,47 @@ describe('Authentication Integration Tests', () => {
             expect(response.body.success).toBe(true);
             expect(response.body.message).toContain('refreshed successfully');
             expect(response.body.data.accessToken).toBeDefined();
+            expect(response.body.data.refreshToken).toBeDefined();
+            expect(response.body.data.refreshToken).not.toBe(refreshToken);
             expect(response.body.data.tokenType).toBe('Bearer');
         });
 
+        it('should only accept a refresh token once', async () => {
+            const first = await request(app)
+                .post('/api/auth/refresh-token')
+                .send({ refreshToken })
+                .expect(200);
+
+            const rotated = await RefreshToken.findOne({ revokedReason: 'rotated' });
+            expect(rotated.replacedBy).toBeDefined();
+
+            // Replaying the old token revokes the whole session, including the new token
+            const replay = await request(app)
+                .post('/api/auth/refresh-token')
+                .send({ refreshToken })
+                .expect(401);
+            expect(replay.body.error.message).toContain('reuse detected');
+
+            await request(app)
+                .post('/api/auth/refresh-token')
+                .send({ refreshToken: first.body.data.refreshToken })
+                .expect(401);
+
+            await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${first.body.data.accessToken}`)
+                .expect(401);
+        });
+
+        it('should reject refresh tokens that were never issued to a session', async () => {
+            const untracked = JWTUtils.generateRefreshToken({ id: testUser._id, email: testUser.email });
+
+            await request(app)
+                .post('/api/auth/refresh-token')
+                .send({ refreshToken: untracked })
+                .expect(401);
+        });
+
         it('should return error for invalid refresh token', async () => {
             const response = await request(app)
                 .post('/api/auth/refresh-token')
@@ -635,4 +679,399 @@ describe('Authentication Integration Tests', () => {
             expect(response.body.error.message).toContain('not active');
         });
     });
-});
\ No newline at end of file
+
+    describe('POST /api/auth/logout', () => {
+        let testUser;
+
+        beforeEach(async () => {
+            testUser = await User.create({
+                firstName: 'John',
+                lastName: 'Doe',
+                email: 'john.doe@example.com',
+                password: 'SecurePassword123!',
+                isEmailVerified: true,
+            });
+        });
+
+        it('should revoke only the current session', async () => {
+            const laptop = await TokenService.issueTokens(testUser);
+            const phone = await TokenService.issueTokens(testUser);
+
+            await request(app)
+                .post('/api/auth/logout')
+                .set('Authorization', `Bearer ${laptop.accessToken}`)
+                .expect(200);
+
+            await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${laptop.accessToken}`)
+                .expect(401);
+            await request(app)
+                .post('/api/auth/refresh-token')
+                .send({ refreshToken: laptop.refreshToken })
+                .expect(401);
+
+            await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${phone.accessToken}`)
+                .expect(200);
+        });
+
+        it('should revoke every session with logout-all', async () => {
+            const laptop = await TokenService.issueTokens(testUser);
+            const phone = await TokenService.issueTokens(testUser);
+
+            const response = await request(app)
+                .post('/api/auth/logout-all')
+                .set('Authorization', `Bearer ${laptop.accessToken}`)
+                .expect(200);
+
+            expect(response.body.data.revokedSessions).toBe(2);
+
+            await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${phone.accessToken}`)
+                .expect(401);
+            await request(app)
+                .post('/api/auth/refresh-token')
+                .send({ refreshToken: phone.refreshToken })
+                .expect(401);
+        });
+    });
+
+    describe('Password reset', () => {
+        let testUser;
+
+        beforeEach(async () => {
+            testUser = await User.create({
+                firstName: 'John',
+                lastName: 'Doe',
+                email: 'john.doe@example.com',
+                password: 'SecurePassword123!',
+                isEmailVerified: true,
+            });
+        });
+
+        const requestResetToken = async () => {
+            await PasswordResetService.requestReset(testUser.email);
+            return emailService.sendPasswordResetEmail.mock.calls[0][1];
+        };
+
+        it('should answer forgot-password the same way for unknown emails', async () => {
+            const known = await request(app)
+                .post('/api/auth/forgot-password')
+                .send({ email: testUser.email })
+                .expect(200);
+            const unknown = await request(app)
+                .post('/api/auth/forgot-password')
+                .send({ email: 'nobody@example.com' })
+                .expect(200);
+
+            expect(unknown.body).toEqual(known.body);
+        });
+
+        it('should reset the password once and invalidate existing tokens', async () => {
+            const session = await TokenService.issueTokens(testUser);
+            const oldAccessToken = JWTUtils.generateAccessToken({
+                id: testUser._id,
+                email: testUser.email,
+                iat: Math.floor(Date.now() / 1000) - 60,
+            });
+            const token = await requestResetToken();
+
+            await request(app)
+                .post('/api/auth/reset-password')
+                .send({ token, password: 'NewPassword123!', confirmPassword: 'NewPassword123!' })
+                .expect(200);
+
+            // The link is single-use
+            await request(app)
+                .post('/api/auth/reset-password')
+                .send({ token, password: 'OtherPassword123!', confirmPassword: 'OtherPassword123!' })
+                .expect(400);
+
+            await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${oldAccessToken}`)
+                .expect(401);
+            await request(app)
+                .post('/api/auth/refresh-token')
+                .send({ refreshToken: session.refreshToken })
+                .expect(401);
+
+            await request(app)
+                .post('/api/auth/login')
+                .send({ email: testUser.email, password: 'NewPassword123!' })
+                .expect(200);
+        });
+
+        it('should reject expired reset tokens', async () => {
+            const token = await requestResetToken();
+            await User.updateOne({ _id: testUser._id }, { passwordResetExpires: new Date(Date.now() - 1000) });
+
+            const response = await request(app)
+                .post('/api/auth/reset-password')
+                .send({ token, password: 'NewPassword123!', confirmPassword: 'NewPassword123!' })
+                .expect(400);
+
+            expect(response.body.error.message).toContain('invalid or has expired');
+        });
+    });
+
+    describe('Two-factor authentication', () => {
+        let testUser;
+        let session;
+
+        beforeEach(async () => {
+            testUser = await User.create({
+                firstName: 'John',
+                lastName: 'Doe',
+                email: 'john.doe@example.com',
+                password: 'SecurePassword123!',
+                isEmailVerified: true,
+            });
+            session = await TokenService.issueTokens(testUser);
+        });
+
+        const enroll = async () => {
+            const setup = await request(app)
+                .post('/api/auth/2fa/setup')
+                .set('Authorization', `Bearer ${session.accessToken}`)
+                .expect(200);
+            const { secret } = setup.body.data;
+
+            const enable = await request(app)
+                .post('/api/auth/2fa/enable')
+                .set('Authorization', `Bearer ${session.accessToken}`)
+                .send({ code: OTPService.generateTOTP(decodeBase32(secret)) })
+                .expect(200);
+
+            return { secret, backupCodes: enable.body.data.backupCodes };
+        };
+
+        // Enrolling used the current code, so sign in with the next one (accepted for clock drift)
+        const nextCode = secret => OTPService.generateTOTPForTimeStep(
+            decodeBase32(secret),
+            Math.floor(Date.now() / 30000) + 1
+        );
+
+        const passwordStep = async () => {
+            const response = await request(app)
+                .post('/api/auth/login')
+                .send({ email: testUser.email, password: 'SecurePassword123!' })
+                .expect(200);
+            return response.body.data;
+        };
+
+        it('should enroll with an otpauth URI and store only hashed backup codes', async () => {
+            const setup = await request(app)
+                .post('/api/auth/2fa/setup')
+                .set('Authorization', `Bearer ${session.accessToken}`)
+                .expect(200);
+
+            expect(setup.body.data.otpauthUrl).toMatch(/^otpauth:\/\/totp\/SkillSwap/);
+            expect(setup.body.data.otpauthUrl).toContain(`secret=${setup.body.data.secret}`);
+
+            const enable = await request(app)
+                .post('/api/auth/2fa/enable')
+                .set('Authorization', `Bearer ${session.accessToken}`)
+                .send({ code: OTPService.generateTOTP(decodeBase32(setup.body.data.secret)) })
+                .expect(200);
+
+            const { backupCodes } = enable.body.data;
+            const user = await User.findById(testUser._id).select('+twoFactor.backupCodes');
+            expect(backupCodes).toHaveLength(10);
+            expect(user.twoFactor.enabled).toBe(true);
+            expect(user.twoFactor.backupCodes).toEqual(backupCodes.map(code => OTPService.hashOTP(code)));
+
+            const me = await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${session.accessToken}`)
+                .expect(200);
+            expect(me.body.data.user.twoFactorEnabled).toBe(true);
+        });
+
+        it('should require a second step and not accept the challenge as an access token', async () => {
+            const { secret } = await enroll();
+
+            const challenge = await passwordStep();
+            expect(challenge.twoFactorRequired).toBe(true);
+            expect(challenge.tokens).toBeUndefined();
+
+            await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${challenge.challengeToken}`)
+                .expect(401);
+
+            const response = await request(app)
+                .post('/api/auth/login/2fa')
+                .send({ challengeToken: challenge.challengeToken, code: nextCode(secret) })
+                .expect(200);
+
+            expect(response.body.data.tokens.accessToken).toBeDefined();
+            expect(response.body.data.tokens.refreshToken).toBeDefined();
+        });
+
+        it('should not accept an authenticator code twice', async () => {
+            const { secret } = await enroll();
+
+            const enrollmentReplay = await passwordStep();
+            await request(app)
+                .post('/api/auth/login/2fa')
+                .send({ challengeToken: enrollmentReplay.challengeToken, code: OTPService.generateTOTP(decodeBase32(secret)) })
+                .expect(401);
+
+            const code = nextCode(secret);
+            const first = await passwordStep();
+            await request(app)
+                .post('/api/auth/login/2fa')
+                .send({ challengeToken: first.challengeToken, code })
+                .expect(200);
+
+            const replay = await passwordStep();
+            await request(app)
+                .post('/api/auth/login/2fa')
+                .send({ challengeToken: replay.challengeToken, code })
+                .expect(401);
+        });
+
+        it('should accept each backup code only once', async () => {
+            const { backupCodes } = await enroll();
+
+            const first = await passwordStep();
+            const response = await request(app)
+                .post('/api/auth/login/2fa')
+                .send({ challengeToken: first.challengeToken, code: backupCodes[0] })
+                .expect(200);
+            expect(response.body.data.backupCodesRemaining).toBe(9);
+
+            const second = await passwordStep();
+            await request(app)
+                .post('/api/auth/login/2fa')
+                .send({ challengeToken: second.challengeToken, code: backupCodes[0] })
+                .expect(401);
+        });
+
+        it('should require the password to disable or regenerate backup codes', async () => {
+            const { backupCodes } = await enroll();
+
+            await request(app)
+                .post('/api/auth/2fa/backup-codes')
+                .set('Authorization', `Bearer ${session.accessToken}`)
+                .send({ password: 'WrongPassword123!' })
+                .expect(401);
+
+            const regenerated = await request(app)
+                .post('/api/auth/2fa/backup-codes')
+                .set('Authorization', `Bearer ${session.accessToken}`)
+                .send({ password: 'SecurePassword123!' })
+                .expect(200);
+            expect(regenerated.body.data.backupCodes).not.toContain(backupCodes[0]);
+
+            await request(app)
+                .post('/api/auth/2fa/disable')
+                .set('Authorization', `Bearer ${session.accessToken}`)
+                .send({ password: 'SecurePassword123!' })
+                .expect(200);
+
+            const login = await passwordStep();
+            expect(login.tokens.accessToken).toBeDefined();
+        });
+    });
+
+    describe('Changing credentials', () => {
+        let testUser;
+        let session;
+
+        beforeEach(async () => {
+            testUser = await User.create({
+                firstName: 'John',
+                lastName: 'Doe',
+                email: 'john.doe@example.com',
+                password: 'SecurePassword123!',
+                isEmailVerified: true,
+            });
+            session = await TokenService.issueTokens(testUser);
+        });
+
+        it('should change the password and sign out other devices', async () => {
+            const otherDevice = await TokenService.issueTokens(testUser);
+
+            const response = await request(app)
+                .put('/api/auth/password')
+                .set('Authorization', `Bearer ${session.accessToken}`)
+                .send({
+                    currentPassword: 'SecurePassword123!',
+                    newPassword: 'Nu3vo-Pa55word!',
+                    confirmNewPassword: 'Nu3vo-Pa55word!',
+                })
+                .expect(200);
+
+            await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${response.body.data.tokens.accessToken}`)
+                .expect(200);
+            await request(app)
+                .post('/api/auth/refresh-token')
+                .send({ refreshToken: otherDevice.refreshToken })
+                .expect(401);
+
+            await request(app)
+                .post('/api/auth/login')
+                .send({ email: testUser.email, password: 'Nu3vo-Pa55word!' })
+                .expect(200);
+        });
+
+        it('should reject a wrong current password', async () => {
+            await request(app)
+                .put('/api/auth/password')
+                .set('Authorization', `Bearer ${session.accessToken}`)
+                .send({
+                    currentPassword: 'WrongPassword123!',
+                    newPassword: 'Nu3vo-Pa55word!',
+                    confirmNewPassword: 'Nu3vo-Pa55word!',
+                })
+                .expect(401);
+        });
+
+        it('should only switch the email after the code from the new address is confirmed', async () => {
+            await request(app)
+                .post('/api/auth/email')
+                .set('Authorization', `Bearer ${session.accessToken}`)
+                .send({ newEmail: 'john.new@example.com', password: 'SecurePassword123!' })
+                .expect(200);
+
+            const [recipient, code] = emailService.sendEmailChangeCode.mock.calls[0];
+            expect(recipient.email).toBe('john.new@example.com');
+            expect((await User.findById(testUser._id)).email).toBe('john.doe@example.com');
+
+            await request(app)
+                .post('/api/auth/email/verify')
+                .set('Authorization', `Bearer ${session.accessToken}`)
+                .send({ otp: code })
+                .expect(200);
+
+            expect((await User.findById(testUser._id)).email).toBe('john.new@example.com');
+            expect(emailService.sendSecurityAlertEmail).toHaveBeenCalledWith(
+                expect.objectContaining({ email: 'john.doe@example.com' }),
+                expect.any(String)
+            );
+        });
+
+        it('should refuse an email that belongs to another account', async () => {
+            await User.create({
+                firstName: 'Jane',
+                lastName: 'Smith',
+                email: 'jane.smith@example.com',
+                password: 'SecurePassword123!',
+                isEmailVerified: true,
+            });
+
+            await request(app)
+                .post('/api/auth/email')
+                .set('Authorization', `Bearer ${session.accessToken}`)
+                .send({ newEmail: 'jane.smith@example.com', password: 'SecurePassword123!' })
+                .expect(409);
+        });
+    });
+});
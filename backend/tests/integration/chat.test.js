@@ -4,8 +4,10 @@ const { app } = require('../../src/server');
 const User = require('../../src/models/User');
 const Session = require('../../src/models/Session');
 const Chat = require('../../src/models/Chat');
+const Message = require('../../src/models/Message');
 const { connectTestDB, clearTestDB, closeTestDB } = require('../helpers/testDb');
 const JWTUtils = require('../../src/utils/jwt');
+const socketService = require('../../src/services/socketService');
 
 describe('Chat Integration Tests', () => {
     jest.setTimeout(30000);
@@ -219,9 +221,8 @@ describe('Chat Integration Tests', () => {
         beforeEach(async () => {
             // Create a test chat with messages
             testChat = await Chat.findOrCreateDirectChat(testUsers[0]._id, testUsers[1]._id);
-            testChat.addMessage(testUsers[0]._id, 'Hello Jane!');
-            testChat.addMessage(testUsers[1]._id, 'Hi John! How are you?');
-            await testChat.save();
+            await testChat.addMessage(testUsers[0]._id, 'Hello Jane!');
+            await testChat.addMessage(testUsers[1]._id, 'Hi John! How are you?');
         });
 
         it('should get user chats', async () => {
@@ -271,10 +272,9 @@ describe('Chat Integration Tests', () => {
 
             // Add multiple messages for pagination testing
             for (let i = 1; i <= 5; i++) {
-                testChat.addMessage(testUsers[0]._id, `Message ${i} from John`);
-                testChat.addMessage(testUsers[1]._id, `Message ${i} from Jane`);
+                await testChat.addMessage(testUsers[0]._id, `Message ${i} from John`);
+                await testChat.addMessage(testUsers[1]._id, `Message ${i} from Jane`);
             }
-            await testChat.save();
         });
 
         it('should get chat with messages', async () => {
@@ -289,18 +289,22 @@ describe('Chat Integration Tests', () => {
             expect(response.body.data.chat.participants).toHaveLength(2);
         });
 
-        it('should paginate messages', async () => {
+        it('should return the latest messages first', async () => {
             const response = await request(app)
                 .get(`/api/chats/${testChat._id}`)
-                .query({ page: 1, limit: 5 })
+                .query({ limit: 5 })
                 .set('Authorization', `Bearer ${authTokens.john}`)
                 .expect(200);
 
-            expect(response.body.success).toBe(true);
-            expect(response.body.data.chat.messages).toHaveLength(5);
-            expect(response.body.data.pagination.page).toBe(1);
-            expect(response.body.data.pagination.limit).toBe(5);
-            expect(response.body.data.pagination.total).toBe(10);
+            const { messages } = response.body.data.chat;
+            expect(messages).toHaveLength(5);
+            expect(messages[0].content).toBe('Message 3 from Jane');
+            expect(messages[4].content).toBe('Message 5 from Jane');
+            expect(response.body.data.pagination).toEqual({
+                limit: 5,
+                hasMore: true,
+                before: messages[0]._id,
+            });
         });
 
         it('should mark messages as read', async () => {
@@ -347,6 +351,123 @@ describe('Chat Integration Tests', () => {
         });
     });
 
+    describe('GET /api/chats/:chatId/messages', () => {
+        let testChat;
+        let messages;
+
+        beforeEach(async () => {
+            testChat = await Chat.findOrCreateDirectChat(testUsers[0]._id, testUsers[1]._id);
+
+            messages = [];
+            for (let i = 1; i <= 6; i++) {
+                messages.push(await testChat.addMessage(testUsers[i % 2]._id, `Message ${i}`));
+            }
+        });
+
+        const getMessages = (query, token = authTokens.john) => request(app)
+            .get(`/api/chats/${testChat._id}/messages`)
+            .query(query)
+            .set('Authorization', `Bearer ${token}`);
+
+        it('should page backwards through the history', async () => {
+            const first = await getMessages({ limit: 4 }).expect(200);
+            expect(first.body.data.messages.map(m => m.content))
+                .toEqual(['Message 3', 'Message 4', 'Message 5', 'Message 6']);
+            expect(first.body.data.pagination.hasMore).toBe(true);
+
+            const second = await getMessages({ limit: 4, before: first.body.data.pagination.before }).expect(200);
+            expect(second.body.data.messages.map(m => m.content)).toEqual(['Message 1', 'Message 2']);
+            expect(second.body.data.pagination.hasMore).toBe(false);
+        });
+
+        it('should return messages newer than a cursor', async () => {
+            const response = await getMessages({ after: messages[3]._id.toString() }).expect(200);
+
+            expect(response.body.data.messages.map(m => m.content)).toEqual(['Message 5', 'Message 6']);
+            expect(response.body.data.messages[0].sender.firstName).toBeDefined();
+        });
+
+        it('should reject cursors from other chats', async () => {
+            const otherChat = await Chat.findOrCreateDirectChat(testUsers[0]._id, testUsers[2]._id);
+            const foreign = await otherChat.addMessage(testUsers[0]._id, 'Elsewhere');
+
+            const response = await getMessages({ before: foreign._id.toString() }).expect(400);
+            expect(response.body.error.code).toBe('VALIDATION_ERROR');
+        });
+
+        it('should reject malformed cursors', async () => {
+            await getMessages({ before: 'not-an-id' }).expect(400);
+        });
+
+        it('should open the history around a message', async () => {
+            const response = await getMessages({ around: messages[2]._id.toString(), limit: 4 }).expect(200);
+
+            expect(response.body.data.messages.map(m => m.content))
+                .toEqual(['Message 1', 'Message 2', 'Message 3', 'Message 4']);
+            expect(response.body.data.pagination.hasMore).toBe(false);
+            expect(response.body.data.pagination.hasNewer).toBe(true);
+        });
+
+        it('should not combine around with another cursor', async () => {
+            await getMessages({ around: messages[2]._id.toString(), before: messages[4]._id.toString() }).expect(400);
+        });
+
+        it('should deny access to non-participants', async () => {
+            await getMessages({}, authTokens.bob).expect(404);
+        });
+    });
+
+    describe('GET /api/chats/search', () => {
+        let johnAndJane;
+
+        beforeEach(async () => {
+            await Message.createIndexes();
+
+            johnAndJane = await Chat.findOrCreateDirectChat(testUsers[0]._id, testUsers[1]._id);
+            await johnAndJane.addMessage(testUsers[1]._id, 'Here is the React tutorial link');
+            await johnAndJane.addMessage(testUsers[0]._id, 'Thanks for sharing!');
+
+            const janeAndBob = await Chat.findOrCreateDirectChat(testUsers[1]._id, testUsers[2]._id);
+            await janeAndBob.addMessage(testUsers[2]._id, 'My private React notes');
+        });
+
+        const search = (query, token = authTokens.john) => request(app)
+            .get('/api/chats/search')
+            .query(query)
+            .set('Authorization', `Bearer ${token}`);
+
+        it('should only search chats the user takes part in', async () => {
+            const response = await search({ q: 'react' }).expect(200);
+
+            expect(response.body.data.results).toHaveLength(1);
+            const [result] = response.body.data.results;
+            expect(result.message.content).toBe('Here is the React tutorial link');
+            expect(result.message.sender.firstName).toBe('Jane');
+            expect(result.chat._id).toBe(johnAndJane._id.toString());
+            expect(result.chat.participants.map(p => p.firstName)).toEqual(['Jane']);
+            expect(result.highlight).toEqual({ field: 'content', snippet: 'Here is the React tutorial link' });
+            expect(response.body.data.pagination.total).toBe(1);
+        });
+
+        it('should skip deleted messages', async () => {
+            const [message] = await Message.find({ chat: johnAndJane._id, content: /React/ });
+            await request(app)
+                .delete(`/api/chats/${johnAndJane._id}/messages/${message._id}`)
+                .set('Authorization', `Bearer ${authTokens.jane}`)
+                .expect(200);
+
+            const response = await search({ q: 'react' }).expect(200);
+
+            expect(response.body.data.results).toHaveLength(0);
+        });
+
+        it('should require a query', async () => {
+            const response = await search({ q: '  ' }).expect(400);
+
+            expect(response.body.error.code).toBe('VALIDATION_ERROR');
+        });
+    });
+
     describe('POST /api/chats/:chatId/messages', () => {
         let testChat;
 
@@ -437,14 +558,106 @@ describe('Chat Integration Tests', () => {
         });
     });
 
+    describe('Chat attachments', () => {
+        const PNG = Buffer.from(
+            'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+            'base64'
+        );
+        let testChat;
+
+        beforeEach(async () => {
+            testChat = await Chat.findOrCreateDirectChat(testUsers[0]._id, testUsers[1]._id);
+        });
+
+        const sendImage = (token = authTokens.john) => request(app)
+            .post(`/api/chats/${testChat._id}/attachments`)
+            .set('Authorization', `Bearer ${token}`)
+            .field('content', 'Whiteboard from today')
+            .attach('attachment', PNG, { filename: 'board.png', contentType: 'image/png' });
+
+        it('should send an image with a caption', async () => {
+            const response = await sendImage().expect(201);
+
+            const { message } = response.body.data;
+            expect(message.messageType).toBe('image');
+            expect(message.content).toBe('Whiteboard from today');
+            expect(message.attachment).toEqual(expect.objectContaining({
+                fileName: 'board.png',
+                mimeType: 'image/png',
+                hasThumbnail: true,
+            }));
+            expect(message.attachment.key).toBeUndefined();
+        });
+
+        it('should send a document without a caption', async () => {
+            const response = await request(app)
+                .post(`/api/chats/${testChat._id}/attachments`)
+                .set('Authorization', `Bearer ${authTokens.john}`)
+                .attach('attachment', Buffer.from('notes'), { filename: 'notes.txt', contentType: 'text/plain' })
+                .expect(201);
+
+            expect(response.body.data.message.messageType).toBe('file');
+
+            const updatedChat = await Chat.findById(testChat._id);
+            expect(updatedChat.lastMessage.content).toBe('Sent a file: notes.txt');
+        });
+
+        it('should reject file types that cannot be shared', async () => {
+            const response = await request(app)
+                .post(`/api/chats/${testChat._id}/attachments`)
+                .set('Authorization', `Bearer ${authTokens.john}`)
+                .attach('attachment', Buffer.from('MZ'), { filename: 'setup.exe', contentType: 'application/x-msdownload' })
+                .expect(400);
+
+            expect(response.body.error.code).toBe('INVALID_FILE_TYPE');
+        });
+
+        it('should respect the chat sharing settings', async () => {
+            testChat.settings.allowImageSharing = false;
+            await testChat.save();
+
+            await sendImage().expect(403);
+        });
+
+        it('should let participants download the file', async () => {
+            const sent = await sendImage().expect(201);
+            const messageId = sent.body.data.message._id;
+
+            const response = await request(app)
+                .get(`/api/chats/${testChat._id}/messages/${messageId}/attachment`)
+                .query({ variant: 'thumbnail' })
+                .set('Authorization', `Bearer ${authTokens.jane}`)
+                .expect(200);
+
+            expect(response.headers['content-type']).toBe('image/png');
+            expect(Buffer.compare(response.body, PNG)).toBe(0);
+        });
+
+        it('should hide the file from non-participants', async () => {
+            const sent = await sendImage().expect(201);
+
+            await request(app)
+                .get(`/api/chats/${testChat._id}/messages/${sent.body.data.message._id}/attachment`)
+                .set('Authorization', `Bearer ${authTokens.bob}`)
+                .expect(404);
+        });
+
+        it('should not send image messages without an upload', async () => {
+            await request(app)
+                .post(`/api/chats/${testChat._id}/messages`)
+                .set('Authorization', `Bearer ${authTokens.john}`)
+                .send({ content: 'fake image', messageType: 'image' })
+                .expect(400);
+        });
+    });
+
     describe('DELETE /api/chats/:chatId/messages/:messageId', () => {
         let testChat;
         let testMessage;
 
         beforeEach(async () => {
             testChat = await Chat.findOrCreateDirectChat(testUsers[0]._id, testUsers[1]._id);
-            testMessage = testChat.addMessage(testUsers[0]._id, 'Message to be deleted');
-            await testChat.save();
+            testMessage = await testChat.addMessage(testUsers[0]._id, 'Message to be deleted');
         });
 
         it('should delete own message', async () => {
@@ -457,8 +670,7 @@ describe('Chat Integration Tests', () => {
             expect(response.body.data.message).toContain('deleted successfully');
 
             // Verify message is marked as deleted
-            const updatedChat = await Chat.findById(testChat._id);
-            const deletedMessage = updatedChat.messages.id(testMessage._id);
+            const deletedMessage = await Message.findById(testMessage._id);
             expect(deletedMessage.isDeleted).toBe(true);
             expect(deletedMessage.deletedAt).toBeDefined();
         });
@@ -484,6 +696,247 @@ describe('Chat Integration Tests', () => {
         });
     });
 
+    describe('PUT /api/chats/:chatId/messages/:messageId', () => {
+        let testChat;
+        let testMessage;
+
+        beforeEach(async () => {
+            testChat = await Chat.findOrCreateDirectChat(testUsers[0]._id, testUsers[1]._id);
+            testMessage = await testChat.addMessage(testUsers[0]._id, 'See you at 5');
+        });
+
+        const editMessage = (content, token = authTokens.john) => request(app)
+            .put(`/api/chats/${testChat._id}/messages/${testMessage._id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ content });
+
+        it('should edit own message', async () => {
+            const response = await editMessage('See you at 6').expect(200);
+
+            const { message } = response.body.data;
+            expect(message.content).toBe('See you at 6');
+            expect(message.editedAt).toBeDefined();
+            expect(message.editHistory).toEqual([
+                expect.objectContaining({ content: 'See you at 5' }),
+            ]);
+        });
+
+        it('should not allow editing other users messages', async () => {
+            const response = await editMessage('See you never', authTokens.jane).expect(403);
+
+            expect(response.body.error.message).toContain('only edit your own messages');
+        });
+
+        it('should refuse edits once the edit window has passed', async () => {
+            await Message.updateOne(
+                { _id: testMessage._id },
+                { $set: { createdAt: new Date(Date.now() - 24 * 60 * 60 * 1000) } },
+                { timestamps: false }
+            );
+
+            await editMessage('See you at 6').expect(403);
+        });
+
+        it('should require content for text messages', async () => {
+            await editMessage('   ').expect(400);
+        });
+    });
+
+    describe('Replies and reactions', () => {
+        let testChat;
+        let testMessage;
+
+        beforeEach(async () => {
+            testChat = await Chat.findOrCreateDirectChat(testUsers[0]._id, testUsers[1]._id);
+            testMessage = await testChat.addMessage(testUsers[0]._id, 'Can we move the session?');
+        });
+
+        it('should send a reply with a quoted preview', async () => {
+            const response = await request(app)
+                .post(`/api/chats/${testChat._id}/messages`)
+                .set('Authorization', `Bearer ${authTokens.jane}`)
+                .send({ content: 'Sure, Friday works', replyTo: testMessage._id.toString() })
+                .expect(201);
+
+            const { replyTo } = response.body.data.message;
+            expect(replyTo._id).toBe(testMessage._id.toString());
+            expect(replyTo.content).toBe('Can we move the session?');
+            expect(replyTo.sender.firstName).toBe('John');
+        });
+
+        it('should reject replies to unknown messages', async () => {
+            await request(app)
+                .post(`/api/chats/${testChat._id}/messages`)
+                .set('Authorization', `Bearer ${authTokens.jane}`)
+                .send({ content: 'Reply', replyTo: new mongoose.Types.ObjectId().toString() })
+                .expect(400);
+        });
+
+        it('should add and remove reactions', async () => {
+            const reactionsUrl = `/api/chats/${testChat._id}/messages/${testMessage._id}/reactions`;
+
+            await request(app)
+                .post(reactionsUrl)
+                .set('Authorization', `Bearer ${authTokens.john}`)
+                .send({ emoji: '👍' })
+                .expect(200);
+            const added = await request(app)
+                .post(reactionsUrl)
+                .set('Authorization', `Bearer ${authTokens.jane}`)
+                .send({ emoji: '👍' })
+                .expect(200);
+
+            expect(added.body.data.reactions).toEqual([
+                { emoji: '👍', count: 2, users: [testUsers[0]._id.toString(), testUsers[1]._id.toString()] },
+            ]);
+
+            const removed = await request(app)
+                .delete(`${reactionsUrl}/${encodeURIComponent('👍')}`)
+                .set('Authorization', `Bearer ${authTokens.jane}`)
+                .expect(200);
+
+            expect(removed.body.data.reactions).toEqual([
+                { emoji: '👍', count: 1, users: [testUsers[0]._id.toString()] },
+            ]);
+        });
+
+        it('should reject unsupported reactions', async () => {
+            await request(app)
+                .post(`/api/chats/${testChat._id}/messages/${testMessage._id}/reactions`)
+                .set('Authorization', `Bearer ${authTokens.jane}`)
+                .send({ emoji: 'lol' })
+                .expect(400);
+        });
+
+        it('should not let non-participants react', async () => {
+            await request(app)
+                .post(`/api/chats/${testChat._id}/messages/${testMessage._id}/reactions`)
+                .set('Authorization', `Bearer ${authTokens.bob}`)
+                .send({ emoji: '👍' })
+                .expect(404);
+        });
+    });
+
+    describe('Group chats', () => {
+        const createGroup = (token = authTokens.john, body = {}) => request(app)
+            .post('/api/chats/group')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: 'JavaScript Circle', skill: 'JavaScript', memberIds: [testUsers[1]._id], ...body });
+
+        const systemMessages = async (chatId) => (
+            await Message.find({ chat: chatId, messageType: 'system' }).sort({ createdAt: 1 })
+        ).map(message => message.content);
+
+        it('should create a group with the creator as owner', async () => {
+            const response = await createGroup().expect(201);
+
+            const { chat } = response.body.data;
+            expect(chat.chatType).toBe('group');
+            expect(chat.name).toBe('JavaScript Circle');
+            expect(chat.participants).toHaveLength(2);
+            expect(chat.participantStatus.find(s => s.user === testUsers[0]._id.toString()).role).toBe('owner');
+            expect(await systemMessages(chat._id)).toEqual(['John Doe created the group "JavaScript Circle"']);
+        });
+
+        it('should validate the group name and members', async () => {
+            await createGroup(authTokens.john, { name: '' }).expect(400);
+            await createGroup(authTokens.john, { memberIds: ['not-an-id'] }).expect(400);
+
+            const response = await createGroup(authTokens.john, { memberIds: [new mongoose.Types.ObjectId()] })
+                .expect(400);
+            expect(response.body.error.message).toBe('Some members could not be found');
+        });
+
+        it('should let admins add and remove members with system messages', async () => {
+            const { chat } = (await createGroup()).body.data;
+
+            await request(app)
+                .post(`/api/chats/${chat._id}/members`)
+                .set('Authorization', `Bearer ${authTokens.jane}`)
+                .send({ userIds: [testUsers[2]._id] })
+                .expect(403);
+
+            const added = await request(app)
+                .post(`/api/chats/${chat._id}/members`)
+                .set('Authorization', `Bearer ${authTokens.john}`)
+                .send({ userIds: [testUsers[2]._id] })
+                .expect(200);
+            expect(added.body.data.chat.participants).toHaveLength(3);
+
+            await request(app)
+                .delete(`/api/chats/${chat._id}/members/${testUsers[2]._id}`)
+                .set('Authorization', `Bearer ${authTokens.john}`)
+                .expect(200);
+
+            expect(await systemMessages(chat._id)).toEqual([
+                'John Doe created the group "JavaScript Circle"',
+                'John Doe added Bob Wilson',
+                'John Doe removed Bob Wilson',
+            ]);
+
+            // Removed members lose access to the chat
+            await request(app)
+                .get(`/api/chats/${chat._id}/messages`)
+                .set('Authorization', `Bearer ${authTokens.bob}`)
+                .expect(404);
+        });
+
+        it('should let the owner promote admins', async () => {
+            const { chat } = (await createGroup()).body.data;
+
+            await request(app)
+                .put(`/api/chats/${chat._id}/members/${testUsers[1]._id}/role`)
+                .set('Authorization', `Bearer ${authTokens.jane}`)
+                .send({ role: 'admin' })
+                .expect(403);
+
+            const response = await request(app)
+                .put(`/api/chats/${chat._id}/members/${testUsers[1]._id}/role`)
+                .set('Authorization', `Bearer ${authTokens.john}`)
+                .send({ role: 'admin' })
+                .expect(200);
+
+            const janeStatus = response.body.data.chat.participantStatus
+                .find(s => s.user === testUsers[1]._id.toString());
+            expect(janeStatus.role).toBe('admin');
+
+            // Admins can rename the group
+            await request(app)
+                .put(`/api/chats/${chat._id}/group`)
+                .set('Authorization', `Bearer ${authTokens.jane}`)
+                .send({ name: 'JS Study Group' })
+                .expect(200);
+            expect((await Chat.findById(chat._id)).name).toBe('JS Study Group');
+        });
+
+        it('should hand ownership over when the owner leaves', async () => {
+            const { chat } = (await createGroup()).body.data;
+
+            const response = await request(app)
+                .post(`/api/chats/${chat._id}/leave`)
+                .set('Authorization', `Bearer ${authTokens.john}`)
+                .expect(200);
+
+            expect(response.body.data.newOwner).toBe(testUsers[1]._id.toString());
+
+            const stored = await Chat.findById(chat._id);
+            expect(stored.isParticipant(testUsers[0]._id)).toBe(false);
+            expect(stored.getRole(testUsers[1]._id)).toBe('owner');
+            expect(await systemMessages(chat._id)).toContain('John Doe left the group');
+        });
+
+        it('should reject membership changes on direct chats', async () => {
+            const direct = await Chat.findOrCreateDirectChat(testUsers[0]._id, testUsers[1]._id);
+
+            const response = await request(app)
+                .post(`/api/chats/${direct._id}/leave`)
+                .set('Authorization', `Bearer ${authTokens.john}`)
+                .expect(400);
+
+            expect(response.body.error.message).toBe('Only group chats have members to manage');
+        });
+    });
+
     describe('PUT /api/chats/:chatId/archive', () => {
         let testChat;
 
@@ -516,6 +969,118 @@ describe('Chat Integration Tests', () => {
         });
     });
 
+    describe('PUT /api/chats/:chatId/mute', () => {
+        let testChat;
+
+        beforeEach(async () => {
+            testChat = await Chat.findOrCreateDirectChat(testUsers[0]._id, testUsers[1]._id);
+        });
+
+        it('should mute the chat for the current user only', async () => {
+            const response = await request(app)
+                .put(`/api/chats/${testChat._id}/mute`)
+                .set('Authorization', `Bearer ${authTokens.john}`)
+                .send({ muted: true })
+                .expect(200);
+
+            expect(response.body.data.isMuted).toBe(true);
+
+            const mutedChat = await Chat.findById(testChat._id);
+            expect(mutedChat.isMutedBy(testUsers[0]._id)).toBe(true);
+            expect(mutedChat.isMutedBy(testUsers[1]._id)).toBe(false);
+        });
+
+        it('should not notify a participant who muted the chat of new messages', async () => {
+            await testChat.setMuted(testUsers[1]._id, true);
+            const notify = jest.spyOn(socketService, 'sendToUser').mockReturnValue(true);
+
+            await request(app)
+                .post(`/api/chats/${testChat._id}/messages`)
+                .set('Authorization', `Bearer ${authTokens.john}`)
+                .send({ content: 'Are we still on for tomorrow?' })
+                .expect(201);
+
+            expect(notify).not.toHaveBeenCalledWith(
+                testUsers[1]._id.toString(), 'message_notification', expect.anything()
+            );
+
+            await request(app)
+                .post(`/api/chats/${testChat._id}/messages`)
+                .set('Authorization', `Bearer ${authTokens.jane}`)
+                .send({ content: 'Yes, see you then' })
+                .expect(201);
+
+            expect(notify).toHaveBeenCalledWith(
+                testUsers[0]._id.toString(), 'message_notification', expect.objectContaining({ chatId: testChat._id })
+            );
+            notify.mockRestore();
+        });
+
+        it('should require a boolean', async () => {
+            await request(app)
+                .put(`/api/chats/${testChat._id}/mute`)
+                .set('Authorization', `Bearer ${authTokens.john}`)
+                .send({ muted: 'sometimes' })
+                .expect(400);
+        });
+
+        it('should deny access to non-participants', async () => {
+            await request(app)
+                .put(`/api/chats/${testChat._id}/mute`)
+                .set('Authorization', `Bearer ${authTokens.bob}`)
+                .send({ muted: true })
+                .expect(404);
+        });
+    });
+
+    describe('Blocked users', () => {
+        beforeEach(async () => {
+            await User.updateOne({ _id: testUsers[1]._id }, { $addToSet: { blockedUsers: testUsers[0]._id } });
+        });
+
+        it('should not start a chat with someone who blocked you', async () => {
+            const response = await request(app)
+                .post('/api/chats/direct')
+                .set('Authorization', `Bearer ${authTokens.john}`)
+                .send({ otherUserId: testUsers[1]._id })
+                .expect(403);
+
+            expect(response.body.error.message).toBe('You cannot start a chat with this user');
+        });
+
+        it('should not send messages in an existing chat after a block', async () => {
+            await User.updateOne({ _id: testUsers[1]._id }, { $pull: { blockedUsers: testUsers[0]._id } });
+            const testChat = await Chat.findOrCreateDirectChat(testUsers[0]._id, testUsers[1]._id);
+            await User.updateOne({ _id: testUsers[0]._id }, { $addToSet: { blockedUsers: testUsers[1]._id } });
+
+            const response = await request(app)
+                .post(`/api/chats/${testChat._id}/messages`)
+                .set('Authorization', `Bearer ${authTokens.jane}`)
+                .send({ content: 'Hello?' })
+                .expect(403);
+
+            expect(response.body.error.message).toBe('You cannot send messages to this user');
+        });
+
+        it('should flag the chat as blocked for both participants', async () => {
+            await User.updateOne({ _id: testUsers[1]._id }, { $pull: { blockedUsers: testUsers[0]._id } });
+            const testChat = await Chat.findOrCreateDirectChat(testUsers[0]._id, testUsers[1]._id);
+            await User.updateOne({ _id: testUsers[1]._id }, { $addToSet: { blockedUsers: testUsers[0]._id } });
+
+            const johnView = await request(app)
+                .get(`/api/chats/${testChat._id}`)
+                .set('Authorization', `Bearer ${authTokens.john}`)
+                .expect(200);
+            const janeView = await request(app)
+                .get(`/api/chats/${testChat._id}`)
+                .set('Authorization', `Bearer ${authTokens.jane}`)
+                .expect(200);
+
+            expect(johnView.body.data.chat).toMatchObject({ isBlocked: true, blockedByMe: false });
+            expect(janeView.body.data.chat).toMatchObject({ isBlocked: true, blockedByMe: true });
+        });
+    });
+
     describe('GET /api/chats/session/:sessionId', () => {
         it('should get or create session chat', async () => {
             const response = await request(app)
@@ -580,7 +1145,7 @@ describe('Chat Integration Tests', () => {
 
         it('should add message correctly', async () => {
             const messageContent = 'Test message content';
-            const message = testChat.addMessage(testUsers[0]._id, messageContent);
+            const message = await testChat.addMessage(testUsers[0]._id, messageContent);
 
             expect(message.content).toBe(messageContent);
             expect(message.sender.toString()).toBe(testUsers[0]._id.toString());
@@ -590,37 +1155,36 @@ describe('Chat Integration Tests', () => {
 
         it('should mark messages as read', async () => {
             // Add messages from both users
-            testChat.addMessage(testUsers[0]._id, 'Message from John');
-            testChat.addMessage(testUsers[1]._id, 'Message from Jane');
-            await testChat.save();
+            await testChat.addMessage(testUsers[0]._id, 'Message from John');
+            const janeMessage = await testChat.addMessage(testUsers[1]._id, 'Message from Jane');
 
             // Mark as read for John
-            testChat.markAsRead(testUsers[0]._id);
+            await testChat.markAsRead(testUsers[0]._id);
 
             // Check that Jane's message is marked as read for John
-            const janeMessage = testChat.messages.find(
-                msg => msg.sender.toString() === testUsers[1]._id.toString()
-            );
-            expect(janeMessage.isRead).toBe(true);
-            expect(janeMessage.readAt).toBeDefined();
+            const storedMessage = await Message.findById(janeMessage._id);
+            expect(storedMessage.isRead).toBe(true);
+            expect(storedMessage.readAt).toBeDefined();
 
             // Check unread count is reset for John
-            const johnParticipant = testChat.participantStatus.find(
+            const updatedChat = await Chat.findById(testChat._id);
+            const johnParticipant = updatedChat.participantStatus.find(
                 p => p.user.toString() === testUsers[0]._id.toString()
             );
             expect(johnParticipant.unreadCount).toBe(0);
         });
 
         it('should set typing status', async () => {
-            testChat.setTypingStatus(testUsers[0]._id, true);
+            const johnStatus = async () => (await Chat.findById(testChat._id)).getParticipantStatus(testUsers[0]._id);
 
-            const johnParticipant = testChat.participantStatus.find(
-                p => p.user.toString() === testUsers[0]._id.toString()
-            );
+            await testChat.setTypingStatus(testUsers[0]._id, true);
+
+            let johnParticipant = await johnStatus();
             expect(johnParticipant.isTyping).toBe(true);
             expect(johnParticipant.typingAt).toBeDefined();
 
-            testChat.setTypingStatus(testUsers[0]._id, false);
+            await testChat.setTypingStatus(testUsers[0]._id, false);
+            johnParticipant = await johnStatus();
             expect(johnParticipant.isTyping).toBe(false);
             expect(johnParticipant.typingAt).toBeNull();
         });
@@ -631,22 +1195,19 @@ describe('Chat Integration Tests', () => {
         });
 
         it('should delete message correctly', async () => {
-            const message = testChat.addMessage(testUsers[0]._id, 'Message to delete');
-            await testChat.save();
+            const message = await testChat.addMessage(testUsers[0]._id, 'Message to delete');
 
-            testChat.deleteMessage(message._id, testUsers[0]._id);
+            const deletedMessage = await testChat.deleteMessage(message._id, testUsers[0]._id);
 
-            expect(message.isDeleted).toBe(true);
-            expect(message.deletedAt).toBeDefined();
+            expect(deletedMessage.isDeleted).toBe(true);
+            expect(deletedMessage.deletedAt).toBeDefined();
         });
 
         it('should prevent non-sender from deleting message', async () => {
-            const message = testChat.addMessage(testUsers[0]._id, 'Johns message');
-            await testChat.save();
+            const message = await testChat.addMessage(testUsers[0]._id, 'Johns message');
 
-            expect(() => {
-                testChat.deleteMessage(message._id, testUsers[1]._id);
-            }).toThrow('User can only delete their own messages');
+            await expect(testChat.deleteMessage(message._id, testUsers[1]._id))
+                .rejects.toThrow('User can only delete their own messages');
         });
     });
 });
\ No newline at end of file
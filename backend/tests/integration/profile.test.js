@@ -1,6 +1,8 @@
 const request = require('supertest');
 const { app } = require('../../src/server');
 const User = require('../../src/models/User');
+const Session = require('../../src/models/Session');
+const Notification = require('../../src/models/Notification');
 const { connectTestDB, clearTestDB, closeTestDB } = require('../helpers/testDb');
 const JWTUtils = require('../../src/utils/jwt');
 
@@ -371,4 +373,201 @@ describe('Profile Integration Tests', () => {
             expect(response.body.success).toBe(false);
         });
     });
-});
\ No newline at end of file
+    describe('GET /api/profile/export', () => {
+        it('should download the account data as JSON', async () => {
+            const response = await request(app)
+                .get('/api/profile/export')
+                .set('Authorization', `Bearer ${accessToken}`)
+                .expect(200);
+
+            expect(response.headers['content-disposition']).toMatch(/^attachment; filename=skillswap-data-/);
+            expect(response.body.format).toBe('skillswap-account-export');
+            expect(response.body.profile.email).toBe('john.doe@example.com');
+            expect(response.body.profile.password).toBeUndefined();
+            expect(response.body.reviews).toEqual({ written: [], received: [] });
+            expect(response.body.messages).toEqual([]);
+        });
+
+        it('should require authentication', async () => {
+            await request(app)
+                .get('/api/profile/export')
+                .expect(401);
+        });
+    });
+
+    describe('Blocked users', () => {
+        let otherUser;
+
+        beforeEach(async () => {
+            otherUser = await User.create({
+                firstName: 'Jane',
+                lastName: 'Smith',
+                email: 'jane.smith@example.com',
+                password: 'SecurePassword123!',
+                isEmailVerified: true,
+            });
+        });
+
+        it('should block, list and unblock a user', async () => {
+            await request(app)
+                .post(`/api/profile/blocked/${otherUser._id}`)
+                .set('Authorization', `Bearer ${accessToken}`)
+                .expect(200);
+
+            const listed = await request(app)
+                .get('/api/profile/blocked')
+                .set('Authorization', `Bearer ${accessToken}`)
+                .expect(200);
+            expect(listed.body.data.blockedUsers).toHaveLength(1);
+            expect(listed.body.data.blockedUsers[0]).toMatchObject({ firstName: 'Jane', lastName: 'Smith' });
+            expect(listed.body.data.blockedUsers[0].email).toBeUndefined();
+
+            await request(app)
+                .delete(`/api/profile/blocked/${otherUser._id}`)
+                .set('Authorization', `Bearer ${accessToken}`)
+                .expect(200);
+
+            expect(await User.isBlockedBetween(testUser._id, otherUser._id)).toBe(false);
+        });
+
+        it('should not block yourself', async () => {
+            const response = await request(app)
+                .post(`/api/profile/blocked/${testUser._id}`)
+                .set('Authorization', `Bearer ${accessToken}`)
+                .expect(400);
+
+            expect(response.body.error.message).toBe('You cannot block yourself');
+        });
+
+        it('should require authentication', async () => {
+            await request(app)
+                .post(`/api/profile/blocked/${otherUser._id}`)
+                .expect(401);
+        });
+    });
+
+    describe('Skill endorsements', () => {
+        let otherUser;
+        let skillId;
+
+        const endorseUrl = () => `/api/profile/${otherUser._id}/skills/${skillId}/endorse`;
+
+        const completeSession = () => Session.create({
+            requester: testUser._id,
+            provider: otherUser._id,
+            skill: { name: 'Python', category: 'Programming', level: 'beginner' },
+            scheduledDate: new Date(Date.now() - 2 * 60 * 60 * 1000),
+            duration: 60,
+            sessionType: 'online',
+            status: 'completed',
+            completedAt: new Date(Date.now() - 60 * 60 * 1000),
+        });
+
+        beforeEach(async () => {
+            otherUser = await User.create({
+                firstName: 'Jane',
+                lastName: 'Smith',
+                email: 'jane.smith@example.com',
+                password: 'SecurePassword123!',
+                isEmailVerified: true,
+                skills: [{ name: 'Python', level: 'expert', category: 'Programming' }],
+            });
+            skillId = otherUser.skills[0]._id;
+        });
+
+        it('should endorse a skill after a completed session and notify its owner', async () => {
+            await completeSession();
+
+            await request(app)
+                .post(endorseUrl())
+                .set('Authorization', `Bearer ${accessToken}`)
+                .expect(201);
+
+            const endorsee = await User.findById(otherUser._id);
+            expect(endorsee.skills[0].reputation).toMatchObject({ sessionCount: 1, endorsementCount: 1 });
+
+            const notification = await Notification.findOne({ recipient: otherUser._id, type: 'skill_endorsed' });
+            expect(notification.message).toBe('John endorsed your Python skill.');
+
+            const profile = await request(app)
+                .get(`/api/profile/${otherUser._id}`)
+                .set('Authorization', `Bearer ${accessToken}`)
+                .expect(200);
+            expect(profile.body.data.profile.endorsedSkillIds).toEqual([skillId.toString()]);
+        });
+
+        it('should only count one endorsement per skill and allow withdrawing it', async () => {
+            await completeSession();
+            await request(app).post(endorseUrl()).set('Authorization', `Bearer ${accessToken}`).expect(201);
+
+            await request(app)
+                .post(endorseUrl())
+                .set('Authorization', `Bearer ${accessToken}`)
+                .expect(409);
+
+            await request(app)
+                .delete(endorseUrl())
+                .set('Authorization', `Bearer ${accessToken}`)
+                .expect(200);
+
+            const endorsee = await User.findById(otherUser._id);
+            expect(endorsee.skills[0].reputation.endorsementCount).toBe(0);
+        });
+
+        it('should require a completed session together', async () => {
+            const response = await request(app)
+                .post(endorseUrl())
+                .set('Authorization', `Bearer ${accessToken}`)
+                .expect(403);
+
+            expect(response.body.error.message).toBe('You can only endorse people you have completed a session with');
+        });
+    });
+
+    describe('DELETE /api/profile', () => {
+        it('should schedule the deletion and deactivate the account', async () => {
+            const response = await request(app)
+                .delete('/api/profile')
+                .set('Authorization', `Bearer ${accessToken}`)
+                .send({ password: 'SecurePassword123!' })
+                .expect(200);
+
+            expect(response.body.success).toBe(true);
+            expect(new Date(response.body.data.scheduledFor).getTime()).toBeGreaterThan(Date.now());
+
+            const user = await User.findById(testUser._id);
+            expect(user.status).toBe('deactivated');
+            expect(user.isPendingDeletion).toBe(true);
+        });
+
+        it('should cancel the deletion when the user signs in again', async () => {
+            await request(app)
+                .delete('/api/profile')
+                .set('Authorization', `Bearer ${accessToken}`)
+                .send({ password: 'SecurePassword123!' })
+                .expect(200);
+
+            const response = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'john.doe@example.com', password: 'SecurePassword123!' })
+                .expect(200);
+
+            expect(response.body.data.deletionCancelled).toBe(true);
+
+            const user = await User.findById(testUser._id);
+            expect(user.status).toBe('active');
+            expect(user.isPendingDeletion).toBe(false);
+        });
+
+        it('should reject a wrong password', async () => {
+            await request(app)
+                .delete('/api/profile')
+                .set('Authorization', `Bearer ${accessToken}`)
+                .send({ password: 'WrongPassword123!' })
+                .expect(401);
+
+            const user = await User.findById(testUser._id);
+            expect(user.status).toBe('active');
+        });
+    });
+});
@@ -121,6 +121,32 @@ describe('Review Integration Tests', () => {
             expect(response.body.data.reviewType).toBe('learning');
         });
 
+        it('should hide reviews sharing contact details until an admin reviews them', async () => {
+            const response = await request(app)
+                .post('/api/reviews')
+                .set('Authorization', `Bearer ${authTokens.john}`)
+                .send({
+                    sessionId: completedSession._id.toString(),
+                    revieweeId: testUsers[1]._id.toString(),
+                    rating: 5,
+                    comment: 'Great lessons, reach her at jane.tutor@example.com',
+                    reviewType: 'learning'
+                })
+                .expect(201);
+
+            expect(response.body.data.status).toBe('hidden');
+            expect(response.body.data.isFlagged).toBe(true);
+            expect(response.body.data.moderation.autoActions[0]).toMatchObject({
+                rule: 'personal_info',
+                action: 'hide',
+                trigger: 'submit',
+                explanation: 'Contains an email address'
+            });
+
+            const reviewee = await User.findById(testUsers[1]._id);
+            expect(reviewee.rating.count).toBe(0);
+        });
+
         it('should prevent duplicate reviews for the same session', async () => {
             // Submit first review
             const reviewData = {
@@ -359,6 +385,115 @@ describe('Review Integration Tests', () => {
         });
     });
 
+    describe('PUT /api/reviews/:reviewId', () => {
+        let testReview;
+
+        beforeEach(async () => {
+            testReview = new Review({
+                reviewer: testUsers[0]._id,
+                reviewee: testUsers[1]._id,
+                session: completedSession._id,
+                rating: 2,
+                comment: 'The session started late.',
+                skillReviewed: { name: 'Python', category: 'Programming' },
+                reviewType: 'learning'
+            });
+            await testReview.save();
+        });
+
+        it('should let the author edit the review and recalculate the rating', async () => {
+            const response = await request(app)
+                .put(`/api/reviews/${testReview._id}`)
+                .set('Authorization', `Bearer ${authTokens.john}`)
+                .send({ rating: 4, comment: 'Started late, but we made up for it.' })
+                .expect(200);
+
+            expect(response.body.data.rating).toBe(4);
+            expect(response.body.data.editedAt).toBeDefined();
+            expect(response.body.data.editHistory).toEqual([
+                expect.objectContaining({ rating: 2, comment: 'The session started late.' })
+            ]);
+
+            const reviewee = await User.findById(testUsers[1]._id);
+            expect(reviewee.rating.average).toBe(4);
+            expect(reviewee.rating.count).toBe(1);
+        });
+
+        it('should hide earlier versions from the public review list', async () => {
+            await request(app)
+                .put(`/api/reviews/${testReview._id}`)
+                .set('Authorization', `Bearer ${authTokens.john}`)
+                .send({ rating: 4 })
+                .expect(200);
+
+            const response = await request(app)
+                .get(`/api/reviews/user/${testUsers[1]._id}`)
+                .set('Authorization', `Bearer ${authTokens.jane}`)
+                .expect(200);
+
+            expect(response.body.data.reviews[0].editedAt).toBeDefined();
+            expect(response.body.data.reviews[0].editHistory).toBeUndefined();
+        });
+
+        it('should only show earlier versions of a single review to admins', async () => {
+            await request(app)
+                .put(`/api/reviews/${testReview._id}`)
+                .set('Authorization', `Bearer ${authTokens.john}`)
+                .send({ rating: 4 })
+                .expect(200);
+
+            const response = await request(app)
+                .get(`/api/reviews/${testReview._id}`)
+                .set('Authorization', `Bearer ${authTokens.jane}`)
+                .expect(200);
+
+            expect(response.body.data.editedAt).toBeDefined();
+            expect(response.body.data.editHistory).toBeUndefined();
+
+            const reply = await request(app)
+                .post(`/api/reviews/${testReview._id}/response`)
+                .set('Authorization', `Bearer ${authTokens.jane}`)
+                .send({ comment: 'Thanks for the kind words!' })
+                .expect(200);
+            expect(reply.body.data.editHistory).toBeUndefined();
+
+            const adminView = await request(app)
+                .get(`/api/reviews/${testReview._id}`)
+                .set('Authorization', `Bearer ${authTokens.admin}`)
+                .expect(200);
+            expect(adminView.body.data.editHistory).toHaveLength(1);
+        });
+
+        it('should refuse edits from other users', async () => {
+            await request(app)
+                .put(`/api/reviews/${testReview._id}`)
+                .set('Authorization', `Bearer ${authTokens.jane}`)
+                .send({ rating: 1 })
+                .expect(403);
+        });
+
+        it('should refuse edits after the edit window', async () => {
+            await Review.collection.updateOne(
+                { _id: testReview._id },
+                { $set: { createdAt: new Date(Date.now() - 72 * 60 * 60 * 1000) } }
+            );
+
+            await request(app)
+                .put(`/api/reviews/${testReview._id}`)
+                .set('Authorization', `Bearer ${authTokens.john}`)
+                .send({ rating: 5 })
+                .expect(403);
+        });
+
+        it('should require a rating or a comment', async () => {
+            await request(app)
+                .put(`/api/reviews/${testReview._id}`)
+                .set('Authorization', `Bearer ${authTokens.john}`)
+                .send({})
+                .expect(400);
+        });
+    });
+
     describe('POST /api/reviews/:reviewId/flag', () => {
         let testReview;
 
@@ -579,7 +714,8 @@ describe('Review Integration Tests', () => {
                 comment: 'This is inappropriate content that should be flagged',
                 skillReviewed: { name: 'Python', category: 'Programming' },
                 reviewType: 'learning',
-                status: 'flagged'
+                status: 'hidden',
+                isFlagged: true
             });
             await flaggedReview.save();
         });
@@ -593,7 +729,48 @@ describe('Review Integration Tests', () => {
 
                 expect(response.body.success).toBe(true);
                 expect(response.body.data.reviews).toHaveLength(1);
-                expect(response.body.data.reviews[0].status).toBe('flagged');
+                expect(response.body.data.reviews[0].isFlagged).toBe(true);
+                expect(response.body.data.pagination.totalCount).toBe(1);
+            });
+
+            it('should queue reviews hidden by the automatic rules and drop them once approved', async () => {
+                const hidden = await Review.create({
+                    reviewer: testUsers[1]._id,
+                    reviewee: testUsers[0]._id,
+                    session: completedSession._id,
+                    rating: 5,
+                    comment: 'Call me on +1 (555) 123-4567 to book more lessons',
+                    skillReviewed: { name: 'Python', category: 'Programming' },
+                    reviewType: 'teaching',
+                    status: 'hidden',
+                    isFlagged: true
+                });
+
+                const queue = await request(app)
+                    .get('/api/reviews/moderation')
+                    .set('Authorization', `Bearer ${authTokens.admin}`)
+                    .expect(200);
+                expect(queue.body.data.reviews.map(review => review._id)).toEqual(
+                    expect.arrayContaining([hidden._id.toString(), flaggedReview._id.toString()])
+                );
+
+                await request(app)
+                    .put(`/api/reviews/${flaggedReview._id}/moderate`)
+                    .set('Authorization', `Bearer ${authTokens.admin}`)
+                    .send({ action: 'approve' })
+                    .expect(200);
+
+                const after = await request(app)
+                    .get('/api/reviews/moderation')
+                    .set('Authorization', `Bearer ${authTokens.admin}`)
+                    .expect(200);
+                expect(after.body.data.reviews.map(review => review._id)).toEqual([hidden._id.toString()]);
+
+                const hiddenOnly = await request(app)
+                    .get('/api/reviews/moderation?status=hidden')
+                    .set('Authorization', `Bearer ${authTokens.admin}`)
+                    .expect(200);
+                expect(hiddenOnly.body.data.reviews.map(review => review._id)).toEqual([hidden._id.toString()]);
             });
 
             it('should deny access to non-admin users', async () => {
@@ -622,6 +799,46 @@ describe('Review Integration Tests', () => {
                 expect(response.body.success).toBe(true);
                 expect(response.body.data.status).toBe('active');
                 expect(response.body.data.moderation.moderationNotes).toBe(moderationData.notes);
+
+                // The restored review counts towards the reviewee's rating again
+                const reviewee = await User.findById(testUsers[1]._id);
+                expect(reviewee.rating.average).toBe(1);
+                expect(reviewee.rating.count).toBe(1);
+            });
+
+            it('should show admins every earlier version of an edited review', async () => {
+                flaggedReview.status = 'active';
+                await flaggedReview.save();
+                await request(app)
+                    .put(`/api/reviews/${flaggedReview._id}`)
+                    .set('Authorization', `Bearer ${authTokens.john}`)
+                    .send({ comment: 'Edited to remove the inappropriate part' })
+                    .expect(200);
+
+                const response = await request(app)
+                    .put(`/api/reviews/${flaggedReview._id}/moderate`)
+                    .set('Authorization', `Bearer ${authTokens.admin}`)
+                    .send({ action: 'approve' })
+                    .expect(200);
+
+                expect(response.body.data.editHistory).toEqual([
+                    expect.objectContaining({ comment: 'This is inappropriate content that should be flagged' })
+                ]);
+            });
+
+            it('should take hidden reviews out of the reviewee rating', async () => {
+                flaggedReview.status = 'active';
+                await flaggedReview.save();
+
+                await request(app)
+                    .put(`/api/reviews/${flaggedReview._id}/moderate`)
+                    .set('Authorization', `Bearer ${authTokens.admin}`)
+                    .send({ action: 'hide' })
+                    .expect(200);
+
+                const reviewee = await User.findById(testUsers[1]._id);
+                expect(reviewee.rating.average).toBe(0);
+                expect(reviewee.rating.count).toBe(0);
             });
 
             it('should deny access to non-admin users', async () => {
@@ -51,6 +51,7 @@ describe('Search Integration Tests', () => {
                 password: 'Password123!',
                 isEmailVerified: true,
                 status: 'active',
+                bio: 'Data scientist who loves teaching statistics to beginners',
                 skills: [
                     { name: 'Python', level: 'expert', category: 'Programming' },
                     { name: 'Machine Learning', level: 'advanced', category: 'Data Science' }
@@ -149,6 +150,25 @@ describe('Search Integration Tests', () => {
             )).toBe(true);
         });
 
+        it('should hide users on either side of a block from signed-in searches', async () => {
+            // Bob blocks John, so John no longer finds Bob (and Bob would not find John)
+            await User.updateOne({ _id: testUsers[2]._id }, { $addToSet: { blockedUsers: testUsers[0]._id } });
+
+            const signedIn = await request(app)
+                .get('/api/search/users')
+                .set('Authorization', `Bearer ${authToken}`)
+                .query({ skill: 'JavaScript' })
+                .expect(200);
+            const anonymous = await request(app)
+                .get('/api/search/users')
+                .query({ skill: 'JavaScript' })
+                .expect(200);
+
+            expect(signedIn.body.data.users.map(user => user.firstName)).toEqual(['John']);
+            expect(anonymous.body.data.users).toHaveLength(2);
+            expect(anonymous.body.data.users[0].blockedUsers).toBeUndefined();
+        });
+
         it('should filter users by skill level', async () => {
             const response = await request(app)
                 .get('/api/search/users')
@@ -219,9 +239,10 @@ describe('Search Integration Tests', () => {
             expect(response.body.data.pagination.totalCount).toBeGreaterThan(2);
         });
 
-        it('should sort users by rating descending by default', async () => {
+        it('should sort users by rating descending when specified', async () => {
             const response = await request(app)
                 .get('/api/search/users')
+                .query({ sortBy: 'rating.average' })
                 .expect(200);
 
             expect(response.body.success).toBe(true);
@@ -254,6 +275,158 @@ describe('Search Integration Tests', () => {
             expect(response.body.data.users.find(user => user.firstName === 'Charlie')).toBeUndefined();
         });
 
+        // Fields hidden with `select: false` that the aggregation orders must not return either
+        const PRIVATE_FIELDS = [
+            'password', 'twoFactor.secret', 'twoFactor.pendingSecret', 'twoFactor.backupCodes',
+            'calendarFeed.tokenHash', 'blockedUsers', 'emailChange', 'passwordChangedAt',
+            'passwordResetToken', 'passwordResetExpires', 'emailVerificationExpires', 'loginAttempts'
+        ];
+
+        const storePrivateFields = (email) => User.updateOne({ email }, {
+            $set: {
+                'twoFactor.secret': 'TOTPSECRET',
+                'twoFactor.pendingSecret': 'PENDINGSECRET',
+                'twoFactor.backupCodes': ['backup-code-hash'],
+                'calendarFeed.tokenHash': 'feed-token-hash',
+                blockedUsers: [new mongoose.Types.ObjectId()],
+                emailChange: { newEmail: 'new@example.com', otp: { code: 'otp-hash', expires: new Date() } },
+                passwordChangedAt: new Date(),
+                passwordResetToken: 'reset-token-hash',
+                passwordResetExpires: new Date(),
+                emailVerificationExpires: new Date(),
+                loginAttempts: 2
+            }
+        });
+
+        const expectNoPrivateFields = (users) => {
+            expect(users.length).toBeGreaterThan(0);
+            users.forEach(user => {
+                PRIVATE_FIELDS.forEach(field => {
+                    expect(field.split('.').reduce((value, key) => value?.[key], user)).toBeUndefined();
+                });
+            });
+        };
+
+        it('should not return private fields when ranking by skill reputation', async () => {
+            await storePrivateFields('john@example.com');
+            await storePrivateFields('bob@example.com');
+
+            const response = await request(app)
+                .get('/api/search/users')
+                .query({ skill: 'javascript', sortBy: 'skillReputation' })
+                .expect(200);
+
+            expectNoPrivateFields(response.body.data.users);
+        });
+
+        it('should rank a skill search by the reputation of that skill', async () => {
+            await User.updateOne(
+                { email: 'bob@example.com', 'skills.name': 'JavaScript' },
+                { $set: { 'skills.$.reputation': { rating: 4.9, ratingCount: 6, sessionCount: 9, endorsementCount: 3 } } }
+            );
+
+            const response = await request(app)
+                .get('/api/search/users')
+                .query({ skill: 'javascript', sortBy: 'skillReputation' })
+                .expect(200);
+
+            expect(response.body.data.filters.sortBy).toBe('skillReputation');
+            // Bob's overall rating is lower, but his JavaScript is better reviewed
+            expect(response.body.data.users.map(user => user.firstName)).toEqual(['Bob', 'John']);
+            expect(response.body.data.users[0].skills[0].reputation).toEqual(
+                expect.objectContaining({ rating: 4.9, endorsementCount: 3 })
+            );
+            expect(response.body.data.users[0].password).toBeUndefined();
+        });
+
+        describe('best match ranking', () => {
+            const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+            beforeEach(async () => {
+                const baker = (firstName, fields) => ({
+                    firstName,
+                    lastName: 'Baker',
+                    email: `${firstName.toLowerCase()}.baker@example.com`,
+                    password: 'Password123!',
+                    isEmailVerified: true,
+                    status: 'active',
+                    skills: [{ name: 'Sourdough', level: 'expert', category: 'Cooking' }],
+                    ...fields
+                });
+
+                await User.create([
+                    // One 5-star review, signed up today
+                    baker('Newcomer', {
+                        rating: { average: 5, count: 1 },
+                        lastLogin: new Date()
+                    }),
+                    // Long track record, active this week, answers almost every request
+                    baker('Veteran', {
+                        rating: { average: 4.8, count: 200 },
+                        lastLogin: daysAgo(2),
+                        sessionStats: { completed: 150, lastCompletedAt: daysAgo(5), requestsAnswered: 95, requestsMissed: 5, responseRate: 95 }
+                    }),
+                    // Same record and activity, but lets most requests expire
+                    baker('Unresponsive', {
+                        rating: { average: 4.8, count: 200 },
+                        lastLogin: daysAgo(2),
+                        sessionStats: { completed: 150, lastCompletedAt: daysAgo(5), requestsAnswered: 5, requestsMissed: 60, responseRate: 8 }
+                    }),
+                    // Great reviews, but gone for more than a year
+                    baker('Dormant', {
+                        rating: { average: 4.9, count: 40 },
+                        lastLogin: daysAgo(400),
+                        sessionStats: { completed: 30, lastCompletedAt: daysAgo(400), requestsAnswered: 30, requestsMissed: 0, responseRate: 100 }
+                    })
+                ]);
+            });
+
+            it('should rank by the blended score by default', async () => {
+                const response = await request(app)
+                    .get('/api/search/users')
+                    .query({ skill: 'sourdough' })
+                    .expect(200);
+
+                expect(response.body.data.filters.sortBy).toBe('best');
+                expect(response.body.data.users.map(user => user.firstName))
+                    .toEqual(['Veteran', 'Unresponsive', 'Dormant', 'Newcomer']);
+                expect(response.body.data.users[0].rankingScore).toBeUndefined();
+            });
+
+            it('should not return private fields in the default order', async () => {
+                await storePrivateFields('veteran.baker@example.com');
+                await storePrivateFields('john@example.com');
+
+                const [skillSearch, browse] = await Promise.all([
+                    request(app).get('/api/search/users').query({ skill: 'sourdough' }).expect(200),
+                    request(app).get('/api/search/users').expect(200)
+                ]);
+
+                expect(browse.body.data.filters.sortBy).toBe('best');
+                expectNoPrivateFields(skillSearch.body.data.users);
+                expectNoPrivateFields(browse.body.data.users);
+            });
+
+            it('should still sort by the raw average when asked to', async () => {
+                const response = await request(app)
+                    .get('/api/search/users')
+                    .query({ skill: 'sourdough', sortBy: 'rating.average' })
+                    .expect(200);
+
+                expect(response.body.data.users[0].firstName).toBe('Newcomer');
+            });
+
+            it('should paginate the ranked results', async () => {
+                const response = await request(app)
+                    .get('/api/search/users')
+                    .query({ skill: 'sourdough', page: 2, limit: 2 })
+                    .expect(200);
+
+                expect(response.body.data.users.map(user => user.firstName)).toEqual(['Dormant', 'Newcomer']);
+                expect(response.body.data.pagination.totalCount).toBe(4);
+            });
+        });
+
         it('should return empty results for non-existent skill', async () => {
             const response = await request(app)
                 .get('/api/search/users')
@@ -264,6 +437,59 @@ describe('Search Integration Tests', () => {
             expect(response.body.data.users).toHaveLength(0);
         });
 
+        describe('full-text search', () => {
+            beforeEach(async () => {
+                await User.createIndexes();
+            });
+
+            it('should rank users matching more query terms first', async () => {
+                const response = await request(app)
+                    .get('/api/search/users')
+                    .query({ q: 'javascript react' })
+                    .expect(200);
+
+                expect(response.body.success).toBe(true);
+                expect(response.body.data.filters.sortBy).toBe('relevance');
+                expect(response.body.data.filters.terms).toEqual(['javascript', 'react']);
+                expect(response.body.data.users.map(user => user.firstName)).toEqual(['John', 'Bob']);
+                expect(response.body.data.users[0].highlight).toEqual(
+                    expect.objectContaining({ field: 'skills.name', skill: 'JavaScript' })
+                );
+            });
+
+            it('should match and highlight words in the bio', async () => {
+                const response = await request(app)
+                    .get('/api/search/users')
+                    .query({ q: 'statistics' })
+                    .expect(200);
+
+                expect(response.body.data.users).toHaveLength(1);
+                expect(response.body.data.users[0].highlight).toEqual({
+                    field: 'bio',
+                    snippet: 'Data scientist who loves teaching statistics to beginners'
+                });
+            });
+
+            it('should treat special characters in the query as plain text', async () => {
+                const response = await request(app)
+                    .get('/api/search/users')
+                    .query({ q: '"node.js" -(a|b) .*' })
+                    .expect(200);
+
+                expect(response.body.success).toBe(true);
+                expect(response.body.data.users.map(user => user.firstName)).toEqual(['Bob']);
+            });
+
+            it('should not interpret regex syntax in the skill filter', async () => {
+                const response = await request(app)
+                    .get('/api/search/users')
+                    .query({ skill: '.*' })
+                    .expect(200);
+
+                expect(response.body.data.users).toHaveLength(0);
+            });
+        });
+
         it('should validate invalid location format', async () => {
             const response = await request(app)
                 .get('/api/search/users')
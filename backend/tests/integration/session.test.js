@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const { app } = require('../../src/server');
 const User = require('../../src/models/User');
 const Session = require('../../src/models/Session');
+const Review = require('../../src/models/Review');
 const { connectTestDB, clearTestDB, closeTestDB } = require('../helpers/testDb');
 const JWTUtils = require('../../src/utils/jwt');
 
@@ -398,7 +399,7 @@ describe('Session Integration Tests', () => {
                 .expect(400);
 
             expect(response.body.success).toBe(false);
-            expect(response.body.message).toContain('Cannot respond to a accepted session');
+            expect(response.body.message).toContain('Cannot respond to an accepted session');
         });
     });
 
@@ -582,6 +583,30 @@ describe('Session Integration Tests', () => {
             expect(response.body.data.reviews[0].rating).toBe(5);
         });
 
+        it('should store feedback as a review of the other participant', async () => {
+            await request(app)
+                .post(`/api/sessions/${testSession._id}/feedback`)
+                .set('Authorization', `Bearer ${authTokens.john}`)
+                .send({ rating: 4, comment: 'Clear explanations throughout.' })
+                .expect(200);
+
+            const review = await Review.findOne({ session: testSession._id });
+            expect(review.reviewer.toString()).toBe(testUsers[0]._id.toString());
+            expect(review.reviewee.toString()).toBe(testUsers[1]._id.toString());
+            expect(review.reviewType).toBe('learning');
+
+            const provider = await User.findById(testUsers[1]._id);
+            expect(provider.rating.average).toBe(4);
+            expect(provider.rating.count).toBe(1);
+
+            // Feedback and reviews share the one review per session limit
+            await request(app)
+                .post(`/api/sessions/${testSession._id}/feedback`)
+                .set('Authorization', `Bearer ${authTokens.john}`)
+                .send({ rating: 1, comment: 'Changed my mind about it.' })
+                .expect(409);
+        });
+
         it('should not allow feedback for non-completed sessions', async () => {
             testSession.status = 'accepted';
             await testSession.save();
@@ -0,0 +1,180 @@
+jest.mock('../../src/models/Session', () => ({
+    find: jest.fn(),
+    updateOne: jest.fn(),
+}));
+jest.mock('../../src/services/notificationService', () => ({
+    createSessionNotification: jest.fn().mockResolvedValue({}),
+}));
+
+const Session = require('../../src/models/Session');
+const NotificationService = require('../../src/services/notificationService');
+const {
+    SessionReminderScheduler,
+    formatTimeUntil,
+    formatLocalStartTime,
+} = require('../../src/jobs/sessionReminderScheduler');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('SessionReminderScheduler', () => {
+    const startOfTest = new Date('2026-03-10T12:00:00Z');
+    let scheduler;
+    let sessions;
+
+    const buildSession = (overrides = {}) => ({
+        _id: 'session1',
+        status: 'accepted',
+        scheduledDate: new Date(startOfTest.getTime() + 30 * HOUR),
+        timezone: 'UTC',
+        skill: { name: 'JavaScript' },
+        requester: {
+            _id: 'requester1',
+            firstName: 'John',
+            availability: { timezone: 'America/New_York' },
+            preferences: { sessionReminders: true },
+        },
+        provider: {
+            _id: 'provider1',
+            firstName: 'Jane',
+            availability: { timezone: 'Asia/Kolkata' },
+            preferences: { sessionReminders: true },
+        },
+        remindersSent: { requester: false, provider: false, history: [] },
+        ...overrides,
+    });
+
+    // Emulate the conditional $push so repeated runs see what earlier runs claimed
+    const applyClaim = (filter, update) => {
+        const session = sessions.find(s => s._id === filter._id);
+        const entry = update.$push['remindersSent.history'];
+        const taken = session.remindersSent.history.some(h =>
+            h.role === entry.role && h.windowMinutes <= entry.windowMinutes
+        );
+        if (taken) {
+            return { modifiedCount: 0 };
+        }
+
+        session.remindersSent.history.push(entry);
+        Object.entries(update.$set || {}).forEach(([path, value]) => {
+            session.remindersSent[path.split('.')[1]] = value;
+        });
+        return { modifiedCount: 1 };
+    };
+
+    const runAt = (date) => {
+        jest.setSystemTime(date);
+        return scheduler.sendDueReminders();
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(startOfTest);
+        jest.clearAllMocks();
+
+        scheduler = new SessionReminderScheduler({ windows: [60, 1440] });
+        sessions = [buildSession()];
+
+        Session.find.mockImplementation(() => ({
+            populate: jest.fn().mockResolvedValue(sessions),
+        }));
+        Session.updateOne.mockImplementation(async (filter, update) => applyClaim(filter, update));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('should only look at accepted sessions inside the largest window', async () => {
+        await scheduler.sendDueReminders();
+
+        const [query] = Session.find.mock.calls[0];
+        expect(query.status).toBe('accepted');
+        expect(query.scheduledDate.$lte).toEqual(new Date(startOfTest.getTime() + 24 * HOUR));
+    });
+
+    it('should send nothing before the first window opens', async () => {
+        const result = await scheduler.sendDueReminders();
+
+        expect(result.sent).toBe(0);
+        expect(NotificationService.createSessionNotification).not.toHaveBeenCalled();
+    });
+
+    it('should send a 24h and a 1h reminder to each participant exactly once', async () => {
+        // Enters the 24h window
+        await runAt(new Date(startOfTest.getTime() + 7 * HOUR));
+        expect(NotificationService.createSessionNotification).toHaveBeenCalledTimes(2);
+
+        // Still inside the 24h window, nothing new
+        await runAt(new Date(startOfTest.getTime() + 12 * HOUR));
+        expect(NotificationService.createSessionNotification).toHaveBeenCalledTimes(2);
+
+        // Enters the 1h window
+        await runAt(new Date(startOfTest.getTime() + 29.5 * HOUR));
+        expect(NotificationService.createSessionNotification).toHaveBeenCalledTimes(4);
+
+        // Subsequent runs never repeat
+        await runAt(new Date(startOfTest.getTime() + 29.9 * HOUR));
+        expect(NotificationService.createSessionNotification).toHaveBeenCalledTimes(4);
+
+        expect(sessions[0].remindersSent).toMatchObject({ requester: true, provider: true });
+        expect(sessions[0].remindersSent.history.map(h => `${h.role}:${h.windowMinutes}`)).toEqual([
+            'requester:1440',
+            'provider:1440',
+            'requester:60',
+            'provider:60',
+        ]);
+    });
+
+    it('should send a single reminder for a session booked inside the smallest window', async () => {
+        sessions = [buildSession({ scheduledDate: new Date(startOfTest.getTime() + 0.5 * HOUR) })];
+
+        await runAt(startOfTest);
+        await runAt(new Date(startOfTest.getTime() + 0.25 * HOUR));
+
+        expect(NotificationService.createSessionNotification).toHaveBeenCalledTimes(2);
+        expect(sessions[0].remindersSent.history.every(h => h.windowMinutes === 60)).toBe(true);
+    });
+
+    it('should not send when the claim was already taken by another run', async () => {
+        Session.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+        const result = await runAt(new Date(startOfTest.getTime() + 7 * HOUR));
+
+        expect(result.sent).toBe(0);
+        expect(NotificationService.createSessionNotification).not.toHaveBeenCalled();
+    });
+
+    it('should honour the sessionReminders preference', async () => {
+        sessions[0].provider.preferences.sessionReminders = false;
+
+        await runAt(new Date(startOfTest.getTime() + 7 * HOUR));
+
+        expect(NotificationService.createSessionNotification).toHaveBeenCalledTimes(1);
+        expect(NotificationService.createSessionNotification.mock.calls[0][0].recipientId).toBe('requester1');
+    });
+
+    it('should format the start time in each participant timezone', async () => {
+        await runAt(new Date(startOfTest.getTime() + 7 * HOUR));
+
+        const [requesterCall, providerCall] = NotificationService.createSessionNotification.mock.calls;
+        expect(requesterCall[1]).toBe('session_reminder');
+        expect(requesterCall[2]).toEqual({
+            timeUntil: '23 hours',
+            localStartTime: 'Mar 11, 2026, 2:00 PM America/New_York',
+        });
+        expect(providerCall[2].localStartTime).toBe('Mar 11, 2026, 11:30 PM Asia/Kolkata');
+    });
+
+    describe('helpers', () => {
+        it('should format the time until start', () => {
+            expect(formatTimeUntil(45 * 60 * 1000)).toBe('45 minutes');
+            expect(formatTimeUntil(60 * 1000)).toBe('1 minute');
+            expect(formatTimeUntil(HOUR)).toBe('1 hour');
+            expect(formatTimeUntil(24 * HOUR)).toBe('24 hours');
+        });
+
+        it('should fall back to UTC for an unknown timezone', () => {
+            expect(formatLocalStartTime(new Date('2026-03-11T18:00:00Z'), 'Mars/Olympus')).toBe('Mar 11, 2026, 6:00 PM UTC');
+        });
+    });
+});
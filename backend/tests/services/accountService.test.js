@@ -0,0 +1,218 @@
+const User = require('../../src/models/User');
+const Session = require('../../src/models/Session');
+const Chat = require('../../src/models/Chat');
+const Message = require('../../src/models/Message');
+const Review = require('../../src/models/Review');
+const Endorsement = require('../../src/models/Endorsement');
+const Notification = require('../../src/models/Notification');
+const RefreshToken = require('../../src/models/RefreshToken');
+const SessionService = require('../../src/services/sessionService');
+const ChatAttachmentService = require('../../src/services/chatAttachmentService');
+const { config: cloudinaryService } = require('../../src/config/cloudinary');
+const AccountService = require('../../src/services/accountService');
+
+const mockSelect = (result) => ({ select: jest.fn().mockResolvedValue(result) });
+
+describe('AccountService', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('scheduleDeletion', () => {
+        const buildUser = (overrides = {}) => ({
+            _id: 'user1',
+            status: 'active',
+            isPendingDeletion: false,
+            comparePassword: jest.fn().mockResolvedValue(true),
+            save: jest.fn().mockResolvedValue(),
+            ...overrides,
+        });
+
+        it('should cancel upcoming sessions, deactivate the account and sign out every device', async () => {
+            const user = buildUser();
+            jest.spyOn(User, 'findById').mockReturnValue(mockSelect(user));
+            jest.spyOn(SessionService, 'cancelUpcomingSessionsForUser').mockResolvedValue([{}, {}]);
+            jest.spyOn(RefreshToken, 'revokeAllForUser').mockResolvedValue({ modifiedCount: 2 });
+
+            const before = Date.now();
+            const result = await AccountService.scheduleDeletion('user1', 'Password123!');
+
+            expect(SessionService.cancelUpcomingSessionsForUser).toHaveBeenCalledWith('user1', expect.any(String));
+            expect(RefreshToken.revokeAllForUser).toHaveBeenCalledWith('user1', 'account_deleted');
+            expect(user.status).toBe('deactivated');
+            expect(user.save).toHaveBeenCalled();
+            expect(result.cancelledSessions).toBe(2);
+            expect(result.scheduledFor.getTime()).toBeGreaterThanOrEqual(before + 14 * 24 * 60 * 60 * 1000);
+        });
+
+        it('should reject a wrong password without touching anything', async () => {
+            const user = buildUser({ comparePassword: jest.fn().mockResolvedValue(false) });
+            jest.spyOn(User, 'findById').mockReturnValue(mockSelect(user));
+            const cancel = jest.spyOn(SessionService, 'cancelUpcomingSessionsForUser');
+
+            await expect(AccountService.scheduleDeletion('user1', 'wrong')).rejects.toThrow('Password is incorrect');
+            expect(cancel).not.toHaveBeenCalled();
+            expect(user.save).not.toHaveBeenCalled();
+        });
+
+        it('should refuse when a deletion is already scheduled', async () => {
+            jest.spyOn(User, 'findById').mockReturnValue(mockSelect(buildUser({ isPendingDeletion: true })));
+
+            const error = await AccountService.scheduleDeletion('user1', 'Password123!').catch(err => err);
+            expect(error.statusCode).toBe(409);
+        });
+
+        it('should leave the account alone when a session cannot be cancelled', async () => {
+            const user = buildUser();
+            jest.spyOn(User, 'findById').mockReturnValue(mockSelect(user));
+            jest.spyOn(SessionService, 'cancelUpcomingSessionsForUser')
+                .mockRejectedValue(new Error('Cannot cancel an accepted session less than 2 hours before it starts'));
+
+            await expect(AccountService.scheduleDeletion('user1', 'Password123!')).rejects.toThrow('2 hours');
+            expect(user.status).toBe('active');
+            expect(user.save).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('cancelDeletion', () => {
+        it('should reactivate an account in its grace period', async () => {
+            const user = {
+                isPendingDeletion: true,
+                status: 'deactivated',
+                deletion: { scheduledFor: new Date() },
+                save: jest.fn().mockResolvedValue(),
+            };
+
+            await expect(AccountService.cancelDeletion(user)).resolves.toBe(true);
+            expect(user.status).toBe('active');
+            expect(user.deletion).toBeUndefined();
+        });
+
+        it('should do nothing when no deletion is scheduled', async () => {
+            const user = { isPendingDeletion: false, save: jest.fn() };
+
+            await expect(AccountService.cancelDeletion(user)).resolves.toBe(false);
+            expect(user.save).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('purgeAccount', () => {
+        beforeEach(() => {
+            jest.spyOn(Message, 'find').mockReturnValue(mockSelect([]));
+            jest.spyOn(Message, 'updateMany').mockResolvedValue({});
+            jest.spyOn(Chat, 'updateMany').mockResolvedValue({});
+            jest.spyOn(Review, 'updateMany').mockResolvedValue({});
+            jest.spyOn(Endorsement, 'deleteMany').mockResolvedValue({});
+            jest.spyOn(Notification, 'deleteMany').mockResolvedValue({});
+            jest.spyOn(RefreshToken, 'deleteMany').mockResolvedValue({});
+            jest.spyOn(User, 'updateOne').mockResolvedValue({});
+        });
+
+        it('should remove chat content, the profile image and personal fields', async () => {
+            jest.spyOn(User, 'findById').mockResolvedValue({
+                _id: 'user1',
+                isPendingDeletion: true,
+                profileImage: { publicId: 'skillswap/profiles/user1' },
+            });
+            const deleteImage = jest.spyOn(cloudinaryService, 'deleteImage').mockResolvedValue({ result: 'ok' });
+
+            await expect(AccountService.purgeAccount('user1')).resolves.toBe(true);
+
+            expect(deleteImage).toHaveBeenCalledWith('skillswap/profiles/user1');
+            expect(Message.updateMany).toHaveBeenCalledWith(
+                { sender: 'user1' },
+                expect.objectContaining({
+                    $set: expect.objectContaining({ content: 'This message was deleted', isDeleted: true }),
+                    $unset: { attachment: 1, editHistory: 1 },
+                })
+            );
+            expect(Chat.updateMany).toHaveBeenCalledWith(
+                { 'lastMessage.sender': 'user1' },
+                { $set: { 'lastMessage.content': 'This message was deleted' } }
+            );
+            expect(Review.updateMany).toHaveBeenCalledWith({ reviewer: 'user1' }, { $unset: { metadata: 1 } });
+            expect(Endorsement.deleteMany).toHaveBeenCalledWith({ endorsee: 'user1' });
+            expect(Notification.deleteMany).toHaveBeenCalledWith({ recipient: 'user1' });
+
+            const [, update] = User.updateOne.mock.calls[0];
+            expect(update.$set).toEqual(expect.objectContaining({
+                firstName: 'Deleted',
+                lastName: 'User',
+                email: 'deleted-user1@deleted.skillswap.invalid',
+                'deletion.completedAt': expect.any(Date),
+            }));
+            expect(update.$unset).toEqual(expect.objectContaining({ bio: 1, profileImage: 1, twoFactor: 1 }));
+        });
+
+        it('should delete the files the user sent in chats', async () => {
+            const attachment = { storage: 'local', key: 'chat1/abc.pdf', resourceType: 'raw' };
+            jest.spyOn(User, 'findById').mockResolvedValue({ _id: 'user1', isPendingDeletion: true });
+            Message.find.mockReturnValue(mockSelect([{ attachment }]));
+            const remove = jest.spyOn(ChatAttachmentService, 'remove').mockResolvedValue();
+
+            await AccountService.purgeAccount('user1');
+
+            expect(Message.find).toHaveBeenCalledWith({ sender: 'user1', attachment: { $exists: true } });
+            expect(remove).toHaveBeenCalledWith(attachment);
+        });
+
+        it('should still purge when the image cannot be deleted', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            jest.spyOn(User, 'findById').mockResolvedValue({
+                _id: 'user1',
+                isPendingDeletion: true,
+                profileImage: { publicId: 'skillswap/profiles/user1' },
+            });
+            jest.spyOn(cloudinaryService, 'deleteImage').mockRejectedValue(new Error('Cloudinary down'));
+
+            await expect(AccountService.purgeAccount('user1')).resolves.toBe(true);
+            expect(User.updateOne).toHaveBeenCalled();
+        });
+
+        it('should skip accounts that were restored', async () => {
+            jest.spyOn(User, 'findById').mockResolvedValue({ _id: 'user1', isPendingDeletion: false });
+
+            await expect(AccountService.purgeAccount('user1')).resolves.toBe(false);
+            expect(User.updateOne).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('buildExport', () => {
+        const mockQuery = (result) => {
+            const query = {};
+            ['select', 'populate', 'sort'].forEach(method => {
+                query[method] = jest.fn().mockReturnValue(query);
+            });
+            query.lean = jest.fn().mockResolvedValue(result);
+            return query;
+        };
+
+        it('should include only the user\'s own, undeleted messages', async () => {
+            jest.spyOn(User, 'findById').mockResolvedValue({
+                _id: 'user1',
+                toJSON: () => ({ _id: 'user1', id: 'user1', firstName: 'John' }),
+            });
+            jest.spyOn(Session, 'find').mockReturnValue(mockQuery([]));
+            jest.spyOn(Review, 'find').mockReturnValue(mockQuery([]));
+            jest.spyOn(Endorsement, 'find').mockReturnValue(mockQuery([]));
+            jest.spyOn(Notification, 'find').mockReturnValue(mockQuery([]));
+            jest.spyOn(Message, 'find').mockReturnValue(mockQuery([
+                {
+                    chat: { _id: 'chat1', chatType: 'direct' },
+                    sender: 'user1',
+                    content: 'Hi',
+                    messageType: 'text',
+                    createdAt: new Date(),
+                },
+            ]));
+
+            const archive = await AccountService.buildExport('user1');
+
+            expect(Message.find).toHaveBeenCalledWith({ sender: 'user1', isDeleted: false });
+            expect(archive.format).toBe('skillswap-account-export');
+            expect(archive.profile).toEqual({ _id: 'user1', firstName: 'John' });
+            expect(archive.messages).toHaveLength(1);
+            expect(archive.messages[0]).toEqual(expect.objectContaining({ chat: 'chat1', content: 'Hi' }));
+        });
+    });
+});
@@ -0,0 +1,114 @@
+const Session = require('../../src/models/Session');
+const User = require('../../src/models/User');
+const AvailabilityService = require('../../src/services/availabilityService');
+
+describe('AvailabilityService', () => {
+    // Tuesday 24 March 2026, the week before Europe/Berlin switches to summer time
+    const availability = {
+        timezone: 'Europe/Berlin',
+        weeklySlots: [{ day: 'tuesday', start: '18:00', end: '20:00' }],
+        exceptions: [],
+        isAvailable: true,
+    };
+    const iso = slots => slots.map(slot => slot.start.toISOString());
+
+    describe('buildCandidateSlots', () => {
+        it('should expand weekly windows into slots in the provider timezone', () => {
+            const slots = AvailabilityService.buildCandidateSlots(
+                availability,
+                new Date('2026-03-23T00:00:00Z'),
+                new Date('2026-04-01T00:00:00Z'),
+                60
+            );
+
+            // 18:00 Berlin is 17:00 UTC in winter and 16:00 UTC in summer
+            expect(iso(slots)).toEqual([
+                '2026-03-24T17:00:00.000Z',
+                '2026-03-24T17:30:00.000Z',
+                '2026-03-24T18:00:00.000Z',
+                '2026-03-31T16:00:00.000Z',
+                '2026-03-31T16:30:00.000Z',
+                '2026-03-31T17:00:00.000Z',
+            ]);
+        });
+
+        it('should skip blocked dates', () => {
+            const slots = AvailabilityService.buildCandidateSlots(
+                { ...availability, exceptions: [{ startDate: '2026-03-30', endDate: '2026-04-05', reason: 'Vacation' }] },
+                new Date('2026-03-23T00:00:00Z'),
+                new Date('2026-04-01T00:00:00Z'),
+                120
+            );
+
+            expect(iso(slots)).toEqual(['2026-03-24T17:00:00.000Z']);
+        });
+
+        it('should clip slots to the requested range', () => {
+            const slots = AvailabilityService.buildCandidateSlots(
+                availability,
+                new Date('2026-03-24T17:15:00Z'),
+                new Date('2026-03-24T19:00:00Z'),
+                60
+            );
+
+            expect(iso(slots)).toEqual(['2026-03-24T17:30:00.000Z', '2026-03-24T18:00:00.000Z']);
+        });
+    });
+
+    describe('subtractBusyIntervals', () => {
+        it('should drop slots overlapping a busy interval but keep adjacent ones', () => {
+            const slot = (start, end) => ({ start: new Date(start), end: new Date(end) });
+            const slots = [
+                slot('2026-03-24T17:00:00Z', '2026-03-24T18:00:00Z'),
+                slot('2026-03-24T17:30:00Z', '2026-03-24T18:30:00Z'),
+                slot('2026-03-24T18:00:00Z', '2026-03-24T19:00:00Z'),
+            ];
+
+            const free = AvailabilityService.subtractBusyIntervals(slots, [
+                slot('2026-03-24T18:30:00Z', '2026-03-24T19:30:00Z'),
+            ]);
+
+            expect(iso(free)).toEqual(['2026-03-24T17:00:00.000Z', '2026-03-24T17:30:00.000Z']);
+        });
+    });
+
+    describe('getAvailableSlots', () => {
+        const providerId = '507f1f77bcf86cd799439012';
+
+        beforeEach(() => {
+            jest.useFakeTimers().setSystemTime(new Date('2026-03-20T00:00:00Z'));
+            jest.spyOn(User, 'findById').mockReturnValue({
+                select: jest.fn().mockResolvedValue({ status: 'active', availability }),
+            });
+            jest.spyOn(Session, 'find').mockReturnValue({
+                select: jest.fn().mockResolvedValue([
+                    { scheduledDate: new Date('2026-03-24T17:00:00Z'), duration: 60 },
+                ]),
+            });
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+            jest.restoreAllMocks();
+        });
+
+        it('should subtract accepted sessions from the weekly slots', async () => {
+            const result = await AvailabilityService.getAvailableSlots(providerId, {
+                from: '2026-03-23T00:00:00Z',
+                to: '2026-03-25T00:00:00Z',
+                duration: 60,
+            });
+
+            expect(result.timezone).toBe('Europe/Berlin');
+            expect(iso(result.slots)).toEqual(['2026-03-24T18:00:00.000Z']);
+            expect(Session.find).toHaveBeenCalledWith(expect.objectContaining({ status: 'accepted' }));
+        });
+
+        it('should reject ranges longer than the maximum', async () => {
+            await expect(AvailabilityService.getAvailableSlots(providerId, {
+                from: '2026-03-23T00:00:00Z',
+                to: '2026-09-01T00:00:00Z',
+            })).rejects.toThrow('Availability can be requested for at most 62 days at a time');
+        });
+    });
+});
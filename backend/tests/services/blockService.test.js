@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const BlockService = require('../../src/services/blockService');
+
+const { ObjectId } = mongoose.Types;
+
+describe('BlockService', () => {
+    const userId = new ObjectId().toString();
+    const otherId = new ObjectId().toString();
+
+    beforeEach(() => {
+        jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('blockUser', () => {
+        it('should add the user to the block list once', async () => {
+            jest.spyOn(User, 'exists').mockResolvedValue({ _id: otherId });
+
+            await BlockService.blockUser(userId, otherId);
+
+            expect(User.updateOne).toHaveBeenCalledWith(
+                { _id: userId },
+                { $addToSet: { blockedUsers: otherId } }
+            );
+        });
+
+        it('should not let users block themselves', async () => {
+            await expect(BlockService.blockUser(userId, userId))
+                .rejects.toMatchObject({ statusCode: 400, message: 'You cannot block yourself' });
+
+            expect(User.updateOne).not.toHaveBeenCalled();
+        });
+
+        it('should reject unknown users', async () => {
+            jest.spyOn(User, 'exists').mockResolvedValue(null);
+
+            await expect(BlockService.blockUser(userId, otherId))
+                .rejects.toMatchObject({ statusCode: 404 });
+
+            expect(User.updateOne).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('unblockUser', () => {
+        it('should remove the user from the block list', async () => {
+            await BlockService.unblockUser(userId, otherId);
+
+            expect(User.updateOne).toHaveBeenCalledWith(
+                { _id: userId },
+                { $pull: { blockedUsers: otherId } }
+            );
+        });
+    });
+
+    describe('listBlocked', () => {
+        it('should return an empty list for users who never blocked anyone', async () => {
+            const populate = jest.fn().mockResolvedValue(new User({ firstName: 'John' }));
+            jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockReturnValue({ populate }) });
+
+            await expect(BlockService.listBlocked(userId)).resolves.toEqual([]);
+            expect(populate).toHaveBeenCalledWith('blockedUsers', 'firstName lastName profileImage');
+        });
+    });
+});
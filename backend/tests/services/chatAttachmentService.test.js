@@ -0,0 +1,149 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LOCAL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'skillswap-chat-'));
+process.env.CHAT_ATTACHMENT_DIR = LOCAL_DIR;
+
+const cloudinary = require('../../src/config/cloudinary');
+const { config: cloudinaryService } = require('../../src/config/cloudinary');
+const ChatAttachmentService = require('../../src/services/chatAttachmentService');
+
+const chat = { _id: '64b7f0c2a1b2c3d4e5f60718', settings: { allowFileSharing: true, allowImageSharing: true } };
+
+const writeUpload = (originalname, mimetype, size = 4) => {
+    const filePath = path.join(os.tmpdir(), `upload-${Date.now()}-${Math.random()}`);
+    fs.writeFileSync(filePath, Buffer.alloc(size));
+    return { path: filePath, originalname, mimetype, size };
+};
+
+describe('ChatAttachmentService', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+        fs.rmSync(LOCAL_DIR, { recursive: true, force: true });
+    });
+
+    describe('assertAllowed', () => {
+        it('should respect the chat sharing settings', () => {
+            const noImages = { ...chat, settings: { allowImageSharing: false, allowFileSharing: true } };
+
+            expect(() => ChatAttachmentService.assertAllowed({ mimetype: 'image/png', size: 10 }, noImages))
+                .toThrow('Image sharing is disabled');
+            expect(() => ChatAttachmentService.assertAllowed({ mimetype: 'application/pdf', size: 10 }, noImages))
+                .not.toThrow();
+        });
+
+        it('should apply the smaller size limit to images', () => {
+            const size = 6 * 1024 * 1024;
+
+            expect(() => ChatAttachmentService.assertAllowed({ mimetype: 'image/jpeg', size }, chat))
+                .toThrow('Maximum size is 5MB');
+            expect(() => ChatAttachmentService.assertAllowed({ mimetype: 'application/pdf', size }, chat))
+                .not.toThrow();
+        });
+    });
+
+    describe('local storage', () => {
+        beforeEach(() => {
+            jest.spyOn(cloudinaryService, 'isReady').mockReturnValue(false);
+        });
+
+        it('should keep the file under the chat and remove the temporary upload', async () => {
+            const file = writeUpload('Notes.PDF', 'application/pdf');
+
+            const attachment = await ChatAttachmentService.store(file, chat);
+
+            expect(attachment).toEqual(expect.objectContaining({
+                storage: 'local',
+                resourceType: 'raw',
+                fileName: 'Notes.PDF',
+                mimeType: 'application/pdf',
+                size: 4,
+            }));
+            expect(attachment.key).toMatch(new RegExp(`^${chat._id}[\\\\/][0-9a-f]{24}\\.pdf$`));
+            expect(fs.existsSync(file.path)).toBe(false);
+
+            const { filePath } = ChatAttachmentService.resolve(attachment);
+            expect(fs.existsSync(filePath)).toBe(true);
+
+            await ChatAttachmentService.remove(attachment);
+            expect(fs.existsSync(filePath)).toBe(false);
+        });
+
+        it('should serve the full-size original as the thumbnail of a local image', async () => {
+            const file = writeUpload('photo.png', 'image/png');
+            const attachment = await ChatAttachmentService.store(file, chat);
+
+            const original = ChatAttachmentService.resolve(attachment);
+            const thumbnail = ChatAttachmentService.resolve(attachment, 'thumbnail');
+
+            expect(thumbnail).toEqual(original);
+            expect(fs.statSync(thumbnail.filePath).size).toBe(attachment.size);
+
+            await ChatAttachmentService.remove(attachment);
+        });
+
+        it('should remove the temporary upload when the file is rejected', async () => {
+            const file = writeUpload('photo.png', 'image/png', 16);
+
+            await expect(
+                ChatAttachmentService.store(file, { ...chat, settings: { allowImageSharing: false } })
+            ).rejects.toThrow('Image sharing is disabled');
+            expect(fs.existsSync(file.path)).toBe(false);
+        });
+
+        it('should refuse keys outside the attachment directory', () => {
+            expect(() => ChatAttachmentService.resolve({ storage: 'local', key: '../../etc/passwd' }))
+                .toThrow('Attachment not found');
+        });
+    });
+
+    describe('cloudinary storage', () => {
+        beforeEach(() => {
+            jest.spyOn(cloudinaryService, 'isReady').mockReturnValue(true);
+        });
+
+        it('should upload images privately with an eager thumbnail', async () => {
+            const upload = jest.spyOn(cloudinary.uploader, 'upload').mockResolvedValue({
+                public_id: 'skillswap/chats/chat1/abc',
+                width: 800,
+                height: 600,
+            });
+            const file = writeUpload('photo.png', 'image/png');
+
+            const attachment = await ChatAttachmentService.store(file, chat);
+
+            expect(upload).toHaveBeenCalledWith(file.path, expect.objectContaining({
+                type: 'authenticated',
+                resource_type: 'image',
+                eager: [{ width: 320, height: 320, crop: 'limit' }],
+            }));
+            expect(attachment).toEqual(expect.objectContaining({
+                storage: 'cloudinary',
+                key: 'skillswap/chats/chat1/abc',
+                resourceType: 'image',
+                width: 800,
+            }));
+            expect(fs.existsSync(file.path)).toBe(false);
+        });
+
+        it('should serve thumbnails through a signed URL', () => {
+            const url = jest.spyOn(cloudinary, 'url').mockReturnValue('https://res.cloudinary.com/signed');
+
+            const source = ChatAttachmentService.resolve(
+                { storage: 'cloudinary', key: 'skillswap/chats/chat1/abc', resourceType: 'image' },
+                'thumbnail'
+            );
+
+            expect(source).toEqual({ redirectUrl: 'https://res.cloudinary.com/signed' });
+            expect(url).toHaveBeenCalledWith('skillswap/chats/chat1/abc', expect.objectContaining({
+                type: 'authenticated',
+                sign_url: true,
+                transformation: [{ width: 320, height: 320, crop: 'limit' }],
+            }));
+        });
+    });
+});
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cloudinary = require('../../src/config/cloudinary');
+const { config: cloudinaryService } = require('../../src/config/cloudinary');
+const Chat = require('../../src/models/Chat');
+const User = require('../../src/models/User');
+const socketService = require('../../src/services/socketService');
+const ChatGroupService = require('../../src/services/chatGroupService');
+
+const { ObjectId } = mongoose.Types;
+
+const mockSelect = (result) => ({ select: jest.fn().mockResolvedValue(result) });
+
+describe('ChatGroupService', () => {
+    const owner = { _id: new ObjectId(), firstName: 'John', lastName: 'Doe' };
+    const member = { _id: new ObjectId(), firstName: 'Jane', lastName: 'Smith' };
+    const newcomer = { _id: new ObjectId(), firstName: 'Bob', lastName: 'Wilson' };
+    const everyone = [owner, member, newcomer];
+
+    let announced;
+
+    // A group document that never touches the database
+    const buildGroup = () => {
+        const chat = new Chat({
+            chatType: 'group',
+            name: 'JavaScript Circle',
+            participants: [owner._id, member._id],
+            participantStatus: [
+                { user: owner._id, role: 'owner' },
+                { user: member._id, role: 'member' },
+            ],
+            settings: { maxParticipants: 20 },
+        });
+        jest.spyOn(chat, 'save').mockResolvedValue(chat);
+        jest.spyOn(chat, 'populate').mockResolvedValue(chat);
+        jest.spyOn(chat, 'addSystemMessage').mockImplementation(async (actorId, content) => {
+            announced.push(content);
+            return { populateForDisplay: jest.fn().mockResolvedValue({ content }) };
+        });
+        jest.spyOn(Chat, 'findById').mockResolvedValue(chat);
+        return chat;
+    };
+
+    const usersById = (ids) => everyone.filter(user => ids.map(String).includes(user._id.toString()));
+
+    beforeEach(() => {
+        announced = [];
+        jest.spyOn(User, 'find').mockImplementation(query => mockSelect(usersById(query._id.$in)));
+        jest.spyOn(socketService, 'sendToChat').mockImplementation(() => {});
+        jest.spyOn(socketService, 'sendToUser').mockImplementation(() => true);
+        jest.spyOn(socketService, 'removeUserFromChat').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('addMembers', () => {
+        it('should add new members, announce them and tell them about the chat', async () => {
+            const chat = buildGroup();
+
+            await ChatGroupService.addMembers(chat._id, owner._id, [newcomer._id, member._id]);
+
+            expect(chat.isParticipant(newcomer._id)).toBe(true);
+            expect(chat.getRole(newcomer._id)).toBe('member');
+            expect(announced).toEqual(['John Doe added Bob Wilson']);
+            expect(socketService.sendToUser).toHaveBeenCalledWith(newcomer._id.toString(), 'added_to_chat', { chat });
+            expect(socketService.sendToChat).toHaveBeenCalledWith(chat._id, 'group_updated', expect.any(Object));
+        });
+
+        it('should reject users that do not exist', async () => {
+            const chat = buildGroup();
+
+            await expect(ChatGroupService.addMembers(chat._id, owner._id, [new ObjectId()]))
+                .rejects.toThrow('Some members could not be found');
+            expect(chat.save).not.toHaveBeenCalled();
+        });
+
+        it('should only let admins add members', async () => {
+            const chat = buildGroup();
+
+            const error = await ChatGroupService.addMembers(chat._id, member._id, [newcomer._id]).catch(err => err);
+
+            expect(error.statusCode).toBe(403);
+            expect(announced).toEqual([]);
+        });
+    });
+
+    describe('removeMember', () => {
+        it('should drop the member from the chat room before announcing it', async () => {
+            const chat = buildGroup();
+
+            await ChatGroupService.removeMember(chat._id, owner._id, member._id);
+
+            expect(chat.isParticipant(member._id)).toBe(false);
+            expect(chat.getParticipantStatus(member._id)).toBeUndefined();
+            expect(socketService.removeUserFromChat).toHaveBeenCalledWith(member._id, chat._id);
+            expect(socketService.sendToUser).toHaveBeenCalledWith(member._id, 'removed_from_chat', { chatId: chat._id });
+            expect(announced).toEqual(['John Doe removed Jane Smith']);
+        });
+
+        it('should not let a member remove the owner', async () => {
+            const chat = buildGroup();
+            chat.setMemberRole(owner._id, member._id, 'admin');
+
+            await expect(ChatGroupService.removeMember(chat._id, member._id, owner._id))
+                .rejects.toThrow('The group owner cannot be removed');
+        });
+    });
+
+    describe('leaveGroup', () => {
+        it('should announce the departure and the new owner', async () => {
+            const chat = buildGroup();
+
+            const { newOwner } = await ChatGroupService.leaveGroup(chat._id, owner._id);
+
+            expect(newOwner.toString()).toBe(member._id.toString());
+            expect(announced).toEqual(['John Doe left the group', 'Jane Smith is now the group owner']);
+            expect(socketService.removeUserFromChat).toHaveBeenCalledWith(owner._id, chat._id);
+        });
+
+        it('should stay quiet when the last member leaves', async () => {
+            const chat = buildGroup();
+            chat.leaveGroup(member._id);
+
+            await ChatGroupService.leaveGroup(chat._id, owner._id);
+
+            expect(chat.isActive).toBe(false);
+            expect(announced).toEqual([]);
+        });
+    });
+
+    describe('updateMemberRole', () => {
+        it('should announce promotions and ignore unchanged roles', async () => {
+            const chat = buildGroup();
+
+            await ChatGroupService.updateMemberRole(chat._id, owner._id, member._id, 'admin');
+            await ChatGroupService.updateMemberRole(chat._id, owner._id, member._id, 'admin');
+
+            expect(chat.isGroupAdmin(member._id)).toBe(true);
+            expect(announced).toEqual(['Jane Smith is now a group admin']);
+        });
+    });
+
+    describe('updateAvatar', () => {
+        it('should answer 503 and drop the upload when image storage is not configured', async () => {
+            const chat = buildGroup();
+            const file = { path: path.join(os.tmpdir(), `avatar-${Date.now()}.png`) };
+            fs.writeFileSync(file.path, Buffer.alloc(4));
+            jest.spyOn(cloudinaryService, 'isReady').mockReturnValue(false);
+            const upload = jest.spyOn(cloudinary.uploader, 'upload');
+
+            const error = await ChatGroupService.updateAvatar(chat._id, owner._id, file).catch(err => err);
+
+            expect(error.statusCode).toBe(503);
+            expect(error.message).toBe('Image uploads are currently unavailable');
+            expect(upload).not.toHaveBeenCalled();
+            expect(fs.existsSync(file.path)).toBe(false);
+        });
+    });
+
+    it('should refuse to manage members of direct chats', async () => {
+        const chat = buildGroup();
+        chat.chatType = 'direct';
+
+        await expect(ChatGroupService.leaveGroup(chat._id, owner._id))
+            .rejects.toThrow('Only group chats have members to manage');
+    });
+
+    it('should hide groups from non-members', async () => {
+        const chat = buildGroup();
+
+        const error = await ChatGroupService.updateGroup(chat._id, newcomer._id, { name: 'Mine now' }).catch(err => err);
+
+        expect(error.statusCode).toBe(404);
+        expect(chat.name).toBe('JavaScript Circle');
+    });
+});
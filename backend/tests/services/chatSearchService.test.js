@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const Chat = require('../../src/models/Chat');
+const Message = require('../../src/models/Message');
+const ChatSearchService = require('../../src/services/chatSearchService');
+
+const { ObjectId } = mongoose.Types;
+
+// Query chain whose last call resolves to the given result
+const mockChain = (methods, result) => {
+    const chain = {};
+    methods.forEach(method => {
+        chain[method] = jest.fn().mockReturnValue(chain);
+    });
+    chain[methods[methods.length - 1]] = jest.fn().mockResolvedValue(result);
+    return chain;
+};
+
+describe('ChatSearchService', () => {
+    const john = { _id: new ObjectId(), firstName: 'John', lastName: 'Doe' };
+    const jane = { _id: new ObjectId(), firstName: 'Jane', lastName: 'Smith' };
+    const chat = { _id: new ObjectId(), chatType: 'direct', participants: [john, jane] };
+
+    let messageQuery;
+
+    const mockResults = (messages, total = messages.length) => {
+        messageQuery = mockChain(['select', 'sort', 'skip', 'limit', 'populate'], messages);
+        jest.spyOn(Message, 'find').mockReturnValue(messageQuery);
+        jest.spyOn(Message, 'countDocuments').mockResolvedValue(total);
+    };
+
+    beforeEach(() => {
+        jest.spyOn(Chat, 'find').mockReturnValue(mockChain(['select', 'populate'], [chat]));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should search visible messages in the user\'s chats only', async () => {
+        mockResults([]);
+
+        await ChatSearchService.search(john._id, 'react tutorial', { page: 2, limit: 10 });
+
+        expect(Chat.find).toHaveBeenCalledWith({ participants: john._id, isActive: true });
+        expect(Message.find).toHaveBeenCalledWith({
+            $text: { $search: 'react tutorial' },
+            chat: { $in: [chat._id] },
+            isDeleted: false,
+            messageType: { $ne: 'system' },
+        });
+        expect(messageQuery.skip).toHaveBeenCalledWith(10);
+        expect(messageQuery.limit).toHaveBeenCalledWith(10);
+    });
+
+    it('should return each match with its chat and highlight', async () => {
+        const message = new Message({
+            chat: chat._id,
+            sender: jane._id,
+            content: 'Here is the React tutorial link',
+        });
+        mockResults([message], 3);
+
+        const { results, total } = await ChatSearchService.search(john._id, 'react');
+
+        expect(total).toBe(3);
+        expect(results).toHaveLength(1);
+        expect(results[0].message).toBe(message);
+        expect(results[0].chat).toEqual(expect.objectContaining({
+            _id: chat._id,
+            chatType: 'direct',
+            participants: [jane],
+        }));
+        expect(results[0].highlight).toEqual({ field: 'content', snippet: 'Here is the React tutorial link' });
+    });
+
+    it('should not query messages without searchable terms', async () => {
+        mockResults([]);
+
+        const result = await ChatSearchService.search(john._id, ' "" -- ');
+
+        expect(result).toEqual({ results: [], total: 0 });
+        expect(Chat.find).not.toHaveBeenCalled();
+        expect(Message.find).not.toHaveBeenCalled();
+    });
+
+    it('should not query messages for users without chats', async () => {
+        Chat.find.mockReturnValue(mockChain(['select', 'populate'], []));
+        mockResults([]);
+
+        const result = await ChatSearchService.search(john._id, 'react');
+
+        expect(result).toEqual({ results: [], total: 0 });
+        expect(Message.find).not.toHaveBeenCalled();
+    });
+});
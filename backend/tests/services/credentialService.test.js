@@ -0,0 +1,168 @@
+const User = require('../../src/models/User');
+const RefreshToken = require('../../src/models/RefreshToken');
+const OTPService = require('../../src/services/otpService');
+const emailService = require('../../src/services/emailService');
+const NotificationService = require('../../src/services/notificationService');
+const CredentialService = require('../../src/services/credentialService');
+
+const mockSelect = (result) => ({ select: jest.fn().mockResolvedValue(result) });
+
+describe('CredentialService', () => {
+    beforeEach(() => {
+        jest.spyOn(NotificationService, 'createSystemNotification').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('changePassword', () => {
+        const buildUser = (passwordOk = true) => ({
+            _id: 'user1',
+            email: 'john@example.com',
+            comparePassword: jest.fn().mockResolvedValue(passwordOk),
+            save: jest.fn().mockResolvedValue(),
+        });
+
+        it('should set the password and revoke every session', async () => {
+            const user = buildUser();
+            jest.spyOn(User, 'findById').mockReturnValue(mockSelect(user));
+            jest.spyOn(RefreshToken, 'revokeAllForUser').mockResolvedValue({ modifiedCount: 3 });
+
+            await CredentialService.changePassword('user1', 'OldPassword123!', 'Nu3vo-Pa55word!');
+
+            expect(user.password).toBe('Nu3vo-Pa55word!');
+            expect(user.save).toHaveBeenCalled();
+            expect(RefreshToken.revokeAllForUser).toHaveBeenCalledWith('user1', 'password_changed');
+            expect(NotificationService.createSystemNotification).toHaveBeenCalledWith({ userId: 'user1' }, 'password_changed');
+        });
+
+        it('should reject a wrong current password', async () => {
+            const user = buildUser(false);
+            jest.spyOn(User, 'findById').mockReturnValue(mockSelect(user));
+
+            await expect(
+                CredentialService.changePassword('user1', 'wrong', 'Nu3vo-Pa55word!')
+            ).rejects.toThrow('Current password is incorrect');
+            expect(user.save).not.toHaveBeenCalled();
+        });
+
+        it('should enforce the password strength rules', async () => {
+            const user = buildUser();
+            jest.spyOn(User, 'findById').mockReturnValue(mockSelect(user));
+
+            const error = await CredentialService.changePassword('user1', 'OldPassword123!', 'Password123!')
+                .catch(err => err);
+
+            expect(error.statusCode).toBe(400);
+            expect(error.errors).toContainEqual({
+                field: 'newPassword',
+                message: 'Password contains common patterns that are not secure',
+            });
+            expect(user.save).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('requestEmailChange', () => {
+        const buildUser = () => ({
+            _id: 'user1',
+            email: 'john@example.com',
+            firstName: 'John',
+            comparePassword: jest.fn().mockResolvedValue(true),
+            save: jest.fn().mockResolvedValue(),
+        });
+
+        it('should email a code to the new address and store only its hash', async () => {
+            const user = buildUser();
+            jest.spyOn(User, 'findById').mockReturnValue(mockSelect(user));
+            jest.spyOn(User, 'exists').mockResolvedValue(null);
+            const sendCode = jest.spyOn(emailService, 'sendEmailChangeCode').mockResolvedValue({ success: true });
+
+            await CredentialService.requestEmailChange('user1', 'new@example.com', 'Password123!');
+
+            const [recipient, code] = sendCode.mock.calls[0];
+            expect(recipient).toEqual({ email: 'new@example.com', firstName: 'John' });
+            expect(user.email).toBe('john@example.com');
+            expect(user.emailChange.newEmail).toBe('new@example.com');
+            expect(user.emailChange.otp.code).toBe(OTPService.hashOTP(code));
+            expect(user.emailChange.otp.attempts).toBe(0);
+        });
+
+        it('should refuse an address that is already taken', async () => {
+            jest.spyOn(User, 'findById').mockReturnValue(mockSelect(buildUser()));
+            jest.spyOn(User, 'exists').mockResolvedValue({ _id: 'other' });
+            const sendCode = jest.spyOn(emailService, 'sendEmailChangeCode');
+
+            await expect(
+                CredentialService.requestEmailChange('user1', 'taken@example.com', 'Password123!')
+            ).rejects.toThrow('Email is already in use');
+            expect(sendCode).not.toHaveBeenCalled();
+        });
+
+        it('should refuse the current address', async () => {
+            jest.spyOn(User, 'findById').mockReturnValue(mockSelect(buildUser()));
+
+            await expect(
+                CredentialService.requestEmailChange('user1', 'john@example.com', 'Password123!')
+            ).rejects.toThrow('must be different');
+        });
+    });
+
+    describe('confirmEmailChange', () => {
+        const buildUser = (otpOverrides = {}) => ({
+            _id: 'user1',
+            email: 'john@example.com',
+            firstName: 'John',
+            emailChange: {
+                newEmail: 'new@example.com',
+                otp: {
+                    code: OTPService.hashOTP('123456'),
+                    expires: new Date(Date.now() + 60000),
+                    attempts: 0,
+                    ...otpOverrides,
+                },
+            },
+            save: jest.fn().mockResolvedValue(),
+        });
+
+        it('should swap the address and alert the old one', async () => {
+            const user = buildUser();
+            jest.spyOn(User, 'findById').mockReturnValue(mockSelect(user));
+            jest.spyOn(User, 'exists').mockResolvedValue(null);
+            const sendAlert = jest.spyOn(emailService, 'sendSecurityAlertEmail').mockResolvedValue({ success: true });
+
+            const result = await CredentialService.confirmEmailChange('user1', '123456');
+
+            expect(result.previousEmail).toBe('john@example.com');
+            expect(user.email).toBe('new@example.com');
+            expect(user.emailChange).toBeUndefined();
+            expect(sendAlert).toHaveBeenCalledWith(
+                { email: 'john@example.com', firstName: 'John' },
+                expect.stringContaining('changed from john@example.com to new@example.com')
+            );
+            expect(NotificationService.createSystemNotification).toHaveBeenCalledWith(
+                { userId: 'user1' },
+                'security_alert',
+                { message: expect.any(String) }
+            );
+        });
+
+        it('should count wrong codes and keep the old address', async () => {
+            const user = buildUser();
+            jest.spyOn(User, 'findById').mockReturnValue(mockSelect(user));
+
+            await expect(CredentialService.confirmEmailChange('user1', '654321')).rejects.toThrow('4 attempts remaining');
+            expect(user.emailChange.otp.attempts).toBe(1);
+            expect(user.email).toBe('john@example.com');
+        });
+
+        it('should drop an expired request', async () => {
+            const user = buildUser({ expires: new Date(Date.now() - 1000) });
+            jest.spyOn(User, 'findById').mockReturnValue(mockSelect(user));
+
+            await expect(CredentialService.confirmEmailChange('user1', '123456')).rejects.toThrow('request the change again');
+            expect(user.emailChange).toBeUndefined();
+            expect(user.email).toBe('john@example.com');
+        });
+    });
+});
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Endorsement = require('../../src/models/Endorsement');
+const Session = require('../../src/models/Session');
+const User = require('../../src/models/User');
+const NotificationService = require('../../src/services/notificationService');
+const EndorsementService = require('../../src/services/endorsementService');
+
+const { ObjectId } = mongoose.Types;
+
+describe('EndorsementService', () => {
+    const endorserId = new ObjectId().toString();
+    const endorseeId = new ObjectId().toString();
+    const sessionId = new ObjectId();
+
+    const endorser = { _id: endorserId, firstName: 'John', lastName: 'Doe' };
+    const endorsee = new User({
+        firstName: 'Jane',
+        lastName: 'Smith',
+        email: 'jane@example.com',
+        password: 'Password123!',
+        skills: [{ name: 'Python', level: 'expert', category: 'Programming' }],
+    });
+    const skillId = endorsee.skills[0]._id.toString();
+
+    const mockSelect = (result) => ({ select: jest.fn().mockResolvedValue(result) });
+
+    beforeEach(() => {
+        jest.spyOn(User, 'findById').mockReturnValue(mockSelect(endorser));
+        jest.spyOn(User, 'findOne').mockReturnValue(mockSelect(endorsee));
+        jest.spyOn(User, 'isBlockedBetween').mockResolvedValue(false);
+        jest.spyOn(User, 'syncSkillReputation').mockResolvedValue([]);
+        jest.spyOn(Session, 'findOne').mockReturnValue(mockSelect({ _id: sessionId }));
+        jest.spyOn(Endorsement, 'exists').mockResolvedValue(null);
+        jest.spyOn(Endorsement, 'create').mockImplementation(async data => ({ _id: new ObjectId(), ...data }));
+        jest.spyOn(NotificationService, 'createSocialNotification').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('endorseSkill', () => {
+        it('should save the endorsement, update the reputation and notify the skill owner', async () => {
+            const endorsement = await EndorsementService.endorseSkill(endorserId, endorseeId, skillId);
+
+            expect(endorsement).toMatchObject({ endorser: endorserId, endorsee: endorseeId, skillName: 'Python', session: sessionId });
+            expect(endorsement.skill.toString()).toBe(skillId);
+            expect(User.syncSkillReputation).toHaveBeenCalledWith(endorseeId);
+            expect(NotificationService.createSocialNotification).toHaveBeenCalledWith(
+                { recipientId: endorseeId, sender: endorser },
+                'skill_endorsed',
+                { skillName: 'Python' }
+            );
+        });
+
+        it('should not let users endorse themselves', async () => {
+            await expect(EndorsementService.endorseSkill(endorserId, endorserId, skillId))
+                .rejects.toMatchObject({ statusCode: 400, message: 'You cannot endorse your own skills' });
+        });
+
+        it('should reject skills the user does not have', async () => {
+            await expect(EndorsementService.endorseSkill(endorserId, endorseeId, new ObjectId().toString()))
+                .rejects.toMatchObject({ statusCode: 404, message: 'Skill not found' });
+        });
+
+        it('should require a completed session between the two users', async () => {
+            Session.findOne.mockReturnValue(mockSelect(null));
+
+            await expect(EndorsementService.endorseSkill(endorserId, endorseeId, skillId))
+                .rejects.toMatchObject({ statusCode: 403 });
+
+            expect(Endorsement.create).not.toHaveBeenCalled();
+        });
+
+        it('should refuse endorsements between blocked users', async () => {
+            User.isBlockedBetween.mockResolvedValue(true);
+
+            await expect(EndorsementService.endorseSkill(endorserId, endorseeId, skillId))
+                .rejects.toMatchObject({ statusCode: 403, message: 'You cannot endorse this user' });
+        });
+
+        it('should reject a second endorsement of the same skill', async () => {
+            Endorsement.exists.mockResolvedValue({ _id: new ObjectId() });
+
+            await expect(EndorsementService.endorseSkill(endorserId, endorseeId, skillId))
+                .rejects.toMatchObject({ statusCode: 409 });
+
+            expect(Endorsement.create).not.toHaveBeenCalled();
+        });
+
+        it('should keep the endorsement when the notification fails', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            NotificationService.createSocialNotification.mockRejectedValue(new Error('Mongo down'));
+
+            await expect(EndorsementService.endorseSkill(endorserId, endorseeId, skillId)).resolves.toBeDefined();
+        });
+    });
+
+    describe('removeEndorsement', () => {
+        it('should update the reputation only when an endorsement was removed', async () => {
+            jest.spyOn(Endorsement, 'deleteOne')
+                .mockResolvedValueOnce({ deletedCount: 1 })
+                .mockResolvedValueOnce({ deletedCount: 0 });
+
+            await expect(EndorsementService.removeEndorsement(endorserId, endorseeId, skillId)).resolves.toBe(true);
+            await expect(EndorsementService.removeEndorsement(endorserId, endorseeId, skillId)).resolves.toBe(false);
+
+            expect(User.syncSkillReputation).toHaveBeenCalledTimes(1);
+        });
+    });
+});
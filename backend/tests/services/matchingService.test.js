@@ -0,0 +1,185 @@
+const User = require('../../src/models/User');
+const MatchingService = require('../../src/services/matchingService');
+
+describe('MatchingService', () => {
+    const now = new Date('2026-01-15T12:00:00Z');
+
+    const buildUser = (overrides = {}) => ({
+        _id: 'user1',
+        firstName: 'Alice',
+        lastName: 'Smith',
+        skills: [{ name: 'JavaScript', category: 'Programming', level: 'expert' }],
+        skillsWanted: [{ name: 'Spanish', level: 'beginner' }],
+        location: { city: 'Berlin', coordinates: [13.405, 52.52] },
+        availability: {
+            timezone: 'Europe/Berlin',
+            weeklySlots: [{ day: 'monday', start: '18:00', end: '21:00' }]
+        },
+        rating: { average: 0, count: 0 },
+        ...overrides
+    });
+
+    const buildCandidate = (overrides = {}) => buildUser({
+        _id: 'user2',
+        firstName: 'Bruno',
+        skills: [{ name: 'spanish', category: 'Languages', level: 'advanced' }],
+        skillsWanted: [{ name: 'javascript', level: 'intermediate' }],
+        location: { city: 'Potsdam', coordinates: [13.064, 52.391] },
+        availability: {
+            timezone: 'Europe/London',
+            weeklySlots: [{ day: 'monday', start: '17:00', end: '19:00' }]
+        },
+        rating: { average: 4.5, count: 8 },
+        ...overrides
+    });
+
+    describe('findSkillOverlap', () => {
+        it('should pair skills by name regardless of case', () => {
+            expect(MatchingService.findSkillOverlap(
+                [{ name: 'Spanish', category: 'Languages', level: 'advanced' }],
+                [{ name: ' spanish ', level: 'beginner' }, { name: 'French' }]
+            )).toEqual([{ name: 'Spanish', category: 'Languages', teacherLevel: 'advanced', learnerLevel: 'beginner' }]);
+        });
+    });
+
+    describe('scoreLevelFit', () => {
+        it('should prefer teachers ahead of the learner', () => {
+            expect(MatchingService.scoreLevelFit('expert', 'beginner')).toBe(1);
+            expect(MatchingService.scoreLevelFit('advanced', 'advanced')).toBe(0.5);
+            expect(MatchingService.scoreLevelFit('beginner', 'intermediate')).toBe(0);
+        });
+    });
+
+    describe('distanceKm', () => {
+        it('should compute great-circle distances and handle missing coordinates', () => {
+            expect(Math.round(MatchingService.distanceKm([13.405, 52.52], [2.3522, 48.8566]))).toBe(877);
+            expect(MatchingService.distanceKm(undefined, [2.3522, 48.8566])).toBeNull();
+        });
+    });
+
+    describe('weeklyOverlapMinutes', () => {
+        it('should compare slots in UTC across timezones', () => {
+            // Berlin 18:00-21:00 is 17:00-20:00 UTC in winter; London 17:00-19:00 is 17:00-19:00 UTC
+            expect(MatchingService.weeklyOverlapMinutes(
+                buildUser().availability,
+                buildCandidate().availability,
+                now
+            )).toBe(120);
+        });
+
+        it('should handle slots that wrap around the end of the week', () => {
+            // Monday 00:00-02:00 in Berlin is Sunday 23:00 to Monday 01:00 UTC
+            expect(MatchingService.weeklyOverlapMinutes(
+                { timezone: 'Europe/Berlin', weeklySlots: [{ day: 'monday', start: '00:00', end: '02:00' }] },
+                { timezone: 'UTC', weeklySlots: [{ day: 'sunday', start: '23:00', end: '24:00' }, { day: 'monday', start: '00:00', end: '00:30' }] },
+                now
+            )).toBe(90);
+        });
+    });
+
+    describe('scoreMatch', () => {
+        it('should return null unless both users can teach each other', () => {
+            expect(MatchingService.scoreMatch(buildUser(), buildCandidate({ skillsWanted: [] }), now)).toBeNull();
+            expect(MatchingService.scoreMatch(buildUser(), buildCandidate({ skills: [] }), now)).toBeNull();
+        });
+
+        it('should combine level, rating, distance and availability into a score', () => {
+            const match = MatchingService.scoreMatch(buildUser(), buildCandidate(), now);
+
+            expect(match.theyTeach).toEqual([expect.objectContaining({ name: 'spanish', teacherLevel: 'advanced' })]);
+            expect(match.youTeach).toEqual([expect.objectContaining({ name: 'JavaScript', learnerLevel: 'intermediate' })]);
+            expect(match.breakdown).toEqual({
+                level: 1,
+                rating: 0.9,
+                distance: expect.any(Number),
+                availability: 120 / 180
+            });
+            expect(match.distanceKm).toBe(27);
+            expect(match.overlapMinutes).toBe(120);
+            expect(match.score).toBeGreaterThan(80);
+            expect(match.user).not.toHaveProperty('availability');
+        });
+
+        it('should use neutral scores when signals are missing', () => {
+            const match = MatchingService.scoreMatch(
+                buildUser({ location: {}, availability: {} }),
+                buildCandidate({ rating: { average: 0, count: 0 } }),
+                now
+            );
+
+            expect(match.breakdown).toEqual({ level: 1, rating: 0.5, distance: 0.5, availability: 0.5 });
+            expect(match.score).toBe(68);
+            expect(match.distanceKm).toBeNull();
+        });
+    });
+
+    describe('findMatches', () => {
+        const mockCandidates = (candidates) => {
+            const query = {
+                select: jest.fn().mockReturnThis(),
+                limit: jest.fn().mockReturnThis(),
+                lean: jest.fn().mockResolvedValue(candidates)
+            };
+            jest.spyOn(User, 'find').mockReturnValue(query);
+            return query;
+        };
+
+        beforeEach(() => {
+            jest.spyOn(User, 'findById').mockReturnValue({
+                select: jest.fn().mockResolvedValue(buildUser())
+            });
+            jest.spyOn(User, 'findBlockedUserIds').mockResolvedValue([]);
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should query reciprocal candidates with escaped exact names and sort by score', async () => {
+            const nearby = buildCandidate({ _id: 'near' });
+            const farAway = buildCandidate({ _id: 'far', location: { coordinates: [-74.006, 40.7128] } });
+            mockCandidates([farAway, nearby, buildCandidate({ _id: 'oneWay', skillsWanted: [] })]);
+
+            const result = await MatchingService.findMatches('user1', { limit: 5 });
+
+            const filter = User.find.mock.calls[0][0];
+            expect(filter['skills.name'].$in[0].test('SPANISH')).toBe(true);
+            expect(filter['skillsWanted.name'].$in[0].source).toBe('^JavaScript$');
+            expect(result.profileComplete).toBe(true);
+            expect(result.matches.map(match => match.user._id)).toEqual(['near', 'far']);
+        });
+
+        it('should leave out users blocked in either direction', async () => {
+            User.findBlockedUserIds.mockResolvedValue(['blocked', 'blocker']);
+            mockCandidates([]);
+
+            await MatchingService.findMatches('user1');
+
+            expect(User.findBlockedUserIds).toHaveBeenCalledWith('user1');
+            expect(User.find.mock.calls[0][0]._id).toEqual({ $ne: 'user1', $nin: ['blocked', 'blocker'] });
+        });
+
+        it('should drop candidates beyond the maximum distance', async () => {
+            mockCandidates([
+                buildCandidate({ _id: 'near' }),
+                buildCandidate({ _id: 'far', location: { coordinates: [-74.006, 40.7128] } })
+            ]);
+
+            const result = await MatchingService.findMatches('user1', { maxDistance: 50 });
+
+            expect(result.matches.map(match => match.user._id)).toEqual(['near']);
+        });
+
+        it('should skip the query when the user has not listed skills to swap', async () => {
+            User.findById.mockReturnValue({
+                select: jest.fn().mockResolvedValue(buildUser({ skillsWanted: [] }))
+            });
+            const find = jest.spyOn(User, 'find');
+
+            const result = await MatchingService.findMatches('user1');
+
+            expect(result).toEqual({ matches: [], profileComplete: false });
+            expect(find).not.toHaveBeenCalled();
+        });
+    });
+});
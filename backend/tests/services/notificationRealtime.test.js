@@ -0,0 +1,107 @@
+jest.mock('../../src/services/socketService', () => ({
+    isUserOnline: jest.fn(),
+    sendToUser: jest.fn().mockReturnValue(true),
+}));
+jest.mock('../../src/models/Notification', () => ({
+    findOne: jest.fn(),
+    getUnreadCount: jest.fn(),
+    markMultipleAsRead: jest.fn(),
+}));
+
+const socketService = require('../../src/services/socketService');
+const Notification = require('../../src/models/Notification');
+const NotificationService = require('../../src/services/notificationService');
+
+describe('NotificationService real-time delivery', () => {
+    const buildNotification = (overrides = {}) => ({
+        _id: 'notification1',
+        recipient: { _id: 'user1', email: 'user1@example.com', phone: '555-0100' },
+        sender: { _id: 'user2', firstName: 'Jane', lastName: 'Smith', email: 'jane@example.com' },
+        title: 'New Session Request',
+        message: 'Jane has requested a JavaScript session with you.',
+        type: 'session_request',
+        category: 'session',
+        priority: 'normal',
+        status: 'sent',
+        isRead: false,
+        actionData: { actionType: 'respond', actionUrl: '/sessions/abc', actionText: 'Respond' },
+        createdAt: new Date('2026-01-01T10:00:00Z'),
+        markChannelSent: jest.fn().mockResolvedValue(),
+        markChannelDelivered: jest.fn().mockResolvedValue(),
+        markChannelFailed: jest.fn().mockResolvedValue(),
+        markAsRead: jest.fn().mockResolvedValue({ _id: 'notification1', isRead: true }),
+        archive: jest.fn().mockResolvedValue({ _id: 'notification1', status: 'archived' }),
+        ...overrides,
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        socketService.isUserOnline.mockReturnValue(true);
+        Notification.getUnreadCount.mockResolvedValue(3);
+    });
+
+    describe('deliverInApp', () => {
+        it('should push the notification and unread count to the recipient', async () => {
+            const notification = buildNotification();
+
+            const result = await NotificationService.deliverInApp(notification);
+
+            expect(result).toEqual({ success: true, channel: 'inApp', pushed: true });
+            expect(socketService.sendToUser).toHaveBeenCalledWith('user1', 'new_notification', {
+                notification: expect.objectContaining({ _id: 'notification1', type: 'session_request' }),
+                unreadCount: 3,
+            });
+            expect(notification.markChannelDelivered).toHaveBeenCalledWith('inApp');
+        });
+
+        it('should not leak recipient or sender contact details', async () => {
+            await NotificationService.deliverInApp(buildNotification());
+
+            const [, , payload] = socketService.sendToUser.mock.calls[0];
+            expect(payload.notification.recipient).toBeUndefined();
+            expect(payload.notification.sender).toEqual({ _id: 'user2', firstName: 'Jane', lastName: 'Smith' });
+        });
+
+        it('should still mark delivery when the recipient is offline', async () => {
+            socketService.isUserOnline.mockReturnValue(false);
+            const notification = buildNotification();
+
+            const result = await NotificationService.deliverInApp(notification);
+
+            expect(result.pushed).toBe(false);
+            expect(socketService.sendToUser).not.toHaveBeenCalled();
+            expect(Notification.getUnreadCount).not.toHaveBeenCalled();
+            expect(notification.markChannelDelivered).toHaveBeenCalledWith('inApp');
+        });
+    });
+
+    describe('read and archive events', () => {
+        it('should broadcast a read event and new unread count', async () => {
+            Notification.findOne.mockResolvedValue(buildNotification());
+
+            await NotificationService.markAsRead('notification1', 'user1');
+
+            expect(socketService.sendToUser).toHaveBeenCalledWith('user1', 'notification_read', { notificationIds: ['notification1'] });
+            expect(socketService.sendToUser).toHaveBeenCalledWith('user1', 'notification_unread_count', { unreadCount: 3 });
+        });
+
+        it('should only broadcast bulk reads that changed something', async () => {
+            Notification.markMultipleAsRead.mockResolvedValueOnce({ modifiedCount: 0 });
+            await NotificationService.markMultipleAsRead(['n1', 'n2'], 'user1');
+            expect(socketService.sendToUser).not.toHaveBeenCalled();
+
+            Notification.markMultipleAsRead.mockResolvedValueOnce({ modifiedCount: 2 });
+            await NotificationService.markMultipleAsRead(['n1', 'n2'], 'user1');
+            expect(socketService.sendToUser).toHaveBeenCalledWith('user1', 'notification_read', { notificationIds: ['n1', 'n2'] });
+        });
+
+        it('should broadcast archive events', async () => {
+            Notification.findOne.mockResolvedValue(buildNotification());
+
+            await NotificationService.archiveNotification('notification1', 'user1');
+
+            expect(socketService.sendToUser).toHaveBeenCalledWith('user1', 'notification_archived', { notificationId: 'notification1' });
+            expect(socketService.sendToUser).toHaveBeenCalledWith('user1', 'notification_unread_count', { unreadCount: 3 });
+        });
+    });
+});
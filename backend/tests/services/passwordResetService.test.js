@@ -0,0 +1,88 @@
+const User = require('../../src/models/User');
+const RefreshToken = require('../../src/models/RefreshToken');
+const emailService = require('../../src/services/emailService');
+const NotificationService = require('../../src/services/notificationService');
+const PasswordResetService = require('../../src/services/passwordResetService');
+
+describe('PasswordResetService', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('requestReset', () => {
+        it('should store only a hash of the emailed token', async () => {
+            const user = {
+                email: 'john@example.com',
+                firstName: 'John',
+                save: jest.fn().mockResolvedValue(),
+            };
+            jest.spyOn(User, 'findOne').mockResolvedValue(user);
+            const sendEmail = jest.spyOn(emailService, 'sendPasswordResetEmail').mockResolvedValue({ success: true });
+
+            await expect(PasswordResetService.requestReset('john@example.com')).resolves.toBe(true);
+
+            expect(User.findOne).toHaveBeenCalledWith({ email: 'john@example.com', status: 'active' });
+            const [recipient, token] = sendEmail.mock.calls[0];
+            expect(recipient).toEqual({ email: 'john@example.com', firstName: 'John' });
+            expect(token).toMatch(/^[a-f0-9]{64}$/);
+            expect(user.passwordResetToken).toBe(PasswordResetService.hashToken(token));
+            expect(user.passwordResetToken).not.toBe(token);
+            expect(user.passwordResetExpires.getTime()).toBeGreaterThan(Date.now() + 59 * 60 * 1000);
+            expect(user.save).toHaveBeenCalled();
+        });
+
+        it('should do nothing for unknown accounts', async () => {
+            jest.spyOn(User, 'findOne').mockResolvedValue(null);
+            const sendEmail = jest.spyOn(emailService, 'sendPasswordResetEmail');
+
+            await expect(PasswordResetService.requestReset('nobody@example.com')).resolves.toBe(false);
+            expect(sendEmail).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('resetPassword', () => {
+        beforeEach(() => {
+            jest.spyOn(RefreshToken, 'revokeAllForUser').mockResolvedValue({ modifiedCount: 2 });
+            jest.spyOn(NotificationService, 'createSystemNotification').mockResolvedValue({});
+        });
+
+        it('should consume the token, set the password and end every session', async () => {
+            const user = { _id: 'user1', loginAttempts: 4, lockUntil: new Date(), save: jest.fn().mockResolvedValue() };
+            jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(user);
+
+            await PasswordResetService.resetPassword('raw-token', 'NewPassword123!');
+
+            expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+                {
+                    passwordResetToken: PasswordResetService.hashToken('raw-token'),
+                    passwordResetExpires: { $gt: expect.any(Date) },
+                },
+                { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+            );
+            expect(user.password).toBe('NewPassword123!');
+            expect(user.loginAttempts).toBe(0);
+            expect(user.lockUntil).toBeUndefined();
+            expect(user.save).toHaveBeenCalled();
+            expect(RefreshToken.revokeAllForUser).toHaveBeenCalledWith('user1', 'password_changed');
+            expect(NotificationService.createSystemNotification).toHaveBeenCalledWith({ userId: 'user1' }, 'password_changed');
+        });
+
+        it('should reject unknown, used or expired tokens', async () => {
+            jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(null);
+
+            await expect(PasswordResetService.resetPassword('raw-token', 'NewPassword123!'))
+                .rejects.toThrow('Password reset link is invalid or has expired');
+            expect(RefreshToken.revokeAllForUser).not.toHaveBeenCalled();
+        });
+
+        it('should not fail the reset when the notification cannot be created', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({ _id: 'user1', save: jest.fn().mockResolvedValue() });
+            NotificationService.createSystemNotification.mockRejectedValue(new Error('queue down'));
+
+            await expect(PasswordResetService.resetPassword('raw-token', 'NewPassword123!')).resolves.toEqual(
+                expect.objectContaining({ _id: 'user1' })
+            );
+        });
+    });
+});
@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const Review = require('../../src/models/Review');
+const config = require('../../src/config');
+const ReviewModerationService = require('../../src/services/reviewModerationService');
+
+const { ObjectId } = mongoose.Types;
+
+describe('ReviewModerationService', () => {
+    const reviewerId = new ObjectId();
+
+    const buildReview = (fields = {}) => new Review({
+        reviewer: reviewerId,
+        reviewee: new ObjectId(),
+        session: new ObjectId(),
+        rating: 4,
+        comment: 'Clear explanations and plenty of practice exercises.',
+        skillReviewed: { name: 'Python', category: 'Programming' },
+        reviewType: 'learning',
+        ...fields,
+    });
+
+    const mockSelect = (result) => ({ select: jest.fn().mockResolvedValue(result) });
+
+    beforeEach(() => {
+        jest.spyOn(Review, 'findOne').mockReturnValue(mockSelect(null));
+        jest.spyOn(Review.prototype, 'save').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('moderateSubmission', () => {
+        it('should leave clean reviews untouched', async () => {
+            const review = buildReview();
+
+            await expect(ReviewModerationService.moderateSubmission(review)).resolves.toEqual([]);
+
+            expect(review.status).toBe('active');
+            expect(review.isFlagged).toBe(false);
+            expect(review.moderation.autoActions).toHaveLength(0);
+            expect(review.moderation.contentFingerprint).toMatch(/^[0-9a-f]{64}$/);
+        });
+
+        it('should hide reviews with blocked words and explain why', async () => {
+            const review = buildReview({ comment: 'What a shitty session, total BULLSHIT.' });
+
+            await ReviewModerationService.moderateSubmission(review);
+
+            expect(review.status).toBe('hidden');
+            expect(review.isFlagged).toBe(true);
+            expect(review.moderationStatus).toBe('pending');
+            expect(review.moderation.autoActions[0]).toMatchObject({
+                rule: 'blocked_terms',
+                action: 'hide',
+                trigger: 'submit',
+                explanation: 'Contains blocked words: shitty, bullshit',
+            });
+        });
+
+        it('should not match blocked words inside other words', async () => {
+            const review = buildReview({ comment: 'We read Dickens and discussed Scunthorpe history.' });
+
+            await ReviewModerationService.moderateSubmission(review);
+
+            expect(review.moderation.autoActions).toHaveLength(0);
+        });
+
+        it('should use blocked words from the configuration', async () => {
+            jest.replaceProperty(config.reviewModeration, 'blockedTerms', ['scam']);
+            const review = buildReview({ comment: 'This whole course was a scam from the start.' });
+
+            await ReviewModerationService.moderateSubmission(review);
+
+            expect(review.moderation.autoActions[0].rule).toBe('blocked_terms');
+        });
+
+        it('should hide reviews containing contact details', async () => {
+            const review = buildReview({ comment: 'Book me directly at jane.doe@example.com or +1 (555) 123-4567' });
+
+            await ReviewModerationService.moderateSubmission(review);
+
+            expect(review.status).toBe('hidden');
+            expect(review.moderation.autoActions[0]).toMatchObject({
+                rule: 'personal_info',
+                explanation: 'Contains an email address and a phone number',
+            });
+        });
+
+        it('should flag links and spam patterns without hiding the review', async () => {
+            const review = buildReview({ comment: 'BEST TUTOR EVER, BOOK NOW!!!!!!! https://cheap-lessons.example' });
+
+            await ReviewModerationService.moderateSubmission(review);
+
+            expect(review.status).toBe('active');
+            expect(review.isFlagged).toBe(true);
+            expect(review.moderation.autoActions.map(action => action.rule)).toEqual(['links', 'spam']);
+            expect(review.moderation.autoActions[1].explanation).toBe(
+                'Looks like spam: a character repeated six or more times, mostly capital letters'
+            );
+        });
+
+        it('should allow as many links as configured', async () => {
+            jest.replaceProperty(config.reviewModeration, 'maxLinks', 1);
+            const review = buildReview({ comment: 'The notes at https://docs.python.org were a great help.' });
+
+            await ReviewModerationService.moderateSubmission(review);
+
+            expect(review.moderation.autoActions).toHaveLength(0);
+        });
+
+        it('should flag text already used in another review', async () => {
+            const original = buildReview();
+            Review.findOne.mockReturnValue(mockSelect({ _id: original._id, reviewer: reviewerId }));
+            const review = buildReview({ comment: 'Clear explanations, and plenty of practice exercises!' });
+
+            await ReviewModerationService.moderateSubmission(review);
+
+            expect(review.moderation.contentFingerprint).toBe(ReviewModerationService.fingerprint(original.comment));
+            expect(Review.findOne).toHaveBeenCalledWith({
+                _id: { $ne: review._id },
+                'moderation.contentFingerprint': review.moderation.contentFingerprint,
+            });
+            expect(review.moderation.autoActions[0]).toMatchObject({
+                rule: 'duplicate',
+                action: 'flag',
+                explanation: `Same text as review ${original._id} by the same reviewer`,
+            });
+        });
+
+        it('should not compare short comments', async () => {
+            const review = buildReview({ comment: 'Great session, thanks!' });
+
+            await ReviewModerationService.moderateSubmission(review);
+
+            expect(review.moderation.contentFingerprint).toBeUndefined();
+            expect(Review.findOne).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('flagReview', () => {
+        const flagBy = async (review, count) => {
+            for (let i = 0; i < count; i += 1) {
+                await ReviewModerationService.flagReview(review, new ObjectId(), 'spam');
+            }
+        };
+
+        it('should queue flagged reviews for admins and keep them visible below the limit', async () => {
+            const review = buildReview();
+
+            await flagBy(review, config.reviewModeration.autoHideFlagCount - 1);
+
+            expect(review.status).toBe('active');
+            expect(review.isFlagged).toBe(true);
+            expect(review.moderation.autoActions).toHaveLength(0);
+        });
+
+        it('should hide the review once enough users flagged it', async () => {
+            jest.replaceProperty(config.reviewModeration, 'autoHideFlagCount', 2);
+            const review = buildReview();
+
+            await flagBy(review, 2);
+
+            expect(review.status).toBe('hidden');
+            expect(review.moderationStatus).toBe('pending');
+            expect(review.moderation.autoActions).toHaveLength(1);
+            expect(review.moderation.autoActions[0]).toMatchObject({
+                rule: 'flag_threshold',
+                action: 'hide',
+                trigger: 'flag',
+                explanation: 'Flagged by 2 users (limit 2)',
+            });
+        });
+
+        it('should only count flags raised since an admin last approved the review', async () => {
+            jest.replaceProperty(config.reviewModeration, 'autoHideFlagCount', 2);
+            const review = buildReview();
+            review.moderation.flaggedBy.push({ user: new ObjectId(), reason: 'spam', flaggedAt: new Date(Date.now() - 60000) });
+            review.moderatedAt = new Date(Date.now() - 30000);
+
+            await flagBy(review, 1);
+
+            expect(review.status).toBe('active');
+        });
+
+        it('should apply the content rules to reviews posted before they existed', async () => {
+            jest.replaceProperty(config.reviewModeration, 'blockedTerms', ['scam']);
+            const review = buildReview({ comment: 'This tutor is a scam, email me at jane@example.com' });
+
+            await flagBy(review, 1);
+
+            expect(review.status).toBe('hidden');
+            expect(review.moderationStatus).toBe('pending');
+            expect(review.moderation.autoActions.map(({ rule, trigger }) => ({ rule, trigger }))).toEqual([
+                { rule: 'blocked_terms', trigger: 'flag' },
+                { rule: 'personal_info', trigger: 'flag' },
+            ]);
+            expect(Review.prototype.save).toHaveBeenCalled();
+        });
+
+        it('should not record the same rule again on later flags', async () => {
+            jest.replaceProperty(config.reviewModeration, 'autoHideFlagCount', 2);
+            const review = buildReview({ comment: 'BEST TUTOR EVER, BOOK NOW!!!!!!! https://cheap-lessons.example' });
+
+            await flagBy(review, 2);
+
+            expect(review.moderation.autoActions.map(autoAction => autoAction.rule)).toEqual([
+                'links',
+                'spam',
+                'flag_threshold',
+            ]);
+            expect(review.status).toBe('hidden');
+        });
+    });
+});
@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const Review = require('../../src/models/Review');
+const Session = require('../../src/models/Session');
+const User = require('../../src/models/User');
+const config = require('../../src/config');
+const ReviewService = require('../../src/services/reviewService');
+
+const { ObjectId } = mongoose.Types;
+
+describe('ReviewService', () => {
+    const requesterId = new ObjectId();
+    const providerId = new ObjectId();
+
+    const buildSession = (fields = {}) => new Session({
+        requester: requesterId,
+        provider: providerId,
+        skill: { name: 'Python', category: 'Programming', level: 'beginner' },
+        scheduledDate: new Date(Date.now() - 2 * 60 * 60 * 1000),
+        duration: 60,
+        status: 'completed',
+        ...fields,
+    });
+
+    const reviewData = (fields = {}) => ({
+        revieweeId: providerId.toString(),
+        rating: 5,
+        comment: 'Excellent teacher, very patient!',
+        ...fields,
+    });
+
+    beforeEach(() => {
+        jest.spyOn(User, 'isBlockedBetween').mockResolvedValue(false);
+        jest.spyOn(Review, 'reviewExistsForSession').mockResolvedValue(false);
+        jest.spyOn(Review.prototype, 'save').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(Session, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('createReview', () => {
+        it('should save a review of the other participant and link it to the session', async () => {
+            const session = buildSession();
+
+            const review = await ReviewService.createReview(session, requesterId.toString(), reviewData());
+
+            expect(review).toBeInstanceOf(Review);
+            expect(review.reviewee.toString()).toBe(providerId.toString());
+            expect(review.rating).toBe(5);
+            expect(review.reviewType).toBe('learning');
+            expect(review.skillReviewed.toObject()).toEqual({ name: 'Python', category: 'Programming' });
+            expect(Review.prototype.save).toHaveBeenCalled();
+            expect(Session.updateOne).toHaveBeenCalledWith(
+                { _id: session._id },
+                { $addToSet: { reviews: review._id } }
+            );
+            expect(session.reviews.map(String)).toEqual([review._id.toString()]);
+        });
+
+        it('should derive the review type from the reviewer role', async () => {
+            const fromProvider = await ReviewService.createReview(
+                buildSession(),
+                providerId,
+                reviewData({ revieweeId: requesterId })
+            );
+            const fromExchange = await ReviewService.createReview(
+                buildSession({ sessionType: 'exchange' }),
+                requesterId,
+                reviewData()
+            );
+
+            expect(fromProvider.reviewType).toBe('teaching');
+            expect(fromExchange.reviewType).toBe('exchange');
+        });
+
+        it('should only review the other participant', async () => {
+            await expect(ReviewService.createReview(buildSession(), requesterId, reviewData({
+                revieweeId: new ObjectId().toString(),
+            }))).rejects.toMatchObject({ statusCode: 400, message: 'Invalid reviewee for this session' });
+
+            expect(Review.prototype.save).not.toHaveBeenCalled();
+        });
+
+        it('should refuse reviews between users who blocked each other', async () => {
+            User.isBlockedBetween.mockResolvedValue(true);
+
+            await expect(ReviewService.createReview(buildSession(), requesterId, reviewData()))
+                .rejects.toMatchObject({ statusCode: 403, message: 'You cannot review this user' });
+
+            expect(Review.prototype.save).not.toHaveBeenCalled();
+        });
+
+        it('should allow one review per session and reviewer', async () => {
+            Review.reviewExistsForSession.mockResolvedValue(true);
+
+            await expect(ReviewService.createReview(buildSession(), requesterId, reviewData()))
+                .rejects.toMatchObject({ statusCode: 409, message: 'You have already reviewed this session' });
+
+            expect(Review.prototype.save).not.toHaveBeenCalled();
+        });
+
+        it('should run the moderation rules before saving', async () => {
+            const review = await ReviewService.createReview(buildSession(), requesterId, reviewData({
+                comment: 'Great teacher, call me on 555 123 4567',
+            }));
+
+            expect(review.status).toBe('hidden');
+            expect(review.moderation.autoActions[0].rule).toBe('personal_info');
+            expect(Review.prototype.save).toHaveBeenCalled();
+        });
+    });
+
+    describe('editReview', () => {
+        const HOUR_MS = 60 * 60 * 1000;
+
+        const buildReview = (fields = {}) => {
+            const review = new Review({
+                reviewer: requesterId,
+                reviewee: providerId,
+                session: new ObjectId(),
+                rating: 3,
+                comment: 'Good session, a bit rushed at the end.',
+                skillReviewed: { name: 'Python', category: 'Programming' },
+                reviewType: 'learning',
+                ...fields,
+            });
+            review.createdAt = new Date(Date.now() - HOUR_MS);
+            return review;
+        };
+
+        beforeEach(() => {
+            jest.spyOn(Review, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+        });
+
+        it('should keep the previous version and save the new rating and comment', async () => {
+            const review = buildReview();
+            jest.spyOn(Review, 'findById').mockResolvedValue(review);
+
+            const edited = await ReviewService.editReview(review._id, requesterId.toString(), {
+                rating: 5,
+                comment: '  Great session, the pace was just right.  ',
+            });
+
+            expect(edited.rating).toBe(5);
+            expect(edited.comment).toBe('Great session, the pace was just right.');
+            expect(edited.editedAt).toBeInstanceOf(Date);
+            expect(edited.editHistory).toHaveLength(1);
+            expect(edited.editHistory[0]).toMatchObject({
+                rating: 3,
+                comment: 'Good session, a bit rushed at the end.',
+                editedAt: edited.editedAt,
+            });
+            expect(edited.isModified('rating')).toBe(true);
+            expect(Review.prototype.save).toHaveBeenCalled();
+        });
+
+        it('should keep every revision in order', async () => {
+            const review = buildReview();
+            jest.spyOn(Review, 'findById').mockResolvedValue(review);
+
+            await ReviewService.editReview(review._id, requesterId, { rating: 4 });
+            await ReviewService.editReview(review._id, requesterId, { rating: 5 });
+
+            expect(review.editHistory.map(revision => revision.rating)).toEqual([3, 4]);
+        });
+
+        it('should not save a revision when nothing changed', async () => {
+            const review = buildReview();
+            jest.spyOn(Review, 'findById').mockResolvedValue(review);
+
+            await ReviewService.editReview(review._id, requesterId, { rating: 3 });
+
+            expect(review.editHistory).toBeUndefined();
+            expect(Review.prototype.save).not.toHaveBeenCalled();
+        });
+
+        it('should run the moderation rules on a new comment', async () => {
+            const review = buildReview();
+            jest.spyOn(Review, 'findById').mockResolvedValue(review);
+
+            await ReviewService.editReview(review._id, requesterId, { comment: 'Text me instead: 555 123 4567' });
+
+            expect(review.status).toBe('hidden');
+            expect(review.moderation.autoActions[0]).toMatchObject({ rule: 'personal_info', trigger: 'edit' });
+        });
+
+        it('should only let the author edit the review', async () => {
+            jest.spyOn(Review, 'findById').mockResolvedValue(buildReview());
+
+            await expect(ReviewService.editReview(new ObjectId(), providerId, { rating: 1 }))
+                .rejects.toMatchObject({ statusCode: 403, message: 'You can only edit your own reviews' });
+        });
+
+        it('should refuse edits after the edit window', async () => {
+            const review = buildReview();
+            review.createdAt = new Date(Date.now() - (config.reviews.editWindowHours + 1) * HOUR_MS);
+            jest.spyOn(Review, 'findById').mockResolvedValue(review);
+
+            await expect(ReviewService.editReview(review._id, requesterId, { rating: 5 }))
+                .rejects.toMatchObject({
+                    statusCode: 403,
+                    message: `Reviews can only be edited within ${config.reviews.editWindowHours} hours of submitting`,
+                });
+            expect(Review.prototype.save).not.toHaveBeenCalled();
+        });
+
+        it('should treat removed reviews as missing', async () => {
+            jest.spyOn(Review, 'findById').mockResolvedValue(buildReview({ status: 'removed' }));
+
+            await expect(ReviewService.editReview(new ObjectId(), requesterId, { rating: 5 }))
+                .rejects.toMatchObject({ statusCode: 404 });
+        });
+    });
+});
@@ -0,0 +1,162 @@
+jest.mock('../../src/services/notificationService', () => ({
+    createSessionNotification: jest.fn().mockResolvedValue({}),
+}));
+
+const NotificationService = require('../../src/services/notificationService');
+const User = require('../../src/models/User');
+const {
+    SESSION_EVENTS,
+    SessionEventBus,
+    registerNotificationHandlers,
+    registerReputationHandlers,
+} = require('../../src/services/sessionEvents');
+
+describe('Session Events', () => {
+    const requester = { _id: 'requester123', firstName: 'John' };
+    const provider = { _id: 'provider456', firstName: 'Jane' };
+    const session = {
+        _id: 'session789',
+        requester,
+        provider,
+        skill: { name: 'JavaScript' },
+    };
+
+    let bus;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        bus = registerNotificationHandlers(new SessionEventBus());
+    });
+
+    const calls = () => NotificationService.createSessionNotification.mock.calls.map(([data, type, additionalData]) => ({
+        recipientId: data.recipientId,
+        senderId: data.senderId,
+        type,
+        additionalData,
+    }));
+
+    describe('notification routing', () => {
+        it('should notify the provider of a new request', async () => {
+            await bus.publish(SESSION_EVENTS.REQUESTED, { session, actorId: 'requester123' });
+
+            expect(calls()).toEqual([
+                { recipientId: 'provider456', senderId: 'requester123', type: 'session_request', additionalData: {} },
+            ]);
+        });
+
+        it('should notify the requester when the provider accepts', async () => {
+            await bus.publish(SESSION_EVENTS.ACCEPTED, { session, actorId: 'provider456' });
+
+            expect(calls()[0]).toMatchObject({ recipientId: 'requester123', senderId: 'provider456', type: 'session_accepted' });
+        });
+
+        it('should notify the requester when the provider declines', async () => {
+            await bus.publish(SESSION_EVENTS.DECLINED, { session, actorId: 'provider456' });
+
+            expect(calls()[0]).toMatchObject({ recipientId: 'requester123', type: 'session_declined' });
+        });
+
+        it('should notify the other participant of a cancellation', async () => {
+            await bus.publish(SESSION_EVENTS.CANCELLED, { session, actorId: 'provider456' });
+            await bus.publish(SESSION_EVENTS.CANCELLED, { session, actorId: 'requester123' });
+
+            expect(calls()).toEqual([
+                expect.objectContaining({ recipientId: 'requester123', senderId: 'provider456', type: 'session_cancelled' }),
+                expect.objectContaining({ recipientId: 'provider456', senderId: 'requester123', type: 'session_cancelled' }),
+            ]);
+        });
+
+        it('should ask both participants for a review on completion', async () => {
+            await bus.publish(SESSION_EVENTS.COMPLETED, { session, actorId: 'requester123' });
+
+            expect(calls()).toEqual([
+                expect.objectContaining({ recipientId: 'requester123', senderId: undefined, type: 'session_completed' }),
+                expect.objectContaining({ recipientId: 'provider456', senderId: 'requester123', type: 'session_completed' }),
+            ]);
+        });
+
+        it('should name the proposer in alternative time notifications', async () => {
+            await bus.publish(SESSION_EVENTS.ALTERNATIVE_TIME_PROPOSED, { session, actorId: 'requester123' });
+
+            expect(calls()[0]).toEqual({
+                recipientId: 'provider456',
+                senderId: 'requester123',
+                type: 'alternative_time_proposed',
+                additionalData: { proposerName: 'John' },
+            });
+        });
+
+        it('should pass the occurrence count for series-wide events', async () => {
+            await bus.publish(SESSION_EVENTS.ACCEPTED, { session, actorId: 'provider456', occurrenceCount: 6 });
+
+            expect(calls()[0].additionalData).toEqual({ occurrenceCount: 6 });
+        });
+
+        it('should accept unpopulated participant ids', async () => {
+            const unpopulated = { ...session, requester: 'requester123', provider: 'provider456' };
+
+            await bus.publish(SESSION_EVENTS.REQUESTED, { session: unpopulated, actorId: 'requester123' });
+
+            expect(calls()[0]).toMatchObject({ recipientId: 'provider456', senderId: 'requester123' });
+        });
+    });
+
+    describe('reputation', () => {
+        let reputationBus;
+
+        beforeEach(() => {
+            jest.spyOn(User, 'syncSkillReputation').mockResolvedValue([]);
+            jest.spyOn(User, 'syncSessionStats').mockResolvedValue({});
+            reputationBus = registerReputationHandlers(new SessionEventBus());
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should recompute the provider\'s skill reputation when a session is completed', async () => {
+            await reputationBus.publish(SESSION_EVENTS.COMPLETED, { session, actorId: 'requester123' });
+            await reputationBus.publish(SESSION_EVENTS.CANCELLED, { session, actorId: 'requester123' });
+
+            expect(User.syncSkillReputation).toHaveBeenCalledTimes(1);
+            expect(User.syncSkillReputation).toHaveBeenCalledWith('provider456');
+            expect(User.syncSessionStats.mock.calls).toEqual([['provider456'], ['requester123']]);
+        });
+
+        it('should recompute the provider\'s response rate when a request is answered or expires', async () => {
+            await reputationBus.publish(SESSION_EVENTS.ACCEPTED, { session, actorId: 'provider456' });
+            await reputationBus.publish(SESSION_EVENTS.DECLINED, { session, actorId: 'provider456' });
+            await reputationBus.publish(SESSION_EVENTS.EXPIRED, { session, actorId: null });
+
+            expect(User.syncSessionStats.mock.calls).toEqual([['provider456'], ['provider456'], ['provider456']]);
+        });
+    });
+
+    describe('SessionEventBus', () => {
+        it('should not propagate handler failures to the publisher', async () => {
+            const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            NotificationService.createSessionNotification.mockRejectedValueOnce(new Error('Mongo down'));
+
+            const results = await bus.publish(SESSION_EVENTS.REQUESTED, { session, actorId: 'requester123' });
+
+            expect(results[0].status).toBe('rejected');
+            expect(consoleSpy).toHaveBeenCalled();
+            consoleSpy.mockRestore();
+        });
+
+        it('should stop calling a handler after unsubscribe', async () => {
+            const handler = jest.fn();
+            const unsubscribe = bus.subscribe('custom.event', handler);
+
+            await bus.publish('custom.event', {});
+            unsubscribe();
+            await bus.publish('custom.event', {});
+
+            expect(handler).toHaveBeenCalledTimes(1);
+        });
+
+        it('should resolve when an event has no handlers', async () => {
+            await expect(bus.publish('unknown.event', {})).resolves.toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,212 @@
+const Session = require('../../src/models/Session');
+const User = require('../../src/models/User');
+const SessionService = require('../../src/services/sessionService');
+const { sessionEvents, SESSION_EVENTS } = require('../../src/services/sessionEvents');
+
+describe('Recurring session series', () => {
+    const requesterId = '507f1f77bcf86cd799439011';
+    const providerId = '507f1f77bcf86cd799439012';
+    const firstStart = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+    const weeks = (n) => n * 7 * 24 * 60 * 60 * 1000;
+
+    const sessionData = (recurrence) => ({
+        providerId,
+        skill: { name: 'JavaScript', category: 'Programming', level: 'intermediate' },
+        scheduledDate: firstStart.toISOString(),
+        duration: 60,
+        timezone: 'UTC',
+        recurrence,
+    });
+
+    beforeEach(() => {
+        jest.spyOn(User, 'findById').mockResolvedValue({ status: 'active', isEmailVerified: true });
+        jest.spyOn(User, 'isBlockedBetween').mockResolvedValue(false);
+        jest.spyOn(Session, 'findConflictingSessions').mockResolvedValue([]);
+        jest.spyOn(Session, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+        jest.spyOn(Session.prototype, 'save').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(Session.prototype, 'populate').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(sessionEvents, 'publish').mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('buildOccurrenceDates', () => {
+        it('should expand a weekly rule with a count', () => {
+            const dates = SessionService.buildOccurrenceDates(firstStart, { frequency: 'weekly', count: 3 });
+
+            expect(dates.map(d => d.getTime())).toEqual([
+                firstStart.getTime(),
+                firstStart.getTime() + weeks(1),
+                firstStart.getTime() + weeks(2),
+            ]);
+        });
+
+        it('should expand a biweekly rule up to and including the end date', () => {
+            const dates = SessionService.buildOccurrenceDates(firstStart, {
+                frequency: 'biweekly',
+                endDate: new Date(firstStart.getTime() + weeks(4)),
+            });
+
+            expect(dates).toHaveLength(3);
+            expect(dates[2].getTime()).toBe(firstStart.getTime() + weeks(4));
+        });
+
+        it('should reject series with fewer than 2 or more than 26 sessions', () => {
+            expect(() => SessionService.buildOccurrenceDates(firstStart, {
+                frequency: 'weekly',
+                endDate: new Date(firstStart.getTime() + weeks(1) - 1),
+            })).toThrow('A recurring series must contain at least 2 sessions');
+
+            expect(() => SessionService.buildOccurrenceDates(firstStart, {
+                frequency: 'weekly',
+                endDate: new Date(firstStart.getTime() + weeks(52)),
+            })).toThrow('A series cannot have more than 26 sessions');
+        });
+    });
+
+    describe('createSessionSeries', () => {
+        it('should create one pending session per occurrence and notify once', async () => {
+            const { seriesId, sessions } = await SessionService.createSessionSeries(
+                requesterId,
+                sessionData({ frequency: 'weekly', count: 4 })
+            );
+
+            expect(sessions).toHaveLength(4);
+            sessions.forEach((session, index) => {
+                expect(session.status).toBe('pending');
+                expect(session.series.seriesId).toEqual(seriesId);
+                expect(session.series.occurrence).toBe(index + 1);
+                expect(session.series.totalOccurrences).toBe(4);
+            });
+
+            // Requester and provider are checked for every occurrence
+            expect(Session.findConflictingSessions).toHaveBeenCalledTimes(8);
+            expect(sessionEvents.publish).toHaveBeenCalledTimes(1);
+            expect(sessionEvents.publish).toHaveBeenCalledWith(
+                SESSION_EVENTS.REQUESTED,
+                expect.objectContaining({ session: sessions[0], occurrenceCount: 4 })
+            );
+        });
+
+        it('should list every conflicting occurrence and save nothing', async () => {
+            const thirdStart = firstStart.getTime() + weeks(2);
+            Session.findConflictingSessions.mockImplementation(async (userId, date) => (
+                userId === providerId && date.getTime() === thirdStart ? [{ _id: 'other' }] : []
+            ));
+
+            await expect(SessionService.createSessionSeries(requesterId, sessionData({ frequency: 'weekly', count: 4 })))
+                .rejects.toMatchObject({
+                    statusCode: 409,
+                    errors: [expect.objectContaining({ message: "Session 3 conflicts with one of the provider's sessions" })],
+                });
+
+            expect(Session.prototype.save).not.toHaveBeenCalled();
+            expect(sessionEvents.publish).not.toHaveBeenCalled();
+        });
+
+        it('should refuse a series between users who blocked each other', async () => {
+            User.isBlockedBetween.mockResolvedValue(true);
+
+            await expect(SessionService.createSessionSeries(requesterId, sessionData({ frequency: 'weekly', count: 2 })))
+                .rejects.toMatchObject({ statusCode: 403, message: 'You cannot book a session with this user' });
+
+            expect(User.isBlockedBetween).toHaveBeenCalledWith(requesterId, providerId);
+            expect(Session.prototype.save).not.toHaveBeenCalled();
+        });
+
+        it('should remove already saved occurrences when a later save fails', async () => {
+            Session.prototype.save
+                .mockImplementationOnce(function () { return Promise.resolve(this); })
+                .mockRejectedValueOnce(new Error('write failed'));
+
+            await expect(SessionService.createSessionSeries(requesterId, sessionData({ frequency: 'weekly', count: 3 })))
+                .rejects.toThrow('write failed');
+
+            expect(Session.deleteMany).toHaveBeenCalledWith({ 'series.seriesId': expect.anything() });
+        });
+    });
+
+    describe('respondToSeries', () => {
+        const buildSeries = (count) => Array.from({ length: count }, (_, index) => new Session({
+            requester: requesterId,
+            provider: providerId,
+            skill: { name: 'JavaScript', category: 'Programming', level: 'intermediate' },
+            scheduledDate: new Date(firstStart.getTime() + weeks(index)),
+            duration: 60,
+            status: 'pending',
+            series: { frequency: 'weekly', occurrence: index + 1, totalOccurrences: count },
+        }));
+
+        const mockFind = (sessions) => jest.spyOn(Session, 'find').mockReturnValue({
+            sort: jest.fn().mockResolvedValue(sessions),
+        });
+
+        it('should accept every pending occurrence at once', async () => {
+            const series = buildSeries(3);
+            mockFind(series);
+
+            const sessions = await SessionService.respondToSeries('seriesId', providerId, 'accept', {
+                meetingLink: 'https://meet.example.com/abc',
+            });
+
+            expect(sessions.map(s => s.status)).toEqual(['accepted', 'accepted', 'accepted']);
+            expect(sessions.every(s => s.meetingLink === 'https://meet.example.com/abc')).toBe(true);
+            expect(sessionEvents.publish).toHaveBeenCalledWith(
+                SESSION_EVENTS.ACCEPTED,
+                expect.objectContaining({ occurrenceCount: 3 })
+            );
+        });
+
+        it('should only let the provider respond', async () => {
+            mockFind(buildSeries(2));
+
+            await expect(SessionService.respondToSeries('seriesId', requesterId, 'decline'))
+                .rejects.toThrow('Only the session provider can respond to this request');
+            expect(Session.prototype.save).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('cancelSessionAndFollowing', () => {
+        it('should cancel the selected occurrence and every later one', async () => {
+            const [second, third] = [2, 3].map(occurrence => new Session({
+                requester: requesterId,
+                provider: providerId,
+                skill: { name: 'JavaScript', category: 'Programming', level: 'intermediate' },
+                scheduledDate: new Date(firstStart.getTime() + weeks(occurrence - 1)),
+                duration: 60,
+                status: 'accepted',
+                series: { seriesId: '507f1f77bcf86cd799439099', frequency: 'weekly', occurrence, totalOccurrences: 3 },
+            }));
+            jest.spyOn(Session, 'findById').mockResolvedValue(second);
+            jest.spyOn(Session, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([third]) });
+
+            const sessions = await SessionService.cancelSessionAndFollowing(second._id, requesterId, 'Moving away');
+
+            expect(Session.find).toHaveBeenCalledWith(expect.objectContaining({
+                'series.occurrence': { $gt: 2 },
+            }));
+            expect(sessions.map(s => s.status)).toEqual(['cancelled', 'cancelled']);
+            expect(third.cancellationReason).toBe('Moving away');
+            expect(sessionEvents.publish).toHaveBeenCalledTimes(1);
+        });
+
+        it('should reject sessions that are not part of a series', async () => {
+            jest.spyOn(Session, 'findById').mockResolvedValue(new Session({
+                requester: requesterId,
+                provider: providerId,
+                skill: { name: 'JavaScript', category: 'Programming', level: 'intermediate' },
+                scheduledDate: firstStart,
+                duration: 60,
+            }));
+
+            await expect(SessionService.cancelSessionAndFollowing('sessionId', requesterId))
+                .rejects.toThrow('This session is not part of a recurring series');
+        });
+    });
+});
@@ -0,0 +1,69 @@
+const Session = require('../../src/models/Session');
+const SessionService = require('../../src/services/sessionService');
+const { sessionEvents, SESSION_EVENTS } = require('../../src/services/sessionEvents');
+const { InvalidStateTransitionError } = require('../../src/middleware/errorHandler');
+
+describe('SessionService', () => {
+    const requesterId = '507f1f77bcf86cd799439011';
+    const providerId = '507f1f77bcf86cd799439012';
+    const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+    const buildSession = (fields = {}) => new Session({
+        requester: requesterId,
+        provider: providerId,
+        skill: { name: 'JavaScript', category: 'Programming', level: 'intermediate' },
+        scheduledDate: hoursFromNow(48),
+        duration: 60,
+        ...fields,
+    });
+
+    beforeEach(() => {
+        jest.spyOn(Session.prototype, 'save').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(Session.prototype, 'populate').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(sessionEvents, 'publish').mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('proposeAlternativeTime / submitSessionFeedback', () => {
+        it('should refuse them in the wrong status like other transitions', async () => {
+            const accepted = buildSession({ status: 'accepted' });
+            jest.spyOn(Session, 'findById').mockResolvedValue(accepted);
+
+            await expect(SessionService.proposeAlternativeTime(accepted._id, providerId, hoursFromNow(72)))
+                .rejects.toThrow(InvalidStateTransitionError);
+            await expect(SessionService.proposeAlternativeTime(accepted._id, providerId, hoursFromNow(72)))
+                .rejects.toThrow('Cannot propose an alternative time for an accepted session');
+            await expect(SessionService.submitSessionFeedback(accepted._id, requesterId, 5, 'Great session!'))
+                .rejects.toMatchObject({
+                    code: 'INVALID_STATE_TRANSITION',
+                    message: 'Can only provide feedback for completed sessions',
+                });
+            expect(Session.prototype.save).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('cancelUpcomingSessionsForUser', () => {
+        it('should cancel confirmed sessions even with less than 2 hours notice', async () => {
+            const startingSoon = buildSession({ status: 'accepted', scheduledDate: hoursFromNow(1) });
+            const request = buildSession({ status: 'pending' });
+            jest.spyOn(Session, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([startingSoon, request]) });
+
+            const sessions = await SessionService.cancelUpcomingSessionsForUser(requesterId, 'Account deleted');
+
+            expect(sessions.map(s => s.status)).toEqual(['cancelled', 'cancelled']);
+            expect(startingSoon.cancellationReason).toBe('Account deleted');
+            expect(startingSoon.statusHistory[0]).toMatchObject({ from: 'accepted', to: 'cancelled' });
+            expect(sessionEvents.publish).toHaveBeenCalledWith(
+                SESSION_EVENTS.CANCELLED,
+                expect.objectContaining({ session: startingSoon })
+            );
+        });
+    });
+});
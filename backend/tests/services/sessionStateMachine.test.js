@@ -0,0 +1,137 @@
+const {
+    SESSION_TRANSITIONS,
+    assertTransition,
+    assertAction,
+    canTransition,
+    getAvailableTransitions,
+    applyTransition,
+} = require('../../src/services/sessionStateMachine');
+const { InvalidStateTransitionError } = require('../../src/middleware/errorHandler');
+
+describe('Session state machine', () => {
+    const now = new Date('2026-03-10T12:00:00Z');
+    const hoursFromNow = (hours) => new Date(now.getTime() + hours * 60 * 60 * 1000);
+
+    const buildSession = (overrides = {}) => ({
+        requester: 'requester1',
+        provider: 'provider1',
+        status: 'pending',
+        scheduledDate: hoursFromNow(24),
+        duration: 60,
+        statusHistory: [],
+        ...overrides,
+    });
+
+    it('should treat statuses without outgoing transitions as terminal', () => {
+        ['rejected', 'cancelled', 'completed', 'expired', 'no-show'].forEach(status => {
+            expect(SESSION_TRANSITIONS[status]).toBeUndefined();
+            expect(getAvailableTransitions(buildSession({ status }), 'provider1', now)).toEqual([]);
+        });
+    });
+
+    it('should reject transitions that are not in the table', () => {
+        const session = buildSession({ status: 'accepted' });
+
+        expect(() => assertTransition(session, 'rejected', { actorId: 'provider1', now }))
+            .toThrow('Cannot respond to an accepted session');
+        expect(() => assertTransition(buildSession({ status: 'expired' }), 'cancelled', { actorId: 'requester1', now }))
+            .toThrow('Cannot cancel an expired session');
+        expect(() => assertTransition(buildSession({ status: 'rejected' }), 'accepted', { actorId: 'provider1', now }))
+            .toThrow('Cannot respond to a rejected session');
+    });
+
+    it('should only let the provider respond to a request', () => {
+        const session = buildSession();
+
+        expect(canTransition(session, 'accepted', { actorId: 'provider1', now })).toBe(true);
+        expect(() => assertTransition(session, 'accepted', { actorId: 'requester1', now }))
+            .toThrow('Only the session provider can respond to this request');
+        expect(canTransition(session, 'rejected', { actorId: 'stranger', now })).toBe(false);
+    });
+
+    it('should only let the system expire a request once its time has passed', () => {
+        expect(canTransition(buildSession(), 'expired', { now })).toBe(false);
+        expect(canTransition(buildSession({ scheduledDate: hoursFromNow(-1) }), 'expired', { now })).toBe(true);
+        expect(canTransition(buildSession({ scheduledDate: hoursFromNow(-1) }), 'expired', { actorId: 'provider1', now }))
+            .toBe(false);
+    });
+
+    it('should enforce the cancellation notice for accepted sessions', () => {
+        expect(canTransition(buildSession({ status: 'accepted' }), 'cancelled', { actorId: 'requester1', now })).toBe(true);
+        expect(() => assertTransition(
+            buildSession({ status: 'accepted', scheduledDate: hoursFromNow(1) }),
+            'cancelled',
+            { actorId: 'requester1', now }
+        )).toThrow('Cannot cancel confirmed session with less than 2 hours notice');
+    });
+
+    it('should skip the cancellation notice when asked to but still check the actor', () => {
+        const startingSoon = buildSession({ status: 'accepted', scheduledDate: hoursFromNow(1) });
+
+        expect(canTransition(startingSoon, 'cancelled', { actorId: 'requester1', now, skipGuard: true })).toBe(true);
+        expect(canTransition(startingSoon, 'cancelled', { actorId: 'stranger', now, skipGuard: true })).toBe(false);
+        expect(canTransition(buildSession({ status: 'completed' }), 'cancelled', { actorId: 'requester1', now, skipGuard: true }))
+            .toBe(false);
+    });
+
+    it('should allow completion once started and no-show only after the end time', () => {
+        const inProgress = buildSession({ status: 'accepted', scheduledDate: hoursFromNow(-0.5) });
+
+        expect(getAvailableTransitions(inProgress, 'provider1', now)).toEqual(['completed']);
+
+        const finished = buildSession({ status: 'accepted', scheduledDate: hoursFromNow(-2) });
+        expect(getAvailableTransitions(finished, 'requester1', now)).toEqual(['completed', 'no-show']);
+    });
+
+    it('should resolve populated participants', () => {
+        const session = buildSession({ provider: { _id: 'provider1', firstName: 'Jane' } });
+
+        expect(canTransition(session, 'accepted', { actorId: 'provider1', now })).toBe(true);
+    });
+
+    it('should apply the transition and record it in the audit trail', () => {
+        const session = buildSession({ status: 'accepted', scheduledDate: hoursFromNow(-2) });
+
+        applyTransition(session, 'no-show', { actorId: 'requester1', reason: 'Never joined', now });
+
+        expect(session.status).toBe('no-show');
+        expect(session.statusHistory).toEqual([{
+            from: 'accepted',
+            to: 'no-show',
+            changedBy: 'requester1',
+            reason: 'Never joined',
+            changedAt: now,
+        }]);
+    });
+
+    it('should check actions that keep the status like transitions', () => {
+        expect(() => assertAction(buildSession(), 'proposeAlternativeTime', { actorId: 'requester1' })).not.toThrow();
+        expect(() => assertAction(buildSession({ status: 'completed' }), 'leaveFeedback', { actorId: 'provider1' }))
+            .not.toThrow();
+
+        expect(() => assertAction(buildSession({ status: 'accepted' }), 'proposeAlternativeTime', { actorId: 'provider1' }))
+            .toThrow(new InvalidStateTransitionError('Cannot propose an alternative time for an accepted session'));
+        expect(() => assertAction(buildSession(), 'leaveFeedback', { actorId: 'requester1' }))
+            .toThrow('Can only provide feedback for completed sessions');
+        expect(() => assertAction(buildSession({ status: 'completed' }), 'leaveFeedback', { actorId: 'stranger' }))
+            .toThrow('Only the session requester or provider can leave feedback for this session');
+    });
+
+    it('should leave the session untouched and expose a typed error when a transition fails', () => {
+        const session = buildSession({ status: 'completed' });
+
+        let error;
+        try {
+            applyTransition(session, 'cancelled', { actorId: 'requester1', now });
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error).toBeInstanceOf(InvalidStateTransitionError);
+        expect(error.statusCode).toBe(400);
+        expect(error.code).toBe('INVALID_STATE_TRANSITION');
+        expect(error.message).toBe('Cannot cancel a completed session');
+        expect(session.status).toBe('completed');
+        expect(session.statusHistory).toHaveLength(0);
+    });
+});
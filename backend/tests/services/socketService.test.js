@@ -0,0 +1,296 @@
+const http = require('http');
+const mongoose = require('mongoose');
+const { io: ioClient } = require('socket.io-client');
+const Chat = require('../../src/models/Chat');
+const RefreshToken = require('../../src/models/RefreshToken');
+const User = require('../../src/models/User');
+const socketService = require('../../src/services/socketService');
+const JWTUtils = require('../../src/utils/jwt');
+
+describe('SocketService connection tracking', () => {
+    let emitted;
+
+    const buildSocket = (id, userId) => ({
+        id,
+        userId,
+        user: { firstName: 'John' },
+        join: jest.fn(),
+        on: jest.fn(),
+    });
+
+    beforeEach(() => {
+        emitted = [];
+        socketService.connectedUsers.clear();
+        socketService.userSockets.clear();
+        socketService.io = {
+            emit: jest.fn((event, data) => emitted.push({ room: '*', event, data })),
+            to: jest.fn(room => ({
+                emit: (event, data) => emitted.push({ room, event, data }),
+            })),
+        };
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        socketService.io = null;
+        console.log.mockRestore();
+    });
+
+    it('should keep a user online until their last socket disconnects', () => {
+        const tab1 = buildSocket('socket1', 'user1');
+        const tab2 = buildSocket('socket2', 'user1');
+
+        socketService.handleConnection(tab1);
+        socketService.handleConnection(tab2);
+        expect(socketService.getConnectedUserCount()).toBe(1);
+
+        socketService.handleDisconnection(tab1);
+        expect(socketService.isUserOnline('user1')).toBe(true);
+
+        socketService.handleDisconnection(tab2);
+        expect(socketService.isUserOnline('user1')).toBe(false);
+
+        const statusChanges = emitted.filter(e => e.event === 'user_status_change').map(e => e.data.status);
+        expect(statusChanges).toEqual(['online', 'offline']);
+    });
+
+    it('should send to the personal room so every tab receives the event', () => {
+        socketService.handleConnection(buildSocket('socket1', 'user1'));
+        socketService.handleConnection(buildSocket('socket2', 'user1'));
+
+        const sent = socketService.sendToUser('user1', 'new_notification', { unreadCount: 1 });
+
+        expect(sent).toBe(true);
+        expect(emitted).toContainEqual({ room: 'user:user1', event: 'new_notification', data: { unreadCount: 1 } });
+    });
+
+    it('should not send to offline users or before initialization', () => {
+        expect(socketService.sendToUser('user2', 'new_notification', {})).toBe(false);
+
+        socketService.io = null;
+        expect(socketService.sendToUser('user1', 'new_notification', {})).toBe(false);
+    });
+});
+
+describe('SocketService chat events', () => {
+    let emitted;
+    let chat;
+
+    const buildSocket = () => ({
+        id: 'socket1',
+        userId: 'user1',
+        user: { _id: 'user1', firstName: 'John', lastName: 'Doe', email: 'john@example.com' },
+        emit: jest.fn(),
+        to: jest.fn(room => ({
+            emit: (event, data) => emitted.push({ room, event, data }),
+        })),
+    });
+
+    beforeEach(() => {
+        emitted = [];
+        chat = {
+            isParticipant: jest.fn(userId => userId === 'user1'),
+            setTypingStatus: jest.fn().mockResolvedValue(),
+            markAsRead: jest.fn(),
+        };
+        jest.spyOn(Chat, 'findById').mockResolvedValue(chat);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should tell the other members who is typing without their email', async () => {
+        await socketService.handleTypingStart(buildSocket(), { chatId: 'chat1' });
+
+        expect(chat.setTypingStatus).toHaveBeenCalledWith('user1', true);
+        expect(emitted).toEqual([{
+            room: 'chat:chat1',
+            event: 'user_typing',
+            data: {
+                chatId: 'chat1',
+                userId: 'user1',
+                user: { _id: 'user1', firstName: 'John', lastName: 'Doe' },
+                isTyping: true,
+            },
+        }]);
+    });
+
+    it('should share the member read marker with the other members', async () => {
+        const readAt = new Date('2024-03-01T10:00:00Z');
+        chat.markAsRead.mockResolvedValue(readAt);
+        const socket = buildSocket();
+
+        await socketService.handleMarkAsRead(socket, { chatId: 'chat1' });
+
+        expect(emitted).toEqual([{
+            room: 'chat:chat1',
+            event: 'messages_read',
+            data: { chatId: 'chat1', userId: 'user1', messageId: undefined, readAt },
+        }]);
+        expect(socket.emit).toHaveBeenCalledWith('messages_marked_read', { chatId: 'chat1', messageId: undefined });
+    });
+
+    it('should only accept text messages from clients', async () => {
+        const socket = buildSocket();
+
+        await socketService.handleSendMessage(socket, { chatId: 'chat1', content: 'Hi', messageType: 'system' });
+
+        expect(Chat.findById).not.toHaveBeenCalled();
+        expect(socket.emit).toHaveBeenCalledWith('error', { message: 'Invalid message type' });
+    });
+
+    it('should tell the sender when a block stops their message', async () => {
+        const senderId = new mongoose.Types.ObjectId();
+        const recipientId = new mongoose.Types.ObjectId();
+        jest.spyOn(Chat, 'findById').mockResolvedValue(new Chat({
+            chatType: 'direct',
+            participants: [senderId, recipientId],
+        }));
+        jest.spyOn(User, 'isBlockedBetween').mockResolvedValue(true);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const socket = { ...buildSocket(), userId: senderId.toString() };
+
+        await socketService.handleSendMessage(socket, { chatId: 'chat1', content: 'Hi' });
+
+        expect(User.isBlockedBetween).toHaveBeenCalledWith(senderId.toString(), recipientId);
+        expect(socket.emit).toHaveBeenCalledWith('error', { message: 'You cannot send messages to this user' });
+        expect(emitted).toEqual([]);
+    });
+
+    it('should not notify members who muted the chat', () => {
+        const [sender, muted, online, offline] = [1, 2, 3, 4].map(() => new mongoose.Types.ObjectId());
+        const group = new Chat({
+            chatType: 'group',
+            participants: [sender, muted, online, offline],
+            participantStatus: [
+                { user: sender, role: 'owner' },
+                { user: muted, isMuted: true },
+                { user: online },
+                { user: offline },
+            ],
+        });
+        const message = { _id: 'message1', content: 'Hi' };
+        socketService.io = {
+            to: jest.fn(room => ({
+                emit: (event, data) => emitted.push({ room, event, data }),
+            })),
+        };
+        [muted, online].forEach(userId => socketService.connectedUsers.set(userId.toString(), new Set(['socket'])));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const notified = socketService.notifyParticipants(group, message, sender);
+
+        expect(notified).toEqual([online.toString(), offline.toString()]);
+        expect(emitted).toEqual([{
+            room: `user:${online}`,
+            event: 'message_notification',
+            data: { chatId: group._id, message },
+        }]);
+        expect(console.log).toHaveBeenCalledWith('📱 Would send push notification to 1 offline users');
+
+        socketService.io = null;
+        socketService.connectedUsers.clear();
+    });
+
+    it('should take removed members out of the chat room', () => {
+        const socketsLeave = jest.fn();
+        socketService.io = { in: jest.fn(() => ({ socketsLeave })) };
+
+        socketService.removeUserFromChat('user2', 'chat1');
+
+        expect(socketService.io.in).toHaveBeenCalledWith('user:user2');
+        expect(socketsLeave).toHaveBeenCalledWith('chat:chat1');
+        socketService.io = null;
+    });
+});
+
+describe('SocketService handshake', () => {
+    const userId = new mongoose.Types.ObjectId();
+    let server;
+    let client;
+
+    const connect = (token) => new Promise((resolve, reject) => {
+        client = ioClient(`http://localhost:${server.address().port}`, {
+            auth: { token },
+            transports: ['websocket'],
+            reconnection: false,
+        });
+        client.on('connect', () => resolve(client));
+        client.on('connect_error', reject);
+    });
+
+    beforeEach((done) => {
+        jest.spyOn(User, 'findById').mockReturnValue({
+            select: jest.fn().mockResolvedValue({ _id: userId, firstName: 'John', lastName: 'Doe', status: 'active' }),
+        });
+        jest.spyOn(RefreshToken, 'isFamilyActive').mockResolvedValue(true);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        server = http.createServer();
+        socketService.initialize(server);
+        server.listen(0, done);
+    });
+
+    afterEach((done) => {
+        client?.close();
+        socketService.io.close();
+        socketService.io = null;
+        socketService.connectedUsers.clear();
+        socketService.userSockets.clear();
+        jest.restoreAllMocks();
+        server.close(() => done());
+    });
+
+    it('should authenticate a connection with an access token', async () => {
+        const token = JWTUtils.generateAccessToken({ id: userId, email: 'john@example.com' });
+
+        await connect(token);
+
+        expect(client.connected).toBe(true);
+        expect(User.findById).toHaveBeenCalledWith(userId.toString());
+    });
+
+    it('should refuse two-factor challenge tokens', async () => {
+        const challengeToken = JWTUtils.generateTwoFactorChallengeToken({ id: userId, rememberMe: false });
+
+        await expect(connect(challengeToken)).rejects.toThrow('Authentication failed');
+        expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    it('should refuse connections without a valid token', async () => {
+        await expect(connect('not-a-token')).rejects.toThrow('Authentication failed');
+        await expect(connect(undefined)).rejects.toThrow('Authentication token required');
+    });
+
+    it('should refuse access tokens of a revoked session', async () => {
+        RefreshToken.isFamilyActive.mockResolvedValue(false);
+        const token = JWTUtils.generateAccessToken({ id: userId, email: 'john@example.com', sid: 'session-1' });
+
+        await expect(connect(token)).rejects.toThrow('Session has been revoked');
+        expect(RefreshToken.isFamilyActive).toHaveBeenCalledWith('session-1');
+        expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    it('should disconnect the sockets of a session once it is revoked', async () => {
+        const token = JWTUtils.generateAccessToken({ id: userId, email: 'john@example.com', sid: 'session-1' });
+        await connect(token);
+        const disconnected = new Promise(resolve => client.on('disconnect', resolve));
+
+        socketService.disconnectSession('session-2');
+        socketService.disconnectSession('session-1');
+
+        await expect(disconnected).resolves.toBe('io server disconnect');
+    });
+
+    it('should disconnect every socket of a user whose sessions are revoked', async () => {
+        const token = JWTUtils.generateAccessToken({ id: userId, email: 'john@example.com', sid: 'session-1' });
+        await connect(token);
+        const disconnected = new Promise(resolve => client.on('disconnect', resolve));
+
+        socketService.disconnectUser(userId);
+
+        await expect(disconnected).resolves.toBe('io server disconnect');
+        expect(socketService.isUserOnline(userId)).toBe(false);
+    });
+});
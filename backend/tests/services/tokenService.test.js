@@ -0,0 +1,160 @@
+const RefreshToken = require('../../src/models/RefreshToken');
+const User = require('../../src/models/User');
+const JWTUtils = require('../../src/utils/jwt');
+const TokenService = require('../../src/services/tokenService');
+const socketService = require('../../src/services/socketService');
+
+describe('TokenService', () => {
+    const user = {
+        _id: '507f1f77bcf86cd799439011',
+        email: 'john@example.com',
+        firstName: 'John',
+        lastName: 'Doe',
+        role: 'user',
+        isEmailVerified: true,
+        status: 'active',
+    };
+
+    const issueRefreshToken = (claims = {}) => JWTUtils.generateRefreshToken(
+        { id: user._id, email: user.email, sid: 'session-1', ...claims },
+        { jwtid: 'token-1' }
+    );
+
+    beforeEach(() => {
+        jest.spyOn(RefreshToken, 'create').mockImplementation(async doc => doc);
+        jest.spyOn(RefreshToken, 'revokeFamily').mockResolvedValue({ modifiedCount: 1 });
+        jest.spyOn(socketService, 'disconnectSession').mockImplementation(() => {});
+        jest.spyOn(socketService, 'disconnectUser').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('issueTokens', () => {
+        it('should persist the refresh token under a new session id', async () => {
+            const tokens = await TokenService.issueTokens(user, { device: { userAgent: 'jest', ip: '127.0.0.1' } });
+
+            const refresh = JWTUtils.verifyRefreshToken(tokens.refreshToken);
+            const access = JWTUtils.verifyAccessToken(tokens.accessToken);
+            expect(access.sid).toBe(refresh.sid);
+
+            expect(RefreshToken.create).toHaveBeenCalledWith({
+                user: user._id,
+                jti: refresh.jti,
+                family: refresh.sid,
+                expiresAt: new Date(refresh.exp * 1000),
+                device: { userAgent: 'jest', ip: '127.0.0.1' },
+            });
+        });
+
+        it('should give every login its own session', async () => {
+            const first = JWTUtils.verifyRefreshToken((await TokenService.issueTokens(user)).refreshToken);
+            const second = JWTUtils.verifyRefreshToken((await TokenService.issueTokens(user)).refreshToken);
+
+            expect(first.sid).not.toBe(second.sid);
+            expect(first.jti).not.toBe(second.jti);
+        });
+    });
+
+    describe('rotateRefreshToken', () => {
+        it('should revoke the presented token and issue the next one in the same session', async () => {
+            const current = { family: 'session-1', save: jest.fn().mockResolvedValue() };
+            jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(current);
+            jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+            const tokens = await TokenService.rotateRefreshToken(issueRefreshToken());
+
+            expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+                { jti: 'token-1', user: user._id, revokedAt: null },
+                { $set: { revokedAt: expect.any(Date), revokedReason: 'rotated' } },
+                { new: true }
+            );
+            const next = JWTUtils.verifyRefreshToken(tokens.refreshToken);
+            expect(next.sid).toBe('session-1');
+            expect(next.jti).not.toBe('token-1');
+            expect(current.replacedBy).toBe(next.jti);
+            expect(current.save).toHaveBeenCalled();
+        });
+
+        it('should keep the lifetime chosen at login when rotating', async () => {
+            jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue({
+                family: 'session-1',
+                expiresIn: '90d',
+                save: jest.fn().mockResolvedValue(),
+            });
+            jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+            const tokens = await TokenService.rotateRefreshToken(issueRefreshToken());
+
+            const next = JWTUtils.verifyRefreshToken(tokens.refreshToken);
+            expect(next.exp - next.iat).toBe(90 * 24 * 60 * 60);
+            expect(RefreshToken.create).toHaveBeenCalledWith(expect.objectContaining({ expiresIn: '90d' }));
+        });
+
+        it('should revoke the whole session when a rotated token is reused', async () => {
+            jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+            jest.spyOn(RefreshToken, 'findOne').mockResolvedValue({ family: 'session-1', revokedReason: 'rotated' });
+
+            await expect(TokenService.rotateRefreshToken(issueRefreshToken()))
+                .rejects.toThrow('Refresh token reuse detected');
+            expect(RefreshToken.revokeFamily).toHaveBeenCalledWith('session-1', 'reuse_detected');
+            expect(socketService.disconnectSession).toHaveBeenCalledWith('session-1');
+            expect(RefreshToken.create).not.toHaveBeenCalled();
+        });
+
+        it('should reject tokens revoked by logout without flagging reuse', async () => {
+            jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+            jest.spyOn(RefreshToken, 'findOne').mockResolvedValue({ family: 'session-1', revokedReason: 'logout' });
+
+            await expect(TokenService.rotateRefreshToken(issueRefreshToken()))
+                .rejects.toThrow('Refresh token has been revoked');
+            expect(RefreshToken.revokeFamily).not.toHaveBeenCalled();
+        });
+
+        it('should reject tokens issued without a session', async () => {
+            const findOneAndUpdate = jest.spyOn(RefreshToken, 'findOneAndUpdate');
+            const legacy = JWTUtils.generateRefreshToken({ id: user._id, email: user.email });
+
+            await expect(TokenService.rotateRefreshToken(legacy)).rejects.toThrow('no longer valid');
+            expect(findOneAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it('should end the session when the account is no longer active', async () => {
+            jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue({ family: 'session-1' });
+            jest.spyOn(User, 'findById').mockResolvedValue({ ...user, status: 'suspended' });
+
+            await expect(TokenService.rotateRefreshToken(issueRefreshToken())).rejects.toThrow('Account is not active');
+            expect(RefreshToken.revokeFamily).toHaveBeenCalledWith('session-1', 'account_inactive');
+        });
+    });
+
+    describe('revokeSession / revokeAllSessions', () => {
+        it('should revoke one session on logout and close its sockets', async () => {
+            await expect(TokenService.revokeSession('session-1')).resolves.toBe(1);
+            expect(RefreshToken.revokeFamily).toHaveBeenCalledWith('session-1', 'logout');
+            expect(socketService.disconnectSession).toHaveBeenCalledWith('session-1');
+            expect(socketService.disconnectUser).not.toHaveBeenCalled();
+        });
+
+        it('should ignore logouts from tokens without a session', async () => {
+            await expect(TokenService.revokeSession(undefined)).resolves.toBe(0);
+            expect(RefreshToken.revokeFamily).not.toHaveBeenCalled();
+        });
+
+        it('should revoke every session of the user and close their sockets', async () => {
+            jest.spyOn(RefreshToken, 'revokeAllForUser').mockResolvedValue({ modifiedCount: 3 });
+
+            await expect(TokenService.revokeAllSessions(user._id)).resolves.toBe(3);
+            expect(RefreshToken.revokeAllForUser).toHaveBeenCalledWith(user._id, 'logout_all');
+            expect(socketService.disconnectUser).toHaveBeenCalledWith(user._id);
+        });
+
+        it('should record why the sessions were revoked', async () => {
+            jest.spyOn(RefreshToken, 'revokeAllForUser').mockResolvedValue({ modifiedCount: 2 });
+
+            await TokenService.revokeAllSessions(user._id, 'password_changed');
+            expect(RefreshToken.revokeAllForUser).toHaveBeenCalledWith(user._id, 'password_changed');
+        });
+    });
+});
@@ -0,0 +1,178 @@
+const User = require('../../src/models/User');
+const OTPService = require('../../src/services/otpService');
+const TwoFactorService = require('../../src/services/twoFactorService');
+const { decodeBase32 } = require('../../src/utils/base32');
+
+const SECRET = 'JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP';
+
+const mockSelect = (result) => ({ select: jest.fn().mockResolvedValue(result) });
+
+describe('TwoFactorService', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('buildOtpAuthUrl', () => {
+        it('should build an otpauth URI for authenticator apps', () => {
+            const url = TwoFactorService.buildOtpAuthUrl('john@example.com', SECRET);
+
+            expect(url).toBe(
+                `otpauth://totp/SkillSwap%3Ajohn%40example.com?secret=${SECRET}&issuer=SkillSwap&algorithm=SHA1&digits=6&period=30`
+            );
+        });
+    });
+
+    describe('startEnrollment', () => {
+        it('should store a pending secret and return it with the URI', async () => {
+            const user = { email: 'john@example.com', twoFactor: { enabled: false }, save: jest.fn().mockResolvedValue() };
+            jest.spyOn(User, 'findById').mockReturnValue(mockSelect(user));
+
+            const { secret, otpauthUrl } = await TwoFactorService.startEnrollment('user1');
+
+            expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+            expect(decodeBase32(secret)).toHaveLength(20);
+            expect(otpauthUrl).toContain(`secret=${secret}`);
+            expect(user.twoFactor.pendingSecret).toBe(secret);
+            expect(user.twoFactor.enabled).toBe(false);
+            expect(user.save).toHaveBeenCalled();
+        });
+
+        it('should refuse when two-factor authentication is already on', async () => {
+            jest.spyOn(User, 'findById').mockReturnValue(mockSelect({ twoFactor: { enabled: true } }));
+
+            await expect(TwoFactorService.startEnrollment('user1')).rejects.toThrow('already enabled');
+        });
+    });
+
+    describe('confirmEnrollment', () => {
+        it('should enable two-factor authentication and return plain backup codes once', async () => {
+            const user = { twoFactor: { enabled: false, pendingSecret: SECRET }, save: jest.fn().mockResolvedValue() };
+            jest.spyOn(User, 'findById').mockReturnValue(mockSelect(user));
+            const code = OTPService.generateTOTP(decodeBase32(SECRET));
+
+            const { backupCodes } = await TwoFactorService.confirmEnrollment('user1', code);
+
+            expect(backupCodes).toHaveLength(10);
+            expect(user.twoFactor.enabled).toBe(true);
+            expect(user.twoFactor.secret).toBe(SECRET);
+            expect(user.twoFactor.pendingSecret).toBeUndefined();
+            expect(user.twoFactor.backupCodes).toEqual(backupCodes.map(c => OTPService.hashOTP(c)));
+            expect(user.twoFactor.backupCodes).not.toContain(backupCodes[0]);
+            expect(user.twoFactor.lastUsedStep).toBe(Math.floor(Date.now() / 30000));
+        });
+
+        it('should reject a wrong code', async () => {
+            const user = { twoFactor: { enabled: false, pendingSecret: SECRET }, save: jest.fn() };
+            jest.spyOn(User, 'findById').mockReturnValue(mockSelect(user));
+            const code = OTPService.generateTOTP(decodeBase32(SECRET));
+            const wrong = String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+            await expect(TwoFactorService.confirmEnrollment('user1', wrong)).rejects.toThrow('Invalid authentication code');
+            expect(user.save).not.toHaveBeenCalled();
+        });
+
+        it('should require setup first', async () => {
+            jest.spyOn(User, 'findById').mockReturnValue(mockSelect({ twoFactor: { enabled: false } }));
+
+            await expect(TwoFactorService.confirmEnrollment('user1', '123456')).rejects.toThrow('Start two-factor setup');
+        });
+    });
+
+    describe('verifyLoginCode', () => {
+        const user = { _id: 'user1', twoFactor: { enabled: true, secret: SECRET } };
+
+        it('should accept the current authenticator code once', async () => {
+            const findOneAndUpdate = jest.spyOn(User, 'findOneAndUpdate');
+            jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+            const code = OTPService.generateTOTP(decodeBase32(SECRET));
+            const step = Math.floor(Date.now() / 30000);
+
+            await expect(TwoFactorService.verifyLoginCode(user, code)).resolves.toEqual({ valid: true, method: 'totp' });
+            expect(User.updateOne).toHaveBeenCalledWith(
+                { _id: 'user1', 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+                { $set: { 'twoFactor.lastUsedStep': step } }
+            );
+            expect(findOneAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it('should reject an authenticator code that was already used', async () => {
+            // No match: the stored step is the code's step or a later one
+            jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+            const code = OTPService.generateTOTP(decodeBase32(SECRET));
+
+            await expect(TwoFactorService.verifyLoginCode(user, code)).resolves.toEqual({ valid: false });
+        });
+
+        it('should not record a wrong authenticator code', async () => {
+            const updateOne = jest.spyOn(User, 'updateOne');
+            const code = OTPService.generateTOTP(decodeBase32(SECRET));
+            const wrong = String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+            await expect(TwoFactorService.verifyLoginCode(user, wrong)).resolves.toEqual({ valid: false });
+            expect(updateOne).not.toHaveBeenCalled();
+        });
+
+        it('should consume a backup code atomically', async () => {
+            jest.spyOn(User, 'findOneAndUpdate').mockReturnValue(
+                mockSelect({ twoFactor: { backupCodes: ['a', 'b'] } })
+            );
+
+            const result = await TwoFactorService.verifyLoginCode(user, 'abcd-2345');
+
+            const hash = OTPService.hashOTP('ABCD2345');
+            expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: 'user1', 'twoFactor.backupCodes': hash },
+                { $pull: { 'twoFactor.backupCodes': hash } },
+                { new: true }
+            );
+            expect(result).toEqual({ valid: true, method: 'backup_code', backupCodesRemaining: 2 });
+        });
+
+        it('should reject a used or unknown backup code', async () => {
+            jest.spyOn(User, 'findOneAndUpdate').mockReturnValue(mockSelect(null));
+
+            await expect(TwoFactorService.verifyLoginCode(user, 'ABCD2345')).resolves.toEqual({ valid: false });
+        });
+    });
+
+    describe('disable and regenerateBackupCodes', () => {
+        const enabledUser = (passwordOk) => ({
+            _id: 'user1',
+            twoFactor: { enabled: true },
+            comparePassword: jest.fn().mockResolvedValue(passwordOk),
+        });
+
+        it('should require the current password', async () => {
+            jest.spyOn(User, 'findById').mockReturnValue(mockSelect(enabledUser(false)));
+            const updateOne = jest.spyOn(User, 'updateOne');
+
+            await expect(TwoFactorService.disable('user1', 'wrong')).rejects.toThrow('Password is incorrect');
+            await expect(TwoFactorService.regenerateBackupCodes('user1', 'wrong')).rejects.toThrow('Password is incorrect');
+            expect(updateOne).not.toHaveBeenCalled();
+        });
+
+        it('should remove the secret and backup codes when disabling', async () => {
+            jest.spyOn(User, 'findById').mockReturnValue(mockSelect(enabledUser(true)));
+            jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+            await TwoFactorService.disable('user1', 'Password123!');
+
+            const [, update] = User.updateOne.mock.calls[0];
+            expect(update.$set).toEqual({ 'twoFactor.enabled': false });
+            expect(update.$unset).toEqual(expect.objectContaining({ 'twoFactor.secret': 1, 'twoFactor.backupCodes': 1 }));
+        });
+
+        it('should replace every backup code', async () => {
+            jest.spyOn(User, 'findById').mockReturnValue(mockSelect(enabledUser(true)));
+            jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+            const { backupCodes } = await TwoFactorService.regenerateBackupCodes('user1', 'Password123!');
+
+            expect(backupCodes).toHaveLength(10);
+            expect(User.updateOne).toHaveBeenCalledWith(
+                { _id: 'user1' },
+                { $set: { 'twoFactor.backupCodes': backupCodes.map(c => OTPService.hashOTP(c)) } }
+            );
+        });
+    });
+});
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const Review = require('../../src/models/Review');
+const Session = require('../../src/models/Session');
+const Endorsement = require('../../src/models/Endorsement');
+const { backfillReputation } = require('../../scripts/backfillReputation');
+
+const { ObjectId } = mongoose.Types;
+
+describe('reputation', () => {
+    const userId = new ObjectId();
+    const python = { _id: new ObjectId(), name: 'Python' };
+    const guitar = { _id: new ObjectId(), name: 'Guitar ' };
+
+    beforeEach(() => {
+        jest.spyOn(User, 'findById').mockReturnValue({
+            select: jest.fn().mockReturnThis(),
+            lean: jest.fn().mockResolvedValue({ _id: userId, skills: [python, guitar] }),
+        });
+        jest.spyOn(Review, 'aggregate').mockResolvedValue([
+            { _id: 'python', rating: 4.666, count: 3 },
+            { _id: 'cooking', rating: 5, count: 1 },
+        ]);
+        jest.spyOn(Session, 'aggregate').mockResolvedValue([
+            { _id: 'python', count: 4 },
+            { _id: 'guitar', count: 2 },
+        ]);
+        jest.spyOn(Endorsement, 'aggregate').mockResolvedValue([
+            { _id: guitar._id, count: 5 },
+        ]);
+        jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('User.syncSkillReputation', () => {
+        it('should store each skill\'s reviews, sessions and endorsements in one write', async () => {
+            await User.syncSkillReputation(userId);
+
+            expect(User.updateOne).toHaveBeenCalledWith(
+                { _id: userId },
+                {
+                    $set: {
+                        'skills.$[skill0].reputation': { rating: 4.7, ratingCount: 3, sessionCount: 4, endorsementCount: 0 },
+                        'skills.$[skill1].reputation': { rating: 0, ratingCount: 0, sessionCount: 2, endorsementCount: 5 },
+                    },
+                },
+                { arrayFilters: [{ 'skill0._id': python._id }, { 'skill1._id': guitar._id }] }
+            );
+        });
+
+        it('should only count active reviews and completed sessions as provider', async () => {
+            await User.syncSkillReputation(userId);
+
+            expect(Review.aggregate.mock.calls[0][0][0]).toEqual({ $match: { reviewee: userId, status: 'active' } });
+            expect(Session.aggregate.mock.calls[0][0][0]).toEqual({ $match: { provider: userId, status: 'completed' } });
+        });
+    });
+
+    describe('User.syncSessionStats', () => {
+        it('should store completed sessions and the share of answered requests', async () => {
+            const completedAt = new Date('2026-09-01T10:00:00Z');
+            jest.spyOn(Session, 'countDocuments')
+                .mockResolvedValueOnce(7)
+                .mockResolvedValueOnce(9)
+                .mockResolvedValueOnce(3);
+            jest.spyOn(Session, 'findOne').mockReturnValue({
+                sort: jest.fn().mockReturnThis(),
+                select: jest.fn().mockReturnThis(),
+                lean: jest.fn().mockResolvedValue({ completedAt }),
+            });
+
+            const stats = await User.syncSessionStats(userId);
+
+            expect(stats).toEqual({
+                completed: 7,
+                lastCompletedAt: completedAt,
+                requestsAnswered: 9,
+                requestsMissed: 3,
+                responseRate: 75,
+            });
+            expect(Session.countDocuments).toHaveBeenCalledWith({
+                provider: userId,
+                statusHistory: { $elemMatch: { from: 'pending', to: 'expired' } },
+            });
+            expect(User.updateOne).toHaveBeenCalledWith({ _id: userId }, { $set: { sessionStats: stats } });
+        });
+
+        it('should leave the response rate out until a request was received', async () => {
+            jest.spyOn(Session, 'countDocuments').mockResolvedValue(0);
+            jest.spyOn(Session, 'findOne').mockReturnValue({
+                sort: jest.fn().mockReturnThis(),
+                select: jest.fn().mockReturnThis(),
+                lean: jest.fn().mockResolvedValue(null),
+            });
+
+            await expect(User.syncSessionStats(userId)).resolves.toEqual({
+                completed: 0,
+                requestsAnswered: 0,
+                requestsMissed: 0,
+            });
+        });
+    });
+
+    describe('backfillReputation', () => {
+        it('should recompute every user', async () => {
+            jest.spyOn(User, 'find').mockReturnValue({
+                select: jest.fn().mockReturnThis(),
+                lean: jest.fn().mockReturnThis(),
+                cursor: jest.fn(() => [{ _id: userId }]),
+            });
+            const syncSessionStats = jest.spyOn(User, 'syncSessionStats').mockResolvedValue({});
+
+            const summary = await backfillReputation();
+
+            expect(syncSessionStats).toHaveBeenCalledWith(userId);
+            expect(summary).toEqual({ users: 1, skills: 2 });
+        });
+    });
+});
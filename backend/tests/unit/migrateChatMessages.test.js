@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { toMessageDocuments, migrateChatMessages } = require('../../scripts/migrateChatMessages');
+
+const { ObjectId } = mongoose.Types;
+
+const buildDb = (chats, insertMany) => {
+    const collections = {
+        chats: {
+            find: jest.fn(() => chats),
+            updateOne: jest.fn().mockResolvedValue({}),
+        },
+        messages: {
+            insertMany,
+        },
+    };
+    return {
+        collections,
+        collection: (name) => collections[name],
+    };
+};
+
+describe('migrateChatMessages', () => {
+    const chatId = new ObjectId();
+    const sender = new ObjectId();
+    const createdAt = new Date('2024-03-01T10:00:00Z');
+
+    const embeddedChat = () => ({
+        _id: chatId,
+        messages: [
+            { _id: new ObjectId(), sender, content: 'Hi', messageType: 'text', createdAt, updatedAt: createdAt },
+            { _id: new ObjectId(), sender, content: 'Old', isRead: true },
+        ],
+    });
+
+    describe('toMessageDocuments', () => {
+        it('should link every message to its chat and keep ids and timestamps', () => {
+            const chat = embeddedChat();
+
+            const documents = toMessageDocuments(chat);
+
+            expect(documents).toHaveLength(2);
+            expect(documents[0]).toEqual(expect.objectContaining({
+                _id: chat.messages[0]._id,
+                chat: chatId,
+                content: 'Hi',
+                createdAt,
+                isDeleted: false,
+            }));
+        });
+
+        it('should fill in defaults for messages stored before the fields existed', () => {
+            const chat = embeddedChat();
+
+            const [, legacy] = toMessageDocuments(chat);
+
+            expect(legacy.messageType).toBe('text');
+            expect(legacy.isRead).toBe(true);
+            expect(legacy.createdAt).toEqual(chat.messages[1]._id.getTimestamp());
+            expect(legacy.updatedAt).toEqual(legacy.createdAt);
+        });
+    });
+
+    describe('migrateChatMessages', () => {
+        it('should copy the messages and then drop the embedded array', async () => {
+            const insertMany = jest.fn().mockResolvedValue({ insertedCount: 2 });
+            const db = buildDb([embeddedChat()], insertMany);
+
+            const summary = await migrateChatMessages(db);
+
+            expect(summary).toEqual({ chats: 1, messages: 2, inserted: 2 });
+            expect(insertMany).toHaveBeenCalledWith(expect.any(Array), { ordered: false });
+            expect(db.collections.chats.updateOne).toHaveBeenCalledWith(
+                { _id: chatId },
+                { $unset: { messages: '' } }
+            );
+        });
+
+        it('should skip messages copied by an earlier run', async () => {
+            const duplicate = Object.assign(new Error('E11000 duplicate key'), {
+                writeErrors: [{ code: 11000 }],
+                result: { insertedCount: 1 },
+            });
+            const db = buildDb([embeddedChat()], jest.fn().mockRejectedValue(duplicate));
+
+            const summary = await migrateChatMessages(db);
+
+            expect(summary.inserted).toBe(1);
+            expect(db.collections.chats.updateOne).toHaveBeenCalled();
+        });
+
+        it('should keep the embedded messages when an insert fails', async () => {
+            const failure = Object.assign(new Error('Document failed validation'), {
+                writeErrors: [{ code: 121 }],
+            });
+            const db = buildDb([embeddedChat()], jest.fn().mockRejectedValue(failure));
+
+            await expect(migrateChatMessages(db)).rejects.toThrow('Document failed validation');
+            expect(db.collections.chats.updateOne).not.toHaveBeenCalled();
+        });
+
+        it('should not write anything on a dry run', async () => {
+            const insertMany = jest.fn();
+            const db = buildDb([embeddedChat()], insertMany);
+
+            const summary = await migrateChatMessages(db, { dryRun: true });
+
+            expect(summary).toEqual({ chats: 1, messages: 2, inserted: 0 });
+            expect(insertMany).not.toHaveBeenCalled();
+            expect(db.collections.chats.updateOne).not.toHaveBeenCalled();
+        });
+    });
+});
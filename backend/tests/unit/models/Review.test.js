@@ -242,7 +242,7 @@ describe('Review Model Unit Tests', () => {
             expect(review.moderation.flaggedBy[0].details).toBe('Contains offensive language');
         });
 
-        it('should auto-hide review after multiple flags', async () => {
+        it('should queue flagged reviews for moderation without hiding them', async () => {
             // Add multiple flags
             await review.flagReview(testUsers[1]._id, 'inappropriate', 'Test 1');
 
@@ -270,7 +270,10 @@ describe('Review Model Unit Tests', () => {
             await review.flagReview(user3._id, 'spam', 'Test 2');
             await review.flagReview(user4._id, 'fake', 'Test 3');
 
-            expect(review.status).toBe('flagged');
+            // Hiding after several flags is left to ReviewModerationService
+            expect(review.status).toBe('active');
+            expect(review.isFlagged).toBe(true);
+            expect(review.moderationStatus).toBe('pending');
         });
 
         it('should mark helpfulness correctly', async () => {
@@ -366,13 +369,17 @@ describe('Review Model Unit Tests', () => {
                 comment: 'This is inappropriate content',
                 skillReviewed: { name: 'Python', category: 'Programming' },
                 reviewType: 'learning',
-                status: 'flagged'
+                isFlagged: true
             });
             await flaggedReview.save();
 
             const moderationReviews = await Review.getReviewsForModeration();
             expect(moderationReviews).toHaveLength(1);
-            expect(moderationReviews[0].status).toBe('flagged');
+            expect(moderationReviews[0]._id).toEqual(flaggedReview._id);
+
+            flaggedReview.moderationStatus = 'approved';
+            await flaggedReview.save();
+            await expect(Review.getReviewsForModeration()).resolves.toHaveLength(0);
         });
     });
 
@@ -430,5 +437,69 @@ describe('Review Model Unit Tests', () => {
             expect(updatedUser.rating.average).toBe(5);
             expect(updatedUser.rating.count).toBe(1);
         });
+
+        it('should recompute the rating when a review is removed and restored', async () => {
+            const review = await Review.create({
+                reviewer: testUsers[0]._id,
+                reviewee: testUsers[1]._id,
+                session: testSession._id,
+                rating: 2,
+                comment: 'Session was cut short.',
+                skillReviewed: { name: 'Python', category: 'Programming' },
+                reviewType: 'learning'
+            });
+
+            review.status = 'removed';
+            await review.save();
+            let user = await User.findById(testUsers[1]._id);
+            expect(user.rating.average).toBe(0);
+            expect(user.rating.count).toBe(0);
+
+            review.status = 'active';
+            await review.save();
+            user = await User.findById(testUsers[1]._id);
+            expect(user.rating.average).toBe(2);
+            expect(user.rating.count).toBe(1);
+        });
+
+        it('should update the reputation of the reviewed skill', async () => {
+            testUsers[1].skills.push({ name: 'Python', level: 'expert', category: 'Programming' });
+            await testUsers[1].save();
+
+            await Review.create({
+                reviewer: testUsers[0]._id,
+                reviewee: testUsers[1]._id,
+                session: testSession._id,
+                rating: 4,
+                comment: 'Clear explanations.',
+                skillReviewed: { name: 'python', category: 'Programming' },
+                reviewType: 'learning'
+            });
+
+            const user = await User.findById(testUsers[1]._id);
+            expect(user.skills[0].reputation).toMatchObject({
+                rating: 4,
+                ratingCount: 1,
+                sessionCount: 1,
+                endorsementCount: 0
+            });
+        });
+
+        it('should match users given as id strings', async () => {
+            await Review.create({
+                reviewer: testUsers[0]._id,
+                reviewee: testUsers[1]._id,
+                session: testSession._id,
+                rating: 4,
+                comment: 'Clear explanations.',
+                skillReviewed: { name: 'Python', category: 'Programming' },
+                reviewType: 'learning'
+            });
+
+            const ratingData = await Review.getUserAverageRating(testUsers[1]._id.toString());
+
+            expect(ratingData.totalReviews).toBe(1);
+            expect(ratingData.averageRating).toBe(4);
+        });
     });
 });
\ No newline at end of file
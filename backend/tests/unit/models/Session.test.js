@@ -437,6 +437,38 @@ describe('Session Model Unit Tests', () => {
 
             expect(session.cancelledAt).toBeDefined();
         });
+
+        it('should reset sent reminders when the session is rescheduled', async () => {
+            const session = new Session({
+                requester: testUsers[0]._id,
+                provider: testUsers[1]._id,
+                skill: {
+                    name: 'Python',
+                    category: 'Programming',
+                    level: 'beginner'
+                },
+                scheduledDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+                duration: 60,
+                sessionType: 'online'
+            });
+            session.remindersSent = {
+                requester: true,
+                provider: false,
+                history: [{ role: 'requester', windowMinutes: 1440 }]
+            };
+            await session.save();
+
+            session.meetingLink = 'https://meet.example.com/python';
+            await session.save();
+            expect(session.remindersSent.requester).toBe(true);
+
+            session.scheduledDate = new Date(Date.now() + 48 * 60 * 60 * 1000);
+            await session.save();
+
+            const saved = await Session.findById(session._id);
+            expect(saved.remindersSent.requester).toBe(false);
+            expect(saved.remindersSent.history).toHaveLength(0);
+        });
     });
 
     describe('Indexes', () => {
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const Review = require('../../src/models/Review');
+const { recalculateRatings } = require('../../scripts/recalculateRatings');
+
+const { ObjectId } = mongoose.Types;
+
+describe('recalculateRatings', () => {
+    const drifted = { _id: new ObjectId(), rating: { average: 4.5, count: 3 } };
+    const upToDate = { _id: new ObjectId(), rating: { average: 4, count: 2 } };
+    const unrated = { _id: new ObjectId(), rating: { average: 3, count: 1 } };
+
+    const ratings = new Map([
+        [drifted._id.toString(), { averageRating: 3.7, totalReviews: 3 }],
+        [upToDate._id.toString(), { averageRating: 4, totalReviews: 2 }],
+        [unrated._id.toString(), { averageRating: 0, totalReviews: 0 }],
+    ]);
+
+    beforeEach(() => {
+        const users = [drifted, upToDate, unrated];
+        jest.spyOn(User, 'find').mockReturnValue({
+            select: jest.fn().mockReturnThis(),
+            lean: jest.fn().mockReturnThis(),
+            cursor: jest.fn(() => users),
+        });
+        jest.spyOn(Review, 'getUserAverageRating').mockImplementation(async userId => ratings.get(userId.toString()));
+        jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should store the rating computed from active reviews for users whose rating drifted', async () => {
+        const summary = await recalculateRatings();
+
+        expect(summary).toEqual({ users: 3, changed: 2 });
+        expect(User.updateOne).toHaveBeenCalledTimes(2);
+        expect(User.updateOne).toHaveBeenCalledWith(
+            { _id: drifted._id },
+            { $set: { 'rating.average': 3.7, 'rating.count': 3 } }
+        );
+        expect(User.updateOne).toHaveBeenCalledWith(
+            { _id: unrated._id },
+            { $set: { 'rating.average': 0, 'rating.count': 0 } }
+        );
+    });
+
+    it('should only count changes on a dry run', async () => {
+        const summary = await recalculateRatings({ dryRun: true });
+
+        expect(summary).toEqual({ users: 3, changed: 2 });
+        expect(User.updateOne).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,24 @@
+const { encodeBase32, decodeBase32 } = require('../../src/utils/base32');
+
+describe('base32', () => {
+    it('should encode the RFC 4648 test vectors without padding', () => {
+        expect(encodeBase32(Buffer.from(''))).toBe('');
+        expect(encodeBase32(Buffer.from('f'))).toBe('MY');
+        expect(encodeBase32(Buffer.from('foo'))).toBe('MZXW6');
+        expect(encodeBase32(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    });
+
+    it('should decode regardless of case, padding and spaces', () => {
+        expect(decodeBase32('MZXW6YTBOI').toString()).toBe('foobar');
+        expect(decodeBase32('mzxw 6ytb oi======').toString()).toBe('foobar');
+    });
+
+    it('should round-trip random bytes', () => {
+        const bytes = Buffer.from([0, 1, 127, 128, 254, 255, 42, 7, 99, 200]);
+        expect(decodeBase32(encodeBase32(bytes)).equals(bytes)).toBe(true);
+    });
+
+    it('should reject characters outside the alphabet', () => {
+        expect(() => decodeBase32('MZXW1')).toThrow('Invalid base32 character: 1');
+    });
+});
@@ -0,0 +1,108 @@
+const {
+    escapeText,
+    foldLine,
+    formatDateTime,
+    buildSessionEvent,
+    buildCalendar,
+} = require('../../src/utils/icalendar');
+
+const buildSession = (overrides = {}) => ({
+    _id: '507f1f77bcf86cd799439011',
+    requester: { _id: 'r1', firstName: 'John', lastName: 'Doe', email: 'john@example.com' },
+    provider: { _id: 'p1', firstName: 'Jane', lastName: 'Smith', email: 'jane@example.com' },
+    skill: { name: 'JavaScript', category: 'Programming', level: 'beginner' },
+    scheduledDate: new Date('2026-03-24T15:30:00Z'),
+    duration: 90,
+    timezone: 'Europe/Berlin',
+    status: 'accepted',
+    meetingLink: 'https://meet.example.com/abc',
+    calendarSequence: 2,
+    ...overrides
+});
+
+describe('iCalendar utils', () => {
+    describe('escapeText', () => {
+        it('should escape backslashes, separators and newlines', () => {
+            expect(escapeText('a\\b;c,d\ne')).toBe('a\\\\b\\;c\\,d\\ne');
+        });
+    });
+
+    describe('foldLine', () => {
+        it('should leave short lines alone', () => {
+            expect(foldLine('SUMMARY:Short')).toBe('SUMMARY:Short');
+        });
+
+        it('should fold lines longer than 75 octets without splitting characters', () => {
+            const line = `DESCRIPTION:${'é'.repeat(80)}`;
+            const physicalLines = foldLine(line).split('\r\n');
+
+            expect(physicalLines.length).toBeGreaterThan(1);
+            physicalLines.forEach((physical, index) => {
+                expect(Buffer.byteLength(physical, 'utf8')).toBeLessThanOrEqual(75);
+                if (index > 0) {
+                    expect(physical.startsWith(' ')).toBe(true);
+                }
+            });
+            expect(physicalLines.map((physical, index) => (index > 0 ? physical.slice(1) : physical)).join(''))
+                .toBe(line);
+        });
+    });
+
+    describe('formatDateTime', () => {
+        it('should format instants as UTC date-times', () => {
+            expect(formatDateTime(new Date('2026-03-24T15:30:00.123Z'))).toBe('20260324T153000Z');
+        });
+    });
+
+    describe('buildSessionEvent', () => {
+        it('should describe an accepted session with organizer, attendee and alarm', () => {
+            const lines = buildSessionEvent(buildSession(), { now: new Date('2026-03-01T00:00:00Z') });
+
+            expect(lines[0]).toBe('BEGIN:VEVENT');
+            expect(lines).toEqual(expect.arrayContaining([
+                'UID:session-507f1f77bcf86cd799439011@skillswap',
+                'DTSTAMP:20260301T000000Z',
+                'DTSTART:20260324T153000Z',
+                'DTEND:20260324T170000Z',
+                'SEQUENCE:2',
+                'STATUS:CONFIRMED',
+                'SUMMARY:SkillSwap: JavaScript',
+                'LOCATION:https://meet.example.com/abc',
+                'URL:https://meet.example.com/abc',
+                'ORGANIZER;CN="Jane Smith":mailto:jane@example.com',
+                'ATTENDEE;CN="John Doe";ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED:mailto:john@example.com',
+                'BEGIN:VALARM',
+                'TRIGGER:-PT15M',
+                'END:VALARM'
+            ]));
+            expect(lines[lines.length - 1]).toBe('END:VEVENT');
+        });
+
+        it('should prefer the physical location over the meeting link', () => {
+            const lines = buildSessionEvent(buildSession({ location: 'Cafe 12, Main St' }));
+
+            expect(lines).toContain('LOCATION:Cafe 12\\, Main St');
+        });
+
+        it('should mark cancelled sessions and drop the alarm', () => {
+            const lines = buildSessionEvent(buildSession({ status: 'cancelled', calendarSequence: 3 }));
+
+            expect(lines).toContain('STATUS:CANCELLED');
+            expect(lines).toContain('SEQUENCE:3');
+            expect(lines).not.toContain('BEGIN:VALARM');
+        });
+    });
+
+    describe('buildCalendar', () => {
+        it('should wrap events in a VCALENDAR with CRLF line endings', () => {
+            const calendar = buildCalendar([buildSession(), buildSession({ _id: 'other' })], { name: 'SkillSwap Sessions' });
+
+            expect(calendar.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+            expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+            expect(calendar).toContain('METHOD:PUBLISH');
+            expect(calendar).toContain('X-WR-CALNAME:SkillSwap Sessions');
+            expect(calendar.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+            expect(calendar.replace(/\r\n/g, '')).not.toMatch(/\n/);
+        });
+    });
+});
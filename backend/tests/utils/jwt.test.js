@@ -97,6 +97,15 @@ describe('JWTUtils', () => {
 
             expect(tokenPair.accessToken).not.toBe(tokenPair.refreshToken);
         });
+
+        it('should carry the session id in both tokens and apply refresh options', () => {
+            const tokenPair = JWTUtils.generateTokenPair({ ...mockPayload, sid: 'session-1' }, { jwtid: 'token-1' });
+
+            expect(JWTUtils.verifyAccessToken(tokenPair.accessToken).sid).toBe('session-1');
+            const refresh = JWTUtils.verifyRefreshToken(tokenPair.refreshToken);
+            expect(refresh.sid).toBe('session-1');
+            expect(refresh.jti).toBe('token-1');
+        });
     });
 
     describe('verifyAccessToken', () => {
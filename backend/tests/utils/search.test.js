@@ -0,0 +1,113 @@
+const {
+    escapeRegex,
+    literalRegex,
+    parseSearchTerms,
+    buildSnippet,
+    findUserHighlight,
+    findMessageHighlight,
+} = require('../../src/utils/search');
+
+describe('search utils', () => {
+    describe('escapeRegex / literalRegex', () => {
+        it('should escape every regex metacharacter', () => {
+            expect(escapeRegex('c++ (a|b) [x] ^$ .*? {2} \\')).toBe('c\\+\\+ \\(a\\|b\\) \\[x\\] \\^\\$ \\.\\*\\? \\{2\\} \\\\');
+        });
+
+        it('should match special characters literally and case-insensitively', () => {
+            expect(literalRegex(' C++ ').test('Modern c++ basics')).toBe(true);
+            expect(literalRegex('c++').test('cc')).toBe(false);
+            expect(literalRegex('.*').test('JavaScript')).toBe(false);
+            expect(literalRegex('node.js').test('NodeXjs')).toBe(false);
+        });
+
+        it('should not throw on unbalanced input', () => {
+            expect(() => literalRegex('(unclosed [group')).not.toThrow();
+        });
+    });
+
+    describe('parseSearchTerms', () => {
+        it('should split multi-word queries and drop duplicates', () => {
+            expect(parseSearchTerms('  Guitar   lessons guitar ')).toEqual(['Guitar', 'lessons']);
+        });
+
+        it('should strip $text phrase and negation syntax', () => {
+            expect(parseSearchTerms('"machine learning" -python --java \\"x')).toEqual(['machine', 'learning', 'python', 'java', 'x']);
+        });
+
+        it('should drop terms left empty and cap the number of terms', () => {
+            expect(parseSearchTerms('- "" \\')).toEqual([]);
+            expect(parseSearchTerms(Array.from({ length: 15 }, (_, i) => `t${i}`).join(' '))).toHaveLength(10);
+        });
+    });
+
+    describe('buildSnippet', () => {
+        const text = `${'a'.repeat(100)} I teach C++ and Rust ${'b'.repeat(100)}`;
+
+        it('should cut a window around the first matching term', () => {
+            const snippet = buildSnippet(text, ['rust', 'c++'], 10);
+
+            expect(snippet).toBe('…a I teach C++ and Rust…');
+        });
+
+        it('should omit ellipses when the window reaches the edges', () => {
+            expect(buildSnippet('Learn guitar', ['guitar'])).toBe('Learn guitar');
+        });
+
+        it('should return null without a match', () => {
+            expect(buildSnippet(text, ['python'])).toBeNull();
+            expect(buildSnippet(undefined, ['python'])).toBeNull();
+            expect(buildSnippet(text, [])).toBeNull();
+        });
+    });
+
+    describe('findUserHighlight', () => {
+        const user = {
+            bio: 'Hobby baker and Spanish speaker',
+            skills: [
+                { name: 'Cooking', description: 'Sourdough and Spanish tapas' },
+                { name: 'Spanish', description: 'Conversation practice' }
+            ]
+        };
+
+        it('should prefer skill names over descriptions and bio', () => {
+            expect(findUserHighlight(user, ['spanish'])).toEqual({ field: 'skills.name', skill: 'Spanish', snippet: 'Spanish' });
+        });
+
+        it('should fall back to skill descriptions, then the bio', () => {
+            expect(findUserHighlight(user, ['sourdough'])).toEqual({
+                field: 'skills.description',
+                skill: 'Cooking',
+                snippet: 'Sourdough and Spanish tapas'
+            });
+            expect(findUserHighlight(user, ['baker'])).toEqual({ field: 'bio', snippet: 'Hobby baker and Spanish speaker' });
+        });
+
+        it('should return null when the match came from another field', () => {
+            expect(findUserHighlight({ skills: [] }, ['programming'])).toBeNull();
+        });
+    });
+
+    describe('findMessageHighlight', () => {
+        it('should prefer the message text over the file name', () => {
+            const message = {
+                content: 'Slides from the React workshop',
+                attachment: { fileName: 'react-workshop.pdf' },
+            };
+
+            expect(findMessageHighlight(message, ['react'])).toEqual({
+                field: 'content',
+                snippet: 'Slides from the React workshop',
+            });
+        });
+
+        it('should fall back to the attachment file name', () => {
+            const message = { attachment: { fileName: 'sourdough-recipe.pdf' } };
+
+            expect(findMessageHighlight(message, ['sourdough'])).toEqual({
+                field: 'attachment.fileName',
+                snippet: 'sourdough-recipe.pdf',
+            });
+            expect(findMessageHighlight({ content: 'Hello' }, ['sourdough'])).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,63 @@
+const {
+    isValidTimezone,
+    getTimezoneOffset,
+    getZonedDateParts,
+    zonedTimeToUtc,
+    addDaysInTimezone,
+} = require('../../src/utils/timezone');
+
+describe('Timezone utils', () => {
+    describe('isValidTimezone', () => {
+        it('should accept IANA names and reject unknown zones', () => {
+            expect(isValidTimezone('Europe/Berlin')).toBe(true);
+            expect(isValidTimezone('UTC')).toBe(true);
+            expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+        });
+    });
+
+    describe('getTimezoneOffset', () => {
+        it('should return the UTC offset in minutes for the given instant', () => {
+            expect(getTimezoneOffset(new Date('2026-01-15T12:00:00Z'), 'Europe/Berlin')).toBe(60);
+            expect(getTimezoneOffset(new Date('2026-07-15T12:00:00Z'), 'Europe/Berlin')).toBe(120);
+            expect(getTimezoneOffset(new Date('2026-07-15T12:00:00Z'), 'America/New_York')).toBe(-240);
+            expect(getTimezoneOffset(new Date('2026-07-15T12:00:00Z'), 'Asia/Kolkata')).toBe(330);
+        });
+    });
+
+    describe('getZonedDateParts', () => {
+        it('should return the local calendar date and weekday', () => {
+            expect(getZonedDateParts(new Date('2026-03-24T23:30:00Z'), 'Asia/Kolkata'))
+                .toEqual({ date: '2026-03-25', weekday: 'wednesday' });
+            expect(getZonedDateParts(new Date('2026-03-24T23:30:00Z')))
+                .toEqual({ date: '2026-03-24', weekday: 'tuesday' });
+        });
+    });
+
+    describe('zonedTimeToUtc', () => {
+        it('should convert local wall-clock times using the offset in effect that day', () => {
+            expect(zonedTimeToUtc('2026-03-24', '18:00', 'Europe/Berlin').toISOString()).toBe('2026-03-24T17:00:00.000Z');
+            expect(zonedTimeToUtc('2026-03-31', '18:00', 'Europe/Berlin').toISOString()).toBe('2026-03-31T16:00:00.000Z');
+        });
+
+        it('should treat 24:00 as the end of the day', () => {
+            expect(zonedTimeToUtc('2026-03-24', '24:00', 'America/New_York').toISOString()).toBe('2026-03-25T04:00:00.000Z');
+        });
+    });
+
+    describe('addDaysInTimezone', () => {
+        it('should keep the local wall-clock time across a DST change', () => {
+            // 18:00 in Berlin the week before clocks move forward (29 March 2026)
+            const start = new Date('2026-03-24T17:00:00Z');
+
+            const nextWeek = addDaysInTimezone(start, 7, 'Europe/Berlin');
+
+            expect(nextWeek.toISOString()).toBe('2026-03-31T16:00:00.000Z');
+        });
+
+        it('should add whole days in UTC', () => {
+            const start = new Date('2026-03-24T17:00:00Z');
+
+            expect(addDaysInTimezone(start, 14).toISOString()).toBe('2026-04-07T17:00:00.000Z');
+        });
+    });
+});
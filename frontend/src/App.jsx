@@ -2,12 +2,15 @@ import { Routes, Route } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import { AuthProvider } from './context/AuthContext';
 import { SocketProvider } from './context/SocketContext';
+import { NotificationProvider } from './context/NotificationContext';
 import Header from './components/common/Header';
 import ProtectedRoute, { PublicRoute } from './components/auth/ProtectedRoute';
 import Home from './pages/Home';
 import Login from './pages/Login';
 import Register from './pages/Register';
 import VerifyEmail from './pages/VerifyEmail';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
 import Dashboard from './pages/Dashboard';
 import Profile from './pages/Profile';
 import ProfileEdit from './pages/ProfileEdit';
@@ -22,105 +25,113 @@ function App() {
     return (
         <AuthProvider>
             <SocketProvider>
-                <div className="min-h-screen bg-gray-50">
-                    <Routes id="main-content">
-                        {/* Public routes */}
-                        <Route path="/" element={
-                            <div>
-                                <Header />
-                                <Home />
-                            </div>
-                        } />
+                <NotificationProvider>
+                    <div className="min-h-screen bg-gray-50">
+                        <Routes id="main-content">
+                            {/* Public routes */}
+                            <Route path="/" element={
+                                <div>
+                                    <Header />
+                                    <Home />
+                                </div>
+                            } />
 
-                        {/* Auth routes - redirect to dashboard if already authenticated */}
-                        <Route path="/login" element={
-                            <PublicRoute>
-                                <Login />
-                            </PublicRoute>
-                        } />
-                        <Route path="/register" element={
-                            <PublicRoute>
-                                <Register />
-                            </PublicRoute>
-                        } />
-                        <Route path="/verify-email" element={<VerifyEmail />} />
+                            {/* Auth routes - redirect to dashboard if already authenticated */}
+                            <Route path="/login" element={
+                                <PublicRoute>
+                                    <Login />
+                                </PublicRoute>
+                            } />
+                            <Route path="/register" element={
+                                <PublicRoute>
+                                    <Register />
+                                </PublicRoute>
+                            } />
+                            <Route path="/verify-email" element={<VerifyEmail />} />
+                            <Route path="/forgot-password" element={
+                                <PublicRoute>
+                                    <ForgotPassword />
+                                </PublicRoute>
+                            } />
+                            <Route path="/reset-password" element={<ResetPassword />} />
 
-                        {/* Protected routes */}
-                        <Route path="/dashboard" element={
-                            <ProtectedRoute>
-                                <Header />
-                                <Dashboard />
-                            </ProtectedRoute>
-                        } />
-                        <Route path="/profile" element={
-                            <ProtectedRoute>
-                                <Header />
-                                <Profile />
-                            </ProtectedRoute>
-                        } />
-                        <Route path="/profile/:userId" element={
-                            <ProtectedRoute>
-                                <Header />
-                                <Profile />
-                            </ProtectedRoute>
-                        } />
-                        <Route path="/profile/edit" element={
-                            <ProtectedRoute>
-                                <Header />
-                                <ProfileEdit />
-                            </ProtectedRoute>
-                        } />
-                        <Route path="/profile/skills" element={
-                            <ProtectedRoute>
-                                <Header />
-                                <SkillsManager />
-                            </ProtectedRoute>
-                        } />
-                        <Route path="/search" element={
-                            <ProtectedRoute>
-                                <Header />
-                                <Search />
-                            </ProtectedRoute>
-                        } />
-                        <Route path="/sessions" element={
-                            <ProtectedRoute>
-                                <Header />
-                                <Sessions />
-                            </ProtectedRoute>
-                        } />
-                        <Route path="/chat" element={
-                            <ProtectedRoute>
-                                <Chat />
-                            </ProtectedRoute>
-                        } />
-                        <Route path="/admin" element={
-                            <ProtectedRoute>
-                                <Admin />
-                            </ProtectedRoute>
-                        } />
+                            {/* Protected routes */}
+                            <Route path="/dashboard" element={
+                                <ProtectedRoute>
+                                    <Header />
+                                    <Dashboard />
+                                </ProtectedRoute>
+                            } />
+                            <Route path="/profile" element={
+                                <ProtectedRoute>
+                                    <Header />
+                                    <Profile />
+                                </ProtectedRoute>
+                            } />
+                            <Route path="/profile/:userId" element={
+                                <ProtectedRoute>
+                                    <Header />
+                                    <Profile />
+                                </ProtectedRoute>
+                            } />
+                            <Route path="/profile/edit" element={
+                                <ProtectedRoute>
+                                    <Header />
+                                    <ProfileEdit />
+                                </ProtectedRoute>
+                            } />
+                            <Route path="/profile/skills" element={
+                                <ProtectedRoute>
+                                    <Header />
+                                    <SkillsManager />
+                                </ProtectedRoute>
+                            } />
+                            <Route path="/search" element={
+                                <ProtectedRoute>
+                                    <Header />
+                                    <Search />
+                                </ProtectedRoute>
+                            } />
+                            <Route path="/sessions" element={
+                                <ProtectedRoute>
+                                    <Header />
+                                    <Sessions />
+                                </ProtectedRoute>
+                            } />
+                            <Route path="/chat" element={
+                                <ProtectedRoute>
+                                    <Chat />
+                                </ProtectedRoute>
+                            } />
+                            <Route path="/admin" element={
+                                <ProtectedRoute>
+                                    <Admin />
+                                </ProtectedRoute>
+                            } />
 
-                        {/* Catch all route */}
-                        <Route path="*" element={
-                            <div className="min-h-screen flex items-center justify-center">
-                                <div className="text-center">
-                                    <h1 className="text-4xl font-bold text-gray-900 mb-4">404</h1>
-                                    <p className="text-gray-600">Page not found</p>
+                            {/* Catch all route */}
+                            <Route path="*" element={
+                                <div className="min-h-screen flex items-center justify-center">
+                                    <div className="text-center">
+                                        <h1 className="text-4xl font-bold text-gray-900 mb-4">404</h1>
+                                        <p className="text-gray-600">Page not found</p>
+                                    </div>
                                 </div>
-                            </div>
-                        } />
-                    </Routes>
+                            } />
+                        </Routes>
 
-                    <Toaster
-                        position="top-right"
-                        toastOptions={{
-                            duration: 4000,
-                            style: {
-                                background: '#363636',
-                                color: '#fff',
-                            },
-                        }}
-                    />
-                </div>
+                        <Toaster
+                            position="top-right"
+                            toastOptions={{
+                                duration: 4000,
+                                style: {
+                                    background: '#363636',
+                                    color: '#fff',
+                                },
+                            }}
+                        />
+                    </div>
+                </NotificationProvider>
             </SocketProvider>
         </AuthProvider>
     );
@@ -10,6 +10,16 @@ import {
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 
+// Names of the automatic moderation rules recorded in review.moderation.autoActions
+const AUTO_RULE_LABELS = {
+    blocked_terms: 'Blocked words',
+    personal_info: 'Personal information',
+    links: 'Links',
+    spam: 'Spam',
+    duplicate: 'Duplicate text',
+    flag_threshold: 'Flagged by several users'
+};
+
 const ContentModeration = () => {
     const [flaggedReviews, setFlaggedReviews] = useState([]);
     const [loading, setLoading] = useState(true);
@@ -208,8 +218,15 @@ const ContentModeration = () => {
                                                     </p>
                                                     <div className="flex items-center mt-1">
                                                         <FlagIcon className="h-4 w-4 text-red-400 mr-1" />
-                                                        <span className="text-xs text-red-600">Flagged</span>
+                                                        <span className="text-xs text-red-600">
+                                                            {review.status === 'hidden' ? 'Flagged · Hidden' : 'Flagged'}
+                                                        </span>
                                                     </div>
+                                                    {review.moderation?.autoActions?.length > 0 && (
+                                                        <p className="text-xs text-gray-500 mt-1 truncate">
+                                                            {review.moderation.autoActions[review.moderation.autoActions.length - 1].explanation}
+                                                        </p>
+                                                    )}
                                                 </div>
                                             </td>
                                             <td className="px-6 py-4 whitespace-nowrap">
@@ -486,6 +503,53 @@ const ReviewDetailsModal = ({ review, onClose, onModerate, moderationReason, set
                                 </div>
                             </div>
 
+                            {/* Edit History */}
+                            {review.editHistory?.length > 0 && (
+                                <div>
+                                    <h5 className="text-sm font-medium text-gray-500 mb-2">
+                                        Edit History ({review.editHistory.length} earlier {review.editHistory.length === 1 ? 'version' : 'versions'})
+                                    </h5>
+                                    <ol className="space-y-2">
+                                        {review.editHistory.map((revision, index) => (
+                                            <li key={index} className="bg-gray-50 border border-gray-200 rounded-md p-3">
+                                                <div className="flex items-center justify-between">
+                                                    <span className="text-sm text-gray-600">Rating: {revision.rating}/5</span>
+                                                    <span className="text-xs text-gray-500">
+                                                        Replaced {new Date(revision.editedAt).toLocaleString()}
+                                                    </span>
+                                                </div>
+                                                <p className="mt-1 text-sm text-gray-900">{revision.comment}</p>
+                                            </li>
+                                        ))}
+                                    </ol>
+                                </div>
+                            )}
+
+                            {/* Automatic Moderation */}
+                            {review.moderation?.autoActions?.length > 0 && (
+                                <div>
+                                    <h5 className="text-sm font-medium text-gray-500 mb-2">Automatic Moderation</h5>
+                                    <ul className="space-y-2">
+                                        {review.moderation.autoActions.map((autoAction, index) => (
+                                            <li key={autoAction._id || index} className="bg-yellow-50 border border-yellow-200 rounded-md p-3">
+                                                <div className="flex items-center justify-between">
+                                                    <span className="text-sm font-medium text-yellow-800">
+                                                        {AUTO_RULE_LABELS[autoAction.rule] || autoAction.rule}
+                                                        {' · '}
+                                                        {autoAction.action === 'hide' ? 'Hidden' : 'Flagged'}
+                                                        {autoAction.trigger === 'flag' ? ' after a user flag' : ' on submission'}
+                                                    </span>
+                                                    <span className="text-xs text-gray-500">
+                                                        {new Date(autoAction.createdAt).toLocaleString()}
+                                                    </span>
+                                                </div>
+                                                <p className="mt-1 text-sm text-yellow-700">{autoAction.explanation}</p>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
+
                             {/* Moderation Actions */}
                             <div>
                                 <h5 className="text-sm font-medium text-gray-500 mb-2">Moderation Action</h5>
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { Link } from 'react-router-dom';
+import { useForgotPassword } from '../../hooks/useApi';
+import { validateEmail } from '../../utils/validation';
+import Button from '../common/Button';
+import Input from '../common/Input';
+
+function ForgotPasswordForm() {
+    const forgotPasswordMutation = useForgotPassword();
+    const [sentTo, setSentTo] = useState(null);
+
+    const {
+        register,
+        handleSubmit,
+        formState: { errors, isSubmitting },
+    } = useForm({
+        mode: 'onBlur',
+    });
+
+    const onSubmit = async (data) => {
+        try {
+            await forgotPasswordMutation.mutateAsync(data.email);
+            setSentTo(data.email);
+        } catch (error) {
+            // Error toast is shown by the mutation hook
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+            <div className="max-w-md w-full space-y-8">
+                <div>
+                    <div className="mx-auto h-12 w-12 bg-primary-600 rounded-lg flex items-center justify-center">
+                        <span className="text-white font-bold text-lg">SS</span>
+                    </div>
+                    <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+                        Reset your password
+                    </h2>
+                    <p className="mt-2 text-center text-sm text-gray-600">
+                        Enter the email you signed up with and we will send you a reset link.
+                    </p>
+                </div>
+
+                {sentTo ? (
+                    <div className="rounded-md bg-green-50 p-4" role="status">
+                        <p className="text-sm text-green-800">
+                            If an account exists for <span className="font-medium">{sentTo}</span>, a password
+                            reset link is on its way. The link expires in 1 hour.
+                        </p>
+                    </div>
+                ) : (
+                    <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+                        <Input
+                            label="Email address"
+                            type="email"
+                            autoComplete="email"
+                            required
+                            error={errors.email?.message}
+                            {...register('email', {
+                                required: 'Email is required',
+                                validate: validateEmail,
+                            })}
+                        />
+
+                        <Button
+                            type="submit"
+                            className="w-full"
+                            loading={isSubmitting || forgotPasswordMutation.isLoading}
+                            disabled={isSubmitting || forgotPasswordMutation.isLoading}
+                        >
+                            Send reset link
+                        </Button>
+                    </form>
+                )}
+
+                <p className="text-center text-sm text-gray-600">
+                    <Link
+                        to="/login"
+                        className="font-medium text-primary-600 hover:text-primary-500"
+                    >
+                        Back to sign in
+                    </Link>
+                </p>
+            </div>
+        </div>
+    );
+}
+
+export default ForgotPasswordForm;
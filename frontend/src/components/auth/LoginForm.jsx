@@ -6,6 +6,7 @@ import { useLogin } from '../../hooks/useApi';
 import { validateEmail, validateRequired } from '../../utils/validation';
 import Button from '../common/Button';
 import Input from '../common/Input';
+import TwoFactorLoginForm from './TwoFactorLoginForm';
 import toast from 'react-hot-toast';
 
 function LoginForm() {
@@ -14,6 +15,7 @@ function LoginForm() {
     const location = useLocation();
     const loginMutation = useLogin();
     const [showPassword, setShowPassword] = useState(false);
+    const [challengeToken, setChallengeToken] = useState(null);
 
     const {
         register,
@@ -24,22 +26,36 @@ function LoginForm() {
         mode: 'onBlur',
     });
 
+    const completeLogin = ({ user, tokens, backupCodesRemaining, deletionCancelled }) => {
+        login(user, tokens.accessToken);
+
+        toast.success(`Welcome back, ${user.firstName}!`);
+        if (backupCodesRemaining !== undefined && backupCodesRemaining <= 2) {
+            toast(`Only ${backupCodesRemaining} backup codes left. Generate new ones in your profile settings.`);
+        }
+        if (deletionCancelled) {
+            toast('Your account deletion has been cancelled.');
+        }
+
+        // Redirect to intended page or dashboard
+        const from = location.state?.from?.pathname || '/dashboard';
+        navigate(from, { replace: true });
+    };
+
     const onSubmit = async (data) => {
         try {
             const response = await loginMutation.mutateAsync(data);
 
             if (response.data.success) {
-                const { user, token } = response.data.data;
-                login(user, token);
-
-                toast.success(`Welcome back, ${user.firstName}!`);
-
-                // Redirect to intended page or dashboard
-                const from = location.state?.from?.pathname || '/dashboard';
-                navigate(from, { replace: true });
+                const result = response.data.data;
+                if (result.twoFactorRequired) {
+                    setChallengeToken(result.challengeToken);
+                } else {
+                    completeLogin(result);
+                }
             }
         } catch (error) {
-            const message = error.response?.data?.message || 'Login failed';
+            const message = error.response?.data?.error?.message || error.response?.data?.message || 'Login failed';
 
             // Handle specific error cases
             if (message.includes('email')) {
@@ -76,85 +92,93 @@ function LoginForm() {
                     </p>
                 </div>
 
-                <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
-                    <div className="space-y-4">
-                        <Input
-                            label="Email address"
-                            type="email"
-                            autoComplete="email"
-                            required
-                            error={errors.email?.message}
-                            {...register('email', {
-                                required: 'Email is required',
-                                validate: validateEmail,
-                            })}
-                        />
-
-                        <div className="relative">
+                {challengeToken ? (
+                    <TwoFactorLoginForm
+                        challengeToken={challengeToken}
+                        onSuccess={completeLogin}
+                        onCancel={() => setChallengeToken(null)}
+                    />
+                ) : (
+                    <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+                        <div className="space-y-4">
                             <Input
-                                label="Password"
-                                type={showPassword ? 'text' : 'password'}
-                                autoComplete="current-password"
+                                label="Email address"
+                                type="email"
+                                autoComplete="email"
                                 required
-                                error={errors.password?.message}
-                                {...register('password', {
-                                    required: 'Password is required',
+                                error={errors.email?.message}
+                                {...register('email', {
+                                    required: 'Email is required',
+                                    validate: validateEmail,
                                 })}
                             />
-                            <button
-                                type="button"
-                                className="absolute inset-y-0 right-0 top-6 pr-3 flex items-center"
-                                onClick={() => setShowPassword(!showPassword)}
-                            >
-                                {showPassword ? (
-                                    <svg className="h-5 w-5 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.875 18.825A10.05 10.05 0 0112 19c-4.478 0-8.268-2.943-9.543-7a9.97 9.97 0 011.563-3.029m5.858.908a3 3 0 114.243 4.243M9.878 9.878l4.242 4.242M9.878 9.878L3 3m6.878 6.878L21 21" />
-                                    </svg>
-                                ) : (
-                                    <svg className="h-5 w-5 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
-                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
-                                    </svg>
-                                )}
-                            </button>
+
+                            <div className="relative">
+                                <Input
+                                    label="Password"
+                                    type={showPassword ? 'text' : 'password'}
+                                    autoComplete="current-password"
+                                    required
+                                    error={errors.password?.message}
+                                    {...register('password', {
+                                        required: 'Password is required',
+                                    })}
+                                />
+                                <button
+                                    type="button"
+                                    className="absolute inset-y-0 right-0 top-6 pr-3 flex items-center"
+                                    onClick={() => setShowPassword(!showPassword)}
+                                >
+                                    {showPassword ? (
+                                        <svg className="h-5 w-5 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.875 18.825A10.05 10.05 0 0112 19c-4.478 0-8.268-2.943-9.543-7a9.97 9.97 0 011.563-3.029m5.858.908a3 3 0 114.243 4.243M9.878 9.878l4.242 4.242M9.878 9.878L3 3m6.878 6.878L21 21" />
+                                        </svg>
+                                    ) : (
+                                        <svg className="h-5 w-5 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
+                                        </svg>
+                                    )}
+                                </button>
+                            </div>
                         </div>
-                    </div>
 
-                    <div className="flex items-center justify-between">
-                        <div className="flex items-center">
-                            <input
-                                id="remember-me"
-                                name="remember-me"
-                                type="checkbox"
-                                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
-                                {...register('rememberMe')}
-                            />
-                            <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-900">
-                                Remember me
-                            </label>
+                        <div className="flex items-center justify-between">
+                            <div className="flex items-center">
+                                <input
+                                    id="remember-me"
+                                    name="remember-me"
+                                    type="checkbox"
+                                    className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                                    {...register('rememberMe')}
+                                />
+                                <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-900">
+                                    Remember me
+                                </label>
+                            </div>
+
+                            <div className="text-sm">
+                                <Link
+                                    to="/forgot-password"
+                                    className="font-medium text-primary-600 hover:text-primary-500"
+                                >
+                                    Forgot your password?
+                                </Link>
+                            </div>
                         </div>
 
-                        <div className="text-sm">
-                            <Link
-                                to="/forgot-password"
-                                className="font-medium text-primary-600 hover:text-primary-500"
+                        <div>
+                            <Button
+                                type="submit"
+                                className="w-full"
+                                loading={isSubmitting || loginMutation.isLoading}
+                                disabled={isSubmitting || loginMutation.isLoading}
                             >
-                                Forgot your password?
-                            </Link>
+                                Sign in
+                            </Button>
                         </div>
-                    </div>
-
-                    <div>
-                        <Button
-                            type="submit"
-                            className="w-full"
-                            loading={isSubmitting || loginMutation.isLoading}
-                            disabled={isSubmitting || loginMutation.isLoading}
-                        >
-                            Sign in
-                        </Button>
-                    </div>
-                </form>
+                    </form>
+                )}
             </div>
         </div>
     );
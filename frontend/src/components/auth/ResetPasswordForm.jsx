@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useResetPassword } from '../../hooks/useApi';
+import { validatePassword, validateConfirmPassword } from '../../utils/validation';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import toast from 'react-hot-toast';
+
+function ResetPasswordForm() {
+    const navigate = useNavigate();
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token');
+    const resetPasswordMutation = useResetPassword();
+    const [linkExpired, setLinkExpired] = useState(!token);
+
+    const {
+        register,
+        handleSubmit,
+        watch,
+        formState: { errors, isSubmitting },
+    } = useForm({
+        mode: 'onBlur',
+    });
+
+    const password = watch('password');
+
+    const onSubmit = async (data) => {
+        try {
+            await resetPasswordMutation.mutateAsync({
+                token,
+                password: data.password,
+                confirmPassword: data.confirmPassword,
+            });
+
+            toast.success('Password updated. Please sign in with your new password.');
+            navigate('/login', { replace: true });
+        } catch (error) {
+            const message = error.response?.data?.error?.message || '';
+            if (message.includes('invalid or has expired')) {
+                setLinkExpired(true);
+            }
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+            <div className="max-w-md w-full space-y-8">
+                <div>
+                    <div className="mx-auto h-12 w-12 bg-primary-600 rounded-lg flex items-center justify-center">
+                        <span className="text-white font-bold text-lg">SS</span>
+                    </div>
+                    <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+                        Choose a new password
+                    </h2>
+                </div>
+
+                {linkExpired ? (
+                    <div className="rounded-md bg-red-50 p-4" role="alert">
+                        <p className="text-sm text-red-800">
+                            This password reset link is invalid or has expired.{' '}
+                            <Link
+                                to="/forgot-password"
+                                className="font-medium text-red-900 underline"
+                            >
+                                Request a new link
+                            </Link>
+                        </p>
+                    </div>
+                ) : (
+                    <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+                        <div className="space-y-4">
+                            <Input
+                                label="New password"
+                                type="password"
+                                autoComplete="new-password"
+                                required
+                                error={errors.password?.message}
+                                {...register('password', {
+                                    required: 'Password is required',
+                                    validate: validatePassword,
+                                })}
+                            />
+
+                            <Input
+                                label="Confirm new password"
+                                type="password"
+                                autoComplete="new-password"
+                                required
+                                error={errors.confirmPassword?.message}
+                                {...register('confirmPassword', {
+                                    required: 'Please confirm your password',
+                                    validate: (value) => validateConfirmPassword(password, value),
+                                })}
+                            />
+                        </div>
+
+                        <Button
+                            type="submit"
+                            className="w-full"
+                            loading={isSubmitting || resetPasswordMutation.isLoading}
+                            disabled={isSubmitting || resetPasswordMutation.isLoading}
+                        >
+                            Reset password
+                        </Button>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default ResetPasswordForm;
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { useVerifyTwoFactorLogin } from '../../hooks/useApi';
+import Button from '../common/Button';
+import Input from '../common/Input';
+
+/**
+ * Second login step for accounts with two-factor authentication
+ */
+function TwoFactorLoginForm({ challengeToken, onSuccess, onCancel }) {
+    const verifyMutation = useVerifyTwoFactorLogin();
+    const [useBackupCode, setUseBackupCode] = useState(false);
+
+    const {
+        register,
+        handleSubmit,
+        reset,
+        formState: { errors, isSubmitting },
+    } = useForm({
+        mode: 'onBlur',
+    });
+
+    const onSubmit = async (data) => {
+        try {
+            const response = await verifyMutation.mutateAsync({ challengeToken, code: data.code.trim() });
+            onSuccess(response.data.data);
+        } catch (error) {
+            // Error toast is shown by the mutation hook
+        }
+    };
+
+    const toggleBackupCode = () => {
+        setUseBackupCode(!useBackupCode);
+        reset({ code: '' });
+    };
+
+    return (
+        <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+            <p className="text-sm text-gray-600">
+                {useBackupCode
+                    ? 'Enter one of your backup codes. Each code works only once.'
+                    : 'Enter the 6-digit code from your authenticator app.'}
+            </p>
+
+            <Input
+                label={useBackupCode ? 'Backup code' : 'Authentication code'}
+                autoComplete="one-time-code"
+                inputMode={useBackupCode ? 'text' : 'numeric'}
+                required
+                autoFocus
+                error={errors.code?.message}
+                {...register('code', {
+                    required: 'Code is required',
+                    pattern: useBackupCode
+                        ? { value: /^[A-Za-z0-9]{4}-?[A-Za-z0-9]{4}$/, message: 'Backup codes are 8 letters or digits' }
+                        : { value: /^\d{6}$/, message: 'Enter the 6-digit code' },
+                })}
+            />
+
+            <Button
+                type="submit"
+                className="w-full"
+                loading={isSubmitting || verifyMutation.isLoading}
+                disabled={isSubmitting || verifyMutation.isLoading}
+            >
+                Verify
+            </Button>
+
+            <div className="flex items-center justify-between text-sm">
+                <button
+                    type="button"
+                    className="font-medium text-primary-600 hover:text-primary-500"
+                    onClick={toggleBackupCode}
+                >
+                    {useBackupCode ? 'Use authenticator app' : 'Use a backup code'}
+                </button>
+                <button
+                    type="button"
+                    className="font-medium text-gray-600 hover:text-gray-500"
+                    onClick={onCancel}
+                >
+                    Back to sign in
+                </button>
+            </div>
+        </form>
+    );
+}
+
+export default TwoFactorLoginForm;
@@ -0,0 +1,111 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import '@testing-library/jest-dom';
+import ForgotPasswordForm from '../ForgotPasswordForm';
+import ResetPasswordForm from '../ResetPasswordForm';
+
+const mockForgotPassword = jest.fn();
+const mockResetPassword = jest.fn();
+
+jest.mock('../../../hooks/useApi', () => ({
+    useForgotPassword: () => ({
+        mutateAsync: mockForgotPassword,
+        isLoading: false,
+    }),
+    useResetPassword: () => ({
+        mutateAsync: mockResetPassword,
+        isLoading: false,
+    }),
+}));
+
+jest.mock('react-hot-toast', () => ({
+    success: jest.fn(),
+    error: jest.fn(),
+}));
+
+const renderReset = (path = '/reset-password?token=abc123') => render(
+    <MemoryRouter initialEntries={[path]}>
+        <Routes>
+            <Route path="/reset-password" element={<ResetPasswordForm />} />
+            <Route path="/login" element={<div>Login page</div>} />
+        </Routes>
+    </MemoryRouter>
+);
+
+describe('ForgotPasswordForm', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('sends the reset link and shows a neutral confirmation', async () => {
+        mockForgotPassword.mockResolvedValue({ data: { success: true } });
+
+        render(
+            <MemoryRouter>
+                <ForgotPasswordForm />
+            </MemoryRouter>
+        );
+
+        fireEvent.change(screen.getByLabelText(/email address/i), { target: { value: 'john@example.com' } });
+        fireEvent.click(screen.getByRole('button', { name: /send reset link/i }));
+
+        expect(await screen.findByText(/If an account exists for/)).toHaveTextContent('If an account exists for john@example.com');
+        expect(mockForgotPassword).toHaveBeenCalledWith('john@example.com');
+    });
+});
+
+describe('ResetPasswordForm', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    const fillPasswords = (password, confirmPassword = password) => {
+        fireEvent.change(screen.getByLabelText(/^new password/i), { target: { value: password } });
+        fireEvent.change(screen.getByLabelText(/confirm new password/i), { target: { value: confirmPassword } });
+        fireEvent.click(screen.getByRole('button', { name: /reset password/i }));
+    };
+
+    test('submits the token with the new password and returns to login', async () => {
+        mockResetPassword.mockResolvedValue({ data: { success: true } });
+
+        renderReset();
+        fillPasswords('NewPassword123!');
+
+        expect(await screen.findByText('Login page')).toBeInTheDocument();
+        expect(mockResetPassword).toHaveBeenCalledWith({
+            token: 'abc123',
+            password: 'NewPassword123!',
+            confirmPassword: 'NewPassword123!',
+        });
+    });
+
+    test('validates that the passwords match', async () => {
+        renderReset();
+        fillPasswords('NewPassword123!', 'Different123!');
+
+        expect(await screen.findByText('Passwords do not match')).toBeInTheDocument();
+        expect(mockResetPassword).not.toHaveBeenCalled();
+    });
+
+    test('offers a new link when the token is expired', async () => {
+        mockResetPassword.mockRejectedValue({
+            response: { data: { error: { message: 'Password reset link is invalid or has expired' } } },
+        });
+
+        renderReset();
+        fillPasswords('NewPassword123!');
+
+        await waitFor(() => {
+            expect(screen.getByRole('alert')).toHaveTextContent('invalid or has expired');
+        });
+        expect(screen.getByRole('link', { name: /request a new link/i })).toHaveAttribute('href', '/forgot-password');
+    });
+
+    test('shows the expired state when the link has no token', () => {
+        renderReset('/reset-password');
+
+        expect(screen.getByRole('alert')).toBeInTheDocument();
+        expect(screen.queryByLabelText(/^new password/i)).not.toBeInTheDocument();
+    });
+});
@@ -0,0 +1,57 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import TwoFactorLoginForm from '../TwoFactorLoginForm';
+
+const mockVerify = jest.fn();
+
+jest.mock('../../../hooks/useApi', () => ({
+    useVerifyTwoFactorLogin: () => ({
+        mutateAsync: mockVerify,
+        isLoading: false,
+    }),
+}));
+
+describe('TwoFactorLoginForm', () => {
+    const onSuccess = jest.fn();
+    const onCancel = jest.fn();
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('submits the authenticator code with the challenge token', async () => {
+        const result = { user: { firstName: 'John' }, tokens: { accessToken: 'access' } };
+        mockVerify.mockResolvedValue({ data: { success: true, data: result } });
+
+        render(<TwoFactorLoginForm challengeToken="challenge" onSuccess={onSuccess} onCancel={onCancel} />);
+
+        fireEvent.change(screen.getByLabelText(/authentication code/i), { target: { value: '123456' } });
+        fireEvent.click(screen.getByRole('button', { name: /verify/i }));
+
+        await waitFor(() => expect(onSuccess).toHaveBeenCalledWith(result));
+        expect(mockVerify).toHaveBeenCalledWith({ challengeToken: 'challenge', code: '123456' });
+    });
+
+    test('switches to a backup code', async () => {
+        mockVerify.mockResolvedValue({ data: { success: true, data: {} } });
+
+        render(<TwoFactorLoginForm challengeToken="challenge" onSuccess={onSuccess} onCancel={onCancel} />);
+
+        fireEvent.click(screen.getByRole('button', { name: /use a backup code/i }));
+        fireEvent.change(screen.getByLabelText(/backup code/i), { target: { value: 'ABCD-2345' } });
+        fireEvent.click(screen.getByRole('button', { name: /verify/i }));
+
+        await waitFor(() => expect(mockVerify).toHaveBeenCalledWith({ challengeToken: 'challenge', code: 'ABCD-2345' }));
+    });
+
+    test('rejects malformed authenticator codes', async () => {
+        render(<TwoFactorLoginForm challengeToken="challenge" onSuccess={onSuccess} onCancel={onCancel} />);
+
+        fireEvent.change(screen.getByLabelText(/authentication code/i), { target: { value: '12ab' } });
+        fireEvent.click(screen.getByRole('button', { name: /verify/i }));
+
+        expect(await screen.findByText('Enter the 6-digit code')).toBeInTheDocument();
+        expect(mockVerify).not.toHaveBeenCalled();
+    });
+});
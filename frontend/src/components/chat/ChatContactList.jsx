@@ -4,12 +4,15 @@ import { useSocket } from '../../hooks/useSocket';
 import { formatDistanceToNow } from 'date-fns';
 import {
     UserIcon,
+    UserGroupIcon,
     MagnifyingGlassIcon,
     ChatBubbleLeftIcon,
-    PlusIcon
+    PlusIcon,
+    BellSlashIcon
 } from '@heroicons/react/24/outline';
 import { CheckIcon } from '@heroicons/react/24/solid';
 import LoadingSpinner from '../common/LoadingSpinner';
+import MessageSearchResults from './MessageSearchResults';
 import api from '../../utils/api';
 
 /**
@@ -19,10 +22,11 @@ export default function ChatContactList({
     onChatSelect,
     selectedChatId,
     className = '',
-    onNewChat
+    onNewChat,
+    onMessageSelect
 }) {
     const { user } = useAuth();
-    const { isConnected } = useSocket();
+    const { socket, isConnected, on, off } = useSocket();
     const [chats, setChats] = useState([]);
     const [loading, setLoading] = useState(true);
     const [searchTerm, setSearchTerm] = useState('');
@@ -33,12 +37,33 @@ export default function ChatContactList({
         fetchChats();
     }, []);
 
+    // Groups the user is added to or removed from while the list is open
+    useEffect(() => {
+        if (!socket) return;
+
+        const handleAddedToChat = ({ chat }) => {
+            setChats(prev => [chat, ...prev.filter(existing => existing._id !== chat._id)]);
+        };
+
+        const handleRemovedFromChat = ({ chatId }) => {
+            setChats(prev => prev.filter(existing => existing._id !== chatId));
+        };
+
+        on('added_to_chat', handleAddedToChat);
+        on('removed_from_chat', handleRemovedFromChat);
+
+        return () => {
+            off('added_to_chat', handleAddedToChat);
+            off('removed_from_chat', handleRemovedFromChat);
+        };
+    }, [socket, on, off]);
+
     const fetchChats = async () => {
         try {
             setLoading(true);
             setError(null);
 
-            const response = await api.get('/chat/chats');
+            const response = await api.get('/chats');
 
             if (response.data.success) {
                 setChats(response.data.data.chats || []);
@@ -58,7 +83,9 @@ export default function ChatContactList({
         if (!searchTerm.trim()) return true;
 
         const otherParticipant = chat.participants?.find(p => p._id !== user?.id);
-        const participantName = otherParticipant
+        const participantName = chat.chatType === 'group'
+            ? (chat.name || '').toLowerCase()
+            : otherParticipant
             ? `${otherParticipant.firstName} ${otherParticipant.lastName}`.toLowerCase()
             : '';
 
@@ -142,7 +169,7 @@ export default function ChatContactList({
             {/* Chat List */}
             <div className="flex-1 overflow-y-auto">
                 {sortedChats.length === 0 ? (
-                    <div className="flex items-center justify-center h-full p-8">
+                    <div className={`flex items-center justify-center p-8 ${searchTerm ? '' : 'h-full'}`}>
                         <div className="text-center">
                             <div className="w-16 h-16 mx-auto mb-4 bg-gray-100 rounded-full flex items-center justify-center">
                                 <ChatBubbleLeftIcon className="w-8 h-8 text-gray-400" />
@@ -171,6 +198,10 @@ export default function ChatContactList({
                         ))}
                     </div>
                 )}
+
+                {onMessageSelect && (
+                    <MessageSearchResults query={searchTerm} onSelect={onMessageSelect} />
+                )}
             </div>
         </div>
     );
@@ -180,8 +211,10 @@ export default function ChatContactList({
  * Individual chat list item component
  */
 function ChatListItem({ chat, currentUserId, isSelected, onClick }) {
-    const otherParticipant = chat.participants?.find(p => p._id !== currentUserId);
-    const unreadCount = chat.participantStatus?.find(p => p.user === currentUserId)?.unreadCount || 0;
+    const isGroup = chat.chatType === 'group';
+    const otherParticipant = isGroup ? null : chat.participants?.find(p => p._id !== currentUserId);
+    const myStatus = chat.participantStatus?.find(p => p.user === currentUserId);
+    const unreadCount = myStatus?.unreadCount || 0;
     const lastMessageTime = chat.lastActivity
         ? formatDistanceToNow(new Date(chat.lastActivity), { addSuffix: true })
         : '';
@@ -195,7 +228,19 @@ function ChatListItem({ chat, currentUserId, isSelected, onClick }) {
             <div className="flex items-center space-x-3">
                 {/* Avatar */}
                 <div className="relative flex-shrink-0">
-                    {otherParticipant?.profileImage ? (
+                    {isGroup ? (
+                        chat.avatar?.url ? (
+                            <img
+                                src={chat.avatar.url}
+                                alt={chat.name}
+                                className="w-12 h-12 rounded-full object-cover"
+                            />
+                        ) : (
+                            <div className="w-12 h-12 bg-blue-100 rounded-full flex items-center justify-center">
+                                <UserGroupIcon className="w-6 h-6 text-blue-600" />
+                            </div>
+                        )
+                    ) : otherParticipant?.profileImage ? (
                         <img
                             src={otherParticipant.profileImage}
                             alt={`${otherParticipant.firstName} ${otherParticipant.lastName}`}
@@ -218,12 +263,17 @@ function ChatListItem({ chat, currentUserId, isSelected, onClick }) {
                     <div className="flex items-center justify-between">
                         <h3 className={`font-medium truncate ${unreadCount > 0 ? 'text-gray-900' : 'text-gray-700'
                             }`}>
-                            {otherParticipant
+                            {isGroup
+                                ? chat.name
+                                : otherParticipant
                                 ? `${otherParticipant.firstName} ${otherParticipant.lastName}`
                                 : 'Unknown User'
                             }
                         </h3>
                         <div className="flex items-center space-x-2">
+                            {myStatus?.isMuted && (
+                                <BellSlashIcon className="w-4 h-4 text-gray-400" aria-label="Muted" />
+                            )}
                             {lastMessageTime && (
                                 <span className={`text-xs ${unreadCount > 0 ? 'text-blue-600 font-medium' : 'text-gray-500'
                                     }`}>
@@ -263,6 +313,13 @@ function ChatListItem({ chat, currentUserId, isSelected, onClick }) {
                             </span>
                         </div>
                     )}
+                    {isGroup && (
+                        <div className="mt-1">
+                            <span className="inline-block px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded-full">
+                                Group · {chat.participants?.length || 0} members
+                            </span>
+                        </div>
+                    )}
                 </div>
             </div>
         </button>
@@ -1,100 +1,280 @@
 import { useState, useEffect, useRef } from 'react';
 import { useSocket } from '../../hooks/useSocket';
 import { useAuth } from '../../context/AuthContext';
+import { chatAPI, profileAPI } from '../../utils/api';
+import toast from 'react-hot-toast';
 import MessageList from './MessageList';
 import MessageInput from './MessageInput';
-import { PaperAirplaneIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import GroupMembersPanel from './GroupMembersPanel';
+import {
+    PaperAirplaneIcon,
+    XMarkIcon,
+    UserGroupIcon,
+    BellIcon,
+    BellSlashIcon,
+    NoSymbolIcon,
+} from '@heroicons/react/24/outline';
 import { UserIcon } from '@heroicons/react/24/solid';
 import LoadingSpinner from '../common/LoadingSpinner';
 
+// Each member's read marker: messages sent up to that time have been read by them
+function readMarkersOf(chat) {
+    return Object.fromEntries(
+        (chat?.participantStatus || [])
+            .filter(status => status.lastReadAt)
+            .map(status => [status.user, status.lastReadAt])
+    );
+}
+
+// Whether the user turned off notifications for the chat
+function isMutedFor(chat, userId) {
+    return Boolean(chat?.participantStatus?.find(status => status.user === userId)?.isMuted);
+}
+
 /**
  * Main chat window component that handles real-time messaging
  */
-export default function ChatWindow({ chat, onClose, className = '' }) {
+export default function ChatWindow({ chat, focusMessageId, onClose, onLeftChat, onSettingsChanged, className = '' }) {
     const { user } = useAuth();
     const { socket, isConnected, emit, on, off } = useSocket();
     const [messages, setMessages] = useState(chat?.messages || []);
     const [isLoading, setIsLoading] = useState(false);
     const [isTyping, setIsTyping] = useState(false);
     const [typingUsers, setTypingUsers] = useState([]);
+    const [isUploading, setIsUploading] = useState(false);
+    const [hasMore, setHasMore] = useState(false);
+    // Set while an older part of the history is shown, e.g. after opening a search result
+    const [hasNewer, setHasNewer] = useState(false);
+    const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+    const [isLoadingMore, setIsLoadingMore] = useState(false);
+    const [replyingTo, setReplyingTo] = useState(null);
+    const [groupUpdate, setGroupUpdate] = useState(null);
+    const [showMembers, setShowMembers] = useState(false);
+    const [readMarkers, setReadMarkers] = useState(() => readMarkersOf(chat));
+    const [isMuted, setIsMuted] = useState(() => isMutedFor(chat, user?.id));
+    // Either participant of a two-person chat may have blocked the other
+    const [block, setBlock] = useState({ isBlocked: Boolean(chat?.isBlocked), blockedByMe: Boolean(chat?.blockedByMe) });
     const messagesEndRef = useRef(null);
+    const hasNewerRef = useRef(false);
+    hasNewerRef.current = hasNewer;
+
+    // Membership and name changes arrive after the chat was opened
+    const currentChat = groupUpdate && chat ? { ...chat, ...groupUpdate } : chat;
+    const isGroup = currentChat?.chatType === 'group';
 
     // Get other participant for direct chats
-    const otherParticipant = chat?.participants?.find(p => p._id !== user?.id);
+    const otherParticipant = isGroup ? null : currentChat?.participants?.find(p => p._id !== user?.id);
 
     // Scroll to bottom when new messages arrive
     const scrollToBottom = () => {
         messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
     };
 
+    // Older pages are prepended, so only a new last message scrolls the view;
+    // a highlighted message is scrolled to by the message list instead
+    const lastMessageId = messages[messages.length - 1]?._id;
     useEffect(() => {
-        scrollToBottom();
-    }, [messages]);
+        if (!highlightedMessageId) {
+            scrollToBottom();
+        }
+    }, [lastMessageId, highlightedMessageId]);
+
+    // Load the latest page of history whenever another chat is opened,
+    // or the page around the message to focus on
+    const hasPreloadedMessages = Boolean(chat?.messages);
+    useEffect(() => {
+        if (!chat?._id) return undefined;
+
+        let cancelled = false;
+        setHasMore(false);
+        setHasNewer(false);
+        setHighlightedMessageId(null);
+        setReplyingTo(null);
+        setGroupUpdate(null);
+        setShowMembers(false);
+        if (!hasPreloadedMessages) {
+            setMessages([]);
+            setIsLoading(true);
+        }
+
+        const request = focusMessageId
+            ? chatAPI.getMessages(chat._id, { around: focusMessageId })
+            : chatAPI.getMessages(chat._id);
+
+        request
+            .then(response => {
+                if (cancelled) return;
+                const { messages: page, pagination } = response.data.data;
+                setMessages(page);
+                setHasMore(pagination.hasMore);
+                if (focusMessageId) {
+                    setHasNewer(Boolean(pagination.hasNewer));
+                    setHighlightedMessageId(focusMessageId);
+                }
+            })
+            .catch(error => {
+                if (!cancelled) console.error('Error loading messages:', error);
+            })
+            .finally(() => {
+                if (!cancelled) setIsLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [chat?._id, hasPreloadedMessages, focusMessageId]);
+
+    useEffect(() => {
+        setReadMarkers(readMarkersOf(chat));
+        setIsMuted(isMutedFor(chat, user?.id));
+        setBlock({ isBlocked: Boolean(chat?.isBlocked), blockedByMe: Boolean(chat?.blockedByMe) });
+    }, [chat, user?.id]);
+
+    const handleLoadEarlier = async () => {
+        const oldest = messages.find(msg => !msg._id.startsWith('temp-'));
+        if (!oldest) return;
+
+        setIsLoadingMore(true);
+        try {
+            const response = await chatAPI.getMessages(chat._id, { before: oldest._id });
+            const { messages: earlier, pagination } = response.data.data;
+            setMessages(prev => [...earlier, ...prev]);
+            setHasMore(pagination.hasMore);
+        } catch (error) {
+            console.error('Error loading earlier messages:', error);
+            toast.error('Failed to load earlier messages');
+        } finally {
+            setIsLoadingMore(false);
+        }
+    };
+
+    const handleJumpToLatest = async () => {
+        setIsLoadingMore(true);
+        try {
+            const response = await chatAPI.getMessages(chat._id);
+            const { messages: latest, pagination } = response.data.data;
+            setMessages(latest);
+            setHasMore(pagination.hasMore);
+            setHasNewer(false);
+            setHighlightedMessageId(null);
+        } catch (error) {
+            console.error('Error loading latest messages:', error);
+            toast.error('Failed to load latest messages');
+        } finally {
+            setIsLoadingMore(false);
+        }
+    };
 
     // Socket event handlers
     useEffect(() => {
         if (!socket || !chat?._id) return;
 
-        // Join chat room
+        // Join chat room; opening the chat reads everything in it
         emit('join_chat', { chatId: chat._id });
+        emit('mark_as_read', { chatId: chat._id });
 
         // Listen for new messages
         const handleNewMessage = (data) => {
             if (data.chatId === chat._id) {
-                setMessages(prev => [...prev, data.message]);
+                // Messages newer than the page on screen are loaded with "Jump to latest"
+                if (hasNewerRef.current) return;
+                // Own attachments are already added from the upload response
+                setMessages(prev => (
+                    prev.some(msg => msg._id === data.message._id) ? prev : [...prev, data.message]
+                ));
+                if (data.message.sender?._id !== user?.id) {
+                    emit('mark_as_read', { chatId: chat._id });
+                }
             }
         };
 
-        // Listen for typing indicators
-        const handleTypingStart = (data) => {
-            if (data.chatId === chat._id && data.userId !== user?.id) {
-                setTypingUsers(prev => [...prev.filter(id => id !== data.userId), data.userId]);
+        // Listen for typing indicators (one entry per member typing)
+        const handleUserTyping = (data) => {
+            if (data.chatId !== chat._id || data.userId === user?.id) return;
+            setTypingUsers(prev => {
+                const others = prev.filter(id => id !== data.userId);
+                return data.isTyping ? [...others, data.userId] : others;
+            });
+        };
+
+        // Listen for read receipts; each member has their own read marker
+        const handleMessagesRead = (data) => {
+            if (data.chatId !== chat._id || data.userId === user?.id || !data.readAt) return;
+            const readAt = new Date(data.readAt);
+            setReadMarkers(prev => ({ ...prev, [data.userId]: data.readAt }));
+            setMessages(prev => prev.map(msg => (
+                msg.sender?._id === user?.id && !msg.isRead && new Date(msg.createdAt) <= readAt
+                    ? { ...msg, isRead: true, readAt: data.readAt }
+                    : msg
+            )));
+        };
+
+        const handleMessageDeleted = (data) => {
+            if (data.chatId === chat._id) {
+                setMessages(prev => prev.filter(msg => msg._id !== data.messageId));
             }
         };
 
-        const handleTypingStop = (data) => {
+        const handleMessageEdited = (data) => {
             if (data.chatId === chat._id) {
-                setTypingUsers(prev => prev.filter(id => id !== data.userId));
+                setMessages(prev => prev.map(msg => (msg._id === data.message._id ? data.message : msg)));
             }
         };
 
-        // Listen for message status updates
-        const handleMessageRead = (data) => {
+        const handleMessageReactions = (data) => {
             if (data.chatId === chat._id) {
                 setMessages(prev => prev.map(msg =>
-                    msg._id === data.messageId ? { ...msg, isRead: true, readAt: data.readAt } : msg
+                    msg._id === data.messageId ? { ...msg, reactions: data.reactions } : msg
                 ));
             }
         };
 
-        const handleMessageDeleted = (data) => {
+        const handleGroupUpdated = (data) => {
             if (data.chatId === chat._id) {
-                setMessages(prev => prev.filter(msg => msg._id !== data.messageId));
+                setGroupUpdate(data.chat);
+            }
+        };
+
+        const handleRemovedFromChat = (data) => {
+            if (data.chatId === chat._id) {
+                toast('You were removed from this group');
+                onLeftChat?.(chat._id);
             }
         };
 
         // Register event listeners
         on('new_message', handleNewMessage);
-        on('typing_start', handleTypingStart);
-        on('typing_stop', handleTypingStop);
-        on('message_read', handleMessageRead);
+        on('user_typing', handleUserTyping);
+        on('messages_read', handleMessagesRead);
+        on('group_updated', handleGroupUpdated);
+        on('removed_from_chat', handleRemovedFromChat);
         on('message_deleted', handleMessageDeleted);
+        on('message_edited', handleMessageEdited);
+        on('message_reactions', handleMessageReactions);
 
         // Cleanup
         return () => {
             off('new_message', handleNewMessage);
-            off('typing_start', handleTypingStart);
-            off('typing_stop', handleTypingStop);
-            off('message_read', handleMessageRead);
+            off('user_typing', handleUserTyping);
+            off('messages_read', handleMessagesRead);
+            off('group_updated', handleGroupUpdated);
+            off('removed_from_chat', handleRemovedFromChat);
             off('message_deleted', handleMessageDeleted);
+            off('message_edited', handleMessageEdited);
+            off('message_reactions', handleMessageReactions);
             emit('leave_chat', { chatId: chat._id });
         };
-    }, [socket, chat?._id, user?.id, emit, on, off]);
+    }, [socket, chat?._id, user?.id, emit, on, off, onLeftChat]);
 
     // Handle sending messages
-    const handleSendMessage = (content) => {
+    const handleSendMessage = async (content) => {
         if (!content.trim() || !chat?._id) return;
 
+        // New messages go after the latest ones, not after the page being read
+        if (hasNewer) {
+            await handleJumpToLatest();
+        }
+
         const tempMessage = {
             _id: `temp-${Date.now()}`,
             content: content.trim(),
@@ -107,6 +287,7 @@ export default function ChatWindow({ chat, onClose, className = '' }) {
             createdAt: new Date().toISOString(),
             isRead: false,
             messageType: 'text',
+            replyTo: replyingTo,
         };
 
         // Optimistically add message to UI
@@ -117,7 +298,92 @@ export default function ChatWindow({ chat, onClose, className = '' }) {
             chatId: chat._id,
             content: content.trim(),
             messageType: 'text',
+            replyTo: replyingTo?._id,
         });
+        setReplyingTo(null);
+    };
+
+    // Upload an attachment over HTTP; the server broadcasts it to the other participants
+    const handleSendAttachment = async (file, caption) => {
+        if (!chat?._id) return;
+
+        setIsUploading(true);
+        try {
+            if (hasNewer) {
+                await handleJumpToLatest();
+            }
+            const response = await chatAPI.sendAttachment(chat._id, file, caption, replyingTo?._id);
+            const { message } = response.data.data;
+            setMessages(prev => (prev.some(msg => msg._id === message._id) ? prev : [...prev, message]));
+            setReplyingTo(null);
+        } catch (error) {
+            console.error('Error sending attachment:', error);
+            toast.error(error.response?.data?.error?.message || 'Failed to send attachment');
+        } finally {
+            setIsUploading(false);
+        }
+    };
+
+    // Rethrows so the message bubble keeps the draft open after a failed save
+    const handleEditMessage = async (message, content) => {
+        try {
+            const response = await chatAPI.editMessage(chat._id, message._id, content);
+            const { message: edited } = response.data.data;
+            setMessages(prev => prev.map(msg => (msg._id === edited._id ? edited : msg)));
+        } catch (error) {
+            console.error('Error editing message:', error);
+            toast.error(error.response?.data?.error?.message || 'Failed to edit message');
+            throw error;
+        }
+    };
+
+    const handleToggleReaction = async (message, emoji) => {
+        const reacted = message.reactions?.some(r => r.emoji === emoji && r.users.includes(user?.id));
+        try {
+            const response = reacted
+                ? await chatAPI.removeReaction(chat._id, message._id, emoji)
+                : await chatAPI.addReaction(chat._id, message._id, emoji);
+            const { reactions } = response.data.data;
+            setMessages(prev => prev.map(msg => (msg._id === message._id ? { ...msg, reactions } : msg)));
+        } catch (error) {
+            console.error('Error updating reaction:', error);
+            toast.error(error.response?.data?.error?.message || 'Failed to update reaction');
+        }
+    };
+
+    const handleToggleMute = async () => {
+        try {
+            await chatAPI.muteChat(chat._id, !isMuted);
+            setIsMuted(!isMuted);
+            toast.success(isMuted ? 'Notifications turned on' : 'Notifications muted');
+            onSettingsChanged?.();
+        } catch (error) {
+            console.error('Error updating chat notifications:', error);
+            toast.error(error.response?.data?.error?.message || 'Failed to update notifications');
+        }
+    };
+
+    // Unblocking only lifts this user's block; the other person may still have blocked them
+    const handleToggleBlock = async () => {
+        const name = `${otherParticipant.firstName} ${otherParticipant.lastName}`;
+        if (!block.blockedByMe && !window.confirm(
+            `Block ${name}? Neither of you will be able to message the other or book sessions together.`
+        )) return;
+
+        try {
+            if (block.blockedByMe) {
+                await profileAPI.unblockUser(otherParticipant._id);
+                setBlock({ isBlocked: false, blockedByMe: false });
+                toast.success(`${name} unblocked`);
+            } else {
+                await profileAPI.blockUser(otherParticipant._id);
+                setBlock({ isBlocked: true, blockedByMe: true });
+                toast.success(`${name} blocked`);
+            }
+        } catch (error) {
+            console.error('Error updating block:', error);
+            toast.error(error.response?.data?.error?.message || 'Failed to update block');
+        }
     };
 
     // Handle typing indicators
@@ -155,7 +421,19 @@ export default function ChatWindow({ chat, onClose, className = '' }) {
                 <div className="flex items-center space-x-3">
                     {/* Participant Avatar */}
                     <div className="relative">
-                        {otherParticipant?.profileImage ? (
+                        {isGroup ? (
+                            currentChat.avatar?.url ? (
+                                <img
+                                    src={currentChat.avatar.url}
+                                    alt={currentChat.name}
+                                    className="w-10 h-10 rounded-full object-cover"
+                                />
+                            ) : (
+                                <div className="w-10 h-10 bg-blue-100 rounded-full flex items-center justify-center">
+                                    <UserGroupIcon className="w-6 h-6 text-blue-600" />
+                                </div>
+                            )
+                        ) : otherParticipant?.profileImage ? (
                             <img
                                 src={otherParticipant.profileImage}
                                 alt={`${otherParticipant.firstName} ${otherParticipant.lastName}`}
@@ -175,7 +453,7 @@ export default function ChatWindow({ chat, onClose, className = '' }) {
                     {/* Participant Info */}
                     <div>
                         <h3 className="font-medium text-gray-900">
-                            {otherParticipant ?
+                            {isGroup ? currentChat.name : otherParticipant ?
                                 `${otherParticipant.firstName} ${otherParticipant.lastName}` :
                                 'Chat'
                             }
@@ -184,10 +462,13 @@ export default function ChatWindow({ chat, onClose, className = '' }) {
                             {!isConnected && (
                                 <span className="text-red-500">Disconnected</span>
                             )}
-                            {isConnected && otherParticipant?.isOnline && (
+                            {isConnected && isGroup && (
+                                <span>{currentChat.participants.length} members</span>
+                            )}
+                            {isConnected && !isGroup && otherParticipant?.isOnline && (
                                 <span className="text-green-500">Online</span>
                             )}
-                            {isConnected && !otherParticipant?.isOnline && (
+                            {isConnected && !isGroup && !otherParticipant?.isOnline && (
                                 <span>Offline</span>
                             )}
                             {chat.chatType === 'session' && (
@@ -199,47 +480,161 @@ export default function ChatWindow({ chat, onClose, className = '' }) {
                     </div>
                 </div>
 
-                {/* Close Button */}
-                {onClose && (
+                <div className="flex items-center space-x-1">
                     <button
-                        onClick={onClose}
+                        onClick={handleToggleMute}
+                        aria-label={isMuted ? 'Unmute notifications' : 'Mute notifications'}
+                        aria-pressed={isMuted}
                         className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-full transition-colors"
                     >
-                        <XMarkIcon className="w-5 h-5" />
+                        {isMuted ? <BellSlashIcon className="w-5 h-5" /> : <BellIcon className="w-5 h-5" />}
                     </button>
-                )}
+
+                    {otherParticipant && (
+                        <button
+                            onClick={handleToggleBlock}
+                            aria-label={`${block.blockedByMe ? 'Unblock' : 'Block'} ${otherParticipant.firstName} ${otherParticipant.lastName}`}
+                            className={`p-2 rounded-full transition-colors ${block.blockedByMe
+                                ? 'text-red-500 hover:text-red-600 hover:bg-red-50'
+                                : 'text-gray-400 hover:text-gray-600 hover:bg-gray-100'
+                                }`}
+                        >
+                            <NoSymbolIcon className="w-5 h-5" />
+                        </button>
+                    )}
+
+                    {isGroup && (
+                        <button
+                            onClick={() => setShowMembers(prev => !prev)}
+                            aria-label="Group members"
+                            aria-expanded={showMembers}
+                            className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-full transition-colors"
+                        >
+                            <UserGroupIcon className="w-5 h-5" />
+                        </button>
+                    )}
+
+                    {/* Close Button */}
+                    {onClose && (
+                        <button
+                            onClick={onClose}
+                            aria-label="Close chat"
+                            className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-full transition-colors"
+                        >
+                            <XMarkIcon className="w-5 h-5" />
+                        </button>
+                    )}
+                </div>
             </div>
 
-            {/* Messages Area */}
-            <div className="flex-1 overflow-hidden">
-                {isLoading ? (
-                    <div className="flex items-center justify-center h-full">
-                        <LoadingSpinner size="md" />
+            <div className="flex-1 flex overflow-hidden">
+                <div className="flex-1 flex flex-col overflow-hidden">
+                    {/* Messages Area */}
+                    <div className="flex-1 overflow-hidden flex flex-col">
+                        {hasMore && !isLoading && (
+                            <div className="flex justify-center py-2 border-b border-gray-100">
+                                <button
+                                    type="button"
+                                    onClick={handleLoadEarlier}
+                                    disabled={isLoadingMore}
+                                    className="text-sm text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+                                >
+                                    {isLoadingMore ? 'Loading...' : 'Load earlier messages'}
+                                </button>
+                            </div>
+                        )}
+                        {isLoading ? (
+                            <div className="flex items-center justify-center h-full">
+                                <LoadingSpinner size="md" />
+                            </div>
+                        ) : (
+                            <MessageList
+                                chatId={chat._id}
+                                messages={messages}
+                                currentUserId={user?.id}
+                                typingUsers={typingUsers}
+                                participants={currentChat.participants}
+                                readMarkers={isGroup ? readMarkers : undefined}
+                                highlightedMessageId={highlightedMessageId}
+                                onReply={setReplyingTo}
+                                onEdit={handleEditMessage}
+                                onToggleReaction={handleToggleReaction}
+                            />
+                        )}
+                        <div ref={messagesEndRef} />
+                    </div>
+
+                    {hasNewer && !isLoading && (
+                        <div className="flex justify-center py-2 border-t border-gray-100">
+                            <button
+                                type="button"
+                                onClick={handleJumpToLatest}
+                                disabled={isLoadingMore}
+                                className="text-sm text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+                            >
+                                Jump to latest
+                            </button>
+                        </div>
+                    )}
+
+                    {/* Message Input */}
+                    <div className="border-t border-gray-200 bg-white">
+                        {replyingTo && (
+                            <div className="flex items-center justify-between px-4 pt-2 text-sm">
+                                <div className="min-w-0 pl-2 border-l-2 border-blue-400">
+                                    <span className="block text-xs text-gray-500">
+                                        Replying to {replyingTo.sender?.firstName} {replyingTo.sender?.lastName}
+                                    </span>
+                                    <span className="block truncate text-gray-700">
+                                        {replyingTo.content || replyingTo.attachment?.fileName}
+                                    </span>
+                                </div>
+                                <button
+                                    type="button"
+                                    onClick={() => setReplyingTo(null)}
+                                    className="p-1 text-gray-400 hover:text-gray-600 rounded-full"
+                                    aria-label="Cancel reply"
+                                >
+                                    <XMarkIcon className="w-4 h-4" />
+                                </button>
+                            </div>
+                        )}
+                        {block.isBlocked ? (
+                            <p className="px-4 py-3 text-sm text-center text-gray-500">
+                                {block.blockedByMe
+                                    ? `You blocked ${otherParticipant?.firstName}. Unblock them to send messages.`
+                                    : 'You can no longer send messages in this conversation.'}
+                            </p>
+                        ) : (
+                            <MessageInput
+                                onSendMessage={handleSendMessage}
+                                onSendAttachment={handleSendAttachment}
+                                onTypingStart={handleTypingStart}
+                                onTypingStop={handleTypingStop}
+                                disabled={!isConnected || isUploading}
+                                placeholder={
+                                    !isConnected
+                                        ? "Connecting..."
+                                        : isUploading
+                                        ? 'Uploading...'
+                                        : isGroup
+                                        ? `Message ${currentChat.name}...`
+                                        : `Message ${otherParticipant?.firstName || 'participant'}...`
+                                }
+                            />
+                        )}
                     </div>
-                ) : (
-                    <MessageList
-                        messages={messages}
+                </div>
+
+                {isGroup && showMembers && (
+                    <GroupMembersPanel
+                        chat={currentChat}
                         currentUserId={user?.id}
-                        typingUsers={typingUsers}
-                        participants={chat.participants}
+                        onChatUpdated={setGroupUpdate}
+                        onLeft={() => onLeftChat?.(chat._id)}
+                        onClose={() => setShowMembers(false)}
                     />
                 )}
-                <div ref={messagesEndRef} />
-            </div>
-
-            {/* Message Input */}
-            <div className="border-t border-gray-200 bg-white">
-                <MessageInput
-                    onSendMessage={handleSendMessage}
-                    onTypingStart={handleTypingStart}
-                    onTypingStop={handleTypingStop}
-                    disabled={!isConnected}
-                    placeholder={
-                        !isConnected
-                            ? "Connecting..."
-                            : `Message ${otherParticipant?.firstName || 'participant'}...`
-                    }
-                />
             </div>
         </div>
     );
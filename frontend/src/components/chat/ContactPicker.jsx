@@ -0,0 +1,66 @@
+import { useState } from 'react';
+import { UserIcon } from '@heroicons/react/24/solid';
+
+/**
+ * Checkbox list of people to add to a group chat
+ */
+export default function ContactPicker({ contacts, selectedIds, onToggle, maxSelected, isLoading = false }) {
+    const [filter, setFilter] = useState('');
+
+    if (isLoading) {
+        return <p className="text-sm text-gray-500">Loading contacts...</p>;
+    }
+
+    if (contacts.length === 0) {
+        return (
+            <p className="text-sm text-gray-500">
+                Start a conversation with someone first to add them to a group.
+            </p>
+        );
+    }
+
+    const term = filter.trim().toLowerCase();
+    const visible = contacts.filter(contact => (
+        !term || `${contact.firstName} ${contact.lastName}`.toLowerCase().includes(term)
+    ));
+    const isFull = selectedIds.length >= maxSelected;
+
+    return (
+        <div className="space-y-2">
+            <input
+                type="text"
+                value={filter}
+                onChange={(e) => setFilter(e.target.value)}
+                placeholder="Search contacts..."
+                aria-label="Search contacts"
+                className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <ul className="max-h-48 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                {visible.map(contact => {
+                    const name = `${contact.firstName} ${contact.lastName}`;
+                    const checked = selectedIds.includes(contact._id);
+                    return (
+                        <li key={contact._id}>
+                            <label className="flex items-center space-x-3 px-3 py-2 cursor-pointer hover:bg-gray-50">
+                                <input
+                                    type="checkbox"
+                                    checked={checked}
+                                    disabled={!checked && isFull}
+                                    onChange={() => onToggle(contact._id)}
+                                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                                />
+                                <span className="w-8 h-8 bg-gray-300 rounded-full flex items-center justify-center flex-shrink-0">
+                                    <UserIcon className="w-4 h-4 text-gray-600" />
+                                </span>
+                                <span className="text-sm text-gray-900">{name}</span>
+                            </label>
+                        </li>
+                    );
+                })}
+            </ul>
+            {isFull && (
+                <p className="text-xs text-gray-500">This group is full.</p>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,139 @@
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import { XMarkIcon, UserGroupIcon } from '@heroicons/react/24/outline';
+import { chatAPI } from '../../utils/api';
+import { CHAT_GROUPS } from '../../utils/constants';
+import { useChatContacts } from '../../hooks/useChatContacts';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import ContactPicker from './ContactPicker';
+
+/**
+ * Modal for starting a group chat around a skill
+ */
+export default function GroupChatModal({ onCreated, onClose }) {
+    const { contacts, isLoading } = useChatContacts();
+    const [name, setName] = useState('');
+    const [skill, setSkill] = useState('');
+    const [memberIds, setMemberIds] = useState([]);
+    const [avatar, setAvatar] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const toggleMember = (userId) => {
+        setMemberIds(prev => (
+            prev.includes(userId) ? prev.filter(id => id !== userId) : [...prev, userId]
+        ));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!name.trim()) return;
+
+        setIsSubmitting(true);
+        try {
+            const response = await chatAPI.createGroupChat({
+                name: name.trim(),
+                skill: skill.trim() || undefined,
+                memberIds,
+            });
+            let { chat } = response.data.data;
+
+            if (avatar) {
+                try {
+                    const avatarResponse = await chatAPI.uploadGroupAvatar(chat._id, avatar);
+                    chat = avatarResponse.data.data.chat;
+                } catch (error) {
+                    console.error('Error uploading group avatar:', error);
+                    toast.error('Group created, but the avatar could not be uploaded');
+                }
+            }
+
+            toast.success('Group created');
+            onCreated(chat);
+        } catch (error) {
+            console.error('Error creating group:', error);
+            toast.error(error.response?.data?.error?.message || 'Failed to create group');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="group-chat-title"
+                className="bg-white rounded-lg shadow-xl max-w-md w-full max-h-[90vh] overflow-y-auto"
+            >
+                <form onSubmit={handleSubmit} className="p-6 space-y-4">
+                    <div className="flex justify-between items-start">
+                        <div className="flex items-center space-x-2">
+                            <UserGroupIcon className="w-6 h-6 text-blue-500" />
+                            <h2 id="group-chat-title" className="text-xl font-semibold text-gray-900">
+                                New group
+                            </h2>
+                        </div>
+                        <button
+                            type="button"
+                            onClick={onClose}
+                            className="text-gray-400 hover:text-gray-600 transition-colors"
+                            aria-label="Close"
+                        >
+                            <XMarkIcon className="w-6 h-6" />
+                        </button>
+                    </div>
+
+                    <Input
+                        label="Group name"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        maxLength={100}
+                        required
+                    />
+
+                    <Input
+                        label="Skill"
+                        value={skill}
+                        onChange={(e) => setSkill(e.target.value)}
+                        maxLength={100}
+                        placeholder="e.g. Spanish conversation"
+                    />
+
+                    <div className="space-y-1">
+                        <label htmlFor="group-avatar" className="block text-sm font-medium text-gray-700">
+                            Avatar
+                        </label>
+                        <input
+                            id="group-avatar"
+                            type="file"
+                            accept="image/jpeg,image/png,image/webp"
+                            onChange={(e) => setAvatar(e.target.files[0] || null)}
+                            className="block w-full text-sm text-gray-500"
+                        />
+                    </div>
+
+                    <div className="space-y-1">
+                        <span className="block text-sm font-medium text-gray-700">Members</span>
+                        <ContactPicker
+                            contacts={contacts}
+                            isLoading={isLoading}
+                            selectedIds={memberIds}
+                            onToggle={toggleMember}
+                            maxSelected={CHAT_GROUPS.MAX_PARTICIPANTS - 1}
+                        />
+                    </div>
+
+                    <div className="flex justify-end space-x-3 pt-2">
+                        <Button variant="outline" onClick={onClose} disabled={isSubmitting}>
+                            Cancel
+                        </Button>
+                        <Button type="submit" loading={isSubmitting} disabled={!name.trim()}>
+                            Create group
+                        </Button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
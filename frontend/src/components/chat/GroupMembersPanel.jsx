@@ -0,0 +1,228 @@
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import { XMarkIcon, UserPlusIcon } from '@heroicons/react/24/outline';
+import { UserIcon } from '@heroicons/react/24/solid';
+import { chatAPI } from '../../utils/api';
+import { useChatContacts } from '../../hooks/useChatContacts';
+import ContactPicker from './ContactPicker';
+
+const ROLE_LABELS = {
+    owner: 'Owner',
+    admin: 'Admin',
+};
+
+/**
+ * Member list of a group chat with the actions the current user's role allows
+ */
+export default function GroupMembersPanel({ chat, currentUserId, onChatUpdated, onLeft, onClose }) {
+    const [busyUserId, setBusyUserId] = useState(null);
+    const [isAdding, setIsAdding] = useState(false);
+
+    const roleOf = (userId) => chat.participantStatus?.find(status => status.user === userId)?.role || 'member';
+    const myRole = roleOf(currentUserId);
+    const isAdmin = myRole === 'owner' || myRole === 'admin';
+
+    const canRemove = (userId) => {
+        const role = roleOf(userId);
+        if (userId === currentUserId || role === 'owner') return false;
+        return role === 'admin' ? myRole === 'owner' : isAdmin;
+    };
+
+    // Run a membership change and show the server's reason when it is refused
+    const runAction = async (userId, action, failureMessage) => {
+        setBusyUserId(userId);
+        try {
+            const response = await action();
+            onChatUpdated(response.data.data.chat);
+        } catch (error) {
+            console.error(failureMessage, error);
+            toast.error(error.response?.data?.error?.message || failureMessage);
+        } finally {
+            setBusyUserId(null);
+        }
+    };
+
+    const handleRemove = (member) => {
+        if (!window.confirm(`Remove ${member.firstName} ${member.lastName} from the group?`)) return;
+        runAction(member._id, () => chatAPI.removeGroupMember(chat._id, member._id), 'Failed to remove member');
+    };
+
+    const handleToggleAdmin = (member) => {
+        const role = roleOf(member._id) === 'admin' ? 'member' : 'admin';
+        runAction(member._id, () => chatAPI.updateMemberRole(chat._id, member._id, role), 'Failed to update role');
+    };
+
+    const handleLeave = async () => {
+        if (!window.confirm(`Leave ${chat.name}?`)) return;
+
+        setBusyUserId(currentUserId);
+        try {
+            await chatAPI.leaveGroup(chat._id);
+            toast.success('You left the group');
+            onLeft();
+        } catch (error) {
+            console.error('Error leaving group:', error);
+            toast.error(error.response?.data?.error?.message || 'Failed to leave group');
+            setBusyUserId(null);
+        }
+    };
+
+    return (
+        <aside className="w-72 h-full border-l border-gray-200 bg-white flex flex-col" aria-label="Group members">
+            <div className="flex items-center justify-between p-4 border-b border-gray-200">
+                <h3 className="font-medium text-gray-900">
+                    {chat.participants.length} members
+                </h3>
+                <button
+                    type="button"
+                    onClick={onClose}
+                    className="p-1 text-gray-400 hover:text-gray-600 rounded-full"
+                    aria-label="Close members"
+                >
+                    <XMarkIcon className="w-5 h-5" />
+                </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto">
+                {isAdmin && (
+                    <div className="p-4 border-b border-gray-100">
+                        {isAdding ? (
+                            <AddMembers
+                                chat={chat}
+                                onAdded={(updated) => {
+                                    onChatUpdated(updated);
+                                    setIsAdding(false);
+                                }}
+                                onCancel={() => setIsAdding(false)}
+                            />
+                        ) : (
+                            <button
+                                type="button"
+                                onClick={() => setIsAdding(true)}
+                                className="flex items-center space-x-2 text-sm text-blue-600 hover:text-blue-800"
+                            >
+                                <UserPlusIcon className="w-4 h-4" />
+                                <span>Add members</span>
+                            </button>
+                        )}
+                    </div>
+                )}
+
+                <ul className="divide-y divide-gray-100">
+                    {chat.participants.map(member => {
+                        const role = roleOf(member._id);
+                        const isMe = member._id === currentUserId;
+                        return (
+                            <li key={member._id} className="flex items-center justify-between px-4 py-3">
+                                <div className="flex items-center space-x-3 min-w-0">
+                                    <span className="w-8 h-8 bg-gray-300 rounded-full flex items-center justify-center flex-shrink-0">
+                                        <UserIcon className="w-4 h-4 text-gray-600" />
+                                    </span>
+                                    <div className="min-w-0">
+                                        <p className="text-sm text-gray-900 truncate">
+                                            {member.firstName} {member.lastName}{isMe && ' (you)'}
+                                        </p>
+                                        {ROLE_LABELS[role] && (
+                                            <p className="text-xs text-blue-600">{ROLE_LABELS[role]}</p>
+                                        )}
+                                    </div>
+                                </div>
+
+                                <div className="flex flex-col items-end space-y-1 text-xs">
+                                    {myRole === 'owner' && !isMe && (
+                                        <button
+                                            type="button"
+                                            onClick={() => handleToggleAdmin(member)}
+                                            disabled={busyUserId === member._id}
+                                            className="text-gray-600 hover:text-gray-900"
+                                        >
+                                            {role === 'admin' ? 'Remove admin' : 'Make admin'}
+                                        </button>
+                                    )}
+                                    {canRemove(member._id) && (
+                                        <button
+                                            type="button"
+                                            onClick={() => handleRemove(member)}
+                                            disabled={busyUserId === member._id}
+                                            className="text-red-600 hover:text-red-800"
+                                        >
+                                            Remove
+                                        </button>
+                                    )}
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
+            </div>
+
+            <div className="p-4 border-t border-gray-200">
+                <button
+                    type="button"
+                    onClick={handleLeave}
+                    disabled={busyUserId === currentUserId}
+                    className="w-full px-4 py-2 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50"
+                >
+                    Leave group
+                </button>
+            </div>
+        </aside>
+    );
+}
+
+/**
+ * Picker for contacts who are not in the group yet
+ */
+function AddMembers({ chat, onAdded, onCancel }) {
+    const { contacts, isLoading } = useChatContacts();
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const memberIds = chat.participants.map(member => member._id);
+    const candidates = contacts.filter(contact => !memberIds.includes(contact._id));
+    const maxParticipants = chat.settings?.maxParticipants || memberIds.length;
+
+    const toggle = (userId) => {
+        setSelectedIds(prev => (
+            prev.includes(userId) ? prev.filter(id => id !== userId) : [...prev, userId]
+        ));
+    };
+
+    const handleAdd = async () => {
+        setIsSaving(true);
+        try {
+            const response = await chatAPI.addGroupMembers(chat._id, selectedIds);
+            onAdded(response.data.data.chat);
+        } catch (error) {
+            console.error('Error adding members:', error);
+            toast.error(error.response?.data?.error?.message || 'Failed to add members');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="space-y-3">
+            <ContactPicker
+                contacts={candidates}
+                isLoading={isLoading}
+                selectedIds={selectedIds}
+                onToggle={toggle}
+                maxSelected={Math.max(maxParticipants - memberIds.length, 0)}
+            />
+            <div className="flex justify-end space-x-3 text-sm">
+                <button type="button" onClick={onCancel} className="text-gray-600 hover:text-gray-900">
+                    Cancel
+                </button>
+                <button
+                    type="button"
+                    onClick={handleAdd}
+                    disabled={selectedIds.length === 0 || isSaving}
+                    className="font-medium text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+                >
+                    {isSaving ? 'Adding...' : 'Add'}
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,114 @@
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { DocumentIcon, PhotoIcon, ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+import { chatAPI } from '../../utils/api';
+import { formatFileSize } from '../../utils/helpers';
+
+/**
+ * Save a fetched attachment under its original file name
+ */
+function saveBlob(blob, fileName) {
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+}
+
+/**
+ * Image preview or file download for a chat message. Files are fetched with the
+ * user's token because only chat participants may read them.
+ */
+export default function MessageAttachment({ chatId, message, isOwnMessage }) {
+    const { attachment } = message;
+    const isImage = message.messageType === 'image';
+    const [previewUrl, setPreviewUrl] = useState(null);
+    const [previewFailed, setPreviewFailed] = useState(false);
+    const [downloading, setDownloading] = useState(false);
+
+    useEffect(() => {
+        if (!isImage || !chatId) return undefined;
+
+        let objectUrl;
+        let cancelled = false;
+
+        chatAPI.getAttachment(chatId, message._id, 'thumbnail')
+            .then(response => {
+                if (cancelled) return;
+                objectUrl = window.URL.createObjectURL(response.data);
+                setPreviewUrl(objectUrl);
+            })
+            .catch(() => {
+                if (!cancelled) setPreviewFailed(true);
+            });
+
+        return () => {
+            cancelled = true;
+            if (objectUrl) {
+                window.URL.revokeObjectURL(objectUrl);
+            }
+        };
+    }, [chatId, message._id, isImage]);
+
+    const handleDownload = async () => {
+        setDownloading(true);
+        try {
+            const response = await chatAPI.getAttachment(chatId, message._id);
+            saveBlob(response.data, attachment.fileName);
+        } catch (error) {
+            console.error('Error downloading attachment:', error);
+            toast.error('Failed to download attachment');
+        } finally {
+            setDownloading(false);
+        }
+    };
+
+    if (isImage && !previewFailed) {
+        return (
+            <button
+                type="button"
+                onClick={handleDownload}
+                disabled={downloading}
+                className="block mb-1 rounded-lg overflow-hidden focus:outline-none focus:ring-2 focus:ring-blue-300"
+                title={`Download ${attachment.fileName}`}
+            >
+                {previewUrl ? (
+                    <img
+                        src={previewUrl}
+                        alt={attachment.fileName}
+                        className="max-h-60 max-w-full object-contain"
+                    />
+                ) : (
+                    <div className="w-48 h-32 flex items-center justify-center bg-gray-200 animate-pulse" aria-label="Loading image">
+                        <PhotoIcon className="w-8 h-8 text-gray-400" />
+                    </div>
+                )}
+            </button>
+        );
+    }
+
+    return (
+        <button
+            type="button"
+            onClick={handleDownload}
+            disabled={downloading}
+            className={`flex items-center space-x-3 mb-1 p-2 rounded-lg text-left ${isOwnMessage
+                    ? 'bg-blue-600 hover:bg-blue-700'
+                    : 'bg-white hover:bg-gray-50 border border-gray-200'
+                }`}
+            title={`Download ${attachment.fileName}`}
+        >
+            <DocumentIcon className="w-8 h-8 flex-shrink-0" />
+            <span className="min-w-0">
+                <span className="block text-sm font-medium truncate">{attachment.fileName}</span>
+                <span className={`block text-xs ${isOwnMessage ? 'text-blue-100' : 'text-gray-500'}`}>
+                    {formatFileSize(attachment.size)}
+                </span>
+            </span>
+            <ArrowDownTrayIcon className="w-4 h-4 flex-shrink-0" />
+        </button>
+    );
+}
@@ -1,11 +1,18 @@
 import { useState, useRef, useEffect } from 'react';
-import { PaperAirplaneIcon, PaperClipIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { PaperAirplaneIcon, PaperClipIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { FILE_LIMITS } from '../../utils/constants';
+import { formatFileSize, validateFile } from '../../utils/helpers';
+
+const ACCEPTED_TYPES = [...FILE_LIMITS.CHAT_IMAGE_TYPES, ...FILE_LIMITS.CHAT_FILE_TYPES];
 
 /**
- * Message input component with send functionality and typing indicators
+ * Message input component with send functionality, typing indicators and
+ * an optional attachment (sent with the typed text as its caption)
  */
 export default function MessageInput({
     onSendMessage,
+    onSendAttachment,
     onTypingStart,
     onTypingStop,
     disabled = false,
@@ -14,7 +21,9 @@ export default function MessageInput({
 }) {
     const [message, setMessage] = useState('');
     const [isTyping, setIsTyping] = useState(false);
+    const [attachment, setAttachment] = useState(null);
     const textareaRef = useRef(null);
+    const fileInputRef = useRef(null);
     const typingTimeoutRef = useRef(null);
 
     // Auto-resize textarea
@@ -65,10 +74,15 @@ export default function MessageInput({
         e.preventDefault();
 
         const trimmedMessage = message.trim();
-        if (!trimmedMessage || disabled) return;
-
-        // Send message
-        onSendMessage(trimmedMessage);
+        if ((!trimmedMessage && !attachment) || disabled) return;
+
+        // Send message (the text becomes the attachment's caption)
+        if (attachment) {
+            onSendAttachment(attachment, trimmedMessage);
+            setAttachment(null);
+        } else {
+            onSendMessage(trimmedMessage);
+        }
 
         // Clear input
         setMessage('');
@@ -98,17 +112,70 @@ export default function MessageInput({
         }
     };
 
-    const canSend = message.trim().length > 0 && !disabled;
+    const handleFileChange = (e) => {
+        const file = e.target.files[0];
+        // Allow picking the same file again after removing it
+        e.target.value = '';
+        if (!file) return;
+
+        if (!ACCEPTED_TYPES.includes(file.type)) {
+            toast.error('This file type cannot be shared in chat');
+            return;
+        }
+
+        const isImage = FILE_LIMITS.CHAT_IMAGE_TYPES.includes(file.type);
+        const { isValid, errors } = validateFile(file, {
+            maxSize: isImage ? FILE_LIMITS.CHAT_IMAGE_MAX_SIZE : FILE_LIMITS.CHAT_FILE_MAX_SIZE,
+            allowedTypes: ACCEPTED_TYPES,
+        });
+        if (!isValid) {
+            toast.error(errors[0]);
+            return;
+        }
+
+        setAttachment(file);
+        textareaRef.current?.focus();
+    };
+
+    const canSend = (message.trim().length > 0 || Boolean(attachment)) && !disabled;
 
     return (
         <form onSubmit={handleSubmit} className="p-4">
+            {/* Selected attachment */}
+            {attachment && (
+                <div className="flex items-center justify-between mb-3 px-3 py-2 bg-gray-50 border border-gray-200 rounded-lg text-sm">
+                    <span className="flex items-center min-w-0 text-gray-700">
+                        <PaperClipIcon className="w-4 h-4 mr-2 flex-shrink-0 text-gray-400" />
+                        <span className="truncate">{attachment.name}</span>
+                        <span className="ml-2 flex-shrink-0 text-gray-400">{formatFileSize(attachment.size)}</span>
+                    </span>
+                    <button
+                        type="button"
+                        onClick={() => setAttachment(null)}
+                        className="ml-2 p-1 text-gray-400 hover:text-gray-600 rounded-full"
+                        title="Remove attachment"
+                    >
+                        <XMarkIcon className="w-4 h-4" />
+                    </button>
+                </div>
+            )}
+
             <div className="flex items-end space-x-3">
-                {/* Attachment button (placeholder for future file upload) */}
+                {/* Attachment button */}
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept={ACCEPTED_TYPES.join(',')}
+                    onChange={handleFileChange}
+                    className="hidden"
+                    data-testid="attachment-input"
+                />
                 <button
                     type="button"
-                    disabled={disabled}
+                    onClick={() => fileInputRef.current?.click()}
+                    disabled={disabled || !onSendAttachment}
                     className="flex-shrink-0 p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-full transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-                    title="Attach file (coming soon)"
+                    title="Attach a file or image"
                 >
                     <PaperClipIcon className="w-5 h-5" />
                 </button>
@@ -1,20 +1,41 @@
-import { useEffect, useRef } from 'react';
+import { Fragment, useEffect, useRef, useState } from 'react';
 import { formatDistanceToNow, format, isToday, isYesterday } from 'date-fns';
 import { UserIcon, CheckIcon } from '@heroicons/react/24/solid';
-import { EllipsisVerticalIcon } from '@heroicons/react/24/outline';
+import { ArrowUturnLeftIcon, FaceSmileIcon, PencilIcon } from '@heroicons/react/24/outline';
+import MessageAttachment from './MessageAttachment';
+import { CHAT_MESSAGES } from '../../utils/constants';
 
 /**
  * Component to display a list of messages with real-time updates
  */
-export default function MessageList({ messages, currentUserId, typingUsers = [], participants = [] }) {
+export default function MessageList({
+    chatId,
+    messages,
+    currentUserId,
+    typingUsers = [],
+    participants = [],
+    readMarkers,
+    highlightedMessageId,
+    onReply,
+    onEdit,
+    onToggleReaction,
+}) {
     const messagesContainerRef = useRef(null);
 
-    // Auto-scroll to bottom when new messages arrive
+    // Auto-scroll to bottom when new messages arrive (not when earlier ones are loaded)
+    const lastMessageId = messages[messages.length - 1]?._id;
     useEffect(() => {
-        if (messagesContainerRef.current) {
+        if (messagesContainerRef.current && !highlightedMessageId) {
             messagesContainerRef.current.scrollTop = messagesContainerRef.current.scrollHeight;
         }
-    }, [messages]);
+    }, [lastMessageId, highlightedMessageId]);
+
+    // Bring a highlighted message (e.g. a search result) into view
+    useEffect(() => {
+        if (!highlightedMessageId || !messagesContainerRef.current) return;
+        const element = messagesContainerRef.current.querySelector(`[data-message-id="${highlightedMessageId}"]`);
+        element?.scrollIntoView?.({ block: 'center' });
+    }, [highlightedMessageId]);
 
     // Group messages by date
     const groupMessagesByDate = (messages) => {
@@ -50,6 +71,7 @@ export default function MessageList({ messages, currentUserId, typingUsers = [],
     // Check if messages should be grouped (same sender, within 5 minutes)
     const shouldGroupWithPrevious = (currentMessage, previousMessage) => {
         if (!previousMessage) return false;
+        if (currentMessage.messageType === 'system' || previousMessage.messageType === 'system') return false;
 
         const currentTime = new Date(currentMessage.createdAt);
         const previousTime = new Date(previousMessage.createdAt);
@@ -68,8 +90,26 @@ export default function MessageList({ messages, currentUserId, typingUsers = [],
         );
     };
 
+    // Group chats show who has read up to the latest message the user sent
+    const getSeenBy = () => {
+        if (!readMarkers) return { messageId: null, names: [] };
+        const lastOwn = [...messages].reverse().find(message => (
+            message.sender._id === currentUserId &&
+            message.messageType !== 'system' &&
+            !message._id.startsWith('temp-')
+        ));
+        if (!lastOwn) return { messageId: null, names: [] };
+
+        const sentAt = new Date(lastOwn.createdAt);
+        const names = participants
+            .filter(p => p._id !== currentUserId && readMarkers[p._id] && new Date(readMarkers[p._id]) >= sentAt)
+            .map(p => p.firstName);
+        return { messageId: lastOwn._id, names };
+    };
+
     const messageGroups = groupMessagesByDate(messages);
     const typingParticipants = getTypingUsers();
+    const seenBy = getSeenBy();
 
     if (messages.length === 0) {
         return (
@@ -101,18 +141,40 @@ export default function MessageList({ messages, currentUserId, typingUsers = [],
 
                     {/* Messages for this date */}
                     {dateMessages.map((message, index) => {
+                        if (message.messageType === 'system') {
+                            return (
+                                <div key={message._id} className="flex justify-center my-3">
+                                    <p className="px-3 py-1 text-xs text-gray-500 text-center">
+                                        {message.content}
+                                    </p>
+                                </div>
+                            );
+                        }
+
                         const isOwnMessage = message.sender._id === currentUserId;
                         const previousMessage = index > 0 ? dateMessages[index - 1] : null;
                         const shouldGroup = shouldGroupWithPrevious(message, previousMessage);
 
                         return (
-                            <MessageBubble
-                                key={message._id}
-                                message={message}
-                                isOwnMessage={isOwnMessage}
-                                shouldGroup={shouldGroup}
-                                showTime={!shouldGroup}
-                            />
+                            <Fragment key={message._id}>
+                                <MessageBubble
+                                    chatId={chatId}
+                                    message={message}
+                                    currentUserId={currentUserId}
+                                    isOwnMessage={isOwnMessage}
+                                    isHighlighted={message._id === highlightedMessageId}
+                                    shouldGroup={shouldGroup}
+                                    showTime={!shouldGroup}
+                                    onReply={onReply}
+                                    onEdit={onEdit}
+                                    onToggleReaction={onToggleReaction}
+                                />
+                                {message._id === seenBy.messageId && seenBy.names.length > 0 && (
+                                    <p className="mt-1 text-xs text-gray-400 text-right">
+                                        Seen by {seenBy.names.join(', ')}
+                                    </p>
+                                )}
+                            </Fragment>
                         );
                     })}
                 </div>
@@ -138,15 +200,95 @@ export default function MessageList({ messages, currentUserId, typingUsers = [],
     );
 }
 
+/**
+ * Short text for a quoted message
+ */
+function quotePreview(message) {
+    if (message.isDeleted) return 'Original message was deleted';
+    if (message.content) return message.content;
+    if (message.messageType === 'image') return 'Photo';
+    return message.attachment?.fileName || 'Attachment';
+}
+
+/**
+ * Whether the sender may still edit a message (the server enforces the same window)
+ */
+function canEdit(message, isOwnMessage) {
+    if (!isOwnMessage || message.messageType === 'system' || message._id.startsWith('temp-')) {
+        return false;
+    }
+    const ageMs = Date.now() - new Date(message.createdAt).getTime();
+    return ageMs <= CHAT_MESSAGES.EDIT_WINDOW_MINUTES * 60 * 1000;
+}
+
 /**
  * Individual message bubble component
  */
-function MessageBubble({ message, isOwnMessage, shouldGroup, showTime }) {
+function MessageBubble({
+    chatId,
+    message,
+    currentUserId,
+    isOwnMessage,
+    isHighlighted = false,
+    shouldGroup,
+    showTime,
+    onReply,
+    onEdit,
+    onToggleReaction,
+}) {
+    const [isEditing, setIsEditing] = useState(false);
+    const [draft, setDraft] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [showReactions, setShowReactions] = useState(false);
+
     const messageTime = formatDistanceToNow(new Date(message.createdAt), { addSuffix: true });
     const exactTime = formatMessageTime(message.createdAt);
+    const reactions = message.reactions || [];
+    const isTemporary = message._id.startsWith('temp-');
+
+    const startEditing = () => {
+        setDraft(message.content || '');
+        setIsEditing(true);
+    };
+
+    const saveEdit = async () => {
+        const text = draft.trim();
+        if (text === (message.content || '')) {
+            setIsEditing(false);
+            return;
+        }
+        if (!text && !message.attachment) return;
+
+        setIsSaving(true);
+        try {
+            await onEdit(message, text);
+            setIsEditing(false);
+        } catch {
+            // The caller reports the error; keep the draft so it can be retried
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleEditKeyDown = (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            saveEdit();
+        } else if (e.key === 'Escape') {
+            setIsEditing(false);
+        }
+    };
+
+    const pickReaction = (emoji) => {
+        setShowReactions(false);
+        onToggleReaction(message, emoji);
+    };
 
     return (
-        <div className={`flex ${isOwnMessage ? 'justify-end' : 'justify-start'} ${shouldGroup ? 'mt-1' : 'mt-4'}`}>
+        <div
+            data-message-id={message._id}
+            className={`flex ${isOwnMessage ? 'justify-end' : 'justify-start'} ${shouldGroup ? 'mt-1' : 'mt-4'} ${isHighlighted ? 'bg-yellow-50 rounded-lg' : ''}`}
+        >
             <div className={`flex max-w-xs lg:max-w-md ${isOwnMessage ? 'flex-row-reverse' : 'flex-row'} items-end space-x-2`}>
                 {/* Avatar (only show for first message in group) */}
                 {!shouldGroup && !isOwnMessage && (
@@ -166,7 +308,7 @@ function MessageBubble({ message, isOwnMessage, shouldGroup, showTime }) {
                 )}
 
                 {/* Message Content */}
-                <div className={`flex flex-col ${isOwnMessage ? 'items-end' : 'items-start'}`}>
+                <div className={`group flex flex-col ${isOwnMessage ? 'items-end' : 'items-start'}`}>
                     {/* Sender name (only for first message in group from others) */}
                     {!shouldGroup && !isOwnMessage && (
                         <span className="text-xs text-gray-500 mb-1 px-3">
@@ -181,14 +323,68 @@ function MessageBubble({ message, isOwnMessage, shouldGroup, showTime }) {
                                 : 'bg-gray-100 text-gray-900'
                             } ${shouldGroup ? (isOwnMessage ? 'rounded-br-md' : 'rounded-bl-md') : ''}`}
                     >
+                        {/* Quoted message */}
+                        {message.replyTo && (
+                            <div
+                                className={`mb-2 pl-2 border-l-2 text-xs ${isOwnMessage
+                                        ? 'border-blue-200 text-blue-100'
+                                        : 'border-gray-400 text-gray-600'
+                                    }`}
+                                data-testid="quoted-message"
+                            >
+                                {message.replyTo.sender && !message.replyTo.isDeleted && (
+                                    <span className="block font-medium">
+                                        {message.replyTo.sender.firstName} {message.replyTo.sender.lastName}
+                                    </span>
+                                )}
+                                <span className={`block truncate ${message.replyTo.isDeleted ? 'italic' : ''}`}>
+                                    {quotePreview(message.replyTo)}
+                                </span>
+                            </div>
+                        )}
+
+                        {message.attachment && (
+                            <MessageAttachment chatId={chatId} message={message} isOwnMessage={isOwnMessage} />
+                        )}
+
                         {/* Message content */}
-                        <p className="text-sm whitespace-pre-wrap break-words">
-                            {message.content}
-                        </p>
+                        {isEditing ? (
+                            <div className="space-y-2">
+                                <textarea
+                                    value={draft}
+                                    onChange={(e) => setDraft(e.target.value)}
+                                    onKeyDown={handleEditKeyDown}
+                                    maxLength={1000}
+                                    rows={2}
+                                    autoFocus
+                                    aria-label="Edit message"
+                                    className="w-full min-w-[12rem] px-2 py-1 text-sm text-gray-900 rounded border border-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-300"
+                                />
+                                <div className="flex justify-end space-x-2 text-xs">
+                                    <button type="button" onClick={() => setIsEditing(false)} disabled={isSaving}>
+                                        Cancel
+                                    </button>
+                                    <button type="button" onClick={saveEdit} disabled={isSaving} className="font-semibold">
+                                        {isSaving ? 'Saving...' : 'Save'}
+                                    </button>
+                                </div>
+                            </div>
+                        ) : (
+                            message.content && (
+                                <p className="text-sm whitespace-pre-wrap break-words">
+                                    {message.content}
+                                </p>
+                            )
+                        )}
 
                         {/* Message status and time */}
                         <div className={`flex items-center justify-end mt-1 space-x-1 ${isOwnMessage ? 'text-blue-100' : 'text-gray-500'
                             }`}>
+                            {message.editedAt && (
+                                <span className="text-xs italic" title={`Edited ${formatMessageTime(message.editedAt)}`}>
+                                    edited
+                                </span>
+                            )}
                             <span className="text-xs" title={exactTime}>
                                 {showTime && messageTime}
                             </span>
@@ -206,12 +402,90 @@ function MessageBubble({ message, isOwnMessage, shouldGroup, showTime }) {
                         </div>
                     </div>
 
+                    {/* Reaction chips */}
+                    {reactions.length > 0 && (
+                        <div className={`flex flex-wrap gap-1 mt-1 ${isOwnMessage ? 'justify-end' : 'justify-start'}`}>
+                            {reactions.map(reaction => {
+                                const reacted = reaction.users.includes(currentUserId);
+                                return (
+                                    <button
+                                        key={reaction.emoji}
+                                        type="button"
+                                        onClick={() => onToggleReaction?.(message, reaction.emoji)}
+                                        disabled={!onToggleReaction}
+                                        aria-pressed={reacted}
+                                        aria-label={`${reaction.emoji} ${reaction.count}`}
+                                        className={`px-2 py-0.5 rounded-full text-xs border ${reacted
+                                                ? 'bg-blue-50 border-blue-300 text-blue-700'
+                                                : 'bg-white border-gray-200 text-gray-700'
+                                            }`}
+                                    >
+                                        {reaction.emoji} {reaction.count}
+                                    </button>
+                                );
+                            })}
+                        </div>
+                    )}
+
                     {/* Message actions (show on hover) */}
-                    <div className="opacity-0 hover:opacity-100 transition-opacity duration-200 mt-1">
-                        <button className="p-1 text-gray-400 hover:text-gray-600 rounded">
-                            <EllipsisVerticalIcon className="w-4 h-4" />
-                        </button>
-                    </div>
+                    {!isTemporary && !isEditing && (onReply || onToggleReaction || onEdit) && (
+                        <div className="relative flex items-center space-x-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity duration-200 mt-1">
+                            {onReply && (
+                                <button
+                                    type="button"
+                                    onClick={() => onReply(message)}
+                                    className="p-1 text-gray-400 hover:text-gray-600 rounded"
+                                    aria-label="Reply"
+                                    title="Reply"
+                                >
+                                    <ArrowUturnLeftIcon className="w-4 h-4" />
+                                </button>
+                            )}
+                            {onToggleReaction && (
+                                <button
+                                    type="button"
+                                    onClick={() => setShowReactions(open => !open)}
+                                    className="p-1 text-gray-400 hover:text-gray-600 rounded"
+                                    aria-label="Add reaction"
+                                    aria-expanded={showReactions}
+                                    title="Add reaction"
+                                >
+                                    <FaceSmileIcon className="w-4 h-4" />
+                                </button>
+                            )}
+                            {onEdit && canEdit(message, isOwnMessage) && (
+                                <button
+                                    type="button"
+                                    onClick={startEditing}
+                                    className="p-1 text-gray-400 hover:text-gray-600 rounded"
+                                    aria-label="Edit message"
+                                    title="Edit message"
+                                >
+                                    <PencilIcon className="w-4 h-4" />
+                                </button>
+                            )}
+
+                            {showReactions && (
+                                <div
+                                    role="menu"
+                                    className={`absolute bottom-full mb-1 z-10 flex space-x-1 p-1 bg-white border border-gray-200 rounded-full shadow ${isOwnMessage ? 'right-0' : 'left-0'}`}
+                                >
+                                    {CHAT_MESSAGES.REACTION_EMOJIS.map(emoji => (
+                                        <button
+                                            key={emoji}
+                                            type="button"
+                                            role="menuitem"
+                                            onClick={() => pickReaction(emoji)}
+                                            className="px-1 text-lg hover:scale-125 transition-transform"
+                                            aria-label={`React with ${emoji}`}
+                                        >
+                                            {emoji}
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    )}
                 </div>
 
                 {/* Spacer for own messages to align with avatar space */}
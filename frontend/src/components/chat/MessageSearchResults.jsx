@@ -0,0 +1,111 @@
+import { Fragment, useEffect, useState } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { chatAPI } from '../../utils/api';
+import { useDebounce } from '../../hooks/useDebounce';
+import { getHighlightParts } from '../../utils/helpers';
+
+const MIN_QUERY_LENGTH = 2;
+
+/**
+ * Conversation name shown above a result
+ */
+function chatTitle(chat) {
+    if (chat.chatType === 'group') return chat.name;
+    const [other] = chat.participants;
+    return other ? `${other.firstName} ${other.lastName}` : 'Conversation';
+}
+
+/**
+ * Messages matching the contact list search, across all of the user's chats
+ */
+export default function MessageSearchResults({ query, onSelect }) {
+    const debouncedQuery = useDebounce(query.trim(), 300);
+    const [results, setResults] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const isSearching = debouncedQuery.length >= MIN_QUERY_LENGTH;
+
+    useEffect(() => {
+        if (!isSearching) {
+            setResults([]);
+            return undefined;
+        }
+
+        let cancelled = false;
+        setIsLoading(true);
+        setError(null);
+
+        chatAPI.searchMessages({ q: debouncedQuery })
+            .then(response => {
+                if (!cancelled) setResults(response.data.data.results);
+            })
+            .catch(err => {
+                if (cancelled) return;
+                console.error('Error searching messages:', err);
+                setError(err.response?.data?.error?.message || 'Failed to search messages');
+            })
+            .finally(() => {
+                if (!cancelled) setIsLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [debouncedQuery, isSearching]);
+
+    if (!isSearching) {
+        return null;
+    }
+
+    const renderHighlighted = (text) => getHighlightParts(text, debouncedQuery).map((part, index) => (
+        part.match
+            ? <mark key={index} className="bg-yellow-100 text-gray-900 rounded-sm">{part.text}</mark>
+            : <Fragment key={index}>{part.text}</Fragment>
+    ));
+
+    return (
+        <section aria-label="Message results" className="border-t border-gray-200">
+            <h3 className="px-4 pt-3 pb-1 text-xs font-semibold text-gray-500 uppercase tracking-wide">
+                Messages
+            </h3>
+
+            {isLoading ? (
+                <p className="px-4 py-3 text-sm text-gray-500">Searching messages...</p>
+            ) : error ? (
+                <p className="px-4 py-3 text-sm text-red-600">{error}</p>
+            ) : results.length === 0 ? (
+                <p className="px-4 py-3 text-sm text-gray-500">No messages found</p>
+            ) : (
+                <ul className="divide-y divide-gray-100">
+                    {results.map(result => {
+                        const { message, chat, highlight } = result;
+                        const text = highlight?.snippet || message.content || message.attachment?.fileName || '';
+                        return (
+                            <li key={message._id}>
+                                <button
+                                    type="button"
+                                    onClick={() => onSelect(result)}
+                                    className="w-full px-4 py-3 text-left hover:bg-gray-50 transition-colors"
+                                >
+                                    <div className="flex items-center justify-between">
+                                        <span className="font-medium text-sm text-gray-900 truncate">
+                                            {chatTitle(chat)}
+                                        </span>
+                                        <span className="ml-2 flex-shrink-0 text-xs text-gray-500">
+                                            {formatDistanceToNow(new Date(message.createdAt), { addSuffix: true })}
+                                        </span>
+                                    </div>
+                                    <p className="mt-1 text-sm text-gray-600 line-clamp-2">
+                                        <span className="text-gray-500">{message.sender?.firstName}: </span>
+                                        {renderHighlighted(text)}
+                                    </p>
+                                </button>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </section>
+    );
+}
@@ -4,6 +4,7 @@ import { Bars3Icon, XMarkIcon } from '@heroicons/react/24/outline';
 import { useAuth } from '../../context/AuthContext';
 import { getInitials } from '../../utils/helpers';
 import Button from './Button';
+import NotificationBell from '../notifications/NotificationBell';
 
 function Header() {
     const { user, isAuthenticated, logout } = useAuth();
@@ -94,6 +95,8 @@ function Header() {
                     <div className="hidden md:flex items-center space-x-4">
                         {isAuthenticated ? (
                             <div className="flex items-center space-x-3">
+                                <NotificationBell />
+
                                 {/* User avatar */}
                                 <Link
                                     to="/profile"
@@ -143,20 +146,23 @@ function Header() {
                         )}
                     </div>
 
-                    {/* Mobile menu button */}
-                    <button
-                        type="button"
-                        className="md:hidden inline-flex items-center justify-center p-2 rounded-lg text-gray-700 hover:bg-gray-100 focus-visible-ring"
-                        onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
-                        aria-expanded={mobileMenuOpen}
-                        aria-label="Toggle navigation menu"
-                    >
-                        {mobileMenuOpen ? (
-                            <XMarkIcon className="h-6 w-6" aria-hidden="true" />
-                        ) : (
-                            <Bars3Icon className="h-6 w-6" aria-hidden="true" />
-                        )}
-                    </button>
+                    {/* Mobile notifications and menu button */}
+                    <div className="md:hidden flex items-center space-x-1">
+                        {isAuthenticated && <NotificationBell />}
+                        <button
+                            type="button"
+                            className="inline-flex items-center justify-center p-2 rounded-lg text-gray-700 hover:bg-gray-100 focus-visible-ring"
+                            onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
+                            aria-expanded={mobileMenuOpen}
+                            aria-label="Toggle navigation menu"
+                        >
+                            {mobileMenuOpen ? (
+                                <XMarkIcon className="h-6 w-6" aria-hidden="true" />
+                            ) : (
+                                <Bars3Icon className="h-6 w-6" aria-hidden="true" />
+                            )}
+                        </button>
+                    </div>
                 </div>
             </div>
 
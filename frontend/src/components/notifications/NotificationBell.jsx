@@ -0,0 +1,140 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { BellIcon } from '@heroicons/react/24/outline';
+import { useNotifications } from '../../context/NotificationContext';
+import { cn, formatRelativeTime } from '../../utils/helpers';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+function NotificationBell() {
+    const { notifications, unreadCount, isLoading, markAsRead, markAllAsRead } = useNotifications();
+    const navigate = useNavigate();
+    const [isOpen, setIsOpen] = useState(false);
+    const containerRef = useRef(null);
+
+    // Close the dropdown on outside click or Escape
+    useEffect(() => {
+        if (!isOpen) return;
+
+        const handleClickOutside = (event) => {
+            if (containerRef.current && !containerRef.current.contains(event.target)) {
+                setIsOpen(false);
+            }
+        };
+        const handleKeyDown = (event) => {
+            if (event.key === 'Escape') {
+                setIsOpen(false);
+            }
+        };
+
+        document.addEventListener('mousedown', handleClickOutside);
+        document.addEventListener('keydown', handleKeyDown);
+        return () => {
+            document.removeEventListener('mousedown', handleClickOutside);
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [isOpen]);
+
+    const handleNotificationClick = (notification) => {
+        if (!notification.isRead) {
+            markAsRead(notification._id);
+        }
+        setIsOpen(false);
+
+        if (notification.actionData?.actionUrl) {
+            navigate(notification.actionData.actionUrl);
+        }
+    };
+
+    const badgeLabel = unreadCount > 99 ? '99+' : unreadCount;
+
+    return (
+        <div className="relative" ref={containerRef}>
+            <button
+                type="button"
+                className="relative p-2 rounded-lg text-gray-700 hover:bg-gray-100 focus-visible-ring"
+                onClick={() => setIsOpen(!isOpen)}
+                aria-expanded={isOpen}
+                aria-haspopup="true"
+                aria-label={unreadCount > 0 ? `Notifications, ${unreadCount} unread` : 'Notifications'}
+            >
+                <BellIcon className="h-6 w-6" aria-hidden="true" />
+                {unreadCount > 0 && (
+                    <span
+                        className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 bg-red-600 text-white text-xs font-medium rounded-full flex items-center justify-center"
+                        data-testid="notification-badge"
+                    >
+                        {badgeLabel}
+                    </span>
+                )}
+            </button>
+
+            {isOpen && (
+                <div
+                    className="absolute right-0 mt-2 w-80 bg-white rounded-lg shadow-lg border border-gray-200 z-50"
+                    role="menu"
+                    aria-label="Notifications"
+                >
+                    <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+                        <h2 className="text-sm font-semibold text-gray-900">Notifications</h2>
+                        {unreadCount > 0 && (
+                            <button
+                                type="button"
+                                className="text-xs text-primary-600 hover:text-primary-700 focus-visible-ring rounded"
+                                onClick={markAllAsRead}
+                            >
+                                Mark all as read
+                            </button>
+                        )}
+                    </div>
+
+                    <div className="max-h-96 overflow-y-auto">
+                        {isLoading && notifications.length === 0 ? (
+                            <div className="flex justify-center py-6">
+                                <LoadingSpinner size="sm" />
+                            </div>
+                        ) : notifications.length === 0 ? (
+                            <p className="px-4 py-6 text-sm text-center text-gray-500">
+                                You&apos;re all caught up
+                            </p>
+                        ) : (
+                            <ul className="divide-y divide-gray-100">
+                                {notifications.map(notification => (
+                                    <li key={notification._id}>
+                                        <button
+                                            type="button"
+                                            role="menuitem"
+                                            className={cn(
+                                                'w-full text-left px-4 py-3 hover:bg-gray-50 focus-visible-ring',
+                                                !notification.isRead && 'bg-primary-50'
+                                            )}
+                                            onClick={() => handleNotificationClick(notification)}
+                                        >
+                                            <div className="flex items-start space-x-2">
+                                                {!notification.isRead && (
+                                                    <span className="mt-1.5 w-2 h-2 bg-primary-600 rounded-full flex-shrink-0" aria-label="Unread" />
+                                                )}
+                                                <div className="min-w-0">
+                                                    <p className="text-sm font-medium text-gray-900">
+                                                        {notification.title}
+                                                    </p>
+                                                    <p className="text-sm text-gray-600 line-clamp-2">
+                                                        {notification.message}
+                                                    </p>
+                                                    <p className="mt-1 text-xs text-gray-400">
+                                                        {formatRelativeTime(notification.createdAt)}
+                                                    </p>
+                                                </div>
+                                            </div>
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default NotificationBell;
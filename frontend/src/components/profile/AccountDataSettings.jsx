@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { ArchiveBoxIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../context/AuthContext';
+import { profileAPI } from '../../utils/api';
+import { formatDate } from '../../utils/helpers';
+import Button from '../common/Button';
+import Input from '../common/Input';
+
+function getErrorMessage(error, fallback) {
+    return error.response?.data?.error?.message || error.response?.data?.message || fallback;
+}
+
+/**
+ * Download a copy of the account data, or delete the account after a grace period
+ */
+function AccountDataSettings() {
+    const { logout } = useAuth();
+    const navigate = useNavigate();
+    const [confirmingDeletion, setConfirmingDeletion] = useState(false);
+    const [password, setPassword] = useState('');
+    const [exporting, setExporting] = useState(false);
+    const [deleting, setDeleting] = useState(false);
+
+    const handleExport = async () => {
+        setExporting(true);
+        try {
+            const response = await profileAPI.exportData();
+            const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `skillswap-data-${new Date().toISOString().slice(0, 10)}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error exporting account data:', error);
+            toast.error('Failed to download your data');
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    const handleDelete = async (e) => {
+        e.preventDefault();
+        setDeleting(true);
+        try {
+            const response = await profileAPI.deleteAccount(password);
+            const { scheduledFor } = response.data.data;
+            toast.success(`Your account will be deleted on ${formatDate(scheduledFor)}. Sign in before then to keep it.`);
+            // Every session was revoked on the server already
+            await logout({ revokeSession: false });
+            navigate('/', { replace: true });
+        } catch (error) {
+            toast.error(getErrorMessage(error, 'Failed to delete your account'));
+            setDeleting(false);
+        } finally {
+            setPassword('');
+        }
+    };
+
+    const cancelDeletion = () => {
+        setConfirmingDeletion(false);
+        setPassword('');
+    };
+
+    return (
+        <section className="bg-white rounded-lg shadow-sm border border-gray-200 p-6" aria-labelledby="account-data-heading">
+            <div className="flex items-center mb-2">
+                <ArchiveBoxIcon className="h-5 w-5 text-gray-500 mr-2" aria-hidden="true" />
+                <h2 id="account-data-heading" className="text-lg font-semibold text-gray-900">
+                    Your Data
+                </h2>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+                Download your profile, sessions, reviews, messages and notifications as a JSON file.
+            </p>
+            <Button type="button" size="sm" variant="outline" onClick={handleExport} loading={exporting} disabled={exporting}>
+                Download My Data
+            </Button>
+
+            <div className="border-t border-gray-200 mt-6 pt-6">
+                <h3 className="text-base font-semibold text-red-700 mb-2">Delete Account</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                    Your upcoming sessions are cancelled and you are signed out everywhere. Your data is removed
+                    after 14 days; signing in before then keeps your account.
+                </p>
+
+                {confirmingDeletion ? (
+                    <form className="space-y-4" onSubmit={handleDelete}>
+                        <Input
+                            label="Current password"
+                            type="password"
+                            autoComplete="current-password"
+                            required
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                        />
+                        <div className="flex flex-wrap gap-2">
+                            <Button type="submit" size="sm" variant="danger" loading={deleting} disabled={deleting || !password}>
+                                Delete My Account
+                            </Button>
+                            <Button type="button" size="sm" variant="outline" onClick={cancelDeletion} disabled={deleting}>
+                                Cancel
+                            </Button>
+                        </div>
+                    </form>
+                ) : (
+                    <Button
+                        type="button"
+                        size="sm"
+                        variant="outline"
+                        onClick={() => setConfirmingDeletion(true)}
+                        className="text-red-600 border-red-300 hover:bg-red-50"
+                    >
+                        Delete Account
+                    </Button>
+                )}
+            </div>
+        </section>
+    );
+}
+
+export default AccountDataSettings;
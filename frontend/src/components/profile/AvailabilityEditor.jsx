@@ -0,0 +1,233 @@
+import React, { useState } from 'react';
+import { PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../context/AuthContext';
+import { useUpdateProfile } from '../../hooks/useApi';
+import Button from '../common/Button';
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const inputClassName = 'px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+function getBrowserTimezone() {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    } catch (error) {
+        return 'UTC';
+    }
+}
+
+/**
+ * Check slots and exceptions before sending them, mirroring the server rules
+ */
+function validateAvailability({ weeklySlots, exceptions }) {
+    const slotError = weeklySlots.find(slot => !slot.start || !slot.end || slot.start >= slot.end);
+    if (slotError) {
+        return 'Each time slot must end after it starts';
+    }
+
+    const exceptionError = exceptions.find(exception => (
+        !exception.startDate || !exception.endDate || exception.startDate > exception.endDate
+    ));
+    if (exceptionError) {
+        return 'Each blocked period needs a start date on or before its end date';
+    }
+
+    return null;
+}
+
+function AvailabilityEditor() {
+    const { user, updateUser } = useAuth();
+    const updateProfileMutation = useUpdateProfile();
+
+    const [timezone, setTimezone] = useState(user?.availability?.timezone || getBrowserTimezone());
+    const [weeklySlots, setWeeklySlots] = useState(user?.availability?.weeklySlots || []);
+    const [exceptions, setExceptions] = useState(
+        (user?.availability?.exceptions || []).map(({ startDate, endDate, reason }) => ({ startDate, endDate, reason: reason || '' }))
+    );
+    const [error, setError] = useState(null);
+
+    const updateSlot = (index, changes) => {
+        setWeeklySlots(prev => prev.map((slot, i) => (i === index ? { ...slot, ...changes } : slot)));
+    };
+
+    const updateException = (index, changes) => {
+        setExceptions(prev => prev.map((exception, i) => (i === index ? { ...exception, ...changes } : exception)));
+    };
+
+    const handleSave = async () => {
+        const validationError = validateAvailability({ weeklySlots, exceptions });
+        setError(validationError);
+        if (validationError) {
+            return;
+        }
+
+        try {
+            const response = await updateProfileMutation.mutateAsync({
+                availability: { timezone, weeklySlots, exceptions },
+            });
+            const availability = response.data.data?.profile?.availability;
+            if (availability) {
+                updateUser({ availability });
+            }
+        } catch (err) {
+            // Error toast is shown by the mutation hook
+        }
+    };
+
+    return (
+        <section className="bg-white rounded-lg shadow-sm border border-gray-200 p-6" aria-labelledby="availability-heading">
+            <h2 id="availability-heading" className="text-lg font-semibold text-gray-900">
+                Availability
+            </h2>
+            <p className="text-sm text-gray-600 mt-1 mb-4">
+                People booking a session with you will only be offered times inside these weekly slots.
+            </p>
+
+            <div className="mb-6">
+                <label htmlFor="availability-timezone" className="block text-sm font-medium text-gray-700 mb-1">
+                    Timezone
+                </label>
+                <input
+                    id="availability-timezone"
+                    className={`${inputClassName} w-full`}
+                    value={timezone}
+                    onChange={(e) => setTimezone(e.target.value)}
+                    placeholder="e.g. Europe/Berlin"
+                />
+            </div>
+
+            <div className="mb-6">
+                <div className="flex items-center justify-between mb-2">
+                    <h3 className="text-sm font-medium text-gray-900">Weekly slots</h3>
+                    <Button
+                        type="button"
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => setWeeklySlots(prev => [...prev, { day: 'monday', start: '09:00', end: '17:00' }])}
+                    >
+                        <PlusIcon className="h-4 w-4 mr-1" aria-hidden="true" />
+                        Add slot
+                    </Button>
+                </div>
+
+                {weeklySlots.length === 0 ? (
+                    <p className="text-sm text-gray-500">No weekly slots yet. Others can request any time.</p>
+                ) : (
+                    <ul className="space-y-2">
+                        {weeklySlots.map((slot, index) => (
+                            <li key={index} className="flex flex-wrap items-center gap-2">
+                                <select
+                                    aria-label={`Day for slot ${index + 1}`}
+                                    className={`${inputClassName} capitalize`}
+                                    value={slot.day}
+                                    onChange={(e) => updateSlot(index, { day: e.target.value })}
+                                >
+                                    {DAYS.map(day => (
+                                        <option key={day} value={day}>{day}</option>
+                                    ))}
+                                </select>
+                                <input
+                                    type="time"
+                                    aria-label={`Start time for slot ${index + 1}`}
+                                    className={inputClassName}
+                                    value={slot.start}
+                                    onChange={(e) => updateSlot(index, { start: e.target.value })}
+                                />
+                                <span className="text-sm text-gray-500">to</span>
+                                <input
+                                    type="time"
+                                    aria-label={`End time for slot ${index + 1}`}
+                                    className={inputClassName}
+                                    value={slot.end}
+                                    onChange={(e) => updateSlot(index, { end: e.target.value })}
+                                />
+                                <button
+                                    type="button"
+                                    className="p-2 text-gray-400 hover:text-red-600 focus-visible-ring rounded"
+                                    onClick={() => setWeeklySlots(prev => prev.filter((_, i) => i !== index))}
+                                    aria-label={`Remove slot ${index + 1}`}
+                                >
+                                    <TrashIcon className="h-4 w-4" aria-hidden="true" />
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            <div className="mb-6">
+                <div className="flex items-center justify-between mb-2">
+                    <h3 className="text-sm font-medium text-gray-900">Blocked dates</h3>
+                    <Button
+                        type="button"
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => setExceptions(prev => [...prev, { startDate: '', endDate: '', reason: '' }])}
+                    >
+                        <PlusIcon className="h-4 w-4 mr-1" aria-hidden="true" />
+                        Add blocked dates
+                    </Button>
+                </div>
+
+                {exceptions.length === 0 ? (
+                    <p className="text-sm text-gray-500">No vacations or blocked days.</p>
+                ) : (
+                    <ul className="space-y-2">
+                        {exceptions.map((exception, index) => (
+                            <li key={index} className="flex flex-wrap items-center gap-2">
+                                <input
+                                    type="date"
+                                    aria-label={`First blocked day for period ${index + 1}`}
+                                    className={inputClassName}
+                                    value={exception.startDate}
+                                    onChange={(e) => updateException(index, { startDate: e.target.value })}
+                                />
+                                <span className="text-sm text-gray-500">to</span>
+                                <input
+                                    type="date"
+                                    aria-label={`Last blocked day for period ${index + 1}`}
+                                    className={inputClassName}
+                                    value={exception.endDate}
+                                    onChange={(e) => updateException(index, { endDate: e.target.value })}
+                                />
+                                <input
+                                    aria-label={`Reason for period ${index + 1}`}
+                                    className={`${inputClassName} flex-1 min-w-[8rem]`}
+                                    value={exception.reason}
+                                    maxLength={200}
+                                    placeholder="Reason (optional)"
+                                    onChange={(e) => updateException(index, { reason: e.target.value })}
+                                />
+                                <button
+                                    type="button"
+                                    className="p-2 text-gray-400 hover:text-red-600 focus-visible-ring rounded"
+                                    onClick={() => setExceptions(prev => prev.filter((_, i) => i !== index))}
+                                    aria-label={`Remove blocked period ${index + 1}`}
+                                >
+                                    <TrashIcon className="h-4 w-4" aria-hidden="true" />
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            {error && (
+                <p className="text-sm text-red-600 mb-4" role="alert">{error}</p>
+            )}
+
+            <div className="flex justify-end pt-4 border-t border-gray-200">
+                <Button
+                    type="button"
+                    onClick={handleSave}
+                    loading={updateProfileMutation.isLoading}
+                    disabled={updateProfileMutation.isLoading}
+                >
+                    Save Availability
+                </Button>
+            </div>
+        </section>
+    );
+}
+
+export default AvailabilityEditor;
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+import { EnvelopeIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../context/AuthContext';
+import { useRequestEmailChange, useConfirmEmailChange } from '../../hooks/useApi';
+import { validateEmail } from '../../utils/validation';
+import Button from '../common/Button';
+import Input from '../common/Input';
+
+/**
+ * Change the account email; the new address must be confirmed with an emailed code
+ */
+function ChangeEmailForm() {
+    const { user, updateUser } = useAuth();
+    const requestMutation = useRequestEmailChange();
+    const confirmMutation = useConfirmEmailChange();
+    const [pendingEmail, setPendingEmail] = useState(null);
+
+    const requestForm = useForm({ mode: 'onBlur' });
+    const confirmForm = useForm({ mode: 'onBlur' });
+
+    const onRequest = async (data) => {
+        try {
+            await requestMutation.mutateAsync(data);
+            setPendingEmail(data.newEmail);
+            requestForm.reset();
+        } catch (error) {
+            // Error toast is shown by the mutation hook
+        }
+    };
+
+    const onConfirm = async ({ otp }) => {
+        try {
+            const response = await confirmMutation.mutateAsync(otp);
+            updateUser({ email: response.data.data.email });
+            setPendingEmail(null);
+            confirmForm.reset();
+            toast.success('Email address updated');
+        } catch (error) {
+            // Error toast is shown by the mutation hook
+        }
+    };
+
+    return (
+        <section className="bg-white rounded-lg shadow-sm border border-gray-200 p-6" aria-labelledby="change-email-heading">
+            <div className="flex items-center mb-2">
+                <EnvelopeIcon className="h-5 w-5 text-gray-500 mr-2" aria-hidden="true" />
+                <h2 id="change-email-heading" className="text-lg font-semibold text-gray-900">
+                    Email Address
+                </h2>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+                Currently <span className="font-medium">{user?.email}</span>. It only changes after you enter the
+                code we send to the new address.
+            </p>
+
+            {pendingEmail ? (
+                <form className="space-y-4" onSubmit={confirmForm.handleSubmit(onConfirm)}>
+                    <p className="text-sm text-gray-600">
+                        Enter the 6-digit code sent to <span className="font-medium">{pendingEmail}</span>.
+                    </p>
+                    <Input
+                        label="Verification code"
+                        inputMode="numeric"
+                        autoComplete="one-time-code"
+                        required
+                        error={confirmForm.formState.errors.otp?.message}
+                        {...confirmForm.register('otp', {
+                            required: 'Verification code is required',
+                            pattern: { value: /^\d{6}$/, message: 'Enter the 6-digit code' },
+                        })}
+                    />
+                    <div className="flex flex-wrap gap-2">
+                        <Button
+                            type="submit"
+                            size="sm"
+                            loading={confirmMutation.isLoading}
+                            disabled={confirmMutation.isLoading}
+                        >
+                            Confirm New Email
+                        </Button>
+                        <Button type="button" size="sm" variant="outline" onClick={() => setPendingEmail(null)}>
+                            Cancel
+                        </Button>
+                    </div>
+                </form>
+            ) : (
+                <form className="space-y-4" onSubmit={requestForm.handleSubmit(onRequest)}>
+                    <Input
+                        label="New email address"
+                        type="email"
+                        autoComplete="email"
+                        required
+                        error={requestForm.formState.errors.newEmail?.message}
+                        {...requestForm.register('newEmail', {
+                            required: 'New email is required',
+                            validate: validateEmail,
+                        })}
+                    />
+                    <Input
+                        label="Current password"
+                        type="password"
+                        autoComplete="current-password"
+                        required
+                        error={requestForm.formState.errors.password?.message}
+                        {...requestForm.register('password', {
+                            required: 'Password is required',
+                        })}
+                    />
+                    <Button
+                        type="submit"
+                        size="sm"
+                        loading={requestMutation.isLoading}
+                        disabled={requestMutation.isLoading}
+                    >
+                        Send Verification Code
+                    </Button>
+                </form>
+            )}
+        </section>
+    );
+}
+
+export default ChangeEmailForm;
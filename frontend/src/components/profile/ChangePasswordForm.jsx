@@ -0,0 +1,101 @@
+import React from 'react';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+import { KeyIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../context/AuthContext';
+import { useChangePassword } from '../../hooks/useApi';
+import { validatePassword, validateConfirmPassword } from '../../utils/validation';
+import Button from '../common/Button';
+import Input from '../common/Input';
+
+/**
+ * Change the password of the signed-in user; other devices are signed out
+ */
+function ChangePasswordForm() {
+    const { user, login } = useAuth();
+    const changePasswordMutation = useChangePassword();
+
+    const {
+        register,
+        handleSubmit,
+        watch,
+        reset,
+        formState: { errors, isSubmitting },
+    } = useForm({
+        mode: 'onBlur',
+    });
+
+    const newPassword = watch('newPassword');
+
+    const onSubmit = async (data) => {
+        try {
+            const response = await changePasswordMutation.mutateAsync(data);
+
+            // The old token stops working once the password changes
+            login(user, response.data.data.tokens.accessToken);
+            reset();
+            toast.success('Password changed. Other devices have been signed out.');
+        } catch (error) {
+            // Error toast is shown by the mutation hook
+        }
+    };
+
+    return (
+        <section className="bg-white rounded-lg shadow-sm border border-gray-200 p-6" aria-labelledby="change-password-heading">
+            <div className="flex items-center mb-4">
+                <KeyIcon className="h-5 w-5 text-gray-500 mr-2" aria-hidden="true" />
+                <h2 id="change-password-heading" className="text-lg font-semibold text-gray-900">
+                    Change Password
+                </h2>
+            </div>
+
+            <form className="space-y-4" onSubmit={handleSubmit(onSubmit)}>
+                <Input
+                    label="Current password"
+                    type="password"
+                    autoComplete="current-password"
+                    required
+                    error={errors.currentPassword?.message}
+                    {...register('currentPassword', {
+                        required: 'Current password is required',
+                    })}
+                />
+
+                <Input
+                    label="New password"
+                    type="password"
+                    autoComplete="new-password"
+                    required
+                    error={errors.newPassword?.message}
+                    {...register('newPassword', {
+                        required: 'New password is required',
+                        validate: validatePassword,
+                    })}
+                />
+
+                <Input
+                    label="Confirm new password"
+                    type="password"
+                    autoComplete="new-password"
+                    required
+                    error={errors.confirmNewPassword?.message}
+                    {...register('confirmNewPassword', {
+                        required: 'Please confirm your new password',
+                        validate: (value) => validateConfirmPassword(newPassword, value),
+                    })}
+                />
+
+                <Button
+                    type="submit"
+                    size="sm"
+                    loading={isSubmitting || changePasswordMutation.isLoading}
+                    disabled={isSubmitting || changePasswordMutation.isLoading}
+                >
+                    Update Password
+                </Button>
+            </form>
+        </section>
+    );
+}
+
+export default ChangePasswordForm;
@@ -1,14 +1,74 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
 import { useAuth } from '../../context/AuthContext';
+import { profileAPI } from '../../utils/api';
 import { getInitials, formatDate, getAvatarColor } from '../../utils/helpers';
 import { SKILL_LEVEL_LABELS } from '../../utils/constants';
 import Button from '../common/Button';
 import LoadingSpinner from '../common/LoadingSpinner';
 
+function getErrorMessage(error, fallback) {
+    return error.response?.data?.error?.message || error.response?.data?.message || fallback;
+}
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Reviews, completed sessions and endorsements for one skill, e.g. "4.7 from 3 reviews · 5 sessions"
+ */
+function describeReputation(reputation = {}, endorsementCount = 0) {
+    const parts = [];
+    if (reputation.ratingCount > 0) {
+        parts.push(`${reputation.rating.toFixed(1)} from ${plural(reputation.ratingCount, 'review')}`);
+    }
+    if (reputation.sessionCount > 0) {
+        parts.push(plural(reputation.sessionCount, 'session'));
+    }
+    if (endorsementCount > 0) {
+        parts.push(plural(endorsementCount, 'endorsement'));
+    }
+    return parts.join(' · ');
+}
+
 function ProfileView({ user: profileUser, isOwnProfile = false, isLoading = false }) {
     const { user: currentUser } = useAuth();
     const user = profileUser || currentUser;
+    const userId = user?._id || user?.id;
+    const canEndorse = !isOwnProfile && Boolean(currentUser);
+
+    const [endorsedSkillIds, setEndorsedSkillIds] = useState(user?.endorsedSkillIds || []);
+    const [pendingSkillId, setPendingSkillId] = useState(null);
+
+    useEffect(() => {
+        setEndorsedSkillIds(user?.endorsedSkillIds || []);
+    }, [user?.endorsedSkillIds]);
+
+    // The stored count already includes endorsements made before the page loaded
+    const endorsementCountOf = (skill) => {
+        const wasEndorsed = (user.endorsedSkillIds || []).includes(skill._id);
+        const isEndorsed = endorsedSkillIds.includes(skill._id);
+        return (skill.reputation?.endorsementCount || 0) + Number(isEndorsed) - Number(wasEndorsed);
+    };
+
+    const handleToggleEndorsement = async (skill) => {
+        const isEndorsed = endorsedSkillIds.includes(skill._id);
+        setPendingSkillId(skill._id);
+        try {
+            if (isEndorsed) {
+                await profileAPI.removeEndorsement(userId, skill._id);
+                setEndorsedSkillIds(ids => ids.filter(id => id !== skill._id));
+            } else {
+                await profileAPI.endorseSkill(userId, skill._id);
+                setEndorsedSkillIds(ids => [...ids, skill._id]);
+                toast.success(`You endorsed ${user.firstName}'s ${skill.name} skill`);
+            }
+        } catch (error) {
+            toast.error(getErrorMessage(error, 'Failed to update endorsement'));
+        } finally {
+            setPendingSkillId(null);
+        }
+    };
 
     if (isLoading) {
         return (
@@ -135,26 +195,47 @@ function ProfileView({ user: profileUser, isOwnProfile = false, isLoading = fals
 
                     {user.skills && user.skills.length > 0 ? (
                         <div className="space-y-3">
-                            {user.skills.map((skill, index) => (
-                                <div key={skill._id || index} className="flex flex-col sm:flex-row sm:items-center sm:justify-between p-3 bg-gray-50 rounded-lg space-y-2 sm:space-y-0">
-                                    <div className="flex-1">
-                                        <div className="flex items-center space-x-2 mb-1">
-                                            <h3 className="font-medium text-gray-900">{skill.name}</h3>
-                                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${skill.level === 'expert' ? 'bg-purple-100 text-purple-800' :
-                                                skill.level === 'advanced' ? 'bg-blue-100 text-blue-800' :
-                                                    skill.level === 'intermediate' ? 'bg-green-100 text-green-800' :
-                                                        'bg-yellow-100 text-yellow-800'
-                                                }`}>
-                                                {SKILL_LEVEL_LABELS[skill.level]}
-                                            </span>
+                            {user.skills.map((skill, index) => {
+                                const endorsementCount = endorsementCountOf(skill);
+                                const reputation = describeReputation(skill.reputation, endorsementCount);
+                                const isEndorsed = endorsedSkillIds.includes(skill._id);
+
+                                return (
+                                    <div key={skill._id || index} className="flex flex-col sm:flex-row sm:items-center sm:justify-between p-3 bg-gray-50 rounded-lg space-y-2 sm:space-y-0">
+                                        <div className="flex-1">
+                                            <div className="flex items-center space-x-2 mb-1">
+                                                <h3 className="font-medium text-gray-900">{skill.name}</h3>
+                                                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${skill.level === 'expert' ? 'bg-purple-100 text-purple-800' :
+                                                    skill.level === 'advanced' ? 'bg-blue-100 text-blue-800' :
+                                                        skill.level === 'intermediate' ? 'bg-green-100 text-green-800' :
+                                                            'bg-yellow-100 text-yellow-800'
+                                                    }`}>
+                                                    {SKILL_LEVEL_LABELS[skill.level]}
+                                                </span>
+                                            </div>
+                                            <p className="text-sm text-gray-600">{skill.category}</p>
+                                            {skill.description && (
+                                                <p className="text-sm text-gray-500 mt-1">{skill.description}</p>
+                                            )}
+                                            {reputation && (
+                                                <p className="text-xs text-gray-500 mt-1" data-testid="skill-reputation">{reputation}</p>
+                                            )}
                                         </div>
-                                        <p className="text-sm text-gray-600">{skill.category}</p>
-                                        {skill.description && (
-                                            <p className="text-sm text-gray-500 mt-1">{skill.description}</p>
+                                        {canEndorse && skill._id && (
+                                            <Button
+                                                variant={isEndorsed ? 'primary' : 'outline'}
+                                                size="sm"
+                                                onClick={() => handleToggleEndorsement(skill)}
+                                                disabled={pendingSkillId === skill._id}
+                                                aria-pressed={isEndorsed}
+                                                aria-label={`${isEndorsed ? 'Remove endorsement of' : 'Endorse'} ${skill.name}`}
+                                            >
+                                                {isEndorsed ? 'Endorsed' : 'Endorse'}
+                                            </Button>
                                         )}
                                     </div>
-                                </div>
-                            ))}
+                                );
+                            })}
                         </div>
                     ) : (
                         <div className="text-center py-8">
@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { useForm } from 'react-hook-form';
 import { useAuth } from '../../context/AuthContext';
-import { useAddSkill, useUpdateSkill, useRemoveSkill, useSkillCategories } from '../../hooks/useApi';
+import { useAddSkill, useUpdateSkill, useRemoveSkill, useSkillCategories, useUpdateProfile } from '../../hooks/useApi';
 import { SKILL_LEVELS, SKILL_LEVEL_LABELS } from '../../utils/constants';
 import { validateRequired, validateMaxLength } from '../../utils/validation';
 import Button from '../common/Button';
@@ -15,10 +15,12 @@ function SkillsManager() {
     const [editingSkill, setEditingSkill] = useState(null);
     const [skillsWanted, setSkillsWanted] = useState(user?.skillsWanted || []);
     const [newSkillWanted, setNewSkillWanted] = useState('');
+    const [newSkillWantedLevel, setNewSkillWantedLevel] = useState(SKILL_LEVELS.BEGINNER);
 
     const addSkillMutation = useAddSkill();
     const updateSkillMutation = useUpdateSkill();
     const removeSkillMutation = useRemoveSkill();
+    const updateProfileMutation = useUpdateProfile();
     const { data: skillCategories, isLoading: categoriesLoading } = useSkillCategories();
 
     const {
@@ -88,28 +90,39 @@ function SkillsManager() {
         }
     };
 
+    const saveSkillsWanted = async (updatedSkills) => {
+        const previousSkills = skillsWanted;
+        setSkillsWanted(updatedSkills);
+
+        // Update user context immediately for better UX
+        updateUser({ ...user, skillsWanted: updatedSkills });
+
+        try {
+            await updateProfileMutation.mutateAsync({
+                skillsWanted: updatedSkills.map(({ name, category, level }) => ({ name, category, level })),
+            });
+        } catch (error) {
+            // Roll back; the error toast is shown by the hook
+            setSkillsWanted(previousSkills);
+            updateUser({ ...user, skillsWanted: previousSkills });
+        }
+    };
+
     const handleAddSkillWanted = () => {
-        if (!newSkillWanted.trim()) return;
+        const name = newSkillWanted.trim();
+        if (!name) return;
 
-        if (skillsWanted.includes(newSkillWanted.trim())) {
+        if (skillsWanted.some(skill => skill.name.toLowerCase() === name.toLowerCase())) {
             toast.error('This skill is already in your list');
             return;
         }
 
-        const updatedSkills = [...skillsWanted, newSkillWanted.trim()];
-        setSkillsWanted(updatedSkills);
         setNewSkillWanted('');
-
-        // Update user context immediately for better UX
-        updateUser({ ...user, skillsWanted: updatedSkills });
+        saveSkillsWanted([...skillsWanted, { name, level: newSkillWantedLevel }]);
     };
 
     const handleRemoveSkillWanted = (skillToRemove) => {
-        const updatedSkills = skillsWanted.filter(skill => skill !== skillToRemove);
-        setSkillsWanted(updatedSkills);
-
-        // Update user context immediately for better UX
-        updateUser({ ...user, skillsWanted: updatedSkills });
+        saveSkillsWanted(skillsWanted.filter(skill => skill.name !== skillToRemove.name));
     };
 
     const handleKeyPress = (e) => {
@@ -312,6 +325,18 @@ function SkillsManager() {
                             onKeyPress={handleKeyPress}
                             className="flex-1"
                         />
+                        <select
+                            aria-label="Your current level"
+                            className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                            value={newSkillWantedLevel}
+                            onChange={(e) => setNewSkillWantedLevel(e.target.value)}
+                        >
+                            {Object.entries(SKILL_LEVEL_LABELS).map(([value, label]) => (
+                                <option key={value} value={value}>
+                                    Current level: {label}
+                                </option>
+                            ))}
+                        </select>
                         <Button
                             onClick={handleAddSkillWanted}
                             disabled={!newSkillWanted.trim()}
@@ -319,6 +344,9 @@ function SkillsManager() {
                             Add
                         </Button>
                     </div>
+                    <p className="mt-2 text-sm text-gray-500">
+                        We use these to suggest people who can teach you and want to learn from you.
+                    </p>
                 </div>
 
                 {/* Skills Wanted List */}
@@ -326,13 +354,19 @@ function SkillsManager() {
                     <div className="flex flex-wrap gap-2">
                         {skillsWanted.map((skill, index) => (
                             <span
-                                key={index}
+                                key={skill._id || index}
                                 className="inline-flex items-center px-3 py-1 rounded-full text-sm font-medium bg-primary-100 text-primary-800"
                             >
-                                {skill}
+                                {skill.name}
+                                {skill.level && (
+                                    <span className="ml-1 text-xs font-normal text-primary-600">
+                                        {SKILL_LEVEL_LABELS[skill.level]}
+                                    </span>
+                                )}
                                 <button
                                     onClick={() => handleRemoveSkillWanted(skill)}
                                     className="ml-2 text-primary-600 hover:text-primary-800"
+                                    aria-label={`Remove ${skill.name}`}
                                 >
                                     ×
                                 </button>
@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { ShieldCheckIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../context/AuthContext';
+import { authAPI } from '../../utils/api';
+import { copyToClipboard } from '../../utils/helpers';
+import Button from '../common/Button';
+import Input from '../common/Input';
+
+function getErrorMessage(error, fallback) {
+    return error.response?.data?.error?.message || error.response?.data?.message || fallback;
+}
+
+/**
+ * Opt-in authenticator app (TOTP) second factor with one-time backup codes
+ */
+function TwoFactorSettings() {
+    const { user, updateUser } = useAuth();
+    const [enabled, setEnabled] = useState(Boolean(user?.twoFactorEnabled));
+    const [enrollment, setEnrollment] = useState(null);
+    const [backupCodes, setBackupCodes] = useState(null);
+    // 'disable' or 'regenerate' while asking for the password
+    const [passwordAction, setPasswordAction] = useState(null);
+    const [code, setCode] = useState('');
+    const [password, setPassword] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const setTwoFactorEnabled = (value) => {
+        setEnabled(value);
+        updateUser({ twoFactorEnabled: value });
+    };
+
+    const handleSetup = async () => {
+        setLoading(true);
+        try {
+            const response = await authAPI.setupTwoFactor();
+            setEnrollment(response.data.data);
+            setBackupCodes(null);
+        } catch (error) {
+            toast.error(getErrorMessage(error, 'Failed to start two-factor setup'));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleEnable = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        try {
+            const response = await authAPI.enableTwoFactor(code.trim());
+            setBackupCodes(response.data.data.backupCodes);
+            setEnrollment(null);
+            setCode('');
+            setTwoFactorEnabled(true);
+            toast.success('Two-factor authentication enabled');
+        } catch (error) {
+            toast.error(getErrorMessage(error, 'Invalid authentication code'));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handlePasswordAction = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        try {
+            if (passwordAction === 'disable') {
+                await authAPI.disableTwoFactor(password);
+                setBackupCodes(null);
+                setTwoFactorEnabled(false);
+                toast.success('Two-factor authentication disabled');
+            } else {
+                const response = await authAPI.regenerateBackupCodes(password);
+                setBackupCodes(response.data.data.backupCodes);
+                toast.success('New backup codes generated');
+            }
+            setPasswordAction(null);
+        } catch (error) {
+            toast.error(getErrorMessage(error, 'Password is incorrect'));
+        } finally {
+            setPassword('');
+            setLoading(false);
+        }
+    };
+
+    const handleCopyCodes = async () => {
+        if (await copyToClipboard(backupCodes.join('\n'))) {
+            toast.success('Backup codes copied');
+        }
+    };
+
+    return (
+        <section className="bg-white rounded-lg shadow-sm border border-gray-200 p-6" aria-labelledby="two-factor-heading">
+            <div className="flex items-center mb-2">
+                <ShieldCheckIcon className="h-5 w-5 text-gray-500 mr-2" aria-hidden="true" />
+                <h2 id="two-factor-heading" className="text-lg font-semibold text-gray-900">
+                    Two-Factor Authentication
+                </h2>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+                {enabled
+                    ? 'Signing in requires a code from your authenticator app or one of your backup codes.'
+                    : 'Protect your account with a code from an authenticator app such as Google Authenticator or 1Password.'}
+            </p>
+
+            {backupCodes && (
+                <div className="rounded-md bg-yellow-50 p-4 mb-4">
+                    <p className="text-sm text-yellow-800 mb-2">
+                        Save these backup codes somewhere safe. Each works once, and they will not be shown again.
+                    </p>
+                    <ul className="grid grid-cols-2 gap-1 font-mono text-sm text-gray-900 mb-3" aria-label="Backup codes">
+                        {backupCodes.map(backupCode => (
+                            <li key={backupCode}>{backupCode}</li>
+                        ))}
+                    </ul>
+                    <Button type="button" size="sm" variant="outline" onClick={handleCopyCodes}>
+                        Copy Codes
+                    </Button>
+                </div>
+            )}
+
+            {enrollment && (
+                <form className="space-y-4 mb-4" onSubmit={handleEnable}>
+                    <p className="text-sm text-gray-600">
+                        Add SkillSwap to your authenticator app with{' '}
+                        <a href={enrollment.otpauthUrl} className="font-medium text-primary-600 hover:text-primary-500">
+                            this link
+                        </a>{' '}
+                        or by entering the key below, then type the 6-digit code it shows.
+                    </p>
+                    <input
+                        readOnly
+                        value={enrollment.secret}
+                        aria-label="Setup key"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono bg-gray-50"
+                        onFocus={(e) => e.target.select()}
+                    />
+                    <Input
+                        label="Authentication code"
+                        inputMode="numeric"
+                        autoComplete="one-time-code"
+                        required
+                        value={code}
+                        onChange={(e) => setCode(e.target.value)}
+                    />
+                    <div className="flex flex-wrap gap-2">
+                        <Button type="submit" size="sm" loading={loading} disabled={loading || !code.trim()}>
+                            Verify and Enable
+                        </Button>
+                        <Button type="button" size="sm" variant="outline" onClick={() => setEnrollment(null)} disabled={loading}>
+                            Cancel
+                        </Button>
+                    </div>
+                </form>
+            )}
+
+            {passwordAction && (
+                <form className="space-y-4 mb-4" onSubmit={handlePasswordAction}>
+                    <Input
+                        label="Current password"
+                        type="password"
+                        autoComplete="current-password"
+                        required
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                    />
+                    <div className="flex flex-wrap gap-2">
+                        <Button type="submit" size="sm" loading={loading} disabled={loading || !password}>
+                            {passwordAction === 'disable' ? 'Confirm Disable' : 'Generate New Codes'}
+                        </Button>
+                        <Button type="button" size="sm" variant="outline" onClick={() => setPasswordAction(null)} disabled={loading}>
+                            Cancel
+                        </Button>
+                    </div>
+                </form>
+            )}
+
+            {!enrollment && !passwordAction && (
+                <div className="flex flex-wrap gap-2">
+                    {enabled ? (
+                        <>
+                            <Button type="button" size="sm" variant="outline" onClick={() => setPasswordAction('regenerate')}>
+                                Regenerate Backup Codes
+                            </Button>
+                            <Button
+                                type="button"
+                                size="sm"
+                                variant="outline"
+                                onClick={() => setPasswordAction('disable')}
+                                className="text-red-600 border-red-300 hover:bg-red-50"
+                            >
+                                Disable
+                            </Button>
+                        </>
+                    ) : (
+                        <Button type="button" size="sm" onClick={handleSetup} loading={loading} disabled={loading}>
+                            Set Up Authenticator App
+                        </Button>
+                    )}
+                </div>
+            )}
+        </section>
+    );
+}
+
+export default TwoFactorSettings;
@@ -0,0 +1,96 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ChangePasswordForm from '../ChangePasswordForm';
+import ChangeEmailForm from '../ChangeEmailForm';
+
+const mockChangePassword = jest.fn();
+const mockRequestEmailChange = jest.fn();
+const mockConfirmEmailChange = jest.fn();
+const mockLogin = jest.fn();
+const mockUpdateUser = jest.fn();
+const mockUser = { _id: '1', firstName: 'John', email: 'john@example.com' };
+
+jest.mock('../../../hooks/useApi', () => ({
+    useChangePassword: () => ({ mutateAsync: mockChangePassword, isLoading: false }),
+    useRequestEmailChange: () => ({ mutateAsync: mockRequestEmailChange, isLoading: false }),
+    useConfirmEmailChange: () => ({ mutateAsync: mockConfirmEmailChange, isLoading: false }),
+}));
+
+jest.mock('../../../context/AuthContext', () => ({
+    useAuth: () => ({
+        user: mockUser,
+        login: mockLogin,
+        updateUser: mockUpdateUser,
+    }),
+}));
+
+jest.mock('react-hot-toast', () => ({
+    success: jest.fn(),
+    error: jest.fn(),
+}));
+
+describe('ChangePasswordForm', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('changes the password and keeps this device signed in', async () => {
+        mockChangePassword.mockResolvedValue({
+            data: { success: true, data: { tokens: { accessToken: 'new-access-token' } } },
+        });
+
+        render(<ChangePasswordForm />);
+
+        fireEvent.change(screen.getByLabelText(/^current password/i), { target: { value: 'OldPassword123!' } });
+        fireEvent.change(screen.getByLabelText(/^new password/i), { target: { value: 'Nu3vo!Pa55word' } });
+        fireEvent.change(screen.getByLabelText(/confirm new password/i), { target: { value: 'Nu3vo!Pa55word' } });
+        fireEvent.click(screen.getByRole('button', { name: /update password/i }));
+
+        await waitFor(() => expect(mockLogin).toHaveBeenCalledWith(mockUser, 'new-access-token'));
+        expect(mockChangePassword).toHaveBeenCalledWith({
+            currentPassword: 'OldPassword123!',
+            newPassword: 'Nu3vo!Pa55word',
+            confirmNewPassword: 'Nu3vo!Pa55word',
+        });
+    });
+
+    test('requires matching new passwords', async () => {
+        render(<ChangePasswordForm />);
+
+        fireEvent.change(screen.getByLabelText(/^current password/i), { target: { value: 'OldPassword123!' } });
+        fireEvent.change(screen.getByLabelText(/^new password/i), { target: { value: 'Nu3vo!Pa55word' } });
+        fireEvent.change(screen.getByLabelText(/confirm new password/i), { target: { value: 'Different123!' } });
+        fireEvent.click(screen.getByRole('button', { name: /update password/i }));
+
+        expect(await screen.findByText('Passwords do not match')).toBeInTheDocument();
+        expect(mockChangePassword).not.toHaveBeenCalled();
+    });
+});
+
+describe('ChangeEmailForm', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('switches the email only after the code is confirmed', async () => {
+        mockRequestEmailChange.mockResolvedValue({ data: { success: true } });
+        mockConfirmEmailChange.mockResolvedValue({ data: { success: true, data: { email: 'new@example.com' } } });
+
+        render(<ChangeEmailForm />);
+
+        fireEvent.change(screen.getByLabelText(/new email address/i), { target: { value: 'new@example.com' } });
+        fireEvent.change(screen.getByLabelText(/current password/i), { target: { value: 'Password123!' } });
+        fireEvent.click(screen.getByRole('button', { name: /send verification code/i }));
+
+        expect(await screen.findByText('new@example.com')).toBeInTheDocument();
+        expect(mockRequestEmailChange).toHaveBeenCalledWith({ newEmail: 'new@example.com', password: 'Password123!' });
+        expect(mockUpdateUser).not.toHaveBeenCalled();
+
+        fireEvent.change(screen.getByLabelText(/verification code/i), { target: { value: '123456' } });
+        fireEvent.click(screen.getByRole('button', { name: /confirm new email/i }));
+
+        await waitFor(() => expect(mockUpdateUser).toHaveBeenCalledWith({ email: 'new@example.com' }));
+        expect(mockConfirmEmailChange).toHaveBeenCalledWith('123456');
+    });
+});
@@ -0,0 +1,86 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import '@testing-library/jest-dom';
+import toast from 'react-hot-toast';
+import AccountDataSettings from '../AccountDataSettings';
+import { profileAPI } from '../../../utils/api';
+
+const mockLogout = jest.fn();
+const mockNavigate = jest.fn();
+
+jest.mock('../../../utils/api', () => ({
+    profileAPI: {
+        exportData: jest.fn(),
+        deleteAccount: jest.fn(),
+    },
+}));
+
+jest.mock('../../../context/AuthContext', () => ({
+    useAuth: () => ({
+        logout: mockLogout,
+    }),
+}));
+
+jest.mock('react-router-dom', () => ({
+    useNavigate: () => mockNavigate,
+}));
+
+jest.mock('react-hot-toast', () => ({
+    success: jest.fn(),
+    error: jest.fn(),
+}));
+
+describe('AccountDataSettings', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('downloads the account data as a JSON file', async () => {
+        window.URL.createObjectURL = jest.fn(() => 'blob:export');
+        window.URL.revokeObjectURL = jest.fn();
+        const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        profileAPI.exportData.mockResolvedValue({ data: '{"format":"skillswap-account-export"}' });
+
+        render(<AccountDataSettings />);
+        await userEvent.click(screen.getByRole('button', { name: /download my data/i }));
+
+        await waitFor(() => expect(click).toHaveBeenCalled());
+        expect(window.URL.revokeObjectURL).toHaveBeenCalledWith('blob:export');
+        click.mockRestore();
+    });
+
+    test('asks for the password before deleting and signs out afterwards', async () => {
+        profileAPI.deleteAccount.mockResolvedValue({
+            data: { success: true, data: { scheduledFor: '2030-01-15T10:00:00.000Z', cancelledSessions: 1 } },
+        });
+
+        render(<AccountDataSettings />);
+        await userEvent.click(screen.getByRole('button', { name: /^delete account$/i }));
+
+        const submit = screen.getByRole('button', { name: /delete my account/i });
+        expect(submit).toBeDisabled();
+
+        await userEvent.type(screen.getByLabelText(/current password/i), 'Password123!');
+        await userEvent.click(submit);
+
+        await waitFor(() => expect(mockLogout).toHaveBeenCalledWith({ revokeSession: false }));
+        expect(profileAPI.deleteAccount).toHaveBeenCalledWith('Password123!');
+        expect(mockNavigate).toHaveBeenCalledWith('/', { replace: true });
+        expect(toast.success).toHaveBeenCalledWith(expect.stringContaining('Jan 15, 2030'));
+    });
+
+    test('keeps the user signed in when the password is wrong', async () => {
+        profileAPI.deleteAccount.mockRejectedValue({
+            response: { data: { success: false, error: { message: 'Password is incorrect' } } },
+        });
+
+        render(<AccountDataSettings />);
+        await userEvent.click(screen.getByRole('button', { name: /^delete account$/i }));
+        await userEvent.type(screen.getByLabelText(/current password/i), 'wrong');
+        await userEvent.click(screen.getByRole('button', { name: /delete my account/i }));
+
+        await waitFor(() => expect(toast.error).toHaveBeenCalledWith('Password is incorrect'));
+        expect(mockLogout).not.toHaveBeenCalled();
+    });
+});
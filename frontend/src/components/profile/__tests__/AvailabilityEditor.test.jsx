@@ -0,0 +1,92 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import '@testing-library/jest-dom';
+import AvailabilityEditor from '../AvailabilityEditor';
+
+const mockMutateAsync = jest.fn();
+const mockUpdateUser = jest.fn();
+
+jest.mock('../../../hooks/useApi', () => ({
+    useUpdateProfile: () => ({
+        mutateAsync: mockMutateAsync,
+        isLoading: false,
+    }),
+}));
+
+jest.mock('../../../context/AuthContext', () => ({
+    useAuth: () => ({
+        user: {
+            _id: '1',
+            firstName: 'John',
+            availability: {
+                timezone: 'Europe/Berlin',
+                weeklySlots: [{ day: 'tuesday', start: '18:00', end: '20:00' }],
+                exceptions: [],
+            },
+        },
+        updateUser: mockUpdateUser,
+    }),
+}));
+
+describe('AvailabilityEditor', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockMutateAsync.mockImplementation(async ({ availability }) => ({
+            data: { success: true, data: { profile: { availability } } },
+        }));
+    });
+
+    test('shows the saved timezone and weekly slots', () => {
+        render(<AvailabilityEditor />);
+
+        expect(screen.getByLabelText('Timezone')).toHaveValue('Europe/Berlin');
+        expect(screen.getByLabelText('Day for slot 1')).toHaveValue('tuesday');
+        expect(screen.getByLabelText('Start time for slot 1')).toHaveValue('18:00');
+    });
+
+    test('saves added slots and blocked dates', async () => {
+        const user = userEvent.setup();
+        render(<AvailabilityEditor />);
+
+        await user.click(screen.getByRole('button', { name: /add slot/i }));
+        await user.selectOptions(screen.getByLabelText('Day for slot 2'), 'saturday');
+
+        await user.click(screen.getByRole('button', { name: /add blocked dates/i }));
+        await user.type(screen.getByLabelText('First blocked day for period 1'), '2026-08-01');
+        await user.type(screen.getByLabelText('Last blocked day for period 1'), '2026-08-14');
+        await user.type(screen.getByLabelText('Reason for period 1'), 'Vacation');
+
+        await user.click(screen.getByRole('button', { name: 'Save Availability' }));
+
+        await waitFor(() => {
+            expect(mockMutateAsync).toHaveBeenCalledWith({
+                availability: {
+                    timezone: 'Europe/Berlin',
+                    weeklySlots: [
+                        { day: 'tuesday', start: '18:00', end: '20:00' },
+                        { day: 'saturday', start: '09:00', end: '17:00' },
+                    ],
+                    exceptions: [{ startDate: '2026-08-01', endDate: '2026-08-14', reason: 'Vacation' }],
+                },
+            });
+        });
+        expect(mockUpdateUser).toHaveBeenCalledWith({ availability: expect.objectContaining({ timezone: 'Europe/Berlin' }) });
+    });
+
+    test('blocks saving a slot that ends before it starts', async () => {
+        const user = userEvent.setup();
+        render(<AvailabilityEditor />);
+
+        await user.click(screen.getByRole('button', { name: 'Remove slot 1' }));
+        await user.click(screen.getByRole('button', { name: /add slot/i }));
+        const endInput = screen.getByLabelText('End time for slot 1');
+        await user.clear(endInput);
+        await user.type(endInput, '08:00');
+
+        await user.click(screen.getByRole('button', { name: 'Save Availability' }));
+
+        expect(screen.getByRole('alert')).toHaveTextContent('Each time slot must end after it starts');
+        expect(mockMutateAsync).not.toHaveBeenCalled();
+    });
+});
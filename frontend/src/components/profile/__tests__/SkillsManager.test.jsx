@@ -1,10 +1,12 @@
 import React from 'react';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
 import { BrowserRouter } from 'react-router-dom';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import { AuthProvider } from '../../../context/AuthContext';
 import SkillsManager from '../SkillsManager';
 
+const mockUpdateProfile = jest.fn();
+
 // Mock the API hooks
 jest.mock('../../../hooks/useApi', () => ({
     useAddSkill: () => ({
@@ -23,6 +25,10 @@ jest.mock('../../../hooks/useApi', () => ({
         data: ['Programming', 'Design', 'Marketing', 'Music'],
         isLoading: false,
     }),
+    useUpdateProfile: () => ({
+        mutateAsync: mockUpdateProfile,
+        isLoading: false,
+    }),
 }));
 
 // Mock the AuthContext
@@ -48,7 +54,10 @@ const mockAuthContext = {
                 description: 'Building modern web applications'
             }
         ],
-        skillsWanted: ['Python', 'Machine Learning'],
+        skillsWanted: [
+            { name: 'Python', level: 'beginner' },
+            { name: 'Machine Learning', level: 'intermediate' },
+        ],
     },
     updateUser: jest.fn(),
     login: jest.fn(),
@@ -89,6 +98,7 @@ const renderWithProviders = (component) => {
 describe('SkillsManager', () => {
     beforeEach(() => {
         jest.clearAllMocks();
+        mockUpdateProfile.mockResolvedValue({ data: { success: true } });
     });
 
     test('renders skills manager sections', () => {
@@ -129,7 +139,8 @@ describe('SkillsManager', () => {
 
         expect(screen.getByText('Add New Skill')).toBeInTheDocument();
         expect(screen.getByPlaceholderText('e.g., JavaScript, Guitar, Photography')).toBeInTheDocument();
-        expect(screen.getAllByRole('combobox')).toHaveLength(2); // Category and Level dropdowns
+        const skillForm = screen.getByText('Add New Skill').parentElement;
+        expect(within(skillForm).getAllByRole('combobox')).toHaveLength(2); // Category and Level dropdowns
     });
 
     test('shows edit and remove buttons for each skill', () => {
@@ -187,6 +198,33 @@ describe('SkillsManager', () => {
         expect(mockAuthContext.updateUser).toHaveBeenCalled();
     });
 
+    test('saves skills wanted with the current level to the profile', async () => {
+        renderWithProviders(<SkillsManager />);
+
+        fireEvent.change(screen.getByPlaceholderText('Enter a skill you want to learn...'), { target: { value: 'Vue.js' } });
+        fireEvent.change(screen.getByLabelText('Your current level'), { target: { value: 'intermediate' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Add' }));
+
+        await waitFor(() => {
+            expect(mockUpdateProfile).toHaveBeenCalledWith({
+                skillsWanted: [
+                    { name: 'Python', category: undefined, level: 'beginner' },
+                    { name: 'Machine Learning', category: undefined, level: 'intermediate' },
+                    { name: 'Vue.js', category: undefined, level: 'intermediate' },
+                ],
+            });
+        });
+    });
+
+    test('restores skills wanted when saving fails', async () => {
+        mockUpdateProfile.mockRejectedValue(new Error('Network error'));
+        renderWithProviders(<SkillsManager />);
+
+        fireEvent.click(screen.getByRole('button', { name: 'Remove Python' }));
+
+        expect(await screen.findByText('Python')).toBeInTheDocument();
+    });
+
     test('shows character count for description field', () => {
         renderWithProviders(<SkillsManager />);
 
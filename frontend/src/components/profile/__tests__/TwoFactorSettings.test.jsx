@@ -0,0 +1,91 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import '@testing-library/jest-dom';
+import TwoFactorSettings from '../TwoFactorSettings';
+import { authAPI } from '../../../utils/api';
+
+const mockUpdateUser = jest.fn();
+let mockUser;
+
+jest.mock('../../../utils/api', () => ({
+    authAPI: {
+        setupTwoFactor: jest.fn(),
+        enableTwoFactor: jest.fn(),
+        disableTwoFactor: jest.fn(),
+        regenerateBackupCodes: jest.fn(),
+    },
+}));
+
+jest.mock('../../../context/AuthContext', () => ({
+    useAuth: () => ({
+        user: mockUser,
+        updateUser: mockUpdateUser,
+    }),
+}));
+
+jest.mock('react-hot-toast', () => ({
+    success: jest.fn(),
+    error: jest.fn(),
+}));
+
+const BACKUP_CODES = ['AAAA1111', 'BBBB2222'];
+
+describe('TwoFactorSettings', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockUser = { _id: '1', firstName: 'John', twoFactorEnabled: false };
+    });
+
+    test('enrolls with a code and shows the backup codes once', async () => {
+        authAPI.setupTwoFactor.mockResolvedValue({
+            data: { data: { secret: 'JBSWY3DPEHPK3PXP', otpauthUrl: 'otpauth://totp/SkillSwap:john?secret=JBSWY3DPEHPK3PXP' } },
+        });
+        authAPI.enableTwoFactor.mockResolvedValue({ data: { data: { backupCodes: BACKUP_CODES } } });
+
+        render(<TwoFactorSettings />);
+
+        await userEvent.click(screen.getByRole('button', { name: /set up authenticator app/i }));
+        expect(await screen.findByLabelText('Setup key')).toHaveValue('JBSWY3DPEHPK3PXP');
+        expect(screen.getByRole('link', { name: /this link/i })).toHaveAttribute('href', expect.stringMatching(/^otpauth:\/\/totp\//));
+
+        await userEvent.type(screen.getByLabelText(/authentication code/i), '123456');
+        await userEvent.click(screen.getByRole('button', { name: /verify and enable/i }));
+
+        await waitFor(() => expect(authAPI.enableTwoFactor).toHaveBeenCalledWith('123456'));
+        const codes = await screen.findByRole('list', { name: /backup codes/i });
+        expect(codes).toHaveTextContent('AAAA1111');
+        expect(codes).toHaveTextContent('BBBB2222');
+        expect(mockUpdateUser).toHaveBeenCalledWith({ twoFactorEnabled: true });
+        expect(screen.getByRole('button', { name: /disable/i })).toBeInTheDocument();
+    });
+
+    test('asks for the password before disabling', async () => {
+        mockUser = { ...mockUser, twoFactorEnabled: true };
+        authAPI.disableTwoFactor.mockResolvedValue({ data: { success: true } });
+
+        render(<TwoFactorSettings />);
+
+        await userEvent.click(screen.getByRole('button', { name: /^disable$/i }));
+        await userEvent.type(screen.getByLabelText(/current password/i), 'Secret123!');
+        await userEvent.click(screen.getByRole('button', { name: /confirm disable/i }));
+
+        await waitFor(() => expect(authAPI.disableTwoFactor).toHaveBeenCalledWith('Secret123!'));
+        expect(mockUpdateUser).toHaveBeenCalledWith({ twoFactorEnabled: false });
+        expect(await screen.findByRole('button', { name: /set up authenticator app/i })).toBeInTheDocument();
+    });
+
+    test('regenerates backup codes after the password re-prompt', async () => {
+        mockUser = { ...mockUser, twoFactorEnabled: true };
+        authAPI.regenerateBackupCodes.mockResolvedValue({ data: { data: { backupCodes: BACKUP_CODES } } });
+
+        render(<TwoFactorSettings />);
+
+        await userEvent.click(screen.getByRole('button', { name: /regenerate backup codes/i }));
+        await userEvent.type(screen.getByLabelText(/current password/i), 'Secret123!');
+        await userEvent.click(screen.getByRole('button', { name: /generate new codes/i }));
+
+        expect(await screen.findByRole('list', { name: /backup codes/i })).toHaveTextContent('AAAA1111');
+        expect(authAPI.regenerateBackupCodes).toHaveBeenCalledWith('Secret123!');
+    });
+});
@@ -4,7 +4,8 @@ import {
     HandThumbUpIcon,
     HandThumbDownIcon,
     FlagIcon,
-    ChatBubbleLeftIcon
+    ChatBubbleLeftIcon,
+    PencilIcon
 } from '@heroicons/react/24/outline';
 import {
     HandThumbUpIcon as HandThumbUpSolidIcon,
@@ -12,8 +13,17 @@ import {
 } from '@heroicons/react/24/solid';
 import StarRating from './StarRating';
 import { reviewAPI } from '../../utils/api';
+import { REVIEWS } from '../../utils/constants';
 import toast from 'react-hot-toast';
 
+/**
+ * Whether the author may still edit a review (the server enforces the same window)
+ */
+function canEdit(review) {
+    const ageMs = Date.now() - new Date(review.createdAt).getTime();
+    return ageMs <= REVIEWS.EDIT_WINDOW_HOURS * 60 * 60 * 1000;
+}
+
 /**
  * ReviewCard Component
  * Displays individual review with rating, comment, and interaction options
@@ -40,6 +50,7 @@ const ReviewCard = ({
     );
     const [showResponse, setShowResponse] = useState(false);
     const [showFlagDialog, setShowFlagDialog] = useState(false);
+    const [isEditing, setIsEditing] = useState(false);
 
     const isOwnReview = review.reviewer._id === currentUserId;
     const isReviewee = review.reviewee._id === currentUserId;
@@ -115,6 +126,14 @@ const ReviewCard = ({
                         </h4>
                         <p className="text-sm text-gray-500">
                             {formatDistanceToNow(new Date(review.createdAt), { addSuffix: true })}
+                            {review.editedAt && (
+                                <span
+                                    className="ml-2 inline-flex items-center px-1.5 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-600"
+                                    title={`Edited ${formatDistanceToNow(new Date(review.editedAt), { addSuffix: true })}`}
+                                >
+                                    edited
+                                </span>
+                            )}
                         </p>
                     </div>
                 </div>
@@ -122,6 +141,17 @@ const ReviewCard = ({
                 <div className="flex items-center space-x-2">
                     <StarRating rating={review.rating} size="sm" showValue />
 
+                    {/* Edit button for the author while the edit window is open */}
+                    {isOwnReview && !isEditing && canEdit(review) && (
+                        <button
+                            onClick={() => setIsEditing(true)}
+                            className="p-1 text-gray-400 hover:text-blue-500 transition-colors"
+                            title="Edit review"
+                        >
+                            <PencilIcon className="w-4 h-4" />
+                        </button>
+                    )}
+
                     {/* Flag button for non-own reviews */}
                     {!isOwnReview && (
                         <button
@@ -152,9 +182,26 @@ const ReviewCard = ({
             )}
 
             {/* Review comment */}
-            <div className="mb-4">
-                <p className="text-gray-700 leading-relaxed">{review.comment}</p>
-            </div>
+            {isEditing ? (
+                <EditForm
+                    review={review}
+                    onSubmit={(updatedReview) => {
+                        if (onUpdate) {
+                            onUpdate(review._id, {
+                                rating: updatedReview.rating,
+                                comment: updatedReview.comment,
+                                editedAt: updatedReview.editedAt
+                            });
+                        }
+                        setIsEditing(false);
+                    }}
+                    onCancel={() => setIsEditing(false)}
+                />
+            ) : (
+                <div className="mb-4">
+                    <p className="text-gray-700 leading-relaxed">{review.comment}</p>
+                </div>
+            )}
 
             {/* Response from reviewee */}
             {review.response && (
@@ -329,6 +376,70 @@ const FlagDialog = ({ onFlag, onCancel }) => {
     );
 };
 
+/**
+ * EditForm Component
+ * Form for authors to change the rating and comment of their review
+ */
+const EditForm = ({ review, onSubmit, onCancel }) => {
+    const [rating, setRating] = useState(review.rating);
+    const [comment, setComment] = useState(review.comment);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (comment.trim().length < 10) return;
+
+        setIsSubmitting(true);
+        try {
+            const response = await reviewAPI.editReview(review._id, { rating, comment: comment.trim() });
+            toast.success('Review updated');
+            onSubmit(response.data.data);
+        } catch (error) {
+            console.error('Error editing review:', error);
+            toast.error(error.response?.data?.message || 'Failed to update review');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="mb-4 space-y-3">
+            <StarRating rating={rating} interactive onChange={setRating} />
+            <div>
+                <textarea
+                    value={comment}
+                    onChange={(e) => setComment(e.target.value)}
+                    rows={3}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                    aria-label="Review comment"
+                    maxLength={1000}
+                    required
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                    {comment.length}/1000 characters
+                </p>
+            </div>
+
+            <div className="flex justify-end space-x-2">
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800"
+                >
+                    Cancel
+                </button>
+                <button
+                    type="submit"
+                    disabled={isSubmitting || comment.trim().length < 10}
+                    className="px-4 py-2 text-sm font-medium text-white bg-blue-600 border border-transparent rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    {isSubmitting ? 'Saving...' : 'Save Changes'}
+                </button>
+            </div>
+        </form>
+    );
+};
+
 /**
  * ResponseForm Component
  * Form for reviewees to respond to reviews
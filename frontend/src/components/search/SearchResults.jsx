@@ -266,6 +266,7 @@ const SearchResults = ({
                                     key={user._id}
                                     user={user}
                                     onBookSession={onBookSession}
+                                    highlightQuery={searchQuery}
                                 />
                             ))}
                         </div>
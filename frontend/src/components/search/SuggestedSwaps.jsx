@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowsRightLeftIcon, MapPinIcon, ClockIcon } from '@heroicons/react/24/outline';
+import { searchAPI } from '../../utils/api';
+import { SKILL_LEVEL_LABELS } from '../../utils/constants';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const MAX_SUGGESTIONS = 6;
+
+function formatSkills(pairs, showLevel = false) {
+    return pairs
+        .map(pair => (showLevel ? `${pair.name} (${SKILL_LEVEL_LABELS[pair.teacherLevel] || pair.teacherLevel})` : pair.name))
+        .join(', ');
+}
+
+/**
+ * Dashboard panel listing people who can teach the user something in exchange
+ */
+function SuggestedSwaps() {
+    const [matches, setMatches] = useState([]);
+    const [profileComplete, setProfileComplete] = useState(true);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const loadMatches = async () => {
+            try {
+                const response = await searchAPI.getMatches({ limit: MAX_SUGGESTIONS });
+                const data = response.data.data;
+                setMatches(data.matches || []);
+                setProfileComplete(data.profileComplete);
+            } catch (err) {
+                console.error('Error loading suggested swaps:', err);
+                setError('Could not load suggestions right now.');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        loadMatches();
+    }, []);
+
+    const renderContent = () => {
+        if (loading) {
+            return (
+                <div className="flex justify-center py-8">
+                    <LoadingSpinner />
+                </div>
+            );
+        }
+
+        if (error) {
+            return <p className="text-sm text-red-600" role="alert">{error}</p>;
+        }
+
+        if (!profileComplete) {
+            return (
+                <p className="text-sm text-gray-600">
+                    Add the skills you offer and the skills you want to learn to get swap suggestions.{' '}
+                    <Link to="/profile/skills" className="text-primary-600 hover:text-primary-700 font-medium">
+                        Manage skills
+                    </Link>
+                </p>
+            );
+        }
+
+        if (matches.length === 0) {
+            return (
+                <p className="text-sm text-gray-600">
+                    No two-way matches yet. Check back as more people join.
+                </p>
+            );
+        }
+
+        return (
+            <ul className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {matches.map(match => (
+                    <li key={match.user._id} className="border border-gray-200 rounded-lg p-4">
+                        <div className="flex items-start justify-between">
+                            <Link
+                                to={`/profile/${match.user._id}`}
+                                className="font-medium text-gray-900 hover:text-primary-600"
+                            >
+                                {match.user.firstName} {match.user.lastName}
+                            </Link>
+                            <span className="text-sm font-semibold text-primary-700">
+                                {match.score}% match
+                            </span>
+                        </div>
+
+                        <dl className="mt-2 space-y-1 text-sm">
+                            <div>
+                                <dt className="inline text-gray-500">Teaches you: </dt>
+                                <dd className="inline text-gray-900">{formatSkills(match.theyTeach, true)}</dd>
+                            </div>
+                            <div>
+                                <dt className="inline text-gray-500">Learns from you: </dt>
+                                <dd className="inline text-gray-900">{formatSkills(match.youTeach)}</dd>
+                            </div>
+                        </dl>
+
+                        <div className="mt-2 flex flex-wrap gap-3 text-xs text-gray-500">
+                            {match.distanceKm !== null && (
+                                <span className="inline-flex items-center">
+                                    <MapPinIcon className="h-4 w-4 mr-1" aria-hidden="true" />
+                                    {match.distanceKm} km away
+                                </span>
+                            )}
+                            {match.overlapMinutes > 0 && (
+                                <span className="inline-flex items-center">
+                                    <ClockIcon className="h-4 w-4 mr-1" aria-hidden="true" />
+                                    {Math.round(match.overlapMinutes / 60)}h shared availability per week
+                                </span>
+                            )}
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        );
+    };
+
+    return (
+        <section className="bg-white rounded-lg shadow p-6" aria-labelledby="suggested-swaps-heading">
+            <div className="flex items-center mb-4">
+                <ArrowsRightLeftIcon className="h-5 w-5 text-primary-600 mr-2" aria-hidden="true" />
+                <h2 id="suggested-swaps-heading" className="text-lg font-semibold text-gray-900">
+                    Suggested swaps
+                </h2>
+            </div>
+            {renderContent()}
+        </section>
+    );
+}
+
+export default SuggestedSwaps;
@@ -8,8 +8,27 @@ import {
 } from '@heroicons/react/24/outline';
 import { StarIcon as StarIconSolid } from '@heroicons/react/24/solid';
 import { useNavigate } from 'react-router-dom';
+import { getHighlightParts } from '../../utils/helpers';
 
-const UserCard = ({ user, onBookSession, className = "" }) => {
+const HIGHLIGHT_LABELS = {
+    'skills.name': 'Skill',
+    'skills.description': 'Skill description',
+    bio: 'Bio'
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Tooltip such as "4.7 from 3 reviews, 5 sessions, 2 endorsements"
+const describeReputation = (reputation) => {
+    if (!reputation) return undefined;
+    const parts = [];
+    if (reputation.ratingCount > 0) parts.push(`${reputation.rating.toFixed(1)} from ${plural(reputation.ratingCount, 'review')}`);
+    if (reputation.sessionCount > 0) parts.push(plural(reputation.sessionCount, 'session'));
+    if (reputation.endorsementCount > 0) parts.push(plural(reputation.endorsementCount, 'endorsement'));
+    return parts.join(', ') || undefined;
+};
+
+const UserCard = ({ user, onBookSession, highlightQuery = '', className = "" }) => {
     const navigate = useNavigate();
 
     const handleViewProfile = () => {
@@ -64,12 +83,12 @@ const UserCard = ({ user, onBookSession, className = "" }) => {
     };
 
     const getAvailabilityStatus = (availability) => {
-        if (!availability || availability.length === 0) {
+        if (!Array.isArray(availability) || availability.length === 0) {
             return { text: 'Availability not set', color: 'text-gray-500' };
         }
 
         const now = new Date();
-        const currentDay = now.toLocaleLowerCase();
+        const currentDay = now.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
         const currentTime = now.getHours() * 60 + now.getMinutes();
 
         const todayAvailability = availability.find(slot =>
@@ -90,7 +109,18 @@ const UserCard = ({ user, onBookSession, className = "" }) => {
         return { text: 'Available soon', color: 'text-blue-600' };
     };
 
+    const renderHighlighted = (text) => getHighlightParts(text, highlightQuery).map((part, index) => (
+        part.match
+            ? <mark key={index} className="bg-yellow-100 text-gray-900 rounded-sm">{part.text}</mark>
+            : <React.Fragment key={index}>{part.text}</React.Fragment>
+    ));
+
     const availabilityStatus = getAvailabilityStatus(user.availability);
+    const highlight = user.highlight;
+    // Search results carry full skills with their reputation; older callers pass names only
+    const offeredSkills = user.skills?.length
+        ? user.skills
+        : (user.skillsOffered || []).map(name => ({ name }));
 
     return (
         <article
@@ -150,10 +180,21 @@ const UserCard = ({ user, onBookSession, className = "" }) => {
                 </div>
             </div>
 
+            {/* Matched snippet */}
+            {highlight?.snippet && highlight.field !== 'bio' && (
+                <p className="text-gray-700 text-sm mb-2" data-testid="search-highlight">
+                    <span className="text-gray-500">
+                        {HIGHLIGHT_LABELS[highlight.field]}
+                        {highlight.field === 'skills.description' && highlight.skill ? ` (${highlight.skill})` : ''}:{' '}
+                    </span>
+                    {renderHighlighted(highlight.snippet)}
+                </p>
+            )}
+
             {/* Bio */}
             {user.bio && (
                 <p className="text-gray-700 text-sm mb-4 line-clamp-2">
-                    {user.bio}
+                    {highlight?.field === 'bio' ? renderHighlighted(highlight.snippet) : user.bio}
                 </p>
             )}
 
@@ -161,19 +202,31 @@ const UserCard = ({ user, onBookSession, className = "" }) => {
             <div className="mb-4">
                 <h4 className="text-sm font-medium text-gray-900 mb-2">Skills Offered</h4>
                 <div className="flex flex-wrap gap-2">
-                    {user.skillsOffered?.slice(0, 4).map((skill, index) => (
+                    {offeredSkills.slice(0, 4).map((skill, index) => (
                         <span
-                            key={index}
+                            key={skill._id || index}
                             className="inline-flex items-center px-2.5 py-0.5 rounded-full 
                                      text-xs font-medium bg-blue-100 text-blue-800"
+                            title={describeReputation(skill.reputation)}
                         >
-                            {skill}
+                            {skill.name}
+                            {skill.reputation?.ratingCount > 0 && (
+                                <span className="ml-1 inline-flex items-center text-blue-700">
+                                    <StarIconSolid className="h-3 w-3 text-yellow-400 mr-0.5" aria-hidden="true" />
+                                    {skill.reputation.rating.toFixed(1)}
+                                </span>
+                            )}
+                            {skill.reputation?.endorsementCount > 0 && (
+                                <span className="ml-1 text-blue-700" aria-label={plural(skill.reputation.endorsementCount, 'endorsement')}>
+                                    · {skill.reputation.endorsementCount}
+                                </span>
+                            )}
                         </span>
                     ))}
-                    {user.skillsOffered?.length > 4 && (
+                    {offeredSkills.length > 4 && (
                         <span className="inline-flex items-center px-2.5 py-0.5 rounded-full 
                                        text-xs font-medium bg-gray-100 text-gray-600">
-                            +{user.skillsOffered.length - 4} more
+                            +{offeredSkills.length - 4} more
                         </span>
                     )}
                 </div>
@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { CalendarDaysIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../context/AuthContext';
+import { sessionAPI } from '../../utils/api';
+import { copyToClipboard } from '../../utils/helpers';
+import Button from '../common/Button';
+
+/**
+ * Lets users subscribe to their upcoming sessions from an external calendar app
+ */
+function CalendarFeedSettings() {
+    const { user } = useAuth();
+    const [hasFeed, setHasFeed] = useState(Boolean(user?.calendarFeed?.createdAt));
+    const [feedUrl, setFeedUrl] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    const handleCreate = async () => {
+        if (hasFeed && !window.confirm('Regenerating the link stops the current one from working. Continue?')) {
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const response = await sessionAPI.createCalendarFeed();
+            setFeedUrl(response.data.data.feedUrl);
+            setHasFeed(true);
+        } catch (error) {
+            console.error('Error creating calendar feed:', error);
+            toast.error('Failed to create calendar link');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleRevoke = async () => {
+        if (!window.confirm('Calendars subscribed to this link will stop updating. Revoke it?')) {
+            return;
+        }
+
+        setLoading(true);
+        try {
+            await sessionAPI.revokeCalendarFeed();
+            setFeedUrl(null);
+            setHasFeed(false);
+            toast.success('Calendar link revoked');
+        } catch (error) {
+            console.error('Error revoking calendar feed:', error);
+            toast.error('Failed to revoke calendar link');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleCopy = async () => {
+        if (await copyToClipboard(feedUrl)) {
+            toast.success('Link copied');
+        }
+    };
+
+    return (
+        <section className="bg-white rounded-lg shadow-sm p-6" aria-labelledby="calendar-feed-heading">
+            <div className="flex items-center mb-2">
+                <CalendarDaysIcon className="h-5 w-5 text-gray-500 mr-2" aria-hidden="true" />
+                <h2 id="calendar-feed-heading" className="text-lg font-semibold text-gray-900">
+                    Calendar Subscription
+                </h2>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+                Subscribe from Google Calendar, Outlook or Apple Calendar to see your upcoming sessions.
+                Reschedules and cancellations update automatically. Keep the link private.
+            </p>
+
+            {feedUrl && (
+                <div className="flex flex-wrap gap-2 mb-4">
+                    <input
+                        readOnly
+                        value={feedUrl}
+                        aria-label="Calendar feed link"
+                        className="flex-1 min-w-[12rem] px-3 py-2 border border-gray-300 rounded-lg text-sm bg-gray-50"
+                        onFocus={(e) => e.target.select()}
+                    />
+                    <Button type="button" size="sm" variant="outline" onClick={handleCopy}>
+                        Copy Link
+                    </Button>
+                </div>
+            )}
+
+            {hasFeed && !feedUrl && (
+                <p className="text-sm text-gray-500 mb-4">
+                    A calendar link is active. For security it is only shown once; regenerate it to get a new one.
+                </p>
+            )}
+
+            <div className="flex flex-wrap gap-2">
+                <Button type="button" size="sm" onClick={handleCreate} loading={loading} disabled={loading}>
+                    {hasFeed ? 'Regenerate Link' : 'Create Calendar Link'}
+                </Button>
+                {hasFeed && (
+                    <Button
+                        type="button"
+                        size="sm"
+                        variant="outline"
+                        onClick={handleRevoke}
+                        disabled={loading}
+                        className="text-red-600 border-red-300 hover:bg-red-50"
+                    >
+                        Revoke Link
+                    </Button>
+                )}
+            </div>
+        </section>
+    );
+}
+
+export default CalendarFeedSettings;
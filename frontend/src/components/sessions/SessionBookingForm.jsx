@@ -10,6 +10,8 @@ function SessionBookingForm({ providerId, providerName, onSuccess, onCancel }) {
     const [loading, setLoading] = useState(false);
     const [conflicts, setConflicts] = useState([]);
     const [checkingConflicts, setCheckingConflicts] = useState(false);
+    const [availability, setAvailability] = useState(null);
+    const [loadingSlots, setLoadingSlots] = useState(false);
 
     const {
         register,
@@ -30,13 +32,68 @@ function SessionBookingForm({ providerId, providerName, onSuccess, onCancel }) {
             sessionType: 'online',
             requestMessage: '',
             meetingLink: '',
-            location: ''
+            location: '',
+            repeat: 'none',
+            repeatEnds: 'count',
+            repeatCount: 4,
+            repeatUntil: ''
         }
     });
 
     const watchedDate = watch('scheduledDate');
     const watchedDuration = watch('duration');
     const watchedSessionType = watch('sessionType');
+    const watchedRepeat = watch('repeat');
+    const watchedRepeatEnds = watch('repeatEnds');
+
+    // Load the provider's free slots for the selected duration
+    useEffect(() => {
+        let cancelled = false;
+
+        const fetchAvailability = async () => {
+            setLoadingSlots(true);
+            try {
+                const response = await sessionAPI.getAvailability(providerId, {
+                    duration: parseInt(watchedDuration)
+                });
+                if (!cancelled) {
+                    setAvailability(response.data.data);
+                    // A slot picked for another duration may no longer fit
+                    if (response.data.data?.hasWeeklySlots) {
+                        setValue('scheduledDate', '');
+                    }
+                }
+            } catch (error) {
+                // Fall back to a free-form date input
+                console.error('Error loading availability:', error);
+                if (!cancelled) {
+                    setAvailability(null);
+                }
+            } finally {
+                if (!cancelled) {
+                    setLoadingSlots(false);
+                }
+            }
+        };
+
+        fetchAvailability();
+        return () => {
+            cancelled = true;
+        };
+    }, [providerId, watchedDuration, setValue]);
+
+    const useSlots = Boolean(availability?.hasWeeklySlots);
+
+    // Group slots by the viewer's local day
+    const slotsByDay = (availability?.slots || []).reduce((groups, slot) => {
+        const day = new Date(slot.start).toLocaleDateString('en-US', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric'
+        });
+        (groups[day] = groups[day] || []).push(slot);
+        return groups;
+    }, {});
 
     // Check for conflicts when date/time or duration changes
     useEffect(() => {
@@ -82,16 +139,31 @@ function SessionBookingForm({ providerId, providerName, onSuccess, onCancel }) {
                 }),
                 ...(data.sessionType !== 'online' && data.location && {
                     location: data.location.trim()
+                }),
+                ...(data.repeat !== 'none' && {
+                    recurrence: {
+                        frequency: data.repeat,
+                        ...(data.repeatEnds === 'count'
+                            ? { count: parseInt(data.repeatCount) }
+                            : { endDate: new Date(`${data.repeatUntil}T23:59:59`).toISOString() })
+                    }
                 })
             };
 
             await sessionAPI.createSession(sessionData);
-            toast.success('Session request sent successfully!');
+            toast.success(sessionData.recurrence
+                ? 'Recurring session request sent successfully!'
+                : 'Session request sent successfully!');
             reset();
             onSuccess?.();
         } catch (error) {
             console.error('Error creating session:', error);
-            toast.error(error.response?.data?.message || 'Failed to create session request');
+            // Series conflicts come back per occurrence
+            const details = error.response?.data?.error?.details;
+            if (error.response?.status === 409 && Array.isArray(details)) {
+                setConflicts(details.map(detail => `${detail.message} (${new Date(detail.value).toLocaleDateString()})`));
+            }
+            toast.error(error.response?.data?.error?.message || error.response?.data?.message || 'Failed to create session request');
         } finally {
             setLoading(false);
         }
@@ -115,6 +187,12 @@ function SessionBookingForm({ providerId, providerName, onSuccess, onCancel }) {
         { value: 'hybrid', label: 'Hybrid' }
     ];
 
+    const repeatOptions = [
+        { value: 'none', label: 'Does not repeat' },
+        { value: 'weekly', label: 'Weekly' },
+        { value: 'biweekly', label: 'Every 2 weeks' }
+    ];
+
     const durationOptions = [
         { value: 15, label: '15 minutes' },
         { value: 30, label: '30 minutes' },
@@ -204,24 +282,82 @@ function SessionBookingForm({ providerId, providerName, onSuccess, onCancel }) {
                     <h3 className="text-lg font-medium text-gray-900">Session Details</h3>
 
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                        <Input
-                            label="Date & Time"
-                            type="datetime-local"
-                            min={getMinDate()}
-                            {...register('scheduledDate', {
-                                required: 'Date and time is required',
-                                validate: (value) => {
-                                    const selectedDate = new Date(value);
-                                    const now = new Date();
-                                    if (selectedDate <= now) {
-                                        return 'Session must be scheduled for a future date and time';
+                        {useSlots ? (
+                            <div className="md:col-span-2 order-last">
+                                <span className="block text-sm font-medium text-gray-700 mb-1">
+                                    Available Times <span className="text-red-500">*</span>
+                                </span>
+                                <input
+                                    type="hidden"
+                                    {...register('scheduledDate', { required: 'Please choose a time' })}
+                                />
+                                {loadingSlots ? (
+                                    <p className="text-sm text-gray-500">Loading available times...</p>
+                                ) : Object.keys(slotsByDay).length === 0 ? (
+                                    <p className="text-sm text-gray-500">
+                                        {providerName} has no free times in the next two weeks.
+                                    </p>
+                                ) : (
+                                    <div className="space-y-3 max-h-64 overflow-y-auto" role="radiogroup" aria-label="Available times">
+                                        {Object.entries(slotsByDay).map(([day, daySlots]) => (
+                                            <div key={day}>
+                                                <p className="text-xs font-medium text-gray-500 uppercase mb-1">{day}</p>
+                                                <div className="flex flex-wrap gap-2">
+                                                    {daySlots.map(slot => {
+                                                        const isSelected = watchedDate === slot.start;
+                                                        return (
+                                                            <button
+                                                                key={slot.start}
+                                                                type="button"
+                                                                role="radio"
+                                                                aria-checked={isSelected}
+                                                                onClick={() => setValue('scheduledDate', slot.start, { shouldValidate: true })}
+                                                                className={cn(
+                                                                    'px-3 py-1 text-sm rounded-lg border focus-visible-ring',
+                                                                    isSelected
+                                                                        ? 'bg-primary-600 text-white border-primary-600'
+                                                                        : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                                                                )}
+                                                            >
+                                                                {new Date(slot.start).toLocaleTimeString('en-US', {
+                                                                    hour: '2-digit',
+                                                                    minute: '2-digit'
+                                                                })}
+                                                            </button>
+                                                        );
+                                                    })}
+                                                </div>
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                                <p className="text-xs text-gray-500 mt-2">
+                                    Times are shown in your local timezone. {providerName}&apos;s timezone is {availability.timezone}.
+                                </p>
+                                {errors.scheduledDate && (
+                                    <p className="text-sm text-red-600 mt-1">{errors.scheduledDate.message}</p>
+                                )}
+                            </div>
+                        ) : (
+                            <Input
+                                label="Date & Time"
+                                type="datetime-local"
+                                min={getMinDate()}
+                                {...register('scheduledDate', {
+                                    required: 'Date and time is required',
+                                    validate: (value) => {
+                                        const selectedDate = new Date(value);
+                                        const now = new Date();
+                                        if (selectedDate <= now) {
+                                            return 'Session must be scheduled for a future date and time';
+                                        }
+                                        return true;
                                     }
-                                    return true;
-                                }
-                            })}
-                            error={errors.scheduledDate?.message}
-                            required
-                        />
+                                })}
+                                error={errors.scheduledDate?.message}
+                                required
+                            />
+                        )}
 
                         <div>
                             <label htmlFor="duration" className="block text-sm font-medium text-gray-700 mb-1">
@@ -239,6 +375,69 @@ function SessionBookingForm({ providerId, providerName, onSuccess, onCancel }) {
                         </div>
                     </div>
 
+                    {/* Recurrence */}
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <div>
+                            <label htmlFor="repeat" className="block text-sm font-medium text-gray-700 mb-1">
+                                Repeat
+                            </label>
+                            <select
+                                id="repeat"
+                                {...register('repeat')}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                            >
+                                {repeatOptions.map(option => (
+                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        {watchedRepeat !== 'none' && (
+                            <>
+                                <div>
+                                    <label htmlFor="repeat-ends" className="block text-sm font-medium text-gray-700 mb-1">
+                                        Ends
+                                    </label>
+                                    <select
+                                        id="repeat-ends"
+                                        {...register('repeatEnds')}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                                    >
+                                        <option value="count">After a number of sessions</option>
+                                        <option value="date">On a date</option>
+                                    </select>
+                                </div>
+
+                                {watchedRepeatEnds === 'count' ? (
+                                    <Input
+                                        label="Number of Sessions"
+                                        type="number"
+                                        min={2}
+                                        max={26}
+                                        {...register('repeatCount', {
+                                            required: 'Number of sessions is required',
+                                            min: { value: 2, message: 'A series needs at least 2 sessions' },
+                                            max: { value: 26, message: 'A series can have at most 26 sessions' }
+                                        })}
+                                        error={errors.repeatCount?.message}
+                                    />
+                                ) : (
+                                    <Input
+                                        label="End Date"
+                                        type="date"
+                                        min={watchedDate ? watchedDate.slice(0, 10) : undefined}
+                                        {...register('repeatUntil', {
+                                            required: 'End date is required',
+                                            validate: (value) => !watchedDate || value > watchedDate.slice(0, 10) ||
+                                                'End date must be after the first session'
+                                        })}
+                                        error={errors.repeatUntil?.message}
+                                    />
+                                )}
+                            </>
+                        )}
+                    </div>
+
                     {/* Conflict Warning */}
                     {checkingConflicts && (
                         <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3">
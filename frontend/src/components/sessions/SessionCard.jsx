@@ -61,6 +61,11 @@ function SessionCard({ session, onUpdate, onDelete }) {
                 color: 'bg-orange-100 text-orange-800 border-orange-200',
                 icon: '👻',
                 label: 'No Show'
+            },
+            expired: {
+                color: 'bg-gray-100 text-gray-600 border-gray-200',
+                icon: '⌛',
+                label: 'Expired'
             }
         };
         return configs[status] || configs.pending;
@@ -107,7 +112,73 @@ function SessionCard({ session, onUpdate, onDelete }) {
         }
     };
 
+    const handleCancelFollowing = async () => {
+        if (!window.confirm('Cancel this session and all following sessions in the series?')) {
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const response = await sessionAPI.cancelSessionSeries(session._id, 'Cancelled by user');
+            const cancelledSessions = response.data.data || [];
+            toast.success(`${cancelledSessions.length} sessions cancelled`);
+            cancelledSessions.forEach(cancelled => onUpdate(cancelled._id, { status: 'cancelled' }));
+        } catch (error) {
+            console.error('Error cancelling sessions:', error);
+            toast.error('Failed to cancel sessions');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleReportNoShow = async () => {
+        if (!window.confirm('Report that the other participant did not attend this session?')) {
+            return;
+        }
+
+        setLoading(true);
+        try {
+            await sessionAPI.reportNoShow(session._id, 'Participant did not attend');
+            toast.success('No-show reported');
+            onUpdate(session._id, { status: 'no-show' });
+        } catch (error) {
+            console.error('Error reporting no-show:', error);
+            toast.error(error.response?.data?.message || 'Failed to report no-show');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleAddToCalendar = async () => {
+        try {
+            const response = await sessionAPI.downloadSessionCalendar(session._id);
+            const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/calendar' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `skillswap-session-${session._id}.ics`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error downloading calendar file:', error);
+            toast.error('Failed to download calendar file');
+        }
+    };
+
     const handleResponseSubmit = (response) => {
+        // Responding to a whole series updates every pending occurrence
+        if (response.sessionIds) {
+            const status = response.action === 'accept' ? 'accepted' : 'rejected';
+            response.sessionIds.forEach(sessionId => onUpdate(sessionId, {
+                status,
+                ...(response.meetingLink && { meetingLink: response.meetingLink }),
+                ...(response.location && { location: response.location })
+            }));
+            setShowResponseModal(false);
+            return;
+        }
+
         onUpdate(session._id, {
             status: response.action === 'accept' ? 'accepted' : 'rejected',
             ...(response.confirmedDateTime && { scheduledDate: response.confirmedDateTime }),
@@ -121,8 +192,15 @@ function SessionCard({ session, onUpdate, onDelete }) {
     const statusConfig = getStatusConfig(session.status);
     const isRequester = session.requester._id === session.currentUserId;
     const canRespond = !isRequester && session.status === 'pending';
-    const canCancel = ['pending', 'accepted'].includes(session.status);
-    const canComplete = session.status === 'accepted' && new Date(session.scheduledDate) < new Date();
+    const startTime = new Date(session.scheduledDate).getTime();
+    const endTime = startTime + (session.duration || 0) * 60 * 1000;
+    // Mirrors the server-side transition rules (2 hour cancellation notice, no-show after the end time)
+    const canCancel = session.status === 'pending' ||
+        (session.status === 'accepted' && startTime - Date.now() > 2 * 60 * 60 * 1000);
+    const canComplete = session.status === 'accepted' && startTime < Date.now();
+    const canReportNoShow = session.status === 'accepted' && endTime <= Date.now();
+    const isSeries = Boolean(session.series?.seriesId);
+    const hasFollowing = isSeries && session.series.occurrence < session.series.totalOccurrences;
     const isUpcoming = session.status === 'accepted' && new Date(session.scheduledDate) > new Date();
 
     return (
@@ -150,6 +228,16 @@ function SessionCard({ session, onUpdate, onDelete }) {
                                     <span className="mr-1" aria-hidden="true">{statusConfig.icon}</span>
                                     {statusConfig.label}
                                 </span>
+                                {isSeries && (
+                                    <span
+                                        className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-50 text-purple-700 border border-purple-200"
+                                        aria-label={`Session ${session.series.occurrence} of ${session.series.totalOccurrences} in a ${session.series.frequency} series`}
+                                    >
+                                        <span className="mr-1" aria-hidden="true">🔁</span>
+                                        <span className="capitalize">{session.series.frequency}</span>
+                                        &nbsp;• {session.series.occurrence}/{session.series.totalOccurrences}
+                                    </span>
+                                )}
                             </div>
                             <p className="text-sm text-gray-600">
                                 {isRequester ? 'with' : 'from'} {' '}
@@ -263,6 +351,19 @@ function SessionCard({ session, onUpdate, onDelete }) {
                             </Button>
                         )}
 
+                        {canReportNoShow && (
+                            <Button
+                                size="sm"
+                                variant="outline"
+                                onClick={handleReportNoShow}
+                                loading={loading}
+                                className="text-orange-600 border-orange-300 hover:bg-orange-50"
+                                aria-label="Report that the other participant did not attend"
+                            >
+                                Report No-Show
+                            </Button>
+                        )}
+
                         {canCancel && (
                             <Button
                                 size="sm"
@@ -276,6 +377,19 @@ function SessionCard({ session, onUpdate, onDelete }) {
                             </Button>
                         )}
 
+                        {canCancel && hasFollowing && (
+                            <Button
+                                size="sm"
+                                variant="outline"
+                                onClick={handleCancelFollowing}
+                                loading={loading}
+                                className="text-red-600 border-red-300 hover:bg-red-50"
+                                aria-label="Cancel this and following sessions in the series"
+                            >
+                                Cancel Following
+                            </Button>
+                        )}
+
                         {session.status === 'completed' && !session.hasReview && (
                             <Button
                                 size="sm"
@@ -290,6 +404,17 @@ function SessionCard({ session, onUpdate, onDelete }) {
                             </Button>
                         )}
 
+                        {isUpcoming && (
+                            <Button
+                                size="sm"
+                                variant="outline"
+                                onClick={handleAddToCalendar}
+                                aria-label="Download this session as a calendar event"
+                            >
+                                Add to Calendar
+                            </Button>
+                        )}
+
                         {isUpcoming && session.meetingLink && (
                             <Button
                                 size="sm"
@@ -81,7 +81,9 @@ function SessionList({ type = 'all', showFilters = true, initialFilters = {} })
         { value: 'accepted', label: 'Accepted' },
         { value: 'completed', label: 'Completed' },
         { value: 'cancelled', label: 'Cancelled' },
-        { value: 'rejected', label: 'Rejected' }
+        { value: 'rejected', label: 'Rejected' },
+        { value: 'expired', label: 'Expired' },
+        { value: 'no-show', label: 'No Show' }
     ];
 
     const typeOptions = [
@@ -9,6 +9,8 @@ import toast from 'react-hot-toast';
 function SessionResponseModal({ session, onSubmit, onClose }) {
     const [action, setAction] = useState('');
     const [loading, setLoading] = useState(false);
+    const isSeries = Boolean(session.series?.seriesId);
+    const [applyToSeries, setApplyToSeries] = useState(isSeries);
 
     const {
         register,
@@ -43,7 +45,10 @@ function SessionResponseModal({ session, onSubmit, onClose }) {
             const responseData = {
                 action,
                 ...(action === 'accept' && {
-                    confirmedDateTime: data.confirmedDateTime ? new Date(data.confirmedDateTime).toISOString() : undefined,
+                    // A series keeps its own schedule, only single sessions can be moved
+                    ...(!applyToSeries && {
+                        confirmedDateTime: data.confirmedDateTime ? new Date(data.confirmedDateTime).toISOString() : undefined
+                    }),
                     responseMessage: data.responseMessage?.trim() || '',
                     ...(watchedSessionType === 'online' && data.meetingLink && {
                         meetingLink: data.meetingLink.trim()
@@ -58,10 +63,20 @@ function SessionResponseModal({ session, onSubmit, onClose }) {
                 })
             };
 
-            await sessionAPI.respondToSession(session._id, responseData);
+            if (applyToSeries) {
+                const response = await sessionAPI.respondToSeries(session.series.seriesId, responseData);
+                const updatedSessions = response.data.data || [];
+
+                toast.success(action === 'accept'
+                    ? `${updatedSessions.length} sessions accepted!`
+                    : `${updatedSessions.length} sessions declined`);
+                onSubmit({ ...responseData, sessionIds: updatedSessions.map(s => s._id) });
+            } else {
+                await sessionAPI.respondToSession(session._id, responseData);
 
-            toast.success(action === 'accept' ? 'Session accepted!' : 'Session declined');
-            onSubmit(responseData);
+                toast.success(action === 'accept' ? 'Session accepted!' : 'Session declined');
+                onSubmit(responseData);
+            }
         } catch (error) {
             console.error('Error responding to session:', error);
             toast.error(error.response?.data?.message || 'Failed to respond to session');
@@ -145,6 +160,14 @@ function SessionResponseModal({ session, onSubmit, onClose }) {
                                 <span className="text-gray-600">Type:</span>
                                 <p className="font-medium capitalize">{session.sessionType}</p>
                             </div>
+                            {isSeries && (
+                                <div>
+                                    <span className="text-gray-600">Repeats:</span>
+                                    <p className="font-medium capitalize">
+                                        {session.series.frequency} • session {session.series.occurrence} of {session.series.totalOccurrences}
+                                    </p>
+                                </div>
+                            )}
                             {session.location && (
                                 <div>
                                     <span className="text-gray-600">Location:</span>
@@ -212,26 +235,40 @@ function SessionResponseModal({ session, onSubmit, onClose }) {
                                 </Button>
                             </div>
 
+                            {isSeries && (
+                                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                                    <input
+                                        type="checkbox"
+                                        checked={applyToSeries}
+                                        onChange={(e) => setApplyToSeries(e.target.checked)}
+                                        className="h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                                    />
+                                    <span>Apply to all pending sessions in this series</span>
+                                </label>
+                            )}
+
                             {action === 'accept' && (
                                 <div className="space-y-4">
-                                    <Input
-                                        label="Confirm Date & Time"
-                                        type="datetime-local"
-                                        min={getMinDate()}
-                                        {...register('confirmedDateTime', {
-                                            validate: (value) => {
-                                                if (!value) return true; // Optional field
-                                                const selectedDate = new Date(value);
-                                                const now = new Date();
-                                                if (selectedDate <= now) {
-                                                    return 'Confirmed time must be in the future';
+                                    {!applyToSeries && (
+                                        <Input
+                                            label="Confirm Date & Time"
+                                            type="datetime-local"
+                                            min={getMinDate()}
+                                            {...register('confirmedDateTime', {
+                                                validate: (value) => {
+                                                    if (!value) return true; // Optional field
+                                                    const selectedDate = new Date(value);
+                                                    const now = new Date();
+                                                    if (selectedDate <= now) {
+                                                        return 'Confirmed time must be in the future';
+                                                    }
+                                                    return true;
                                                 }
-                                                return true;
-                                            }
-                                        })}
-                                        error={errors.confirmedDateTime?.message}
-                                        helperText="Leave empty to keep the original proposed time"
-                                    />
+                                            })}
+                                            error={errors.confirmedDateTime?.message}
+                                            helperText="Leave empty to keep the original proposed time"
+                                        />
+                                    )}
 
                                     {watchedSessionType === 'online' && (
                                         <Input
@@ -1,4 +1,5 @@
 export { default as SessionBookingForm } from './SessionBookingForm';
 export { default as SessionList } from './SessionList';
 export { default as SessionCard } from './SessionCard';
-export { default as SessionResponseModal } from './SessionResponseModal';
\ No newline at end of file
+export { default as SessionResponseModal } from './SessionResponseModal';
+export { default as CalendarFeedSettings } from './CalendarFeedSettings';
\ No newline at end of file
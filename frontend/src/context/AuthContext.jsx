@@ -1,4 +1,5 @@
 import { createContext, useContext, useReducer, useEffect } from 'react';
+import { authAPI } from '../utils/api';
 
 const AuthContext = createContext();
 
@@ -76,7 +77,16 @@ export function AuthProvider({ children }) {
         });
     };
 
-    const logout = () => {
+    const logout = async ({ revokeSession = true } = {}) => {
+        // Revoke the session on the server; local state is cleared either way
+        if (revokeSession && localStorage.getItem('token')) {
+            try {
+                await authAPI.logout();
+            } catch (error) {
+                console.error('Error revoking session:', error);
+            }
+        }
+
         localStorage.removeItem('token');
         localStorage.removeItem('user');
         dispatch({ type: 'LOGOUT' });
@@ -0,0 +1,148 @@
+import { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { useAuth } from './AuthContext';
+import { useSocket } from './SocketContext';
+import { notificationAPI } from '../utils/api';
+
+const NotificationContext = createContext();
+
+const RECENT_LIMIT = 10;
+
+export function NotificationProvider({ children }) {
+    const { isAuthenticated } = useAuth();
+    const { socket, isConnected } = useSocket();
+    const [notifications, setNotifications] = useState([]);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [isLoading, setIsLoading] = useState(false);
+
+    const fetchNotifications = useCallback(async () => {
+        setIsLoading(true);
+        try {
+            const [listResponse, countResponse] = await Promise.all([
+                notificationAPI.getNotifications({ limit: RECENT_LIMIT }),
+                notificationAPI.getUnreadCount(),
+            ]);
+            setNotifications(listResponse.data.data || []);
+            setUnreadCount(countResponse.data.data?.count || 0);
+        } catch (error) {
+            console.error('Error fetching notifications:', error);
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    // Load the initial state once authenticated, clear it on logout
+    useEffect(() => {
+        if (!isAuthenticated) {
+            setNotifications([]);
+            setUnreadCount(0);
+            return;
+        }
+
+        fetchNotifications();
+    }, [isAuthenticated, fetchNotifications]);
+
+    // Real-time updates pushed to every connected tab
+    useEffect(() => {
+        if (!socket || !isConnected) {
+            return;
+        }
+
+        const handleNewNotification = ({ notification, unreadCount: count }) => {
+            setNotifications(prev => [
+                notification,
+                ...prev.filter(n => n._id !== notification._id),
+            ].slice(0, RECENT_LIMIT));
+            setUnreadCount(count);
+            toast(notification.title, { icon: '🔔' });
+        };
+
+        const handleRead = ({ notificationIds }) => {
+            const readIds = new Set(notificationIds.map(String));
+            setNotifications(prev => prev.map(n => (
+                readIds.has(String(n._id)) ? { ...n, isRead: true, status: 'read' } : n
+            )));
+        };
+
+        const handleArchived = ({ notificationId }) => {
+            setNotifications(prev => prev.filter(n => String(n._id) !== String(notificationId)));
+        };
+
+        const handleUnreadCount = ({ unreadCount: count }) => {
+            setUnreadCount(count);
+        };
+
+        socket.on('new_notification', handleNewNotification);
+        socket.on('notification_read', handleRead);
+        socket.on('notification_archived', handleArchived);
+        socket.on('notification_unread_count', handleUnreadCount);
+
+        return () => {
+            socket.off('new_notification', handleNewNotification);
+            socket.off('notification_read', handleRead);
+            socket.off('notification_archived', handleArchived);
+            socket.off('notification_unread_count', handleUnreadCount);
+        };
+    }, [socket, isConnected]);
+
+    // The server echoes read/archive events back over the socket, these
+    // optimistic updates keep the UI responsive while it does
+    const markAsRead = async (notificationId) => {
+        setNotifications(prev => prev.map(n => (
+            n._id === notificationId && !n.isRead ? { ...n, isRead: true, status: 'read' } : n
+        )));
+        try {
+            await notificationAPI.markAsRead(notificationId);
+        } catch (error) {
+            console.error('Error marking notification as read:', error);
+            fetchNotifications();
+        }
+    };
+
+    const markAllAsRead = async () => {
+        setNotifications(prev => prev.map(n => ({ ...n, isRead: true, status: 'read' })));
+        setUnreadCount(0);
+        try {
+            await notificationAPI.markAllAsRead();
+        } catch (error) {
+            console.error('Error marking all notifications as read:', error);
+            fetchNotifications();
+        }
+    };
+
+    const archiveNotification = async (notificationId) => {
+        setNotifications(prev => prev.filter(n => n._id !== notificationId));
+        try {
+            await notificationAPI.archive(notificationId);
+        } catch (error) {
+            console.error('Error archiving notification:', error);
+            fetchNotifications();
+        }
+    };
+
+    const value = {
+        notifications,
+        unreadCount,
+        isLoading,
+        refresh: fetchNotifications,
+        markAsRead,
+        markAllAsRead,
+        archiveNotification,
+    };
+
+    return (
+        <NotificationContext.Provider value={value}>
+            {children}
+        </NotificationContext.Provider>
+    );
+}
+
+export function useNotifications() {
+    const context = useContext(NotificationContext);
+    if (!context) {
+        throw new Error('useNotifications must be used within a NotificationProvider');
+    }
+    return context;
+}
+
+export default NotificationContext;
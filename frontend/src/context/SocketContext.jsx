@@ -97,6 +97,14 @@ export function SocketProvider({ children }) {
             console.log('New message received:', data);
         });
 
+        // Sent for chats the user has not muted; the chat page shows new messages itself
+        socket.on('message_notification', ({ message }) => {
+            if (window.location.pathname.startsWith('/chat')) {
+                return;
+            }
+            toast(`New message from ${message?.sender?.firstName || 'someone'}`);
+        });
+
         socket.on('typing_start', (data) => {
             console.log('User started typing:', data);
         });
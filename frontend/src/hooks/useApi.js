@@ -17,6 +17,46 @@ export function useLogin() {
     });
 }
 
+export function useChangePassword() {
+    return useMutation({
+        mutationFn: authAPI.changePassword,
+        onError: (error) => {
+            const message = error.response?.data?.error?.message || error.response?.data?.message || 'Password change failed';
+            toast.error(message);
+        },
+    });
+}
+
+export function useRequestEmailChange() {
+    return useMutation({
+        mutationFn: authAPI.requestEmailChange,
+        onError: (error) => {
+            const message = error.response?.data?.error?.message || error.response?.data?.message || 'Could not send verification code';
+            toast.error(message);
+        },
+    });
+}
+
+export function useConfirmEmailChange() {
+    return useMutation({
+        mutationFn: authAPI.confirmEmailChange,
+        onError: (error) => {
+            const message = error.response?.data?.error?.message || error.response?.data?.message || 'Email change failed';
+            toast.error(message);
+        },
+    });
+}
+
+export function useVerifyTwoFactorLogin() {
+    return useMutation({
+        mutationFn: authAPI.verifyTwoFactorLogin,
+        onError: (error) => {
+            const message = error.response?.data?.error?.message || error.response?.data?.message || 'Verification failed';
+            toast.error(message);
+        },
+    });
+}
+
 export function useRegister() {
     return useMutation({
         mutationFn: authAPI.register,
@@ -50,6 +90,26 @@ export function useResendOTP() {
     });
 }
 
+export function useForgotPassword() {
+    return useMutation({
+        mutationFn: authAPI.forgotPassword,
+        onError: (error) => {
+            const message = error.response?.data?.message || 'Could not send reset link';
+            toast.error(message);
+        },
+    });
+}
+
+export function useResetPassword() {
+    return useMutation({
+        mutationFn: authAPI.resetPassword,
+        onError: (error) => {
+            const message = error.response?.data?.error?.message || error.response?.data?.message || 'Password reset failed';
+            toast.error(message);
+        },
+    });
+}
+
 // Profile hooks
 export function useProfile() {
     return useQuery({
@@ -156,7 +216,7 @@ export function useSearchUsers(params) {
     return useQuery({
         queryKey: ['search', 'users', params],
         queryFn: () => searchAPI.searchUsers(params).then(res => res.data),
-        enabled: !!params?.skill || !!params?.category,
+        enabled: !!params?.q || !!params?.skill || !!params?.category,
         keepPreviousData: true,
     });
 }
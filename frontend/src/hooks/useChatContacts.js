@@ -0,0 +1,43 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { chatAPI } from '../utils/api';
+
+/**
+ * People the current user already chats with, for picking group members
+ * @returns {{ contacts: Array, isLoading: boolean }} Contacts sorted by name
+ */
+export function useChatContacts() {
+    const { user } = useAuth();
+    const [contacts, setContacts] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        chatAPI.getUserChats({ limit: 100 })
+            .then(response => {
+                if (cancelled) return;
+                const people = new Map();
+                (response.data.data.chats || []).forEach(chat => {
+                    chat.participants
+                        .filter(participant => participant._id !== user?.id)
+                        .forEach(participant => people.set(participant._id, participant));
+                });
+                setContacts([...people.values()].sort((a, b) => (
+                    `${a.firstName} ${a.lastName}`.localeCompare(`${b.firstName} ${b.lastName}`)
+                )));
+            })
+            .catch(error => {
+                if (!cancelled) console.error('Error loading contacts:', error);
+            })
+            .finally(() => {
+                if (!cancelled) setIsLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [user?.id]);
+
+    return { contacts, isLoading };
+}
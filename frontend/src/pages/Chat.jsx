@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import ChatContactList from '../components/chat/ChatContactList';
 import ChatWindow from '../components/chat/ChatWindow';
+import GroupChatModal from '../components/chat/GroupChatModal';
 import { useAuth } from '../context/AuthContext';
 import api from '../utils/api';
 
@@ -12,7 +13,12 @@ export default function Chat() {
     const { user } = useAuth();
     const [searchParams, setSearchParams] = useSearchParams();
     const [selectedChat, setSelectedChat] = useState(null);
+    // Message to open the chat at, set when a search result is picked
+    const [focusMessageId, setFocusMessageId] = useState(null);
     const [isMobileView, setIsMobileView] = useState(false);
+    const [showGroupModal, setShowGroupModal] = useState(false);
+    // Remounts the contact list so it picks up chats created or left here
+    const [contactsVersion, setContactsVersion] = useState(0);
 
     // Get chat ID from URL params
     const chatIdFromUrl = searchParams.get('chat');
@@ -37,7 +43,7 @@ export default function Chat() {
 
     const loadChatById = async (chatId) => {
         try {
-            const response = await api.get(`/chat/chats/${chatId}`);
+            const response = await api.get(`/chats/${chatId}`);
             if (response.data.success) {
                 setSelectedChat(response.data.data.chat);
             }
@@ -49,21 +55,52 @@ export default function Chat() {
     };
 
     const handleChatSelect = (chat) => {
+        setFocusMessageId(null);
         setSelectedChat(chat);
         // Update URL with selected chat ID
         setSearchParams({ chat: chat._id });
     };
 
+    // Another chat is loaded through the URL parameter like any other link to it
+    const handleMessageSelect = ({ chat, message }) => {
+        setFocusMessageId(message._id);
+        if (selectedChat?._id !== chat._id) {
+            setSearchParams({ chat: chat._id });
+        }
+    };
+
     const handleCloseChatWindow = () => {
         setSelectedChat(null);
         setSearchParams({});
     };
 
     const handleNewChat = () => {
-        // TODO: Implement new chat creation modal
-        console.log('New chat creation not implemented yet');
+        setShowGroupModal(true);
     };
 
+    const handleGroupCreated = (chat) => {
+        setShowGroupModal(false);
+        setContactsVersion(version => version + 1);
+        handleChatSelect(chat);
+    };
+
+    const handleLeftChat = () => {
+        handleCloseChatWindow();
+        setContactsVersion(version => version + 1);
+    };
+
+    // Reload the list so it shows the chat's new mute state
+    const handleChatSettingsChanged = () => {
+        setContactsVersion(version => version + 1);
+    };
+
+    const groupModal = showGroupModal && (
+        <GroupChatModal
+            onCreated={handleGroupCreated}
+            onClose={() => setShowGroupModal(false)}
+        />
+    );
+
     // Mobile view: show either contact list or chat window
     if (isMobileView) {
         return (
@@ -71,17 +108,23 @@ export default function Chat() {
                 {selectedChat ? (
                     <ChatWindow
                         chat={selectedChat}
+                        focusMessageId={focusMessageId}
                         onClose={handleCloseChatWindow}
+                        onLeftChat={handleLeftChat}
+                        onSettingsChanged={handleChatSettingsChanged}
                         className="h-full"
                     />
                 ) : (
                     <ChatContactList
+                        key={contactsVersion}
                         onChatSelect={handleChatSelect}
                         selectedChatId={selectedChat?._id}
                         onNewChat={handleNewChat}
+                        onMessageSelect={handleMessageSelect}
                         className="h-full"
                     />
                 )}
+                {groupModal}
             </div>
         );
     }
@@ -92,9 +135,11 @@ export default function Chat() {
             {/* Contact List Sidebar */}
             <div className="w-80 border-r border-gray-200 bg-white">
                 <ChatContactList
+                    key={contactsVersion}
                     onChatSelect={handleChatSelect}
                     selectedChatId={selectedChat?._id}
                     onNewChat={handleNewChat}
+                    onMessageSelect={handleMessageSelect}
                     className="h-full"
                 />
             </div>
@@ -103,9 +148,13 @@ export default function Chat() {
             <div className="flex-1">
                 <ChatWindow
                     chat={selectedChat}
+                    focusMessageId={focusMessageId}
+                    onLeftChat={handleLeftChat}
+                    onSettingsChanged={handleChatSettingsChanged}
                     className="h-full"
                 />
             </div>
+            {groupModal}
         </div>
     );
 }
\ No newline at end of file
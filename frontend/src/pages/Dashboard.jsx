@@ -1,5 +1,6 @@
 import React from 'react';
 import { useAuth } from '../context/AuthContext';
+import SuggestedSwaps from '../components/search/SuggestedSwaps';
 
 function Dashboard() {
     const { user } = useAuth();
@@ -45,6 +46,10 @@ function Dashboard() {
                         </div>
                     </div>
                 </div>
+
+                <div className="mt-8">
+                    <SuggestedSwaps />
+                </div>
             </div>
         </div>
     );
@@ -0,0 +1,8 @@
+import React from 'react';
+import ForgotPasswordForm from '../components/auth/ForgotPasswordForm';
+
+function ForgotPassword() {
+    return <ForgotPasswordForm />;
+}
+
+export default ForgotPassword;
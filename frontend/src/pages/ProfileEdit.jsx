@@ -1,14 +1,28 @@
 import React from 'react';
 import ProfileEdit from '../components/profile/ProfileEdit';
+import AvailabilityEditor from '../components/profile/AvailabilityEditor';
+import ChangeEmailForm from '../components/profile/ChangeEmailForm';
+import ChangePasswordForm from '../components/profile/ChangePasswordForm';
+import TwoFactorSettings from '../components/profile/TwoFactorSettings';
+import AccountDataSettings from '../components/profile/AccountDataSettings';
 
 function ProfileEditPage() {
     return (
         <div className="min-h-screen bg-gray-50 py-8">
-            <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 space-y-6">
                 <ProfileEdit />
+                <div className="max-w-2xl mx-auto">
+                    <AvailabilityEditor />
+                </div>
+                <div className="max-w-2xl mx-auto space-y-6">
+                    <ChangeEmailForm />
+                    <ChangePasswordForm />
+                    <TwoFactorSettings />
+                    <AccountDataSettings />
+                </div>
             </div>
         </div>
     );
 }
 
-export default ProfileEditPage;
\ No newline at end of file
+export default ProfileEditPage;
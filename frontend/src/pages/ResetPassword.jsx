@@ -0,0 +1,8 @@
+import React from 'react';
+import ResetPasswordForm from '../components/auth/ResetPasswordForm';
+
+function ResetPassword() {
+    return <ResetPasswordForm />;
+}
+
+export default ResetPassword;
@@ -7,6 +7,16 @@ import { useSearchUsers, useTrendingSkills } from '../hooks/useApi';
 import { PAGINATION } from '../utils/constants';
 import toast from 'react-hot-toast';
 
+// Filter panel sort options that the search API can order by. Without a text
+// query the API ranks "relevance" by its best-match score instead.
+const API_SORT_FIELDS = {
+    relevance: 'relevance',
+    rating: 'rating.average',
+    newest: 'createdAt',
+    sessions: 'sessionStats.completed'
+};
+const COORDINATES_PATTERN = /^-?\d+\.?\d*,-?\d+\.?\d*$/;
+
 const Search = () => {
     const [searchParams, setSearchParams] = useSearchParams();
     const navigate = useNavigate();
@@ -25,16 +35,16 @@ const Search = () => {
     const [currentPage, setCurrentPage] = useState(parseInt(searchParams.get('page')) || 1);
     const [isFilterPanelOpen, setIsFilterPanelOpen] = useState(false);
 
-    // Build search parameters
+    // Build search parameters in the shape GET /api/search/users accepts
     const searchParameters = {
-        skill: searchQuery,
+        q: searchQuery,
         page: currentPage,
         limit: PAGINATION.DEFAULT_PAGE_SIZE,
-        ...filters,
-        // Convert arrays to comma-separated strings for API
-        availability: filters.availability.join(','),
-        skillLevel: filters.skillLevel.join(','),
-        categories: filters.categories.join(',')
+        ...(API_SORT_FIELDS[filters.sortBy] && { sortBy: API_SORT_FIELDS[filters.sortBy] }),
+        ...(filters.minRating > 0 && { minRating: filters.minRating }),
+        ...(filters.skillLevel.length === 1 && { level: filters.skillLevel[0] }),
+        ...(filters.categories.length === 1 && { category: filters.categories[0] }),
+        ...(COORDINATES_PATTERN.test(filters.location) && { location: filters.location })
     };
 
     // API calls
@@ -96,13 +106,13 @@ const Search = () => {
         setCurrentPage(1);
     };
 
-    const results = searchData?.users || [];
+    const results = searchData?.data?.users || [];
     const pagination = {
         currentPage,
-        totalPages: searchData?.totalPages || 1,
-        pageSize: searchData?.pageSize || PAGINATION.DEFAULT_PAGE_SIZE,
-        hasNextPage: searchData?.hasNextPage || false,
-        hasPrevPage: searchData?.hasPrevPage || false
+        totalPages: searchData?.data?.pagination?.totalPages || 1,
+        pageSize: searchData?.data?.pagination?.limit || PAGINATION.DEFAULT_PAGE_SIZE,
+        hasNextPage: searchData?.data?.pagination?.hasNextPage || false,
+        hasPrevPage: searchData?.data?.pagination?.hasPrevPage || false
     };
 
     return (
@@ -178,7 +188,7 @@ const Search = () => {
                             onPageChange={handlePageChange}
                             onBookSession={handleBookSession}
                             searchQuery={searchQuery}
-                            totalResults={searchData?.totalResults || 0}
+                            totalResults={searchData?.data?.pagination?.totalCount || 0}
                         />
                     </div>
                 </div>
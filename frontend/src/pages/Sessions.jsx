@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
 import SessionList from '../components/sessions/SessionList';
+import CalendarFeedSettings from '../components/sessions/CalendarFeedSettings';
 import Button from '../components/common/Button';
 import { cn } from '../utils/helpers';
 
@@ -68,6 +69,11 @@ function Sessions() {
                     </div>
                 </div>
 
+                {/* Calendar Subscription */}
+                <div className="mt-8">
+                    <CalendarFeedSettings />
+                </div>
+
                 {/* Quick Actions */}
                 <div className="mt-8 bg-white rounded-lg shadow-sm p-6">
                     <h2 className="text-lg font-semibold text-gray-900 mb-4">Quick Actions</h2>
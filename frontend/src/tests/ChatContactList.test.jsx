@@ -143,6 +143,33 @@ describe('ChatContactList', () => {
         });
     });
 
+    test('marks chats the user muted', async () => {
+        const [directChat, sessionChat] = mockChats;
+        mockedApi.get.mockResolvedValue({
+            data: {
+                success: true,
+                data: {
+                    chats: [
+                        {
+                            ...directChat,
+                            participantStatus: [
+                                { user: 'user1', unreadCount: 0, isMuted: true },
+                                { user: 'user2', unreadCount: 0 },
+                            ],
+                        },
+                        sessionChat,
+                    ],
+                },
+            },
+        });
+
+        renderChatContactList();
+
+        await waitFor(() => {
+            expect(screen.getAllByLabelText('Muted')).toHaveLength(1);
+        });
+    });
+
     test('displays session chat indicator', async () => {
         renderChatContactList();
 
@@ -4,6 +4,17 @@ import { BrowserRouter } from 'react-router-dom';
 import ChatWindow from '../components/chat/ChatWindow';
 import { AuthProvider } from '../context/AuthContext';
 import { SocketProvider } from '../context/SocketContext';
+import { chatAPI, profileAPI } from '../utils/api';
+
+jest.mock('../utils/api', () => {
+    const actual = jest.requireActual('../utils/api');
+    return {
+        __esModule: true,
+        ...actual,
+        chatAPI: { ...actual.chatAPI, getMessages: jest.fn(), editMessage: jest.fn(), muteChat: jest.fn() },
+        profileAPI: { ...actual.profileAPI, blockUser: jest.fn(), unblockUser: jest.fn() },
+    };
+});
 
 // Mock the socket hook
 jest.mock('../hooks/useSocket', () => ({
@@ -18,12 +29,14 @@ jest.mock('../hooks/useSocket', () => ({
 
 // Mock components
 jest.mock('../components/chat/MessageList', () => {
-    return function MockMessageList({ messages }) {
+    return function MockMessageList({ messages, onReply, onEdit }) {
         return (
             <div data-testid="message-list">
                 {messages.map(msg => (
-                    <div key={msg._id} data-testid="message">
-                        {msg.content}
+                    <div key={msg._id}>
+                        <div data-testid="message">{msg.content}</div>
+                        <button onClick={() => onReply(msg)}>Reply to {msg._id}</button>
+                        <button onClick={() => onEdit(msg, 'Edited text').catch(() => {})}>Edit {msg._id}</button>
                     </div>
                 ))}
             </div>
@@ -83,6 +96,10 @@ const mockChat = {
     ],
 };
 
+const messagesPage = (messages, hasMore = false) => ({
+    data: { success: true, data: { messages, pagination: { hasMore } } },
+});
+
 const renderChatWindow = (props = {}) => {
     return render(
         <BrowserRouter>
@@ -97,6 +114,11 @@ const renderChatWindow = (props = {}) => {
 
 describe('ChatWindow', () => {
     beforeEach(() => {
+        // jsdom does not implement scrolling
+        window.HTMLElement.prototype.scrollIntoView = jest.fn();
+        chatAPI.getMessages.mockReset();
+        chatAPI.getMessages.mockResolvedValue(messagesPage(mockChat.messages));
+
         // Mock localStorage
         Object.defineProperty(window, 'localStorage', {
             value: {
@@ -136,7 +158,7 @@ describe('ChatWindow', () => {
         const onClose = jest.fn();
         renderChatWindow({ onClose });
 
-        const closeButton = screen.getByRole('button');
+        const closeButton = screen.getByRole('button', { name: 'Close chat' });
         fireEvent.click(closeButton);
 
         expect(onClose).toHaveBeenCalled();
@@ -192,4 +214,146 @@ describe('ChatWindow', () => {
         expect(avatar).toBeInTheDocument();
         expect(avatar).toHaveAttribute('src', 'https://example.com/avatar2.jpg');
     });
-});
\ No newline at end of file
+
+    test('loads the latest messages when the chat is opened', async () => {
+        const { messages, ...chatWithoutHistory } = mockChat;
+        chatAPI.getMessages.mockResolvedValue(messagesPage(messages));
+
+        renderChatWindow({ chat: chatWithoutHistory });
+
+        expect(await screen.findByText('Hello there!')).toBeInTheDocument();
+        expect(chatAPI.getMessages).toHaveBeenCalledWith('chat1');
+        expect(screen.queryByText('Load earlier messages')).not.toBeInTheDocument();
+    });
+
+    test('loads earlier messages before the oldest one shown', async () => {
+        const earlier = {
+            ...mockChat.messages[0],
+            _id: 'msg0',
+            content: 'Earlier message',
+        };
+        chatAPI.getMessages
+            .mockResolvedValueOnce(messagesPage(mockChat.messages, true))
+            .mockResolvedValueOnce(messagesPage([earlier]));
+
+        renderChatWindow();
+
+        fireEvent.click(await screen.findByText('Load earlier messages'));
+
+        expect(await screen.findByText('Earlier message')).toBeInTheDocument();
+        expect(chatAPI.getMessages).toHaveBeenLastCalledWith('chat1', { before: 'msg1' });
+        expect(screen.getAllByTestId('message').map(el => el.textContent))
+            .toEqual(['Earlier message', 'Hello there!']);
+        expect(screen.queryByText('Load earlier messages')).not.toBeInTheDocument();
+    });
+
+    test('opens the history at a focused message and jumps back to the latest', async () => {
+        const older = { ...mockChat.messages[0], _id: 'msg0', content: 'Older match' };
+        chatAPI.getMessages
+            .mockResolvedValueOnce({
+                data: { success: true, data: { messages: [older], pagination: { hasMore: false, hasNewer: true } } },
+            })
+            .mockResolvedValueOnce(messagesPage(mockChat.messages));
+
+        renderChatWindow({ focusMessageId: 'msg0' });
+
+        expect(await screen.findByText('Older match')).toBeInTheDocument();
+        expect(chatAPI.getMessages).toHaveBeenCalledWith('chat1', { around: 'msg0' });
+
+        fireEvent.click(screen.getByRole('button', { name: 'Jump to latest' }));
+
+        expect(await screen.findByText('Hello there!')).toBeInTheDocument();
+        expect(chatAPI.getMessages).toHaveBeenLastCalledWith('chat1');
+        expect(screen.queryByRole('button', { name: 'Jump to latest' })).not.toBeInTheDocument();
+    });
+
+    test('shows the message being replied to until the reply is cancelled', async () => {
+        renderChatWindow();
+
+        fireEvent.click(await screen.findByText('Reply to msg1'));
+
+        expect(screen.getByText('Replying to Jane Smith')).toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Cancel reply' }));
+
+        expect(screen.queryByText('Replying to Jane Smith')).not.toBeInTheDocument();
+    });
+
+    test('replaces a message with its edited version', async () => {
+        chatAPI.editMessage.mockResolvedValue({
+            data: {
+                success: true,
+                data: { message: { ...mockChat.messages[0], content: 'Edited text', editedAt: new Date().toISOString() } },
+            },
+        });
+
+        renderChatWindow();
+
+        fireEvent.click(await screen.findByText('Edit msg1'));
+
+        expect(await screen.findByText('Edited text')).toBeInTheDocument();
+        expect(chatAPI.editMessage).toHaveBeenCalledWith('chat1', 'msg1', 'Edited text');
+        expect(screen.queryByText('Hello there!')).not.toBeInTheDocument();
+    });
+
+    test('mutes notifications for the chat', async () => {
+        chatAPI.muteChat.mockResolvedValue({ data: { success: true, data: { chatId: 'chat1', isMuted: true } } });
+        const onSettingsChanged = jest.fn();
+        renderChatWindow({ onSettingsChanged });
+
+        fireEvent.click(screen.getByRole('button', { name: 'Mute notifications' }));
+
+        expect(await screen.findByRole('button', { name: 'Unmute notifications' })).toBeInTheDocument();
+        expect(chatAPI.muteChat).toHaveBeenCalledWith('chat1', true);
+        expect(onSettingsChanged).toHaveBeenCalled();
+    });
+
+    test('blocks the other participant and stops new messages', async () => {
+        window.confirm = jest.fn(() => true);
+        profileAPI.blockUser.mockResolvedValue({ data: { success: true } });
+        // Only list the other participant, whoever the signed-in user turns out to be
+        renderChatWindow({ chat: { ...mockChat, participants: [mockChat.participants[1]] } });
+
+        fireEvent.click(screen.getByRole('button', { name: 'Block Jane Smith' }));
+
+        expect(await screen.findByText('You blocked Jane. Unblock them to send messages.')).toBeInTheDocument();
+        expect(profileAPI.blockUser).toHaveBeenCalledWith('user2');
+        expect(screen.queryByTestId('message-input')).not.toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'Unblock Jane Smith' })).toBeInTheDocument();
+    });
+
+    test('does not offer the message input when the other participant blocked the user', async () => {
+        renderChatWindow({ chat: { ...mockChat, isBlocked: true, blockedByMe: false } });
+
+        expect(screen.getByText('You can no longer send messages in this conversation.')).toBeInTheDocument();
+        expect(screen.queryByTestId('message-input')).not.toBeInTheDocument();
+        await waitFor(() => {
+            expect(chatAPI.getMessages).toHaveBeenCalled();
+        });
+    });
+
+    test('shows group details and the member list for group chats', async () => {
+        const groupChat = {
+            ...mockChat,
+            chatType: 'group',
+            name: 'JavaScript Circle',
+            participantStatus: [
+                { user: 'user1', role: 'owner' },
+                { user: 'user2', role: 'member' },
+            ],
+        };
+        renderChatWindow({ chat: groupChat });
+
+        expect(screen.getByText('JavaScript Circle')).toBeInTheDocument();
+        expect(screen.getByText('2 members')).toBeInTheDocument();
+        expect(screen.queryByText('Online')).not.toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Group members' }));
+
+        expect(screen.getByRole('complementary', { name: 'Group members' })).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'Leave group' })).toBeInTheDocument();
+        await waitFor(() => {
+            expect(chatAPI.getMessages).toHaveBeenCalled();
+        });
+    });
+});
@@ -268,4 +268,77 @@ describe('ContentModeration', () => {
         const applyButton = screen.getByText('Apply Action');
         expect(applyButton).not.toBeDisabled();
     });
-});
\ No newline at end of file
+
+    test('shows the automatic moderation actions and their explanations', async () => {
+        const user = userEvent.setup();
+        const autoModeratedReview = {
+            ...mockFlaggedReviews.reviews[0],
+            status: 'hidden',
+            moderation: {
+                flaggedBy: [],
+                autoActions: [
+                    {
+                        _id: 'action1',
+                        rule: 'personal_info',
+                        action: 'hide',
+                        trigger: 'submit',
+                        explanation: 'Contains an email address',
+                        createdAt: '2024-01-15T10:00:00Z'
+                    },
+                    {
+                        _id: 'action2',
+                        rule: 'flag_threshold',
+                        action: 'hide',
+                        trigger: 'flag',
+                        explanation: 'Flagged by 3 users (limit 3)',
+                        createdAt: '2024-01-16T10:00:00Z'
+                    }
+                ]
+            }
+        };
+        adminAPI.getFlaggedReviews.mockResolvedValue({
+            data: { data: { ...mockFlaggedReviews, reviews: [autoModeratedReview] } }
+        });
+
+        renderWithProviders(<ContentModeration />);
+
+        await waitFor(() => {
+            expect(screen.getByText('Flagged · Hidden')).toBeInTheDocument();
+        });
+        expect(screen.getByText('Flagged by 3 users (limit 3)')).toBeInTheDocument();
+
+        await user.click(screen.getByTitle('View Details'));
+
+        expect(screen.getByText('Automatic Moderation')).toBeInTheDocument();
+        expect(screen.getByText('Personal information · Hidden on submission')).toBeInTheDocument();
+        expect(screen.getByText('Flagged by several users · Hidden after a user flag')).toBeInTheDocument();
+        expect(screen.getByText('Contains an email address')).toBeInTheDocument();
+    });
+
+    test('shows every earlier version of an edited review', async () => {
+        const user = userEvent.setup();
+        const editedReview = {
+            ...mockFlaggedReviews.reviews[0],
+            editedAt: '2024-01-16T10:00:00Z',
+            editHistory: [
+                { rating: 3, comment: 'First version of the review', editedAt: '2024-01-15T12:00:00Z' },
+                { rating: 2, comment: 'Second version of the review', editedAt: '2024-01-16T10:00:00Z' }
+            ]
+        };
+        adminAPI.getFlaggedReviews.mockResolvedValue({
+            data: { data: { ...mockFlaggedReviews, reviews: [editedReview] } }
+        });
+
+        renderWithProviders(<ContentModeration />);
+
+        await waitFor(() => {
+            expect(screen.getByTitle('View Details')).toBeInTheDocument();
+        });
+        await user.click(screen.getByTitle('View Details'));
+
+        expect(screen.getByText('Edit History (2 earlier versions)')).toBeInTheDocument();
+        expect(screen.getByText('First version of the review')).toBeInTheDocument();
+        expect(screen.getByText('Second version of the review')).toBeInTheDocument();
+        expect(screen.getByText('Rating: 3/5')).toBeInTheDocument();
+    });
+});
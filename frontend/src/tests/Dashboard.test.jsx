@@ -19,6 +19,12 @@ jest.mock('../context/AuthContext', () => ({
     }),
 }));
 
+jest.mock('../utils/api', () => ({
+    searchAPI: {
+        getMatches: jest.fn().mockResolvedValue({ data: { data: { matches: [], profileComplete: true } } }),
+    },
+}));
+
 const MockedDashboard = () => (
     <BrowserRouter>
         <AuthProvider>
@@ -0,0 +1,80 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import toast from 'react-hot-toast';
+import GroupChatModal from '../components/chat/GroupChatModal';
+import { chatAPI } from '../utils/api';
+
+jest.mock('../utils/api', () => ({
+    chatAPI: {
+        createGroupChat: jest.fn(),
+        uploadGroupAvatar: jest.fn(),
+    },
+}));
+
+jest.mock('../hooks/useChatContacts', () => ({
+    useChatContacts: () => ({
+        contacts: [
+            { _id: 'user2', firstName: 'Jane', lastName: 'Smith' },
+            { _id: 'user3', firstName: 'Bob', lastName: 'Wilson' },
+        ],
+        isLoading: false,
+    }),
+}));
+
+jest.mock('react-hot-toast', () => ({
+    success: jest.fn(),
+    error: jest.fn(),
+}));
+
+const createdChat = { _id: 'chat1', chatType: 'group', name: 'JavaScript Circle' };
+
+describe('GroupChatModal', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        chatAPI.createGroupChat.mockResolvedValue({ data: { data: { chat: createdChat } } });
+    });
+
+    test('requires a group name', () => {
+        render(<GroupChatModal onCreated={jest.fn()} onClose={jest.fn()} />);
+
+        expect(screen.getByRole('dialog', { name: 'New group' })).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'Create group' })).toBeDisabled();
+    });
+
+    test('creates the group with the selected members', async () => {
+        const onCreated = jest.fn();
+        render(<GroupChatModal onCreated={onCreated} onClose={jest.fn()} />);
+
+        fireEvent.change(screen.getByLabelText(/Group name/), { target: { value: '  JavaScript Circle ' } });
+        fireEvent.change(screen.getByLabelText('Skill'), { target: { value: 'JavaScript' } });
+        fireEvent.click(screen.getByLabelText('Bob Wilson'));
+        fireEvent.click(screen.getByRole('button', { name: 'Create group' }));
+
+        await waitFor(() => {
+            expect(onCreated).toHaveBeenCalledWith(createdChat);
+        });
+        expect(chatAPI.createGroupChat).toHaveBeenCalledWith({
+            name: 'JavaScript Circle',
+            skill: 'JavaScript',
+            memberIds: ['user3'],
+        });
+        expect(chatAPI.uploadGroupAvatar).not.toHaveBeenCalled();
+    });
+
+    test('still opens the group when the avatar upload fails', async () => {
+        chatAPI.uploadGroupAvatar.mockRejectedValue(new Error('Upload failed'));
+        const onCreated = jest.fn();
+        const avatar = new File(['png'], 'circle.png', { type: 'image/png' });
+        render(<GroupChatModal onCreated={onCreated} onClose={jest.fn()} />);
+
+        fireEvent.change(screen.getByLabelText(/Group name/), { target: { value: 'JavaScript Circle' } });
+        fireEvent.change(screen.getByLabelText('Avatar'), { target: { files: [avatar] } });
+        fireEvent.click(screen.getByRole('button', { name: 'Create group' }));
+
+        await waitFor(() => {
+            expect(onCreated).toHaveBeenCalledWith(createdChat);
+        });
+        expect(chatAPI.uploadGroupAvatar).toHaveBeenCalledWith('chat1', avatar);
+        expect(toast.error).toHaveBeenCalledWith('Group created, but the avatar could not be uploaded');
+    });
+});
@@ -0,0 +1,136 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import GroupMembersPanel from '../components/chat/GroupMembersPanel';
+import { chatAPI } from '../utils/api';
+
+jest.mock('../utils/api', () => ({
+    chatAPI: {
+        removeGroupMember: jest.fn(),
+        updateMemberRole: jest.fn(),
+        leaveGroup: jest.fn(),
+        addGroupMembers: jest.fn(),
+    },
+}));
+
+jest.mock('../hooks/useChatContacts', () => ({
+    useChatContacts: () => ({
+        contacts: [
+            { _id: 'user2', firstName: 'Jane', lastName: 'Smith' },
+            { _id: 'user4', firstName: 'Alice', lastName: 'Brown' },
+        ],
+        isLoading: false,
+    }),
+}));
+
+jest.mock('react-hot-toast', () => ({
+    success: jest.fn(),
+    error: jest.fn(),
+}));
+
+const groupChat = {
+    _id: 'chat1',
+    chatType: 'group',
+    name: 'JavaScript Circle',
+    participants: [
+        { _id: 'user1', firstName: 'John', lastName: 'Doe' },
+        { _id: 'user2', firstName: 'Jane', lastName: 'Smith' },
+        { _id: 'user3', firstName: 'Bob', lastName: 'Wilson' },
+    ],
+    participantStatus: [
+        { user: 'user1', role: 'owner' },
+        { user: 'user2', role: 'admin' },
+        { user: 'user3', role: 'member' },
+    ],
+    settings: { maxParticipants: 20 },
+};
+
+const renderPanel = (props = {}) => {
+    const handlers = {
+        onChatUpdated: jest.fn(),
+        onLeft: jest.fn(),
+        onClose: jest.fn(),
+    };
+    render(<GroupMembersPanel chat={groupChat} currentUserId="user1" {...handlers} {...props} />);
+    return handlers;
+};
+
+describe('GroupMembersPanel', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        window.confirm = jest.fn(() => true);
+    });
+
+    test('lists members with their roles', () => {
+        renderPanel();
+
+        expect(screen.getByText('3 members')).toBeInTheDocument();
+        expect(screen.getByText('John Doe (you)')).toBeInTheDocument();
+        expect(screen.getByText('Owner')).toBeInTheDocument();
+        expect(screen.getByText('Admin')).toBeInTheDocument();
+    });
+
+    test('lets the owner manage roles and remove anyone but themselves', () => {
+        renderPanel();
+
+        expect(screen.getByRole('button', { name: 'Remove admin' })).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'Make admin' })).toBeInTheDocument();
+        expect(screen.getAllByRole('button', { name: 'Remove' })).toHaveLength(2);
+    });
+
+    test('lets admins remove plain members only', () => {
+        renderPanel({ currentUserId: 'user2' });
+
+        expect(screen.queryByRole('button', { name: 'Make admin' })).not.toBeInTheDocument();
+        expect(screen.getAllByRole('button', { name: 'Remove' })).toHaveLength(1);
+        expect(screen.getByRole('button', { name: 'Add members' })).toBeInTheDocument();
+    });
+
+    test('hides management actions from members', () => {
+        renderPanel({ currentUserId: 'user3' });
+
+        expect(screen.queryByRole('button', { name: 'Remove' })).not.toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'Add members' })).not.toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'Leave group' })).toBeInTheDocument();
+    });
+
+    test('removes a member after confirmation', async () => {
+        const updated = { ...groupChat, participants: groupChat.participants.slice(0, 2) };
+        chatAPI.removeGroupMember.mockResolvedValue({ data: { data: { chat: updated } } });
+        const { onChatUpdated } = renderPanel();
+
+        fireEvent.click(screen.getAllByRole('button', { name: 'Remove' })[1]);
+
+        expect(window.confirm).toHaveBeenCalledWith('Remove Bob Wilson from the group?');
+        await waitFor(() => {
+            expect(onChatUpdated).toHaveBeenCalledWith(updated);
+        });
+        expect(chatAPI.removeGroupMember).toHaveBeenCalledWith('chat1', 'user3');
+    });
+
+    test('offers only contacts who are not members yet', async () => {
+        chatAPI.addGroupMembers.mockResolvedValue({ data: { data: { chat: groupChat } } });
+        renderPanel();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Add members' }));
+
+        expect(screen.queryByLabelText('Jane Smith')).not.toBeInTheDocument();
+        fireEvent.click(screen.getByLabelText('Alice Brown'));
+        fireEvent.click(screen.getByRole('button', { name: 'Add' }));
+
+        await waitFor(() => {
+            expect(chatAPI.addGroupMembers).toHaveBeenCalledWith('chat1', ['user4']);
+        });
+    });
+
+    test('leaves the group', async () => {
+        chatAPI.leaveGroup.mockResolvedValue({ data: { success: true } });
+        const { onLeft } = renderPanel({ currentUserId: 'user3' });
+
+        fireEvent.click(screen.getByRole('button', { name: 'Leave group' }));
+
+        await waitFor(() => {
+            expect(onLeft).toHaveBeenCalled();
+        });
+        expect(chatAPI.leaveGroup).toHaveBeenCalledWith('chat1');
+    });
+});
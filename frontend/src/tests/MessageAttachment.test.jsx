@@ -0,0 +1,57 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import MessageAttachment from '../components/chat/MessageAttachment';
+import { chatAPI } from '../utils/api';
+
+jest.mock('../utils/api', () => ({
+    chatAPI: {
+        getAttachment: jest.fn(),
+    },
+}));
+
+jest.mock('react-hot-toast', () => ({
+    success: jest.fn(),
+    error: jest.fn(),
+}));
+
+describe('MessageAttachment', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        window.URL.createObjectURL = jest.fn(() => 'blob:preview');
+        window.URL.revokeObjectURL = jest.fn();
+    });
+
+    test('loads the image thumbnail with the user\'s credentials', async () => {
+        chatAPI.getAttachment.mockResolvedValue({ data: new Blob(['png']) });
+        const message = {
+            _id: 'msg1',
+            messageType: 'image',
+            attachment: { fileName: 'board.png', mimeType: 'image/png', size: 2048, hasThumbnail: true },
+        };
+
+        render(<MessageAttachment chatId="chat1" message={message} isOwnMessage={false} />);
+
+        expect(await screen.findByAltText('board.png')).toHaveAttribute('src', 'blob:preview');
+        expect(chatAPI.getAttachment).toHaveBeenCalledWith('chat1', 'msg1', 'thumbnail');
+    });
+
+    test('offers files as a download', async () => {
+        const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        chatAPI.getAttachment.mockResolvedValue({ data: new Blob(['%PDF']) });
+        const message = {
+            _id: 'msg2',
+            messageType: 'file',
+            attachment: { fileName: 'notes.pdf', mimeType: 'application/pdf', size: 1536, hasThumbnail: false },
+        };
+
+        render(<MessageAttachment chatId="chat1" message={message} isOwnMessage />);
+        expect(screen.getByText('1.5 KB')).toBeInTheDocument();
+        expect(chatAPI.getAttachment).not.toHaveBeenCalled();
+
+        fireEvent.click(screen.getByTitle('Download notes.pdf'));
+
+        await waitFor(() => expect(click).toHaveBeenCalled());
+        expect(chatAPI.getAttachment).toHaveBeenCalledWith('chat1', 'msg2');
+        click.mockRestore();
+    });
+});
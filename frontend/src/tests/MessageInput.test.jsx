@@ -1,8 +1,18 @@
 import React from 'react';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
+import toast from 'react-hot-toast';
 import MessageInput from '../components/chat/MessageInput';
 
+jest.mock('react-hot-toast', () => ({
+    success: jest.fn(),
+    error: jest.fn(),
+}));
+
+const selectFile = (file) => {
+    fireEvent.change(screen.getByTestId('attachment-input'), { target: { files: [file] } });
+};
+
 describe('MessageInput', () => {
     const mockOnSendMessage = jest.fn();
     const mockOnTypingStart = jest.fn();
@@ -180,7 +190,7 @@ describe('MessageInput', () => {
 
         const input = screen.getByRole('textbox');
         const sendButton = screen.getByTitle('Type a message to send');
-        const attachButton = screen.getByTitle('Attach file (coming soon)');
+        const attachButton = screen.getByTitle('Attach a file or image');
 
         expect(input).toBeDisabled();
         expect(sendButton).toBeDisabled();
@@ -210,12 +220,56 @@ describe('MessageInput', () => {
         expect(input.style.height).not.toBe('auto');
     });
 
-    test('renders attachment button', () => {
-        render(
+    test('enables the attachment button only when attachments can be sent', () => {
+        const { rerender } = render(
             <MessageInput onSendMessage={mockOnSendMessage} />
         );
+        expect(screen.getByTitle('Attach a file or image')).toBeDisabled();
+
+        rerender(
+            <MessageInput onSendMessage={mockOnSendMessage} onSendAttachment={jest.fn()} />
+        );
+        expect(screen.getByTitle('Attach a file or image')).toBeEnabled();
+    });
+
+    test('sends the selected file with the typed text as caption', () => {
+        const mockOnSendAttachment = jest.fn();
+        render(
+            <MessageInput onSendMessage={mockOnSendMessage} onSendAttachment={mockOnSendAttachment} />
+        );
+
+        const file = new File(['%PDF'], 'notes.pdf', { type: 'application/pdf' });
+        selectFile(file);
+        expect(screen.getByText('notes.pdf')).toBeInTheDocument();
+
+        fireEvent.change(screen.getByRole('textbox'), { target: { value: 'Slides from today ' } });
+        fireEvent.click(screen.getByTitle('Send message'));
+
+        expect(mockOnSendAttachment).toHaveBeenCalledWith(file, 'Slides from today');
+        expect(mockOnSendMessage).not.toHaveBeenCalled();
+        expect(screen.queryByText('notes.pdf')).not.toBeInTheDocument();
+    });
+
+    test('rejects file types that cannot be shared', () => {
+        render(
+            <MessageInput onSendMessage={mockOnSendMessage} onSendAttachment={jest.fn()} />
+        );
+
+        selectFile(new File(['MZ'], 'setup.exe', { type: 'application/x-msdownload' }));
+
+        expect(toast.error).toHaveBeenCalledWith('This file type cannot be shared in chat');
+        expect(screen.queryByText('setup.exe')).not.toBeInTheDocument();
+    });
+
+    test('rejects images over the size limit', () => {
+        render(
+            <MessageInput onSendMessage={mockOnSendMessage} onSendAttachment={jest.fn()} />
+        );
+
+        const image = new File(['x'], 'huge.png', { type: 'image/png' });
+        Object.defineProperty(image, 'size', { value: 6 * 1024 * 1024 });
+        selectFile(image);
 
-        const attachButton = screen.getByTitle('Attach file (coming soon)');
-        expect(attachButton).toBeInTheDocument();
+        expect(toast.error).toHaveBeenCalledWith(expect.stringContaining('less than 5 MB'));
     });
 });
\ No newline at end of file
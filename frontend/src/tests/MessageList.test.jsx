@@ -1,5 +1,5 @@
 import React from 'react';
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import MessageList from '../components/chat/MessageList';
 
 const mockMessages = [
@@ -207,4 +207,190 @@ describe('MessageList', () => {
         expect(avatar).toBeInTheDocument();
         expect(avatar).toHaveAttribute('src', 'https://example.com/avatar2.jpg');
     });
-});
\ No newline at end of file
+
+    describe('edits, replies and reactions', () => {
+        const recentMessage = (overrides = {}) => ({
+            _id: 'msg10',
+            content: 'Fresh message',
+            sender: mockParticipants[0],
+            createdAt: new Date().toISOString(),
+            isRead: false,
+            ...overrides,
+        });
+
+        test('marks edited messages', () => {
+            render(
+                <MessageList
+                    messages={[recentMessage({ editedAt: new Date().toISOString() })]}
+                    currentUserId="user1"
+                    participants={mockParticipants}
+                />
+            );
+
+            expect(screen.getByText('edited')).toBeInTheDocument();
+        });
+
+        test('quotes the message being replied to', () => {
+            render(
+                <MessageList
+                    messages={[
+                        recentMessage({
+                            replyTo: { _id: 'msg2', content: 'Hi! How are you?', sender: mockParticipants[1] },
+                        }),
+                        recentMessage({ _id: 'msg11', replyTo: { _id: 'msg1', isDeleted: true } }),
+                    ]}
+                    currentUserId="user1"
+                    participants={mockParticipants}
+                />
+            );
+
+            const quotes = screen.getAllByTestId('quoted-message');
+            expect(quotes[0]).toHaveTextContent('Jane Smith');
+            expect(quotes[0]).toHaveTextContent('Hi! How are you?');
+            expect(quotes[1]).toHaveTextContent('Original message was deleted');
+        });
+
+        test('renders reaction chips and toggles them', () => {
+            const onToggleReaction = jest.fn();
+            const message = recentMessage({
+                reactions: [
+                    { emoji: '👍', count: 2, users: ['user1', 'user2'] },
+                    { emoji: '🎉', count: 1, users: ['user2'] },
+                ],
+            });
+
+            render(
+                <MessageList
+                    messages={[message]}
+                    currentUserId="user1"
+                    participants={mockParticipants}
+                    onToggleReaction={onToggleReaction}
+                />
+            );
+
+            expect(screen.getByRole('button', { name: '👍 2' })).toHaveAttribute('aria-pressed', 'true');
+            expect(screen.getByRole('button', { name: '🎉 1' })).toHaveAttribute('aria-pressed', 'false');
+
+            fireEvent.click(screen.getByRole('button', { name: '🎉 1' }));
+            expect(onToggleReaction).toHaveBeenCalledWith(message, '🎉');
+
+            fireEvent.click(screen.getByRole('button', { name: 'Add reaction' }));
+            fireEvent.click(screen.getByRole('menuitem', { name: 'React with ❤️' }));
+            expect(onToggleReaction).toHaveBeenCalledWith(message, '❤️');
+        });
+
+        test('offers reply on any message and edit only on recent own messages', () => {
+            const onReply = jest.fn();
+            render(
+                <MessageList
+                    messages={[...mockMessages, recentMessage()]}
+                    currentUserId="user1"
+                    participants={mockParticipants}
+                    onReply={onReply}
+                    onEdit={jest.fn()}
+                />
+            );
+
+            expect(screen.getAllByRole('button', { name: 'Edit message' })).toHaveLength(1);
+
+            fireEvent.click(screen.getAllByRole('button', { name: 'Reply' })[1]);
+            expect(onReply).toHaveBeenCalledWith(mockMessages[1]);
+        });
+
+        test('saves an edit from the inline editor', async () => {
+            const onEdit = jest.fn().mockResolvedValue();
+            const message = recentMessage();
+            render(
+                <MessageList
+                    messages={[message]}
+                    currentUserId="user1"
+                    participants={mockParticipants}
+                    onEdit={onEdit}
+                />
+            );
+
+            fireEvent.click(screen.getByRole('button', { name: 'Edit message' }));
+            const editor = screen.getByRole('textbox', { name: 'Edit message' });
+            fireEvent.change(editor, { target: { value: 'Corrected message' } });
+            fireEvent.keyDown(editor, { key: 'Enter' });
+
+            expect(onEdit).toHaveBeenCalledWith(message, 'Corrected message');
+            await waitFor(() => {
+                expect(screen.queryByRole('textbox', { name: 'Edit message' })).not.toBeInTheDocument();
+            });
+        });
+    });
+
+    test('scrolls a highlighted message into view', () => {
+        const scrollIntoView = jest.fn();
+        window.HTMLElement.prototype.scrollIntoView = scrollIntoView;
+
+        const { container } = render(
+            <MessageList
+                messages={mockMessages}
+                currentUserId="user1"
+                participants={mockParticipants}
+                highlightedMessageId="msg2"
+            />
+        );
+
+        expect(scrollIntoView).toHaveBeenCalledWith({ block: 'center' });
+        expect(scrollIntoView.mock.contexts[0]).toBe(container.querySelector('[data-message-id="msg2"]'));
+    });
+
+    describe('group chats', () => {
+        const groupParticipants = [
+            ...mockParticipants,
+            { _id: 'user3', firstName: 'Bob', lastName: 'Wilson' },
+        ];
+
+        test('renders system messages as notices without message actions', () => {
+            const systemMessage = {
+                _id: 'msg4',
+                content: 'John Doe added Bob Wilson',
+                messageType: 'system',
+                sender: mockMessages[0].sender,
+                createdAt: new Date('2024-01-01T10:03:00Z').toISOString(),
+            };
+            render(
+                <MessageList
+                    messages={[systemMessage]}
+                    currentUserId="user2"
+                    participants={groupParticipants}
+                    onReply={jest.fn()}
+                />
+            );
+
+            expect(screen.getByText('John Doe added Bob Wilson')).toBeInTheDocument();
+            expect(screen.queryByRole('button', { name: 'Reply' })).not.toBeInTheDocument();
+        });
+
+        test('lists members who have read the latest own message', () => {
+            render(
+                <MessageList
+                    messages={mockMessages}
+                    currentUserId="user1"
+                    participants={groupParticipants}
+                    readMarkers={{
+                        user2: '2024-01-01T10:05:00Z',
+                        user3: '2024-01-01T10:01:30Z',
+                    }}
+                />
+            );
+
+            expect(screen.getByText('Seen by Jane')).toBeInTheDocument();
+        });
+
+        test('does not show read markers outside group chats', () => {
+            render(
+                <MessageList
+                    messages={mockMessages}
+                    currentUserId="user1"
+                    participants={mockParticipants}
+                />
+            );
+
+            expect(screen.queryByText(/Seen by/)).not.toBeInTheDocument();
+        });
+    });
+});
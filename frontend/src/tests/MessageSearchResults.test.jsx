@@ -0,0 +1,68 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import MessageSearchResults from '../components/chat/MessageSearchResults';
+import { chatAPI } from '../utils/api';
+
+jest.mock('../utils/api', () => ({
+    chatAPI: {
+        searchMessages: jest.fn(),
+    },
+}));
+
+const result = {
+    message: {
+        _id: 'msg1',
+        content: 'Here is the React tutorial link',
+        sender: { _id: 'user2', firstName: 'Jane', lastName: 'Smith' },
+        createdAt: new Date().toISOString(),
+    },
+    chat: {
+        _id: 'chat1',
+        chatType: 'direct',
+        participants: [{ _id: 'user2', firstName: 'Jane', lastName: 'Smith' }],
+    },
+    highlight: { field: 'content', snippet: 'Here is the React tutorial link' },
+};
+
+const searchResponse = (results) => ({ data: { success: true, data: { results } } });
+
+describe('MessageSearchResults', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('does not search for very short queries', () => {
+        const { container } = render(<MessageSearchResults query="r" onSelect={jest.fn()} />);
+
+        expect(container).toBeEmptyDOMElement();
+        expect(chatAPI.searchMessages).not.toHaveBeenCalled();
+    });
+
+    test('shows matching messages with their conversation and highlighted terms', async () => {
+        chatAPI.searchMessages.mockResolvedValue(searchResponse([result]));
+        render(<MessageSearchResults query=" react " onSelect={jest.fn()} />);
+
+        expect(await screen.findByText('Jane Smith')).toBeInTheDocument();
+        expect(chatAPI.searchMessages).toHaveBeenCalledWith({ q: 'react' });
+        expect(screen.getByText('React').tagName).toBe('MARK');
+    });
+
+    test('opens the chosen result', async () => {
+        chatAPI.searchMessages.mockResolvedValue(searchResponse([result]));
+        const onSelect = jest.fn();
+        render(<MessageSearchResults query="react" onSelect={onSelect} />);
+
+        fireEvent.click(await screen.findByRole('button', { name: /Jane Smith/ }));
+
+        expect(onSelect).toHaveBeenCalledWith(result);
+    });
+
+    test('tells the user when nothing matched', async () => {
+        chatAPI.searchMessages.mockResolvedValue(searchResponse([]));
+        render(<MessageSearchResults query="sourdough" onSelect={jest.fn()} />);
+
+        await waitFor(() => {
+            expect(screen.getByText('No messages found')).toBeInTheDocument();
+        });
+    });
+});
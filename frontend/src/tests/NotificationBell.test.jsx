@@ -0,0 +1,151 @@
+import React from 'react';
+import { render, screen, waitFor, act } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import '@testing-library/jest-dom';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import NotificationBell from '../components/notifications/NotificationBell';
+import { NotificationProvider } from '../context/NotificationContext';
+import { notificationAPI } from '../utils/api';
+
+// Minimal socket that records handlers so tests can emit server events
+const socketHandlers = {};
+const mockSocket = {
+    on: jest.fn((event, handler) => {
+        socketHandlers[event] = handler;
+    }),
+    off: jest.fn((event) => {
+        delete socketHandlers[event];
+    }),
+};
+
+jest.mock('../context/AuthContext', () => ({
+    useAuth: () => ({ isAuthenticated: true }),
+}));
+
+jest.mock('../context/SocketContext', () => ({
+    useSocket: () => ({ socket: mockSocket, isConnected: true }),
+}));
+
+jest.mock('../utils/api', () => ({
+    notificationAPI: {
+        getNotifications: jest.fn(),
+        getUnreadCount: jest.fn(),
+        markAsRead: jest.fn(),
+        markAllAsRead: jest.fn(),
+        archive: jest.fn(),
+    },
+}));
+
+jest.mock('react-hot-toast', () => jest.fn());
+
+const existingNotification = {
+    _id: 'notification1',
+    title: 'Session Request Accepted',
+    message: 'Jane has accepted your JavaScript session request.',
+    isRead: false,
+    createdAt: new Date().toISOString(),
+    actionData: { actionType: 'view', actionUrl: '/sessions', actionText: 'View Details' },
+};
+
+const renderBell = () => render(
+    <MemoryRouter initialEntries={['/dashboard']}>
+        <NotificationProvider>
+            <Routes>
+                <Route path="/dashboard" element={<NotificationBell />} />
+                <Route path="/sessions" element={<div>Sessions Page</div>} />
+            </Routes>
+        </NotificationProvider>
+    </MemoryRouter>
+);
+
+describe('NotificationBell Component', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        notificationAPI.getNotifications.mockResolvedValue({ data: { data: [existingNotification] } });
+        notificationAPI.getUnreadCount.mockResolvedValue({ data: { data: { count: 1 } } });
+        notificationAPI.markAsRead.mockResolvedValue({});
+        notificationAPI.markAllAsRead.mockResolvedValue({});
+    });
+
+    test('shows the unread count loaded from the API', async () => {
+        renderBell();
+
+        expect(await screen.findByTestId('notification-badge')).toHaveTextContent('1');
+        expect(screen.getByRole('button', { name: 'Notifications, 1 unread' })).toBeInTheDocument();
+    });
+
+    test('adds notifications pushed over the socket', async () => {
+        const user = userEvent.setup();
+        renderBell();
+        await screen.findByTestId('notification-badge');
+
+        act(() => {
+            socketHandlers.new_notification({
+                notification: {
+                    _id: 'notification2',
+                    title: 'New Session Request',
+                    message: 'John has requested a React session with you.',
+                    isRead: false,
+                    createdAt: new Date().toISOString(),
+                },
+                unreadCount: 2,
+            });
+        });
+
+        expect(screen.getByTestId('notification-badge')).toHaveTextContent('2');
+
+        await user.click(screen.getByRole('button', { name: 'Notifications, 2 unread' }));
+        const items = screen.getAllByRole('menuitem');
+        expect(items[0]).toHaveTextContent('New Session Request');
+        expect(items[1]).toHaveTextContent('Session Request Accepted');
+    });
+
+    test('syncs read state and unread count from other tabs', async () => {
+        const user = userEvent.setup();
+        renderBell();
+        await screen.findByTestId('notification-badge');
+
+        act(() => {
+            socketHandlers.notification_read({ notificationIds: ['notification1'] });
+            socketHandlers.notification_unread_count({ unreadCount: 0 });
+        });
+
+        expect(screen.queryByTestId('notification-badge')).not.toBeInTheDocument();
+        await user.click(screen.getByRole('button', { name: 'Notifications' }));
+        expect(screen.queryByLabelText('Unread')).not.toBeInTheDocument();
+    });
+
+    test('marks a notification as read and follows its action link', async () => {
+        const user = userEvent.setup();
+        renderBell();
+
+        await user.click(await screen.findByRole('button', { name: 'Notifications, 1 unread' }));
+        await user.click(screen.getByRole('menuitem', { name: /Session Request Accepted/ }));
+
+        expect(notificationAPI.markAsRead).toHaveBeenCalledWith('notification1');
+        expect(await screen.findByText('Sessions Page')).toBeInTheDocument();
+    });
+
+    test('marks all notifications as read', async () => {
+        const user = userEvent.setup();
+        renderBell();
+
+        await user.click(await screen.findByRole('button', { name: 'Notifications, 1 unread' }));
+        await user.click(screen.getByRole('button', { name: 'Mark all as read' }));
+
+        expect(notificationAPI.markAllAsRead).toHaveBeenCalled();
+        await waitFor(() => {
+            expect(screen.queryByTestId('notification-badge')).not.toBeInTheDocument();
+        });
+    });
+
+    test('unsubscribes from socket events on unmount', async () => {
+        const { unmount } = renderBell();
+        await screen.findByTestId('notification-badge');
+
+        unmount();
+
+        expect(mockSocket.off).toHaveBeenCalledWith('new_notification', expect.any(Function));
+        expect(mockSocket.off).toHaveBeenCalledWith('notification_unread_count', expect.any(Function));
+    });
+});
@@ -1,9 +1,10 @@
 import React from 'react';
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import { BrowserRouter } from 'react-router-dom';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import ProfileView from '../components/profile/ProfileView';
 import { AuthProvider } from '../context/AuthContext';
+import { profileAPI } from '../utils/api';
 
 // Mock the AuthContext
 const mockAuthContext = {
@@ -56,6 +57,18 @@ jest.mock('../context/AuthContext', () => ({
     AuthProvider: ({ children }) => <div>{children}</div>
 }));
 
+jest.mock('../utils/api', () => ({
+    profileAPI: {
+        endorseSkill: jest.fn(),
+        removeEndorsement: jest.fn(),
+    },
+}));
+
+jest.mock('react-hot-toast', () => ({
+    success: jest.fn(),
+    error: jest.fn(),
+}));
+
 // Mock Button component
 jest.mock('../components/common/Button', () => {
     return function Button({ children, ...props }) {
@@ -190,4 +203,72 @@ describe('ProfileView', () => {
 
         expect(screen.getByText(/Member since/)).toBeInTheDocument();
     });
-});
\ No newline at end of file
+
+    describe('skill reputation and endorsements', () => {
+        const otherUser = {
+            _id: '2',
+            firstName: 'Jane',
+            lastName: 'Smith',
+            email: 'jane@example.com',
+            skills: [
+                {
+                    _id: 'skill3',
+                    name: 'Python',
+                    category: 'Programming',
+                    level: 'expert',
+                    reputation: { rating: 4.7, ratingCount: 3, sessionCount: 5, endorsementCount: 1 },
+                },
+                {
+                    _id: 'skill4',
+                    name: 'Guitar',
+                    category: 'Music',
+                    level: 'beginner',
+                    reputation: { rating: 0, ratingCount: 0, sessionCount: 0, endorsementCount: 0 },
+                },
+            ],
+            skillsWanted: [],
+            endorsedSkillIds: ['skill3'],
+            createdAt: '2023-01-01T00:00:00.000Z',
+        };
+
+        test('summarizes reviews, sessions and endorsements per skill', () => {
+            renderWithProviders(<ProfileView user={otherUser} />);
+
+            expect(screen.getAllByTestId('skill-reputation').map(node => node.textContent)).toEqual([
+                '4.7 from 3 reviews · 5 sessions · 1 endorsement',
+            ]);
+        });
+
+        test('endorses a skill and updates its count', async () => {
+            profileAPI.endorseSkill.mockResolvedValue({ data: { success: true } });
+            renderWithProviders(<ProfileView user={otherUser} />);
+
+            fireEvent.click(screen.getByRole('button', { name: 'Endorse Guitar' }));
+
+            await waitFor(() => {
+                expect(screen.getByRole('button', { name: 'Remove endorsement of Guitar' })).toBeInTheDocument();
+            });
+            expect(profileAPI.endorseSkill).toHaveBeenCalledWith('2', 'skill4');
+            expect(screen.getByText('1 endorsement')).toBeInTheDocument();
+        });
+
+        test('withdraws an earlier endorsement', async () => {
+            profileAPI.removeEndorsement.mockResolvedValue({ data: { success: true } });
+            renderWithProviders(<ProfileView user={otherUser} />);
+
+            fireEvent.click(screen.getByRole('button', { name: 'Remove endorsement of Python' }));
+
+            await waitFor(() => {
+                expect(screen.getByRole('button', { name: 'Endorse Python' })).toBeInTheDocument();
+            });
+            expect(profileAPI.removeEndorsement).toHaveBeenCalledWith('2', 'skill3');
+            expect(screen.getByText('4.7 from 3 reviews · 5 sessions')).toBeInTheDocument();
+        });
+
+        test('does not offer endorsements on your own profile', () => {
+            renderWithProviders(<ProfileView isOwnProfile={true} />);
+
+            expect(screen.queryByRole('button', { name: /Endorse/ })).not.toBeInTheDocument();
+        });
+    });
+});
@@ -10,7 +10,8 @@ jest.mock('../utils/api', () => ({
     reviewAPI: {
         markHelpfulness: jest.fn(),
         flagReview: jest.fn(),
-        addResponse: jest.fn()
+        addResponse: jest.fn(),
+        editReview: jest.fn()
     }
 }));
 
@@ -219,4 +220,74 @@ describe('ReviewCard Component', () => {
             expect(screen.getByText('Helpful (3)')).toBeInTheDocument();
         });
     });
-});
\ No newline at end of file
+
+    test('shows an edited badge on edited reviews', () => {
+        render(<ReviewCard review={{ ...mockReview, editedAt: '2024-01-16T10:00:00Z' }} currentUserId={currentUserId} />);
+
+        expect(screen.getByText('edited')).toBeInTheDocument();
+    });
+
+    test('does not show the edited badge on reviews that were never edited', () => {
+        render(<ReviewCard review={mockReview} currentUserId={currentUserId} />);
+
+        expect(screen.queryByText('edited')).not.toBeInTheDocument();
+    });
+
+    describe('editing', () => {
+        const recentOwnReview = {
+            ...mockReview,
+            createdAt: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+            reviewer: {
+                ...mockReview.reviewer,
+                _id: currentUserId
+            }
+        };
+
+        test('lets the author edit a recent review', async () => {
+            const user = userEvent.setup();
+            const onUpdate = jest.fn();
+            const editedAt = new Date().toISOString();
+            reviewAPI.editReview.mockResolvedValue({
+                data: { data: { ...recentOwnReview, rating: 5, comment: 'Even better on second thought.', editedAt } }
+            });
+
+            render(<ReviewCard review={recentOwnReview} currentUserId={currentUserId} onUpdate={onUpdate} />);
+
+            await user.click(screen.getByTitle('Edit review'));
+
+            const [fiveStars] = screen.getAllByLabelText('5 stars').filter(button => !button.disabled);
+            await user.click(fiveStars);
+            const comment = screen.getByLabelText('Review comment');
+            await user.clear(comment);
+            await user.type(comment, 'Even better on second thought.');
+            await user.click(screen.getByText('Save Changes'));
+
+            await waitFor(() => {
+                expect(reviewAPI.editReview).toHaveBeenCalledWith('review123', {
+                    rating: 5,
+                    comment: 'Even better on second thought.'
+                });
+            });
+            expect(onUpdate).toHaveBeenCalledWith('review123', {
+                rating: 5,
+                comment: 'Even better on second thought.',
+                editedAt
+            });
+            expect(screen.queryByText('Save Changes')).not.toBeInTheDocument();
+        });
+
+        test('hides the edit button once the edit window has passed', () => {
+            const oldOwnReview = { ...recentOwnReview, createdAt: '2024-01-15T10:00:00Z' };
+
+            render(<ReviewCard review={oldOwnReview} currentUserId={currentUserId} />);
+
+            expect(screen.queryByTitle('Edit review')).not.toBeInTheDocument();
+        });
+
+        test('does not let other users edit the review', () => {
+            render(<ReviewCard review={{ ...recentOwnReview, reviewer: mockReview.reviewer }} currentUserId={currentUserId} />);
+
+            expect(screen.queryByTitle('Edit review')).not.toBeInTheDocument();
+        });
+    });
+});
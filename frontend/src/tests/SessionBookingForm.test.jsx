@@ -13,7 +13,8 @@ jest.mock('react-hot-toast', () => ({
 jest.mock('../utils/api', () => ({
     sessionAPI: {
         createSession: jest.fn(),
-        checkConflicts: jest.fn()
+        checkConflicts: jest.fn(),
+        getAvailability: jest.fn()
     }
 }));
 
@@ -32,6 +33,7 @@ describe('SessionBookingForm', () => {
         jest.clearAllMocks();
         sessionAPI.checkConflicts.mockResolvedValue({ data: { conflicts: [] } });
         sessionAPI.createSession.mockResolvedValue({ data: { success: true } });
+        sessionAPI.getAvailability.mockResolvedValue({ data: { data: { hasWeeklySlots: false, slots: [] } } });
     });
 
     test('renders form with provider name', () => {
@@ -223,6 +225,106 @@ describe('SessionBookingForm', () => {
         expect(mockProps.onSuccess).toHaveBeenCalled();
     });
 
+    test('submits a recurring series with a session count', async () => {
+        const user = userEvent.setup();
+        render(<SessionBookingForm {...mockProps} />);
+
+        await user.type(screen.getByLabelText(/skill name/i), 'React Development');
+        await user.selectOptions(screen.getByLabelText(/category/i), 'Programming');
+
+        const futureDate = new Date();
+        futureDate.setDate(futureDate.getDate() + 1);
+        await user.type(screen.getByLabelText(/date & time/i), futureDate.toISOString().slice(0, 16));
+
+        await user.selectOptions(screen.getByLabelText(/repeat/i), 'biweekly');
+        const countInput = screen.getByLabelText(/number of sessions/i);
+        await user.clear(countInput);
+        await user.type(countInput, '6');
+
+        await user.click(screen.getByText('Send Request'));
+
+        await waitFor(() => {
+            expect(sessionAPI.createSession).toHaveBeenCalledWith(expect.objectContaining({
+                recurrence: { frequency: 'biweekly', count: 6 }
+            }));
+        });
+
+        expect(toast.success).toHaveBeenCalledWith('Recurring session request sent successfully!');
+    });
+
+    test('lists conflicting occurrences returned for a series', async () => {
+        const user = userEvent.setup();
+        sessionAPI.createSession.mockRejectedValue({
+            response: {
+                status: 409,
+                data: {
+                    error: {
+                        message: 'Scheduling conflicts detected for some sessions in the series',
+                        details: [{ message: 'Session 3 conflicts with one of your sessions', value: '2026-03-24T17:00:00.000Z' }]
+                    }
+                }
+            }
+        });
+
+        render(<SessionBookingForm {...mockProps} />);
+
+        await user.type(screen.getByLabelText(/skill name/i), 'React Development');
+        await user.selectOptions(screen.getByLabelText(/category/i), 'Programming');
+
+        const futureDate = new Date();
+        futureDate.setDate(futureDate.getDate() + 1);
+        await user.type(screen.getByLabelText(/date & time/i), futureDate.toISOString().slice(0, 16));
+        await user.selectOptions(screen.getByLabelText(/repeat/i), 'weekly');
+
+        await user.click(screen.getByText('Send Request'));
+
+        expect(await screen.findByText(/Session 3 conflicts with one of your sessions/)).toBeInTheDocument();
+        expect(toast.error).toHaveBeenCalledWith('Scheduling conflicts detected for some sessions in the series');
+    });
+
+    test('offers the provider\'s free slots instead of a date input', async () => {
+        const user = userEvent.setup();
+        const slotStart = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+        slotStart.setMinutes(0, 0, 0);
+        const slot = {
+            start: slotStart.toISOString(),
+            end: new Date(slotStart.getTime() + 60 * 60 * 1000).toISOString()
+        };
+        sessionAPI.getAvailability.mockResolvedValue({
+            data: { data: { hasWeeklySlots: true, timezone: 'Europe/Berlin', slots: [slot] } }
+        });
+
+        render(<SessionBookingForm {...mockProps} />);
+
+        const slotButton = await screen.findByRole('radio');
+        expect(screen.queryByLabelText(/date & time/i)).not.toBeInTheDocument();
+        expect(screen.getByText(/John Doe's timezone is Europe\/Berlin/)).toBeInTheDocument();
+        expect(sessionAPI.getAvailability).toHaveBeenCalledWith(mockProps.providerId, { duration: 60 });
+
+        await user.type(screen.getByLabelText(/skill name/i), 'React Development');
+        await user.selectOptions(screen.getByLabelText(/category/i), 'Programming');
+        await user.click(slotButton);
+        expect(slotButton).toHaveAttribute('aria-checked', 'true');
+
+        await user.click(screen.getByText('Send Request'));
+
+        await waitFor(() => {
+            expect(sessionAPI.createSession).toHaveBeenCalledWith(expect.objectContaining({
+                scheduledDate: slot.start
+            }));
+        });
+    });
+
+    test('explains when the provider has no free slots', async () => {
+        sessionAPI.getAvailability.mockResolvedValue({
+            data: { data: { hasWeeklySlots: true, timezone: 'UTC', slots: [] } }
+        });
+
+        render(<SessionBookingForm {...mockProps} />);
+
+        expect(await screen.findByText('John Doe has no free times in the next two weeks.')).toBeInTheDocument();
+    });
+
     test('handles API error during submission', async () => {
         const user = userEvent.setup();
         sessionAPI.createSession.mockRejectedValue({
@@ -13,7 +13,10 @@ jest.mock('react-hot-toast', () => ({
 jest.mock('../utils/api', () => ({
     sessionAPI: {
         cancelSession: jest.fn(),
-        completeSession: jest.fn()
+        completeSession: jest.fn(),
+        reportNoShow: jest.fn(),
+        cancelSessionSeries: jest.fn(),
+        downloadSessionCalendar: jest.fn()
     }
 }));
 
@@ -57,6 +60,7 @@ describe('SessionCard', () => {
         jest.clearAllMocks();
         sessionAPI.cancelSession.mockResolvedValue({ data: { success: true } });
         sessionAPI.completeSession.mockResolvedValue({ data: { success: true } });
+        sessionAPI.reportNoShow.mockResolvedValue({ data: { success: true } });
 
         // Mock window.confirm
         window.confirm = jest.fn(() => true);
@@ -155,6 +159,96 @@ describe('SessionCard', () => {
         expect(screen.getByText('Mark Complete')).toBeInTheDocument();
     });
 
+    test('hides cancel button for accepted sessions starting within 2 hours', () => {
+        const soonSession = {
+            ...mockSession,
+            status: 'accepted',
+            scheduledDate: new Date(Date.now() + 60 * 60 * 1000).toISOString() // In one hour
+        };
+
+        render(<SessionCard {...mockProps} session={soonSession} />);
+
+        expect(screen.queryByText('Cancel')).not.toBeInTheDocument();
+    });
+
+    test('shows expired badge without actions for expired requests', () => {
+        render(<SessionCard {...mockProps} session={{ ...mockSession, status: 'expired' }} />);
+
+        expect(screen.getByText('Expired')).toBeInTheDocument();
+        expect(screen.queryByText('Cancel')).not.toBeInTheDocument();
+    });
+
+    test('shows report no-show button only after the session has ended', () => {
+        const inProgressSession = {
+            ...mockSession,
+            status: 'accepted',
+            scheduledDate: new Date(Date.now() - 30 * 60 * 1000).toISOString() // Started 30 minutes ago
+        };
+
+        const { rerender } = render(<SessionCard {...mockProps} session={inProgressSession} />);
+        expect(screen.queryByText('Report No-Show')).not.toBeInTheDocument();
+
+        rerender(<SessionCard {...mockProps} session={{
+            ...inProgressSession,
+            scheduledDate: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString() // Yesterday
+        }} />);
+        expect(screen.getByText('Report No-Show')).toBeInTheDocument();
+    });
+
+    test('handles reporting a no-show', async () => {
+        const user = userEvent.setup();
+        const pastSession = {
+            ...mockSession,
+            status: 'accepted',
+            scheduledDate: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString() // Yesterday
+        };
+
+        render(<SessionCard {...mockProps} session={pastSession} />);
+
+        await user.click(screen.getByText('Report No-Show'));
+
+        await waitFor(() => {
+            expect(sessionAPI.reportNoShow).toHaveBeenCalledWith(mockSession._id, 'Participant did not attend');
+        });
+
+        expect(toast.success).toHaveBeenCalledWith('No-show reported');
+        expect(mockProps.onUpdate).toHaveBeenCalledWith(mockSession._id, { status: 'no-show' });
+    });
+
+    test('shows series position and cancels this and following sessions', async () => {
+        const user = userEvent.setup();
+        const seriesSession = {
+            ...mockSession,
+            series: { seriesId: 'series123', frequency: 'weekly', occurrence: 2, totalOccurrences: 4 }
+        };
+        sessionAPI.cancelSessionSeries.mockResolvedValue({
+            data: { data: [{ _id: mockSession._id }, { _id: 'session3' }, { _id: 'session4' }] }
+        });
+
+        render(<SessionCard {...mockProps} session={seriesSession} />);
+
+        expect(screen.getByLabelText('Session 2 of 4 in a weekly series')).toBeInTheDocument();
+
+        await user.click(screen.getByText('Cancel Following'));
+
+        await waitFor(() => {
+            expect(sessionAPI.cancelSessionSeries).toHaveBeenCalledWith(mockSession._id, 'Cancelled by user');
+        });
+        expect(toast.success).toHaveBeenCalledWith('3 sessions cancelled');
+        expect(mockProps.onUpdate).toHaveBeenCalledWith('session4', { status: 'cancelled' });
+    });
+
+    test('does not offer cancel following for the last session of a series', () => {
+        const lastSession = {
+            ...mockSession,
+            series: { seriesId: 'series123', frequency: 'weekly', occurrence: 4, totalOccurrences: 4 }
+        };
+
+        render(<SessionCard {...mockProps} session={lastSession} />);
+
+        expect(screen.queryByText('Cancel Following')).not.toBeInTheDocument();
+    });
+
     test('shows upcoming badge for future accepted sessions', () => {
         const upcomingSession = {
             ...mockSession,
@@ -179,6 +273,35 @@ describe('SessionCard', () => {
         expect(screen.getByText('Join Meeting')).toBeInTheDocument();
     });
 
+    test('downloads an upcoming session as a calendar file', async () => {
+        const upcomingSession = {
+            ...mockSession,
+            status: 'accepted',
+            scheduledDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // Tomorrow
+        };
+        sessionAPI.downloadSessionCalendar.mockResolvedValue({ data: 'BEGIN:VCALENDAR' });
+        window.URL.createObjectURL = jest.fn(() => 'blob:calendar');
+        window.URL.revokeObjectURL = jest.fn();
+        const clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+        render(<SessionCard {...mockProps} session={upcomingSession} />);
+        fireEvent.click(screen.getByText('Add to Calendar'));
+
+        await waitFor(() => {
+            expect(clickSpy).toHaveBeenCalled();
+        });
+        expect(sessionAPI.downloadSessionCalendar).toHaveBeenCalledWith(upcomingSession._id);
+        expect(window.URL.revokeObjectURL).toHaveBeenCalledWith('blob:calendar');
+
+        clickSpy.mockRestore();
+    });
+
+    test('does not offer calendar download for pending requests', () => {
+        render(<SessionCard {...mockProps} />);
+
+        expect(screen.queryByText('Add to Calendar')).not.toBeInTheDocument();
+    });
+
     test('handles session cancellation', async () => {
         const user = userEvent.setup();
         render(<SessionCard {...mockProps} />);
@@ -0,0 +1,73 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import '@testing-library/jest-dom';
+import SuggestedSwaps from '../components/search/SuggestedSwaps';
+import { searchAPI } from '../utils/api';
+
+jest.mock('../utils/api', () => ({
+    searchAPI: {
+        getMatches: jest.fn(),
+    },
+}));
+
+const match = {
+    user: { _id: 'user2', firstName: 'Bruno', lastName: 'Diaz' },
+    score: 87,
+    theyTeach: [{ name: 'Spanish', teacherLevel: 'advanced', learnerLevel: 'beginner' }],
+    youTeach: [{ name: 'JavaScript', teacherLevel: 'expert', learnerLevel: 'intermediate' }],
+    distanceKm: 27,
+    overlapMinutes: 120,
+};
+
+const renderPanel = () => render(
+    <MemoryRouter>
+        <SuggestedSwaps />
+    </MemoryRouter>
+);
+
+describe('SuggestedSwaps', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('lists reciprocal matches with what each side teaches', async () => {
+        searchAPI.getMatches.mockResolvedValue({ data: { data: { matches: [match], profileComplete: true } } });
+
+        renderPanel();
+
+        expect(await screen.findByRole('link', { name: 'Bruno Diaz' })).toHaveAttribute('href', '/profile/user2');
+        expect(screen.getByText('87% match')).toBeInTheDocument();
+        expect(screen.getByText('Spanish (Advanced)')).toBeInTheDocument();
+        expect(screen.getByText('JavaScript')).toBeInTheDocument();
+        expect(screen.getByText('27 km away')).toBeInTheDocument();
+        expect(screen.getByText('2h shared availability per week')).toBeInTheDocument();
+        expect(searchAPI.getMatches).toHaveBeenCalledWith({ limit: 6 });
+    });
+
+    test('asks the user to list skills when the profile is incomplete', async () => {
+        searchAPI.getMatches.mockResolvedValue({ data: { data: { matches: [], profileComplete: false } } });
+
+        renderPanel();
+
+        expect(await screen.findByRole('link', { name: 'Manage skills' })).toHaveAttribute('href', '/profile/skills');
+    });
+
+    test('shows an empty state when nobody matches yet', async () => {
+        searchAPI.getMatches.mockResolvedValue({ data: { data: { matches: [], profileComplete: true } } });
+
+        renderPanel();
+
+        expect(await screen.findByText(/No two-way matches yet/)).toBeInTheDocument();
+    });
+
+    test('shows an error when suggestions cannot be loaded', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        searchAPI.getMatches.mockRejectedValue(new Error('Network error'));
+
+        renderPanel();
+
+        expect(await screen.findByRole('alert')).toHaveTextContent('Could not load suggestions right now.');
+        console.error.mockRestore();
+    });
+});
@@ -185,6 +185,33 @@ describe('UserCard', () => {
         expect(screen.queryByText(/reviews/)).not.toBeInTheDocument();
     });
 
+    test('shows the reputation of each skill from search results', () => {
+        const searchResult = {
+            ...mockUser,
+            skillsOffered: undefined,
+            skills: [
+                {
+                    _id: 'skill1',
+                    name: 'JavaScript',
+                    reputation: { rating: 4.8, ratingCount: 6, sessionCount: 9, endorsementCount: 2 },
+                },
+                {
+                    _id: 'skill2',
+                    name: 'Go',
+                    reputation: { rating: 0, ratingCount: 0, sessionCount: 0, endorsementCount: 0 },
+                },
+            ],
+        };
+
+        renderWithRouter(
+            <UserCard user={searchResult} onBookSession={mockOnBookSession} />
+        );
+
+        expect(screen.getByTitle('4.8 from 6 reviews, 9 sessions, 2 endorsements')).toHaveTextContent('JavaScript4.8· 2');
+        expect(screen.getByLabelText('2 endorsements')).toBeInTheDocument();
+        expect(screen.getByText('Go')).not.toHaveAttribute('title');
+    });
+
     test('handles user without skills', () => {
         const userWithoutSkills = { ...mockUser, skillsOffered: [] };
 
@@ -258,4 +285,36 @@ describe('UserCard', () => {
         // Card click should not be triggered when button is clicked
         expect(mockCardClick).not.toHaveBeenCalled();
     });
+    test('highlights query terms in the matched skill description', () => {
+        const { container } = renderWithRouter(
+            <UserCard
+                user={{
+                    ...mockUser,
+                    highlight: { field: 'skills.description', skill: 'React', snippet: '…hooks and React Native apps' }
+                }}
+                onBookSession={mockOnBookSession}
+                highlightQuery="react native"
+            />
+        );
+
+        expect(screen.getByTestId('search-highlight')).toHaveTextContent('Skill description (React): …hooks and React Native apps');
+        expect([...container.querySelectorAll('mark')].map(mark => mark.textContent)).toEqual(['React', 'Native']);
+    });
+
+    test('highlights bio matches in place and treats special characters literally', () => {
+        const { container } = renderWithRouter(
+            <UserCard
+                user={{
+                    ...mockUser,
+                    bio: 'I teach C++ and C# (mostly)',
+                    highlight: { field: 'bio', snippet: 'I teach C++ and C# (mostly)' }
+                }}
+                onBookSession={mockOnBookSession}
+                highlightQuery='"c++" (mostly'
+            />
+        );
+
+        expect(screen.queryByTestId('search-highlight')).not.toBeInTheDocument();
+        expect([...container.querySelectorAll('mark')].map(mark => mark.textContent)).toEqual(['C++', '(mostly']);
+    });
 });
\ No newline at end of file
@@ -61,6 +61,17 @@ export const authAPI = {
     resendOTP: (email) => api.post('/auth/resend-otp', { email }),
     refreshToken: (refreshToken) => api.post('/auth/refresh-token', { refreshToken }),
     logout: () => api.post('/auth/logout'),
+    logoutAll: () => api.post('/auth/logout-all'),
+    forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+    resetPassword: (data) => api.post('/auth/reset-password', data),
+    changePassword: (data) => api.put('/auth/password', data),
+    requestEmailChange: (data) => api.post('/auth/email', data),
+    confirmEmailChange: (otp) => api.post('/auth/email/verify', { otp }),
+    verifyTwoFactorLogin: (data) => api.post('/auth/login/2fa', data),
+    setupTwoFactor: () => api.post('/auth/2fa/setup'),
+    enableTwoFactor: (code) => api.post('/auth/2fa/enable', { code }),
+    disableTwoFactor: (password) => api.post('/auth/2fa/disable', { password }),
+    regenerateBackupCodes: (password) => api.post('/auth/2fa/backup-codes', { password }),
 };
 
 export const profileAPI = {
@@ -74,6 +85,13 @@ export const profileAPI = {
     updateSkill: (skillId, skillData) => api.put(`/profile/skills/${skillId}`, skillData),
     removeSkill: (skillId) => api.delete(`/profile/skills/${skillId}`),
     getSkills: () => api.get('/profile/skills'),
+    exportData: () => api.get('/profile/export', { responseType: 'blob' }),
+    deleteAccount: (password) => api.delete('/profile', { data: { password } }),
+    getBlockedUsers: () => api.get('/profile/blocked'),
+    blockUser: (userId) => api.post(`/profile/blocked/${userId}`),
+    unblockUser: (userId) => api.delete(`/profile/blocked/${userId}`),
+    endorseSkill: (userId, skillId) => api.post(`/profile/${userId}/skills/${skillId}/endorse`),
+    removeEndorsement: (userId, skillId) => api.delete(`/profile/${userId}/skills/${skillId}/endorse`),
 };
 
 export const searchAPI = {
@@ -82,19 +100,27 @@ export const searchAPI = {
     getAvailableSkills: (params) => api.get('/search/skills', { params }),
     getTrendingSkills: () => api.get('/search/trending'),
     getSearchSuggestions: (params) => api.get('/search/suggestions', { params }),
+    getMatches: (params) => api.get('/search/matches', { params }),
 };
 
 export const sessionAPI = {
     createSession: (sessionData) => api.post('/sessions', sessionData),
     getUserSessions: (params) => api.get('/sessions', { params }),
     getSession: (sessionId) => api.get(`/sessions/${sessionId}`),
+    downloadSessionCalendar: (sessionId) => api.get(`/sessions/${sessionId}`, { params: { format: 'ics' }, responseType: 'blob' }),
+    createCalendarFeed: () => api.post('/sessions/calendar/feed-token'),
+    revokeCalendarFeed: () => api.delete('/sessions/calendar/feed-token'),
     respondToSession: (sessionId, response) => api.put(`/sessions/${sessionId}/respond`, response),
+    respondToSeries: (seriesId, response) => api.put(`/sessions/series/${seriesId}/respond`, response),
     proposeAlternativeTime: (sessionId, data) => api.post(`/sessions/${sessionId}/alternative-time`, data),
     cancelSession: (sessionId, reason) => api.put(`/sessions/${sessionId}/cancel`, { reason }),
+    cancelSessionSeries: (sessionId, reason) => api.put(`/sessions/${sessionId}/cancel`, { reason, scope: 'following' }),
     completeSession: (sessionId, notes) => api.put(`/sessions/${sessionId}/complete`, { notes }),
+    reportNoShow: (sessionId, reason) => api.put(`/sessions/${sessionId}/no-show`, { reason }),
     submitFeedback: (sessionId, feedback) => api.post(`/sessions/${sessionId}/feedback`, feedback),
     getUpcomingSessions: (params) => api.get('/sessions/upcoming', { params }),
     checkConflicts: (data) => api.post('/sessions/check-conflicts', data),
+    getAvailability: (providerId, params) => api.get(`/sessions/availability/${providerId}`, { params }),
     getSessionStats: () => api.get('/sessions/stats'),
 };
 
@@ -102,6 +128,7 @@ export const reviewAPI = {
     submitReview: (reviewData) => api.post('/reviews', reviewData),
     getUserReviews: (userId, params) => api.get(`/reviews/user/${userId}`, { params }),
     getReview: (reviewId) => api.get(`/reviews/${reviewId}`),
+    editReview: (reviewId, changes) => api.put(`/reviews/${reviewId}`, changes),
     getPendingReviews: () => api.get('/reviews/pending'),
     getUserRatingStats: (userId) => api.get(`/reviews/user/${userId}/stats`),
     getSkillRating: (userId, skillName) => api.get(`/reviews/user/${userId}/skill/${skillName}`),
@@ -123,15 +150,65 @@ export const adminAPI = {
 };
 
 export const chatAPI = {
-    getUserChats: (params) => api.get('/chat/chats', { params }),
-    getChatById: (chatId, params) => api.get(`/chat/chats/${chatId}`, { params }),
+    getUserChats: (params) => api.get('/chats', { params }),
+    getChatById: (chatId, params) => api.get(`/chats/${chatId}`, { params }),
+    getMessages: (chatId, params) => api.get(`/chats/${chatId}/messages`, { params }),
+    searchMessages: (params) => api.get('/chats/search', { params }),
     createDirectChat: (otherUserId, sessionId) => api.post('/chat/direct', { otherUserId, sessionId }),
     sendMessage: (chatId, content, messageType = 'text') => api.post(`/chat/chats/${chatId}/messages`, { content, messageType }),
     deleteMessage: (chatId, messageId) => api.delete(`/chat/chats/${chatId}/messages/${messageId}`),
+    sendAttachment: (chatId, file, content, replyTo) => {
+        const formData = new FormData();
+        formData.append('attachment', file);
+        if (content) {
+            formData.append('content', content);
+        }
+        if (replyTo) {
+            formData.append('replyTo', replyTo);
+        }
+        return api.post(`/chats/${chatId}/attachments`, formData, {
+            headers: { 'Content-Type': 'multipart/form-data' },
+            timeout: 60000,
+        });
+    },
+    getAttachment: (chatId, messageId, variant) => api.get(`/chats/${chatId}/messages/${messageId}/attachment`, {
+        params: variant ? { variant } : undefined,
+        responseType: 'blob',
+    }),
+    editMessage: (chatId, messageId, content) => api.put(`/chats/${chatId}/messages/${messageId}`, { content }),
+    addReaction: (chatId, messageId, emoji) => api.post(`/chats/${chatId}/messages/${messageId}/reactions`, { emoji }),
+    removeReaction: (chatId, messageId, emoji) => api.delete(
+        `/chats/${chatId}/messages/${messageId}/reactions/${encodeURIComponent(emoji)}`
+    ),
+    createGroupChat: (groupData) => api.post('/chats/group', groupData),
+    updateGroup: (chatId, groupData) => api.put(`/chats/${chatId}/group`, groupData),
+    uploadGroupAvatar: (chatId, file) => {
+        const formData = new FormData();
+        formData.append('avatar', file);
+        return api.put(`/chats/${chatId}/group/avatar`, formData, {
+            headers: { 'Content-Type': 'multipart/form-data' },
+        });
+    },
+    addGroupMembers: (chatId, userIds) => api.post(`/chats/${chatId}/members`, { userIds }),
+    removeGroupMember: (chatId, userId) => api.delete(`/chats/${chatId}/members/${userId}`),
+    updateMemberRole: (chatId, userId, role) => api.put(`/chats/${chatId}/members/${userId}/role`, { role }),
+    leaveGroup: (chatId) => api.post(`/chats/${chatId}/leave`),
+    muteChat: (chatId, muted) => api.put(`/chats/${chatId}/mute`, { muted }),
     archiveChat: (chatId) => api.put(`/chat/chats/${chatId}/archive`),
     getSessionChat: (sessionId) => api.get(`/chat/sessions/${sessionId}/chat`),
     getOnlineUsers: () => api.get('/chat/online-users'),
     markAsRead: (chatId, messageId) => api.put(`/chat/chats/${chatId}/read`, { messageId }),
 };
 
+export const notificationAPI = {
+    getNotifications: (params) => api.get('/notifications', { params }),
+    getUnreadCount: (params) => api.get('/notifications/unread-count', { params }),
+    markAsRead: (notificationId) => api.put(`/notifications/${notificationId}/read`),
+    markMultipleAsRead: (notificationIds) => api.put('/notifications/mark-multiple-read', { notificationIds }),
+    markAllAsRead: (category) => api.put('/notifications/mark-all-read', { category }),
+    archive: (notificationId) => api.put(`/notifications/${notificationId}/archive`),
+    getPreferences: () => api.get('/notifications/preferences'),
+    updatePreferences: (preferences) => api.put('/notifications/preferences', { preferences }),
+};
+
 export default api;
\ No newline at end of file
@@ -84,6 +84,37 @@ export const VALIDATION_PATTERNS = {
 export const FILE_LIMITS = {
     AVATAR_MAX_SIZE: 5 * 1024 * 1024, // 5MB
     AVATAR_ALLOWED_TYPES: ['image/jpeg', 'image/png', 'image/webp'],
+    CHAT_IMAGE_MAX_SIZE: 5 * 1024 * 1024, // 5MB
+    CHAT_FILE_MAX_SIZE: 10 * 1024 * 1024, // 10MB
+    CHAT_IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+    CHAT_FILE_TYPES: [
+        'application/pdf',
+        'text/plain',
+        'text/csv',
+        'application/zip',
+        'application/msword',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/vnd.ms-excel',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/vnd.ms-powerpoint',
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    ],
+};
+
+// Chat messages (must match the server's edit window and reaction list)
+export const CHAT_MESSAGES = {
+    EDIT_WINDOW_MINUTES: 15,
+    REACTION_EMOJIS: ['👍', '❤️', '😂', '😮', '😢', '🙏', '🎉', '👏'],
+};
+
+// Reviews (must match the server's REVIEW_EDIT_WINDOW_HOURS)
+export const REVIEWS = {
+    EDIT_WINDOW_HOURS: 48,
+};
+
+// Group chats (must match the server's CHAT_GROUP_MAX_PARTICIPANTS)
+export const CHAT_GROUPS = {
+    MAX_PARTICIPANTS: 20,
 };
 
 // Pagination defaults
@@ -87,6 +87,39 @@ export function truncateText(text, maxLength = 100) {
     return text.slice(0, maxLength).trim() + '...';
 }
 
+/**
+ * Escape characters that have a meaning in regular expressions
+ * @param {string} value - Raw user input
+ * @returns {string} - Escaped string
+ */
+export function escapeRegExp(value = '') {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split text into parts, flagging the ones that match a search term
+ * @param {string} text - Text to highlight
+ * @param {string} query - Search query (whitespace separated terms)
+ * @returns {Array<{ text: string, match: boolean }>} - Text parts in order
+ */
+export function getHighlightParts(text, query) {
+    if (!text) return [];
+
+    const terms = (query || '')
+        .split(/\s+/)
+        .map(term => term.replace(/["\\]/g, '').replace(/^-+/, ''))
+        .filter(Boolean);
+    if (terms.length === 0) return [{ text, match: false }];
+
+    // Longest terms first so "javascript" wins over "java"
+    const alternatives = [...terms].sort((a, b) => b.length - a.length).map(escapeRegExp);
+    const pattern = new RegExp(`(${alternatives.join('|')})`, 'gi');
+    return text
+        .split(pattern)
+        .filter(Boolean)
+        .map(part => ({ text: part, match: terms.some(term => term.toLowerCase() === part.toLowerCase()) }));
+}
+
 /**
  * Generate initials from name
  * @param {string} firstName - First name
@@ -298,6 +331,8 @@ export function getStatusColor(status) {
         rejected: 'text-red-600 bg-red-100',
         cancelled: 'text-gray-600 bg-gray-100',
         completed: 'text-blue-600 bg-blue-100',
+        expired: 'text-gray-600 bg-gray-100',
+        'no-show': 'text-orange-600 bg-orange-100',
         suspended: 'text-red-600 bg-red-100',
     };
 